@@ -10,15 +10,22 @@
  *
  * Storage:
  * - /var/data/iband/db/achievements.json
+ * - via storage/index.js (IBAND_STORAGE_ADAPTER=file|memory|sqlite; file keeps this exact path)
+ * - POST /record holds withFileLock(achievements.json) from read to write (purchases.js shares it)
  *
  * Endpoints (mounted at /api/achievements):
  * - GET  /health
  * - POST /record
- * - GET  /list?type=&subjectType=&subjectId=&limit=&order=desc|asc
+ * - GET  /list?type=&subjectType=&subjectId=&limit=&cursor=&order=desc|asc
  * - GET  /feed?limit=20   (alias of /list)
- * - GET  /subject/:subjectType/:subjectId?limit=
+ * - GET  /subject/:subjectType/:subjectId?limit=&cursor=
  * - GET  /id/:id
  *
+ * Request schemas (describeRoutes, apiSchema.js) are served in /api/openapi.json; a payload
+ * without type/subjectType/subjectId answers 400 validation_failed with details.
+ *
+ * Lists page on (at, id) with opaque cursors (pagination.js): pass nextCursor back as cursor.
+ *
  * Back-compat aliases:
  * - GET  /all           (alias of /list)
  * - GET  /by-subject    (query: subjectType, subjectId)
@@ -26,26 +33,33 @@
  */
 
 import express from "express";
-import fs from "fs/promises";
-import path from "path";
 import crypto from "crypto";
 
+import { getConfig } from "./config.js";
+import { getStorage, withFileLock, getLockStats } from "./storage/index.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+import { PAGE_QUERY, readPage, sendPageError, paginate } from "./pagination.js";
+import { recordCacheLookup } from "./metrics.js";
+
 const router = express.Router();
+const api = describeRoutes(router, { tag: "achievements" });
 
 // -------------------- Config --------------------
 const SERVICE = "achievements";
-const VERSION = 2;
+const VERSION = 3;
 
-const DATA_DIR = process.env.IBAND_DATA_DIR || "/var/data/iband/db";
-const FILE_PATH =
-  process.env.IBAND_ACHIEVEMENTS_FILE || path.join(DATA_DIR, "achievements.json");
+const CFG = getConfig("achievements");
+const DATA_DIR = getConfig("core").dataDir;
+const FILE_PATH = getConfig("files").achievements;
 
-const CACHE_TTL_MS = parseInt(process.env.ACHIEVEMENTS_CACHE_TTL_MS || "15000", 10);
-const MAX_STORE_ITEMS = parseInt(process.env.ACHIEVEMENTS_MAX_STORE_ITEMS || "5000", 10);
-const MAX_RETURN = parseInt(process.env.ACHIEVEMENTS_MAX_RETURN || "100", 10);
+const storage = getStorage(DATA_DIR);
+
+const CACHE_TTL_MS = CFG.cacheTtlMs;
+const MAX_STORE_ITEMS = CFG.maxStoreItems;
+const MAX_RETURN = CFG.maxReturn;
 
 // Dedup window: prevents spam if client retries
-const DEDUPE_WINDOW_SEC = parseInt(process.env.ACHIEVEMENTS_DEDUPE_WINDOW_SEC || "120", 10);
+const DEDUPE_WINDOW_SEC = CFG.dedupeWindowSec;
 
 // -------------------- In-memory cache --------------------
 let _cache = {
@@ -79,18 +93,10 @@ function mkId(prefix = "ach") {
   return `${prefix}_${Date.now()}_${crypto.randomBytes(8).toString("hex")}`;
 }
 
-async function ensureDir(dirPath) {
-  try {
-    await fs.mkdir(dirPath, { recursive: true });
-  } catch {
-    // best effort
-  }
-}
-
 async function statSafe(p) {
   try {
-    const s = await fs.stat(p);
-    return { ok: true, size: s.size, mtimeMs: s.mtimeMs };
+    const s = await storage.stat(p);
+    return s.exists ? { ok: true, size: s.size, mtimeMs: s.mtimeMs } : { ok: false, error: "ENOENT" };
   } catch (e) {
     return { ok: false, error: e?.code || String(e) };
   }
@@ -98,8 +104,7 @@ async function statSafe(p) {
 
 async function readJsonSafe(p, fallback) {
   try {
-    const raw = await fs.readFile(p, "utf8");
-    const parsed = JSON.parse(raw);
+    const parsed = await storage.readJson(p, fallback);
     return parsed && typeof parsed === "object" ? parsed : fallback;
   } catch {
     return fallback;
@@ -107,13 +112,7 @@ async function readJsonSafe(p, fallback) {
 }
 
 async function writeJsonAtomic(p, obj) {
-  const dir = path.dirname(p);
-  await ensureDir(dir);
-
-  const tmp = `${p}.${crypto.randomBytes(6).toString("hex")}.tmp`;
-  const raw = JSON.stringify(obj, null, 2);
-  await fs.writeFile(tmp, raw, "utf8");
-  await fs.rename(tmp, p);
+  await storage.writeJson(p, obj);
 }
 
 function baseEmptyStore() {
@@ -160,14 +159,34 @@ function computeDedupeKey(ach) {
   return crypto.createHash("sha1").update(parts.join("|")).digest("hex");
 }
 
-function isValidAchievementPayload(body) {
-  // required: type, subjectType, subjectId
-  const type = normalizeStr(body?.type);
-  const subjectType = normalizeStr(body?.subjectType);
-  const subjectId = normalizeStr(body?.subjectId);
-  if (!type || !subjectType || !subjectId) return false;
-  return true;
-}
+// -------------------- Schemas --------------------
+const SUBJECT_ID = { type: ["string", "integer"], minLength: 1, maxLength: 200, pattern: "\\S" };
+
+const MEDAL = S.obj({ tier: S.text(40), code: S.text(80), label: S.text(120), emoji: S.text(16), hex: S.text(16) });
+
+const ACHIEVEMENT_BODY = S.obj(
+  {
+    type: S.id(80),
+    subjectType: S.id(40),
+    subjectId: SUBJECT_ID,
+    at: S.dateTime(),
+    medal: MEDAL,
+    title: S.text(200),
+    message: S.text(1000),
+    stats: S.map(),
+    subject: S.map(),
+    meta: S.map(),
+  },
+  ["type", "subjectType", "subjectId"]
+);
+
+const LIST_QUERY = S.obj({
+  type: S.text(80),
+  subjectType: S.text(40),
+  subjectId: S.text(200),
+  ...PAGE_QUERY,
+  order: S.enumOf(["asc", "desc"]),
+});
 
 function normalizeAchievement(body) {
   const at = body?.at ? String(body.at) : nowIso();
@@ -225,8 +244,10 @@ function normalizeAchievement(body) {
 async function loadStore({ bypassCache = false } = {}) {
   const now = Date.now();
   if (!bypassCache && _cache.store && now - _cache.atMs <= CACHE_TTL_MS) {
+    recordCacheLookup("achievements", true);
     return { ok: true, store: _cache.store, cached: true, cacheAgeMs: now - _cache.atMs };
   }
+  if (!bypassCache) recordCacheLookup("achievements", false);
 
   const base = baseEmptyStore();
   const parsed = await readJsonSafe(FILE_PATH, base);
@@ -256,7 +277,7 @@ async function saveStore(store) {
 }
 
 // -------------------- Query helpers --------------------
-function filterAndSortItems(items, { type, subjectType, subjectId, order }) {
+function filterItems(items, { type, subjectType, subjectId }) {
   let out = Array.isArray(items) ? items.slice() : [];
 
   const t = type ? toLower(type) : null;
@@ -267,20 +288,10 @@ function filterAndSortItems(items, { type, subjectType, subjectId, order }) {
   if (st) out = out.filter((x) => toLower(x?.subjectType) === st);
   if (sid) out = out.filter((x) => normalizeStr(x?.subjectId) === sid);
 
-  const ord = toLower(order || "desc");
-  out.sort((a, b) => {
-    const ta = Date.parse(a?.at || "") || 0;
-    const tb = Date.parse(b?.at || "") || 0;
-    return ord === "asc" ? ta - tb : tb - ta;
-  });
-
   return out;
 }
 
-function applyLimit(items, limit) {
-  const lim = clamp(safeNumber(limit, 20), 1, MAX_RETURN);
-  return items.slice(0, lim);
-}
+const keyOf = (x) => ({ at: x?.at, id: x?.id });
 
 // -------------------- Routes --------------------
 
@@ -294,6 +305,7 @@ router.get("/health", async (_req, res) => {
     version: VERSION,
     updatedAt: nowIso(),
     dataDir: DATA_DIR,
+    storage: storage.describe(),
     file: { ...st, path: FILE_PATH },
     store: summarizeStore(loaded.store),
     cache: {
@@ -301,84 +313,92 @@ router.get("/health", async (_req, res) => {
       cached: loaded.cached,
       cacheAgeMs: loaded.cacheAgeMs,
     },
+    locks: getLockStats(storage, FILE_PATH),
   });
 });
 
 // Record
-router.post("/record", async (req, res) => {
-  if (!isValidAchievementPayload(req.body)) {
-    return res.status(400).json({
-      success: false,
-      message: "Invalid achievement payload. Requires: type, subjectType, subjectId.",
-      updatedAt: nowIso(),
-    });
-  }
-
-  const loaded = await loadStore({ bypassCache: true });
-  const store = loaded.store;
-
-  const incoming = normalizeAchievement(req.body);
-  const dedupeKey = computeDedupeKey(incoming);
-
-  // Dedup within window seconds
-  const windowMs = clamp(DEDUPE_WINDOW_SEC, 0, 3600) * 1000;
-  let deduped = false;
-
-  if (windowMs > 0 && Array.isArray(store.items) && store.items.length) {
-    const now = Date.now();
-    // scan last 200 only (fast)
-    const tail = store.items.slice(-200);
-    for (let i = tail.length - 1; i >= 0; i--) {
-      const prev = tail[i];
-      const prevAt = Date.parse(prev?.at || "");
-      if (!Number.isFinite(prevAt)) continue;
-
-      if (now - prevAt > windowMs) break;
-
-      const prevKey = prev?.dedupeKey || computeDedupeKey(prev);
-      if (prevKey === dedupeKey) {
-        deduped = true;
-        return res.json({
-          success: true,
-          updatedAt: store.updatedAt || nowIso(),
-          recorded: false,
-          deduped: true,
-          achievement: prev,
-        });
+api.post("/record", {
+  summary: "Record an achievement (deduplicated within the dedupe window)",
+  body: ACHIEVEMENT_BODY,
+  responses: { 200: "Recorded, or the earlier duplicate (deduped: true).", 503: "Achievements store is busy." },
+}, async (req, res) => {
+  let out;
+  try {
+    // dedupe + append on a fresh read, holding the achievements.json lock until it is written
+    out = await withFileLock(storage, FILE_PATH, async () => {
+      const loaded = await loadStore({ bypassCache: true });
+      const store = loaded.store;
+
+      const incoming = normalizeAchievement(req.body);
+      const dedupeKey = computeDedupeKey(incoming);
+
+      // Dedup within window seconds
+      const windowMs = clamp(DEDUPE_WINDOW_SEC, 0, 3600) * 1000;
+
+      if (windowMs > 0 && Array.isArray(store.items) && store.items.length) {
+        const now = Date.now();
+        // scan last 200 only (fast)
+        const tail = store.items.slice(-200);
+        for (let i = tail.length - 1; i >= 0; i--) {
+          const prev = tail[i];
+          const prevAt = Date.parse(prev?.at || "");
+          if (!Number.isFinite(prevAt)) continue;
+
+          if (now - prevAt > windowMs) break;
+
+          const prevKey = prev?.dedupeKey || computeDedupeKey(prev);
+          if (prevKey === dedupeKey) {
+            return {
+              success: true,
+              updatedAt: store.updatedAt || nowIso(),
+              recorded: false,
+              deduped: true,
+              achievement: prev,
+            };
+          }
+        }
       }
-    }
-  }
 
-  // persist dedupeKey on item
-  incoming.dedupeKey = dedupeKey;
+      // persist dedupeKey on item
+      incoming.dedupeKey = dedupeKey;
 
-  store.items.push(incoming);
-  await saveStore(store);
+      store.items.push(incoming);
+      await saveStore(store);
 
-  return res.json({
-    success: true,
-    updatedAt: store.updatedAt,
-    recorded: true,
-    deduped,
-    achievement: incoming,
-  });
+      return {
+        success: true,
+        updatedAt: store.updatedAt,
+        recorded: true,
+        deduped: false,
+        achievement: incoming,
+      };
+    });
+  } catch (e) {
+    const busy = e?.code === "STORAGE_LOCK_TIMEOUT";
+    if (busy) return sendError(res, 503, "store_busy", "Achievements store is busy. Try again.", { retryAfterSec: 1, updatedAt: nowIso() });
+    return sendError(res, 500, "write_failed", "Achievement write failed.", { detail: e?.message || String(e), updatedAt: nowIso() });
+  }
+
+  return res.json(out);
 });
 
 // LIST (canonical)
-router.get("/list", async (req, res) => {
-  const { type, subjectType, subjectId, limit, order } = req.query || {};
+api.get("/list", { summary: "List achievements", query: LIST_QUERY }, async (req, res) => {
+  const { type, subjectType, subjectId } = req.query || {};
+  const page = readPage(req.query, {
+    defaultLimit: 20,
+    maxLimit: MAX_RETURN,
+    allowOrder: true,
+    scope: { type: toLower(type), subjectType: toLower(subjectType), subjectId: normalizeStr(subjectId) },
+  });
+  if (page.error) return sendPageError(res, page.error);
 
   const loaded = await loadStore();
   const store = loaded.store;
 
-  const filtered = filterAndSortItems(store.items, {
-    type,
-    subjectType,
-    subjectId,
-    order,
-  });
-
-  const results = applyLimit(filtered, limit);
+  const out = paginate(filterItems(store.items, { type, subjectType, subjectId }), page, keyOf);
+  const results = out.items;
 
   return res.json({
     success: true,
@@ -387,10 +407,12 @@ router.get("/list", async (req, res) => {
       type: type ?? null,
       subjectType: subjectType ?? null,
       subjectId: subjectId ?? null,
-      order: order ?? "desc",
+      order: page.order,
     },
     count: results.length,
     results,
+    nextCursor: out.nextCursor,
+    hasMore: out.hasMore,
     cached: loaded.cached,
     cacheAgeMs: loaded.cacheAgeMs,
   });
@@ -405,26 +427,25 @@ router.get("/feed", async (req, res) => {
     order: req.query?.order ?? "desc",
   };
   req.query = q;
+  req.url = "/list" + (req.url.includes("?") ? req.url.substring(req.url.indexOf("?")) : "");
   return router.handle(req, res, () => {});
 });
 
 // Subject drilldown
-router.get("/subject/:subjectType/:subjectId", async (req, res) => {
+api.get("/subject/:subjectType/:subjectId", {
+  summary: "Achievements of one subject",
+  query: S.obj(PAGE_QUERY),
+}, async (req, res) => {
   const subjectType = normalizeStr(req.params.subjectType);
   const subjectId = normalizeStr(req.params.subjectId);
-  const limit = req.query?.limit ?? "50";
+  const page = readPage(req.query, { defaultLimit: 50, maxLimit: MAX_RETURN, scope: { subjectType: toLower(subjectType), subjectId } });
+  if (page.error) return sendPageError(res, page.error);
 
   const loaded = await loadStore();
   const store = loaded.store;
 
-  const filtered = filterAndSortItems(store.items, {
-    type: null,
-    subjectType,
-    subjectId,
-    order: "desc",
-  });
-
-  const results = applyLimit(filtered, limit);
+  const out = paginate(filterItems(store.items, { subjectType, subjectId }), page, keyOf);
+  const results = out.items;
 
   return res.json({
     success: true,
@@ -433,25 +454,22 @@ router.get("/subject/:subjectType/:subjectId", async (req, res) => {
     subjectId,
     count: results.length,
     results,
+    nextCursor: out.nextCursor,
+    hasMore: out.hasMore,
     cached: loaded.cached,
     cacheAgeMs: loaded.cacheAgeMs,
   });
 });
 
 // By ID
-router.get("/id/:id", async (req, res) => {
+api.get("/id/:id", { summary: "One achievement", responses: { 200: "Achievement.", 404: "Not found." } }, async (req, res) => {
   const id = normalizeStr(req.params.id);
   const loaded = await loadStore();
   const store = loaded.store;
 
   const found = (store.items || []).find((x) => normalizeStr(x?.id) === id) || null;
   if (!found) {
-    return res.status(404).json({
-      success: false,
-      message: "Achievement not found.",
-      id,
-      updatedAt: store.updatedAt || nowIso(),
-    });
+    return sendError(res, 404, "not_found", "Achievement not found.", { id, updatedAt: store.updatedAt || nowIso() });
   }
 
   return res.json({
@@ -472,16 +490,12 @@ router.get("/all", async (req, res) => {
 });
 
 // /by-subject?subjectType=&subjectId=&limit=
-router.get("/by-subject", async (req, res) => {
+api.get("/by-subject", {
+  summary: "Alias of /subject/:subjectType/:subjectId",
+  query: S.obj({ subjectType: S.id(40), subjectId: S.id(200), ...PAGE_QUERY }, ["subjectType", "subjectId"]),
+}, async (req, res) => {
   const subjectType = normalizeStr(req.query?.subjectType);
   const subjectId = normalizeStr(req.query?.subjectId);
-  if (!subjectType || !subjectId) {
-    return res.status(400).json({
-      success: false,
-      message: "Missing required query params: subjectType, subjectId",
-      updatedAt: nowIso(),
-    });
-  }
 
   req.params = { subjectType, subjectId };
   req.url = `/subject/${encodeURIComponent(subjectType)}/${encodeURIComponent(subjectId)}${
@@ -4,20 +4,34 @@
 //
 // Winning pattern/formula:
 // - consistent JSON responses
-// - safe admin auth (dev-open if ADMIN_KEY not set)
+// - safe admin auth: admin identity token or x-admin-key (dev-open if ADMIN_KEY not set)
+// - role-based permissions per route (permissions.js); GET /api/admin/permissions serves the matrix
 // - store-compat (getArtist/getById + patchArtist/patch + listArtists/list)
 // - NO route collisions with adminArtists.js
 // - includes non-colliding "core" admin fallback routes at /api/admin/core/*
 // - exposes storage metadata at GET /api/admin/core/storage (Render Disk verification)
+// - exposes the effective, redacted configuration at GET /api/admin/config
+// - every mutation is written to the hash-chained audit log (adminAudit.js): GET /api/admin/audit(/verify)
+// - rate-limit buckets (rateLimit.js): GET /api/admin/rate-limits, POST /api/admin/rate-limits/reset
+// - scheduled jobs (scheduler.js): GET /api/admin/jobs, POST /api/admin/jobs/:id/run
+// - routes declare their query/body schemas (apiSchema.js); errors share one envelope with stable codes
 
 import express from "express";
 
+import { getConfig, describeConfig } from "./config.js";
+import { attachPrincipal } from "./identity.js";
+import { adminAccess, requirePermission, permissionMatrix, permissionsFor } from "./permissions.js";
+import { recordAudit, readAudit, verifyAudit } from "./adminAudit.js";
+import { POLICIES as RATE_POLICIES, describeRateLimits, listBuckets, resetBuckets } from "./rateLimit.js";
+import { listJobs, runJob, getJob } from "./scheduler.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
 import artistsStore from "./artistsStore.js";
 
 import adminArtistsRouter from "./adminArtists.js";
 import adminCommentsRouter from "./adminComments.js";
 
 const router = express.Router();
+const api = describeRoutes(router, { tag: "admin" });
 
 /* -------------------- Helpers -------------------- */
 
@@ -26,11 +40,6 @@ function safeText(v) {
   return String(v).trim();
 }
 
-function isValidStatus(s) {
-  const v = safeText(s).toLowerCase();
-  return v === "pending" || v === "active" || v === "rejected";
-}
-
 function normalizeStatusQuery(v) {
   const s = safeText(v).toLowerCase();
   if (!s) return "all";
@@ -68,26 +77,53 @@ function getStoreFns(store) {
 
 const { getArtist, patchArtist, listArtists } = getStoreFns(artistsStore);
 
-function notFoundHint(id) {
-  return {
-    success: false,
-    message: "Artist not found.",
+function notFound(res, id) {
+  return sendError(res, 404, "not_found", "Artist not found.", {
     id,
     hint:
       "If this worked before a redeploy and fails after, your Render store likely reset. Confirm Render Disk is attached and use /api/admin/core/storage.",
-  };
+  });
 }
 
 function storeMisconfigured(res) {
-  return res.status(500).json({
-    success: false,
-    message:
-      "Admin API misconfigured: artistsStore is missing getArtist/getById or patchArtist/patch.",
-  });
+  return sendError(
+    res,
+    500,
+    "store_misconfigured",
+    "Admin API misconfigured: artistsStore is missing getArtist/getById or patchArtist/patch."
+  );
+}
+
+function adminSpec(permission, summary, spec = {}) {
+  return { auth: "admin", permission, summary, ...spec };
 }
 
+const CORE_STATUSES = ["pending", "active", "rejected"];
+
+const AUDIT_QUERY = S.obj({
+  actor: S.text(120),
+  targetType: S.text(40),
+  targetId: S.text(120),
+  action: S.text(80),
+  from: S.text(40),
+  to: S.text(40),
+  limit: S.int(1, 1000),
+});
+
+const RATE_QUERY = S.obj({
+  policy: S.enumOf(Object.keys(RATE_POLICIES)),
+  key: S.text(200),
+  limit: S.int(1, 1000),
+});
+
+const RATE_RESET_BODY = S.obj({
+  policy: S.enumOf(Object.keys(RATE_POLICIES)),
+  key: S.text(200),
+  all: S.bool(),
+});
+
 function getAdminMode() {
-  const configuredKey = safeText(process.env.ADMIN_KEY);
+  const configuredKey = safeText(getConfig("admin").key);
   return configuredKey ? "locked" : "dev-open";
 }
 
@@ -95,45 +131,168 @@ function nowIso() {
   return new Date().toISOString();
 }
 
-/* -------------------- Admin Key Guard -------------------- */
-// Protects admin routes using x-admin-key header.
+/* -------------------- Admin Guard -------------------- */
+// Protects admin routes: an admin identity token (identity.js, mode "token") or the x-admin-key header.
 // If ADMIN_KEY is NOT set, it runs in "dev-open" mode (no auth) to avoid blocking testing.
+// This only authenticates; each route then checks its permission (403 when the roles don't grant it).
+
+router.use(attachPrincipal);
 
 router.use((req, res, next) => {
   // Fail fast if store is broken (consistent errors)
   if (!getArtist || !patchArtist) return storeMisconfigured(res);
 
-  const configuredKey = safeText(process.env.ADMIN_KEY);
-
-  if (!configuredKey) {
-    req._adminMode = "dev-open";
-    return next();
-  }
-
-  const provided = safeText(req.headers["x-admin-key"]);
-  if (!provided || provided !== configuredKey) {
-    return res.status(401).json({
-      success: false,
-      message: "Unauthorized (missing or invalid x-admin-key).",
-      mode: "locked",
-    });
+  const access = adminAccess(req);
+  if (!access.ok) {
+    return sendError(res, 401, "admin_required", "Unauthorized (admin token or valid x-admin-key required).", { mode: "locked" });
   }
 
-  req._adminMode = "locked";
+  req._adminMode = access.mode;
+  req.adminRoles = access.roles;
   next();
 });
 
 /* -------------------- Health -------------------- */
 
-router.get("/", (req, res) => {
+api.get("/", adminSpec("admin.read", "Admin API status and your roles"), requirePermission("admin.read"), (req, res) => {
   res.json({
     success: true,
     message: "iBand admin API is running",
     mode: req._adminMode || getAdminMode(),
+    roles: req.adminRoles,
     timestamp: nowIso(),
   });
 });
 
+/* -------------------- Permissions -------------------- */
+
+/**
+ * GET /api/admin/permissions
+ * Role x permission matrix, plus what the caller's roles allow.
+ */
+api.get("/permissions", adminSpec("admin.read", "Role x permission matrix"), requirePermission("admin.read"), (req, res) => {
+  return res.status(200).json({
+    success: true,
+    mode: req._adminMode || getAdminMode(),
+    timestamp: nowIso(),
+    you: { roles: req.adminRoles, permissions: permissionsFor(req.adminRoles) },
+    ...permissionMatrix(),
+  });
+});
+
+/* -------------------- Config -------------------- */
+
+/**
+ * GET /api/admin/config
+ * Effective configuration per namespace (config.js), where each value came from,
+ * and any validation errors/warnings. Secrets are redacted.
+ */
+api.get("/config", adminSpec("config.read", "Effective configuration (secrets redacted)"), requirePermission("config.read"), (req, res) => {
+  const report = describeConfig();
+
+  return res.status(200).json({
+    success: true,
+    mode: req._adminMode || getAdminMode(),
+    timestamp: nowIso(),
+    ...report,
+  });
+});
+
+/* -------------------- Audit -------------------- */
+
+/**
+ * GET /api/admin/audit
+ * Query: actor, targetType, targetId, action ("artist.approve" or "artist.*"), from, to (ISO or epoch ms), limit
+ */
+api.get("/audit", adminSpec("audit.read", "Filter the admin audit log", { query: AUDIT_QUERY }), requirePermission("audit.read"), async (req, res) => {
+  try {
+    const out = await readAudit(req.query || {});
+    return res.status(200).json({ success: true, mode: req._adminMode || getAdminMode(), timestamp: nowIso(), ...out });
+  } catch (e) {
+    return sendError(res, 500, "audit_read_failed", "Failed to read audit log.", { detail: e?.message || String(e) });
+  }
+});
+
+/**
+ * GET /api/admin/audit/verify
+ * 200 with ok=true when the chain is intact; 409 with the first problems when it was edited.
+ */
+api.get("/audit/verify", adminSpec("audit.read", "Verify the audit hash chain", {
+  responses: { 200: "Chain intact.", 409: "Chain edited, truncated or broken." },
+}), requirePermission("audit.read"), async (req, res) => {
+  try {
+    const out = await verifyAudit();
+    return res.status(out.ok ? 200 : 409).json({ success: out.ok, mode: req._adminMode || getAdminMode(), timestamp: nowIso(), ...out });
+  } catch (e) {
+    return sendError(res, 500, "audit_verify_failed", "Failed to verify audit log.", { detail: e?.message || String(e) });
+  }
+});
+
+/* -------------------- Rate limits -------------------- */
+
+/**
+ * GET /api/admin/rate-limits
+ * Policies with their effective limits, plus buckets filtered by ?policy= and ?key= (substring).
+ */
+api.get("/rate-limits", adminSpec("ratelimits.read", "Rate-limit policies and buckets", { query: RATE_QUERY }), requirePermission("ratelimits.read"), async (req, res) => {
+  const out = await listBuckets(req.query || {});
+  return res.status(200).json({ success: true, mode: req._adminMode || getAdminMode(), timestamp: nowIso(), ...describeRateLimits(), ...out });
+});
+
+/**
+ * POST /api/admin/rate-limits/reset
+ * Body: { policy?, key? } clears the matching buckets (exact key); { all: true } clears every bucket.
+ */
+api.post("/rate-limits/reset", adminSpec("ratelimits.reset", "Reset rate-limit buckets", { body: RATE_RESET_BODY }), requirePermission("ratelimits.reset"), async (req, res) => {
+  const policy = safeText(req.body?.policy);
+  const key = safeText(req.body?.key);
+  if (!policy && !key && req.body?.all !== true) {
+    return sendError(res, 400, "validation_failed", "Give policy and/or key, or all: true to reset every bucket.");
+  }
+
+  const removed = await resetBuckets({ policy, key });
+  await recordAudit(req, {
+    action: "ratelimit.reset",
+    target: { type: "ratelimit", id: [policy || "*", key || "*"].join(":") },
+    meta: { policy: policy || null, key: key || null, removed },
+  });
+
+  return res.status(200).json({ success: true, removed, policy: policy || null, key: key || null, mode: req._adminMode || getAdminMode() });
+});
+
+/**
+ * GET /api/admin/jobs
+ * Registered jobs with schedule, next run and the persisted last-run record.
+ */
+api.get("/jobs", adminSpec("jobs.read", "Scheduled jobs and their last runs"), requirePermission("jobs.read"), async (req, res) => {
+  const out = await listJobs();
+  return res.status(200).json({ success: true, mode: req._adminMode || getAdminMode(), timestamp: nowIso(), ...out });
+});
+
+/**
+ * POST /api/admin/jobs/:id/run
+ * Runs the job now and answers with the finished run (audited either way).
+ * 409 job_running while another run holds it, 500 job_failed when the run threw.
+ */
+api.post("/jobs/:id/run", adminSpec("jobs.run", "Run a scheduled job now"), requirePermission("jobs.run"), async (req, res) => {
+  const id = safeText(req.params.id);
+  if (!getJob(id)) return sendError(res, 404, "job_not_found", "No scheduled job with this id.", { id });
+
+  const run = await runJob(id, { trigger: "manual" });
+  if (!run.ran) {
+    return sendError(res, 409, "job_running", "The job is already running.", { id, reason: run.reason, running: run.running });
+  }
+
+  await recordAudit(req, {
+    action: "job.run",
+    target: { type: "job", id },
+    meta: { status: run.status, durationMs: run.durationMs, jobRequestId: run.requestId, error: run.error },
+  });
+
+  if (run.status !== "ok") return sendError(res, 500, "job_failed", run.error?.message || "The job failed.", { run });
+  return res.status(200).json({ success: true, run, mode: req._adminMode || getAdminMode() });
+});
+
 /* -------------------- Core Fallback Routes (NON-colliding) -------------------- */
 /**
  * These exist to guarantee core admin actions work even if adminArtists.js is incomplete.
@@ -148,7 +307,7 @@ router.get("/", (req, res) => {
  * Exposes artistsStore storage metadata so we can confirm Render Disk persistence.
  * Locked behind x-admin-key (unless dev-open).
  */
-router.get("/core/storage", (_req, res) => {
+api.get("/core/storage", adminSpec("storage.read", "artistsStore storage metadata"), requirePermission("storage.read"), (_req, res) => {
   const storage =
     artistsStore && typeof artistsStore === "object"
       ? artistsStore.storage || null
@@ -172,7 +331,9 @@ router.get("/core/storage", (_req, res) => {
   });
 });
 
-router.get("/core/artists", (req, res) => {
+api.get("/core/artists", adminSpec("artists.read", "List artists (core fallback)", {
+  query: S.obj({ status: S.enumOf([...CORE_STATUSES, "all", "*"]) }),
+}), requirePermission("artists.read"), (req, res) => {
   const status = normalizeStatusQuery(req.query?.status);
 
   if (!listArtists) {
@@ -204,17 +365,10 @@ router.get("/core/artists", (req, res) => {
   });
 });
 
-router.get("/core/artists/:id", (req, res) => {
+api.get("/core/artists/:id", adminSpec("artists.read", "Get one artist (core fallback)"), requirePermission("artists.read"), (req, res) => {
   const id = safeText(req.params.id);
-  if (!id) {
-    return res.status(400).json({
-      success: false,
-      message: "Artist id is required.",
-    });
-  }
-
   const artist = getArtist(id);
-  if (!artist) return res.status(404).json(notFoundHint(id));
+  if (!artist) return notFound(res, id);
 
   return res.json({
     success: true,
@@ -223,24 +377,18 @@ router.get("/core/artists/:id", (req, res) => {
   });
 });
 
-router.patch("/core/artists/:id/approve", (req, res) => {
+api.patch("/core/artists/:id/approve", adminSpec("artists.review", "Approve an artist (core fallback)"), requirePermission("artists.review"), async (req, res) => {
   const id = safeText(req.params.id);
-  if (!id) {
-    return res.status(400).json({ success: false, message: "Artist id is required." });
-  }
-
   const artist = getArtist(id);
-  if (!artist) return res.status(404).json(notFoundHint(id));
+  if (!artist) return notFound(res, id);
 
   const updated = patchArtist(id, { status: "active" });
   if (!updated) {
-    return res.status(500).json({
-      success: false,
-      message: "Failed to approve artist.",
-      id,
-    });
+    return sendError(res, 500, "update_failed", "Failed to approve artist.", { id });
   }
 
+  await recordAudit(req, { action: "artist.approve", target: { type: "artist", id }, before: artist, after: updated });
+
   return res.json({
     success: true,
     message: "Artist approved.",
@@ -249,14 +397,12 @@ router.patch("/core/artists/:id/approve", (req, res) => {
   });
 });
 
-router.patch("/core/artists/:id/reject", (req, res) => {
+api.patch("/core/artists/:id/reject", adminSpec("artists.review", "Reject an artist (core fallback)", {
+  body: S.obj({ reason: S.text(500) }),
+}), requirePermission("artists.review"), async (req, res) => {
   const id = safeText(req.params.id);
-  if (!id) {
-    return res.status(400).json({ success: false, message: "Artist id is required." });
-  }
-
   const artist = getArtist(id);
-  if (!artist) return res.status(404).json(notFoundHint(id));
+  if (!artist) return notFound(res, id);
 
   const reason = safeText(req.body?.reason);
   const payload = reason
@@ -265,13 +411,11 @@ router.patch("/core/artists/:id/reject", (req, res) => {
 
   const updated = patchArtist(id, payload);
   if (!updated) {
-    return res.status(500).json({
-      success: false,
-      message: "Failed to reject artist.",
-      id,
-    });
+    return sendError(res, 500, "update_failed", "Failed to reject artist.", { id });
   }
 
+  await recordAudit(req, { action: "artist.reject", target: { type: "artist", id }, before: artist, after: updated });
+
   return res.json({
     success: true,
     message: "Artist rejected.",
@@ -280,34 +424,22 @@ router.patch("/core/artists/:id/reject", (req, res) => {
   });
 });
 
-router.patch("/core/artists/:id/status", (req, res) => {
+api.patch("/core/artists/:id/status", adminSpec("artists.review", "Set an artist's status (core fallback)", {
+  body: S.obj({ status: S.enumOf(CORE_STATUSES) }, ["status"]),
+}), requirePermission("artists.review"), async (req, res) => {
   const id = safeText(req.params.id);
   const nextStatus = safeText(req.body?.status).toLowerCase();
 
-  if (!id) {
-    return res.status(400).json({ success: false, message: "Artist id is required." });
-  }
-  if (!isValidStatus(nextStatus)) {
-    return res.status(400).json({
-      success: false,
-      message: "Invalid status. Use: pending, active, rejected.",
-      status: nextStatus,
-    });
-  }
-
   const artist = getArtist(id);
-  if (!artist) return res.status(404).json(notFoundHint(id));
+  if (!artist) return notFound(res, id);
 
   const updated = patchArtist(id, { status: nextStatus });
   if (!updated) {
-    return res.status(500).json({
-      success: false,
-      message: "Failed to update status.",
-      id,
-      status: nextStatus,
-    });
+    return sendError(res, 500, "update_failed", "Failed to update status.", { id, status: nextStatus });
   }
 
+  await recordAudit(req, { action: "artist.status", target: { type: "artist", id }, before: artist, after: updated });
+
   return res.json({
     success: true,
     message: "Artist status updated.",
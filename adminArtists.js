@@ -20,11 +20,52 @@
 //    POST /api/admin/artists/seed/demo
 //    POST /api/admin/artists/seed/bad-bunny
 //    POST /api/admin/artists/seed/reset-demo-only
+//
+// Permissions (permissions.js): reads = any admin role; review/create/edit/delete = artist-manager;
+// seed + reset-demo-only = super-admin. Moderators cannot touch artists.
+// Every mutation is recorded in the admin audit log (adminAudit.js) with a before/after diff.
+// Bodies and queries are checked against the schemas below (apiSchema.js, GET /api/openapi.json);
+// errors use the shared envelope: validation_failed, not_found, invalid_transition, ...
+// Approval (approve, or status pending -> active) sends the artist.approved webhook (webhooks.js).
+// Verification (artistVerification.js): pending -> active is refused (409 verification_incomplete) until the
+// checklist is ready; rejecting takes structured reasons (PATCH /:id/reject { reasons: [{ code, message? }], note? }),
+// sends the artist.rejected webhook, and the artist resubmits against them (artists.js). Once a reviewer is
+// assigned, only they (or a super-admin) approve or reject.
+//    GET    /api/admin/artists/verification/queue   ?status=pending|rejected&reviewer=me|none|<id>&ready=true|false
+//    GET    /api/admin/artists/:id/verification
+//    PUT    /api/admin/artists/:id/verification/reviewer   { reviewer? } (default: yourself)
+//    DELETE /api/admin/artists/:id/verification/reviewer
+//    PATCH  /api/admin/artists/:id/verification/identity   { confirmed, method?, note? }
+// Profile edits (create, PUT, PATCH, revert) are also kept as numbered revisions (artistRevisions.js), written
+// under the same per-artist lock as the store write:
+//    GET  /api/admin/artists/:id/revisions[?limit=&cursor=]   (pagination.js cursors)
+//    GET  /api/admin/artists/:id/revisions/:n
+//    POST /api/admin/artists/:id/revisions/:n/revert   (restores revision n as a new revision)
 
 import express from "express";
 import artistsStore from "./artistsStore.js";
+import { requirePermission } from "./permissions.js";
+import { recordAudit, actorOf } from "./adminAudit.js";
+import { reviseArtist, listRevisions, getRevision, revertPatch } from "./artistRevisions.js";
+import { PAGE_QUERY, readPage, sendPageError } from "./pagination.js";
+import {
+  evaluateChecklist,
+  emptyRecord,
+  getVerification,
+  listVerifications,
+  assignReviewer,
+  setIdentity,
+  recordRejection,
+  recordApproval,
+  verificationView,
+  IDENTITY_METHODS,
+  REJECTION_REASONS,
+} from "./artistVerification.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+import { emitWebhook } from "./webhooks.js";
 
 const router = express.Router();
+const api = describeRoutes(router, { tag: "admin-artists" });
 
 /* -------------------- Helpers -------------------- */
 
@@ -107,19 +148,53 @@ function applyPatch(id, patch) {
 }
 
 function notFound(res, id) {
-  return res.status(404).json({
-    success: false,
-    message: "Artist not found.",
-    id: asString(id),
-  });
+  return sendError(res, 404, "not_found", "Artist not found.", { id: asString(id) });
 }
 
-function badRequest(res, message, extra = {}) {
-  return res.status(400).json({
-    success: false,
-    message,
-    ...extra,
-  });
+function badRequest(res, code, message, extra = {}) {
+  return sendError(res, 400, code, message, extra);
+}
+
+/* -------------------- Schemas -------------------- */
+
+const STATUSES = ["pending", "active", "rejected", "suspended"];
+
+const SOCIALS = S.obj(
+  Object.fromEntries(["instagram", "tiktok", "youtube", "spotify", "soundcloud", "website"].map((k) => [k, S.text(300)]))
+);
+
+const ARTIST_FIELDS = {
+  id: S.id(80),
+  name: S.id(200),
+  genre: S.text(80),
+  location: S.text(120),
+  bio: S.text(5000),
+  imageUrl: S.text(1000),
+  socials: SOCIALS,
+  tracks: S.arr({}, { maxItems: 500 }),
+  status: S.enumOf(STATUSES),
+  votes: S.int(0),
+};
+
+const ARTIST_BODY = S.obj(ARTIST_FIELDS, ["name"]);
+const ARTIST_PATCH = S.obj(ARTIST_FIELDS);
+
+const REVISION_PARAMS = { id: S.id(80), n: S.int(1) };
+
+const REJECT_BODY = S.obj(
+  {
+    reasons: S.arr(S.obj({ code: S.enumOf(Object.keys(REJECTION_REASONS)), message: S.text(500) }, ["code"], { additionalProperties: false }), {
+      minItems: 1,
+      maxItems: 10,
+    }),
+    note: S.text(1000),
+  },
+  ["reasons"]
+);
+
+/** Spec of an admin route: documents the bearer/x-admin-key requirement and the permission. */
+function adminSpec(permission, summary, spec = {}) {
+  return { auth: "admin", permission, summary, ...spec };
 }
 
 function ok(res, payload) {
@@ -130,13 +205,22 @@ function created(res, payload) {
   return res.status(201).json(payload);
 }
 
+/** { id, n } of a recorded revision for responses; null when nothing was recorded. */
+function revisionRef(revision) {
+  return revision ? { id: revision.id, n: revision.n } : null;
+}
+
+function revisionMeta(revision) {
+  return revision ? { revision: revision.n } : {};
+}
+
 /* -------------------- Seed Routes -------------------- */
 
 /**
  * POST /api/admin/artists/seed/demo
  * Ensures demo exists (id="demo") without duplicating it.
  */
-router.post("/seed/demo", (_req, res) => {
+api.post("/seed/demo", adminSpec("artists.seed", "Ensure the demo artist exists"), requirePermission("artists.seed"), async (req, res) => {
   const all = storeList();
   const existing = Array.isArray(all) ? all.find((a) => asString(a?.id) === "demo") : null;
 
@@ -162,6 +246,8 @@ router.post("/seed/demo", (_req, res) => {
     source: "seed",
   });
 
+  await recordAudit(req, { action: "artist.seed", target: { type: "artist", id: "demo" }, after: createdArtist });
+
   return created(res, {
     success: true,
     message: "Demo seeded.",
@@ -173,7 +259,7 @@ router.post("/seed/demo", (_req, res) => {
  * POST /api/admin/artists/seed/bad-bunny
  * One-click seed for MVP validation.
  */
-router.post("/seed/bad-bunny", (_req, res) => {
+api.post("/seed/bad-bunny", adminSpec("artists.seed", "Seed the bad-bunny demo artist"), requirePermission("artists.seed"), async (req, res) => {
   const id = "bad-bunny";
   const all = storeList();
   const existing = Array.isArray(all) ? all.find((a) => asString(a?.id) === id) : null;
@@ -214,6 +300,8 @@ router.post("/seed/bad-bunny", (_req, res) => {
     source: "seed",
   });
 
+  await recordAudit(req, { action: "artist.seed", target: { type: "artist", id }, after: createdArtist });
+
   return created(res, {
     success: true,
     message: "Bad Bunny seeded.",
@@ -225,20 +313,25 @@ router.post("/seed/bad-bunny", (_req, res) => {
  * POST /api/admin/artists/seed/reset-demo-only
  * MVP helper: wipes everything then re-seeds demo only (if the store supports reset)
  */
-router.post("/seed/reset-demo-only", (_req, res) => {
+api.post("/seed/reset-demo-only", adminSpec("artists.reset", "Remove every artist except the demo seed"), requirePermission("artists.reset"), async (req, res) => {
   const reset = pickStoreFn("resetArtists", "reset");
   if (!reset) {
-    return res.status(501).json({
-      success: false,
-      message: "Reset not supported by store.",
-    });
+    return sendError(res, 501, "not_supported", "Reset not supported by store.");
   }
 
+  const beforeIds = (storeList() || []).map((a) => asString(a?.id));
   const deletedCount = reset();
 
   const all = storeList();
   const demo = Array.isArray(all) ? all.find((a) => asString(a?.id) === "demo") : null;
 
+  await recordAudit(req, {
+    action: "artist.reset",
+    target: { type: "artist", id: "*" },
+    diff: { count: { before: beforeIds.length, after: Array.isArray(all) ? all.length : 0 } },
+    meta: { deletedIds: beforeIds.filter((id) => id !== "demo") },
+  });
+
   return ok(res, {
     success: true,
     message: "Reset complete (demo only).",
@@ -254,7 +347,9 @@ router.post("/seed/reset-demo-only", (_req, res) => {
  * Optional query:
  *  - status=pending|active|rejected|suspended|all
  */
-router.get("/", (req, res) => {
+api.get("/", adminSpec("artists.read", "List artists", {
+  query: S.obj({ status: S.enumOf([...STATUSES, "all", "*"]) }),
+}), requirePermission("artists.read"), (req, res) => {
   const status = normalizeStatusQuery(req.query?.status) || "all";
 
   const artists = storeList();
@@ -276,7 +371,7 @@ router.get("/", (req, res) => {
 /**
  * GET /api/admin/artists/:id
  */
-router.get("/:id", (req, res) => {
+api.get("/:id", adminSpec("artists.read", "Get one artist"), requirePermission("artists.read"), (req, res) => {
   const id = asString(req.params.id);
   const artist = storeGet(id);
 
@@ -287,8 +382,6 @@ router.get("/:id", (req, res) => {
 
 /* -------------------- Admin Actions (the missing endpoints) -------------------- */
 
-const ALLOWED_STATUSES = new Set(["pending", "active", "rejected", "suspended"]);
-
 function canTransition(from, to) {
   // Safe defaults. We can loosen later if needed.
   if (from === to) return true;
@@ -304,11 +397,65 @@ function canTransition(from, to) {
   return allowed.has(`${from}->${to}`);
 }
 
+async function notifyApproved(artist, from) {
+  await emitWebhook(
+    "artist.approved",
+    { artistId: artist?.id, name: artist?.name ?? null, previousStatus: from, status: "active", at: new Date().toISOString() },
+    { key: `artist.approved:${artist?.id}` }
+  );
+}
+
+async function notifyRejected(artist, rejection) {
+  await emitWebhook(
+    "artist.rejected",
+    { artistId: artist?.id, name: artist?.name ?? null, round: rejection.round, reasons: rejection.reasons, at: rejection.at },
+    { key: `artist.rejected:${artist?.id}:${rejection.round}` }
+  );
+}
+
+/**
+ * Verification rules for leaving review (pending, or rejected should a transition ever allow it;
+ * artistVerification.js). Called after canTransition by every route that can take an artist out of
+ * review: approve, reject, /status, PUT and PATCH. Sends the error and returns true when the move is refused:
+ * - another reviewer is assigned (super-admins may still decide)
+ * - approving with required checklist items failing
+ * - rejecting anywhere but /reject, which is where the reasons are given
+ */
+async function verificationBlocks(req, res, existing, from, to, { via = "status" } = {}) {
+  if (!["pending", "rejected"].includes(from) || from === to || !["active", "rejected"].includes(to)) return false;
+  const id = existing.id;
+  const record = await getVerification(id);
+
+  const actor = actorOf(req);
+  if (record.reviewer && record.reviewer.id !== actor.id && !actor.roles.includes("super-admin")) {
+    sendError(res, 403, "not_assigned_reviewer", "Another reviewer is assigned to this artist.", { id, reviewer: record.reviewer.id });
+    return true;
+  }
+
+  if (to === "active") {
+    const checklist = evaluateChecklist(existing, record);
+    if (!checklist.ready) {
+      sendError(res, 409, "verification_incomplete", "Required verification items have not passed.", {
+        id,
+        failing: checklist.failing,
+        checklist: checklist.items,
+      });
+      return true;
+    }
+  }
+
+  if (to === "rejected" && via !== "reject") {
+    sendError(res, 400, "reasons_required", "Reject pending artists with PATCH /api/admin/artists/:id/reject and the reasons.", { id });
+    return true;
+  }
+  return false;
+}
+
 /**
  * PATCH /api/admin/artists/:id/approve
  * pending -> active
  */
-router.patch("/:id/approve", (req, res) => {
+api.patch("/:id/approve", adminSpec("artists.review", "Approve (pending -> active)"), requirePermission("artists.review"), async (req, res) => {
   const id = asString(req.params.id);
   const existing = storeGet(id);
   if (!existing) return notFound(res, id);
@@ -317,10 +464,16 @@ router.patch("/:id/approve", (req, res) => {
   const to = "active";
 
   if (!canTransition(from, to)) {
-    return badRequest(res, "Invalid status transition.", { id, from, to });
+    return badRequest(res, "invalid_transition", "Invalid status transition.", { id, from, to });
   }
+  if (await verificationBlocks(req, res, existing, from, to, { via: "approve" })) return;
 
   const updated = applyPatch(id, { status: to });
+  await recordAudit(req, { action: "artist.approve", target: { type: "artist", id }, before: existing, after: updated });
+  if (from === "pending") {
+    await recordApproval(id, { by: actorOf(req).id });
+    await notifyApproved(updated, from);
+  }
 
   return ok(res, {
     success: true,
@@ -335,8 +488,10 @@ router.patch("/:id/approve", (req, res) => {
 /**
  * PATCH /api/admin/artists/:id/reject
  * pending -> rejected
+ * Body: { "reasons": [{ "code": "missing_sample_track", "message"?: "..." }], "note"?: "staff only" }
+ * "other" needs its own message; the others default to the catalogue text (artistVerification.js).
  */
-router.patch("/:id/reject", (req, res) => {
+api.patch("/:id/reject", adminSpec("artists.review", "Reject (pending -> rejected) with reasons", { body: REJECT_BODY }), requirePermission("artists.review"), async (req, res) => {
   const id = asString(req.params.id);
   const existing = storeGet(id);
   if (!existing) return notFound(res, id);
@@ -345,10 +500,24 @@ router.patch("/:id/reject", (req, res) => {
   const to = "rejected";
 
   if (!canTransition(from, to)) {
-    return badRequest(res, "Invalid status transition.", { id, from, to });
+    return badRequest(res, "invalid_transition", "Invalid status transition.", { id, from, to });
   }
+  const reasons = req.body.reasons;
+  if (reasons.some((r) => r.code === "other" && !asString(r.message))) {
+    return badRequest(res, "reason_message_required", "Reason \"other\" needs a message for the artist.", { id });
+  }
+  if (await verificationBlocks(req, res, existing, from, to, { via: "reject" })) return;
 
   const updated = applyPatch(id, { status: to });
+  const { record, rejection } = await recordRejection(id, { reasons, note: req.body.note, by: actorOf(req).id });
+  await recordAudit(req, {
+    action: "artist.reject",
+    target: { type: "artist", id },
+    before: existing,
+    after: updated,
+    meta: { round: rejection.round, reasons: rejection.reasons.map((r) => r.code) },
+  });
+  await notifyRejected(updated, rejection);
 
   return ok(res, {
     success: true,
@@ -357,6 +526,7 @@ router.patch("/:id/reject", (req, res) => {
     from,
     to,
     artist: updated,
+    verification: verificationView(updated, record),
   });
 });
 
@@ -364,7 +534,7 @@ router.patch("/:id/reject", (req, res) => {
  * PATCH /api/admin/artists/:id/suspend
  * active -> suspended
  */
-router.patch("/:id/suspend", (req, res) => {
+api.patch("/:id/suspend", adminSpec("artists.review", "Suspend (active -> suspended)"), requirePermission("artists.review"), async (req, res) => {
   const id = asString(req.params.id);
   const existing = storeGet(id);
   if (!existing) return notFound(res, id);
@@ -373,10 +543,11 @@ router.patch("/:id/suspend", (req, res) => {
   const to = "suspended";
 
   if (!canTransition(from, to)) {
-    return badRequest(res, "Invalid status transition.", { id, from, to });
+    return badRequest(res, "invalid_transition", "Invalid status transition.", { id, from, to });
   }
 
   const updated = applyPatch(id, { status: to });
+  await recordAudit(req, { action: "artist.suspend", target: { type: "artist", id }, before: existing, after: updated });
 
   return ok(res, {
     success: true,
@@ -392,7 +563,7 @@ router.patch("/:id/suspend", (req, res) => {
  * PATCH /api/admin/artists/:id/unsuspend
  * suspended -> active
  */
-router.patch("/:id/unsuspend", (req, res) => {
+api.patch("/:id/unsuspend", adminSpec("artists.review", "Unsuspend (suspended -> active)"), requirePermission("artists.review"), async (req, res) => {
   const id = asString(req.params.id);
   const existing = storeGet(id);
   if (!existing) return notFound(res, id);
@@ -401,10 +572,11 @@ router.patch("/:id/unsuspend", (req, res) => {
   const to = "active";
 
   if (!canTransition(from, to)) {
-    return badRequest(res, "Invalid status transition.", { id, from, to });
+    return badRequest(res, "invalid_transition", "Invalid status transition.", { id, from, to });
   }
 
   const updated = applyPatch(id, { status: to });
+  await recordAudit(req, { action: "artist.unsuspend", target: { type: "artist", id }, before: existing, after: updated });
 
   return ok(res, {
     success: true,
@@ -421,29 +593,30 @@ router.patch("/:id/unsuspend", (req, res) => {
  * Admin-safe status setter (future-proof).
  * Body: { "status": "pending|active|rejected|suspended" }
  */
-router.patch("/:id/status", (req, res) => {
+api.patch("/:id/status", adminSpec("artists.review", "Set status (allowed transitions only)", {
+  body: S.obj({ status: S.enumOf(STATUSES) }, ["status"]),
+}), requirePermission("artists.review"), async (req, res) => {
   const id = asString(req.params.id);
   const existing = storeGet(id);
   if (!existing) return notFound(res, id);
 
   const requested = normalizeStatus(req.body?.status);
 
-  if (!requested || !ALLOWED_STATUSES.has(requested)) {
-    return badRequest(res, "Invalid status. Allowed: pending, active, rejected, suspended.", {
-      id,
-      allowed: Array.from(ALLOWED_STATUSES),
-    });
-  }
-
   const from = asString(existing.status).toLowerCase() || "active";
   const to = requested;
 
   // Keep it safe by default; if you want full admin override later, we can add ?force=1
   if (!canTransition(from, to)) {
-    return badRequest(res, "Invalid status transition.", { id, from, to });
+    return badRequest(res, "invalid_transition", "Invalid status transition.", { id, from, to });
   }
+  if (await verificationBlocks(req, res, existing, from, to)) return;
 
   const updated = applyPatch(id, { status: to });
+  await recordAudit(req, { action: "artist.status", target: { type: "artist", id }, before: existing, after: updated });
+  if (from === "pending" && to === "active") {
+    await recordApproval(id, { by: actorOf(req).id });
+    await notifyApproved(updated, from);
+  }
 
   return ok(res, {
     success: true,
@@ -461,14 +634,10 @@ router.patch("/:id/status", (req, res) => {
  * POST /api/admin/artists
  * Create new artist (requires name)
  */
-router.post("/", (req, res) => {
+api.post("/", adminSpec("artists.write", "Create an artist", { body: ARTIST_BODY, responses: { 201: "Created." } }), requirePermission("artists.write"), async (req, res) => {
   const payload = normalizeArtistPayload(req.body);
 
-  if (!payload.name) {
-    return badRequest(res, "Validation error: 'name' is required.");
-  }
-
-  const createdArtist = storeCreate(
+  const { after: createdArtist, revision } = await reviseArtist(req, payload.id, { action: "create" }, () => storeCreate(
     stripUndefined({
       id: payload.id,
       name: payload.name,
@@ -481,12 +650,15 @@ router.post("/", (req, res) => {
       status: payload.status ?? "active",
       votes: Number.isFinite(payload.votes) ? toInt(payload.votes, 0) : 0,
     })
-  );
+  ));
+
+  await recordAudit(req, { action: "artist.create", target: { type: "artist", id: createdArtist?.id }, after: createdArtist, meta: revisionMeta(revision) });
 
   return created(res, {
     success: true,
     message: "Artist created successfully.",
     artist: createdArtist,
+    revision: revisionRef(revision),
   });
 });
 
@@ -494,18 +666,21 @@ router.post("/", (req, res) => {
  * PUT /api/admin/artists/:id
  * Replace full artist (requires name)
  */
-router.put("/:id", (req, res) => {
+api.put("/:id", adminSpec("artists.write", "Replace an artist", { body: ARTIST_BODY }), requirePermission("artists.write"), async (req, res) => {
   const id = asString(req.params.id);
   const existing = storeGet(id);
   if (!existing) return notFound(res, id);
 
   const payload = normalizeArtistPayload(req.body);
-
-  if (!payload.name) {
-    return badRequest(res, "Validation error: 'name' is required.");
+  const from = asString(existing.status).toLowerCase() || "active";
+  if (payload.status) {
+    if (!canTransition(from, payload.status)) {
+      return badRequest(res, "invalid_transition", "Invalid status transition.", { id, from, to: payload.status });
+    }
+    if (await verificationBlocks(req, res, existing, from, payload.status)) return;
   }
 
-  const updated = storeUpdate(id, {
+  const { before, after: updated, revision } = await reviseArtist(req, id, { action: "replace" }, () => storeUpdate(id, {
     name: payload.name,
     genre: payload.genre ?? "Unknown",
     location: payload.location ?? "",
@@ -515,12 +690,15 @@ router.put("/:id", (req, res) => {
     tracks: payload.tracks ?? [],
     status: payload.status ?? existing.status,
     votes: Number.isFinite(payload.votes) ? toInt(payload.votes, existing.votes ?? 0) : existing.votes,
-  });
+  }));
+  if (from === "pending" && updated?.status === "active") await recordApproval(id, { by: actorOf(req).id });
+  await recordAudit(req, { action: "artist.replace", target: { type: "artist", id }, before, after: updated, meta: revisionMeta(revision) });
 
   return ok(res, {
     success: true,
     message: "Artist updated successfully.",
     artist: updated,
+    revision: revisionRef(revision),
   });
 });
 
@@ -528,7 +706,7 @@ router.put("/:id", (req, res) => {
  * PATCH /api/admin/artists/:id
  * Partial update ✅ uses patchArtist() so changes persist cleanly
  */
-router.patch("/:id", (req, res) => {
+api.patch("/:id", adminSpec("artists.write", "Patch an artist", { body: ARTIST_PATCH }), requirePermission("artists.write"), async (req, res) => {
   const id = asString(req.params.id);
   const existing = storeGet(id);
   if (!existing) return notFound(res, id);
@@ -548,42 +726,114 @@ router.patch("/:id", (req, res) => {
   });
 
   if (Object.keys(patch).length === 0) {
-    return badRequest(res, "No valid fields provided to update.");
+    return badRequest(res, "validation_failed", "No valid fields provided to update.");
   }
 
   // If they try setting status here, keep it safe/consistent with admin rules
   if (patch.status) {
     const from = asString(existing.status).toLowerCase() || "active";
     const to = asString(patch.status).toLowerCase();
-    if (!ALLOWED_STATUSES.has(to)) {
-      return badRequest(res, "Invalid status. Allowed: pending, active, rejected, suspended.", {
-        id,
-        allowed: Array.from(ALLOWED_STATUSES),
-      });
-    }
     if (!canTransition(from, to)) {
-      return badRequest(res, "Invalid status transition.", { id, from, to });
+      return badRequest(res, "invalid_transition", "Invalid status transition.", { id, from, to });
     }
+    if (await verificationBlocks(req, res, existing, from, to)) return;
   }
 
-  const updated = applyPatch(id, patch);
+  const { before, after: updated, revision } = await reviseArtist(req, id, { action: "update" }, () => applyPatch(id, patch));
+  if (existing.status === "pending" && updated?.status === "active") await recordApproval(id, { by: actorOf(req).id });
+  await recordAudit(req, { action: "artist.update", target: { type: "artist", id }, before, after: updated, meta: revisionMeta(revision) });
 
   return ok(res, {
     success: true,
     message: "Artist patched successfully.",
     artist: updated,
+    revision: revisionRef(revision),
+  });
+});
+
+/* -------------------- Revisions -------------------- */
+
+/**
+ * GET /api/admin/artists/:id/revisions
+ * Newest first: n, author, at, action and field-level diff (snapshots via /revisions/:n).
+ * Revisions outlive a deleted artist, so this reads without checking the store.
+ */
+api.get("/:id/revisions", adminSpec("artists.read", "List an artist's revisions", {
+  params: { id: S.id(80) },
+  query: S.obj(PAGE_QUERY),
+}), requirePermission("artists.read"), async (req, res) => {
+  const id = asString(req.params.id);
+  const page = readPage(req.query, { defaultLimit: 50, maxLimit: 200, scope: { artistId: id } });
+  if (page.error) return sendPageError(res, page.error);
+
+  const out = await listRevisions(id, page);
+  if (!out.total && !storeGet(id)) return notFound(res, id);
+
+  return ok(res, { success: true, id, ...out });
+});
+
+/**
+ * GET /api/admin/artists/:id/revisions/:n
+ */
+api.get("/:id/revisions/:n", adminSpec("artists.read", "Get one revision with its snapshot", { params: REVISION_PARAMS }), requirePermission("artists.read"), async (req, res) => {
+  const id = asString(req.params.id);
+  const revision = await getRevision(id, req.params.n);
+  if (!revision) return sendError(res, 404, "revision_not_found", "Revision not found.", { id, n: req.params.n });
+
+  return ok(res, { success: true, id, revision });
+});
+
+/**
+ * POST /api/admin/artists/:id/revisions/:n/revert
+ * Restores the profile of revision n. History is never rewritten: the restore is a new revision
+ * (action "revert", revertOf n). Votes, counters and status are left as they are.
+ */
+api.post("/:id/revisions/:n/revert", adminSpec("artists.write", "Revert an artist to an earlier revision", {
+  params: REVISION_PARAMS,
+  responses: { 409: "Already at that revision." },
+}), requirePermission("artists.write"), async (req, res) => {
+  const id = asString(req.params.id);
+  const existing = storeGet(id);
+  if (!existing) return notFound(res, id);
+
+  const target = await getRevision(id, req.params.n);
+  if (!target) return sendError(res, 404, "revision_not_found", "Revision not found.", { id, n: req.params.n });
+
+  // the patch is worked out inside the lock, against the profile it will be applied to
+  const { before, after: updated, revision } = await reviseArtist(req, id, { action: "revert", revertOf: target.n }, (current) => {
+    const patch = current ? revertPatch(current, target) : {};
+    return Object.keys(patch).length ? storeUpdate(id, patch) : null;
+  });
+  if (!updated) {
+    return sendError(res, 409, "no_changes", "The artist already matches this revision.", { id, n: target.n });
+  }
+
+  await recordAudit(req, {
+    action: "artist.revert",
+    target: { type: "artist", id },
+    before,
+    after: updated,
+    meta: { ...revisionMeta(revision), revertOf: target.n },
+  });
+
+  return ok(res, {
+    success: true,
+    message: `Artist reverted to revision ${target.n}.`,
+    artist: updated,
+    revision: revisionRef(revision),
   });
 });
 
 /**
  * DELETE /api/admin/artists/:id
  */
-router.delete("/:id", (req, res) => {
+api.delete("/:id", adminSpec("artists.delete", "Delete an artist"), requirePermission("artists.delete"), async (req, res) => {
   const id = asString(req.params.id);
   const existing = storeGet(id);
   if (!existing) return notFound(res, id);
 
   const deleted = storeDelete(id);
+  await recordAudit(req, { action: "artist.delete", target: { type: "artist", id }, before: existing, after: null });
 
   return ok(res, {
     success: true,
@@ -592,4 +842,113 @@ router.delete("/:id", (req, res) => {
   });
 });
 
+/* -------------------- Verification -------------------- */
+
+/**
+ * GET /api/admin/artists/verification/queue
+ * Artists under review with their checklist, ready ones first, then oldest first.
+ * ?status=pending (default) | rejected, ?reviewer=me | none | <admin id>, ?ready=true|false
+ */
+api.get("/verification/queue", adminSpec("artists.read", "Verification queue", {
+  query: S.obj({ status: S.enumOf(["pending", "rejected"]), reviewer: S.text(120), ready: S.bool() }),
+}), requirePermission("artists.read"), async (req, res) => {
+  const status = req.query.status || "pending";
+  const reviewer = req.query.reviewer === "me" ? actorOf(req).id : asString(req.query.reviewer);
+  const records = await listVerifications();
+
+  const items = [];
+  for (const artist of storeList()) {
+    if (artist?.status !== status) continue;
+    const view = verificationView(artist, records[artist.id] || emptyRecord(artist.id));
+    if (reviewer === "none" ? view.reviewer : reviewer && view.reviewer?.id !== reviewer) continue;
+    if (typeof req.query.ready === "boolean" && view.ready !== req.query.ready) continue;
+    items.push({ artist: { id: artist.id, name: artist.name, genre: artist.genre, createdAt: artist.createdAt }, ...view });
+  }
+  items.sort((a, b) => Number(b.ready) - Number(a.ready) || String(a.artist.createdAt).localeCompare(String(b.artist.createdAt)));
+
+  return ok(res, { success: true, status, count: items.length, items });
+});
+
+/**
+ * GET /api/admin/artists/:id/verification
+ */
+api.get("/:id/verification", adminSpec("artists.read", "Verification checklist, reviewer and history"), requirePermission("artists.read"), async (req, res) => {
+  const id = asString(req.params.id);
+  const artist = storeGet(id);
+  if (!artist) return notFound(res, id);
+
+  return ok(res, { success: true, id, verification: verificationView(artist, await getVerification(id)) });
+});
+
+/**
+ * PUT /api/admin/artists/:id/verification/reviewer
+ * Body: { "reviewer"?: "<admin id>" } — without one, the caller takes the review.
+ */
+api.put("/:id/verification/reviewer", adminSpec("artists.review", "Assign a reviewer", {
+  body: S.obj({ reviewer: S.id(120) }),
+}), requirePermission("artists.review"), async (req, res) => {
+  const id = asString(req.params.id);
+  const artist = storeGet(id);
+  if (!artist) return notFound(res, id);
+  if (!["pending", "rejected"].includes(artist.status)) {
+    return sendError(res, 409, "not_in_review", "Only pending or rejected artists have a reviewer.", { id, status: artist.status });
+  }
+
+  const before = (await getVerification(id)).reviewer;
+  const reviewer = asString(req.body?.reviewer) || actorOf(req).id;
+  const record = await assignReviewer(id, { reviewer, by: actorOf(req).id });
+  await recordAudit(req, {
+    action: "artist.verification.assign",
+    target: { type: "artist", id },
+    diff: { reviewer: { before: before?.id ?? null, after: reviewer } },
+  });
+
+  return ok(res, { success: true, message: "Reviewer assigned.", id, verification: verificationView(artist, record) });
+});
+
+/**
+ * DELETE /api/admin/artists/:id/verification/reviewer
+ */
+api.delete("/:id/verification/reviewer", adminSpec("artists.review", "Unassign the reviewer"), requirePermission("artists.review"), async (req, res) => {
+  const id = asString(req.params.id);
+  const artist = storeGet(id);
+  if (!artist) return notFound(res, id);
+
+  const before = (await getVerification(id)).reviewer;
+  const record = await assignReviewer(id, { reviewer: null, by: actorOf(req).id });
+  if (before) {
+    await recordAudit(req, { action: "artist.verification.unassign", target: { type: "artist", id }, diff: { reviewer: { before: before.id, after: null } } });
+  }
+
+  return ok(res, { success: true, message: "Reviewer unassigned.", id, verification: verificationView(artist, record) });
+});
+
+/**
+ * PATCH /api/admin/artists/:id/verification/identity
+ * Body: { "confirmed": true, "method"?: "document|social_account|label_contact|other", "note"?: "..." }
+ */
+api.patch("/:id/verification/identity", adminSpec("artists.review", "Confirm (or withdraw) the artist's identity", {
+  body: S.obj({ confirmed: S.bool(), method: S.enumOf(IDENTITY_METHODS), note: S.text(1000) }, ["confirmed"]),
+}), requirePermission("artists.review"), async (req, res) => {
+  const id = asString(req.params.id);
+  const artist = storeGet(id);
+  if (!artist) return notFound(res, id);
+
+  const before = (await getVerification(id)).identity;
+  const record = await setIdentity(id, { ...req.body, by: actorOf(req).id });
+  await recordAudit(req, {
+    action: "artist.verification.identity",
+    target: { type: "artist", id },
+    before: { confirmed: before.confirmed, method: before.method },
+    after: { confirmed: record.identity.confirmed, method: record.identity.method },
+  });
+
+  return ok(res, {
+    success: true,
+    message: record.identity.confirmed ? "Identity confirmed." : "Identity confirmation withdrawn.",
+    id,
+    verification: verificationView(artist, record),
+  });
+});
+
 export default router;
\ No newline at end of file
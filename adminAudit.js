@@ -0,0 +1,266 @@
+/**
+ * adminAudit.js (root) — ESM
+ * iBand Admin Audit Log (v1): append-only, hash-chained record of every administrative mutation.
+ *
+ * Served by admin.js:
+ * - GET /api/admin/audit          ?actor=&targetType=&targetId=&action=&from=&to=&limit=  (newest first)
+ * - GET /api/admin/audit/verify   walks the chain, reports the first entries that don't check out
+ *
+ * Entry (one JSONL line):
+ *   { v, seq, id, at, actor: { id, mode, roles }, action, target: { type, id }, diff, ipHash, requestId, meta, alg, prevHash, hash }
+ * - diff: { field: { before, after } } for the fields that changed (creates: before null, deletes: after null)
+ * - hash: HMAC-SHA256(IBAND_AUDIT_SECRET, prevHash + canonical JSON of the entry without "hash");
+ *         plain SHA-256 when no secret is configured (alg says which)
+ * - seq is gapless, so a removed or unparseable line breaks the chain too
+ * - requestId: X-Request-Id of the admin request (requestContext.js); older entries have none
+ *
+ * A head anchor ("<log>.head.json": last seq + hash) is rewritten on every append; a log that was
+ * truncated behind the anchor's back fails verification.
+ *
+ * Appends are serialised per file (storage/lock.js) so concurrent admin requests keep one chain.
+ * recordAudit never throws: a failed write is logged and counted, the admin action stands.
+ *
+ * Config (config.js namespace "audit"):
+ * - IBAND_AUDIT_LOG     log file (default <data dir>/admin/audit.jsonl)
+ * - IBAND_AUDIT_SECRET  >= 32 chars; keys the chain and the IP hashes
+ */
+
+import crypto from "crypto";
+
+import { getConfig } from "./config.js";
+import { getStorage, withFileLock } from "./storage/index.js";
+import { currentRequestId, clientIp } from "./requestContext.js";
+import { logger } from "./logger.js";
+
+const VERSION = 1;
+const GENESIS = "0".repeat(64);
+const MAX_LIMIT = 1000;
+const TAIL_BYTES = 256 * 1024;
+
+const stats = { appended: 0, failed: 0, lastError: null };
+
+/* -------------------- Helpers -------------------- */
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function safeStr(v, max = 200) {
+  if (v === null || v === undefined) return "";
+  return String(v).trim().slice(0, max);
+}
+
+function auditConfig() {
+  const { file, secret } = getConfig("audit");
+  return { file, secret, anchor: file.replace(/\.jsonl$/, "") + ".head.json" };
+}
+
+function storageFor() {
+  return getStorage(getConfig("core").dataDir);
+}
+
+/** JSON with object keys sorted at every level, so the hash doesn't depend on key order. */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function chainHash(entry, alg, secret) {
+  const { hash, ...rest } = entry;
+  const material = `${rest.prevHash}${canonical(rest)}`;
+  if (alg === "hmac-sha256") return crypto.createHmac("sha256", secret).update(material).digest("hex");
+  return crypto.createHash("sha256").update(material).digest("hex");
+}
+
+function hashIp(ip, secret) {
+  const h = secret ? crypto.createHmac("sha256", secret) : crypto.createHash("sha256");
+  return h.update(String(ip)).digest("hex").slice(0, 24);
+}
+
+/**
+ * Who made an admin request: { id, mode, roles } (also used by artistRevisions.js).
+ * Artists editing their own profile (artists.js) show up as "artist:<id>" without roles.
+ */
+export function actorOf(req) {
+  const p = req?.principal;
+  if (p?.kind === "artist") return { id: `artist:${p.artistId}`, mode: "token", roles: [] };
+  const mode = req?._adminMode || "unknown";
+  const id = p?.kind === "admin" ? p.adminId : mode === "locked" ? "admin-key" : mode;
+  return { id, mode, roles: Array.isArray(req?.adminRoles) ? req.adminRoles : [] };
+}
+
+function toMs(v) {
+  const s = safeStr(v, 40);
+  if (!s) return null;
+  const n = /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Field-level diff of two records (shallow; nested values compared as a whole).
+ * Returns { field: { before, after } } for changed fields; updatedAt is noise and skipped.
+ */
+export function diffRecords(before, after) {
+  const a = before && typeof before === "object" ? before : {};
+  const b = after && typeof after === "object" ? after : {};
+  const out = {};
+  for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (k === "updatedAt") continue;
+    if (canonical(a[k]) !== canonical(b[k])) out[k] = { before: a[k] ?? null, after: b[k] ?? null };
+  }
+  return out;
+}
+
+/* -------------------- Write -------------------- */
+
+async function lastEntry(storage, file) {
+  const st = await storage.stat(file);
+  if (!st.exists || !st.size) return null;
+  let rows = await storage.readJsonl(file, { tailBytes: TAIL_BYTES });
+  if (!rows.length) rows = await storage.readJsonl(file);
+  return rows.length ? rows[rows.length - 1] : null;
+}
+
+/**
+ * Appends one entry (or several, chained in order, for bulk actions).
+ * item: { action, target: { type, id }, before?, after?, diff?, meta? }
+ * Returns the written entries, or [] when the write failed.
+ */
+export async function recordAudit(req, items) {
+  const list = (Array.isArray(items) ? items : [items]).filter(Boolean);
+  if (!list.length) return [];
+
+  const cfg = auditConfig();
+  const storage = storageFor();
+  const alg = cfg.secret ? "hmac-sha256" : "sha256";
+  const actor = actorOf(req);
+  const ipHash = hashIp(clientIp(req), cfg.secret);
+  const requestId = req?.id ?? currentRequestId();
+
+  try {
+    return await withFileLock(storage, cfg.file, async () => {
+      const head = await lastEntry(storage, cfg.file);
+      let seq = Number.isInteger(head?.seq) ? head.seq : 0;
+      let prevHash = head?.hash || GENESIS;
+
+      const written = [];
+      for (const item of list) {
+        seq += 1;
+        const entry = {
+          v: VERSION,
+          seq,
+          id: `aud_${Date.now()}_${crypto.randomBytes(6).toString("hex")}`,
+          at: nowIso(),
+          actor,
+          action: safeStr(item.action, 80),
+          target: { type: safeStr(item.target?.type, 40), id: safeStr(item.target?.id, 120) },
+          diff: item.diff || diffRecords(item.before, item.after),
+          ipHash,
+          ...(requestId ? { requestId } : {}),
+          meta: item.meta && typeof item.meta === "object" ? item.meta : {},
+          alg,
+          prevHash,
+        };
+        entry.hash = chainHash(entry, alg, cfg.secret);
+        await storage.appendJsonl(cfg.file, entry);
+        prevHash = entry.hash;
+        written.push(entry);
+      }
+
+      await storage.writeJson(cfg.anchor, { version: VERSION, seq, hash: prevHash, updatedAt: nowIso() });
+      stats.appended += written.length;
+      return written;
+    });
+  } catch (e) {
+    stats.failed += list.length;
+    stats.lastError = { at: nowIso(), message: e?.message || String(e) };
+    logger.error("audit_write_failed", { actions: list.map((i) => i.action), error: stats.lastError.message });
+    return [];
+  }
+}
+
+/* -------------------- Read / Verify -------------------- */
+
+/**
+ * Filtered entries, newest first.
+ * Filters: actor, targetType, targetId, action (exact or "prefix.*"), from/to (ISO or epoch ms), limit.
+ */
+export async function readAudit(query = {}) {
+  const cfg = auditConfig();
+  const rows = await storageFor().readJsonl(cfg.file);
+
+  const actor = safeStr(query.actor, 120);
+  const targetType = safeStr(query.targetType, 40);
+  const targetId = safeStr(query.targetId, 120);
+  const action = safeStr(query.action, 80);
+  const fromMs = toMs(query.from);
+  const toMsV = toMs(query.to);
+  const limit = Math.max(1, Math.min(MAX_LIMIT, Number(query.limit) || 100));
+
+  const matches = rows.filter((e) => {
+    if (actor && e.actor?.id !== actor) return false;
+    if (targetType && e.target?.type !== targetType) return false;
+    if (targetId && e.target?.id !== targetId) return false;
+    if (action) {
+      if (action.endsWith(".*") ? !String(e.action).startsWith(action.slice(0, -1)) : e.action !== action) return false;
+    }
+    const t = Date.parse(e.at);
+    if (fromMs !== null && !(t >= fromMs)) return false;
+    if (toMsV !== null && !(t <= toMsV)) return false;
+    return true;
+  });
+
+  return {
+    total: rows.length,
+    matched: matches.length,
+    entries: matches.reverse().slice(0, limit),
+    filters: { actor, targetType, targetId, action, from: query.from || null, to: query.to || null, limit },
+  };
+}
+
+/** Recomputes the whole chain. ok=false with the first problems when anything was edited, removed or truncated. */
+export async function verifyAudit() {
+  const cfg = auditConfig();
+  const storage = storageFor();
+  const rows = await storage.readJsonl(cfg.file);
+  const anchor = await storage.readJson(cfg.anchor, null);
+
+  const problems = [];
+  const flag = (seq, code, message) => {
+    if (problems.length < 20) problems.push({ seq, code, message });
+  };
+
+  let prevSeq = 0;
+  let prevHash = GENESIS;
+  for (const e of rows) {
+    if (e?.seq !== prevSeq + 1) flag(e?.seq ?? null, "seq_gap", `Expected seq ${prevSeq + 1}, found ${e?.seq}.`);
+    if (e?.prevHash !== prevHash) flag(e?.seq ?? null, "chain_broken", "prevHash does not match the previous entry.");
+    if (e?.alg === "hmac-sha256" && !cfg.secret) {
+      flag(e.seq, "secret_missing", "Entry is HMAC-chained but IBAND_AUDIT_SECRET is not set.");
+    } else if (chainHash(e, e?.alg, cfg.secret) !== e?.hash) {
+      flag(e?.seq ?? null, "hash_mismatch", "Entry contents do not match its hash.");
+    }
+    prevSeq = Number.isInteger(e?.seq) ? e.seq : prevSeq + 1;
+    prevHash = e?.hash;
+  }
+
+  const head = rows.length ? { seq: rows[rows.length - 1].seq, hash: rows[rows.length - 1].hash } : { seq: 0, hash: GENESIS };
+  if (anchor && (anchor.seq !== head.seq || anchor.hash !== head.hash)) {
+    flag(anchor.seq, "anchor_mismatch", `Head anchor is at seq ${anchor.seq}, log ends at seq ${head.seq}.`);
+  } else if (!anchor && rows.length) {
+    flag(null, "anchor_missing", "Head anchor is missing.");
+  }
+
+  return { ok: problems.length === 0, entries: rows.length, head, anchor, problems, checkedAt: nowIso() };
+}
+
+export function getAuditStats() {
+  const { file, secret } = getConfig("audit");
+  return { file, alg: secret ? "hmac-sha256" : "sha256", ...stats };
+}
+
+export default { recordAudit, readAudit, verifyAudit, diffRecords, actorOf, getAuditStats };
@@ -16,11 +16,20 @@
 // - POST   /api/admin/comments/bulk/delete
 // - POST   /api/admin/comments/reset
 // - POST   /api/admin/comments/seed
+//
+// Permissions (permissions.js): reads = any admin role; moderation, edits and deletes = moderator;
+// reset + seed = super-admin.
+// Every mutation (bulk ones per comment) is recorded in the admin audit log (adminAudit.js).
+// Request schemas (apiSchema.js) are declared per route; errors use the shared envelope.
 
 import express from "express";
 import commentsStore from "./commentsStore.js";
+import { requirePermission } from "./permissions.js";
+import { recordAudit } from "./adminAudit.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
 
 const router = express.Router();
+const api = describeRoutes(router, { tag: "admin-comments" });
 
 const CANONICAL_STATUSES = ["pending", "approved", "hidden", "rejected"];
 
@@ -47,8 +56,27 @@ function toBool(v) {
   return String(v ?? "").toLowerCase() === "true";
 }
 
+const FAIL_CODES = { 400: "bad_request", 404: "not_found", 409: "conflict" };
+
 function jsonFail(res, status, message) {
-  return res.status(status).json({ success: false, message });
+  return sendError(res, status, FAIL_CODES[status] || "internal_error", message);
+}
+
+/* -------------------- Schemas -------------------- */
+const STATUS = S.enumOf(CANONICAL_STATUSES);
+const IDS = { type: ["array", "string"], items: S.id(), minItems: 1, maxItems: 1000, minLength: 1 }; // array or "id1,id2"
+
+const COMMENT_FIELDS = {
+  artistId: S.text(120),
+  author: S.text(120),
+  text: S.text(5000),
+  status: STATUS,
+  moderatedBy: S.text(120),
+  moderationNote: S.text(1000),
+};
+
+function adminSpec(permission, summary, spec = {}) {
+  return { auth: "admin", permission, summary, ...spec };
 }
 
 /* -------------------- Store Adapter (future-proof) -------------------- */
@@ -154,15 +182,14 @@ const store = {
  *  - artistId=...
  *  - flagged=true
  */
-router.get("/", (req, res) => {
+api.get("/", adminSpec("comments.read", "List comments", {
+  query: S.obj({ status: STATUS, artistId: S.text(120), flagged: S.bool() }),
+}), requirePermission("comments.read"), (req, res) => {
   const statusRaw = asString(req.query.status);
   const artistId = asString(req.query.artistId);
   const flagged = toBool(req.query.flagged);
 
   const status = statusRaw ? normalizeStatus(statusRaw) : null;
-  if (statusRaw && !status) {
-    return jsonFail(res, 400, `Invalid status. Use: ${CANONICAL_STATUSES.join(" | ")}`);
-  }
 
   const result = store.listAdmin({
     status: status || undefined,
@@ -184,7 +211,7 @@ router.get("/", (req, res) => {
 /**
  * GET /api/admin/comments/:id
  */
-router.get("/:id", (req, res) => {
+api.get("/:id", adminSpec("comments.read", "Get one comment"), requirePermission("comments.read"), (req, res) => {
   const comment = store.getById(req.params.id);
   if (!comment) return jsonFail(res, 404, "Comment not found.");
   return res.status(200).json({ success: true, comment });
@@ -194,15 +221,14 @@ router.get("/:id", (req, res) => {
  * POST /api/admin/comments
  * Body: { artistId, author, text }
  */
-router.post("/", (req, res) => {
+api.post("/", adminSpec("comments.write", "Create a comment", {
+  body: S.obj(COMMENT_FIELDS, ["artistId", "author", "text"]),
+  responses: { 201: "Created." },
+}), requirePermission("comments.write"), async (req, res) => {
   const artistId = asString(req.body?.artistId);
   const author = asString(req.body?.author);
   const text = asString(req.body?.text);
 
-  if (!artistId) return jsonFail(res, 400, "Validation error: 'artistId' is required.");
-  if (!author) return jsonFail(res, 400, "Validation error: 'author' is required.");
-  if (!text) return jsonFail(res, 400, "Validation error: 'text' is required.");
-
   const created = store.create({ artistId, author, text });
 
   // Store may return { ok:true, comment } OR a comment directly.
@@ -211,6 +237,7 @@ router.post("/", (req, res) => {
   }
 
   const comment = created?.comment ? created.comment : created;
+  await recordAudit(req, { action: "comment.create", target: { type: "comment", id: comment?.id }, after: comment });
 
   return res.status(201).json({
     success: true,
@@ -226,7 +253,7 @@ router.post("/", (req, res) => {
  *  - status: pending|approved|hidden|rejected
  *  - moderatedBy, moderationNote
  */
-router.patch("/:id", (req, res) => {
+api.patch("/:id", adminSpec("comments.moderate", "Edit or moderate a comment", { body: S.obj(COMMENT_FIELDS) }), requirePermission("comments.moderate"), async (req, res) => {
   const existing = store.getById(req.params.id);
   if (!existing) return jsonFail(res, 404, "Comment not found.");
 
@@ -236,11 +263,7 @@ router.patch("/:id", (req, res) => {
   if (req.body?.author !== undefined) patch.author = asString(req.body.author);
   if (req.body?.text !== undefined) patch.text = asString(req.body.text);
 
-  if (req.body?.status !== undefined) {
-    const s = normalizeStatus(req.body.status);
-    if (!s) return jsonFail(res, 400, `Invalid status. Use: ${CANONICAL_STATUSES.join(" | ")}`);
-    patch.status = s;
-  }
+  if (req.body?.status != null) patch.status = normalizeStatus(req.body.status);
 
   if (req.body?.moderatedBy !== undefined) patch.moderatedBy = asString(req.body.moderatedBy);
   if (req.body?.moderationNote !== undefined) patch.moderationNote = asString(req.body.moderationNote);
@@ -251,6 +274,7 @@ router.patch("/:id", (req, res) => {
   if (updated?.ok === false) return jsonFail(res, updated.status || 400, updated.message || "Patch failed.");
 
   const comment = updated?.comment ? updated.comment : updated;
+  await recordAudit(req, { action: "comment.update", target: { type: "comment", id: existing.id }, before: existing, after: comment });
 
   return res.status(200).json({
     success: true,
@@ -262,12 +286,13 @@ router.patch("/:id", (req, res) => {
 /**
  * DELETE /api/admin/comments/:id
  */
-router.delete("/:id", (req, res) => {
+api.delete("/:id", adminSpec("comments.delete", "Delete a comment"), requirePermission("comments.delete"), async (req, res) => {
   const existing = store.getById(req.params.id);
   if (!existing) return jsonFail(res, 404, "Comment not found.");
 
   const ok = store.remove(req.params.id);
   if (!ok) return jsonFail(res, 400, "Could not delete comment.");
+  await recordAudit(req, { action: "comment.delete", target: { type: "comment", id: existing.id }, before: existing, after: null });
 
   return res.status(200).json({
     success: true,
@@ -280,7 +305,9 @@ router.delete("/:id", (req, res) => {
  * POST /api/admin/comments/:id/flag
  * Body: { code, reason }
  */
-router.post("/:id/flag", (req, res) => {
+api.post("/:id/flag", adminSpec("comments.moderate", "Flag a comment", {
+  body: S.obj({ code: S.text(40), reason: S.text(500) }),
+}), requirePermission("comments.moderate"), async (req, res) => {
   const existing = store.getById(req.params.id);
   if (!existing) return jsonFail(res, 404, "Comment not found.");
 
@@ -289,6 +316,12 @@ router.post("/:id/flag", (req, res) => {
 
   const updated = store.addFlag(req.params.id, { code, reason });
   if (!updated) return jsonFail(res, 400, "Could not flag comment.");
+  await recordAudit(req, {
+    action: "comment.flag",
+    target: { type: "comment", id: existing.id },
+    before: existing,
+    after: updated?.comment ? updated.comment : updated,
+  });
 
   return res.status(200).json({
     success: true,
@@ -300,12 +333,18 @@ router.post("/:id/flag", (req, res) => {
 /**
  * POST /api/admin/comments/:id/flags/clear
  */
-router.post("/:id/flags/clear", (req, res) => {
+api.post("/:id/flags/clear", adminSpec("comments.moderate", "Clear all flags of a comment"), requirePermission("comments.moderate"), async (req, res) => {
   const existing = store.getById(req.params.id);
   if (!existing) return jsonFail(res, 404, "Comment not found.");
 
   const updated = store.clearFlags(req.params.id);
   if (!updated) return jsonFail(res, 400, "Could not clear flags.");
+  await recordAudit(req, {
+    action: "comment.flags.clear",
+    target: { type: "comment", id: existing.id },
+    before: existing,
+    after: updated?.comment ? updated.comment : updated,
+  });
 
   return res.status(200).json({
     success: true,
@@ -318,21 +357,34 @@ router.post("/:id/flags/clear", (req, res) => {
  * POST /api/admin/comments/bulk/status
  * Body: { ids: ["id1","id2"], status: "hidden", moderatedBy: "...", moderationNote: "..." }
  */
-router.post("/bulk/status", (req, res) => {
+api.post("/bulk/status", adminSpec("comments.moderate", "Set the status of many comments", {
+  body: S.obj({ ids: IDS, status: STATUS, moderatedBy: S.text(120), moderationNote: S.text(1000) }, ["ids", "status"]),
+}), requirePermission("comments.moderate"), async (req, res) => {
   const ids = parseIds(req.body?.ids);
   const status = normalizeStatus(req.body?.status);
   const moderatedBy = asString(req.body?.moderatedBy);
   const moderationNote = asString(req.body?.moderationNote);
 
   if (ids.length === 0) return jsonFail(res, 400, "ids is required (array or comma-separated string).");
-  if (!status) return jsonFail(res, 400, `Invalid status. Use: ${CANONICAL_STATUSES.join(" | ")}`);
 
+  const before = new Map(ids.map((id) => [id, store.getById(id)]).filter(([, c]) => c));
   const result = store.bulkUpdateStatus({ ids, status, moderatedBy, moderationNote });
 
   if (!result || result.ok === false) {
     return jsonFail(res, result?.status || 400, result?.message || "Bulk status update failed.");
   }
 
+  await recordAudit(
+    req,
+    [...before].map(([id, prev]) => ({
+      action: "comment.bulk.status",
+      target: { type: "comment", id },
+      before: prev,
+      after: store.getById(id),
+      meta: { bulkSize: before.size },
+    }))
+  );
+
   return res.status(200).json({
     success: true,
     message: "Bulk status update complete.",
@@ -346,12 +398,26 @@ router.post("/bulk/status", (req, res) => {
  * POST /api/admin/comments/bulk/delete
  * Body: { ids: ["id1","id2"] } or { ids: "id1,id2" }
  */
-router.post("/bulk/delete", (req, res) => {
+api.post("/bulk/delete", adminSpec("comments.delete", "Delete many comments", {
+  body: S.obj({ ids: IDS }, ["ids"]),
+}), requirePermission("comments.delete"), async (req, res) => {
   const ids = parseIds(req.body?.ids);
   if (ids.length === 0) return jsonFail(res, 400, "ids is required (array or comma-separated string).");
 
+  const before = new Map(ids.map((id) => [id, store.getById(id)]).filter(([, c]) => c));
   const result = store.bulkRemove(ids);
 
+  await recordAudit(
+    req,
+    (result.deletedIds ?? []).map((id) => ({
+      action: "comment.bulk.delete",
+      target: { type: "comment", id },
+      before: before.get(id) || null,
+      after: null,
+      meta: { bulkSize: result.deletedIds.length },
+    }))
+  );
+
   return res.status(200).json({
     success: true,
     message: "Bulk delete complete.",
@@ -364,8 +430,16 @@ router.post("/bulk/delete", (req, res) => {
  * POST /api/admin/comments/reset
  * Deletes all comments
  */
-router.post("/reset", (_req, res) => {
+api.post("/reset", adminSpec("comments.reset", "Delete all comments"), requirePermission("comments.reset"), async (req, res) => {
+  const all = store.listAdmin();
+  const beforeIds = (all?.comments ?? []).map((c) => c.id);
   const deleted = store.reset();
+  await recordAudit(req, {
+    action: "comment.reset",
+    target: { type: "comment", id: "*" },
+    diff: { count: { before: beforeIds.length, after: 0 } },
+    meta: { deletedIds: beforeIds },
+  });
   return res.status(200).json({
     success: true,
     deleted,
@@ -376,8 +450,9 @@ router.post("/reset", (_req, res) => {
 /**
  * POST /api/admin/comments/seed
  */
-router.post("/seed", (_req, res) => {
+api.post("/seed", adminSpec("comments.seed", "Seed demo comments"), requirePermission("comments.seed"), async (req, res) => {
   const seeded = store.seed();
+  await recordAudit(req, { action: "comment.seed", target: { type: "comment", id: "*" }, meta: { seeded } });
   return res.status(200).json({
     success: true,
     seeded,
@@ -1,3 +1,5 @@
+import { getConfig } from "../config.js";
+
 const MOVIE_MENTOR_SEMANTIC_INTERPRETER_VERSION = "1.3.3";
 const MOVIE_MENTOR_SEMANTIC_CONTRACT_VERSION = "1.3.3";
 
@@ -91,7 +93,7 @@ function validateIntelligence(c,{creatorConfirmedContext=[],creatorMessage=""}={
 function parseJsonText(t){const v=cleanString(t);if(!v)return null;try{return JSON.parse(v);}catch{return null;}}
 function extractOpenAIOutputText(p){if(cleanString(p?.output_text))return p.output_text;for(const i of asArray(p?.output))for(const c of asArray(i?.content))if(cleanString(c?.text))return c.text;return "";}
 
-function getProviderConfig(){const provider=cleanString(process.env.IBAND_AI_PROVIDER||"openai").toLowerCase(),model=cleanString(process.env.IBAND_AI_MODEL),timeoutMs=Math.max(1000,Number(process.env.IBAND_AI_TIMEOUT_MS||30000)||30000);if(provider==="openai")return {provider,model,url:cleanString(process.env.IBAND_AI_BASE_URL)||"https://api.openai.com/v1/responses",key:cleanString(process.env.IBAND_AI_API_KEY||process.env.OPENAI_API_KEY),requiresKey:true,requiresModel:true,timeoutMs};if(provider==="generic-http")return {provider,model,url:cleanString(process.env.IBAND_AI_BASE_URL),key:cleanString(process.env.IBAND_AI_API_KEY),requiresKey:false,requiresModel:false,timeoutMs};return {provider,model,url:"",key:"",requiresKey:false,requiresModel:false,timeoutMs};}
+function getProviderConfig(){const ai=getConfig("ai"),provider=cleanString(ai.provider).toLowerCase(),model=cleanString(ai.model),timeoutMs=Math.max(1000,ai.timeoutMs);if(provider==="openai")return {provider,model,url:cleanString(ai.baseUrl)||"https://api.openai.com/v1/responses",key:cleanString(ai.apiKey||ai.openaiApiKey),requiresKey:true,requiresModel:true,timeoutMs};if(provider==="generic-http")return {provider,model,url:cleanString(ai.baseUrl),key:cleanString(ai.apiKey),requiresKey:false,requiresModel:false,timeoutMs};return {provider,model,url:"",key:"",requiresKey:false,requiresModel:false,timeoutMs};}
 function getConfigurationIssues(c){const issues=[];if(!["openai","generic-http"].includes(c?.provider))issues.push("unsupported_provider");if(!c?.url)issues.push("missing_base_url");if(c?.requiresKey&&!c?.key)issues.push("missing_api_key");if(c?.requiresModel&&!c?.model)issues.push("missing_model");return issues;}
 function isProviderConfigured(c){return getConfigurationIssues(c).length===0;}
 function classifyProviderFailure(error){if(error?.name==="AbortError")return {code:"SEMANTIC_PROVIDER_TIMEOUT",category:"timeout",retryable:true};const status=Number(error?.status||0),providerCode=cleanString(error?.data?.error?.code||error?.data?.code).toLowerCase(),message=cleanString(error?.message).toLowerCase();if(status===401||status===403||/api.?key|auth|credential|permission/.test(providerCode+" "+message))return {code:"SEMANTIC_PROVIDER_AUTHENTICATION_FAILED",category:"authentication",retryable:false};if(status===404||/model.*(not found|does not exist|invalid)|invalid.*model/.test(providerCode+" "+message))return {code:"SEMANTIC_PROVIDER_INVALID_MODEL",category:"invalid-model",retryable:false};if(status===429)return {code:"SEMANTIC_PROVIDER_RATE_LIMITED",category:"rate-limit",retryable:true};if(status>=500)return {code:"SEMANTIC_PROVIDER_UNAVAILABLE",category:"unavailable",retryable:true};if(status>=400)return {code:"SEMANTIC_PROVIDER_REQUEST_REJECTED",category:"request",retryable:false};return {code:"SEMANTIC_PROVIDER_FAILED",category:"unknown",retryable:true};}
@@ -1,14 +1,18 @@
+import { getConfig } from "../config.js";
+import { recordAiProviderError } from "../metrics.js";
+
 const STRUCTURED_AI_PROVIDER_CLIENT_VERSION = "1.0.0";
 
 function cleanString(value){return typeof value === "string" ? value.trim() : "";}
 function asArray(value){return Array.isArray(value) ? value : [];}
 
 function getStructuredAIProviderConfig(){
-  const provider = cleanString(process.env.IBAND_AI_PROVIDER || "openai").toLowerCase();
-  const model = cleanString(process.env.IBAND_AI_MODEL);
-  const timeoutMs = Math.max(1000, Number(process.env.IBAND_AI_TIMEOUT_MS || 30000) || 30000);
-  if(provider === "openai") return {provider,model,url:cleanString(process.env.IBAND_AI_BASE_URL)||"https://api.openai.com/v1/responses",key:cleanString(process.env.IBAND_AI_API_KEY||process.env.OPENAI_API_KEY),requiresKey:true,requiresModel:true,timeoutMs};
-  if(provider === "generic-http") return {provider,model,url:cleanString(process.env.IBAND_AI_BASE_URL),key:cleanString(process.env.IBAND_AI_API_KEY),requiresKey:false,requiresModel:false,timeoutMs};
+  const ai = getConfig("ai");
+  const provider = cleanString(ai.provider).toLowerCase();
+  const model = cleanString(ai.model);
+  const timeoutMs = Math.max(1000, ai.timeoutMs);
+  if(provider === "openai") return {provider,model,url:cleanString(ai.baseUrl)||"https://api.openai.com/v1/responses",key:cleanString(ai.apiKey||ai.openaiApiKey),requiresKey:true,requiresModel:true,timeoutMs};
+  if(provider === "generic-http") return {provider,model,url:cleanString(ai.baseUrl),key:cleanString(ai.apiKey),requiresKey:false,requiresModel:false,timeoutMs};
   return {provider,model,url:"",key:"",requiresKey:false,requiresModel:false,timeoutMs};
 }
 
@@ -59,7 +63,7 @@ function parseJsonText(value){const text=cleanString(value);if(!text)return null
 async function executeStructuredAI({task,systemInstructions,input,schema,schemaName="iband_structured_output",metadata={}}={}){
   const config=getStructuredAIProviderConfig();
   const configurationIssues=getStructuredAIProviderConfigurationIssues(config);
-  if(configurationIssues.length){const error=new Error("iBand AI provider is not configured.");error.code="AI_PROVIDER_NOT_CONFIGURED";error.configurationIssues=configurationIssues;throw error;}
+  if(configurationIssues.length){const error=new Error("iBand AI provider is not configured.");error.code="AI_PROVIDER_NOT_CONFIGURED";error.configurationIssues=configurationIssues;recordAiProviderError(task,error.code);throw error;}
   try{
     if(config.provider === "openai"){
       const payload=await postJson(config.url,{model:config.model,instructions:systemInstructions,input:JSON.stringify(input||{}),text:{format:{type:"json_schema",name:schemaName,strict:true,schema}}},config);
@@ -68,9 +72,11 @@ async function executeStructuredAI({task,systemInstructions,input,schema,schemaN
     const payload=await postJson(config.url,{task,systemInstructions,input,schema,schemaName,metadata},config);
     return {structured:payload?.structured||payload?.data||parseJsonText(payload?.text),usage:payload?.usage||null,metadata:{provider:"generic-http",model:payload?.model||config.model||null,responseId:payload?.id||null,task,clientVersion:STRUCTURED_AI_PROVIDER_CLIENT_VERSION,...metadata}};
   } catch(error){
-    if(error?.code) throw error;
-    const classification=classifyStructuredAIProviderFailure(error);
-    error.code=classification.code;error.providerFailureCategory=classification.category;error.retryable=classification.retryable;throw error;
+    if(!error?.code){
+      const classification=classifyStructuredAIProviderFailure(error);
+      error.code=classification.code;error.providerFailureCategory=classification.category;error.retryable=classification.retryable;
+    }
+    recordAiProviderError(task,error.code);throw error;
   }
 }
 
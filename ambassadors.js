@@ -20,18 +20,23 @@
  */
 
 import express from "express";
-import fsp from "fs/promises";
 import path from "path";
 
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+
 const router = express.Router();
 
-const DATA_DIR = process.env.IBAND_DATA_DIR || "/var/data/iband/db";
+const DATA_DIR = getConfig("core").dataDir;
 
 const SHARES_FILE = path.join(DATA_DIR, "shares", "events", "shares.jsonl");
 const MON_FILE = path.join(DATA_DIR, "monetisation", "events", "monetisation-signals.jsonl");
 
+const storage = getStorage(DATA_DIR);
+const sharesLog = openSegmentedLog(storage, SHARES_FILE);
+const signalsLog = openSegmentedLog(storage, MON_FILE);
+
 const LIMITS = {
-  maxReadBytes: 25 * 1024 * 1024,
   maxLineScan: 200000
 };
 
@@ -43,31 +48,11 @@ function clamp(n, min, max) {
   return Math.max(min, Math.min(max, n));
 }
 
-function safeJson(line) {
+// Parsed records for one artist inside the lookback window, across every rotated segment (oldest first)
+async function readArtistWindow(log, artistId, days) {
   try {
-    return JSON.parse(line);
-  } catch {
-    return null;
-  }
-}
-
-async function readJsonl(filePath, maxBytes) {
-  try {
-    const stat = await fsp.stat(filePath);
-    if (stat.size > maxBytes) {
-      const fd = await fsp.open(filePath, "r");
-      try {
-        const start = Math.max(0, stat.size - maxBytes);
-        const len = stat.size - start;
-        const buf = Buffer.alloc(len);
-        await fd.read(buf, 0, len, start);
-        return buf.toString("utf8").split("\n").filter(Boolean);
-      } finally {
-        await fd.close();
-      }
-    }
-    const raw = await fsp.readFile(filePath, "utf8");
-    return raw.split("\n").filter(Boolean);
+    const { events } = await log.readRange({ fromMs: Date.now() - days * 86400000, artistId });
+    return events;
   } catch {
     return [];
   }
@@ -141,8 +126,8 @@ function computeTier({
 }
 
 async function buildArtistAmbassadorState(artistId, days, podiumSize) {
-  const shareLines = await readJsonl(SHARES_FILE, LIMITS.maxReadBytes);
-  const monLines = await readJsonl(MON_FILE, LIMITS.maxReadBytes);
+  const shareLines = await readArtistWindow(sharesLog, artistId, days);
+  const monLines = await readArtistWindow(signalsLog, artistId, days);
 
   // ----------------------------
   // Shares pass (artist)
@@ -159,7 +144,7 @@ async function buildArtistAmbassadorState(artistId, days, podiumSize) {
     scannedShares += 1;
     if (scannedShares > LIMITS.maxLineScan) break;
 
-    const evt = safeJson(shareLines[i]);
+    const evt = shareLines[i];
     if (!evt || evt.type !== "share") continue;
     if ((evt.artistId || "").toString().trim() !== artistId) continue;
     if (!withinLookback(evt.ts, days)) continue;
@@ -222,7 +207,7 @@ async function buildArtistAmbassadorState(artistId, days, podiumSize) {
     scannedMon += 1;
     if (scannedMon > LIMITS.maxLineScan) break;
 
-    const evt = safeJson(monLines[i]);
+    const evt = monLines[i];
     if (!evt) continue;
     if (!isPurchaseType(evt.type)) continue;
     if ((evt.artistId || "").toString().trim() !== artistId) continue;
@@ -359,15 +344,13 @@ router.get("/health", async (req, res) => {
   let monOk = false;
 
   try {
-    await fsp.stat(SHARES_FILE);
-    sharesOk = true;
+    sharesOk = await storage.exists(SHARES_FILE);
   } catch {
     sharesOk = false;
   }
 
   try {
-    await fsp.stat(MON_FILE);
-    monOk = true;
+    monOk = await storage.exists(MON_FILE);
   } catch {
     monOk = false;
   }
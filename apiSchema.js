@@ -0,0 +1,453 @@
+/**
+ * apiSchema.js (root) — ESM
+ * iBand API Schemas (v1): per-route request/response schemas, shared validation, one error
+ * envelope, and the OpenAPI 3 document served at GET /api/openapi.json (server.js).
+ *
+ * Declaring routes:
+ *   const api = describeRoutes(router, { tag: "votes" });
+ *   api.post("/", {
+ *     summary: "Cast a vote",
+ *     auth: "fan",                                   // fan | fan-optional | artist | admin
+ *     body: { type: "object", required: ["artistId"], properties: { artistId: S.id() } },
+ *     responses: { 200: { description: "Vote recorded." }, 429: { description: "Rate limited." } },
+ *   }, handler);
+ *
+ * api.<method>(path, spec, ...handlers) registers the route on the router with a validation
+ * middleware placed right before the last handler, so auth/permission middleware listed first
+ * still answers 401/403 before a body is looked at. params / query / body are JSON Schema
+ * (the subset below); query and path params are coerced from strings before checking.
+ * Handlers keep reading req.body / req.query as before: validation never rewrites them.
+ *
+ * Supported keywords: type (string|number|integer|boolean|object|array|null, or a list), nullable,
+ * enum, minLength, maxLength, pattern, format: date-time, minimum, maximum, properties, required,
+ * additionalProperties (false or a schema), items, minItems, maxItems.
+ *
+ * Error envelope (validation, invalid JSON, unknown route, unhandled errors):
+ *   { success: false, error: "<code>", code: "<code>", message, details? }
+ * error and code carry the same stable code: clients of the ok/bad routers (genres, rooms,
+ * countries, fanProfiles) read `error`, identity/permissions clients read `code`.
+ * details: validation issues [{ in: "body" | "query" | "params", path, code, message }], or an object
+ * for other codes (403 forbidden: { permission, roles }, permissions.js).
+ *
+ * Routers that don't declare schemas yet still appear in the document: their routes are read
+ * from the express router stack and marked x-iband-documented: false.
+ */
+
+import { logger } from "./logger.js";
+
+export const API_SCHEMA_VERSION = 1;
+
+/** Stable error codes of the shared envelope -> HTTP status. */
+export const ERROR_CODES = Object.freeze({
+  validation_failed: 400,
+  invalid_json: 400,
+  bad_request: 400,
+  payload_too_large: 413,
+  route_not_found: 404,
+  internal_error: 500,
+});
+
+const REGISTRY = new WeakMap(); // express router -> { tag, routes: [{ method, path, spec }] }
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+/* -------------------- Schema helpers -------------------- */
+
+/** Shorthands for the schemas routers repeat. */
+export const S = Object.freeze({
+  id: (max = 120) => ({ type: "string", minLength: 1, maxLength: max, pattern: "\\S" }),
+  text: (max = 2000) => ({ type: "string", maxLength: max }),
+  int: (minimum, maximum) => ({ type: "integer", ...(minimum !== undefined ? { minimum } : {}), ...(maximum !== undefined ? { maximum } : {}) }),
+  num: (minimum, maximum) => ({ type: "number", ...(minimum !== undefined ? { minimum } : {}), ...(maximum !== undefined ? { maximum } : {}) }),
+  bool: () => ({ type: "boolean" }),
+  enumOf: (values) => ({ type: "string", enum: [...values] }),
+  dateTime: () => ({ type: "string", format: "date-time" }),
+  obj: (properties = {}, required = [], extra = {}) => ({ type: "object", properties, ...(required.length ? { required } : {}), ...extra }),
+  arr: (items, extra = {}) => ({ type: "array", items, ...extra }),
+  map: () => ({ type: "object", additionalProperties: true }),
+});
+
+/* -------------------- Error envelope -------------------- */
+
+/** "genre_not_found" -> "Genre not found." for callers that only have a code. */
+function messageFor(code) {
+  const s = String(code || "error").replace(/_/g, " ");
+  return `${s.charAt(0).toUpperCase()}${s.slice(1)}.`;
+}
+
+export function errorBody(code, message, extra = {}) {
+  return { success: false, error: code, code, message: message || messageFor(code), ...extra };
+}
+
+export function sendError(res, status, code, message, extra = {}) {
+  return res.status(status).json(errorBody(code, message, extra));
+}
+
+/* -------------------- Validation -------------------- */
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function matchesType(v, type) {
+  const t = typeOf(v);
+  if (type === "number") return t === "number" || t === "integer";
+  return t === type;
+}
+
+function coerceScalar(v, schema) {
+  if (typeof v !== "string" || !schema) return v;
+  const types = [].concat(schema.type || []);
+  if ((types.includes("integer") || types.includes("number")) && v.trim() !== "" && Number.isFinite(Number(v))) return Number(v);
+  if (types.includes("boolean")) {
+    const s = v.trim().toLowerCase();
+    if (["true", "1", "yes"].includes(s)) return true;
+    if (["false", "0", "no"].includes(s)) return false;
+  }
+  return v;
+}
+
+function joinPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Checks value against schema. Returns a list of issues ([] = valid).
+ * coerce: strings are read as numbers/booleans where the schema asks for them (query, params).
+ */
+export function validate(schema, value, { coerce = false, path = "" } = {}) {
+  const issues = [];
+  const add = (p, code, message) => issues.push({ path: p || "(root)", code, message });
+
+  function walk(s, v, p) {
+    if (!s || typeof s !== "object") return;
+    if (coerce) v = coerceScalar(v, s);
+
+    if (v === null && s.nullable) return;
+
+    if (s.type) {
+      const types = [].concat(s.type);
+      if (!types.some((t) => matchesType(v, t))) {
+        add(p, "type", `${p || "value"} must be ${types.join(" or ")}.`);
+        return;
+      }
+    }
+
+    if (s.enum && !s.enum.includes(v)) add(p, "enum", `${p || "value"} must be one of: ${s.enum.join(", ")}.`);
+
+    if (typeof v === "string") {
+      if (s.minLength !== undefined && v.length < s.minLength) add(p, "min_length", `${p || "value"} must be at least ${s.minLength} characters.`);
+      if (s.maxLength !== undefined && v.length > s.maxLength) add(p, "max_length", `${p || "value"} must be at most ${s.maxLength} characters.`);
+      if (s.pattern && !new RegExp(s.pattern).test(v)) add(p, "pattern", `${p || "value"} has an invalid format.`);
+      if (s.format === "date-time" && !Number.isFinite(Date.parse(v))) add(p, "format", `${p || "value"} must be an ISO date-time.`);
+    }
+
+    if (typeof v === "number") {
+      if (s.minimum !== undefined && v < s.minimum) add(p, "minimum", `${p || "value"} must be >= ${s.minimum}.`);
+      if (s.maximum !== undefined && v > s.maximum) add(p, "maximum", `${p || "value"} must be <= ${s.maximum}.`);
+    }
+
+    if (Array.isArray(v)) {
+      if (s.minItems !== undefined && v.length < s.minItems) add(p, "min_items", `${p || "value"} needs at least ${s.minItems} item(s).`);
+      if (s.maxItems !== undefined && v.length > s.maxItems) add(p, "max_items", `${p || "value"} allows at most ${s.maxItems} item(s).`);
+      if (s.items) v.forEach((item, i) => walk(s.items, item, joinPath(p, i)));
+    }
+
+    if (typeOf(v) === "object") {
+      const props = s.properties || {};
+      const required = new Set(s.required || []);
+      const blank = (x) => x === undefined || x === null || (typeof x === "string" && x.trim() === "");
+      for (const key of required) {
+        if (blank(v[key])) add(joinPath(p, key), "required", `${joinPath(p, key)} is required.`);
+      }
+      for (const [key, val] of Object.entries(v)) {
+        if (val === undefined) continue;
+        if (props[key]) {
+          // null on an optional field reads as "not sent" (so does "" in a query string: ?category=);
+          // a blank required field was reported above
+          if ((val === null || (coerce && val === "")) && !required.has(key)) continue;
+          if (required.has(key) && blank(val)) continue;
+          walk(props[key], val, joinPath(p, key));
+        } else if (s.additionalProperties === false) {
+          add(joinPath(p, key), "unknown_property", `${joinPath(p, key)} is not allowed.`);
+        } else if (s.additionalProperties && typeof s.additionalProperties === "object") {
+          walk(s.additionalProperties, val, joinPath(p, key));
+        }
+      }
+    }
+  }
+
+  walk(schema, value, path);
+  return issues;
+}
+
+function pathParams(path) {
+  return [...String(path).matchAll(/:([A-Za-z0-9_]+)/g)].map((m) => m[1]);
+}
+
+function paramsSchema(path, spec) {
+  const names = pathParams(path);
+  if (!names.length && !spec.params) return null;
+  const properties = { ...Object.fromEntries(names.map((n) => [n, { type: "string", minLength: 1 }])), ...(spec.params || {}) };
+  return { type: "object", required: names, properties };
+}
+
+/** Express middleware for one route spec: 400 validation_failed with every issue found. */
+export function validateRequest(spec, path = "") {
+  const params = paramsSchema(path, spec);
+
+  return function requestValidator(req, res, next) {
+    const details = [];
+    const check = (where, schema, value, coerce) => {
+      if (!schema) return;
+      for (const issue of validate(schema, value, { coerce })) details.push({ in: where, ...issue });
+    };
+
+    check("params", params, req.params || {}, true);
+    check("query", spec.query, req.query || {}, true);
+    if (spec.body) {
+      const body = req.body;
+      if (body === undefined || body === null || typeOf(body) !== "object") {
+        details.push({ in: "body", path: "(root)", code: "type", message: "Request body must be a JSON object." });
+      } else {
+        check("body", spec.body, body, false);
+      }
+    }
+
+    if (!details.length) return next();
+    const first = details[0];
+    return sendError(res, 400, "validation_failed", `Invalid request: ${first.message}`, { details });
+  };
+}
+
+/* -------------------- Route registry -------------------- */
+
+/**
+ * Wraps an express router so routes carry their schema.
+ * Returns { get, post, put, patch, delete } with the signature (path, spec, ...handlers).
+ */
+export function describeRoutes(router, { tag = null } = {}) {
+  let entry = REGISTRY.get(router);
+  if (!entry) {
+    entry = { tag, routes: [] };
+    REGISTRY.set(router, entry);
+  }
+  if (tag) entry.tag = tag;
+
+  const api = {};
+  for (const method of METHODS) {
+    api[method] = (path, spec, ...handlers) => {
+      if (!handlers.length) throw new Error(`describeRoutes: ${method.toUpperCase()} ${path} has no handler.`);
+      entry.routes.push({ method, path, spec: spec || {} });
+      const last = handlers.pop();
+      router[method](path, ...handlers, validateRequest(spec || {}, path), last);
+      return api;
+    };
+  }
+  return api;
+}
+
+export function getRouteSpecs(router) {
+  return REGISTRY.get(router) || null;
+}
+
+/* -------------------- OpenAPI -------------------- */
+
+function toOpenApiPath(p) {
+  return String(p).replace(/:([A-Za-z0-9_]+)/g, "{$1}");
+}
+
+function joinUrl(base, p) {
+  const out = `${base}/${p}`.replace(/\/+/g, "/");
+  return out.length > 1 ? out.replace(/\/$/, "") : out;
+}
+
+/** Prefix of a router.use() layer ("/artists"); null when it isn't a plain static path. */
+function layerPrefix(layer) {
+  if (layer.regexp?.fast_slash) return "";
+  if (layer.keys?.length) return null;
+  const src = layer.regexp?.source || "";
+  const m = src.match(/^\^((?:\\\/[A-Za-z0-9_.~-]+)+)\\\/\?\(\?=\\\/\|\$\)$/);
+  return m ? m[1].replace(/\\\//g, "/") : null;
+}
+
+/** Every (method, path, router) reachable from an express router, sub-routers included. */
+function collectRoutes(router, prefix = "", out = []) {
+  for (const layer of router?.stack || []) {
+    if (layer.route && typeof layer.route.path === "string") {
+      for (const method of Object.keys(layer.route.methods || {})) {
+        if (METHODS.includes(method)) out.push({ method, path: joinUrl(prefix, layer.route.path), owner: router, localPath: layer.route.path });
+      }
+    } else if (layer.handle?.stack && layer.name === "router") {
+      const sub = layerPrefix(layer);
+      if (sub !== null) collectRoutes(layer.handle, joinUrl(prefix, sub), out);
+    }
+  }
+  return out;
+}
+
+const ERROR_RESPONSE = { description: "Error envelope.", content: { "application/json": { schema: { $ref: "#/components/schemas/ErrorEnvelope" } } } };
+
+function securityFor(auth) {
+  if (auth === "fan") return [{ bearerAuth: [] }];
+  if (auth === "fan-optional") return [{}, { bearerAuth: [] }];
+  if (auth === "admin" || auth === "artist") return [{ bearerAuth: [] }, { adminKey: [] }];
+  return undefined;
+}
+
+function operationFor(method, fullPath, spec, tag, documented) {
+  const op = {
+    tags: [spec.tag || tag].filter(Boolean),
+    summary: spec.summary || `${method.toUpperCase()} ${fullPath}`,
+    operationId: spec.operationId || `${method}${fullPath.replace(/[{}]/g, "").replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ""))}`,
+  };
+  if (spec.description) op.description = spec.description;
+  if (!documented) op["x-iband-documented"] = false;
+  if (spec.permission) op["x-iband-permission"] = spec.permission;
+
+  const parameters = [];
+  for (const name of pathParams(fullPath.replace(/\{([^}]+)\}/g, ":$1"))) {
+    parameters.push({ name, in: "path", required: true, schema: spec.params?.[name] || { type: "string" } });
+  }
+  for (const [name, schema] of Object.entries(spec.query?.properties || {})) {
+    parameters.push({ name, in: "query", required: (spec.query.required || []).includes(name), schema });
+  }
+  if (parameters.length) op.parameters = parameters;
+
+  if (spec.body) op.requestBody = { required: true, content: { "application/json": { schema: spec.body } } };
+
+  const responses = {};
+  for (const [status, r] of Object.entries(spec.responses || { 200: { description: "Success." } })) {
+    const res = typeof r === "string" ? { description: r } : r;
+    responses[status] = {
+      description: res.description || "Success.",
+      content: { "application/json": { schema: res.schema || { $ref: "#/components/schemas/Success" } } },
+    };
+  }
+  if (documented && (spec.body || spec.query || pathParams(fullPath.replace(/\{([^}]+)\}/g, ":$1")).length)) {
+    responses[400] = responses[400] || ERROR_RESPONSE;
+  }
+  const security = securityFor(spec.auth);
+  if (security) {
+    op.security = security;
+    responses[401] = responses[401] || ERROR_RESPONSE;
+    if (spec.auth === "admin" || spec.auth === "artist" || spec.permission) responses[403] = responses[403] || ERROR_RESPONSE;
+  }
+  op.responses = responses;
+  return op;
+}
+
+/**
+ * OpenAPI 3 document for mounted modules: [{ id, basePath, version, router }].
+ */
+export function buildOpenApi(mounted = [], { title = "iBand API", version = "1" } = {}) {
+  const paths = {};
+  const tags = [];
+  let documentedCount = 0;
+  let undocumentedCount = 0;
+
+  for (const mod of mounted) {
+    if (!mod?.router) continue;
+    const tag = mod.id;
+    tags.push({ name: tag, description: `${mod.basePath} (module v${mod.version})` });
+
+    for (const r of collectRoutes(mod.router)) {
+      const reg = getRouteSpecs(r.owner);
+      const found = reg?.routes.find((x) => x.method === r.method && x.path === r.localPath);
+      const fullPath = toOpenApiPath(joinUrl(mod.basePath, r.path));
+      paths[fullPath] = paths[fullPath] || {};
+      if (paths[fullPath][r.method]) continue;
+      paths[fullPath][r.method] = operationFor(r.method, fullPath, found?.spec || {}, reg?.tag || tag, Boolean(found));
+      if (found) documentedCount += 1;
+      else undocumentedCount += 1;
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title,
+      version: String(version),
+      description: "Generated from the route schemas declared with describeRoutes (apiSchema.js).",
+    },
+    servers: [{ url: "/" }],
+    tags,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", description: "Identity token (identity.js)." },
+        adminKey: { type: "apiKey", in: "header", name: "x-admin-key" },
+      },
+      schemas: {
+        Success: { type: "object", required: ["success"], properties: { success: { type: "boolean", enum: [true] } }, additionalProperties: true },
+        ErrorEnvelope: {
+          type: "object",
+          required: ["success", "error", "message"],
+          properties: {
+            success: { type: "boolean", enum: [false] },
+            error: { type: "string", description: `Stable error code, e.g. ${Object.keys(ERROR_CODES).join(", ")}.` },
+            code: { type: "string", description: "Same value as error." },
+            message: { type: "string" },
+            details: {
+              oneOf: [
+                { type: "array", items: { $ref: "#/components/schemas/ValidationIssue" } },
+                { type: "object", description: "403 forbidden: { permission, roles }.", additionalProperties: true },
+              ],
+            },
+          },
+          additionalProperties: true,
+        },
+        ValidationIssue: {
+          type: "object",
+          properties: {
+            in: { type: "string", enum: ["body", "query", "params"] },
+            path: { type: "string" },
+            code: { type: "string", enum: ["required", "type", "enum", "min_length", "max_length", "pattern", "format", "minimum", "maximum", "min_items", "max_items", "unknown_property"] },
+            message: { type: "string" },
+          },
+        },
+      },
+    },
+    "x-iband": { schemaVersion: API_SCHEMA_VERSION, documentedOperations: documentedCount, undocumentedOperations: undocumentedCount },
+  };
+}
+
+/* -------------------- App-level handlers -------------------- */
+
+/** GET /api/openapi.json — getMounted() returns the currently mounted modules (with routers). */
+export function openApiHandler(getMounted, info = {}) {
+  return (_req, res) => res.json(buildOpenApi(getMounted() || [], info));
+}
+
+export function notFoundHandler(req, res) {
+  return sendError(res, 404, "route_not_found", "Route not found", { method: req.method, path: req.originalUrl?.split("?")[0] });
+}
+
+/** Last app middleware: malformed JSON, oversized bodies and uncaught errors in the envelope. */
+export function apiErrorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err?.type === "entity.parse.failed") return sendError(res, 400, "invalid_json", "Request body is not valid JSON.");
+  if (err?.type === "entity.too.large") return sendError(res, 413, "payload_too_large", "Request body is too large.", { limit: err.limit });
+  const status = Number(err?.status || err?.statusCode) || 500;
+  if (status >= 400 && status < 500) return sendError(res, status, "bad_request", err?.expose ? err.message : "Bad request.");
+  logger.error("unhandled_error", { method: req.method, path: req.originalUrl, error: err });
+  return sendError(res, 500, "internal_error", "Internal server error.", { requestId: req.id ?? null });
+}
+
+export default {
+  S,
+  ERROR_CODES,
+  errorBody,
+  sendError,
+  validate,
+  validateRequest,
+  describeRoutes,
+  getRouteSpecs,
+  buildOpenApi,
+  openApiHandler,
+  notFoundHandler,
+  apiErrorHandler,
+};
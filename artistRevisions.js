@@ -0,0 +1,241 @@
+/**
+ * artistRevisions.js (root) — ESM
+ * iBand Artist Revisions (v2): every edit of an artist profile kept as a numbered revision.
+ *
+ * Every profile write goes through reviseArtist(): adminArtists.js (create, PUT, PATCH, revert),
+ * artists.js (create, PUT, PATCH by the artist or an admin) and tracks.js (add / edit / remove a track).
+ * Served by adminArtists.js:
+ * - GET  /api/admin/artists/:id/revisions?limit=&cursor=   newest first, without snapshots
+ * - GET  /api/admin/artists/:id/revisions/:n               one revision with its snapshot
+ * - POST /api/admin/artists/:id/revisions/:n/revert        restores revision n as a new revision
+ * Lists page on n with opaque cursors (pagination.js): pass nextCursor back as cursor.
+ *
+ * Storage, one pair of files per artist under IBAND_ARTIST_REVISIONS_DIR:
+ * - <id>.jsonl      the revisions, one per line:
+ *                   { v, id, artistId, n, at, author: { id, mode, roles }, action, diff, snapshot, revertOf, requestId }
+ * - <id>.head.json  { version, n, snapshot, at } of the latest revision. An edit reads this instead of
+ *                   the history; a missing head is rebuilt from the artist's log once.
+ * - n counts from 1 per artist, gapless
+ * - snapshot: the profile after the change (REVISION_FIELDS); diff: { field: { before, after } }
+ * - action: create | replace | update | revert | track.create | track.update | track.delete | baseline
+ * - baseline: written before an edit when the artist's current profile isn't the latest snapshot
+ *   (an artist that predates revisions, or one changed outside reviseArtist); author is null because
+ *   the change wasn't made here. It keeps the pre-edit state restorable.
+ *
+ * Votes, counters and status are not part of a revision: votes and counters are live tallies and
+ * status has its own review flow (approve / reject / suspend), audited separately.
+ * Track timestamps are left out of snapshots so a track list only shows up in a diff when it changed.
+ *
+ * reviseArtist(req, artistId, { action, revertOf }, apply) holds withFileLock on the artist's log
+ * across the store write and the revision: `before` is read and apply(before) runs inside the lock,
+ * so concurrent edits can't swap their before/after pairs and n stays gapless. Like recordAudit it
+ * never fails an edit over history: a failed append is logged and the edit stands (revision null).
+ *
+ * Config (config.js namespace "artists"):
+ * - IBAND_ARTIST_REVISIONS_DIR  per-artist logs (default <data dir>/admin/artist-revisions)
+ */
+
+import crypto from "crypto";
+import path from "path";
+
+import { getConfig } from "./config.js";
+import { getStorage, withFileLock } from "./storage/index.js";
+import { currentRequestId } from "./requestContext.js";
+import { actorOf, diffRecords } from "./adminAudit.js";
+import { paginate } from "./pagination.js";
+import artistsStore from "./artistsStore.js";
+import { logger } from "./logger.js";
+
+const VERSION = 1;
+const HEAD_VERSION = 1;
+
+export const REVISION_FIELDS = Object.freeze(["name", "genre", "location", "country", "bio", "imageUrl", "socials", "tracks"]);
+
+const stats = { appended: 0, failed: 0, unlocked: 0, lastError: null };
+
+/* -------------------- Helpers -------------------- */
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function revisionsDir() {
+  return getConfig("artists").revisionsDir;
+}
+
+function storageFor() {
+  return getStorage(getConfig("core").dataDir);
+}
+
+function logFile(artistId) {
+  return path.join(revisionsDir(), `${encodeURIComponent(artistId)}.jsonl`);
+}
+
+function headFile(artistId) {
+  return path.join(revisionsDir(), `${encodeURIComponent(artistId)}.head.json`);
+}
+
+/** The revisioned part of an artist record (REVISION_FIELDS, track timestamps dropped). */
+export function revisionSnapshot(artist) {
+  if (!artist || typeof artist !== "object") return null;
+  const out = {};
+  for (const k of REVISION_FIELDS) {
+    if (artist[k] === undefined) continue;
+    out[k] = k === "tracks" && Array.isArray(artist.tracks) ? artist.tracks.map(({ createdAt, updatedAt, ...t }) => t) : artist[k];
+  }
+  return out;
+}
+
+function withoutSnapshot({ snapshot, ...rest }) {
+  return rest;
+}
+
+async function readLog(storage, artistId) {
+  const rows = await storage.readJsonl(logFile(artistId));
+  return rows.filter((r) => r && r.artistId === artistId && Number.isInteger(r.n));
+}
+
+async function readHead(storage, artistId) {
+  const head = await storage.readJson(headFile(artistId), null);
+  if (Number.isInteger(head?.n)) return head;
+
+  const rows = await readLog(storage, artistId);
+  const last = rows[rows.length - 1];
+  return last ? { version: HEAD_VERSION, n: last.n, snapshot: last.snapshot, at: last.at } : { version: HEAD_VERSION, n: 0, snapshot: null, at: null };
+}
+
+/** Appends the baseline (when needed) and the revision of one edit. Caller holds the artist's lock. */
+async function appendRevision(storage, req, { artistId, action, before, after, revertOf }) {
+  const prev = revisionSnapshot(before);
+  const next = revisionSnapshot(after);
+  const diff = diffRecords(prev, next);
+  if (before && !Object.keys(diff).length) return null;
+
+  const head = await readHead(storage, artistId);
+  const requestId = req?.id ?? currentRequestId();
+  let n = head.n;
+
+  const entry = (fields) => ({
+    v: VERSION,
+    id: `rev_${Date.now()}_${crypto.randomBytes(6).toString("hex")}`,
+    artistId,
+    n: ++n,
+    at: nowIso(),
+    ...fields,
+    ...(requestId ? { requestId } : {}),
+  });
+
+  const drift = prev ? diffRecords(head.snapshot, prev) : {};
+  if (Object.keys(drift).length) {
+    await storage.appendJsonl(logFile(artistId), entry({ author: null, action: "baseline", diff: drift, snapshot: prev, revertOf: null }));
+    stats.appended += 1;
+  }
+
+  const revision = entry({ author: actorOf(req), action: String(action || "update"), diff, snapshot: next, revertOf });
+  await storage.appendJsonl(logFile(artistId), revision);
+  await storage.writeJson(headFile(artistId), { version: HEAD_VERSION, n: revision.n, snapshot: next, at: revision.at });
+  stats.appended += 1;
+  return revision;
+}
+
+function failed(e, artistId, action) {
+  stats.failed += 1;
+  stats.lastError = { at: nowIso(), message: e?.message || String(e) };
+  logger.error("artist_revision_write_failed", { artistId, action, error: stats.lastError.message });
+}
+
+/* -------------------- Write -------------------- */
+
+/**
+ * Runs one edit of an artist and records it as a revision, under the artist's revision lock.
+ * apply(before) does the store write (before: the artist read inside the lock, null when absent)
+ * and returns the updated artist, or null when nothing was written.
+ * Returns { before, after, revision }; revision is null when nothing in REVISION_FIELDS changed
+ * or the history write failed. Errors thrown by apply propagate.
+ *
+ * Creates whose id is only known after the write (generated or de-duplicated by the store) are
+ * recorded under that id: a brand-new id has no history to race with.
+ */
+export async function reviseArtist(req, artistId, { action, revertOf = null } = {}, apply) {
+  const storage = storageFor();
+  const key = String(artistId || "");
+  let applied = null;
+
+  const run = async () => {
+    // a copy: some store writes (tracks) update the record in place
+    const current = key ? artistsStore.getArtist(key) : null;
+    const found = current ? structuredClone(current) : null;
+    const after = await apply(found);
+    // a create the store gave another id isn't an edit of the artist found under the requested one
+    const before = found && after?.id && found.id !== after.id ? null : found;
+    applied = { before, after: after || null };
+    if (!after?.id) return { ...applied, revision: null };
+
+    try {
+      return { ...applied, revision: await appendRevision(storage, req, { artistId: after.id, action, before, after, revertOf }) };
+    } catch (e) {
+      failed(e, after.id, action);
+      return { ...applied, revision: null };
+    }
+  };
+
+  if (!key) return run();
+  try {
+    return await withFileLock(storage, logFile(key), run);
+  } catch (e) {
+    if (applied || e?.code !== "STORAGE_LOCK_TIMEOUT") throw e;
+    // the edit is the user's; history is best effort
+    stats.unlocked += 1;
+    logger.error("artist_revision_lock_failed", { artistId: key, action, error: e.message });
+    const current = artistsStore.getArtist(key);
+    const before = current ? structuredClone(current) : null;
+    const after = await apply(before);
+    return { before, after: after || null, revision: null };
+  }
+}
+
+/* -------------------- Read -------------------- */
+
+/** Newest first on n (a baseline and its edit can share a millisecond). */
+const keyOf = (r) => ({ at: r.n, id: r.id });
+
+/**
+ * One page of an artist's revisions, without snapshots.
+ * page: readPage() result (pagination.js), scoped to the artist.
+ */
+export async function listRevisions(artistId, page) {
+  const rows = await readLog(storageFor(), String(artistId || ""));
+  const out = paginate(rows, page, keyOf);
+  return {
+    total: rows.length,
+    limit: out.limit,
+    revisions: out.items.map(withoutSnapshot),
+    nextCursor: out.nextCursor,
+    hasMore: out.hasMore,
+  };
+}
+
+/** Revision n of one artist (with snapshot), or null. */
+export async function getRevision(artistId, n) {
+  const rows = await readLog(storageFor(), String(artistId || ""));
+  return rows.find((r) => r.n === Number(n)) || null;
+}
+
+/**
+ * The store patch that turns `current` back into `revision.snapshot`: only the fields that differ,
+ * so an unchanged track list isn't re-sent. Empty object = already at that state.
+ */
+export function revertPatch(current, revision) {
+  const diff = diffRecords(revisionSnapshot(current), revision?.snapshot || {});
+  const patch = {};
+  for (const k of Object.keys(diff)) {
+    if (REVISION_FIELDS.includes(k)) patch[k] = revision.snapshot[k] ?? (k === "tracks" ? [] : k === "socials" ? {} : "");
+  }
+  return patch;
+}
+
+export function getRevisionStats() {
+  return { ...stats, dir: revisionsDir() };
+}
+
+export default { reviseArtist, listRevisions, getRevision, revertPatch, revisionSnapshot, getRevisionStats, REVISION_FIELDS };
@@ -0,0 +1,263 @@
+/**
+ * artistSearch.js — Artist search core (pure, no Express)
+ *
+ * Matching:
+ * - text is folded (lower case, accents stripped: "Beyoncé" == "beyonce") and split into tokens
+ * - every query token must match a name or bio token: exactly, as a prefix, or within a small
+ *   edit distance (0 edits up to 3 letters, 1 up to 6, 2 beyond; adjacent swaps count as one)
+ * - name matches weigh more than bio matches; a name that equals / starts with the query gets a bonus
+ *
+ * Facets (genre, country, status, tier, votes) are counted the usual "disjunctive" way: each facet's
+ * counts apply every other active filter but not its own, so picking one genre still shows the others.
+ *
+ * Paging: searchPageKey(hit, sort) is the (at, id) key pagination.js cursors page on. It orders a sort's
+ * hits like SORTERS (primary value, then votes where that breaks ties, then id), highest first.
+ *
+ * Used by:
+ * - artists.js (GET /api/artists/search)
+ */
+
+export const SEARCH_SORTS = Object.freeze(["relevance", "votes", "momentum", "recent"]);
+export const MEDAL_TIERS = Object.freeze(["gold", "silver", "bronze", "certified"]);
+
+// Vote-range facet buckets: [min, max] inclusive, max null = open-ended
+export const VOTE_BUCKETS = Object.freeze([
+  { value: "0-9", min: 0, max: 9 },
+  { value: "10-99", min: 10, max: 99 },
+  { value: "100-999", min: 100, max: 999 },
+  { value: "1000+", min: 1000, max: null },
+]);
+
+const NAME_WEIGHT = 3;
+const BIO_WEIGHT = 1;
+const FACET_LIMIT = 20;
+
+// -------------------- Text --------------------
+
+/** "Beyoncé  Knowles" -> "beyonce  knowles" */
+export function foldText(v) {
+  return String(v ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}+/gu, "")
+    .toLowerCase();
+}
+
+export function tokenize(v) {
+  return foldText(v).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function maxEditsFor(token) {
+  if (token.length <= 3) return 0;
+  if (token.length <= 6) return 1;
+  return 2;
+}
+
+/** Optimal string alignment distance, giving up (returns max + 1) once it exceeds max. */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+      cur.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** 1 exact, 0.8 prefix, 0.6 / 0.4 for one / two edits, 0 no match. */
+function tokenScore(q, token) {
+  if (q === token) return 1;
+  if (q.length >= 2 && token.startsWith(q)) return 0.8;
+  const max = maxEditsFor(q);
+  if (!max) return 0;
+  const d = editDistance(q, token, max);
+  return d <= max ? 1 - 0.2 * (d + 1) : 0;
+}
+
+function bestScore(q, tokens) {
+  let best = 0;
+  for (const t of tokens) {
+    const s = tokenScore(q, t);
+    if (s > best) best = s;
+    if (best === 1) break;
+  }
+  return best;
+}
+
+/**
+ * Relevance of one artist for the query tokens, or null when a token matches nowhere.
+ * Returns { relevance, matched: ["name", "bio"] }.
+ */
+export function matchArtist(artist, queryTokens, queryText = queryTokens.join(" ")) {
+  if (!queryTokens.length) return { relevance: 0, matched: [] };
+  const nameTokens = tokenize(artist.name);
+  const bioTokens = tokenize(artist.bio);
+  const matched = new Set();
+  let relevance = 0;
+
+  for (const q of queryTokens) {
+    const inName = bestScore(q, nameTokens) * NAME_WEIGHT;
+    const inBio = bestScore(q, bioTokens) * BIO_WEIGHT;
+    if (!inName && !inBio) return null;
+    if (inName) matched.add("name");
+    if (inBio) matched.add("bio");
+    relevance += Math.max(inName, inBio);
+  }
+
+  const name = nameTokens.join(" ");
+  if (name === queryText) relevance += 2;
+  else if (name.startsWith(queryText)) relevance += 1;
+
+  return { relevance: Math.round(relevance * 1000) / 1000, matched: [...matched] };
+}
+
+// -------------------- Filters and facets --------------------
+
+function bucketOf(votes) {
+  return VOTE_BUCKETS.find((b) => votes >= b.min && (b.max === null || votes <= b.max))?.value || VOTE_BUCKETS[0].value;
+}
+
+/** Facet values of one search row (row = { artist, tier }). */
+function facetValues(row) {
+  return {
+    genre: foldText(row.artist.genre).trim(),
+    country: foldText(row.artist.country).trim(),
+    status: row.artist.status,
+    tier: row.tier,
+  };
+}
+
+/**
+ * filters: { genre: [], country: [], status: [], tier: [], minVotes, maxVotes } (lists are OR'd, folded).
+ * skip: facet name left out (for that facet's own counts).
+ */
+function passes(row, filters, skip = null) {
+  const v = facetValues(row);
+  for (const key of ["genre", "country", "status", "tier"]) {
+    if (key === skip || !filters[key]?.length) continue;
+    if (!filters[key].includes(v[key])) return false;
+  }
+  if (skip !== "votes") {
+    const votes = row.artist.votes || 0;
+    if (filters.minVotes !== null && filters.minVotes !== undefined && votes < filters.minVotes) return false;
+    if (filters.maxVotes !== null && filters.maxVotes !== undefined && votes > filters.maxVotes) return false;
+  }
+  return true;
+}
+
+function countBy(rows, pick, labelOf) {
+  const counts = new Map(); // key -> { value, count }
+  for (const row of rows) {
+    const key = pick(row);
+    if (!key) continue;
+    const hit = counts.get(key) || { value: labelOf ? labelOf(row) : key, count: 0 };
+    hit.count += 1;
+    counts.set(key, hit);
+  }
+  return [...counts.entries()];
+}
+
+function facetList(rows, pick, labelOf, selected = []) {
+  return countBy(rows, pick, labelOf)
+    .map(([key, hit]) => ({ value: hit.value, key, count: hit.count, selected: selected.includes(key) }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+    .slice(0, FACET_LIMIT);
+}
+
+function buildFacets(rows, filters) {
+  const genreRows = rows.filter((r) => passes(r, filters, "genre"));
+  const countryRows = rows.filter((r) => passes(r, filters, "country"));
+  const statusRows = rows.filter((r) => passes(r, filters, "status"));
+  const tierRows = rows.filter((r) => passes(r, filters, "tier"));
+  const voteRows = rows.filter((r) => passes(r, filters, "votes"));
+
+  const voteCounts = new Map(countBy(voteRows, (r) => bucketOf(r.artist.votes || 0)));
+  const tierCounts = new Map(countBy(tierRows, (r) => r.tier));
+
+  return {
+    genre: facetList(genreRows, (r) => facetValues(r).genre, (r) => r.artist.genre, filters.genre),
+    country: facetList(countryRows, (r) => facetValues(r).country, (r) => r.artist.country, filters.country),
+    status: facetList(statusRows, (r) => r.artist.status, null, filters.status),
+    tier: MEDAL_TIERS.map((t) => ({ value: t, key: t, count: tierCounts.get(t)?.count || 0, selected: filters.tier.includes(t) })),
+    votes: VOTE_BUCKETS.map((b) => ({ value: b.value, min: b.min, max: b.max, count: voteCounts.get(b.value)?.count || 0 })),
+  };
+}
+
+// -------------------- Sorting --------------------
+
+const byId = (a, b) => (a.artist.id < b.artist.id ? -1 : a.artist.id > b.artist.id ? 1 : 0);
+const timeOf = (a) => Date.parse(a?.updatedAt) || 0;
+
+const SORTERS = {
+  relevance: (a, b) => b.relevance - a.relevance || (b.artist.votes || 0) - (a.artist.votes || 0) || byId(a, b),
+  votes: (a, b) => (b.artist.votes || 0) - (a.artist.votes || 0) || byId(a, b),
+  momentum: (a, b) => b.momentum - a.momentum || (b.artist.votes || 0) - (a.artist.votes || 0) || byId(a, b),
+  recent: (a, b) => timeOf(b.artist) - timeOf(a.artist) || byId(a, b),
+};
+
+const padVotes = (hit) => String(Math.max(0, Math.trunc(hit.artist.votes || 0))).padStart(15, "0");
+
+/** Cursor key of a hit under `sort`, for pagination.js paginate(..., { order: "desc" }). */
+export function searchPageKey(hit, sort) {
+  if (sort === "relevance") return { at: hit.relevance, id: `${padVotes(hit)}|${hit.artist.id}` };
+  if (sort === "momentum") return { at: hit.momentum, id: `${padVotes(hit)}|${hit.artist.id}` };
+  if (sort === "recent") return { at: timeOf(hit.artist), id: hit.artist.id };
+  return { at: hit.artist.votes || 0, id: hit.artist.id };
+}
+
+// -------------------- Search --------------------
+
+/** Comma-separated or repeated query values -> folded, de-duplicated list. */
+export function listParam(v) {
+  const parts = (Array.isArray(v) ? v : [v]).flatMap((x) => String(x ?? "").split(","));
+  return [...new Set(parts.map((p) => foldText(p).trim()).filter(Boolean))];
+}
+
+/**
+ * artists: normalised artists (artistsStore.js).
+ * medals: Map artistId -> { score, tier } (medalEngine.getMedalTable()); missing = score 0, certified.
+ * Returns { total, sort, items: [{ artist, relevance, matched, momentum, tier }], facets }.
+ * sort defaults to relevance with a query and votes without one.
+ */
+export function searchArtists(artists, { q = "", filters = {}, sort = null, offset = 0, limit = 20, medals = new Map() } = {}) {
+  const queryTokens = tokenize(q);
+  const queryText = queryTokens.join(" ");
+  const f = {
+    genre: filters.genre || [],
+    country: filters.country || [],
+    status: filters.status || [],
+    tier: filters.tier || [],
+    minVotes: filters.minVotes ?? null,
+    maxVotes: filters.maxVotes ?? null,
+  };
+
+  const rows = [];
+  for (const artist of artists) {
+    const m = matchArtist(artist, queryTokens, queryText);
+    if (!m) continue;
+    const medal = medals.get(artist.id);
+    rows.push({ artist, relevance: m.relevance, matched: m.matched, momentum: medal?.score || 0, tier: medal?.tier || "certified" });
+  }
+
+  const effectiveSort = SEARCH_SORTS.includes(sort) ? sort : queryTokens.length ? "relevance" : "votes";
+  const hits = rows.filter((r) => passes(r, f)).sort(SORTERS[effectiveSort]);
+
+  return {
+    total: hits.length,
+    sort: effectiveSort,
+    items: hits.slice(offset, offset + limit),
+    facets: buildFacets(rows, f),
+  };
+}
+
+export default { searchArtists, searchPageKey, matchArtist, foldText, tokenize, listParam, SEARCH_SORTS, MEDAL_TIERS, VOTE_BUCKETS };
@@ -0,0 +1,315 @@
+/**
+ * artistVerification.js (root) — ESM
+ * iBand Artist Verification (v1): the review pipeline a pending artist goes through before approval.
+ *
+ * Checklist (worked out from the artist record on every read, except identity which a reviewer sets):
+ * - socials          at least ARTISTS_VERIFY_MIN_SOCIALS social / website links
+ * - sample_track     a track with an audio, preview or streaming link
+ * - identity         confirmed by a reviewer (method: document | social_account | label_contact | other)
+ * - profile_quality  profileQuality(artist).score >= ARTISTS_VERIFY_MIN_QUALITY (0-100)
+ * Every item is required: adminArtists.js refuses pending -> active until the checklist is ready.
+ *
+ * Record (one per artist in the verification store):
+ *   { artistId, round, reviewer: { id, assignedAt, assignedBy } | null,
+ *     identity: { confirmed, method, note, by, at },
+ *     rejections: [{ round, at, by, reasons: [{ code, message, item }], note }],
+ *     submissions: [{ round, at, by, note, responses }], approvedAt, approvedBy, createdAt, updatedAt }
+ * The artist's status (artistsStore.js) stays the source of truth for where it is in the flow:
+ * pending (in review) -> active (approved) | rejected (reasons sent) -> pending again on resubmission.
+ *
+ * Rejection reasons come from REJECTION_REASONS. A reason tied to a checklist item is addressed by
+ * fixing the profile (the item must pass to resubmit); the others need a written response.
+ *
+ * Used by:
+ * - adminArtists.js  review queue, reviewer assignment, identity, approve / reject gates
+ * - artists.js       the artist's own view and resubmission
+ *
+ * Writes hold withFileLock on the store file (read fresh -> mutate -> write).
+ *
+ * Config (config.js namespace "artists"):
+ * - IBAND_ARTIST_VERIFICATION_FILE  store (default <data dir>/admin/artist-verification.json)
+ * - ARTISTS_VERIFY_MIN_QUALITY      profile-quality pass mark (default 60)
+ * - ARTISTS_VERIFY_MIN_SOCIALS      links needed for the socials item (default 1)
+ */
+
+import { getConfig } from "./config.js";
+import { getStorage, withFileLock } from "./storage/index.js";
+
+const VERSION = 1;
+const MAX_HISTORY = 50;
+
+export const CHECKLIST_ITEMS = Object.freeze({
+  socials: "Social links provided",
+  sample_track: "Sample track uploaded",
+  identity: "Identity confirmed",
+  profile_quality: "Profile quality",
+});
+
+export const IDENTITY_METHODS = Object.freeze(["document", "social_account", "label_contact", "other"]);
+
+/** code -> { item, message }; item = checklist item that must pass before resubmitting (null: needs a response). */
+export const REJECTION_REASONS = Object.freeze({
+  missing_socials: { item: "socials", message: "Add a social or website link we can check." },
+  missing_sample_track: { item: "sample_track", message: "Upload a sample track (audio, preview or streaming link)." },
+  low_profile_quality: { item: "profile_quality", message: "Complete the profile: genre, location, photo and a bio of a few sentences." },
+  identity_unconfirmed: { item: null, message: "We could not confirm you are the artist. Tell us how we can verify it." },
+  duplicate_profile: { item: null, message: "This artist already has a profile on iBand." },
+  impersonation: { item: null, message: "The profile appears to represent someone else." },
+  content_policy: { item: null, message: "Part of the profile breaks the content policy." },
+  other: { item: null, message: "" },
+});
+
+/* -------------------- Helpers -------------------- */
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function safeStr(v, max = 500) {
+  if (v === null || v === undefined) return "";
+  return String(v).trim().slice(0, max);
+}
+
+function verifyConfig() {
+  const { verificationFile, verifyMinQuality, verifyMinSocials } = getConfig("artists");
+  return { file: verificationFile, minQuality: verifyMinQuality, minSocials: verifyMinSocials };
+}
+
+function storageFor() {
+  return getStorage(getConfig("core").dataDir);
+}
+
+/** A record for an artist that has none saved yet. */
+export function emptyRecord(artistId) {
+  return {
+    artistId,
+    round: 1,
+    reviewer: null,
+    identity: { confirmed: false, method: null, note: "", by: null, at: null },
+    rejections: [],
+    submissions: [],
+    approvedAt: null,
+    approvedBy: null,
+    createdAt: nowIso(),
+    updatedAt: nowIso(),
+  };
+}
+
+const socialLinks = (artist) => Object.values(artist?.socials || {}).filter((v) => typeof v === "string" && v.trim());
+
+const playableTracks = (artist) => (Array.isArray(artist?.tracks) ? artist.tracks : []).filter((t) => t && (t.audioUrl || t.previewUrl || t.url));
+
+/* -------------------- Checklist -------------------- */
+
+/**
+ * 0-100 from how complete the public profile is.
+ * Returns { score, parts: { name, genre, location, bio, image, socials, tracks } }.
+ */
+export function profileQuality(artist) {
+  const bio = safeStr(artist?.bio, 10000);
+  const genre = safeStr(artist?.genre, 80).toLowerCase();
+  const links = socialLinks(artist).length;
+  const parts = {
+    name: safeStr(artist?.name) ? 10 : 0,
+    genre: genre && genre !== "unknown" ? 15 : 0,
+    location: safeStr(artist?.location) ? 10 : 0,
+    bio: bio.length >= 80 ? 20 : bio.length >= 20 ? 10 : 0,
+    image: safeStr(artist?.imageUrl) ? 20 : 0,
+    socials: links >= 2 ? 15 : links === 1 ? 8 : 0,
+    tracks: Array.isArray(artist?.tracks) && artist.tracks.length ? 10 : 0,
+  };
+  return { score: Object.values(parts).reduce((a, b) => a + b, 0), parts };
+}
+
+/** { ready, items: [{ key, label, required, passed, detail }], failing: [key] } */
+export function evaluateChecklist(artist, record = null) {
+  const cfg = verifyConfig();
+  const links = socialLinks(artist).length;
+  const playable = playableTracks(artist).length;
+  const identity = record?.identity || {};
+  const quality = profileQuality(artist);
+
+  const items = [
+    { key: "socials", passed: links >= cfg.minSocials, detail: { links, needed: cfg.minSocials } },
+    { key: "sample_track", passed: playable > 0, detail: { playable } },
+    { key: "identity", passed: identity.confirmed === true, detail: { method: identity.method || null, by: identity.by || null, at: identity.at || null } },
+    { key: "profile_quality", passed: quality.score >= cfg.minQuality, detail: { score: quality.score, needed: cfg.minQuality, parts: quality.parts } },
+  ].map((i) => ({ key: i.key, label: CHECKLIST_ITEMS[i.key], required: true, passed: i.passed, detail: i.detail }));
+
+  const failing = items.filter((i) => i.required && !i.passed).map((i) => i.key);
+  return { ready: failing.length === 0, items, failing };
+}
+
+/**
+ * Reasons of the latest rejection that a resubmission leaves unanswered.
+ * responses: { reasonCode: "what changed" }. Returns [{ code, item, need: "fix" | "response" }].
+ */
+export function unresolvedReasons(artist, record, responses = {}) {
+  const last = record?.rejections?.[record.rejections.length - 1];
+  if (!last) return [];
+  const checklist = evaluateChecklist(artist, record);
+  const passed = new Set(checklist.items.filter((i) => i.passed).map((i) => i.key));
+
+  const out = [];
+  for (const r of last.reasons) {
+    if (r.item) {
+      if (!passed.has(r.item)) out.push({ code: r.code, item: r.item, need: "fix" });
+    } else if (!safeStr(responses?.[r.code])) {
+      out.push({ code: r.code, item: null, need: "response" });
+    }
+  }
+  return out;
+}
+
+/* -------------------- Store -------------------- */
+
+async function readStore(storage, file) {
+  const doc = await storage.readJson(file, null);
+  return doc && typeof doc.records === "object" && doc.records ? doc : { version: VERSION, records: {} };
+}
+
+/** The artist's record, or a fresh (unsaved) one. */
+export async function getVerification(artistId) {
+  const id = safeStr(artistId, 80);
+  const doc = await readStore(storageFor(), verifyConfig().file);
+  return doc.records[id] || emptyRecord(id);
+}
+
+/** Every saved record, by artist id. */
+export async function listVerifications() {
+  return (await readStore(storageFor(), verifyConfig().file)).records;
+}
+
+/** Locked read-modify-write of one record; fn(record) mutates it and may return a value. */
+async function updateRecord(artistId, fn) {
+  const id = safeStr(artistId, 80);
+  const { file } = verifyConfig();
+  const storage = storageFor();
+  return withFileLock(storage, file, async () => {
+    const doc = await readStore(storage, file);
+    const record = doc.records[id] || emptyRecord(id);
+    const result = fn(record);
+    record.rejections = record.rejections.slice(-MAX_HISTORY);
+    record.submissions = record.submissions.slice(-MAX_HISTORY);
+    record.updatedAt = nowIso();
+    doc.records[id] = record;
+    doc.version = VERSION;
+    await storage.writeJson(file, doc);
+    return { record, result };
+  });
+}
+
+/** reviewer: admin id, or null to unassign. */
+export async function assignReviewer(artistId, { reviewer, by }) {
+  const { record } = await updateRecord(artistId, (r) => {
+    r.reviewer = reviewer ? { id: safeStr(reviewer, 120), assignedAt: nowIso(), assignedBy: safeStr(by, 120) || null } : null;
+  });
+  return record;
+}
+
+export async function setIdentity(artistId, { confirmed, method = null, note = "", by }) {
+  const { record } = await updateRecord(artistId, (r) => {
+    r.identity = {
+      confirmed: confirmed === true,
+      method: confirmed === true ? method || "other" : null,
+      note: safeStr(note, 1000),
+      by: safeStr(by, 120) || null,
+      at: nowIso(),
+    };
+  });
+  return record;
+}
+
+/** reasons: [{ code, message? }] (codes from REJECTION_REASONS). Returns { record, rejection }. */
+export async function recordRejection(artistId, { reasons, note = "", by }) {
+  const { record, result } = await updateRecord(artistId, (r) => {
+    const rejection = {
+      round: r.round,
+      at: nowIso(),
+      by: safeStr(by, 120) || null,
+      reasons: reasons.map((x) => ({
+        code: x.code,
+        message: safeStr(x.message, 500) || REJECTION_REASONS[x.code].message,
+        item: REJECTION_REASONS[x.code].item,
+      })),
+      note: safeStr(note, 1000),
+    };
+    r.rejections.push(rejection);
+    return rejection;
+  });
+  return { record, rejection: result };
+}
+
+/** Opens the next round. Returns { record, submission }. */
+export async function recordResubmission(artistId, { note = "", responses = {}, by }) {
+  const { record, result } = await updateRecord(artistId, (r) => {
+    r.round += 1;
+    const submission = {
+      round: r.round,
+      at: nowIso(),
+      by: safeStr(by, 120) || null,
+      note: safeStr(note, 1000),
+      responses: Object.fromEntries(Object.entries(responses || {}).map(([k, v]) => [safeStr(k, 40), safeStr(v, 1000)]).filter(([, v]) => v)),
+    };
+    r.submissions.push(submission);
+    return submission;
+  });
+  return { record, submission: result };
+}
+
+export async function recordApproval(artistId, { by }) {
+  const { record } = await updateRecord(artistId, (r) => {
+    r.approvedAt = nowIso();
+    r.approvedBy = safeStr(by, 120) || null;
+  });
+  return record;
+}
+
+/* -------------------- Views -------------------- */
+
+/**
+ * Review view of one artist. forArtist: true leaves out reviewer ids and notes meant for staff
+ * (the artist sees the checklist, the reasons to address and its own submissions).
+ */
+export function verificationView(artist, record, { forArtist = false } = {}) {
+  const checklist = evaluateChecklist(artist, record);
+  const lastRejection = record.rejections[record.rejections.length - 1] || null;
+  const view = {
+    artistId: record.artistId,
+    status: artist?.status || null,
+    round: record.round,
+    ready: checklist.ready,
+    failing: checklist.failing,
+    checklist: checklist.items,
+    lastRejection,
+    rejections: record.rejections,
+    submissions: record.submissions,
+    approvedAt: record.approvedAt,
+  };
+  if (forArtist) {
+    view.checklist = checklist.items.map((i) => (i.key === "identity" ? { ...i, detail: { at: i.detail.at } } : i));
+    view.lastRejection = lastRejection && { round: lastRejection.round, at: lastRejection.at, reasons: lastRejection.reasons };
+    view.rejections = record.rejections.map(({ by, note, ...r }) => r);
+    view.submissions = record.submissions.map(({ by, ...s }) => s);
+    return view;
+  }
+  return { ...view, reviewer: record.reviewer, identity: record.identity, approvedBy: record.approvedBy, updatedAt: record.updatedAt };
+}
+
+export default {
+  evaluateChecklist,
+  profileQuality,
+  emptyRecord,
+  unresolvedReasons,
+  getVerification,
+  listVerifications,
+  assignReviewer,
+  setIdentity,
+  recordRejection,
+  recordResubmission,
+  recordApproval,
+  verificationView,
+  CHECKLIST_ITEMS,
+  IDENTITY_METHODS,
+  REJECTION_REASONS,
+};
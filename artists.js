@@ -1,27 +1,62 @@
 /**
  * artists.js (root) — ESM default export
- * Canonical Artists Router (v2 — migration safe)
+ * Canonical Artists Router (v3 — artist repository)
  *
- * Fix:
- * - Support legacy artists.json being an ARRAY at top-level
- * - Normalize and rewrite into canonical object store { artists: [...] }
+ * Reads and writes go through artistsStore.js, the one artist repository every engine reads,
+ * so public edits, admin edits and rankings see the same records in the same shape.
+ * Reads are open. POST, PUT and PATCH need the artist's own token or an admin with artists.write
+ * (identity.js resolveArtist): 401 identity_required, 403 identity_mismatch, answered before the body
+ * is checked (ARTIST_BODY / ARTIST_PATCH, 400 validation_failed). Unknown ids are 404 not_found, a POST
+ * for an id that exists 409 artist_exists. DELETE is admin-only
+ * (artists.delete, permissions.js): an artist cannot remove its own profile. Every change, the
+ * artist's own included, is written to the admin audit log (adminAudit.js, meta.via "public"); profile
+ * edits are also numbered revisions (artistRevisions.js), listed and reverted in the admin API.
+ * Legacy file shapes (top-level array, { data }) are read by the repository; older copies in other
+ * locations are merged once by `npm run artists:migrate`.
+ *
+ * Search (artistSearch.js), over active artists only (pending, rejected and suspended stay out):
+ *   GET /api/artists/search?q=beyonce&genre=pop,afrobeats&country=UK&tier=gold
+ *       &minVotes=10&maxVotes=500&sort=relevance|votes|momentum|recent&limit=20&cursor=
+ * Responds { total, artists, nextCursor, hasMore, facets: { genre, country, tier, votes } } with facet
+ * counts. Pages with pagination.js cursors; a cursor only works with the query and filters it came from.
+ *
+ * Verification (artistVerification.js), for the artist's own token or an admin with artists.write:
+ *   GET  /api/artists/:id/verification            checklist, latest rejection reasons, submissions
+ *   POST /api/artists/:id/verification/resubmit   { note?, responses?: { reasonCode: "what changed" } }
+ * Resubmitting moves a rejected artist back to pending once every reason is addressed (checklist
+ * reasons by passing the item, the others with a response).
+ *
+ * Status: POST creates a pending profile that goes through the admin review (adminArtists.js) before it
+ * is active; POST/PUT/PATCH bodies carrying any other status than the current one get 409 status_not_editable.
+ *
+ * Tracks change only through tracks.js (/api/artists/:artistId/tracks: tracks.write, ISRC and duration
+ * checks); a "tracks" field in POST/PUT/PATCH here is 400 tracks_not_editable.
  */
 
 import express from "express";
-import fs from "fs/promises";
 import path from "path";
 
-const router = express.Router();
+import { getConfig } from "./config.js";
+import artistsStore, { ARTIST_STATUSES } from "./artistsStore.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+import { searchArtists, searchPageKey, listParam, SEARCH_SORTS, MEDAL_TIERS } from "./artistSearch.js";
+import { PAGE_QUERY, readPage, sendPageError, paginate } from "./pagination.js";
+import { getMedalTable } from "./medalEngine.js";
+import tracksRouter from "./tracks.js";
+import { attachPrincipal, resolveArtist } from "./identity.js";
+import { requirePermission } from "./permissions.js";
+import { recordAudit } from "./adminAudit.js";
+import { reviseArtist } from "./artistRevisions.js";
+import { logger } from "./logger.js";
+import { getVerification, unresolvedReasons, recordResubmission, verificationView } from "./artistVerification.js";
 
-const DATA_DIR = process.env.DATA_DIR || "/var/data/iband/db";
-const ARTISTS_FILE = process.env.ARTISTS_FILE || path.join(DATA_DIR, "artists.json");
+const router = express.Router();
+const api = describeRoutes(router, { tag: "artists" });
 
-const MAX_BODY_KB = parseInt(process.env.ARTISTS_MAX_BODY_KB || "64", 10);
-const routerVersion = 2;
+const DATA_DIR = getConfig("core").dataDir;
 
-function nowIso() {
-  return new Date().toISOString();
-}
+const MAX_BODY_KB = getConfig("artists").maxBodyKb;
+const routerVersion = 3;
 
 function isNonEmptyString(v) {
   return typeof v === "string" && v.trim().length > 0;
@@ -46,71 +81,9 @@ function cleanUrl(v, maxLen = 500) {
   return s;
 }
 
-async function ensureDataDir() {
-  await fs.mkdir(DATA_DIR, { recursive: true });
-}
-
-async function readJsonSafe(filePath, fallback) {
-  try {
-    const raw = await fs.readFile(filePath, "utf8");
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
-  }
-}
-
-async function writeJsonAtomic(filePath, obj) {
-  const tmp = `${filePath}.tmp`;
-  await fs.writeFile(tmp, JSON.stringify(obj, null, 2), "utf8");
-  await fs.rename(tmp, filePath);
-}
-
-function makeStoreSkeleton() {
-  return { version: 1, updatedAt: null, artists: [] };
-}
-
-function seedDemoArtist() {
-  return {
-    id: "demo",
-    name: "Demo Artist",
-    genre: "Pop / Urban",
-    location: "London, UK",
-    bio: "Demo artist used for initial platform validation.",
-    imageUrl: null,
-    socials: {
-      instagram: null,
-      tiktok: null,
-      youtube: null,
-      spotify: null,
-      soundcloud: null,
-      website: null,
-    },
-    tracks: [{ title: "Demo Track", url: null, platform: "mp3", durationSec: 30 }],
-    status: "active",
-    createdAt: nowIso(),
-    updatedAt: nowIso(),
-  };
-}
-
-function normalizeStoreShape(raw) {
-  // Legacy: top-level array
-  if (Array.isArray(raw)) {
-    return { ...makeStoreSkeleton(), artists: raw };
-  }
-
-  // Canonical: object store
-  if (raw && typeof raw === "object") {
-    const store = { ...makeStoreSkeleton(), ...raw };
-    if (!Array.isArray(store.artists)) store.artists = [];
-    return store;
-  }
-
-  return makeStoreSkeleton();
-}
-
-function normalizeArtistPayload(body, { requireId = false } = {}) {
+// Bodies are checked against ARTIST_BODY / ARTIST_PATCH first; this trims and drops non-http URLs.
+function normalizeArtistPayload(body) {
   const id = body?.id !== undefined ? normalizeId(body.id) : "";
-  if (requireId && !id) return { ok: false, error: "Invalid id." };
 
   const name = safeString(body?.name, 120);
   const genre = safeString(body?.genre, 80);
@@ -131,21 +104,7 @@ function normalizeArtistPayload(body, { requireId = false } = {}) {
         }
       : undefined;
 
-  const tracks = Array.isArray(body?.tracks)
-    ? body.tracks.slice(0, 20).map((t) => ({
-        title: safeString(t?.title, 120) || "Untitled",
-        url: t?.url ? cleanUrl(t.url) : null,
-        platform: safeString(t?.platform, 40) || null,
-        durationSec: Number.isFinite(Number(t?.durationSec))
-          ? Math.max(0, Math.trunc(Number(t.durationSec)))
-          : null,
-      }))
-    : undefined;
-
-  const status = body?.status !== undefined ? safeString(body.status, 24) : undefined;
-
   return {
-    ok: true,
     artist: {
       ...(id ? { id } : {}),
       ...(name !== null ? { name } : {}),
@@ -154,182 +113,330 @@ function normalizeArtistPayload(body, { requireId = false } = {}) {
       ...(bio !== null ? { bio } : {}),
       ...(imageUrl !== undefined ? { imageUrl } : {}),
       ...(socials !== undefined ? { socials } : {}),
-      ...(tracks !== undefined ? { tracks } : {}),
-      ...(status !== undefined ? { status } : {}),
     },
   };
 }
 
-async function loadStore() {
-  await ensureDataDir();
-  const raw = await readJsonSafe(ARTISTS_FILE, makeStoreSkeleton());
-  const store = normalizeStoreShape(raw);
-
-  // Migration: if legacy array was detected, rewrite into canonical
-  const wasLegacyArray = Array.isArray(raw);
-  const needsRewrite =
-    wasLegacyArray ||
-    !raw ||
-    typeof raw !== "object" ||
-    (raw && typeof raw === "object" && !("artists" in raw));
-
-  if (store.artists.length === 0) {
-    store.artists = [seedDemoArtist()];
-  }
+function storeUpdatedAt() {
+  return artistsStore.getStorageMeta().updatedAt;
+}
 
-  if (needsRewrite) {
-    store.updatedAt = nowIso();
-    await writeJsonAtomic(ARTISTS_FILE, store);
-  }
+// Status belongs to the admin review (adminArtists.js): a body may only repeat the current one.
+function statusChanged(req, res, current) {
+  const status = req.body?.status;
+  if (status === undefined || status === current) return false;
+  sendError(res, 409, "status_not_editable", "Status changes go through the admin review.", { from: current, to: status });
+  return true;
+}
+
+// Tracks have their own catalogue route and permissions (tracks.js).
+function tracksSent(req, res) {
+  if (req.body?.tracks === undefined) return false;
+  sendError(res, 400, "tracks_not_editable", "Tracks are managed through /api/artists/:artistId/tracks.", { field: "tracks" });
+  return true;
+}
+
+// Audit entries of this router carry via: "public" next to the same actions adminArtists.js records.
+const AUDIT_META = Object.freeze({ via: "public" });
 
-  return store;
+function auditMeta(revision) {
+  return revision ? { ...AUDIT_META, revision: revision.n } : AUDIT_META;
 }
 
-async function saveStore(store) {
-  store.updatedAt = nowIso();
-  await writeJsonAtomic(ARTISTS_FILE, store);
+/** { id, n } of the revision an edit recorded (artistRevisions.js); null when nothing was recorded. */
+function revisionRef(revision) {
+  return revision ? { id: revision.id, n: revision.n } : null;
 }
 
+/**
+ * resolveArtist (identity.js) as middleware for the artist idOf(req) names: sends the 401/403.
+ * Listed before the route's validation, so a caller who may not write hears that before a 400.
+ */
+function requireArtist(idOf) {
+  return function artistGuard(req, res, next) {
+    const who = resolveArtist(req, idOf(req));
+    if (who.error) return sendError(res, who.error.status, who.error.code, who.error.message);
+    return next();
+  };
+}
+
+const paramId = (req) => normalizeId(req.params.id);
+
+function notFound(res, id) {
+  return sendError(res, 404, "not_found", "Artist not found.", { id });
+}
+
+/* -------------------- Schemas -------------------- */
+
+// Limits follow normalizeArtistPayload; URLs that aren't http(s) are dropped there rather than refused.
+const ARTIST_ID = { ...S.id(80), pattern: "^[a-zA-Z0-9._:-]+$" };
+const URL_FIELD = { ...S.text(500), nullable: true };
+
+const PROFILE_FIELDS = {
+  id: ARTIST_ID,
+  name: S.text(120),
+  genre: S.text(80),
+  location: S.text(120),
+  bio: S.text(800),
+  imageUrl: URL_FIELD,
+  socials: S.obj(Object.fromEntries(["instagram", "tiktok", "youtube", "spotify", "soundcloud", "website"].map((k) => [k, URL_FIELD]))),
+  status: S.enumOf(ARTIST_STATUSES),
+};
+
+const ARTIST_BODY = S.obj(PROFILE_FIELDS, ["id"]);
+const ARTIST_PATCH = S.obj(PROFILE_FIELDS);
+const ID_PARAMS = { id: ARTIST_ID };
+
 router.use(express.json({ limit: `${MAX_BODY_KB}kb` }));
 
-router.get("/health", async (_req, res) => {
-  const store = await loadStore();
+router.get("/health", (_req, res) => {
+  const meta = artistsStore.getStorageMeta();
   res.json({
     success: true,
     service: "artists",
     version: routerVersion,
     dataDir: DATA_DIR,
-    file: path.basename(ARTISTS_FILE),
-    count: store.artists.length,
-    updatedAt: store.updatedAt,
+    file: path.basename(meta.dbFile),
+    count: meta.count,
+    updatedAt: meta.updatedAt,
   });
 });
 
-router.get("/", async (_req, res) => {
-  const store = await loadStore();
+router.get("/", (_req, res) => {
+  const artists = artistsStore.listArtists();
   res.json({
     success: true,
-    count: store.artists.length,
-    updatedAt: store.updatedAt,
-    artists: store.artists,
+    count: artists.length,
+    updatedAt: storeUpdatedAt(),
+    artists,
   });
 });
 
-router.get("/:id", async (req, res) => {
-  const id = normalizeId(req.params.id);
-  if (!id) return res.status(400).json({ success: false, message: "Invalid id." });
+const SEARCH_MAX_LIMIT = 100;
+
+api.get("/search", {
+  summary: "Search active artists by name and bio, with facet counts",
+  query: S.obj({
+    q: S.text(200),
+    genre: S.text(400),
+    country: S.text(400),
+    tier: S.text(200),
+    minVotes: S.int(0),
+    maxVotes: S.int(0),
+    sort: S.enumOf(SEARCH_SORTS),
+    ...PAGE_QUERY,
+  }),
+}, async (req, res) => {
+  try {
+    const q = String(req.query.q ?? "").trim();
+    const minVotes = req.query.minVotes !== undefined ? Number(req.query.minVotes) : null;
+    const maxVotes = req.query.maxVotes !== undefined ? Number(req.query.maxVotes) : null;
+    if (minVotes !== null && maxVotes !== null && minVotes > maxVotes) {
+      return sendError(res, 400, "invalid_vote_range", "minVotes must not be greater than maxVotes.");
+    }
+
+    const tier = listParam(req.query.tier);
+    const unknownTier = tier.find((t) => !MEDAL_TIERS.includes(t));
+    if (unknownTier) {
+      return sendError(res, 400, "invalid_tier", `Unknown medal tier "${unknownTier}".`, { allowed: MEDAL_TIERS });
+    }
+
+    const filters = { genre: listParam(req.query.genre), country: listParam(req.query.country), tier, minVotes, maxVotes };
+    const page = readPage(req.query, {
+      defaultLimit: 20,
+      maxLimit: SEARCH_MAX_LIMIT,
+      scope: { q, sort: req.query.sort, ...Object.fromEntries(Object.entries(filters).map(([k, v]) => [k, Array.isArray(v) ? v.join(",") : v])) },
+    });
+    if (page.error) return sendPageError(res, page.error);
+
+    const found = searchArtists(artistsStore.listArtists().filter((a) => a.status === "active"), {
+      q,
+      filters,
+      sort: req.query.sort || null,
+      limit: Infinity,
+      medals: await getMedalTable(),
+    });
+    const out = paginate(found.items, page, (hit) => searchPageKey(hit, found.sort));
+    const { status: _status, ...facets } = found.facets;
+
+    res.json({
+      success: true,
+      q,
+      sort: found.sort,
+      total: found.total,
+      limit: out.limit,
+      nextCursor: out.nextCursor,
+      hasMore: out.hasMore,
+      artists: out.items.map((hit) => ({
+        ...hit.artist,
+        medal: { tier: hit.tier },
+        momentum: Math.round(hit.momentum * 100) / 100,
+        relevance: hit.relevance,
+        matched: hit.matched,
+      })),
+      facets,
+      updatedAt: storeUpdatedAt(),
+    });
+  } catch (e) {
+    logger.error("artist_search_failed", { error: e?.message || String(e) });
+    return sendError(res, 500, "search_failed", "Artist search failed.");
+  }
+});
 
-  const store = await loadStore();
-  const artist = store.artists.find((a) => a.id === id);
-  if (!artist) return res.status(404).json({ success: false, message: "Artist not found." });
+api.get("/:id", { summary: "Get one artist", params: ID_PARAMS, responses: { 404: "Artist not found." } }, (req, res) => {
+  const id = paramId(req);
+  const artist = artistsStore.getArtist(id);
+  if (!artist) return notFound(res, id);
 
-  res.json({ success: true, artist, updatedAt: store.updatedAt });
+  res.json({ success: true, artist, updatedAt: storeUpdatedAt() });
 });
 
-router.post("/", async (req, res) => {
-  const parsed = normalizeArtistPayload(req.body, { requireId: true });
-  if (!parsed.ok) return res.status(400).json({ success: false, message: parsed.error });
-
-  const store = await loadStore();
-  if (store.artists.some((a) => a.id === parsed.artist.id)) {
-    return res.status(409).json({ success: false, message: "Artist id already exists." });
+api.post("/", {
+  summary: "Create an artist profile",
+  auth: "artist",
+  permission: "artists.write",
+  body: ARTIST_BODY,
+  responses: { 201: "Created.", 409: "Artist id already exists." },
+}, attachPrincipal, requireArtist((req) => normalizeId(req.body?.id)), async (req, res) => {
+  const parsed = normalizeArtistPayload(req.body);
+  if (tracksSent(req, res) || statusChanged(req, res, "pending")) return;
+
+  if (artistsStore.getArtist(parsed.artist.id)) {
+    return sendError(res, 409, "artist_exists", "Artist id already exists.", { id: parsed.artist.id });
   }
 
-  const artist = {
-    id: parsed.artist.id,
-    name: parsed.artist.name || null,
-    genre: parsed.artist.genre || null,
-    location: parsed.artist.location || null,
-    bio: parsed.artist.bio || null,
-    imageUrl: parsed.artist.imageUrl ?? null,
-    socials:
-      parsed.artist.socials ??
-      { instagram: null, tiktok: null, youtube: null, spotify: null, soundcloud: null, website: null },
-    tracks: parsed.artist.tracks ?? [],
-    status: parsed.artist.status || "active",
-    createdAt: nowIso(),
-    updatedAt: nowIso(),
-  };
-
-  store.artists.push(artist);
-  await saveStore(store);
+  const { after: artist, revision } = await reviseArtist(req, parsed.artist.id, { action: "create" }, () =>
+    artistsStore.createArtist({ ...parsed.artist, status: "pending" })
+  );
+  await artistsStore.flushArtists();
+  await recordAudit(req, { action: "artist.create", target: { type: "artist", id: artist.id }, after: artist, meta: auditMeta(revision) });
 
-  res.status(201).json({ success: true, message: "Artist created.", artist, updatedAt: store.updatedAt });
+  res.status(201).json({ success: true, message: "Artist created.", artist, revision: revisionRef(revision), updatedAt: storeUpdatedAt() });
 });
 
-router.put("/:id", async (req, res) => {
-  const id = normalizeId(req.params.id);
-  if (!id) return res.status(400).json({ success: false, message: "Invalid id." });
+api.put("/:id", {
+  summary: "Replace an artist profile",
+  auth: "artist",
+  permission: "artists.write",
+  params: ID_PARAMS,
+  body: ARTIST_PATCH,
+  responses: { 404: "Artist not found." },
+}, attachPrincipal, requireArtist(paramId), async (req, res) => {
+  const id = paramId(req);
+  const parsed = normalizeArtistPayload({ ...req.body, id });
+  if (tracksSent(req, res)) return;
+
+  const existing = artistsStore.getArtist(id);
+  if (!existing) return notFound(res, id);
+  if (statusChanged(req, res, existing.status)) return;
+
+  // Replace: text fields left out of the body are cleared; image, socials, tracks and status are kept.
+  const { before, after: artist, revision } = await reviseArtist(req, id, { action: "replace" }, () =>
+    artistsStore.updateArtist(id, { name: "", genre: "", location: "", bio: "", ...parsed.artist })
+  );
+  await artistsStore.flushArtists();
+  await recordAudit(req, { action: "artist.replace", target: { type: "artist", id }, before, after: artist, meta: auditMeta(revision) });
+
+  res.json({ success: true, message: "Artist replaced.", artist, revision: revisionRef(revision), updatedAt: storeUpdatedAt() });
+});
 
-  const parsed = normalizeArtistPayload({ ...req.body, id }, { requireId: true });
-  if (!parsed.ok) return res.status(400).json({ success: false, message: parsed.error });
+api.patch("/:id", {
+  summary: "Update an artist profile",
+  auth: "artist",
+  permission: "artists.write",
+  params: ID_PARAMS,
+  body: ARTIST_PATCH,
+  responses: { 404: "Artist not found." },
+}, attachPrincipal, requireArtist(paramId), async (req, res) => {
+  const id = paramId(req);
+  const parsed = normalizeArtistPayload(req.body);
+  if (tracksSent(req, res)) return;
+
+  const { id: _ignored, ...patch } = parsed.artist;
+  const existing = artistsStore.getArtist(id);
+  if (!existing) return notFound(res, id);
+  if (statusChanged(req, res, existing.status)) return;
+  const { before, after: artist, revision } = await reviseArtist(req, id, { action: "update" }, () => artistsStore.patchArtist(id, patch));
+  await artistsStore.flushArtists();
+  await recordAudit(req, { action: "artist.update", target: { type: "artist", id }, before, after: artist, meta: auditMeta(revision) });
+
+  res.json({ success: true, message: "Artist updated.", artist, revision: revisionRef(revision), updatedAt: storeUpdatedAt() });
+});
 
-  const store = await loadStore();
-  const idx = store.artists.findIndex((a) => a.id === id);
-  if (idx === -1) return res.status(404).json({ success: false, message: "Artist not found." });
+api.delete("/:id", {
+  summary: "Delete an artist profile",
+  auth: "admin",
+  permission: "artists.delete",
+  params: ID_PARAMS,
+  responses: { 404: "Artist not found." },
+}, attachPrincipal, requirePermission("artists.delete"), async (req, res) => {
+  const id = paramId(req);
+  const existing = artistsStore.getArtist(id);
+  if (!existing || !artistsStore.deleteArtist(id)) return notFound(res, id);
+
+  await artistsStore.flushArtists();
+  await recordAudit(req, { action: "artist.delete", target: { type: "artist", id }, before: existing, after: null, meta: AUDIT_META });
+  res.json({ success: true, message: "Artist deleted.", updatedAt: storeUpdatedAt() });
+});
 
-  const prev = store.artists[idx];
-  const next = {
-    id,
-    name: parsed.artist.name ?? null,
-    genre: parsed.artist.genre ?? null,
-    location: parsed.artist.location ?? null,
-    bio: parsed.artist.bio ?? null,
-    imageUrl: parsed.artist.imageUrl !== undefined ? (parsed.artist.imageUrl ?? null) : (prev.imageUrl ?? null),
-    socials: parsed.artist.socials !== undefined ? (parsed.artist.socials ?? prev.socials) : prev.socials,
-    tracks: parsed.artist.tracks !== undefined ? (parsed.artist.tracks ?? []) : prev.tracks,
-    status: parsed.artist.status ?? prev.status ?? "active",
-    createdAt: prev.createdAt || nowIso(),
-    updatedAt: nowIso(),
-  };
+/* -------------------- Verification -------------------- */
 
-  store.artists[idx] = next;
-  await saveStore(store);
+api.get("/:id/verification", {
+  summary: "The artist's verification checklist and rejection reasons",
+  auth: "artist",
+  params: { id: S.id(80) },
+}, attachPrincipal, requireArtist(paramId), async (req, res) => {
+  const id = paramId(req);
+  const artist = artistsStore.getArtist(id);
+  if (!artist) return notFound(res, id);
 
-  res.json({ success: true, message: "Artist replaced.", artist: next, updatedAt: store.updatedAt });
+  res.json({ success: true, id, verification: verificationView(artist, await getVerification(id), { forArtist: true }) });
 });
 
-router.patch("/:id", async (req, res) => {
-  const id = normalizeId(req.params.id);
-  if (!id) return res.status(400).json({ success: false, message: "Invalid id." });
+api.post("/:id/verification/resubmit", {
+  summary: "Resubmit a rejected artist for review",
+  auth: "artist",
+  params: { id: S.id(80) },
+  body: S.obj({ note: S.text(1000), responses: S.obj({}, [], { additionalProperties: S.text(1000) }) }),
+  responses: { 200: "Back in review.", 409: "Not rejected, or reasons left unaddressed." },
+}, attachPrincipal, requireArtist(paramId), async (req, res) => {
+  const id = paramId(req);
+  const artist = artistsStore.getArtist(id);
+  if (!artist) return notFound(res, id);
+  if (artist.status !== "rejected") {
+    return sendError(res, 409, "invalid_transition", "Only rejected artists can resubmit.", { id, from: artist.status, to: "pending" });
+  }
 
-  const parsed = normalizeArtistPayload(req.body, { requireId: false });
-  if (!parsed.ok) return res.status(400).json({ success: false, message: parsed.error });
+  const record = await getVerification(id);
+  const unresolved = unresolvedReasons(artist, record, req.body?.responses);
+  if (unresolved.length) {
+    return sendError(res, 409, "unresolved_reasons", "Address every rejection reason before resubmitting.", { id, unresolved });
+  }
 
-  const store = await loadStore();
-  const idx = store.artists.findIndex((a) => a.id === id);
-  if (idx === -1) return res.status(404).json({ success: false, message: "Artist not found." });
+  const principal = req.principal;
+  const by = principal?.kind === "artist" ? `artist:${principal.artistId}` : principal?.adminId || "admin";
+  const { record: next, submission } = await recordResubmission(id, { note: req.body?.note, responses: req.body?.responses, by });
+  const updated = artistsStore.patchArtist(id, { status: "pending" });
+  await artistsStore.flushArtists();
+  await recordAudit(req, {
+    action: "artist.resubmit",
+    target: { type: "artist", id },
+    before: artist,
+    after: updated,
+    meta: { ...AUDIT_META, round: submission.round },
+  });
 
-  const prev = store.artists[idx];
-  const next = {
-    ...prev,
-    ...parsed.artist,
+  res.json({
+    success: true,
+    message: "Resubmitted for review.",
     id,
-    socials: parsed.artist.socials !== undefined ? (parsed.artist.socials ?? prev.socials) : prev.socials,
-    tracks: parsed.artist.tracks !== undefined ? (parsed.artist.tracks ?? prev.tracks) : prev.tracks,
-    updatedAt: nowIso(),
-  };
-
-  store.artists[idx] = next;
-  await saveStore(store);
-
-  res.json({ success: true, message: "Artist updated.", artist: next, updatedAt: store.updatedAt });
+    round: submission.round,
+    artist: updated,
+    verification: verificationView(updated, next, { forArtist: true }),
+  });
 });
 
-router.delete("/:id", async (req, res) => {
-  const id = normalizeId(req.params.id);
-  if (!id) return res.status(400).json({ success: false, message: "Invalid id." });
-
-  const store = await loadStore();
-  const before = store.artists.length;
-  store.artists = store.artists.filter((a) => a.id !== id);
-
-  if (store.artists.length === before) {
-    return res.status(404).json({ success: false, message: "Artist not found." });
-  }
-
-  await saveStore(store);
-  res.json({ success: true, message: "Artist deleted.", updatedAt: store.updatedAt });
-});
+// /:artistId/tracks[/...] (tracks.js)
+router.use(tracksRouter);
 
-export default router;
\ No newline at end of file
+export default router;
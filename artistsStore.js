@@ -1,16 +1,35 @@
 /**
  * artistsStore.js (ESM)
  *
- * Single source of truth for artist persistence.
+ * The artist repository: one store, one normalised artist shape, for every module that reads or writes artists.
  * Used by:
  * - public artists routes (artists.js)
  * - admin moderation routes (adminArtists.js / admin.js)
- * - votes routes (votes.js)
+ * - engines that join on artists: ranking, recs, medals, medalEngine, flashMedals, genres, countries,
+ *   discovery, discovery-boost, momentum-charts, rising-now, purchases, commerce, liveStream
+ * - track catalogue routes (tracks.js) and the track checks in purchases, monetisationSignals and trends
  *
- * Storage strategy:
- * - If a Render Persistent Disk is attached, Render typically mounts it at /var/data
- *   -> we auto-detect and store inside /var/data/iband/db/artists.json
- * - Otherwise we fall back to local ./db/artists.json (ephemeral on free Render)
+ * Storage: the IBAND_ARTISTS_FILE (config "files".artists, default DATA_DIR/artists.json) through
+ * storage/index.js, as { version: 2, updatedAt, artists: [...] }. Older shapes (a bare array, { data },
+ * { items }, keyed objects) are still read.
+ *
+ * Artist shape (normalizeArtist):
+ *   { id, name, genre, location, country, bio, imageUrl,
+ *     socials: { instagram, tiktok, youtube, spotify, soundcloud, website },
+ *     tracks: [track], votes, counters: { <name>: number },
+ *     status: pending | active | rejected | suspended, createdAt, updatedAt }
+ * Missing text is "", country defaults to the last part of location ("London, UK" -> "UK").
+ *
+ * Track shape (normalizeTrack), embedded in its artist; CRUD through tracks.js:
+ *   { id, title, durationSec, isrc, releaseDate (YYYY-MM-DD), explicit, audioUrl, previewUrl,
+ *     url, platform, createdAt, updatedAt }
+ * Tracks written before tracks had ids get a stable one derived from artist id, position and title,
+ * so purchases and trends recorded against it keep resolving after the next save.
+ *
+ * migrateArtists() (npm run artists:migrate) is the one-time merge of the files the older code paths wrote
+ * (this store's previous DB_DIR/artists.json, DATA_DIR/artists/artists.json) into the canonical file, with a
+ * conflict report. This store is the only artist data path: the old in-memory stores (db/, models/artistModel.js,
+ * routes/artists.fake.js and the prototypes built on them) never persisted anything and were removed.
  *
  * IMPORTANT:
  * This store intentionally supports BOTH:
@@ -18,9 +37,13 @@
  * - legacy/router-friendly aliases (getAll/getById/create/update/patch/remove/reset/seed)
  */
 
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
 
+import { getConfig } from "./config.js";
+import { getStorage } from "./storage/index.js";
+
 /* -------------------- Helpers -------------------- */
 
 const nowIso = () => new Date().toISOString();
@@ -32,80 +55,129 @@ const toNumber = (v, fallback = 0) => {
   return Number.isFinite(n) ? n : fallback;
 };
 
+export const ARTIST_STATUSES = Object.freeze(["pending", "active", "rejected", "suspended"]);
+
+const SOCIAL_KEYS = ["instagram", "tiktok", "youtube", "spotify", "soundcloud", "website"];
+
+// engine counters older files kept at the top level of an artist
+const COUNTER_KEYS = ["views", "streams", "likes", "shares", "purchases", "uploads"];
+
 const normalizeStatus = (s) => {
   const v = String(s || "").toLowerCase().trim();
-  if (["pending", "active", "rejected"].includes(v)) return v;
+  if (ARTIST_STATUSES.includes(v)) return v;
   return "active";
 };
 
-function normalizeArtist(raw = {}) {
+/** "London, UK" -> "UK"; the last comma-separated part of a free-text location. */
+export function countryFromLocation(location) {
+  const parts = safeText(location).split(",").map((s) => s.trim()).filter(Boolean);
+  return parts.length ? parts[parts.length - 1] : "";
+}
+
+function idOf(raw) {
+  return safeText(raw?.id || raw?._id || raw?.artistId || raw?.slug);
+}
+
+function normalizeCounters(raw) {
+  const out = {};
+  const nested = raw.counters && typeof raw.counters === "object" ? raw.counters : {};
+  for (const [k, v] of Object.entries(nested)) if (Number.isFinite(Number(v))) out[k] = Number(v);
+  for (const k of COUNTER_KEYS) if (raw[k] !== undefined && Number.isFinite(Number(raw[k]))) out[k] = (out[k] || 0) + Number(raw[k]);
+  return out;
+}
+
+/** "US-S1Z-99-00001" -> "USS1Z9900001" (validity is checked by tracks.js, not here). */
+export function normalizeIsrc(v) {
+  return safeText(v).replace(/[-\s]/g, "").toUpperCase();
+}
+
+function legacyTrackId(artistId, index, title) {
+  return `trk_${crypto.createHash("sha1").update(`${artistId}:${index}:${title}`).digest("hex").slice(0, 12)}`;
+}
+
+export function normalizeTrack(t = {}, { artistId = "", index = 0, fallbackAt = "" } = {}) {
+  const title = safeText(t?.title);
+  return {
+    id: safeText(t?.id) || legacyTrackId(artistId, index, title),
+    title,
+    durationSec: toNumber(t?.durationSec, 0),
+    isrc: normalizeIsrc(t?.isrc),
+    releaseDate: safeText(t?.releaseDate),
+    explicit: t?.explicit === true,
+    audioUrl: safeText(t?.audioUrl),
+    previewUrl: safeText(t?.previewUrl),
+    url: safeText(t?.url),
+    platform: safeText(t?.platform),
+    createdAt: safeText(t?.createdAt || fallbackAt),
+    updatedAt: safeText(t?.updatedAt || t?.createdAt || fallbackAt),
+  };
+}
+
+export function normalizeArtist(raw = {}) {
   const socials = raw.socials && typeof raw.socials === "object" ? raw.socials : {};
   const tracks = ensureArray(raw.tracks);
+  const location = safeText(raw.location || "");
+  const id = idOf(raw) || `artist-${Date.now()}`;
+  const createdAt = safeText(raw.createdAt || nowIso());
 
   return {
-    id: safeText(raw.id || raw._id || raw.slug || `artist-${Date.now()}`),
-    name: safeText(raw.name || "Unnamed Artist"),
-    genre: safeText(raw.genre || ""),
-    location: safeText(raw.location || ""),
+    id,
+    name: safeText(raw.name || raw.artistName || "Unnamed Artist"),
+    genre: safeText(raw.genre || raw.primaryGenre || ensureArray(raw.genres)[0] || ""),
+    location,
+    country: safeText(raw.country || countryFromLocation(location)),
     bio: safeText(raw.bio || ""),
-    imageUrl: safeText(raw.imageUrl || ""),
-    socials: {
-      instagram: safeText(socials.instagram),
-      tiktok: safeText(socials.tiktok),
-      youtube: safeText(socials.youtube),
-      spotify: safeText(socials.spotify),
-      soundcloud: safeText(socials.soundcloud),
-      website: safeText(socials.website),
-    },
-    tracks: tracks.map((t) => ({
-      title: safeText(t?.title),
-      url: safeText(t?.url),
-      platform: safeText(t?.platform),
-      durationSec: toNumber(t?.durationSec, 0),
-    })),
-    votes: toNumber(raw.votes, 0),
+    imageUrl: safeText(raw.imageUrl || raw.image || ""),
+    socials: Object.fromEntries(SOCIAL_KEYS.map((k) => [k, safeText(socials[k])])),
+    tracks: tracks.map((t, index) => normalizeTrack(t, { artistId: id, index, fallbackAt: createdAt })),
+    votes: toNumber(raw.votes ?? raw.voteCount, 0),
+    counters: normalizeCounters(raw),
     status: normalizeStatus(raw.status),
-    createdAt: safeText(raw.createdAt || nowIso()),
-    updatedAt: safeText(raw.updatedAt || nowIso()),
+    createdAt,
+    updatedAt: safeText(raw.updatedAt || raw.lastActiveAt || nowIso()),
   };
 }
 
-/* -------------------- Storage location (Disk-aware) -------------------- */
+/** Artist records out of any artists file shape the platform has written. */
+export function extractArtists(parsed) {
+  if (!parsed) return [];
+  if (Array.isArray(parsed)) return parsed;
+  if (typeof parsed !== "object") return [];
+
+  for (const k of ["artists", "data", "items", "results", "list"]) {
+    const v = parsed[k];
+    if (Array.isArray(v)) return v;
+    if (v && typeof v === "object") {
+      const vals = Object.values(v).filter((x) => x && typeof x === "object");
+      if (vals.length) return vals;
+    }
+  }
 
-/**
- * Render Disk typical mount: /var/data
- * We’ll store under: /var/data/iband/db/artists.json
- *
- * If no disk exists or is not writable, fallback: <project>/db/artists.json
- */
+  // keyed object at top-level ({ "<id>": artist, ... })
+  if ("id" in parsed && "name" in parsed) return [];
+  return Object.values(parsed).filter((x) => x && typeof x === "object" && !Array.isArray(x) && idOf(x));
+}
 
-const ROOT = process.cwd();
+/* -------------------- Storage location -------------------- */
 
-function dirWritable(dirPath) {
-  try {
-    fs.mkdirSync(dirPath, { recursive: true });
-    fs.accessSync(dirPath, fs.constants.W_OK);
-    return true;
-  } catch {
-    return false;
-  }
-}
+const DATA_DIR = getConfig("core").dataDir;
+const DB_FILE = getConfig("files").artists;
+const DB_DIR = path.dirname(DB_FILE);
 
-const DISK_MOUNT = "/var/data";
-const DISK_BASE = path.join(DISK_MOUNT, "iband", "db");
-const LOCAL_BASE = path.join(ROOT, "db");
+// where this store wrote before it moved to the artists file (Render disk, else ./db)
+const LEGACY_DISK_FILE = path.join("/var/data", "iband", "db", "artists.json");
+const LEGACY_LOCAL_FILE = path.join(process.cwd(), "db", "artists.json");
 
-const USE_DISK = dirWritable(DISK_BASE);
-const DB_DIR = USE_DISK ? DISK_BASE : LOCAL_BASE;
-const DB_FILE = path.join(DB_DIR, "artists.json");
+const storage = getStorage(DATA_DIR);
 
 const STORAGE_META = {
-  mode: USE_DISK ? "render-disk" : "ephemeral-local",
+  mode: DB_FILE.startsWith("/var/data") ? "render-disk" : "data-dir",
+  adapter: storage.describe().adapter,
   dbDir: DB_DIR,
   dbFile: DB_FILE,
-  note: USE_DISK
-    ? "Persistent Disk detected (/var/data). Data should survive redeploys."
-    : "No Persistent Disk detected. Data may reset on redeploy/restart (free Render behavior).",
+  note: DB_FILE.startsWith("/var/data")
+    ? "Persistent Disk path (/var/data). Data should survive redeploys."
+    : "IBAND_DATA_DIR is not on the Render disk; data may reset on redeploy unless it points at persistent storage.",
 };
 
 /**
@@ -113,12 +185,14 @@ const STORAGE_META = {
  * This is read-only and safe.
  */
 export function getStorageMeta() {
-  return { ...STORAGE_META };
+  return { ...STORAGE_META, count: artists.length, updatedAt, migrations: fileMigrations };
 }
 
 /* -------------------- In-memory state -------------------- */
 
 let artists = [];
+let updatedAt = null;
+let fileMigrations = null; // migrateArtists() runs, kept in the file
 
 /* -------------------- Seed / Demo -------------------- */
 
@@ -140,41 +214,50 @@ function ensureDemo() {
 
 /* -------------------- Disk I/O (atomic write) -------------------- */
 
-function loadFromDisk() {
+async function loadFromDisk() {
   try {
-    if (!fs.existsSync(DB_FILE)) {
-      ensureDemo();
-      return;
-    }
-    const raw = fs.readFileSync(DB_FILE, "utf8");
-    const parsed = JSON.parse(raw);
-    const list = ensureArray(parsed?.data || parsed);
-    artists = list.map(normalizeArtist);
+    const parsed = await storage.readJson(DB_FILE, null);
+    artists = extractArtists(parsed).filter(idOf).map(normalizeArtist);
+    updatedAt = parsed?.updatedAt || null;
+    fileMigrations = parsed?.migrations || null;
     if (!artists.length) ensureDemo();
   } catch {
     ensureDemo();
   }
 }
 
-function saveToDisk() {
-  // best-effort persistence
-  try {
-    if (!fs.existsSync(DB_DIR)) fs.mkdirSync(DB_DIR, { recursive: true });
+/**
+ * best-effort persistence.
+ * Writes are chained so a slow write can never land after a newer one.
+ * Resolves true/false; CRUD callers do not wait for it (same as before).
+ */
+let saveChain = Promise.resolve(true);
 
-    const payload = JSON.stringify({ updatedAt: nowIso(), data: artists }, null, 2);
+function saveToDisk() {
+  updatedAt = nowIso();
+  const snapshot = { version: 2, updatedAt, artists: artists.slice(), ...(fileMigrations ? { migrations: fileMigrations } : {}) };
+  saveChain = saveChain.then(() =>
+    storage.writeJson(DB_FILE, snapshot).then(
+      () => true,
+      () => false
+    )
+  );
+  return saveChain;
+}
 
-    // atomic write: write temp then rename
-    const tmp = `${DB_FILE}.tmp`;
-    fs.writeFileSync(tmp, payload, "utf8");
-    fs.renameSync(tmp, DB_FILE);
+await loadFromDisk();
 
-    return true;
-  } catch {
-    return false;
-  }
+/** Re-reads the artists file (after an out-of-process edit, e.g. a restore). */
+export async function reloadArtists() {
+  await saveChain;
+  await loadFromDisk();
+  return artists.length;
 }
 
-loadFromDisk();
+/** Resolves once every queued write has landed (true when the last one succeeded). */
+export function flushArtists() {
+  return saveChain;
+}
 
 /* -------------------- Core CRUD (modern) -------------------- */
 
@@ -188,6 +271,11 @@ export function getArtist(id) {
   return artists.find((a) => a.id === clean) || null;
 }
 
+/** id -> artist, for engines joining scores on artist ids. */
+export function artistsById() {
+  return new Map(artists.map((a) => [a.id, a]));
+}
+
 export function createArtist(data) {
   const a = normalizeArtist(data);
 
@@ -202,17 +290,29 @@ export function createArtist(data) {
   return a;
 }
 
+function mergeTracks(current, incoming) {
+  const byId = new Map(current.map((t) => [t.id, t]));
+  return ensureArray(incoming).map((t) => {
+    const prev = t?.id ? byId.get(safeText(t.id)) : null;
+    return prev ? { ...prev, ...t, createdAt: prev.createdAt, updatedAt: nowIso() } : { ...t, createdAt: nowIso(), updatedAt: nowIso() };
+  });
+}
+
 export function updateArtist(id, patch) {
   const clean = safeText(id);
   const idx = artists.findIndex((a) => a.id === clean);
   if (idx === -1) return null;
 
   const existing = artists[idx];
-  const next = normalizeArtist({ ...existing, ...patch });
+  // a replaced track list keeps the catalogue fields of tracks it names by id
+  const tracks = patch?.tracks !== undefined ? mergeTracks(existing.tracks, patch.tracks) : existing.tracks;
+  const next = normalizeArtist({ ...existing, ...patch, tracks });
 
   next.id = existing.id;
   next.createdAt = existing.createdAt;
   next.updatedAt = nowIso();
+  // a new location re-derives the country unless one was given
+  if (patch?.location !== undefined && patch?.country === undefined) next.country = countryFromLocation(next.location);
 
   artists[idx] = next;
   saveToDisk();
@@ -226,10 +326,9 @@ export function patchArtist(id, patch) {
   if (!existing) return null;
 
   const merged = {
-    ...existing,
     ...patch,
     socials: patch?.socials ? { ...existing.socials, ...patch.socials } : existing.socials,
-    tracks: patch?.tracks !== undefined ? patch.tracks : existing.tracks,
+    counters: patch?.counters ? { ...existing.counters, ...patch.counters } : existing.counters,
   };
 
   return updateArtist(clean, merged);
@@ -293,6 +392,176 @@ export function seedArtists() {
   return artists.length - before;
 }
 
+/* -------------------- Tracks -------------------- */
+
+export function listTracks(artistId) {
+  return getArtist(artistId)?.tracks || null;
+}
+
+export function getTrack(artistId, trackId) {
+  const clean = safeText(trackId);
+  return listTracks(artistId)?.find((t) => t.id === clean) || null;
+}
+
+/** The track holding this ISRC anywhere in the catalogue: { artistId, track } or null. */
+export function findTrackByIsrc(isrc) {
+  const clean = normalizeIsrc(isrc);
+  if (!clean) return null;
+  for (const a of artists) {
+    const track = a.tracks.find((t) => t.isrc === clean);
+    if (track) return { artistId: a.id, track };
+  }
+  return null;
+}
+
+function writeTracks(artist, tracks) {
+  artist.tracks = tracks;
+  artist.updatedAt = nowIso();
+  saveToDisk();
+}
+
+/** Adds a track (id generated unless given). Returns the track, or null when the artist is unknown. */
+export function createTrack(artistId, data) {
+  const artist = getArtist(artistId);
+  if (!artist) return null;
+  const at = nowIso();
+  const track = normalizeTrack({ ...data, id: safeText(data?.id) || `trk_${crypto.randomBytes(6).toString("hex")}`, createdAt: at, updatedAt: at });
+  writeTracks(artist, [...artist.tracks, track]);
+  return track;
+}
+
+export function updateTrack(artistId, trackId, patch) {
+  const artist = getArtist(artistId);
+  const prev = artist?.tracks.find((t) => t.id === safeText(trackId));
+  if (!prev) return null;
+  const track = normalizeTrack({ ...prev, ...patch, id: prev.id, createdAt: prev.createdAt, updatedAt: nowIso() });
+  writeTracks(artist, artist.tracks.map((t) => (t.id === prev.id ? track : t)));
+  return track;
+}
+
+export function deleteTrack(artistId, trackId) {
+  const artist = getArtist(artistId);
+  const prev = artist?.tracks.find((t) => t.id === safeText(trackId));
+  if (!prev) return null;
+  writeTracks(artist, artist.tracks.filter((t) => t.id !== prev.id));
+  return prev;
+}
+
+/* -------------------- Migration -------------------- */
+
+// fields compared when two files hold the same id (timestamps are resolved, not reported)
+const CONFLICT_FIELDS = ["name", "genre", "location", "country", "bio", "imageUrl", "socials", "tracks", "votes", "counters", "status"];
+
+/** Artists files written by the older code paths, other than the canonical one. */
+export function legacyArtistSources() {
+  const canonical = path.resolve(DB_FILE);
+  const candidates = [LEGACY_DISK_FILE, LEGACY_LOCAL_FILE, path.join(DATA_DIR, "artists", "artists.json")];
+  return [...new Set(candidates.map((p) => path.resolve(p)))].filter((p) => p !== canonical);
+}
+
+function readSource(file) {
+  try {
+    if (!fs.existsSync(file)) return { found: false };
+    return { found: true, parsed: JSON.parse(fs.readFileSync(file, "utf8") || "null") };
+  } catch (e) {
+    return { found: true, error: e?.message || String(e) };
+  }
+}
+
+function shapeOf(parsed) {
+  if (Array.isArray(parsed)) return "array";
+  if (!parsed || typeof parsed !== "object") return "unknown";
+  return ["artists", "data", "items", "results", "list"].find((k) => k in parsed) || "keyed";
+}
+
+const timeOf = (a) => Date.parse(a?.updatedAt) || 0;
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * One-time merge of the legacy artists files into the canonical file.
+ * The canonical file is read first, then `sources` in order. When an id appears more than once the record
+ * with the newest updatedAt wins (ties keep the earlier source), votes keep the highest count and createdAt
+ * the earliest; every field that differed is listed in `conflicts`.
+ * Runs once: the canonical file records the run under `migrations.artists`; `force` runs it again.
+ * dryRun reports without writing. The report is also saved to DATA_DIR/migrations/.
+ */
+export async function migrateArtists({ sources = legacyArtistSources(), dryRun = false, force = false } = {}) {
+  await saveChain;
+  const canonical = await storage.readJson(DB_FILE, null).catch(() => null);
+  const previous = canonical?.migrations?.artists || null;
+  if (previous && !force) return { ok: true, skipped: "already_migrated", previous, file: DB_FILE };
+
+  const report = { ok: true, dryRun, file: DB_FILE, sources: [], merged: 0, added: 0, skipped: 0, conflicts: [] };
+  const byId = new Map(); // id -> { artist, source }
+
+  const inputs = [{ path: DB_FILE, found: Boolean(canonical), parsed: canonical }, ...sources.map((p) => ({ path: p, ...readSource(p) }))];
+  for (const [i, input] of inputs.entries()) {
+    const entry = { path: input.path, found: input.found, count: 0 };
+    if (input.error) entry.error = input.error;
+    if (input.parsed !== undefined && input.found) entry.shape = shapeOf(input.parsed);
+    report.sources.push(entry);
+    if (!input.found || input.error) continue;
+
+    for (const raw of extractArtists(input.parsed)) {
+      if (!idOf(raw)) {
+        report.skipped += 1;
+        continue;
+      }
+      entry.count += 1;
+      const artist = normalizeArtist(raw);
+      const seen = byId.get(artist.id);
+      if (!seen) {
+        byId.set(artist.id, { artist, source: input.path });
+        if (i > 0) report.added += 1;
+        continue;
+      }
+
+      const fields = CONFLICT_FIELDS.filter((f) => !same(seen.artist[f], artist[f]));
+      const newer = timeOf(artist) > timeOf(seen.artist);
+      const winner = newer ? { artist, source: input.path } : seen;
+      const resolved = {
+        ...winner.artist,
+        votes: Math.max(seen.artist.votes, artist.votes),
+        createdAt: [seen.artist.createdAt, artist.createdAt].sort()[0],
+      };
+      byId.set(artist.id, { artist: resolved, source: winner.source });
+      report.merged += 1;
+
+      if (fields.length) {
+        report.conflicts.push({
+          id: artist.id,
+          kept: winner.source,
+          fields: fields.map((field) => ({
+            field,
+            values: [
+              { source: seen.source, value: seen.artist[field] },
+              { source: input.path, value: artist[field] },
+            ],
+            resolved: resolved[field],
+          })),
+        });
+      }
+    }
+  }
+
+  report.total = byId.size;
+  if (dryRun) return report;
+
+  const at = nowIso();
+  artists = [...byId.values()].map((v) => v.artist);
+  if (!artists.length) ensureDemo();
+  fileMigrations = {
+    ...(canonical?.migrations || {}),
+    artists: { at, sources: report.sources.slice(1).filter((s) => s.found && !s.error).map((s) => s.path), total: report.total, conflicts: report.conflicts.length },
+  };
+  const saved = await saveToDisk();
+  if (!saved) return { ...report, ok: false, error: "write_failed" };
+
+  const reportFile = path.join(DATA_DIR, "migrations", `artists-${at.replace(/[:.]/g, "-")}.json`);
+  await storage.writeJson(reportFile, report).catch(() => null);
+  return { ...report, reportFile };
+}
+
 /* -------------------- Router-friendly aliases -------------------- */
 
 function getAll() {
@@ -326,14 +595,33 @@ export default {
   // modern
   listArtists,
   getArtist,
+  artistsById,
   createArtist,
   updateArtist,
   patchArtist,
   deleteArtist,
   resetArtists,
   seedArtists,
+  reloadArtists,
+  flushArtists,
+  listTracks,
+  getTrack,
+  findTrackByIsrc,
+  createTrack,
+  updateTrack,
+  deleteTrack,
   getStorageMeta,
 
+  // shape + migration
+  ARTIST_STATUSES,
+  normalizeArtist,
+  normalizeTrack,
+  normalizeIsrc,
+  extractArtists,
+  countryFromLocation,
+  migrateArtists,
+  legacyArtistSources,
+
   // aliases
   getAll,
   getById,
@@ -350,4 +638,4 @@ export default {
   get artists() {
     return artists;
   },
-};
\ No newline at end of file
+};
@@ -8,10 +8,18 @@
 | - Breakout Explosion system
 | - Global discovery boosts
 | - Future push notifications
+| - artist.breakout webhooks (webhooks.js) when an artist climbs a level
+| - breakout.level live events (liveStream.js) on every level change
+| - score listeners (onBreakoutScore), e.g. liveHeat.js heat transitions
 |--------------------------------------------------------------------------
 */
 
+import { subscribe } from "./eventBus.js"
+import { emitWebhook } from "./webhooks.js"
+import { recordLiveEvent } from "./liveStream.js"
+
 const breakoutStore = {}
+const scoreListeners = []
 
 /*
 |--------------------------------------------------------------------------
@@ -78,13 +86,82 @@ export function recordBreakoutSignal(artistId, type, value = 1) {
     createdAt: new Date()
   }
 
+  const previousScore = breakoutStore[artistId].score
+  const before = getBreakoutLevel(previousScore)
+
   breakoutStore[artistId].signals.push(signal)
 
   breakoutStore[artistId].score += value
 
+  const after = getBreakoutLevel(breakoutStore[artistId].score)
+  if (after.level !== before.level) announceLevel(artistId, before, after)
+  if (after.minScore > before.minScore) notifyBreakout(artistId, before, after)
+
+  for (const listener of scoreListeners) {
+    try {
+      listener({ artistId, previousScore, score: breakoutStore[artistId].score, signal })
+    } catch {
+      // a listener must never break scoring
+    }
+  }
+
   return signal
 }
 
+/*
+|--------------------------------------------------------------------------
+| Score listeners
+|--------------------------------------------------------------------------
+| fn({ artistId, previousScore, score, signal }) after every signal.
+*/
+
+export function onBreakoutScore(fn) {
+
+  scoreListeners.push(fn)
+}
+
+/*
+|--------------------------------------------------------------------------
+| Level transitions (SSE)
+|--------------------------------------------------------------------------
+*/
+
+function announceLevel(artistId, from, to) {
+
+  recordLiveEvent("breakout.level", {
+    artistId,
+    level: to.level,
+    previousLevel: from.level,
+    direction: to.minScore > from.minScore ? "up" : "down",
+    icon: to.icon,
+    color: to.color,
+    score: breakoutStore[artistId].score
+  })
+}
+
+/*
+|--------------------------------------------------------------------------
+| Level-up webhooks
+|--------------------------------------------------------------------------
+| One event per artist and level reached (the key dedupes bus replays).
+*/
+
+function notifyBreakout(artistId, from, to) {
+
+  emitWebhook(
+    "artist.breakout",
+    {
+      artistId,
+      level: to.level,
+      icon: to.icon,
+      previousLevel: from.level,
+      score: breakoutStore[artistId].score,
+      at: new Date().toISOString()
+    },
+    { key: `artist.breakout:${artistId}:${to.level}` }
+  )
+}
+
 /*
 |--------------------------------------------------------------------------
 | Determine breakout level
@@ -170,4 +247,59 @@ export function getTopBreakouts(limit = 10) {
   return all
     .sort((a, b) => b.score - a.score)
     .slice(0, limit)
-}
\ No newline at end of file
+}
+
+/*
+|--------------------------------------------------------------------------
+| Live signals from the event bus
+|--------------------------------------------------------------------------
+| Votes, shares, engagement and money move the score as they happen.
+| Durable subscriber: after a restart the bus replays what was not applied yet.
+*/
+
+const BUS_SIGNAL_VALUES = {
+  view: 1,
+  replay: 2,
+  like: 2,
+  save: 3,
+  comment: 3,
+  follow: 4,
+  share: 5,
+  vote: 5,
+  purchase: 10,
+  subscription: 10,
+  monetisation: 8
+}
+
+function busSignal(evt) {
+
+  const p = evt.payload || {}
+
+  switch (evt.type) {
+    case "engagement.recorded":
+      return { type: p.type, value: BUS_SIGNAL_VALUES[p.type] || 0 }
+    case "vote.cast":
+    case "vote.undone":
+      return { type: evt.type === "vote.cast" ? "vote" : "vote_undo", value: BUS_SIGNAL_VALUES.vote * (Number(p.delta) || 0) }
+    case "share.recorded":
+      return { type: "share", value: BUS_SIGNAL_VALUES.share }
+    case "purchase.recorded":
+      return { type: "purchase", value: BUS_SIGNAL_VALUES.purchase }
+    case "subscription.recorded":
+      return { type: "subscription", value: BUS_SIGNAL_VALUES.subscription }
+    case "monetisation.signal":
+      return { type: p.type || "monetisation", value: BUS_SIGNAL_VALUES.monetisation }
+    default:
+      return { type: evt.type, value: 0 }
+  }
+}
+
+subscribe(
+  "breakout.signals",
+  ["engagement.recorded", "vote.cast", "vote.undone", "share.recorded", "purchase.recorded", "subscription.recorded", "monetisation.signal"],
+  (evt) => {
+    const { type, value } = busSignal(evt)
+    if (!evt.artistId || !value) return
+    recordBreakoutSignal(evt.artistId, type, value)
+  }
+)
@@ -5,8 +5,10 @@ import {
   getAllBreakouts,
   getTopBreakouts
 } from "./breakoutEngine.js";
+import { describeRoutes, S } from "./apiSchema.js";
 
 const router = express.Router();
+const api = describeRoutes(router, { tag: "breakouts" });
 
 /*
 |--------------------------------------------------------------------------
@@ -91,16 +93,16 @@ router.get("/:artistId", (req, res) => {
 | Record breakout signal
 |--------------------------------------------------------------------------
 */
-router.post("/signal", (req, res) => {
+api.post("/signal", {
+  summary: "Record a breakout signal",
+  body: S.obj({
+    artistId: S.id(),
+    type: S.text(40),
+    value: { type: ["number", "string"] }
+  }, ["artistId"])
+}, (req, res) => {
   const { artistId, type, value } = req.body;
 
-  if (!artistId) {
-    return res.status(400).json({
-      success: false,
-      message: "artistId is required"
-    });
-  }
-
   const numericValue = Number(value);
   const safeValue =
     Number.isFinite(numericValue) && numericValue > 0 ? numericValue : 1;
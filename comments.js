@@ -6,12 +6,13 @@
 // Public rules (safety-first):
 // - Public GET returns ONLY approved comments
 // - Public POST always creates PENDING comments (must be moderated via /api/admin/comments)
-// - Lightweight rate limiting to reduce spam (IP-based, dependency-free)
+// - POST is rate limited by the shared "comments.create" token bucket (rateLimit.js: per fan token or IP hash)
+// - Routes are declared with describeRoutes (apiSchema.js); errors use the shared envelope
 // - Store adapter so this router survives store API changes
 //
 // Endpoints:
 // - GET  /api/comments/health
-// - GET  /api/comments?artistId=&limit=&offset=
+// - GET  /api/comments?artistId=&limit=&cursor=   (newest first; offset= still accepted without a cursor)
 // - GET  /api/comments/:id                 (approved only)
 // - POST /api/comments                      (creates pending)
 //
@@ -20,8 +21,12 @@
 
 import express from "express";
 import commentsStore from "./commentsStore.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+import { PAGE_QUERY, readPage, paginate, sortByKey } from "./pagination.js";
+import { rateLimit } from "./rateLimit.js";
 
 const router = express.Router();
+const api = describeRoutes(router, { tag: "comments" });
 
 /* -------------------- Helpers -------------------- */
 
@@ -33,73 +38,16 @@ const toInt = (v, fallback = 0) => {
   return Number.isFinite(n) ? n : fallback;
 };
 
-function jsonFail(res, status, message, extra = {}) {
-  return res.status(status).json({ success: false, message, ...extra });
-}
-
-/* -------------------- Rate limit (dependency-free) -------------------- */
-/**
- * Simple IP-based limiter:
- * - max 5 creates per 60 seconds per IP
- * - plus a 10s cooldown between creates
- *
- * NOTE: Trust proxy is enabled in server.js, so req.ip should be correct on Render.
- */
-const RL_WINDOW_MS = 60_000;
-const RL_MAX_IN_WINDOW = 5;
-const RL_COOLDOWN_MS = 10_000;
-
-const rateState = new Map(); // key(ip) -> { ts: number[], lastAt: number }
-
-function rateKey(req) {
-  // Prefer userId if you later add auth; for now use IP
-  const ip = safeText(req.ip || req.headers["x-forwarded-for"] || "unknown");
-  return ip || "unknown";
-}
-
-function rateLimitCheck(req) {
-  const key = rateKey(req);
-  const now = Date.now();
-
-  const state = rateState.get(key) || { ts: [], lastAt: 0 };
-
-  // cooldown
-  if (state.lastAt && now - state.lastAt < RL_COOLDOWN_MS) {
-    return {
-      ok: false,
-      reason: "cooldown",
-      retryAfterSec: Math.ceil((RL_COOLDOWN_MS - (now - state.lastAt)) / 1000),
-      key,
-    };
-  }
-
-  // window prune
-  state.ts = state.ts.filter((t) => now - t <= RL_WINDOW_MS);
-
-  if (state.ts.length >= RL_MAX_IN_WINDOW) {
-    const oldest = state.ts[0] || now;
-    const retryAfterSec = Math.ceil((RL_WINDOW_MS - (now - oldest)) / 1000);
-    return { ok: false, reason: "window", retryAfterSec, key };
-  }
-
-  // accept
-  state.ts.push(now);
-  state.lastAt = now;
-  rateState.set(key, state);
-
-  return { ok: true, key };
-}
-
 /* -------------------- Store adapter (future-proof) -------------------- */
 /**
  * We standardize store calls so we don’t break if commentsStore changes.
  * Your adminComments.js already uses an adapter pattern — we match it here.
  */
 const store = {
-  listPublic({ artistId, limit = 50, offset = 0 } = {}) {
+  listPublic({ artistId, limit = 50, offset = 0, cursor = "" } = {}) {
     // Preferred
     if (typeof commentsStore.listPublic === "function") {
-      return commentsStore.listPublic({ artistId, limit, offset });
+      return commentsStore.listPublic({ artistId, limit, offset, cursor });
     }
 
     // Fallback: listAll/getAll then filter approved
@@ -118,14 +66,22 @@ const store = {
     // public: only approved
     filtered = filtered.filter((c) => safeText(c.status).toLowerCase() === "approved");
 
-    // newest first
-    filtered.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+    // newest first, (createdAt, id) cursor; legacy offset only without a cursor
+    const page = readPage({ limit, cursor }, { defaultLimit: 50, maxLimit: 200, scope: { artistId: safeText(artistId) } });
+    if (page.error) return { ok: false, status: 400, code: page.error.code, message: page.error.message };
 
-    const start = Math.max(0, offset);
-    const end = start + Math.max(1, limit);
-    const sliced = filtered.slice(start, end);
+    const keyOf = (c) => ({ at: c.createdAt, id: c.id });
+    const skip = page.after ? 0 : Math.max(0, offset);
+    const out = paginate(skip ? sortByKey(filtered, keyOf).slice(skip) : filtered, page, keyOf);
 
-    return { ok: true, count: sliced.length, comments: sliced };
+    return {
+      ok: true,
+      count: out.items.length,
+      total: filtered.length,
+      comments: out.items,
+      nextCursor: out.nextCursor,
+      hasMore: out.hasMore,
+    };
   },
 
   getPublicById(id) {
@@ -173,18 +129,24 @@ router.get("/health", (_req, res) => {
 });
 
 /**
- * GET /api/comments?artistId=&limit=&offset=
- * Public list — approved only.
+ * GET /api/comments?artistId=&limit=&cursor=
+ * Public list — approved only, newest first. Pass nextCursor back as cursor for the next page;
+ * offset= is still honoured when no cursor is sent (older clients).
  */
-router.get("/", (req, res) => {
+api.get("/", {
+  summary: "List approved comments, newest first",
+  query: S.obj({ artistId: S.text(120), offset: S.int(0), ...PAGE_QUERY }),
+}, (req, res) => {
   const artistId = safeText(req.query?.artistId);
   const limit = Math.min(100, Math.max(1, toInt(req.query?.limit, 50)));
   const offset = Math.max(0, toInt(req.query?.offset, 0));
+  const cursor = safeText(req.query?.cursor);
 
-  const result = store.listPublic({ artistId: artistId || undefined, limit, offset });
+  const result = store.listPublic({ artistId: artistId || undefined, limit, offset, cursor });
 
+  if (result?.code) return sendError(res, result.status || 400, result.code, result.message);
   if (!result || result.ok === false) {
-    return jsonFail(res, result?.status || 500, result?.message || "Failed to list comments.");
+    return sendError(res, result?.status || 500, "comments_list_failed", result?.message || "Failed to list comments.");
   }
 
   // keep response shape consistent with what you already tested
@@ -192,9 +154,12 @@ router.get("/", (req, res) => {
     success: true,
     count: result.count ?? (Array.isArray(result.comments) ? result.comments.length : 0),
     comments: result.comments ?? [],
+    total: result.total,
+    nextCursor: result.nextCursor ?? null,
+    hasMore: Boolean(result.hasMore),
     artistId: artistId || undefined,
     limit,
-    offset,
+    offset: cursor ? 0 : offset,
   });
 });
 
@@ -202,15 +167,15 @@ router.get("/", (req, res) => {
  * GET /api/comments/:id
  * Public read — approved only.
  */
-router.get("/:id", (req, res) => {
+api.get("/:id", {
+  summary: "Get one approved comment",
+  params: S.obj({ id: S.id() }, ["id"]),
+  responses: { 404: "Comment not found." },
+}, (req, res) => {
   const id = safeText(req.params?.id);
-  if (!id) return jsonFail(res, 400, "Comment id is required.");
-
   const comment = store.getPublicById(id);
 
-  if (!comment) {
-    return jsonFail(res, 404, "Comment not found.");
-  }
+  if (!comment) return sendError(res, 404, "not_found", "Comment not found.");
 
   return res.status(200).json({ success: true, comment });
 });
@@ -219,39 +184,19 @@ router.get("/:id", (req, res) => {
  * POST /api/comments
  * Public create — ALWAYS pending (moderation required).
  */
-router.post("/", (req, res) => {
-  // rate limit first
-  const rl = rateLimitCheck(req);
-  if (!rl.ok) {
-    res.setHeader("Retry-After", String(rl.retryAfterSec || 10));
-    return res.status(429).json({
-      success: false,
-      message: "Rate limit exceeded. Please try again shortly.",
-      reason: rl.reason,
-      retryAfterSec: rl.retryAfterSec || 10,
-    });
-  }
-
+api.post("/", {
+  summary: "Submit a comment for moderation",
+  body: S.obj({ artistId: S.id(), author: S.text(60), text: S.text(500) }, ["artistId", "author", "text"]),
+  responses: { 201: "Comment created (pending moderation).", 429: "Rate limit exceeded." },
+}, rateLimit("comments.create"), (req, res) => {
   const artistId = safeText(req.body?.artistId);
   const author = safeText(req.body?.author);
   const text = safeText(req.body?.text);
 
-  // validation (safe + UI-friendly)
-  if (!artistId) return jsonFail(res, 400, "Validation error: 'artistId' is required.");
-  if (!author) return jsonFail(res, 400, "Validation error: 'author' is required.");
-  if (!text) return jsonFail(res, 400, "Validation error: 'text' is required.");
-
-  if (author.length > 60) {
-    return jsonFail(res, 400, "Validation error: 'author' must be 60 characters or less.");
-  }
-  if (text.length > 500) {
-    return jsonFail(res, 400, "Validation error: 'text' must be 500 characters or less.");
-  }
-
   const created = store.createPublic({ artistId, author, text });
 
   if (created?.ok === false) {
-    return jsonFail(res, created.status || 400, created.message || "Could not create comment.");
+    return sendError(res, created.status || 400, created.code || "comment_not_created", created.message || "Could not create comment.");
   }
 
   const comment = created?.comment ? created.comment : created;
@@ -10,6 +10,7 @@
  * - If Render Persistent Disk mounted at /var/data:
  *   -> store at /var/data/iband/db/comments.json
  * - Otherwise fallback to local ./db/comments.json (ephemeral)
+ * - Reads/writes go through the shared storage layer (storage/index.js)
  *
  * Canonical statuses:
  * - pending | approved | hidden | rejected
@@ -21,6 +22,9 @@ import fs from "fs";
 import path from "path";
 import { randomUUID } from "crypto";
 
+import { getStorage } from "./storage/index.js";
+import { readPage, paginate, sortByKey } from "./pagination.js";
+
 /* -------------------- Helpers -------------------- */
 
 const nowIso = () => new Date().toISOString();
@@ -56,8 +60,11 @@ const USE_DISK = dirWritable(DISK_BASE);
 const DB_DIR = USE_DISK ? DISK_BASE : LOCAL_BASE;
 const DB_FILE = path.join(DB_DIR, "comments.json");
 
+const storage = getStorage(DB_DIR);
+
 const STORAGE_META = {
   mode: USE_DISK ? "render-disk" : "ephemeral-local",
+  adapter: storage.describe().adapter,
   dbDir: DB_DIR,
   dbFile: DB_FILE,
   note: USE_DISK
@@ -101,14 +108,9 @@ function normalizeComment(raw = {}) {
 
 /* -------------------- Disk I/O (atomic write) -------------------- */
 
-function loadFromDisk() {
+async function loadFromDisk() {
   try {
-    if (!fs.existsSync(DB_FILE)) {
-      comments = [];
-      return;
-    }
-    const raw = fs.readFileSync(DB_FILE, "utf8");
-    const parsed = JSON.parse(raw);
+    const parsed = await storage.readJson(DB_FILE, null);
     const list = ensureArray(parsed?.data || parsed);
     comments = list.map(normalizeComment);
   } catch {
@@ -116,21 +118,21 @@ function loadFromDisk() {
   }
 }
 
-function saveToDisk() {
-  try {
-    if (!fs.existsSync(DB_DIR)) fs.mkdirSync(DB_DIR, { recursive: true });
+// Chained so writes land in call order; callers do not wait (best-effort, as before).
+let saveChain = Promise.resolve(true);
 
-    const payload = JSON.stringify({ updatedAt: nowIso(), data: comments }, null, 2);
-    const tmp = `${DB_FILE}.tmp`;
-    fs.writeFileSync(tmp, payload, "utf8");
-    fs.renameSync(tmp, DB_FILE);
-    return true;
-  } catch {
-    return false;
-  }
+function saveToDisk() {
+  const snapshot = { updatedAt: nowIso(), data: comments.slice() };
+  saveChain = saveChain.then(() =>
+    storage.writeJson(DB_FILE, snapshot).then(
+      () => true,
+      () => false
+    )
+  );
+  return saveChain;
 }
 
-loadFromDisk();
+await loadFromDisk();
 
 /* -------------------- Core API -------------------- */
 
@@ -158,8 +160,17 @@ export function listAdmin({ status, artistId, flagged } = {}) {
   return { ok: true, count: arr.length, comments: arr };
 }
 
-export function listPublic({ artistId, limit = 50, offset = 0 } = {}) {
+/**
+ * Approved comments, newest first by (createdAt, id).
+ * cursor: nextCursor of the previous page (pagination.js). offset is the legacy way in and
+ * only applies without a cursor.
+ * count = comments in this page, total = all approved matches.
+ */
+export function listPublic({ artistId, limit = 50, offset = 0, cursor = "" } = {}) {
   const a = safeText(artistId);
+  const page = readPage({ limit, cursor }, { defaultLimit: 50, maxLimit: 200, scope: { artistId: a } });
+  if (page.error) return { ok: false, status: 400, code: page.error.code, message: page.error.message };
+
   let arr = ensureArray(comments);
 
   if (a) arr = arr.filter((c) => safeText(c.artistId) === a);
@@ -167,19 +178,19 @@ export function listPublic({ artistId, limit = 50, offset = 0 } = {}) {
   // Public only sees approved by default
   arr = arr.filter((c) => safeText(c.status).toLowerCase() === "approved");
 
-  arr = arr
-    .slice()
-    .sort((x, y) => new Date(y.createdAt) - new Date(x.createdAt));
-
-  const off = Math.max(0, Number(offset) || 0);
-  const lim = Math.min(200, Math.max(1, Number(limit) || 50));
+  const keyOf = (c) => ({ at: c.createdAt, id: c.id });
+  const off = page.after ? 0 : Math.max(0, Number(offset) || 0);
+  const out = paginate(off ? sortByKey(arr, keyOf).slice(off) : arr, page, keyOf);
 
   return {
     ok: true,
-    count: Math.max(0, arr.length - off),
-    comments: arr.slice(off, off + lim),
+    count: out.items.length,
+    total: arr.length,
+    comments: out.items,
+    nextCursor: out.nextCursor,
+    hasMore: out.hasMore,
     artistId: a,
-    limit: lim,
+    limit: out.limit,
     offset: off,
   };
 }
@@ -12,7 +12,7 @@
 // - purchases.json persistent store (auto-created)
 // - Record purchase + subscription events
 // - Ownership lookup
-// - Emit events into events.jsonl (so ranking / flash medals can react later)
+// - Emit events into the events.jsonl segmented log + event bus (so ranking / flash medals can react)
 // - Optional auto-write into achievements.json (if achievements engine is present)
 //
 // NOTE: We do NOT do real Stripe yet. This is a "ledger + events" layer.
@@ -23,7 +23,14 @@ import path from "path";
 import crypto from "crypto";
 import express from "express";
 
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+import { publish, registerSource } from "./eventBus.js";
+import { attachPrincipal, resolveFan } from "./identity.js";
+import { listArtists } from "./artistsStore.js";
+
 const router = express.Router();
+router.use(attachPrincipal);
 
 // -------------------------
 // Config
@@ -31,14 +38,17 @@ const router = express.Router();
 const SERVICE = "purchases";
 const VERSION = 2; // Phase H2 wiring
 
-const DATA_DIR = process.env.IBAND_DATA_DIR || "/var/data/iband/db";
+const DATA_DIR = getConfig("core").dataDir;
+const FILES = getConfig("files");
 
-const PURCHASES_FILE = process.env.IBAND_PURCHASES_FILE || path.join(DATA_DIR, "purchases.json");
-const EVENTS_LOG = process.env.IBAND_EVENTS_LOG || path.join(DATA_DIR, "events.jsonl");
-const ARTISTS_FILE = process.env.IBAND_ARTISTS_FILE || path.join(DATA_DIR, "artists.json");
+const PURCHASES_FILE = FILES.purchases;
+const EVENTS_LOG = FILES.eventsLog;
 
 // Optional integration: achievements store (best-effort)
-const ACHIEVEMENTS_FILE = process.env.IBAND_ACHIEVEMENTS_FILE || path.join(DATA_DIR, "achievements.json");
+const ACHIEVEMENTS_FILE = FILES.achievements;
+
+const eventsLog = openSegmentedLog(getStorage(DATA_DIR), EVENTS_LOG);
+registerSource("events", eventsLog);
 
 // Safety / limits
 const DEFAULTS = {
@@ -213,40 +223,28 @@ function tailLines(filePath, maxBytes, maxLines) {
   }
 }
 
-function appendJsonl(filePath, obj) {
+// events.jsonl is a segmented log shared with events.js / purchases.js (same rotation + index).
+// Appended events are then published on the bus (purchase.recorded / subscription.recorded).
+async function appendEvent(obj) {
   try {
-    ensureDir(path.dirname(filePath));
-    fs.appendFileSync(filePath, `${JSON.stringify(obj)}\n`, "utf8");
+    await eventsLog.append(obj);
+    publish(obj.type === "subscribe" ? "subscription.recorded" : "purchase.recorded", obj);
     return { ok: true, error: null };
   } catch (e) {
     return { ok: false, error: e?.message || "EAPPEND" };
   }
 }
 
+// Same artist index as purchases.js
 function loadArtistsIndex() {
-  const r = readJsonIfExists(ARTISTS_FILE);
-  if (!r.ok) return { ok: false, artistsById: {}, artistsLoaded: 0, error: r.error };
-
-  // wrapper-aware: { artists:[...] }
-  const parsed = r.value;
-  let arr = [];
-  if (Array.isArray(parsed)) arr = parsed;
-  else if (parsed && typeof parsed === "object") {
-    if (Array.isArray(parsed.artists)) arr = parsed.artists;
-    else if (Array.isArray(parsed.items)) arr = parsed.items;
-    else if (Array.isArray(parsed.results)) arr = parsed.results;
-  }
-
   const artistsById = {};
-  for (const a of arr) {
-    const id = normalizeStr(a?.id);
-    if (!id) continue;
-    artistsById[id] = {
-      id,
-      name: a?.name ?? null,
-      genre: a?.genre ?? null,
-      location: a?.location ?? null,
-      imageUrl: a?.imageUrl ?? null,
+  for (const a of listArtists()) {
+    artistsById[a.id] = {
+      id: a.id,
+      name: a.name || null,
+      genre: a.genre || null,
+      location: a.location || null,
+      imageUrl: a.imageUrl || null,
     };
   }
 
@@ -347,11 +345,14 @@ router.get("/health", (_req, res) => {
 // POST /purchase
 // Records a purchase (track/album/merch/ticket/subscription-pass)
 // -------------------------
-router.post("/purchase", express.json({ limit: "200kb" }), (req, res) => {
+router.post("/purchase", express.json({ limit: "200kb" }), async (req, res) => {
   const body = req.body || {};
 
+  const who = resolveFan(req, { fanId: body.buyerId, sessionId: body.sessionId }, { optional: true });
+  if (who.error) return res.status(who.error.status).json({ success: false, message: who.error.message, code: who.error.code, updatedAt: nowIso() });
+
   const buyerType = normalizeStr(body.buyerType || "fan"); // fan | user | company (future)
-  const buyerId = normalizeStr(body.buyerId || body.sessionId || "anon");
+  const buyerId = normalizeStr(who.fanId || who.sessionId || "anon");
 
   const artistId = normalizeStr(body.artistId || "");
   const itemType = normalizeStr(body.itemType || "track"); // track|album|ticket|merch|tip|subscription
@@ -364,7 +365,7 @@ router.post("/purchase", express.json({ limit: "200kb" }), (req, res) => {
   const platformFee = asMoney((amount * platformFeePct) / 100);
   const artistNet = asMoney(Math.max(0, amount - platformFee));
 
-  const sessionId = normalizeStr(body.sessionId || "");
+  const sessionId = normalizeStr(who.sessionId || "");
   const meta = body.meta && typeof body.meta === "object" ? body.meta : null;
 
   // Validation
@@ -466,7 +467,7 @@ router.post("/purchase", express.json({ limit: "200kb" }), (req, res) => {
     },
   };
 
-  const evWrite = appendJsonl(EVENTS_LOG, event);
+  const evWrite = await appendEvent(event);
 
   // Best-effort achievements (fan + artist)
   const achFan = bestEffortWriteAchievement({
@@ -505,10 +506,13 @@ router.post("/purchase", express.json({ limit: "200kb" }), (req, res) => {
 // POST /subscribe
 // Records a subscription (fan -> iBand unlimited OR fan -> specific artist tier later)
 // -------------------------
-router.post("/subscribe", express.json({ limit: "200kb" }), (req, res) => {
+router.post("/subscribe", express.json({ limit: "200kb" }), async (req, res) => {
   const body = req.body || {};
 
-  const subscriberId = normalizeStr(body.subscriberId || body.sessionId || "anon");
+  const who = resolveFan(req, { fanId: body.subscriberId, sessionId: body.sessionId }, { optional: true });
+  if (who.error) return res.status(who.error.status).json({ success: false, message: who.error.message, code: who.error.code, updatedAt: nowIso() });
+
+  const subscriberId = normalizeStr(who.fanId || who.sessionId || "anon");
   const plan = normalizeStr(body.plan || "iband_unlimited"); // iband_unlimited | artist_tier_* (future)
   const targetArtistId = normalizeStr(body.artistId || ""); // optional (artist-tier subs)
   const currency = normalizeStr(body.currency || "GBP").toUpperCase();
@@ -519,7 +523,7 @@ router.post("/subscribe", express.json({ limit: "200kb" }), (req, res) => {
   const startsAt = body.startsAt ? new Date(body.startsAt).toISOString() : at;
   const endsAt = new Date(Date.parse(startsAt) + periodDays * 24 * 60 * 60 * 1000).toISOString();
 
-  const sessionId = normalizeStr(body.sessionId || "");
+  const sessionId = normalizeStr(who.sessionId || "");
   const meta = body.meta && typeof body.meta === "object" ? body.meta : null;
 
   if (!isNonEmpty(subscriberId)) {
@@ -554,7 +558,7 @@ router.post("/subscribe", express.json({ limit: "200kb" }), (req, res) => {
 
     persistStore(storeLoad.store);
 
-    appendJsonl(EVENTS_LOG, {
+    await appendEvent({
       id: makeId("evt"),
       at,
       type: "subscribe",
@@ -615,7 +619,7 @@ router.post("/subscribe", express.json({ limit: "200kb" }), (req, res) => {
   storeLoad.store.subs.push(sub);
   persistStore(storeLoad.store);
 
-  appendJsonl(EVENTS_LOG, {
+  await appendEvent({
     id: makeId("evt"),
     at,
     type: "subscribe",
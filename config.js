@@ -0,0 +1,454 @@
+/**
+ * config.js (root) — ESM
+ * Central configuration (v1): one schema for every env var the backend reads.
+ *
+ * Modules stop reading process.env directly and ask for their namespace instead:
+ *   const VOTES = getConfig("votes");   // frozen { rateWindowSec, maxPerWindow, ... }
+ *
+ * Each schema entry declares:
+ * - env       primary variable name
+ * - aliases   legacy names still honoured (first one set wins; a disagreeing pair is an error)
+ * - type      string | int | float | bool | enum | path | list
+ * - default   value, or fn(core) for paths derived from the data dir
+ * - min/max   numeric bounds; minLength for strings; values | enum choices; secret -> redacted in reports
+ *
+ * Paths: relative values resolve against core.dataDir.
+ *
+ * Validation (loadConfig):
+ * - a value that does not coerce or is out of range -> error, default used
+ * - a primary name and an alias set to different values -> error, primary used
+ * - an unknown variable under a known prefix (IBAND_, VOTES_, MEDALS_, ...) -> warning,
+ *   or an error when it is one or two edits away from a real name (a typo)
+ *
+ * server.js refuses to boot on errors unless IBAND_CONFIG_STRICT=false.
+ * getConfig() re-reads the environment on every call (no cache), so scripts that set
+ * process.env before importing a module keep working.
+ */
+
+import path from "path";
+
+const DEFAULT_DATA_DIR = "/var/data/iband/db";
+
+const inData = (file) => (core) => path.join(core.dataDir, file);
+
+const weight = (name, def) => ({
+  env: `IBAND_WEIGHT_${name}`,
+  aliases: [`MEDALS_W_${name}`, `RISING_W_${name}`],
+  type: "float",
+  default: def,
+  min: 0,
+});
+
+export const CONFIG_SCHEMA = Object.freeze({
+  core: {
+    dataDir: { env: "IBAND_DATA_DIR", aliases: ["DATA_DIR"], type: "path", default: DEFAULT_DATA_DIR, absolute: true },
+    port: { env: "PORT", type: "int", default: 10000, min: 1, max: 65535 },
+    nodeEnv: { env: "NODE_ENV", type: "string", default: "development" },
+    strict: { env: "IBAND_CONFIG_STRICT", type: "bool", default: true },
+    trustProxy: { env: "IBAND_TRUST_PROXY", type: "int", default: 0, min: 0, max: 10 },
+  },
+  files: {
+    eventsLog: { env: "IBAND_EVENTS_LOG", aliases: ["EVENTS_LOG_FILE"], type: "path", default: inData("events.jsonl") },
+    eventsAgg: { env: "EVENTS_AGG_FILE", type: "path", default: inData("events-agg.json") },
+    votesLog: { env: "VOTES_LOG_FILE", type: "path", default: inData("votes.jsonl") },
+    votesState: { env: "VOTES_STATE_FILE", type: "path", default: inData("votes-state.json") },
+    artists: { env: "IBAND_ARTISTS_FILE", aliases: ["ARTISTS_FILE"], type: "path", default: inData("artists.json") },
+    purchases: { env: "IBAND_PURCHASES_FILE", type: "path", default: inData("purchases.json") },
+    achievements: { env: "IBAND_ACHIEVEMENTS_FILE", type: "path", default: inData("achievements.json") },
+  },
+  storage: {
+    adapter: { env: "IBAND_STORAGE_ADAPTER", type: "enum", values: ["file", "memory", "sqlite"], default: "file" },
+    sqliteFile: { env: "IBAND_STORAGE_SQLITE_FILE", type: "string", default: "iband.sqlite" },
+  },
+  logs: {
+    rotate: { env: "IBAND_LOG_ROTATE", type: "enum", values: ["day", "size"], default: "day" },
+    maxBytes: { env: "IBAND_LOG_SEGMENT_MAX_BYTES", type: "int", default: 8 * 1024 * 1024, min: 1 },
+    compactAfterDays: { env: "IBAND_LOG_COMPACT_AFTER_DAYS", type: "int", default: 400, min: 1 },
+  },
+  locks: {
+    timeoutMs: { env: "IBAND_LOCK_TIMEOUT_MS", type: "int", default: 5000, min: 1 },
+    staleMs: { env: "IBAND_LOCK_STALE_MS", type: "int", default: 30000, min: 1 },
+    lockFiles: { env: "IBAND_LOCK_FILES", type: "bool", default: true },
+  },
+  bus: {
+    maxAttempts: { env: "IBAND_BUS_MAX_ATTEMPTS", type: "int", default: 5, min: 1 },
+    retryBaseMs: { env: "IBAND_BUS_RETRY_BASE_MS", type: "int", default: 50, min: 1 },
+    replayMaxDays: { env: "IBAND_BUS_REPLAY_MAX_DAYS", type: "int", default: 7, min: 1 },
+  },
+  modules: {
+    disabled: { env: "IBAND_MODULES_DISABLED", type: "list", default: [] },
+    enabled: { env: "IBAND_MODULES_ENABLED", type: "list", default: [] },
+  },
+  // Engagement weights shared by medals.js (MEDALS_W_*) and medalEngine.js (RISING_W_*).
+  weights: {
+    watchMsPerPoint: {
+      env: "IBAND_WEIGHT_WATCHMS_PER_POINT",
+      aliases: ["MEDALS_WATCHMS_PER_POINT", "RISING_WATCHMS_PER_POINT"],
+      type: "int",
+      default: 10000,
+      min: 1,
+    },
+    view: weight("VIEW", 1.0),
+    replay: weight("REPLAY", 2.5),
+    like: weight("LIKE", 1.5),
+    save: weight("SAVE", 3.5),
+    share: weight("SHARE", 4.5),
+    follow: weight("FOLLOW", 5.0),
+    comment: weight("COMMENT", 2.0),
+    vote: weight("VOTE", 1.0),
+  },
+  medals: {
+    freshnessFloor: { env: "MEDALS_FRESHNESS_FLOOR", type: "float", default: 0.65, min: 0, max: 1 },
+    halfLifeHours: { env: "MEDALS_HALF_LIFE_HOURS", type: "float", default: 24, min: 0.01 },
+    goldTopPct: { env: "MEDALS_GOLD_TOP_PCT", aliases: ["MEDALS_GOLD_PCT"], type: "float", default: 0.05, min: 0, max: 1 },
+    silverTopPct: { env: "MEDALS_SILVER_TOP_PCT", aliases: ["MEDALS_SILVER_PCT"], type: "float", default: 0.2, min: 0, max: 1 },
+    bronzeTopPct: { env: "MEDALS_BRONZE_TOP_PCT", aliases: ["MEDALS_BRONZE_PCT"], type: "float", default: 0.5, min: 0, max: 1 },
+    certifiedRest: { env: "MEDALS_CERTIFIED_REST", type: "bool", default: true },
+    unlockMinTotalVotes: { env: "MEDALS_UNLOCK_MIN_TOTAL_VOTES", type: "int", default: 250, min: 0 },
+    unlockMinUniqueSessions: { env: "MEDALS_UNLOCK_MIN_UNIQUE_SESSIONS", type: "int", default: 50, min: 0 },
+    unlockMinActiveArtists: { env: "MEDALS_UNLOCK_MIN_ACTIVE_ARTISTS", type: "int", default: 15, min: 0 },
+    sessionWindowDays: { env: "MEDALS_SESSION_WINDOW_DAYS", type: "int", default: 30, min: 1 },
+    cacheTtlMs: { env: "MEDALS_CACHE_TTL_MS", type: "int", default: 30000, min: 0 },
+    maxReturn: { env: "MEDALS_MAX_RETURN", type: "int", default: 50, min: 1 },
+  },
+  flash: {
+    windowHours: { env: "FLASH_WINDOW_HOURS", type: "float", default: 24, min: 0.01 },
+    maxWindowHours: { env: "FLASH_MAX_WINDOW_HOURS", type: "float", default: 72, min: 0.01 },
+    maxReturn: { env: "FLASH_MAX_RETURN", type: "int", default: 50, min: 1 },
+    cacheTtlMs: { env: "FLASH_CACHE_TTL_MS", type: "int", default: 15000, min: 0 },
+    fanMinVotes: { env: "FLASH_FAN_MIN_VOTES", type: "int", default: 1, min: 0 },
+    fanMinShares: { env: "FLASH_FAN_MIN_SHARES", type: "int", default: 0, min: 0 },
+    fanMinLikes: { env: "FLASH_FAN_MIN_LIKES", type: "int", default: 0, min: 0 },
+    artistBreakoutMinVotes: { env: "FLASH_ARTIST_BREAKOUT_MIN_VOTES", type: "int", default: 1, min: 0 },
+    artistViralMinShares: { env: "FLASH_ARTIST_VIRAL_MIN_SHARES", type: "int", default: 1, min: 0 },
+    announceDebounceMs: { env: "FLASH_ANNOUNCE_DEBOUNCE_MS", type: "int", default: 2000, min: 0 },
+  },
+  votes: {
+    rateWindowSec: { env: "VOTES_RATE_WINDOW_SEC", type: "int", default: 3600, min: 1 },
+    maxPerWindow: { env: "VOTES_MAX_PER_WINDOW", type: "int", default: 30, min: 1 },
+    artistCooldownSec: { env: "VOTES_ARTIST_COOLDOWN_SEC", type: "int", default: 300, min: 0 },
+    artistLockHours: { env: "VOTES_ARTIST_LOCK_HOURS", type: "float", default: 24, min: 0 },
+    undoWindowSec: { env: "VOTES_UNDO_WINDOW_SEC", type: "int", default: 300, min: 0 },
+    allowDownvote: { env: "VOTES_ALLOW_DOWNVOTE", type: "bool", default: true },
+    categoryWindowHours: { env: "VOTES_CATEGORY_WINDOW_HOURS", type: "float", default: 24, min: 0 },
+    categoryCap: { env: "VOTES_CATEGORY_CAP", type: "int", default: 3, min: 1 },
+    maxBodyKb: { env: "VOTES_MAX_BODY_KB", type: "int", default: 32, min: 1 },
+  },
+  events: {
+    allowLog: { env: "EVENTS_ALLOW_LOG", type: "bool", default: true },
+    maxBodyKb: { env: "EVENTS_MAX_BODY_KB", type: "int", default: 32, min: 1 },
+    rateWindowSec: { env: "EVENTS_RATE_WINDOW_SEC", type: "int", default: 60, min: 1 },
+    maxPerWindow: { env: "EVENTS_MAX_PER_WINDOW", type: "int", default: 120, min: 1 },
+    aggTopLimit: { env: "EVENTS_AGG_TOP_LIMIT", type: "int", default: 200, min: 1 },
+  },
+  achievements: {
+    cacheTtlMs: { env: "ACHIEVEMENTS_CACHE_TTL_MS", type: "int", default: 15000, min: 0 },
+    maxStoreItems: { env: "ACHIEVEMENTS_MAX_STORE_ITEMS", type: "int", default: 5000, min: 1 },
+    maxReturn: { env: "ACHIEVEMENTS_MAX_RETURN", type: "int", default: 100, min: 1 },
+    dedupeWindowSec: { env: "ACHIEVEMENTS_DEDUPE_WINDOW_SEC", type: "int", default: 120, min: 0 },
+  },
+  artists: {
+    maxBodyKb: { env: "ARTISTS_MAX_BODY_KB", type: "int", default: 64, min: 1 },
+    revisionsDir: { env: "IBAND_ARTIST_REVISIONS_DIR", type: "path", default: inData("admin/artist-revisions") },
+    verificationFile: { env: "IBAND_ARTIST_VERIFICATION_FILE", type: "path", default: inData("admin/artist-verification.json") },
+    verifyMinQuality: { env: "ARTISTS_VERIFY_MIN_QUALITY", type: "int", default: 60, min: 0, max: 100 },
+    verifyMinSocials: { env: "ARTISTS_VERIFY_MIN_SOCIALS", type: "int", default: 1, min: 0 },
+  },
+  admin: {
+    key: { env: "ADMIN_KEY", type: "string", default: "", secret: true },
+  },
+  audit: {
+    file: { env: "IBAND_AUDIT_LOG", type: "path", default: inData("admin/audit.jsonl") },
+    secret: { env: "IBAND_AUDIT_SECRET", type: "string", default: "", secret: true, minLength: 32 },
+  },
+  identity: {
+    secret: { env: "IBAND_IDENTITY_SECRET", type: "string", default: "", secret: true, minLength: 32 },
+    enforce: { env: "IBAND_IDENTITY_ENFORCE", type: "bool", default: true },
+    fanTtlSec: { env: "IBAND_IDENTITY_FAN_TTL_SEC", type: "int", default: 30 * 24 * 3600, min: 60 },
+    artistTtlSec: { env: "IBAND_IDENTITY_ARTIST_TTL_SEC", type: "int", default: 7 * 24 * 3600, min: 60 },
+    adminTtlSec: { env: "IBAND_IDENTITY_ADMIN_TTL_SEC", type: "int", default: 12 * 3600, min: 60 },
+  },
+  rateLimit: {
+    enabled: { env: "IBAND_RATE_LIMIT_ENABLED", type: "bool", default: true },
+    persist: { env: "IBAND_RATE_LIMIT_PERSIST", type: "bool", default: false },
+    file: { env: "IBAND_RATE_LIMIT_FILE", type: "path", default: inData("ratelimit/buckets.json") },
+    flushMs: { env: "IBAND_RATE_LIMIT_FLUSH_MS", type: "int", default: 2000, min: 0 },
+    maxBuckets: { env: "IBAND_RATE_LIMIT_MAX_BUCKETS", type: "int", default: 50000, min: 100 },
+    ipFactor: { env: "IBAND_RATE_LIMIT_IP_FACTOR", type: "int", default: 4, min: 1, max: 100 },
+  },
+  idempotency: {
+    ttlSec: { env: "IBAND_IDEMPOTENCY_TTL_SEC", type: "int", default: 24 * 3600, min: 1 },
+    file: { env: "IBAND_IDEMPOTENCY_FILE", type: "path", default: inData("idempotency/keys.json") },
+    flushMs: { env: "IBAND_IDEMPOTENCY_FLUSH_MS", type: "int", default: 250, min: 0 },
+    maxKeys: { env: "IBAND_IDEMPOTENCY_MAX_KEYS", type: "int", default: 100000, min: 100 },
+  },
+  metrics: {
+    enabled: { env: "IBAND_METRICS_ENABLED", type: "bool", default: true },
+  },
+  logging: {
+    format: { env: "IBAND_LOG_FORMAT", type: "enum", values: ["json", "text"], default: "json" },
+    level: { env: "IBAND_LOG_LEVEL", type: "enum", values: ["debug", "info", "warn", "error"], default: "info" },
+    requests: { env: "IBAND_LOG_REQUESTS", type: "bool", default: true },
+    trustRequestId: { env: "IBAND_TRUST_REQUEST_ID", type: "bool", default: true },
+  },
+  scheduler: {
+    enabled: { env: "IBAND_SCHEDULER_ENABLED", type: "bool", default: true },
+    file: { env: "IBAND_SCHEDULER_FILE", type: "path", default: inData("scheduler/jobs.json") },
+    lockStaleMs: { env: "IBAND_SCHEDULER_LOCK_STALE_MS", type: "int", default: 15 * 60 * 1000, min: 1000 },
+    disabled: { env: "IBAND_SCHEDULER_DISABLED", type: "list", default: [] },
+  },
+  webhooks: {
+    enabled: { env: "IBAND_WEBHOOKS_ENABLED", type: "bool", default: true },
+    dir: { env: "IBAND_WEBHOOK_DIR", type: "path", default: inData("webhooks") },
+    maxAttempts: { env: "IBAND_WEBHOOK_MAX_ATTEMPTS", type: "int", default: 8, min: 1 },
+    retryBaseMs: { env: "IBAND_WEBHOOK_RETRY_BASE_MS", type: "int", default: 30000, min: 0 },
+    retryMaxMs: { env: "IBAND_WEBHOOK_RETRY_MAX_MS", type: "int", default: 6 * 3600 * 1000, min: 0 },
+    timeoutMs: { env: "IBAND_WEBHOOK_TIMEOUT_MS", type: "int", default: 10000, min: 100 },
+  },
+  sse: {
+    liveLog: { env: "IBAND_LIVE_LOG_FILE", type: "path", default: inData("live/live-events.jsonl") },
+    heartbeatMs: { env: "IBAND_SSE_HEARTBEAT_MS", type: "int", default: 15000, min: 10 },
+    retryMs: { env: "IBAND_SSE_RETRY_MS", type: "int", default: 3000, min: 0 },
+    maxConnections: { env: "IBAND_SSE_MAX_CONNECTIONS", type: "int", default: 1000, min: 1 },
+    replayMax: { env: "IBAND_SSE_REPLAY_MAX", type: "int", default: 1000, min: 0 },
+    replayMaxAgeMs: { env: "IBAND_SSE_REPLAY_MAX_AGE_MS", type: "int", default: 24 * 3600 * 1000, min: 0 },
+  },
+  ws: {
+    enabled: { env: "IBAND_WS_ENABLED", type: "bool", default: true },
+    maxPayloadBytes: { env: "IBAND_WS_MAX_PAYLOAD_BYTES", type: "int", default: 64 * 1024, min: 128 },
+    pingIntervalMs: { env: "IBAND_WS_PING_INTERVAL_MS", type: "int", default: 30000, min: 10 },
+    maxConnections: { env: "IBAND_WS_MAX_CONNECTIONS", type: "int", default: 2000, min: 1 },
+    typingTtlMs: { env: "IBAND_WS_TYPING_TTL_MS", type: "int", default: 6000, min: 10 },
+  },
+  health: {
+    deepTimeoutMs: { env: "HEALTH_DEEP_TIMEOUT_MS", type: "int", default: 3000, min: 1 },
+  },
+  ai: {
+    provider: { env: "IBAND_AI_PROVIDER", type: "string", default: "openai" },
+    model: { env: "IBAND_AI_MODEL", type: "string", default: "" },
+    baseUrl: { env: "IBAND_AI_BASE_URL", type: "string", default: "" },
+    apiKey: { env: "IBAND_AI_API_KEY", type: "string", default: "", secret: true },
+    openaiApiKey: { env: "OPENAI_API_KEY", type: "string", default: "", secret: true },
+    timeoutMs: { env: "IBAND_AI_TIMEOUT_MS", type: "int", default: 30000, min: 1 },
+  },
+});
+
+// Unknown variables under these prefixes are reported; anything else in the environment is ignored.
+const WATCHED_PREFIXES = ["IBAND_", "DATA_", "EVENTS_", "VOTES_", "MEDALS_", "RISING_", "FLASH_", "ACHIEVEMENTS_", "ARTISTS_", "HEALTH_", "ADMIN_"];
+
+// Read elsewhere on purpose: the live verification scripts (IBAND_LIVE_*) and the CommonJS comments
+// router still in src/comments.js (ADMIN_API_KEY, ALLOW_ADMIN_QUERY_KEY).
+const NOT_BACKEND = new Set(["IBAND_LIVE_BACKEND_URL", "IBAND_LIVE_REPORT_PATH", "ADMIN_API_KEY", "ALLOW_ADMIN_QUERY_KEY"]);
+
+/* -------------------- Coercion -------------------- */
+
+const TRUE_WORDS = new Set(["true", "1", "yes", "on"]);
+const FALSE_WORDS = new Set(["false", "0", "no", "off"]);
+
+function coerce(spec, raw, core) {
+  const text = String(raw).trim();
+
+  switch (spec.type) {
+    case "int": {
+      if (!/^[-+]?\d+$/.test(text)) return { error: "expected an integer" };
+      return bounded(spec, parseInt(text, 10));
+    }
+    case "float": {
+      const n = Number(text);
+      if (!text || !Number.isFinite(n)) return { error: "expected a number" };
+      return bounded(spec, n);
+    }
+    case "bool": {
+      const t = text.toLowerCase();
+      if (TRUE_WORDS.has(t)) return { value: true };
+      if (FALSE_WORDS.has(t)) return { value: false };
+      return { error: "expected true or false" };
+    }
+    case "enum": {
+      const t = text.toLowerCase();
+      if (!spec.values.includes(t)) return { error: `expected one of: ${spec.values.join(", ")}` };
+      return { value: t };
+    }
+    case "path": {
+      if (!text) return { error: "expected a path" };
+      if (spec.absolute && !path.isAbsolute(text)) return { error: "expected an absolute path" };
+      return { value: core && !path.isAbsolute(text) ? path.join(core.dataDir, text) : text };
+    }
+    case "list":
+      return { value: text.split(",").map((s) => s.trim()).filter(Boolean) };
+    default:
+      if (spec.minLength && text.length < spec.minLength) return { error: `must be at least ${spec.minLength} characters` };
+      return { value: text };
+  }
+}
+
+function bounded(spec, n) {
+  if (spec.min !== undefined && n < spec.min) return { error: `must be >= ${spec.min}` };
+  if (spec.max !== undefined && n > spec.max) return { error: `must be <= ${spec.max}` };
+  return { value: n };
+}
+
+function isSet(env, name) {
+  return env[name] !== undefined && String(env[name]).trim() !== "";
+}
+
+/* -------------------- Resolution -------------------- */
+
+/**
+ * Resolves one namespace against env.
+ * Returns { values (frozen), sources: { key: "env:NAME" | "default" }, errors: [{ key, env, message }] }.
+ */
+export function resolveNamespace(ns, env = process.env) {
+  const schema = CONFIG_SCHEMA[ns];
+  if (!schema) {
+    const err = new Error(`Unknown config namespace "${ns}".`);
+    err.code = "CONFIG_UNKNOWN_NAMESPACE";
+    throw err;
+  }
+
+  const core = ns === "core" ? null : resolveNamespace("core", env).values;
+  const values = {};
+  const sources = {};
+  const errors = [];
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const fallback = typeof spec.default === "function" ? spec.default(core) : spec.default;
+    const names = [spec.env, ...(spec.aliases || [])].filter((name) => isSet(env, name));
+
+    values[key] = fallback;
+    sources[key] = "default";
+    if (!names.length) continue;
+
+    const chosen = names[0];
+    const disagreeing = names.find((name) => String(env[name]).trim() !== String(env[chosen]).trim());
+    if (disagreeing) {
+      errors.push({
+        key: `${ns}.${key}`,
+        env: chosen,
+        message: `${chosen} and ${disagreeing} are both set and disagree; using ${chosen}.`,
+      });
+    }
+
+    const r = coerce(spec, env[chosen], core);
+    if (r.error) {
+      errors.push({
+        key: `${ns}.${key}`,
+        env: chosen,
+        message: `${chosen}=${spec.secret ? "[redacted]" : JSON.stringify(String(env[chosen]))}: ${r.error}; using default.`,
+      });
+      continue;
+    }
+    values[key] = r.value;
+    sources[key] = `env:${chosen}`;
+  }
+
+  return { values: Object.freeze(values), sources, errors };
+}
+
+/** Effective values for one namespace (frozen). Invalid settings fall back to defaults. */
+export function getConfig(ns, env = process.env) {
+  return resolveNamespace(ns, env).values;
+}
+
+/* -------------------- Validation -------------------- */
+
+function knownNames() {
+  const names = new Set();
+  for (const schema of Object.values(CONFIG_SCHEMA)) {
+    for (const spec of Object.values(schema)) {
+      names.add(spec.env);
+      for (const alias of spec.aliases || []) names.add(alias);
+    }
+  }
+  return names;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    let diag = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const up = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = up;
+    }
+  }
+  return row[b.length];
+}
+
+function closest(name, names) {
+  let best = null;
+  for (const candidate of names) {
+    const d = editDistance(name, candidate);
+    if (!best || d < best.distance) best = { name: candidate, distance: d };
+  }
+  return best;
+}
+
+/**
+ * Resolves every namespace and checks the environment for unknown variables.
+ * Returns { values: { ns: {...} }, sources: { "ns.key": ... }, errors, warnings }.
+ */
+export function loadConfig(env = process.env) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+  const warnings = [];
+
+  for (const ns of Object.keys(CONFIG_SCHEMA)) {
+    const r = resolveNamespace(ns, env);
+    values[ns] = r.values;
+    for (const [key, source] of Object.entries(r.sources)) sources[`${ns}.${key}`] = source;
+    errors.push(...r.errors);
+  }
+
+  const names = knownNames();
+  for (const name of Object.keys(env).sort()) {
+    if (names.has(name) || NOT_BACKEND.has(name)) continue;
+    if (!WATCHED_PREFIXES.some((prefix) => name.startsWith(prefix))) continue;
+
+    const near = closest(name, names);
+    if (near && near.distance <= 2) {
+      errors.push({ key: null, env: name, message: `Unknown setting ${name}; did you mean ${near.name}?` });
+    } else {
+      warnings.push({ key: null, env: name, message: `Unknown setting ${name} is ignored.` });
+    }
+  }
+
+  return { values, sources, errors, warnings };
+}
+
+/**
+ * loadConfig() with secrets replaced: set secrets read "[redacted]", unset ones stay empty.
+ * Safe to return from the admin API.
+ */
+export function describeConfig(env = process.env) {
+  const report = loadConfig(env);
+  const values = {};
+
+  for (const [ns, schema] of Object.entries(CONFIG_SCHEMA)) {
+    values[ns] = {};
+    for (const [key, spec] of Object.entries(schema)) {
+      const v = report.values[ns][key];
+      values[ns][key] = spec.secret ? (v ? "[redacted]" : "") : v;
+    }
+  }
+
+  return {
+    version: 1,
+    ok: report.errors.length === 0,
+    values,
+    sources: report.sources,
+    errors: report.errors,
+    warnings: report.warnings,
+  };
+}
+
+export default {
+  CONFIG_SCHEMA,
+  resolveNamespace,
+  getConfig,
+  loadConfig,
+  describeConfig,
+};
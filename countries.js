@@ -1,27 +1,31 @@
 // countries.js (ESM) — Phase H7.3 Country Discovery + Signals + Artist Charts Engine
+// Storage: reads/writes go through storage/index.js (IBAND_STORAGE_ADAPTER=file|memory|sqlite).
+// GET /list pages oldest first on (createdAt, id): ?limit=&cursor=&order= (pagination.js).
+// POST /create and /signal bodies are declared with describeRoutes (apiSchema.js); errors use the shared envelope.
 
 import express from "express";
-import fs from "fs";
-import fsp from "fs/promises";
 import path from "path";
 import crypto from "crypto";
 
+import { getConfig } from "./config.js";
+import { getStorage } from "./storage/index.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+import { readPage, sendPageError, paginate } from "./pagination.js";
+import { listArtists } from "./artistsStore.js";
+
 const router = express.Router();
+const api = describeRoutes(router, { tag: "countries" });
 
 const SERVICE = "countries";
 const PHASE = "H7.3";
 const VERSION = 3;
 
-const DB_ROOT = process.env.IBAND_DATA_DIR || "/var/data/iband/db";
+const DB_ROOT = getConfig("core").dataDir;
+const storage = getStorage(DB_ROOT);
 const STORAGE_DIR = path.join(DB_ROOT, "countries");
 const STORE_FILE = path.join(STORAGE_DIR, "countries.json");
 const EVENTS_FILE = path.join(STORAGE_DIR, "country-events.jsonl");
 
-const ARTISTS_FILE_CANDIDATES = [
-  path.join(DB_ROOT, "artists", "artists.json"),
-  path.join(DB_ROOT, "artists.json"),
-];
-
 const LIMITS = {
   maxBodyBytes: 25000,
   maxList: 100,
@@ -70,20 +74,14 @@ function decayWeight(ageDays, halfLifeDays) {
 }
 
 async function ensureStore() {
-  await fsp.mkdir(STORAGE_DIR, { recursive: true });
-
-  if (!fs.existsSync(STORE_FILE)) {
-    await fsp.writeFile(
-      STORE_FILE,
-      JSON.stringify({ version: 1, countries: [], updatedAt: nowIso() }, null, 2)
-    );
+  if (!(await storage.exists(STORE_FILE))) {
+    await storage.writeJson(STORE_FILE, { version: 1, countries: [], updatedAt: nowIso() });
   }
 }
 
 async function readStore() {
   await ensureStore();
-  const raw = await fsp.readFile(STORE_FILE, "utf8");
-  const parsed = JSON.parse(raw || "{}");
+  const parsed = (await storage.readJson(STORE_FILE, {})) || {};
   return {
     version: parsed.version || 1,
     updatedAt: parsed.updatedAt || nowIso(),
@@ -93,29 +91,11 @@ async function readStore() {
 
 async function writeStore(store) {
   store.updatedAt = nowIso();
-  await fsp.writeFile(STORE_FILE, JSON.stringify(store, null, 2));
+  await storage.writeJson(STORE_FILE, store);
 }
 
 async function appendEvent(ev) {
-  await ensureStore();
-  await fsp.appendFile(EVENTS_FILE, JSON.stringify(ev) + "\n");
-}
-
-async function readArtistsStore() {
-  for (const filePath of ARTISTS_FILE_CANDIDATES) {
-    try {
-      if (!fs.existsSync(filePath)) continue;
-      const raw = await fsp.readFile(filePath, "utf8");
-      const parsed = JSON.parse(raw || "{}");
-
-      if (Array.isArray(parsed)) return parsed;
-      if (Array.isArray(parsed.artists)) return parsed.artists;
-      if (Array.isArray(parsed.list)) return parsed.list;
-    } catch {
-      // continue
-    }
-  }
-  return [];
+  await storage.appendJsonl(EVENTS_FILE, ev);
 }
 
 function normalizeArtistRow(row) {
@@ -135,28 +115,18 @@ function ok(res, payload) {
 }
 
 function bad(res, status, error, extra = {}) {
-  res.status(status).json({ success: false, error, ...extra });
+  sendError(res, status, error, extra.message, extra);
 }
 
 async function scanCountryArtistScores({ countryId, days }) {
   const lookbackDays = clampInt(days, 1, TUNING.maxLookbackDays, 30);
 
-  if (!fs.existsSync(EVENTS_FILE)) {
+  // newest last; corrupt lines are already skipped by the adapter
+  const events = await storage.readJsonl(EVENTS_FILE, { tailBytes: LIMITS.maxReadBytes });
+  if (!events.length) {
     return { scores: new Map(), uses: new Map(), scannedLines: 0 };
   }
 
-  const stat = fs.statSync(EVENTS_FILE);
-  const size = stat.size;
-  const readBytes = Math.min(size, LIMITS.maxReadBytes);
-
-  const fd = await fsp.open(EVENTS_FILE, "r");
-  const buf = Buffer.alloc(readBytes);
-  await fd.read(buf, 0, readBytes, Math.max(0, size - readBytes));
-  await fd.close();
-
-  const text = buf.toString("utf8");
-  const lines = text.split("\n").filter(Boolean);
-
   const nowMs = Date.now();
   const cutoffMs = nowMs - lookbackDays * 24 * 60 * 60 * 1000;
 
@@ -165,16 +135,12 @@ async function scanCountryArtistScores({ countryId, days }) {
 
   let scanned = 0;
 
-  for (let i = lines.length - 1; i >= 0; i -= 1) {
+  for (let i = events.length - 1; i >= 0; i -= 1) {
     scanned += 1;
     if (scanned > LIMITS.maxLineScan) break;
 
-    let ev;
-    try {
-      ev = JSON.parse(lines[i]);
-    } catch {
-      continue;
-    }
+    const ev = events[i];
+    if (!ev || typeof ev !== "object") continue;
 
     const ts = Date.parse(ev.ts || "");
     if (!Number.isFinite(ts)) continue;
@@ -202,7 +168,7 @@ async function scanCountryArtistScores({ countryId, days }) {
 
 router.get("/health", async (req, res) => {
   await ensureStore();
-  const stat = fs.statSync(STORE_FILE);
+  const stat = await storage.stat(STORE_FILE);
   const store = await readStore();
 
   ok(res, {
@@ -211,9 +177,10 @@ router.get("/health", async (req, res) => {
     phase: PHASE,
     version: VERSION,
     storageDir: STORAGE_DIR,
+    storage: storage.describe(),
     file: {
       path: STORE_FILE,
-      ok: true,
+      ok: stat.exists,
       size: stat.size
     },
     store: {
@@ -225,14 +192,21 @@ router.get("/health", async (req, res) => {
 
 /* ---------- CREATE COUNTRY ---------- */
 
-router.post("/create", async (req, res) => {
+api.post("/create", {
+  summary: "Create a country",
+  body: S.obj({
+    name: S.text(80),
+    code: S.text(8),
+    region: S.text(80),
+    subregion: S.text(80),
+    flag: S.text(10),
+    localGenres: S.arr(S.text(80), { maxItems: 50 }),
+  }, ["name"]),
+  responses: { 409: "A country with that name exists." },
+}, async (req, res) => {
   const body = req.body || {};
   const name = safeStr(body.name, 80);
 
-  if (!name) {
-    return bad(res, 400, "missing_country_name");
-  }
-
   const store = await readStore();
 
   const exists = store.countries.find(
@@ -275,14 +249,20 @@ router.post("/create", async (req, res) => {
 /* ---------- LIST COUNTRIES ---------- */
 
 router.get("/list", async (req, res) => {
+  const page = readPage(req.query, { defaultLimit: LIMITS.maxList, maxLimit: LIMITS.maxList, defaultOrder: "asc", allowOrder: true });
+  if (page.error) return sendPageError(res, page.error);
+
   const store = await readStore();
+  const out = paginate(store.countries, page, (c) => ({ at: c.createdAt, id: c.id }));
 
   ok(res, {
     success: true,
-    countries: store.countries,
+    countries: out.items,
+    nextCursor: out.nextCursor,
+    hasMore: out.hasMore,
     meta: {
       total: store.countries.length,
-      limit: LIMITS.maxList,
+      limit: page.limit,
       ts: nowIso()
     }
   });
@@ -290,17 +270,22 @@ router.get("/list", async (req, res) => {
 
 /* ---------- COUNTRY SIGNAL ---------- */
 
-router.post("/signal", async (req, res) => {
+api.post("/signal", {
+  summary: "Record a country signal (share, vote, purchase, upload, artist_create)",
+  body: S.obj({
+    countryId: S.id(80),
+    type: S.text(40),
+    artistId: S.text(80),
+    genreId: S.text(80),
+  }, ["countryId"]),
+  responses: { 404: "Country not found." },
+}, async (req, res) => {
   const body = req.body || {};
   const countryId = safeStr(body.countryId, 80);
   const type = safeStr(body.type, 40);
   const artistId = safeStr(body.artistId, 80) || null;
   const genreId = safeStr(body.genreId, 80) || null;
 
-  if (!countryId) {
-    return bad(res, 400, "missing_countryId");
-  }
-
   const store = await readStore();
   const country = store.countries.find(c => c.id === countryId);
 
@@ -360,7 +345,7 @@ router.get("/:countryId/artists", async (req, res) => {
     return bad(res, 404, "country_not_found", { countryId });
   }
 
-  const artistsRaw = await readArtistsStore();
+  const artistsRaw = listArtists();
   const artists = artistsRaw.map(normalizeArtistRow).filter(a => a.id);
 
   const { scores, uses, scannedLines } = await scanCountryArtistScores({ countryId, days });
@@ -1,6 +1,10 @@
 import express from "express";
 
+import { subscribe } from "./eventBus.js";
+import { describeRoutes, S } from "./apiSchema.js";
+
 const router = express.Router();
+const api = describeRoutes(router, { tag: "country-engine" });
 
 /*
 |--------------------------------------------------------------------------
@@ -215,6 +219,81 @@ function buildRegionSummary(regionName) {
   };
 }
 
+/*
+|--------------------------------------------------------------------------
+| Record a signal (POST /signal and the event bus share this)
+|--------------------------------------------------------------------------
+*/
+function recordCountrySignal({ artistId, country, genre, action }) {
+  const createdAt = new Date().toISOString();
+  const region = getRegionForCountry(country);
+
+  const signal = {
+    id: `signal_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    artistId,
+    country,
+    region,
+    genre: genre || "unknown",
+    action,
+    createdAt,
+  };
+
+  countrySignals.push(signal);
+
+  ensureCountry(country);
+
+  countryStats[country].totalSignals += 1;
+  countryStats[country].momentumScore += 1;
+  countryStats[country].lastActivity = createdAt;
+
+  incrementMapCounter(countryStats[country].artists, artistId, 1);
+  incrementMapCounter(countryStats[country].actions, action, 1);
+
+  if (genre) {
+    incrementMapCounter(countryStats[country].genres, genre, 1);
+
+    if (!countryGenreMap[country]) {
+      countryGenreMap[country] = {};
+    }
+
+    incrementMapCounter(countryGenreMap[country], genre, 1);
+  }
+
+  return signal;
+}
+
+/*
+|--------------------------------------------------------------------------
+| Live counters from the event bus
+|--------------------------------------------------------------------------
+| Any ingested event that carries a country (top level or meta.country)
+| counts here too; events without one are ignored.
+*/
+const BUS_ACTIONS = {
+  "vote.cast": "vote",
+  "share.recorded": "share",
+  "purchase.recorded": "purchase",
+  "subscription.recorded": "subscribe",
+};
+
+subscribe(
+  "country-engine.counters",
+  ["engagement.recorded", "vote.cast", "share.recorded", "purchase.recorded", "subscription.recorded", "monetisation.signal"],
+  (evt) => {
+    const p = evt.payload || {};
+    const country = normalizeCountry(p.country || p.meta?.country || "");
+    const artistId = String(evt.artistId || "").trim();
+    if (!country || !artistId) return;
+
+    recordCountrySignal({
+      artistId,
+      country,
+      genre: normalizeGenre(p.genre || p.meta?.genre || ""),
+      action: normalizeAction(BUS_ACTIONS[evt.type] || p.type),
+    });
+  }
+);
+
 /*
 |--------------------------------------------------------------------------
 | GET
@@ -282,54 +361,29 @@ router.get("/countries", (req, res) => {
 | Record country usage signal
 |--------------------------------------------------------------------------
 */
-router.post("/signal", (req, res) => {
+api.post("/signal", {
+  summary: "Record a country usage signal",
+  body: S.obj({
+    artistId: S.id(),
+    country: S.id(80),
+    genre: S.text(80),
+    action: S.text(40),
+  }, ["artistId", "country"]),
+}, (req, res) => {
   const { artistId, country, genre, action } = req.body;
 
-  const normalizedArtistId = String(artistId || "").trim();
+  const normalizedArtistId = artistId.trim();
   const normalizedCountry = normalizeCountry(country);
   const normalizedGenre = normalizeGenre(genre);
   const normalizedAction = normalizeAction(action);
 
-  if (!normalizedArtistId || !normalizedCountry) {
-    return res.status(400).json({
-      success: false,
-      message: "artistId and country are required.",
-    });
-  }
-
-  const createdAt = new Date().toISOString();
-  const region = getRegionForCountry(normalizedCountry);
-
-  const signal = {
-    id: `signal_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  const signal = recordCountrySignal({
     artistId: normalizedArtistId,
     country: normalizedCountry,
-    region,
-    genre: normalizedGenre || "unknown",
+    genre: normalizedGenre,
     action: normalizedAction,
-    createdAt,
-  };
-
-  countrySignals.push(signal);
-
-  ensureCountry(normalizedCountry);
-
-  countryStats[normalizedCountry].totalSignals += 1;
-  countryStats[normalizedCountry].momentumScore += 1;
-  countryStats[normalizedCountry].lastActivity = createdAt;
-
-  incrementMapCounter(countryStats[normalizedCountry].artists, normalizedArtistId, 1);
-  incrementMapCounter(countryStats[normalizedCountry].actions, normalizedAction, 1);
-
-  if (normalizedGenre) {
-    incrementMapCounter(countryStats[normalizedCountry].genres, normalizedGenre, 1);
-
-    if (!countryGenreMap[normalizedCountry]) {
-      countryGenreMap[normalizedCountry] = {};
-    }
-
-    incrementMapCounter(countryGenreMap[normalizedCountry], normalizedGenre, 1);
-  }
+  });
+  const region = signal.region;
 
   return res.json({
     success: true,
@@ -1,6 +1,8 @@
 import express from "express";
+import { describeRoutes, S } from "./apiSchema.js";
 
 const router = express.Router();
+const api = describeRoutes(router, { tag: "cross-border-momentum" });
 
 /*
 |--------------------------------------------------------------------------
@@ -43,16 +45,12 @@ function ensureArtist(artistId) {
 |--------------------------------------------------------------------------
 */
 
-router.post("/signal", (req, res) => {
+api.post("/signal", {
+  summary: "Record a spread signal",
+  body: S.obj({ artistId: S.id(), country: S.id(80) }, ["artistId", "country"]),
+}, (req, res) => {
   const { artistId, country } = req.body;
 
-  if (!artistId || !country) {
-    return res.status(400).json({
-      success: false,
-      message: "artistId and country are required",
-    });
-  }
-
   ensureArtist(artistId);
 
   const artistData = spreadSignals[artistId];
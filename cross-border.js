@@ -2,13 +2,15 @@ import express from "express";
 import fs from "fs";
 import path from "path";
 
+import { getConfig } from "./config.js";
+
 const router = express.Router();
 
 const SERVICE = "cross-border";
 const PHASE = "H13";
 const VERSION = 1;
 
-const DATA_DIR = "/var/data/iband/db";
+const DATA_DIR = getConfig("core").dataDir;
 
 function readJSON(file) {
   try {
@@ -1,8 +0,0 @@
-// db/init.js
-// Simple in-memory DB init placeholder for iBand backend.
-// We previously tried to use sqlite3 here, but we're now running
-// with an in-memory store instead to keep Render deployments simple.
-
-console.log("===> iBand in-memory DB initialised (no sqlite).");
-
-module.exports = {};
\ No newline at end of file
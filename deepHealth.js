@@ -0,0 +1,379 @@
+/**
+ * deepHealth.js (root) — ESM
+ * iBand Deep Health Probe (v1)
+ *
+ * Mounted by server.js at:
+ * - GET /health/deep?timeoutMs=3000
+ *
+ * What it does (single on-call probe):
+ * - Calls every mounted module's own GET /health handler IN-PROCESS
+ *   (no network hop: the router is invoked with a lightweight req/res pair)
+ * - Collects data-file existence + size for the shared stores
+ *   (events.jsonl, votes-state.json, purchases.json, achievements.json)
+ * - Reports AI provider readiness (Movie Mentor semantic + structured provider)
+ * - Reports event bus subscribers (delivered / retries / dead letters / checkpoints); a failed
+ *   boot replay degrades the verdict
+ * - Config errors (config.js loadConfig) degrade the verdict (a non-strict boot still runs on defaults)
+ * - Folds boot-time skipped/failed modules (from the module manifest) into the verdict
+ *
+ * Overall status:
+ * - "ok"       -> every probed module healthy, data dir writable, no boot failures
+ * - "degraded" -> at least one module unhealthy / timed out / failed to mount, or storage problem
+ * - "down"     -> no module answered healthy
+ *
+ * Modules without a /health route ("no_health") or behind an auth guard ("protected")
+ * are reported but never degrade the verdict.
+ */
+
+import fs from "fs/promises";
+
+import { getMovieMentorSemanticProviderStatus } from "./ai/MovieMentorSemanticInterpreter.js";
+import {
+  getStructuredAIProviderConfig,
+  getStructuredAIProviderConfigurationIssues,
+} from "./ai/StructuredAIProviderClient.js";
+import { getConfig, loadConfig } from "./config.js";
+import { getLockStats } from "./storage/index.js";
+import { getBusStats } from "./eventBus.js";
+
+const SERVICE = "deep-health";
+const VERSION = 1;
+
+const DEFAULT_TIMEOUT_MS = getConfig("health").deepTimeoutMs;
+const MAX_TIMEOUT_MS = 15000;
+
+/* -------------------- Helpers -------------------- */
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function clampInt(v, min, max, fallback) {
+  const n = parseInt(String(v ?? ""), 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+async function statSafe(filePath) {
+  try {
+    const s = await fs.stat(filePath);
+    return { exists: true, size: s.size, mtime: new Date(s.mtimeMs).toISOString() };
+  } catch (e) {
+    return { exists: false, size: 0, error: e?.code || "stat_failed" };
+  }
+}
+
+async function dirWritable(dirPath) {
+  try {
+    await fs.mkdir(dirPath, { recursive: true });
+    await fs.access(dirPath, fs.constants.W_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/* -------------------- Storage -------------------- */
+
+/**
+ * Same config the owning modules read, so the probe reports the files they actually write.
+ */
+function getDataFiles() {
+  const files = getConfig("files");
+
+  return {
+    dataDirs: [getConfig("core").dataDir],
+    files: [
+      { key: "events", owner: "events", path: files.eventsLog },
+      { key: "votesState", owner: "votes", path: files.votesState },
+      { key: "purchases", owner: "purchases", path: files.purchases },
+      { key: "achievements", owner: "achievements", path: files.achievements },
+    ],
+  };
+}
+
+export async function checkStorage() {
+  const { dataDirs, files } = getDataFiles();
+
+  const dirs = [];
+  for (const dir of dataDirs) dirs.push({ path: dir, writable: await dirWritable(dir) });
+
+  const out = {};
+  for (const f of files) out[f.key] = { path: f.path, owner: f.owner, ...(await statSafe(f.path)) };
+
+  const problems = dirs.filter((d) => !d.writable).map((d) => `data_dir_not_writable:${d.path}`);
+  const { config: lockConfig, totals: lockTotals } = getLockStats();
+
+  return {
+    status: problems.length ? "degraded" : "ok",
+    problems,
+    dataDirs: dirs,
+    files: out,
+    locks: { config: lockConfig, totals: lockTotals },
+  };
+}
+
+/* -------------------- AI provider -------------------- */
+
+export function checkAiProviders() {
+  let semantic = null;
+  let structured = null;
+
+  try {
+    const s = getMovieMentorSemanticProviderStatus();
+    semantic = {
+      configured: s.configured,
+      readiness: s.readiness,
+      provider: s.provider,
+      modelConfigured: s.modelConfigured,
+      apiKeyConfigured: s.apiKeyConfigured,
+      configurationIssues: s.configurationIssues,
+    };
+  } catch (e) {
+    semantic = { configured: false, readiness: "error", configurationIssues: [e?.message || "status_failed"] };
+  }
+
+  try {
+    const c = getStructuredAIProviderConfig();
+    const issues = getStructuredAIProviderConfigurationIssues(c);
+    structured = {
+      configured: issues.length === 0,
+      readiness: issues.length === 0 ? "ready" : "configuration-required",
+      provider: c.provider || null,
+      modelConfigured: Boolean(c.model),
+      apiKeyConfigured: Boolean(c.key),
+      configurationIssues: issues,
+    };
+  } catch (e) {
+    structured = { configured: false, readiness: "error", configurationIssues: [e?.message || "config_failed"] };
+  }
+
+  // AI readiness is reported, not treated as platform degradation:
+  // only the Movie Mentor gateways depend on it and they answer 503 on their own.
+  const ready = semantic.configured && structured.configured;
+  return { status: ready ? "ready" : "configuration-required", semantic, structured };
+}
+
+/* -------------------- In-process module health -------------------- */
+
+/**
+ * Invokes router("GET /health") without a socket.
+ * Resolves once the handler writes a response, calls next() (no route) or the timeout fires.
+ */
+function invokeRouterHealth(router, { basePath, timeoutMs }) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve({ ...result, latencyMs: Date.now() - started });
+    };
+
+    const timer = setTimeout(() => finish({ outcome: "timeout" }), timeoutMs);
+
+    const headers = { accept: "application/json", "x-iband-deep-health": "1" };
+    const req = {
+      method: "GET",
+      url: "/health",
+      originalUrl: `${basePath}/health`,
+      baseUrl: "",
+      path: "/health",
+      query: {},
+      params: {},
+      body: {},
+      headers,
+      socket: { remoteAddress: "127.0.0.1" },
+      connection: { remoteAddress: "127.0.0.1" },
+      ip: "127.0.0.1",
+      get(name) {
+        return headers[String(name).toLowerCase()];
+      },
+      header(name) {
+        return headers[String(name).toLowerCase()];
+      },
+    };
+
+    const resHeaders = {};
+    const res = {
+      statusCode: 200,
+      headersSent: false,
+      locals: {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      set(name, value) {
+        if (name && typeof name === "object") Object.assign(resHeaders, name);
+        else resHeaders[String(name).toLowerCase()] = value;
+        return this;
+      },
+      header(name, value) {
+        return this.set(name, value);
+      },
+      setHeader(name, value) {
+        resHeaders[String(name).toLowerCase()] = value;
+      },
+      getHeader(name) {
+        return resHeaders[String(name).toLowerCase()];
+      },
+      type(value) {
+        return this.set("content-type", value);
+      },
+      json(body) {
+        this.headersSent = true;
+        finish({ outcome: "responded", httpStatus: this.statusCode, body });
+        return this;
+      },
+      send(body) {
+        this.headersSent = true;
+        let parsed = body;
+        if (typeof body === "string") {
+          try {
+            parsed = JSON.parse(body);
+          } catch {
+            parsed = { raw: body.slice(0, 200) };
+          }
+        }
+        finish({ outcome: "responded", httpStatus: this.statusCode, body: parsed });
+        return this;
+      },
+      end(body) {
+        return this.send(body ?? null);
+      },
+    };
+
+    try {
+      router(req, res, (err) => {
+        if (err) finish({ outcome: "error", error: err?.message || String(err) });
+        else finish({ outcome: "no_route" });
+      });
+    } catch (e) {
+      finish({ outcome: "error", error: e?.message || String(e) });
+    }
+  });
+}
+
+function classifyModuleHealth(result) {
+  if (result.outcome === "timeout") return { status: "timeout", degraded: true, reason: "health_timeout" };
+  if (result.outcome === "error") return { status: "error", degraded: true, reason: result.error };
+  if (result.outcome === "no_route") return { status: "no_health", degraded: false, reason: "no_health_route" };
+
+  const code = Number(result.httpStatus || 0);
+  if (code === 404) return { status: "no_health", degraded: false, reason: "no_health_route" };
+  if (code === 401 || code === 403) return { status: "protected", degraded: false, reason: `http_${code}` };
+  if (code >= 500) return { status: "error", degraded: true, reason: `http_${code}` };
+  if (code >= 400) return { status: "degraded", degraded: true, reason: `http_${code}` };
+  if (result.body && result.body.success === false) {
+    return { status: "degraded", degraded: true, reason: result.body.code || result.body.message || "success_false" };
+  }
+  return { status: "ok", degraded: false, reason: null };
+}
+
+export async function probeModules(mounted, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const list = Array.isArray(mounted) ? mounted : [];
+
+  return Promise.all(
+    list.map(async (m) => {
+      if (typeof m.router !== "function") {
+        return { id: m.id, basePath: m.basePath, status: "error", degraded: true, reason: "router_unavailable", latencyMs: 0 };
+      }
+      const result = await invokeRouterHealth(m.router, { basePath: m.basePath, timeoutMs });
+      const verdict = classifyModuleHealth(result);
+      return {
+        id: m.id,
+        basePath: m.basePath,
+        version: m.version,
+        status: verdict.status,
+        degraded: verdict.degraded,
+        reason: verdict.reason,
+        httpStatus: result.httpStatus ?? null,
+        latencyMs: result.latencyMs,
+        service: result.body?.service ?? null,
+      };
+    })
+  );
+}
+
+/* -------------------- Aggregate -------------------- */
+
+export async function runDeepHealth(registry, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const started = Date.now();
+  const reg = registry || { mounted: [], skipped: [], failed: [] };
+
+  const [modules, storage] = await Promise.all([
+    probeModules(reg.mounted, { timeoutMs }),
+    checkStorage(),
+  ]);
+  const ai = checkAiProviders();
+  const bus = getBusStats();
+  const { errors: configErrors } = loadConfig();
+
+  const probed = modules.filter((m) => m.status !== "no_health" && m.status !== "protected");
+  const healthy = probed.filter((m) => m.status === "ok");
+
+  const degradation = [
+    ...modules.filter((m) => m.degraded).map((m) => ({ id: m.id, source: "module", reason: m.reason })),
+    ...(reg.failed || []).map((m) => ({ id: m.id, source: "boot", reason: m.reason })),
+    ...(reg.skipped || [])
+      .filter((m) => m.reason !== "disabled")
+      .map((m) => ({ id: m.id, source: "boot", reason: m.reason })),
+    ...storage.problems.map((p) => ({ id: "storage", source: "storage", reason: p })),
+    ...(bus.replay?.errors || []).map((e) => ({ id: "event-bus", source: "bus", reason: `replay_failed:${e.source}` })),
+    ...configErrors.map((e) => ({ id: "config", source: "config", reason: `invalid_setting:${e.env}` })),
+  ];
+
+  let status = "ok";
+  if (degradation.length) status = "degraded";
+  if (probed.length > 0 && healthy.length === 0) status = "down";
+
+  return {
+    success: status !== "down",
+    service: SERVICE,
+    version: VERSION,
+    status,
+    checkedAt: nowIso(),
+    durationMs: Date.now() - started,
+    timeoutMs,
+    summary: {
+      mounted: modules.length,
+      healthy: healthy.length,
+      degraded: modules.filter((m) => m.degraded).length,
+      noHealthRoute: modules.filter((m) => m.status === "no_health").length,
+      protected: modules.filter((m) => m.status === "protected").length,
+      bootSkipped: (reg.skipped || []).length,
+      bootFailed: (reg.failed || []).length,
+    },
+    degradation,
+    modules,
+    storage,
+    ai,
+    bus,
+    uptimeSec: Math.floor(process.uptime()),
+  };
+}
+
+/**
+ * Express handler factory. `getRegistry` returns server.js mountRegistry (mounted entries carry `router`).
+ */
+export function createDeepHealthHandler(getRegistry) {
+  return async (req, res) => {
+    const timeoutMs = clampInt(req.query?.timeoutMs, 100, MAX_TIMEOUT_MS, DEFAULT_TIMEOUT_MS);
+    try {
+      const report = await runDeepHealth(getRegistry(), { timeoutMs });
+      return res.status(report.status === "down" ? 503 : 200).json(report);
+    } catch (e) {
+      return res.status(500).json({
+        success: false,
+        service: SERVICE,
+        status: "error",
+        message: e?.message || "Deep health probe failed.",
+        checkedAt: nowIso(),
+      });
+    }
+  };
+}
+
+export default createDeepHealthHandler;
@@ -3,13 +3,15 @@ import fs from "fs";
 import fsp from "fs/promises";
 import path from "path";
 
+import { getConfig } from "./config.js";
+
 const router = express.Router();
 
 const SERVICE = "discovery";
 const PHASE = "H9.3";
 const VERSION = 4;
 
-const DB_ROOT = process.env.IBAND_DATA_DIR || "/var/data/iband/db";
+const DB_ROOT = getConfig("core").dataDir;
 
 const GENRES_FILE = path.join(DB_ROOT, "genres/genres.json");
 const COUNTRIES_FILE = path.join(DB_ROOT, "countries/countries.json");
@@ -17,11 +19,6 @@ const COUNTRIES_FILE = path.join(DB_ROOT, "countries/countries.json");
 const GENRE_EVENTS = path.join(DB_ROOT, "genres/events/genre-events.jsonl");
 const COUNTRY_EVENTS = path.join(DB_ROOT, "countries/country-events.jsonl");
 
-const ARTISTS_FILE_CANDIDATES = [
-  path.join(DB_ROOT, "artists/artists.json"),
-  path.join(DB_ROOT, "artists.json")
-];
-
 const LIMITS = {
   maxReadBytes: 20 * 1024 * 1024
 };
@@ -52,15 +49,6 @@ async function readJson(file) {
   }
 }
 
-async function readArtists() {
-  for (const file of ARTISTS_FILE_CANDIDATES) {
-    if (fs.existsSync(file)) {
-      return await readJson(file);
-    }
-  }
-  return [];
-}
-
 async function scanEvents(file) {
 
   if (!fs.existsSync(file)) return [];
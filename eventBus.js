@@ -0,0 +1,460 @@
+/**
+ * eventBus.js (root) — ESM
+ * In-process domain event bus (v1): ingestion routers publish, scoring engines subscribe.
+ *
+ * Publishers append the record to their segmented log first, then publish(type, record).
+ * The log is the outbox, which is what makes delivery at-least-once:
+ * - every subscriber handles events one at a time, in publish order, with retries + backoff
+ * - durable subscribers keep a checkpoint per source log (DATA_DIR/bus/checkpoints.json):
+ *   throughMs = every event before it is acked; in-flight / failed events hold it back
+ * - startEventBus() replays each source log from each durable checkpoint, so events appended
+ *   before a crash (or whose delivery never finished) are delivered again
+ * - an event that still fails after IBAND_BUS_MAX_ATTEMPTS goes to DATA_DIR/bus/dead-letters.jsonl
+ *   and is acked, so one poison record cannot pin the checkpoint
+ * Handlers must tolerate duplicates (a bounded recent-id set filters most of them).
+ *
+ * Event types (source log -> which records belong to the type when replaying):
+ * - engagement.recorded    events.js       events log, view/like/share/... (no delta)
+ * - vote.cast / vote.undone votes.js        events log, type "vote" with delta (undoOf on undo)
+ * - purchase.recorded      purchases.js    events log, type "purchase"
+ * - subscription.recorded  purchases.js    events log, type "subscribe"
+ * - share.recorded         shares.js       shares log
+ * - monetisation.signal    monetisationSignals.js  monetisation log
+ *
+ * Env (config.js namespace "bus"):
+ * - IBAND_BUS_MAX_ATTEMPTS     handler attempts per event (default 5)
+ * - IBAND_BUS_RETRY_BASE_MS    first retry delay, doubled per attempt (default 50)
+ * - IBAND_BUS_REPLAY_MAX_DAYS  never replay further back than this (default 7)
+ */
+
+import path from "path";
+
+import { getConfig } from "./config.js";
+import { getStorage, withFileLock } from "./storage/index.js";
+import { recordTimeMs, recordArtistId } from "./storage/segmentedLog.js";
+
+const DATA_DIR = getConfig("core").dataDir;
+const CHECKPOINTS_FILE = path.join(DATA_DIR, "bus", "checkpoints.json");
+const DEAD_LETTERS_FILE = path.join(DATA_DIR, "bus", "dead-letters.jsonl");
+
+const SEEN_MAX = 5000;
+const ENGAGEMENT_TYPES = new Set(["view", "skip", "replay", "like", "save", "share", "follow", "comment", "vote"]);
+
+export const EVENT_TYPES = Object.freeze({
+  "engagement.recorded": {
+    source: "events",
+    required: ["id", "at", "type"],
+    match: (r) => ENGAGEMENT_TYPES.has(r?.type) && r?.delta === undefined,
+  },
+  "vote.cast": {
+    source: "events",
+    required: ["id", "at", "artistId", "sessionId", "delta"],
+    match: (r) => r?.type === "vote" && r?.delta !== undefined && !r?.undoOf,
+  },
+  "vote.undone": {
+    source: "events",
+    required: ["id", "at", "artistId", "sessionId", "undoOf"],
+    match: (r) => r?.type === "vote" && !!r?.undoOf,
+  },
+  "purchase.recorded": {
+    source: "events",
+    required: ["id", "at", "artistId"],
+    match: (r) => r?.type === "purchase",
+  },
+  "subscription.recorded": {
+    source: "events",
+    required: ["id", "at"],
+    match: (r) => r?.type === "subscribe",
+  },
+  "share.recorded": {
+    source: "shares",
+    required: ["id", "ts", "artistId"],
+    match: (r) => r?.type === "share",
+  },
+  "monetisation.signal": {
+    source: "monetisation",
+    required: ["id", "ts", "type", "artistId"],
+    match: () => true,
+  },
+});
+
+export function getBusConfig(env = process.env) {
+  const { maxAttempts, retryBaseMs, replayMaxDays } = getConfig("bus", env);
+  return { maxAttempts, retryBaseMs, replayMaxDays };
+}
+
+const state = {
+  started: false,
+  startedAt: null,
+  sources: new Map(), // name -> Set(segmented log)
+  subscribers: new Map(), // id -> subscriber
+  published: {}, // type -> count
+  rejected: 0,
+  replay: null,
+  checkpointTimer: null,
+  checkpointWrite: Promise.resolve(),
+};
+
+function busError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function storage() {
+  return getStorage(DATA_DIR);
+}
+
+/** Publishers call this once at import so startEventBus() knows which logs to replay. */
+export function registerSource(name, log) {
+  if (!state.sources.has(name)) state.sources.set(name, new Set());
+  state.sources.get(name).add(log);
+}
+
+/** Which bus type a stored record belongs to (replay), or null. */
+export function classifyRecord(source, record) {
+  for (const [type, def] of Object.entries(EVENT_TYPES)) {
+    if (def.source === source && def.match(record)) return type;
+  }
+  return null;
+}
+
+function buildEnvelope(type, record) {
+  const def = EVENT_TYPES[type];
+  if (!def) throw busError("BUS_UNKNOWN_TYPE", `Unknown event type "${type}".`, { type });
+
+  const missing = def.required.filter((f) => record?.[f] === undefined || record?.[f] === null || record?.[f] === "");
+  if (missing.length || !def.match(record)) {
+    throw busError("BUS_INVALID_EVENT", `Invalid ${type} payload${missing.length ? `: missing ${missing.join(", ")}` : ""}.`, {
+      type,
+      missing,
+    });
+  }
+
+  const atMs = recordTimeMs(record) ?? Date.now();
+  return {
+    id: `${type}:${record.id}`,
+    type,
+    source: def.source,
+    at: new Date(atMs).toISOString(),
+    atMs,
+    artistId: recordArtistId(record),
+    payload: record,
+  };
+}
+
+// -------------------- Subscribers --------------------
+
+function sourcesFor(types) {
+  return [...new Set(types.map((t) => EVENT_TYPES[t].source))];
+}
+
+/**
+ * subscribe(id, types, handler, { durable })
+ * - id is stable across restarts (checkpoints are keyed by it)
+ * - handler(envelope) may be async; a throw means "retry"
+ * - durable:false for pure cache invalidation (nothing to catch up on after a restart)
+ */
+export function subscribe(id, types, handler, { durable = true } = {}) {
+  const list = (Array.isArray(types) ? types : [types]).map(String);
+  const unknown = list.filter((t) => !EVENT_TYPES[t]);
+  if (unknown.length) throw busError("BUS_UNKNOWN_TYPE", `Unknown event type(s): ${unknown.join(", ")}.`, { types: unknown });
+  if (typeof handler !== "function") throw new TypeError("subscribe: handler must be a function.");
+
+  const sub = {
+    id,
+    types: new Set(list),
+    handler,
+    durable: !!durable,
+    queue: Promise.resolve(),
+    seen: new Set(),
+    pending: new Map(), // source -> Map(envelopeId -> atMs)
+    highMs: new Map(), // source -> newest acked atMs
+    checkpoint: {}, // source -> throughMs (as loaded / last written)
+    stats: { delivered: 0, duplicates: 0, failures: 0, retries: 0, deadLettered: 0, lastError: null, lastDeliveredAt: null },
+  };
+  for (const s of sourcesFor(list)) {
+    sub.pending.set(s, new Map());
+    // a subscriber added after boot starts "now" instead of replaying history
+    if (state.started) sub.highMs.set(s, Date.now());
+  }
+  state.subscribers.set(id, sub);
+  return () => state.subscribers.delete(id);
+}
+
+function remember(sub, envelopeId) {
+  sub.seen.add(envelopeId);
+  if (sub.seen.size > SEEN_MAX) sub.seen.delete(sub.seen.values().next().value);
+}
+
+function throughMs(sub, source) {
+  const pending = sub.pending.get(source);
+  if (pending?.size) return Math.min(...pending.values());
+  return sub.highMs.get(source) ?? sub.checkpoint[source] ?? null;
+}
+
+async function deadLetter(sub, envelope, error) {
+  sub.stats.deadLettered += 1;
+  try {
+    await storage().appendJsonl(DEAD_LETTERS_FILE, {
+      at: new Date().toISOString(),
+      subscriber: sub.id,
+      envelope,
+      error: error?.message || String(error),
+    });
+  } catch {
+    // the record is still in its source log
+  }
+}
+
+async function attempt(sub, envelope) {
+  const cfg = getBusConfig();
+  let lastErr = null;
+  for (let n = 1; n <= cfg.maxAttempts; n += 1) {
+    try {
+      await sub.handler(envelope);
+      sub.stats.delivered += 1;
+      sub.stats.lastDeliveredAt = new Date().toISOString();
+      return;
+    } catch (e) {
+      lastErr = e;
+      sub.stats.failures += 1;
+      sub.stats.lastError = e?.message || String(e);
+      if (n < cfg.maxAttempts) {
+        sub.stats.retries += 1;
+        await sleep(cfg.retryBaseMs * 2 ** (n - 1));
+      }
+    }
+  }
+  await deadLetter(sub, envelope, lastErr);
+}
+
+function ack(sub, envelope) {
+  sub.pending.get(envelope.source)?.delete(envelope.id);
+  const prev = sub.highMs.get(envelope.source) ?? 0;
+  if (envelope.atMs > prev) sub.highMs.set(envelope.source, envelope.atMs);
+  if (sub.durable) scheduleCheckpoint();
+}
+
+function deliver(sub, envelope) {
+  if (!sub.types.has(envelope.type)) return false;
+  if (sub.seen.has(envelope.id) || sub.pending.get(envelope.source)?.has(envelope.id)) {
+    sub.stats.duplicates += 1;
+    return false;
+  }
+  sub.pending.get(envelope.source).set(envelope.id, envelope.atMs);
+  sub.queue = sub.queue
+    .then(() => attempt(sub, envelope))
+    .finally(() => {
+      remember(sub, envelope.id);
+      ack(sub, envelope);
+    });
+  return true;
+}
+
+// -------------------- Publish --------------------
+
+/**
+ * publish(type, record) -> { id, type, subscribers }
+ * Call after the record is in its log. Validation failures throw BUS_UNKNOWN_TYPE / BUS_INVALID_EVENT;
+ * delivery itself is asynchronous and never throws into the caller.
+ */
+export function publish(type, record) {
+  let envelope;
+  try {
+    envelope = buildEnvelope(type, record);
+  } catch (e) {
+    state.rejected += 1;
+    throw e;
+  }
+
+  state.published[type] = (state.published[type] || 0) + 1;
+  let subscribers = 0;
+  for (const sub of state.subscribers.values()) if (deliver(sub, envelope)) subscribers += 1;
+  return { id: envelope.id, type, subscribers };
+}
+
+/** Resolves once every subscriber has finished what is queued right now (tests, shutdown). */
+export async function drainEventBus() {
+  await Promise.all([...state.subscribers.values()].map((s) => s.queue));
+  await flushCheckpoints();
+}
+
+// -------------------- Checkpoints --------------------
+
+function checkpointSnapshot() {
+  const out = {};
+  for (const sub of state.subscribers.values()) {
+    if (!sub.durable) continue;
+    const row = {};
+    for (const source of sub.pending.keys()) {
+      const ms = throughMs(sub, source);
+      if (ms !== null) row[source] = { throughMs: ms, through: new Date(ms).toISOString() };
+    }
+    out[sub.id] = row;
+  }
+  return out;
+}
+
+export function flushCheckpoints() {
+  if (state.checkpointTimer) {
+    clearTimeout(state.checkpointTimer);
+    state.checkpointTimer = null;
+  }
+  const snapshot = checkpointSnapshot();
+  state.checkpointWrite = state.checkpointWrite
+    .catch(() => {})
+    .then(() =>
+      withFileLock(storage(), CHECKPOINTS_FILE, async () => {
+        const prev = (await storage().readJson(CHECKPOINTS_FILE, null)) || {};
+        const subscribers = { ...(prev.subscribers || {}), ...snapshot };
+        await storage().writeJson(CHECKPOINTS_FILE, { version: 1, updatedAt: new Date().toISOString(), subscribers });
+        for (const sub of state.subscribers.values()) {
+          for (const [source, row] of Object.entries(snapshot[sub.id] || {})) sub.checkpoint[source] = row.throughMs;
+        }
+      })
+    );
+  return state.checkpointWrite;
+}
+
+function scheduleCheckpoint() {
+  if (state.checkpointTimer) return;
+  state.checkpointTimer = setTimeout(() => {
+    state.checkpointTimer = null;
+    flushCheckpoints().catch(() => {});
+  }, 500);
+  state.checkpointTimer.unref?.();
+}
+
+// -------------------- Start / replay --------------------
+
+/**
+ * Loads checkpoints and replays each durable subscriber's sources from them.
+ * Call once after every module has been imported (server.js, after mounting).
+ */
+export async function startEventBus({ replay = true } = {}) {
+  if (state.started) return state.replay;
+  const cfg = getBusConfig();
+  const nowMs = Date.now();
+  const floorMs = nowMs - cfg.replayMaxDays * 86400000;
+
+  let saved = {};
+  try {
+    saved = (await storage().readJson(CHECKPOINTS_FILE, null))?.subscribers || {};
+  } catch {
+    saved = {};
+  }
+
+  const summary = { at: new Date(nowMs).toISOString(), subscribers: 0, events: 0, delivered: 0, errors: [] };
+  const plan = []; // [sub, source, fromMs]
+  for (const sub of state.subscribers.values()) {
+    for (const source of sub.pending.keys()) {
+      const ms = Number(saved[sub.id]?.[source]?.throughMs);
+      if (sub.durable && Number.isFinite(ms)) {
+        sub.checkpoint[source] = ms;
+        plan.push([sub, source, Math.max(ms, floorMs)]);
+      } else if (!sub.highMs.has(source)) {
+        // first start for this subscriber: begin at "now"
+        sub.highMs.set(source, nowMs);
+      }
+    }
+  }
+
+  state.started = true;
+  state.startedAt = summary.at;
+
+  if (replay) {
+    const bySource = new Map();
+    for (const [sub, source, fromMs] of plan) {
+      if (!bySource.has(source)) bySource.set(source, []);
+      bySource.get(source).push([sub, fromMs]);
+    }
+    for (const [source, subs] of bySource) {
+      const fromMs = Math.min(...subs.map(([, ms]) => ms));
+      for (const log of state.sources.get(source) || []) {
+        try {
+          const { events } = await log.readRange({ fromMs });
+          for (const record of events) {
+            const type = classifyRecord(source, record);
+            if (!type) continue;
+            let envelope;
+            try {
+              envelope = buildEnvelope(type, record);
+            } catch {
+              continue; // legacy / malformed line
+            }
+            summary.events += 1;
+            for (const [sub, subFrom] of subs) if (envelope.atMs >= subFrom && deliver(sub, envelope)) summary.delivered += 1;
+          }
+        } catch (e) {
+          summary.errors.push({ source, error: e?.message || String(e) });
+        }
+      }
+    }
+    summary.subscribers = new Set(plan.map(([sub]) => sub.id)).size;
+  }
+
+  state.replay = summary;
+  scheduleCheckpoint();
+  return summary;
+}
+
+// -------------------- Introspection --------------------
+
+export function getBusStats() {
+  return {
+    started: state.started,
+    startedAt: state.startedAt,
+    config: getBusConfig(),
+    types: Object.keys(EVENT_TYPES),
+    sources: Object.fromEntries([...state.sources].map(([name, logs]) => [name, logs.size])),
+    published: { ...state.published },
+    rejected: state.rejected,
+    replay: state.replay,
+    subscribers: [...state.subscribers.values()].map((sub) => ({
+      id: sub.id,
+      types: [...sub.types],
+      durable: sub.durable,
+      inFlight: [...sub.pending.values()].reduce((n, m) => n + m.size, 0),
+      ...sub.stats,
+      checkpoints: Object.fromEntries(
+        [...sub.pending.keys()].map((source) => {
+          const ms = throughMs(sub, source);
+          return [source, ms === null ? null : new Date(ms).toISOString()];
+        })
+      ),
+    })),
+  };
+}
+
+/** Test helper: forget subscribers and counters (registered sources stay, like module imports do). */
+export function resetEventBus() {
+  if (state.checkpointTimer) clearTimeout(state.checkpointTimer);
+  state.started = false;
+  state.startedAt = null;
+  state.subscribers.clear();
+  state.published = {};
+  state.rejected = 0;
+  state.replay = null;
+  state.checkpointTimer = null;
+  state.checkpointWrite = Promise.resolve();
+}
+
+export default {
+  EVENT_TYPES,
+  getBusConfig,
+  registerSource,
+  classifyRecord,
+  subscribe,
+  publish,
+  drainEventBus,
+  flushCheckpoints,
+  startEventBus,
+  getBusStats,
+  resetEventBus,
+};
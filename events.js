@@ -5,6 +5,12 @@
  * Final fixes:
  * - totals.{type} increments correctly for ALL types (including replays)
  * - per-artist increments correctly for ALL types
+ *
+ * Identity: userId/sessionId come from the fan token (identity.js); anonymous events carry neither.
+ * Schemas: POST / and GET /artist/:artistId are declared with describeRoutes (apiSchema.js).
+ * Rate limit: POST / takes from the shared "events.record" token bucket (rateLimit.js).
+ * Retries: POST / honours Idempotency-Key (idempotency.js) and replays the first response.
+ * Tracing: each event carries the X-Request-Id of the request that recorded it (requestContext.js).
  */
 
 import express from "express";
@@ -12,20 +18,36 @@ import fs from "fs/promises";
 import path from "path";
 import crypto from "crypto";
 
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+import { publish, registerSource } from "./eventBus.js";
+import { attachPrincipal, resolveFan } from "./identity.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+import { rateLimit } from "./rateLimit.js";
+import { idempotent } from "./idempotency.js";
+import { currentRequestId, clientIp } from "./requestContext.js";
+
 const router = express.Router();
+router.use(attachPrincipal);
+const api = describeRoutes(router, { tag: "events" });
+
+const CFG = getConfig("events");
+const DATA_DIR = getConfig("core").dataDir;
+const EVENTS_LOG_FILE = getConfig("files").eventsLog;
+const EVENTS_AGG_FILE = getConfig("files").eventsAgg;
 
-const DATA_DIR = process.env.DATA_DIR || "/var/data/iband/db";
-const EVENTS_LOG_FILE = process.env.EVENTS_LOG_FILE || path.join(DATA_DIR, "events.jsonl");
-const EVENTS_AGG_FILE = process.env.EVENTS_AGG_FILE || path.join(DATA_DIR, "events-agg.json");
+// events.jsonl is segmented (rotation + index); readers use eventsLog.readRange for true windows.
+const eventsLog = openSegmentedLog(getStorage(DATA_DIR), EVENTS_LOG_FILE);
+registerSource("events", eventsLog);
 
-const EVENTS_ALLOW_LOG = (process.env.EVENTS_ALLOW_LOG || "true").toLowerCase() === "true";
-const EVENTS_MAX_BODY_KB = parseInt(process.env.EVENTS_MAX_BODY_KB || "32", 10);
+const EVENTS_ALLOW_LOG = CFG.allowLog;
+const EVENTS_MAX_BODY_KB = CFG.maxBodyKb;
 
-const EVENTS_RATE_WINDOW_SEC = parseInt(process.env.EVENTS_RATE_WINDOW_SEC || "60", 10);
-const EVENTS_MAX_PER_WINDOW = parseInt(process.env.EVENTS_MAX_PER_WINDOW || "120", 10);
+const EVENTS_RATE_WINDOW_SEC = CFG.rateWindowSec;
+const EVENTS_MAX_PER_WINDOW = CFG.maxPerWindow;
 
-const AGG_TOP_LIMIT = parseInt(process.env.EVENTS_AGG_TOP_LIMIT || "200", 10);
-const routerVersion = 1;
+const AGG_TOP_LIMIT = CFG.aggTopLimit;
+const routerVersion = 2;
 
 function nowIso() {
   return new Date().toISOString();
@@ -53,12 +75,6 @@ function clampInt(n, min, max) {
   return Math.max(min, Math.min(max, Math.trunc(x)));
 }
 
-function getClientIp(req) {
-  const xff = req.headers["x-forwarded-for"];
-  if (typeof xff === "string" && xff.length) return xff.split(",")[0].trim();
-  return req.ip || req.connection?.remoteAddress || "unknown";
-}
-
 function hashValue(v) {
   return crypto.createHash("sha256").update(String(v)).digest("hex").slice(0, 24);
 }
@@ -91,37 +107,6 @@ async function writeJsonAtomic(filePath, obj) {
   await fs.rename(tmp, filePath);
 }
 
-async function appendJsonl(filePath, obj) {
-  await fs.appendFile(filePath, `${JSON.stringify(obj)}\n`, "utf8");
-}
-
-function makeRateStore() {
-  return { ipWindows: {} };
-}
-
-function buildRateWindow(rateStore, ipHash, nowMs) {
-  const winMs = EVENTS_RATE_WINDOW_SEC * 1000;
-  const cur = rateStore.ipWindows[ipHash];
-
-  if (!cur || typeof cur.windowStart !== "number") {
-    rateStore.ipWindows[ipHash] = { windowStart: nowMs, count: 0 };
-  } else if (nowMs - cur.windowStart >= winMs) {
-    rateStore.ipWindows[ipHash] = { windowStart: nowMs, count: 0 };
-  }
-  return rateStore.ipWindows[ipHash];
-}
-
-function pruneRateStore(rateStore) {
-  const nowMs = Date.now();
-  const keepBefore = nowMs - (EVENTS_RATE_WINDOW_SEC * 2 * 1000);
-  for (const [k, v] of Object.entries(rateStore.ipWindows || {})) {
-    if (!v || typeof v.windowStart !== "number" || v.windowStart < keepBefore) delete rateStore.ipWindows[k];
-  }
-  return rateStore;
-}
-
-const rateStore = makeRateStore();
-
 function makeAggSkeleton() {
   return {
     version: 1,
@@ -256,6 +241,23 @@ function normalizeType(type) {
   return t ? t.toLowerCase() : "";
 }
 
+const ID_PATTERN = "^[a-zA-Z0-9._:-]+$";
+const id = (max) => ({ type: "string", maxLength: max, pattern: ID_PATTERN });
+
+const EVENT_BODY = S.obj(
+  {
+    type: S.enumOf(ALLOWED_TYPES),
+    artistId: id(80),
+    trackId: id(80),
+    userId: id(64),
+    sessionId: id(64),
+    watchMs: S.num(0),
+    meta: { type: "object", additionalProperties: { type: ["string", "number", "boolean", "null"] } },
+  },
+  ["type"]
+);
+
+// the body passed validation (EVENT_BODY); this only trims, clamps and drops empty meta
 function buildEvent(reqBody, req) {
   const type = normalizeType(reqBody?.type);
   if (!ALLOWED_TYPES.has(type)) return { ok: false, error: "Invalid type." };
@@ -290,7 +292,8 @@ function buildEvent(reqBody, req) {
       userId: userId || null,
       sessionId: sessionId || null,
       watchMs: watchMs || 0,
-      ipHash: hashIp(getClientIp(req)),
+      ipHash: hashIp(clientIp(req)),
+      requestId: currentRequestId(),
       meta,
       v: 1,
     },
@@ -300,12 +303,18 @@ function buildEvent(reqBody, req) {
 router.use(express.json({ limit: `${EVENTS_MAX_BODY_KB}kb` }));
 
 router.get("/health", async (_req, res) => {
+  let segments = null;
+  try {
+    segments = await eventsLog.stat();
+  } catch {}
+
   res.json({
     success: true,
     service: "events",
     version: routerVersion,
     dataDir: DATA_DIR,
     files: { log: path.basename(EVENTS_LOG_FILE), agg: path.basename(EVENTS_AGG_FILE) },
+    segments,
     limits: {
       maxBodyKb: EVENTS_MAX_BODY_KB,
       rateWindowSec: EVENTS_RATE_WINDOW_SEC,
@@ -328,12 +337,15 @@ router.get("/stats", async (_req, res) => {
   });
 });
 
-router.get("/artist/:artistId", async (req, res) => {
+api.get("/artist/:artistId", {
+  summary: "Aggregated event counts for one artist",
+  params: { artistId: id(80) },
+  responses: { 200: "Artist summary.", 404: "No events for this artist." },
+}, async (req, res) => {
   const artistId = normalizeId(req.params.artistId);
-  if (!artistId) return res.status(400).json({ success: false, message: "Invalid artistId." });
   const agg = await loadAgg();
   const bucket = agg.byArtist?.[artistId];
-  if (!bucket) return res.status(404).json({ success: false, message: "No events found for this artist." });
+  if (!bucket) return sendError(res, 404, "not_found", "No events found for this artist.");
   res.json({ success: true, artistId, updatedAt: agg.updatedAt, summary: bucket });
 });
 
@@ -342,34 +354,25 @@ router.get("/recent", async (_req, res) => {
   res.json({ success: true, updatedAt: agg.updatedAt, last100: agg.last100 || [] });
 });
 
-router.post("/", async (req, res) => {
-  const ipHash = hashIp(getClientIp(req));
-  const nowMs = Date.now();
-  const win = buildRateWindow(rateStore, ipHash, nowMs);
-
-  if (win.count >= EVENTS_MAX_PER_WINDOW) {
-    const retryAfterSec = Math.max(
-      0,
-      Math.ceil(((win.windowStart + EVENTS_RATE_WINDOW_SEC * 1000) - nowMs) / 1000)
-    );
-    return res.status(429).json({
-      success: false,
-      message: "Rate limit exceeded for events. Try again later.",
-      retryAfterSec,
-    });
-  }
-
-  const built = buildEvent(req.body, req);
-  if (!built.ok) return res.status(400).json({ success: false, message: built.error });
+api.post("/", {
+  summary: "Record an engagement event",
+  auth: "fan-optional",
+  body: EVENT_BODY,
+  responses: { 200: "Event recorded.", 409: "Idempotency-Key reused or in progress.", 429: "Rate limit exceeded." },
+}, idempotent("events.record"), rateLimit("events.record"), async (req, res) => {
+  const who = resolveFan(req, { fanId: req.body?.userId, sessionId: req.body?.sessionId }, { optional: true });
+  if (who.error) return sendError(res, who.error.status, who.error.code, who.error.message);
 
-  win.count += 1;
-  pruneRateStore(rateStore);
+  const built = buildEvent({ ...req.body, userId: who.fanId, sessionId: who.sessionId }, req);
+  if (!built.ok) return sendError(res, 400, "validation_failed", built.error);
 
   await ensureDataDir();
 
   if (EVENTS_ALLOW_LOG) {
     try {
-      await appendJsonl(EVENTS_LOG_FILE, built.evt);
+      await eventsLog.append(built.evt);
+      // only logged events are published: the log is what the bus replays from
+      publish("engagement.recorded", built.evt);
     } catch {}
   }
 
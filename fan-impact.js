@@ -3,19 +3,22 @@
 // Calculates which fans have the biggest influence on an artist's growth.
 
 import express from "express";
-import fs from "fs";
 import path from "path";
 
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+
 const router = express.Router();
 
-const SHARES_FILE = "/var/data/iband/db/shares/events/shares.jsonl";
+const DATA_DIR = getConfig("core").dataDir;
+const SHARES_FILE = path.join(DATA_DIR, "shares", "events", "shares.jsonl");
+const sharesLog = openSegmentedLog(getStorage(DATA_DIR), SHARES_FILE);
 
-function safeReadLines(file) {
+// Shares for one artist, across rotated segments
+async function readArtistShares(artistId) {
   try {
-    if (!fs.existsSync(file)) return [];
-    const raw = fs.readFileSync(file, "utf8");
-    if (!raw) return [];
-    return raw.split("\n").filter(Boolean);
+    const { events } = await sharesLog.readRange({ artistId });
+    return events;
   } catch {
     return [];
   }
@@ -31,23 +34,15 @@ router.get("/health", (req, res) => {
   });
 });
 
-router.get("/artist/:artistId", (req, res) => {
+router.get("/artist/:artistId", async (req, res) => {
   try {
     const { artistId } = req.params;
 
-    const lines = safeReadLines(SHARES_FILE);
+    const events = await readArtistShares(artistId);
 
     const scores = {};
 
-    for (const line of lines) {
-      let event;
-
-      try {
-        event = JSON.parse(line);
-      } catch {
-        continue;
-      }
-
+    for (const event of events) {
       if (event.artistId !== artistId) continue;
 
       // IMPORTANT FIX
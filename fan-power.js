@@ -2,15 +2,19 @@ import express from "express";
 import fs from "fs";
 import path from "path";
 
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+
 const router = express.Router();
 
 const SERVICE = "fan-power";
 const PHASE = "H16";
 const VERSION = 1;
 
-const DATA_DIR = "/var/data/iband/db";
+const DATA_DIR = getConfig("core").dataDir;
 
 const SHARES_FILE = path.join(DATA_DIR, "shares", "events", "shares.jsonl");
+const sharesLog = openSegmentedLog(getStorage(DATA_DIR), SHARES_FILE);
 const PURCHASES_FILE = path.join(DATA_DIR, "purchases", "events", "purchases.jsonl");
 
 function safeNum(v) {
@@ -18,6 +22,16 @@ function safeNum(v) {
   return Number.isFinite(n) ? n : 0;
 }
 
+// All shares, across rotated segments
+async function readShareEvents() {
+  try {
+    const { events } = await sharesLog.readRange();
+    return events;
+  } catch {
+    return [];
+  }
+}
+
 function readJSONL(file) {
   try {
     if (!fs.existsSync(file)) return [];
@@ -96,9 +110,9 @@ router.get("/health", (req, res) => {
 /*
 Global Fan Power Index
 */
-router.get("/global", (req, res) => {
+router.get("/global", async (req, res) => {
   try {
-    const shareEvents = readJSONL(SHARES_FILE);
+    const shareEvents = await readShareEvents();
     const purchaseEvents = readJSONL(PURCHASES_FILE);
 
     const scores = {};
@@ -155,11 +169,11 @@ router.get("/global", (req, res) => {
 /*
 Artist-specific Fan Power
 */
-router.get("/artist/:artistId", (req, res) => {
+router.get("/artist/:artistId", async (req, res) => {
   try {
     const { artistId } = req.params;
 
-    const shareEvents = readJSONL(SHARES_FILE);
+    const shareEvents = await readShareEvents();
     const purchaseEvents = readJSONL(PURCHASES_FILE);
 
     const scores = {};
@@ -6,15 +6,26 @@
 // - preferred genres and favourite artists
 // - ambassador badge display context
 // - permissions like canCreateGenreRoom
+// Storage goes through storage/index.js (IBAND_STORAGE_ADAPTER=file|memory|sqlite).
+// Identity: /upsert writes the token's fan (identity.js resolveFan); a fan cannot edit someone else's profile.
+// GET /list pages oldest first on (createdAt, fanId): ?limit=&cursor=&order= (pagination.js).
+// POST /upsert's body is declared with describeRoutes (apiSchema.js); errors use the shared envelope.
 
 import express from "express";
 import fs from "fs";
-import fsp from "fs/promises";
 import path from "path";
 import crypto from "crypto";
 import { fileURLToPath, pathToFileURL } from "url";
 
+import { getConfig } from "./config.js";
+import { attachPrincipal, resolveFan } from "./identity.js";
+import { getStorage } from "./storage/index.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+import { readPage, sendPageError, paginate } from "./pagination.js";
+
 const router = express.Router();
+router.use(attachPrincipal);
+const api = describeRoutes(router, { tag: "fan-profiles" });
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,7 +34,8 @@ const SERVICE = "fan-profiles";
 const PHASE = "H5.3";
 const VERSION = 1;
 
-const DB_ROOT = process.env.IBAND_DATA_DIR || "/var/data/iband/db";
+const DB_ROOT = getConfig("core").dataDir;
+const storage = getStorage(DB_ROOT);
 const STORAGE_DIR = path.join(DB_ROOT, "fans");
 const STORE_FILE = path.join(STORAGE_DIR, "fan-profiles.json");
 
@@ -65,19 +77,14 @@ function uniqCaseInsensitive(values) {
 }
 
 async function ensureStore() {
-  await fsp.mkdir(STORAGE_DIR, { recursive: true });
-  if (!fs.existsSync(STORE_FILE)) {
-    await fsp.writeFile(
-      STORE_FILE,
-      JSON.stringify({ version: 1, updatedAt: nowIso(), profiles: [] }, null, 2)
-    );
+  if (!(await storage.exists(STORE_FILE))) {
+    await storage.writeJson(STORE_FILE, { version: 1, updatedAt: nowIso(), profiles: [] });
   }
 }
 
 async function readStore() {
   await ensureStore();
-  const raw = await fsp.readFile(STORE_FILE, "utf8");
-  const parsed = JSON.parse(raw || "{}");
+  const parsed = (await storage.readJson(STORE_FILE, {})) || {};
   if (!Array.isArray(parsed.profiles)) {
     return { version: 1, updatedAt: nowIso(), profiles: [] };
   }
@@ -86,7 +93,7 @@ async function readStore() {
 
 async function writeStore(store) {
   store.updatedAt = nowIso();
-  await fsp.writeFile(STORE_FILE, JSON.stringify(store, null, 2), "utf8");
+  await storage.writeJson(STORE_FILE, store);
 }
 
 async function loadAmbassadorSummary(artistId, fanId) {
@@ -160,14 +167,15 @@ function ok(res, payload) {
   res.status(200).json(payload);
 }
 
+// shared error envelope (apiSchema.js): error and code carry the same stable code
 function bad(res, status, error, extra = {}) {
-  res.status(status).json({ success: false, error, ...extra });
+  sendError(res, status, error, extra.message, extra);
 }
 
 // Health
 router.get("/health", async (req, res) => {
   await ensureStore();
-  const stat = fs.statSync(STORE_FILE);
+  const stat = await storage.stat(STORE_FILE);
 
   const store = await readStore();
 
@@ -177,9 +185,10 @@ router.get("/health", async (req, res) => {
     phase: PHASE,
     version: VERSION,
     storageDir: STORAGE_DIR,
+    storage: storage.describe(),
     file: {
       path: STORE_FILE,
-      ok: true,
+      ok: stat.exists,
       size: stat.size,
       mtimeMs: stat.mtimeMs,
     },
@@ -192,13 +201,36 @@ router.get("/health", async (req, res) => {
   });
 });
 
+const NAMES = (max) => S.arr(S.text(80), { maxItems: max });
+
 // Create or upsert by fanId
-router.post("/upsert", async (req, res) => {
+api.post("/upsert", {
+  summary: "Create or update the signed-in fan's profile",
+  auth: "fan",
+  body: S.obj({
+    fanId: S.text(80),
+    id: S.text(64),
+    displayName: S.text(LIMITS.maxDisplayNameLen),
+    username: S.text(60),
+    bio: S.text(LIMITS.maxBioLen),
+    location: S.text(LIMITS.maxLocationLen),
+    avatarUrl: S.text(LIMITS.maxAvatarUrlLen),
+    preferredGenres: NAMES(LIMITS.maxGenres),
+    favouriteArtists: NAMES(LIMITS.maxArtists),
+    ambassadorArtistId: S.text(80),
+    ambassadorTier: S.text(20),
+    badges: NAMES(20),
+    verifiedCreatorFan: S.bool(),
+  }),
+  responses: { 413: "Profile too large." },
+}, async (req, res) => {
   const body = req.body || {};
   const bytes = Buffer.byteLength(JSON.stringify(body), "utf8");
   if (bytes > LIMITS.maxBodyBytes) return bad(res, 413, "payload_too_large");
 
-  const fanId = safeStr(body.fanId, 80);
+  const who = resolveFan(req, { fanId: body.fanId });
+  if (who.error) return bad(res, who.error.status, who.error.code);
+  const fanId = safeStr(who.fanId, 80);
   if (!fanId) return bad(res, 400, "missing_fanId");
 
   const store = await readStore();
@@ -226,12 +258,18 @@ router.post("/upsert", async (req, res) => {
 
 // List profiles
 router.get("/list", async (req, res) => {
+  const page = readPage(req.query, { defaultLimit: 20, maxLimit: 50, defaultOrder: "asc", allowOrder: true });
+  if (page.error) return sendPageError(res, page.error);
+  const limit = page.limit;
+
   const store = await readStore();
-  const limit = Math.max(1, Math.min(50, Number(req.query.limit) || 20));
+  const out = paginate(store.profiles, page, (p) => ({ at: p.createdAt, id: p.fanId }));
 
   ok(res, {
     success: true,
-    profiles: store.profiles.slice(0, limit).map((p) => ({
+    nextCursor: out.nextCursor,
+    hasMore: out.hasMore,
+    profiles: out.items.map((p) => ({
       fanId: p.fanId,
       displayName: p.displayName,
       username: p.username,
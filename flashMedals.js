@@ -10,10 +10,21 @@
  * - GET  /artist/:artistId?windowHours=24
  * - GET  /fan/:sessionId?windowHours=24
  * - GET  /countdown?windowHours=24
+ * - GET  /finalised?limit=10
+ * - GET  /stream?scope=all|artists|fans&artistId=&country=   (SSE, Last-Event-ID resume)
+ *
+ * Scheduled job (scheduler.js) "flash-medals.finalise" (hourly): windows are fixed UTC blocks of
+ * FLASH_WINDOW_HOURS counted from the epoch (24h = calendar days). Each block that has closed gets
+ * its winners frozen into DATA_DIR/flash-medals/finalised.json, served by GET /finalised; artist
+ * winners also go out as medal.awarded webhooks (webhooks.js).
+ *
+ * Live unlocks: votes / engagement on the bus schedule a debounced pass (FLASH_ANNOUNCE_DEBOUNCE_MS)
+ * over the current fixed window; each artist / fan medal seen there for the first time is recorded
+ * once as a flash.medal live event (liveStream.js), which GET /stream pushes to clients.
  *
  * Captain’s Protocol:
- * - Render-safe, tail-read only
- * - Wrapper-aware artists loader
+ * - Render-safe, windowed reads over the segmented events log (no byte-tail cut-off)
+ * - Artists from the repository (artistsStore.js)
  * - Always JSON, never breaks
  */
 
@@ -21,6 +32,16 @@ import express from "express";
 import fs from "fs/promises";
 import path from "path";
 
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog, withFileLock } from "./storage/index.js";
+import { subscribe } from "./eventBus.js";
+import { recordCacheLookup } from "./metrics.js";
+import { registerJob } from "./scheduler.js";
+import { emitWebhook } from "./webhooks.js";
+import { recordLiveEvent, readLiveEvents, streamLiveEvents } from "./liveStream.js";
+import { listArtists } from "./artistsStore.js";
+import { logger } from "./logger.js";
+
 const router = express.Router();
 
 // -------------------- Config --------------------
@@ -28,29 +49,35 @@ const SERVICE = "flash-medals";
 const VERSION = 4;
 const PATCH = "4.0-live-feed";
 
-const DATA_DIR = process.env.DATA_DIR || "/var/data/iband/db";
-const ARTISTS_FILE = process.env.ARTISTS_FILE || path.join(DATA_DIR, "artists.json");
-const EVENTS_LOG_FILE = process.env.EVENTS_LOG_FILE || path.join(DATA_DIR, "events.jsonl");
+const CFG = getConfig("flash");
+const DATA_DIR = getConfig("core").dataDir;
+const ARTISTS_FILE = getConfig("files").artists;
+const EVENTS_LOG_FILE = getConfig("files").eventsLog;
+const storage = getStorage(DATA_DIR);
+const eventsLog = openSegmentedLog(storage, EVENTS_LOG_FILE);
+const FINALISED_FILE = path.join(DATA_DIR, "flash-medals", "finalised.json");
 
 // Windows / limits
-const DEFAULT_WINDOW_HOURS = parseFloat(process.env.FLASH_WINDOW_HOURS || "24");
-const MAX_WINDOW_HOURS = parseFloat(process.env.FLASH_MAX_WINDOW_HOURS || "72");
-const MAX_RETURN = parseInt(process.env.FLASH_MAX_RETURN || "50", 10);
+const DEFAULT_WINDOW_HOURS = CFG.windowHours;
+const MAX_WINDOW_HOURS = CFG.maxWindowHours;
+const MAX_RETURN = CFG.maxReturn;
 
-// Tail-reading controls (Render-safe)
-const TAIL_KB = parseInt(process.env.FLASH_TAIL_KB || "512", 10);
-const MAX_LINES = parseInt(process.env.FLASH_MAX_LINES || "3000", 10);
+// Finalisation: closed windows caught up per run (downtime), winners kept per window, windows kept
+const FINALISE_MAX_BACKFILL = 7;
+const FINALISED_MAX_WINNERS = 500;
+const FINALISED_KEEP = 90;
 
 // Short cache to avoid re-parsing per-request
-const CACHE_TTL_MS = parseInt(process.env.FLASH_CACHE_TTL_MS || "15000", 10);
+const CACHE_TTL_MS = CFG.cacheTtlMs;
+const ANNOUNCE_DEBOUNCE_MS = CFG.announceDebounceMs;
 
 // Thresholds (tunable)
-const THRESH_FAN_MIN_VOTES = parseInt(process.env.FLASH_FAN_MIN_VOTES || "1", 10);
-const THRESH_FAN_MIN_SHARES = parseInt(process.env.FLASH_FAN_MIN_SHARES || "0", 10);
-const THRESH_FAN_MIN_LIKES = parseInt(process.env.FLASH_FAN_MIN_LIKES || "0", 10);
+const THRESH_FAN_MIN_VOTES = CFG.fanMinVotes;
+const THRESH_FAN_MIN_SHARES = CFG.fanMinShares;
+const THRESH_FAN_MIN_LIKES = CFG.fanMinLikes;
 
-const THRESH_ARTIST_BREAKOUT_MIN_VOTES = parseInt(process.env.FLASH_ARTIST_BREAKOUT_MIN_VOTES || "1", 10);
-const THRESH_ARTIST_VIRAL_MIN_SHARES = parseInt(process.env.FLASH_ARTIST_VIRAL_MIN_SHARES || "1", 10);
+const THRESH_ARTIST_BREAKOUT_MIN_VOTES = CFG.artistBreakoutMinVotes;
+const THRESH_ARTIST_VIRAL_MIN_SHARES = CFG.artistViralMinShares;
 
 // Flash medals catalogue (extend later)
 const FLASH_MEDALS = {
@@ -79,10 +106,9 @@ function parseWindowHours(q) {
   return Number(safe.toFixed(6));
 }
 
-function withinWindow(atIso, windowHours) {
+function withinWindow(atIso, windowHours, now = Date.now()) {
   const t = Date.parse(atIso);
   if (!Number.isFinite(t)) return false;
-  const now = Date.now();
   const maxAgeMs = windowHours * 60 * 60 * 1000;
   return now - t <= maxAgeMs;
 }
@@ -102,103 +128,25 @@ async function statSafe(p) {
   }
 }
 
-async function readJsonSafe(filePath, fallback) {
-  try {
-    const raw = await fs.readFile(filePath, "utf8");
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
-  }
-}
-
-// Wrapper-aware artists extraction (same “winning pattern” as recs.js)
-function extractArtistsArray(parsed) {
-  if (!parsed) return [];
-  if (Array.isArray(parsed)) return parsed;
-
-  if (parsed && typeof parsed === "object") {
-    const candidates = ["artists", "data", "items", "results", "list"];
-    for (const k of candidates) {
-      const v = parsed[k];
-      if (Array.isArray(v)) return v;
-      if (v && typeof v === "object" && !Array.isArray(v)) {
-        const maybeVals = Object.values(v).filter((x) => x && typeof x === "object");
-        if (maybeVals.length) return maybeVals;
-      }
-    }
-
-    const vals = Object.values(parsed).filter((x) => x && typeof x === "object");
-    if (vals.length && !("id" in parsed && "name" in parsed)) {
-      if (vals.length > 1) return vals;
-      if (vals.length === 1 && typeof vals[0] === "object") return vals;
-    }
-  }
-  return [];
-}
-
+// Artists come from the repository (artistsStore.js), already normalised
 async function loadArtists() {
-  const base = { version: 1, updatedAt: null, artists: [] };
-  const parsed = await readJsonSafe(ARTISTS_FILE, base);
-  const arr = extractArtistsArray(parsed);
-
-  const normalized = arr
-    .map((x) => ({
-      id: String(x?.id || "").trim(),
-      name: x?.name ?? null,
-      genre: x?.genre ?? null,
-      location: x?.location ?? null,
-      bio: x?.bio ?? null,
-      imageUrl: x?.imageUrl ?? null,
-      socials: x?.socials ?? null,
-      tracks: Array.isArray(x?.tracks) ? x.tracks : [],
-      status: x?.status ?? "active",
-      createdAt: x?.createdAt ?? null,
-      updatedAt: x?.updatedAt ?? null,
-    }))
-    .filter((a) => a.id);
-
+  const artists = listArtists();
   const byId = {};
-  for (const a of normalized) byId[a.id] = a;
+  for (const a of artists) byId[a.id] = a;
 
-  return { ok: true, artists: normalized, byId };
+  return { ok: true, artists, byId };
 }
 
-// Read last N KB from file, parse JSONL lines safely
-async function readJsonlTail(filePath, tailKb, maxLines) {
+// Every event inside the window, across rotated segments (oldest first)
+async function readWindow(windowHours, { artistId = null } = {}) {
   try {
-    const s = await fs.stat(filePath);
-    const size = s.size;
-    const bytes = Math.min(size, Math.max(8 * 1024, tailKb * 1024));
-
-    const fh = await fs.open(filePath, "r");
-    try {
-      const buf = Buffer.alloc(bytes);
-      await fh.read(buf, 0, bytes, size - bytes);
-      const text = buf.toString("utf8");
-
-      const lines = text
-        .split("\n")
-        .map((l) => l.trim())
-        .filter(Boolean);
-
-      const tail = lines.slice(-maxLines);
-
-      const events = [];
-      for (const line of tail) {
-        try {
-          const obj = JSON.parse(line);
-          if (obj && typeof obj === "object") events.push(obj);
-        } catch {
-          // ignore bad lines
-        }
-      }
-
-      return { ok: true, events, lines: tail.length, error: null };
-    } finally {
-      await fh.close();
-    }
+    const { events, meta } = await eventsLog.readRange({
+      fromMs: Date.now() - windowHours * 60 * 60 * 1000,
+      artistId,
+    });
+    return { ok: true, events, lines: meta.linesScanned, segmentsScanned: meta.segmentsScanned, error: null };
   } catch (e) {
-    return { ok: false, events: [], lines: 0, error: e?.code || String(e) };
+    return { ok: false, events: [], lines: 0, segmentsScanned: 0, error: e?.code || String(e) };
   }
 }
 
@@ -219,12 +167,12 @@ function computeCountdown(windowHours) {
   };
 }
 
-function summarizeForArtist(events, windowHours) {
+function summarizeForArtist(events, windowHours, nowMs = Date.now()) {
   const byArtist = {};
 
   for (const ev of events) {
     const at = ev?.at;
-    if (!at || !withinWindow(at, windowHours)) continue;
+    if (!at || !withinWindow(at, windowHours, nowMs)) continue;
 
     const type = normalizeType(ev?.type);
     const artistId = String(ev?.artistId || "").trim();
@@ -260,12 +208,12 @@ function summarizeForArtist(events, windowHours) {
   return byArtist;
 }
 
-function summarizeForFans(events, windowHours) {
+function summarizeForFans(events, windowHours, nowMs = Date.now()) {
   const bySession = {};
 
   for (const ev of events) {
     const at = ev?.at;
-    if (!at || !withinWindow(at, windowHours)) continue;
+    if (!at || !withinWindow(at, windowHours, nowMs)) continue;
 
     const type = normalizeType(ev?.type);
     const sid = String(ev?.sessionId || "").trim();
@@ -408,10 +356,175 @@ let CACHE = {
   payload: null,
 };
 
+// Flash windows are short: any new vote / engagement invalidates the cached board.
+subscribe(
+  "flash-medals.cache",
+  ["vote.cast", "vote.undone", "engagement.recorded"],
+  () => {
+    CACHE = { atMs: 0, key: "", payload: null };
+    scheduleAnnounce();
+  },
+  { durable: false }
+);
+
 function cacheKey({ windowHours, limit, scope }) {
   return `${windowHours}|${limit}|${scope}`;
 }
 
+// -------------------- Window finalisation --------------------
+async function finaliseWindow(startMs, endMs, artistsById) {
+  const windowHours = (endMs - startMs) / (60 * 60 * 1000);
+  const { events, meta } = await eventsLog.readRange({ fromMs: startMs, toMs: endMs - 1 });
+
+  const feed = buildLiveFeed({
+    artistsRows: Object.values(summarizeForArtist(events, windowHours, endMs)),
+    fansRows: Object.values(summarizeForFans(events, windowHours, endMs)),
+    artistsById,
+    windowHours,
+    limit: FINALISED_MAX_WINNERS,
+    scope: "all",
+  });
+
+  return {
+    windowStart: new Date(startMs).toISOString(),
+    windowEnd: new Date(endMs).toISOString(),
+    windowHours,
+    finalisedAt: nowIso(),
+    eventsScanned: meta.linesScanned,
+    counts: {
+      artists: feed.results.filter((x) => x.type === "artist").length,
+      fans: feed.results.filter((x) => x.type === "fan").length,
+    },
+    winners: feed.results,
+  };
+}
+
+/**
+ * Freezes every window that closed since the last run (at most FINALISE_MAX_BACKFILL).
+ * A first run only finalises the most recent closed window.
+ */
+async function finaliseClosedWindows({ now = new Date() } = {}) {
+  const windowMs = DEFAULT_WINDOW_HOURS * 60 * 60 * 1000;
+  const lastEndMs = Math.floor(now.getTime() / windowMs) * windowMs;
+
+  return withFileLock(storage, FINALISED_FILE, async () => {
+    const store = await storage.readJson(FINALISED_FILE, { version: 1, updatedAt: null, lastWindowEnd: null, windows: [] });
+    const windows = Array.isArray(store.windows) ? store.windows : [];
+    const doneMs = Date.parse(store.lastWindowEnd || "");
+
+    let fromEndMs = Number.isFinite(doneMs) ? doneMs + windowMs : lastEndMs;
+    fromEndMs = Math.max(fromEndMs, lastEndMs - (FINALISE_MAX_BACKFILL - 1) * windowMs);
+    if (fromEndMs > lastEndMs) return { finalised: 0, lastWindowEnd: store.lastWindowEnd || null };
+
+    const artistsLoad = await loadArtists();
+    const added = [];
+    for (let endMs = fromEndMs; endMs <= lastEndMs; endMs += windowMs) {
+      added.push(await finaliseWindow(endMs - windowMs, endMs, artistsLoad.byId || {}));
+    }
+
+    const next = {
+      version: 1,
+      updatedAt: nowIso(),
+      lastWindowEnd: new Date(lastEndMs).toISOString(),
+      windows: [...added.reverse(), ...windows].slice(0, FINALISED_KEEP),
+    };
+    await storage.writeJson(FINALISED_FILE, next);
+
+    for (const w of added) {
+      for (const x of w.winners.filter((i) => i.type === "artist")) {
+        await emitWebhook(
+          "medal.awarded",
+          { kind: "flash", artistId: x.subjectId, medal: x.medal, windowStart: w.windowStart, windowEnd: w.windowEnd, stats: x.stats },
+          { key: `medal.awarded:flash:${x.subjectId}:${w.windowEnd}` }
+        );
+      }
+    }
+
+    return {
+      finalised: added.length,
+      lastWindowEnd: next.lastWindowEnd,
+      windows: added.map((w) => ({ windowEnd: w.windowEnd, ...w.counts })),
+    };
+  });
+}
+
+// -------------------- Live unlocks (SSE) --------------------
+// Keys already recorded for the current window; seeded from the live log when the window changes
+// (or after a restart), so an unlock is never announced twice.
+let ANNOUNCED = { windowStartMs: null, keys: new Set() };
+let announceTimer = null;
+let announceChain = Promise.resolve();
+
+const unlockKey = (item) => `${item.type}:${item.subjectId}:${item.medal?.code}`;
+
+async function announceNewUnlocks(nowMs = Date.now()) {
+  const windowMs = DEFAULT_WINDOW_HOURS * 60 * 60 * 1000;
+  const startMs = Math.floor(nowMs / windowMs) * windowMs;
+  const windowStart = new Date(startMs).toISOString();
+  const windowEnd = new Date(startMs + windowMs).toISOString();
+
+  if (ANNOUNCED.windowStartMs !== startMs) {
+    const seen = await readLiveEvents({ fromMs: startMs, types: ["flash.medal"] });
+    ANNOUNCED = {
+      windowStartMs: startMs,
+      keys: new Set(seen.filter((e) => e.windowStart === windowStart).map((e) => e.unlockKey)),
+    };
+  }
+
+  const { events } = await eventsLog.readRange({ fromMs: startMs });
+  const artistsLoad = await loadArtists();
+  const feed = buildLiveFeed({
+    artistsRows: Object.values(summarizeForArtist(events, DEFAULT_WINDOW_HOURS, nowMs)),
+    fansRows: Object.values(summarizeForFans(events, DEFAULT_WINDOW_HOURS, nowMs)),
+    artistsById: artistsLoad.byId || {},
+    windowHours: DEFAULT_WINDOW_HOURS,
+    limit: FINALISED_MAX_WINNERS,
+    scope: "all",
+  });
+
+  let recorded = 0;
+  for (const x of feed.results.slice().reverse()) {
+    const key = unlockKey(x);
+    if (ANNOUNCED.keys.has(key)) continue;
+    ANNOUNCED.keys.add(key);
+
+    const isArtist = x.type === "artist";
+    await recordLiveEvent("flash.medal", {
+      unlockKey: key,
+      scope: isArtist ? "artists" : "fans",
+      subjectId: x.subjectId,
+      artistId: isArtist ? x.subjectId : null,
+      country: isArtist ? x.artist?.country || null : null,
+      medal: x.medal,
+      message: x.message,
+      stats: x.stats,
+      artist: x.artist || null,
+      windowStart,
+      windowEnd,
+    });
+    recorded += 1;
+  }
+  return recorded;
+}
+
+function scheduleAnnounce() {
+  if (announceTimer) return;
+  announceTimer = setTimeout(() => {
+    announceTimer = null;
+    announceChain = announceChain
+      .then(() => announceNewUnlocks())
+      .catch((e) => logger.warn("flash_announce_failed", { error: e }));
+  }, ANNOUNCE_DEBOUNCE_MS);
+  announceTimer.unref?.();
+}
+
+registerJob({
+  id: "flash-medals.finalise",
+  schedule: "5 * * * *",
+  description: "Freeze the winners of flash windows that have closed.",
+  run: ({ now }) => finaliseClosedWindows({ now }),
+});
+
 // -------------------- Endpoints --------------------
 router.use(express.json({ limit: "64kb" }));
 
@@ -419,8 +532,14 @@ router.get("/health", async (_req, res) => {
   const artistsStat = await statSafe(ARTISTS_FILE);
   const eventsStat = await statSafe(EVENTS_LOG_FILE);
 
-  // lightweight tail parse for diagnostics
-  const tail = await readJsonlTail(EVENTS_LOG_FILE, TAIL_KB, MAX_LINES);
+  // segment stats only (no event parse) for diagnostics
+  let segments = null;
+  let segmentsError = null;
+  try {
+    segments = await eventsLog.stat();
+  } catch (e) {
+    segmentsError = e?.code || String(e);
+  }
 
   const artistsLoad = await loadArtists();
 
@@ -435,9 +554,9 @@ router.get("/health", async (_req, res) => {
       artistsFile: ARTISTS_FILE,
       eventsLog: EVENTS_LOG_FILE,
       artistsLoaded: artistsLoad.ok ? artistsLoad.artists.length : 0,
-      eventsOk: tail.ok,
-      eventsLines: tail.lines,
-      error: tail.ok ? null : tail.error,
+      eventsOk: !!segments,
+      eventsLines: segments ? segments.active.lines + segments.sealed.lines : 0,
+      error: segmentsError,
     },
     config: {
       windowHours: DEFAULT_WINDOW_HOURS,
@@ -461,14 +580,12 @@ router.get("/health", async (_req, res) => {
       limits: {
         defaultWindowHours: DEFAULT_WINDOW_HOURS,
         maxWindowHours: MAX_WINDOW_HOURS,
-        tailKb: TAIL_KB,
-        maxLines: MAX_LINES,
         maxReturn: MAX_RETURN,
         cacheTtlMs: CACHE_TTL_MS,
       },
       files: {
         artists: { path: ARTISTS_FILE, stat: artistsStat },
-        events: { path: EVENTS_LOG_FILE, stat: eventsStat },
+        events: { path: EVENTS_LOG_FILE, stat: eventsStat, segments },
       },
     },
   });
@@ -495,11 +612,13 @@ router.get("/live", async (req, res) => {
   const nowMs = Date.now();
 
   if (CACHE.payload && CACHE.key === key && nowMs - CACHE.atMs <= CACHE_TTL_MS) {
+    recordCacheLookup("flashMedals", true);
     return res.json({ ...CACHE.payload, cached: true, cacheAgeMs: nowMs - CACHE.atMs });
   }
+  recordCacheLookup("flashMedals", false);
 
   const artistsLoad = await loadArtists();
-  const tail = await readJsonlTail(EVENTS_LOG_FILE, TAIL_KB, MAX_LINES);
+  const tail = await readWindow(windowHours);
 
   const events = tail.ok ? tail.events : [];
   const byArtist = summarizeForArtist(events, windowHours);
@@ -517,20 +636,59 @@ router.get("/live", async (req, res) => {
     scope,
   });
 
-  payload.tail = { file: path.basename(EVENTS_LOG_FILE), ok: tail.ok, linesParsed: tail.lines, error: tail.error || null };
+  payload.tail = {
+    file: path.basename(EVENTS_LOG_FILE),
+    ok: tail.ok,
+    linesParsed: tail.lines,
+    segmentsScanned: tail.segmentsScanned,
+    error: tail.error || null,
+  };
 
   CACHE = { atMs: nowMs, key, payload };
 
   return res.json({ ...payload, cached: false, cacheAgeMs: 0 });
 });
 
+/**
+ * Live unlocks as Server-Sent Events (flash.medal), newest as they happen.
+ * ?scope= narrows to artist or fan medals; ?artistId= / ?country= as in liveStream.js.
+ */
+router.get("/stream", (req, res) => {
+  const scopeRaw = String(req.query.scope || "all").toLowerCase().trim();
+  const scope = ["artists", "fans"].includes(scopeRaw) ? scopeRaw : "all";
+
+  return streamLiveEvents(req, res, {
+    stream: SERVICE,
+    types: ["flash.medal"],
+    match: (r) => scope === "all" || r.scope === scope,
+    filters: { scope },
+  });
+});
+
+/**
+ * Finalised windows, newest first (written by the "flash-medals.finalise" job).
+ */
+router.get("/finalised", async (req, res) => {
+  const limit = clamp(parseInt(req.query.limit || "10", 10) || 10, 1, FINALISED_KEEP);
+  const store = await storage.readJson(FINALISED_FILE, { version: 1, updatedAt: null, lastWindowEnd: null, windows: [] });
+  const windows = Array.isArray(store.windows) ? store.windows : [];
+
+  return res.json({
+    success: true,
+    updatedAt: store.updatedAt || null,
+    lastWindowEnd: store.lastWindowEnd || null,
+    count: Math.min(limit, windows.length),
+    windows: windows.slice(0, limit),
+  });
+});
+
 router.get("/artist/:artistId", async (req, res) => {
   const windowHours = parseWindowHours(req.query.windowHours);
   const artistId = String(req.params.artistId || "").trim();
   if (!artistId) return res.status(400).json({ success: false, message: "artistId is required." });
 
   const artistsLoad = await loadArtists();
-  const tail = await readJsonlTail(EVENTS_LOG_FILE, TAIL_KB, MAX_LINES);
+  const tail = await readWindow(windowHours, { artistId });
 
   const events = tail.ok ? tail.events : [];
   const byArtist = summarizeForArtist(events, windowHours);
@@ -570,7 +728,7 @@ router.get("/fan/:sessionId", async (req, res) => {
   const sessionId = String(req.params.sessionId || "").trim();
   if (!sessionId) return res.status(400).json({ success: false, message: "sessionId is required." });
 
-  const tail = await readJsonlTail(EVENTS_LOG_FILE, TAIL_KB, MAX_LINES);
+  const tail = await readWindow(windowHours);
   const events = tail.ok ? tail.events : [];
   const byFan = summarizeForFans(events, windowHours);
   const row = byFan?.[sessionId] || null;
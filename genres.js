@@ -9,20 +9,34 @@
 //
 // IMPORTANT: Route order matters in Express.
 // /trending, /emerging, /:genreId/artists, /:genreId/rooms, /:genreId/rooms/create MUST be before /:genreId
+//
+// Storage: all reads/writes go through storage/index.js (IBAND_STORAGE_ADAPTER=file|memory|sqlite).
+// genres.json mutations (create / suggest / use) go through updateStore(), which holds withFileLock.
+// Identity: the acting fanId comes from the fan token (identity.js resolveFan), never from the body alone.
+// Write routes declare body schemas (apiSchema.js); `bad` answers in the shared error envelope.
+// GET /list pages the registry oldest first on (createdAt, id): ?limit=&cursor=&order= (pagination.js).
 
 import express from "express";
-import fs from "fs";
-import fsp from "fs/promises";
 import path from "path";
 import crypto from "crypto";
 
+import { getConfig } from "./config.js";
+import { attachPrincipal, resolveFan } from "./identity.js";
+import { getStorage, withFileLock, getLockStats } from "./storage/index.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+import { PAGE_QUERY_ORDERED, readPage, sendPageError, paginate } from "./pagination.js";
+import { listArtists } from "./artistsStore.js";
+
 const router = express.Router();
+const api = describeRoutes(router, { tag: "genres" });
+router.use(attachPrincipal);
 
 const SERVICE = "genres";
 const PHASE = "H6.3";
 const VERSION = 4;
 
-const DB_ROOT = process.env.IBAND_DATA_DIR || "/var/data/iband/db";
+const DB_ROOT = getConfig("core").dataDir;
+const storage = getStorage(DB_ROOT);
 const STORAGE_DIR = path.join(DB_ROOT, "genres");
 const GENRES_FILE = path.join(STORAGE_DIR, "genres.json");
 const EVENTS_DIR = path.join(STORAGE_DIR, "events");
@@ -32,12 +46,6 @@ const EVENTS_FILE = path.join(EVENTS_DIR, "genre-events.jsonl");
 const FANS_DIR = path.join(DB_ROOT, "fans");
 const FAN_PROFILES_FILE = path.join(FANS_DIR, "fan-profiles.json");
 
-// artist store candidates
-const ARTISTS_FILE_CANDIDATES = [
-  path.join(DB_ROOT, "artists", "artists.json"),
-  path.join(DB_ROOT, "artists.json"),
-];
-
 // rooms store
 const ROOMS_DIR = path.join(DB_ROOT, "rooms");
 const ROOMS_FILE = path.join(ROOMS_DIR, "rooms.json");
@@ -113,47 +121,27 @@ function uniq(values) {
 }
 
 async function ensureDirs() {
-  await fsp.mkdir(STORAGE_DIR, { recursive: true });
-  await fsp.mkdir(EVENTS_DIR, { recursive: true });
-  await fsp.mkdir(ROOMS_DIR, { recursive: true });
-  await fsp.mkdir(ROOMS_EVENTS_DIR, { recursive: true });
-
-  if (!fs.existsSync(GENRES_FILE)) {
-    await fsp.writeFile(
-      GENRES_FILE,
-      JSON.stringify(
-        {
-          version: 1,
-          updatedAt: nowIso(),
-          genres: [],
-          suggestions: [],
-        },
-        null,
-        2
-      )
-    );
+  if (!(await storage.exists(GENRES_FILE))) {
+    await storage.writeJson(GENRES_FILE, {
+      version: 1,
+      updatedAt: nowIso(),
+      genres: [],
+      suggestions: [],
+    });
   }
 
-  if (!fs.existsSync(ROOMS_FILE)) {
-    await fsp.writeFile(
-      ROOMS_FILE,
-      JSON.stringify(
-        {
-          version: 1,
-          updatedAt: nowIso(),
-          rooms: [],
-        },
-        null,
-        2
-      )
-    );
+  if (!(await storage.exists(ROOMS_FILE))) {
+    await storage.writeJson(ROOMS_FILE, {
+      version: 1,
+      updatedAt: nowIso(),
+      rooms: [],
+    });
   }
 }
 
 async function readStore() {
   await ensureDirs();
-  const raw = await fsp.readFile(GENRES_FILE, "utf8");
-  const store = JSON.parse(raw || "{}");
+  const store = (await storage.readJson(GENRES_FILE, {})) || {};
   return {
     version: store.version || 1,
     updatedAt: store.updatedAt || nowIso(),
@@ -164,17 +152,26 @@ async function readStore() {
 
 async function writeStore(store) {
   store.updatedAt = nowIso();
-  await fsp.writeFile(GENRES_FILE, JSON.stringify(store, null, 2), "utf8");
+  await storage.writeJson(GENRES_FILE, store);
+}
+
+// Read -> mutate -> write genres.json while holding its lock.
+// mutator returns the route's result, or { error: [status, code, extra] } to bail out unwritten.
+async function updateStore(mutator) {
+  return withFileLock(storage, GENRES_FILE, async () => {
+    const store = await readStore();
+    const result = (await mutator(store)) || {};
+    if (!result.error) await writeStore(store);
+    return result;
+  });
 }
 
 async function appendEvent(obj) {
-  await ensureDirs();
-  await fsp.appendFile(EVENTS_FILE, JSON.stringify(obj) + "\n", "utf8");
+  await storage.appendJsonl(EVENTS_FILE, obj);
 }
 
 async function appendRoomsEvent(obj) {
-  await ensureDirs();
-  await fsp.appendFile(ROOMS_EVENTS_FILE, JSON.stringify(obj) + "\n", "utf8");
+  await storage.appendJsonl(ROOMS_EVENTS_FILE, obj);
 }
 
 function ok(res, payload) {
@@ -182,15 +179,18 @@ function ok(res, payload) {
 }
 
 function bad(res, status, error, extra = {}) {
-  res.status(status).json({ success: false, error, ...extra });
+  sendError(res, status, error, extra.message, extra);
+}
+
+function storeFailed(res, e) {
+  if (e?.code === "STORAGE_LOCK_TIMEOUT") return bad(res, 503, "store_busy", { retryAfterSec: 1 });
+  return bad(res, 500, "store_error", { message: e?.message || String(e) });
 }
 
 async function getFanProfile(fanId) {
   try {
     if (!fanId) return null;
-    if (!fs.existsSync(FAN_PROFILES_FILE)) return null;
-    const raw = await fsp.readFile(FAN_PROFILES_FILE, "utf8");
-    const parsed = JSON.parse(raw || "{}");
+    const parsed = (await storage.readJson(FAN_PROFILES_FILE, {})) || {};
     const profiles = Array.isArray(parsed.profiles) ? parsed.profiles : [];
     return profiles.find((x) => x.fanId === fanId) || null;
   } catch {
@@ -238,22 +238,12 @@ async function scanEventsForScores({ days, mode }) {
   const lookbackDays = clampInt(days, 1, TUNING.maxLookbackDays, 30);
   const halfLife = mode === "emerging" ? TUNING.halfLifeDaysEmerging : TUNING.halfLifeDaysTrending;
 
-  if (!fs.existsSync(EVENTS_FILE)) {
+  // newest last; corrupt lines are already skipped by the adapter
+  const events = await storage.readJsonl(EVENTS_FILE, { tailBytes: LIMITS.maxReadBytes });
+  if (!events.length) {
     return { scores: new Map(), counts: new Map(), scannedLines: 0 };
   }
 
-  const stat = fs.statSync(EVENTS_FILE);
-  const size = stat.size;
-  const readBytes = Math.min(size, LIMITS.maxReadBytes);
-
-  const fd = await fsp.open(EVENTS_FILE, "r");
-  const buf = Buffer.alloc(readBytes);
-  await fd.read(buf, 0, readBytes, Math.max(0, size - readBytes));
-  await fd.close();
-
-  const text = buf.toString("utf8");
-  const lines = text.split("\n").filter(Boolean);
-
   const nowMs = Date.now();
   const cutoffMs = nowMs - lookbackDays * 24 * 60 * 60 * 1000;
 
@@ -262,16 +252,12 @@ async function scanEventsForScores({ days, mode }) {
 
   let scanned = 0;
 
-  for (let i = lines.length - 1; i >= 0; i -= 1) {
+  for (let i = events.length - 1; i >= 0; i -= 1) {
     scanned += 1;
     if (scanned > LIMITS.maxLineScan) break;
 
-    let ev;
-    try {
-      ev = JSON.parse(lines[i]);
-    } catch {
-      continue;
-    }
+    const ev = events[i];
+    if (!ev || typeof ev !== "object") continue;
 
     const ts = Date.parse(ev.ts || "");
     if (!Number.isFinite(ts)) continue;
@@ -292,23 +278,6 @@ async function scanEventsForScores({ days, mode }) {
   return { scores, counts, scannedLines: scanned };
 }
 
-async function readArtistsStore() {
-  for (const filePath of ARTISTS_FILE_CANDIDATES) {
-    try {
-      if (!fs.existsSync(filePath)) continue;
-      const raw = await fsp.readFile(filePath, "utf8");
-      const parsed = JSON.parse(raw || "{}");
-
-      if (Array.isArray(parsed)) return parsed;
-      if (Array.isArray(parsed.artists)) return parsed.artists;
-      if (Array.isArray(parsed.list)) return parsed.list;
-    } catch {
-      // try next candidate
-    }
-  }
-  return [];
-}
-
 function normalizeArtistRow(row) {
   return {
     id: safeStr(row.id || row.artistId, 80),
@@ -325,22 +294,12 @@ async function scanGenreArtistScores({ genreId, days }) {
   const lookbackDays = clampInt(days, 1, TUNING.maxLookbackDays, 30);
   const halfLife = TUNING.halfLifeDaysArtists;
 
-  if (!fs.existsSync(EVENTS_FILE)) {
+  // newest last; corrupt lines are already skipped by the adapter
+  const events = await storage.readJsonl(EVENTS_FILE, { tailBytes: LIMITS.maxReadBytes });
+  if (!events.length) {
     return { scores: new Map(), uses: new Map(), scannedLines: 0 };
   }
 
-  const stat = fs.statSync(EVENTS_FILE);
-  const size = stat.size;
-  const readBytes = Math.min(size, LIMITS.maxReadBytes);
-
-  const fd = await fsp.open(EVENTS_FILE, "r");
-  const buf = Buffer.alloc(readBytes);
-  await fd.read(buf, 0, readBytes, Math.max(0, size - readBytes));
-  await fd.close();
-
-  const text = buf.toString("utf8");
-  const lines = text.split("\n").filter(Boolean);
-
   const nowMs = Date.now();
   const cutoffMs = nowMs - lookbackDays * 24 * 60 * 60 * 1000;
 
@@ -349,16 +308,12 @@ async function scanGenreArtistScores({ genreId, days }) {
 
   let scanned = 0;
 
-  for (let i = lines.length - 1; i >= 0; i -= 1) {
+  for (let i = events.length - 1; i >= 0; i -= 1) {
     scanned += 1;
     if (scanned > LIMITS.maxLineScan) break;
 
-    let ev;
-    try {
-      ev = JSON.parse(lines[i]);
-    } catch {
-      continue;
-    }
+    const ev = events[i];
+    if (!ev || typeof ev !== "object") continue;
 
     const ts = Date.parse(ev.ts || "");
     if (!Number.isFinite(ts)) continue;
@@ -382,9 +337,7 @@ async function scanGenreArtistScores({ genreId, days }) {
 
 async function readRoomsStore() {
   try {
-    if (!fs.existsSync(ROOMS_FILE)) return [];
-    const raw = await fsp.readFile(ROOMS_FILE, "utf8");
-    const parsed = JSON.parse(raw || "{}");
+    const parsed = (await storage.readJson(ROOMS_FILE, {})) || {};
     return Array.isArray(parsed.rooms) ? parsed.rooms : [];
   } catch {
     return [];
@@ -398,7 +351,7 @@ async function writeRoomsStore(rooms) {
     updatedAt: nowIso(),
     rooms,
   };
-  await fsp.writeFile(ROOMS_FILE, JSON.stringify(payload, null, 2), "utf8");
+  await storage.writeJson(ROOMS_FILE, payload);
 }
 
 function roomMatchesGenre(room, genre) {
@@ -426,8 +379,8 @@ router.get("/health", async (req, res) => {
   await ensureDirs();
   const store = await readStore();
 
-  const genresOk = fs.existsSync(GENRES_FILE);
-  const eventsOk = fs.existsSync(EVENTS_FILE);
+  const genresStat = await storage.stat(GENRES_FILE);
+  const eventsStat = await storage.stat(EVENTS_FILE);
 
   ok(res, {
     success: true,
@@ -435,18 +388,20 @@ router.get("/health", async (req, res) => {
     phase: PHASE,
     version: VERSION,
     storageDir: STORAGE_DIR,
+    storage: storage.describe(),
+    locks: getLockStats(storage, GENRES_FILE),
     files: {
       genres: {
         path: GENRES_FILE,
-        ok: genresOk,
-        size: genresOk ? fs.statSync(GENRES_FILE).size : 0,
-        mtimeMs: genresOk ? fs.statSync(GENRES_FILE).mtimeMs : null,
+        ok: genresStat.exists,
+        size: genresStat.size,
+        mtimeMs: genresStat.mtimeMs,
       },
       events: {
         path: EVENTS_FILE,
-        ok: eventsOk,
-        size: eventsOk ? fs.statSync(EVENTS_FILE).size : 0,
-        mtimeMs: eventsOk ? fs.statSync(EVENTS_FILE).mtimeMs : null,
+        ok: eventsStat.exists,
+        size: eventsStat.size,
+        mtimeMs: eventsStat.mtimeMs,
       },
     },
     store: {
@@ -460,16 +415,34 @@ router.get("/health", async (req, res) => {
   });
 });
 
+// -------------------- Schemas --------------------
+const GENRE_BODY = S.obj(
+  {
+    name: S.text(),
+    slug: S.text(80),
+    description: S.text(),
+    tags: S.arr(S.text()),
+    fanId: S.text(80),
+  },
+  ["name"]
+);
+
 // Create genre
-router.post("/create", async (req, res) => {
+api.post("/create", {
+  summary: "Create a genre (verified or silver/gold ambassadors)",
+  auth: "fan",
+  body: GENRE_BODY,
+  responses: { 200: "Genre created.", 403: "Fan tier cannot create genres.", 409: "Genre exists." },
+}, async (req, res) => {
   const body = req.body || {};
   const bytes = Buffer.byteLength(JSON.stringify(body), "utf8");
   if (bytes > LIMITS.maxBodyBytes) return bad(res, 413, "payload_too_large");
 
   const name = safeStr(body.name, LIMITS.maxNameLen);
-  if (!name) return bad(res, 400, "missing_name");
 
-  const fanId = safeStr(body.fanId, 80);
+  const who = resolveFan(req, { fanId: body.fanId });
+  if (who.error) return bad(res, who.error.status, who.error.code);
+  const fanId = safeStr(who.fanId, 80);
   if (!fanId) return bad(res, 400, "missing_fanId");
 
   const tierInfo = await getFanTier(fanId);
@@ -487,33 +460,41 @@ router.post("/create", async (req, res) => {
   const description = safeStr(body.description, LIMITS.maxDescLen);
   const tags = uniq(body.tags || []).slice(0, LIMITS.maxTags);
 
-  const store = await readStore();
-  const exists = store.genres.find((g) => (g.slug || "").toLowerCase() === slug.toLowerCase());
-  if (exists) return bad(res, 409, "genre_exists", { genre: exists });
-
-  const genre = {
-    id: `genre_${makeId()}`,
-    name,
-    slug,
-    description,
-    tags,
-    status: "active",
-    createdByFanId: fanId,
-    createdByTier: tierInfo.tier,
-    createdAt: nowIso(),
-    updatedAt: nowIso(),
-    counters: {
-      uses: 0,
-      shares: 0,
-      votes: 0,
-      purchases: 0,
-      uploads: 0,
-      roomPosts: 0,
-    },
-  };
+  let result;
+  try {
+    result = await updateStore((store) => {
+      const exists = store.genres.find((g) => (g.slug || "").toLowerCase() === slug.toLowerCase());
+      if (exists) return { error: [409, "genre_exists", { genre: exists }] };
+
+      const genre = {
+        id: `genre_${makeId()}`,
+        name,
+        slug,
+        description,
+        tags,
+        status: "active",
+        createdByFanId: fanId,
+        createdByTier: tierInfo.tier,
+        createdAt: nowIso(),
+        updatedAt: nowIso(),
+        counters: {
+          uses: 0,
+          shares: 0,
+          votes: 0,
+          purchases: 0,
+          uploads: 0,
+          roomPosts: 0,
+        },
+      };
 
-  store.genres.unshift(genre);
-  await writeStore(store);
+      store.genres.unshift(genre);
+      return { genre };
+    });
+  } catch (e) {
+    return storeFailed(res, e);
+  }
+  if (result.error) return bad(res, ...result.error);
+  const { genre } = result;
 
   await appendEvent({
     id: makeId(),
@@ -530,14 +511,19 @@ router.post("/create", async (req, res) => {
 });
 
 // Suggest genre
-router.post("/suggest", async (req, res) => {
+api.post("/suggest", {
+  summary: "Suggest a new genre",
+  auth: "fan",
+  body: GENRE_BODY,
+}, async (req, res) => {
   const body = req.body || {};
   const bytes = Buffer.byteLength(JSON.stringify(body), "utf8");
   if (bytes > LIMITS.maxBodyBytes) return bad(res, 413, "payload_too_large");
 
   const name = safeStr(body.name, LIMITS.maxNameLen);
-  if (!name) return bad(res, 400, "missing_name");
-  const fanId = safeStr(body.fanId, 80);
+  const who = resolveFan(req, { fanId: body.fanId });
+  if (who.error) return bad(res, who.error.status, who.error.code);
+  const fanId = safeStr(who.fanId, 80);
   if (!fanId) return bad(res, 400, "missing_fanId");
 
   const slug = toSlug(body.slug || name);
@@ -546,24 +532,50 @@ router.post("/suggest", async (req, res) => {
   const description = safeStr(body.description, LIMITS.maxDescLen);
   const tags = uniq(body.tags || []).slice(0, LIMITS.maxTags);
 
-  const store = await readStore();
-
-  const existsGenre = store.genres.find((g) => (g.slug || "").toLowerCase() === slug.toLowerCase());
-  if (existsGenre) return bad(res, 409, "genre_exists", { genre: existsGenre });
+  let result;
+  try {
+    result = await updateStore((store) => {
+      const existsGenre = store.genres.find((g) => (g.slug || "").toLowerCase() === slug.toLowerCase());
+      if (existsGenre) return { error: [409, "genre_exists", { genre: existsGenre }] };
+
+      const existsSuggestion = store.suggestions.find((s) => (s.slug || "").toLowerCase() === slug.toLowerCase());
+      if (existsSuggestion) {
+        existsSuggestion.endorsers = uniq([...(existsSuggestion.endorsers || []), fanId]).slice(0, 200);
+        existsSuggestion.count = (existsSuggestion.count || 1) + 1;
+        existsSuggestion.updatedAt = nowIso();
+        return { suggestion: existsSuggestion, endorsed: true };
+      }
+
+      const suggestion = {
+        id: `suggest_${makeId()}`,
+        name,
+        slug,
+        description,
+        tags,
+        status: "pending",
+        count: 1,
+        endorsers: [fanId],
+        createdByFanId: fanId,
+        createdAt: nowIso(),
+        updatedAt: nowIso(),
+      };
 
-  const existsSuggestion = store.suggestions.find((s) => (s.slug || "").toLowerCase() === slug.toLowerCase());
-  if (existsSuggestion) {
-    existsSuggestion.endorsers = uniq([...(existsSuggestion.endorsers || []), fanId]).slice(0, 200);
-    existsSuggestion.count = (existsSuggestion.count || 1) + 1;
-    existsSuggestion.updatedAt = nowIso();
-    await writeStore(store);
+      store.suggestions.unshift(suggestion);
+      return { suggestion, endorsed: false };
+    });
+  } catch (e) {
+    return storeFailed(res, e);
+  }
+  if (result.error) return bad(res, ...result.error);
+  const { suggestion } = result;
 
+  if (result.endorsed) {
     await appendEvent({
       id: makeId(),
       type: "genre_suggest",
       action: "endorse",
       slug,
-      name: existsSuggestion.name,
+      name: suggestion.name,
       fanId,
       ts: nowIso(),
       meta: body.meta || null,
@@ -572,27 +584,10 @@ router.post("/suggest", async (req, res) => {
     return ok(res, {
       success: true,
       message: "Suggestion endorsed.",
-      suggestion: existsSuggestion,
+      suggestion,
     });
   }
 
-  const suggestion = {
-    id: `suggest_${makeId()}`,
-    name,
-    slug,
-    description,
-    tags,
-    status: "pending",
-    count: 1,
-    endorsers: [fanId],
-    createdByFanId: fanId,
-    createdAt: nowIso(),
-    updatedAt: nowIso(),
-  };
-
-  store.suggestions.unshift(suggestion);
-  await writeStore(store);
-
   await appendEvent({
     id: makeId(),
     type: "genre_suggest",
@@ -608,12 +603,17 @@ router.post("/suggest", async (req, res) => {
 });
 
 // List genres
-router.get("/list", async (req, res) => {
-  const store = await readStore();
-
-  const limit = clampInt(req.query.limit, 1, LIMITS.maxList, 20);
+api.get("/list", {
+  summary: "Genre registry, paged oldest first",
+  query: S.obj({ q: S.text(60), includeSuggestions: S.bool(), ...PAGE_QUERY_ORDERED }),
+}, async (req, res) => {
   const q = safeStr(req.query.q, 60).toLowerCase();
   const includeSuggestions = String(req.query.includeSuggestions || "false").toLowerCase() === "true";
+  const page = readPage(req.query, { defaultLimit: 20, maxLimit: LIMITS.maxList, defaultOrder: "asc", allowOrder: true, scope: { q } });
+  if (page.error) return sendPageError(res, page.error);
+  const limit = page.limit;
+
+  const store = await readStore();
 
   let genres = store.genres.slice();
   if (q) {
@@ -623,9 +623,13 @@ router.get("/list", async (req, res) => {
     });
   }
 
+  const out = paginate(genres, page, (g) => ({ at: g.createdAt, id: g.id }));
+
   ok(res, {
     success: true,
-    genres: genres.slice(0, limit),
+    genres: out.items,
+    nextCursor: out.nextCursor,
+    hasMore: out.hasMore,
     suggestions: includeSuggestions ? store.suggestions.slice(0, limit) : undefined,
     meta: {
       totalGenres: genres.length,
@@ -637,43 +641,59 @@ router.get("/list", async (req, res) => {
 });
 
 // Record genre usage
-router.post("/use", async (req, res) => {
+api.post("/use", {
+  summary: "Record a genre usage signal",
+  auth: "fan",
+  body: S.obj(
+    { genreId: S.id(80), fanId: S.text(80), artistId: S.text(80), trackId: S.text(80), kind: S.text(20), weight: S.num(0) },
+    ["genreId"]
+  ),
+}, async (req, res) => {
   const body = req.body || {};
   const bytes = Buffer.byteLength(JSON.stringify(body), "utf8");
   if (bytes > LIMITS.maxBodyBytes) return bad(res, 413, "payload_too_large");
 
   const genreId = safeStr(body.genreId, 80);
-  const fanId = safeStr(body.fanId, 80);
+  const who = resolveFan(req, { fanId: body.fanId });
+  if (who.error) return bad(res, who.error.status, who.error.code);
+  const fanId = safeStr(who.fanId, 80);
   const artistId = safeStr(body.artistId, 80) || null;
   const trackId = safeStr(body.trackId, 80) || null;
 
   const kind = safeStr(body.kind, 20).toLowerCase() || "other";
   const weight = Number(body.weight) || TUNING.weights[kind] || TUNING.weights.other;
 
-  if (!genreId) return bad(res, 400, "missing_genreId");
   if (!fanId) return bad(res, 400, "missing_fanId");
 
-  const store = await readStore();
-  const genre = store.genres.find((g) => g.id === genreId);
-  if (!genre) return bad(res, 404, "genre_not_found", { genreId });
-
-  genre.counters = genre.counters || {
-    uses: 0,
-    shares: 0,
-    votes: 0,
-    purchases: 0,
-    uploads: 0,
-    roomPosts: 0,
-  };
-  genre.counters.uses += 1;
-  if (kind === "share") genre.counters.shares += 1;
-  if (kind === "vote") genre.counters.votes += 1;
-  if (kind === "purchase") genre.counters.purchases += 1;
-  if (kind === "upload") genre.counters.uploads += 1;
-  if (kind === "room_post") genre.counters.roomPosts += 1;
-
-  genre.updatedAt = nowIso();
-  await writeStore(store);
+  let result;
+  try {
+    result = await updateStore((store) => {
+      const genre = store.genres.find((g) => g.id === genreId);
+      if (!genre) return { error: [404, "genre_not_found", { genreId }] };
+
+      genre.counters = genre.counters || {
+        uses: 0,
+        shares: 0,
+        votes: 0,
+        purchases: 0,
+        uploads: 0,
+        roomPosts: 0,
+      };
+      genre.counters.uses += 1;
+      if (kind === "share") genre.counters.shares += 1;
+      if (kind === "vote") genre.counters.votes += 1;
+      if (kind === "purchase") genre.counters.purchases += 1;
+      if (kind === "upload") genre.counters.uploads += 1;
+      if (kind === "room_post") genre.counters.roomPosts += 1;
+
+      genre.updatedAt = nowIso();
+      return { genre };
+    });
+  } catch (e) {
+    return storeFailed(res, e);
+  }
+  if (result.error) return bad(res, ...result.error);
+  const { genre } = result;
 
   const ev = {
     id: makeId(),
@@ -798,7 +818,7 @@ router.get("/:genreId/artists", async (req, res) => {
   const genre = store.genres.find((g) => g.id === genreId);
   if (!genre) return bad(res, 404, "genre_not_found", { genreId });
 
-  const artistsRaw = await readArtistsStore();
+  const artistsRaw = listArtists();
   const artists = artistsRaw.map(normalizeArtistRow).filter((a) => a.id);
 
   const { scores, uses, scannedLines } = await scanGenreArtistScores({ genreId, days });
@@ -845,13 +865,28 @@ router.get("/:genreId/artists", async (req, res) => {
 });
 
 // Create a room for a genre
-router.post("/:genreId/rooms/create", async (req, res) => {
+api.post("/:genreId/rooms/create", {
+  summary: "Create the room of a genre",
+  auth: "fan",
+  body: S.obj({
+    fanId: S.text(80),
+    name: S.text(),
+    description: S.text(),
+    tags: S.arr(S.text()),
+    visibility: S.text(40),
+    ambassadorOnly: S.bool(),
+    artistId: S.text(80),
+  }),
+  responses: { 200: "Room created.", 403: "Fan cannot create genre rooms.", 404: "Genre not found.", 409: "Genre room exists." },
+}, async (req, res) => {
   const genreId = safeStr(req.params.genreId, 80);
   const body = req.body || {};
   const bytes = Buffer.byteLength(JSON.stringify(body), "utf8");
   if (bytes > LIMITS.maxBodyBytes) return bad(res, 413, "payload_too_large");
 
-  const fanId = safeStr(body.fanId, 80);
+  const who = resolveFan(req, { fanId: body.fanId });
+  if (who.error) return bad(res, who.error.status, who.error.code);
+  const fanId = safeStr(who.fanId, 80);
   if (!fanId) return bad(res, 400, "missing_fanId");
 
   const store = await readStore();
@@ -945,7 +980,7 @@ router.post("/:genreId/rooms/create", async (req, res) => {
 // Genre room intelligence
 router.get("/:genreId/rooms", async (req, res) => {
   const genreId = safeStr(req.params.genreId, 80);
-  const fanId = safeStr(req.query.fanId, 80);
+  const fanId = req.principal?.fanId || safeStr(req.query.fanId, 80);
   const limit = clampInt(req.query.limit, 1, LIMITS.maxList, 20);
 
   const store = await readStore();
@@ -0,0 +1,211 @@
+/**
+ * idempotency.js (root) — ESM
+ * iBand Idempotency Keys (v1): safe retries for money and signal-recording POSTs.
+ *
+ * A client sends `Idempotency-Key: <uuid>` (1-255 visible ASCII chars). The first request with a key
+ * runs normally and its response (status + JSON body) is stored for IBAND_IDEMPOTENCY_TTL_SEC;
+ * a retry with the same key gets that response back instead of recording twice:
+ *   Idempotent-Replayed: true
+ * Requests without the header behave exactly as before.
+ *
+ * Keys are scoped per route group and per caller (identity principal, or "anon"), so two fans
+ * can't collide and /api/monetisation/record replays what /signal stored.
+ *
+ * Conflicts (409, apiSchema.js envelope):
+ * - idempotency_key_reused     same key, different request body (fingerprint = canonical JSON)
+ * - idempotency_in_progress    same key while the first request is still running (Retry-After: 1)
+ * 5xx and 429 answers are not stored: the client may retry those with the same key.
+ *
+ * Usage (after the body parser, before rate limiting so replays don't spend tokens):
+ *   router.post("/purchase", express.json(), idempotent("purchases.purchase"), rateLimit(...), handler)
+ *
+ * Stored keys are snapshotted to IBAND_IDEMPOTENCY_FILE through storage/index.js (debounced) and
+ * restored on first use, so a retry after a restart still replays.
+ *
+ * Config (config.js namespace "idempotency"): IBAND_IDEMPOTENCY_TTL_SEC, IBAND_IDEMPOTENCY_FILE,
+ * IBAND_IDEMPOTENCY_FLUSH_MS, IBAND_IDEMPOTENCY_MAX_KEYS.
+ */
+
+import crypto from "crypto";
+
+import { getConfig } from "./config.js";
+import { getStorage } from "./storage/index.js";
+import { sendError } from "./apiSchema.js";
+
+const VERSION = 1;
+const HEADER = "idempotency-key";
+const KEY_RE = /^[\x21-\x7e]{1,255}$/;
+
+const records = new Map(); // "scope|caller|key" -> { state, fingerprint, status, body, createdMs, expiresMs }
+const stats = { stored: 0, replayed: 0, conflicts: 0, inProgress: 0, flushes: 0, flushErrors: 0, lastError: null };
+
+let loaded = null;
+let flushTimer = null;
+
+/* -------------------- Helpers -------------------- */
+
+function cfg() {
+  return getConfig("idempotency");
+}
+
+function storageFor() {
+  return getStorage(getConfig("core").dataDir);
+}
+
+/** JSON with object keys sorted at every level: key order doesn't change the fingerprint. */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function fingerprintOf(req) {
+  return crypto.createHash("sha256").update(`${req.method} ${canonical(req.body ?? null)}`).digest("hex");
+}
+
+function callerOf(req) {
+  const p = req?.principal;
+  return p?.kind && p?.id ? `${p.kind}:${p.id}` : "anon";
+}
+
+function purge(now) {
+  for (const [id, r] of records) {
+    if (r.expiresMs <= now) records.delete(id);
+  }
+  const over = records.size - cfg().maxKeys;
+  if (over > 0) {
+    // Map order is insertion order: the oldest keys go first
+    for (const id of [...records.keys()].slice(0, over)) records.delete(id);
+  }
+}
+
+/* -------------------- Persistence -------------------- */
+
+async function ensureLoaded() {
+  if (!loaded) {
+    loaded = (async () => {
+      const doc = await storageFor().readJson(cfg().file, null).catch(() => null);
+      const now = Date.now();
+      for (const r of Array.isArray(doc?.keys) ? doc.keys : []) {
+        if (typeof r?.id !== "string" || r.state !== "done" || !(r.expiresMs > now) || records.has(r.id)) continue;
+        const { id, ...rest } = r;
+        records.set(id, rest);
+      }
+    })();
+  }
+  return loaded;
+}
+
+/** Writes completed keys now (also called on a debounce after each stored response). */
+export async function flushIdempotency() {
+  if (flushTimer) clearTimeout(flushTimer);
+  flushTimer = null;
+  purge(Date.now());
+  const keys = [...records.entries()].filter(([, r]) => r.state === "done").map(([id, r]) => ({ id, ...r }));
+  try {
+    await storageFor().writeJson(cfg().file, { version: VERSION, updatedAt: new Date().toISOString(), keys });
+    stats.flushes += 1;
+  } catch (e) {
+    stats.flushErrors += 1;
+    stats.lastError = e?.message || String(e);
+  }
+}
+
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => flushIdempotency(), cfg().flushMs);
+  flushTimer.unref?.();
+}
+
+/* -------------------- Middleware -------------------- */
+
+function replay(res, key, r) {
+  stats.replayed += 1;
+  res.setHeader("Idempotency-Key", key);
+  res.setHeader("Idempotent-Replayed", "true");
+  return res.status(r.status).json(r.body);
+}
+
+/**
+ * Express middleware: replays a stored response for a known Idempotency-Key, records the first one.
+ * scope groups routes that must share keys (aliases of one endpoint).
+ */
+export function idempotent(scope) {
+  if (!scope) throw new Error("idempotent: scope is required.");
+
+  return async function idempotencyGuard(req, res, next) {
+    const raw = req.headers?.[HEADER];
+    if (raw === undefined) return next();
+
+    const key = String(raw).trim();
+    if (!KEY_RE.test(key)) {
+      return sendError(res, 400, "invalid_idempotency_key", "Idempotency-Key must be 1-255 visible ASCII characters.");
+    }
+
+    try {
+      await ensureLoaded();
+    } catch (e) {
+      return next(e);
+    }
+
+    const now = Date.now();
+    const id = `${scope}|${callerOf(req)}|${key}`;
+    const fingerprint = fingerprintOf(req);
+    const found = records.get(id);
+
+    if (found && found.expiresMs > now) {
+      if (found.fingerprint !== fingerprint) {
+        stats.conflicts += 1;
+        return sendError(res, 409, "idempotency_key_reused", "This Idempotency-Key was already used with a different request body.");
+      }
+      if (found.state !== "done") {
+        stats.inProgress += 1;
+        res.setHeader("Retry-After", "1");
+        return sendError(res, 409, "idempotency_in_progress", "A request with this Idempotency-Key is still being processed.");
+      }
+      return replay(res, key, found);
+    }
+
+    const ttlMs = cfg().ttlSec * 1000;
+    const rec = { state: "pending", fingerprint, status: 0, body: null, createdMs: now, expiresMs: now + ttlMs };
+    records.delete(id);
+    records.set(id, rec);
+    res.setHeader("Idempotency-Key", key);
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode || 200;
+      if (records.get(id) === rec) {
+        if (status >= 500 || status === 429) {
+          records.delete(id);
+        } else {
+          rec.state = "done";
+          rec.status = status;
+          rec.body = body === undefined ? null : JSON.parse(JSON.stringify(body));
+          stats.stored += 1;
+          scheduleFlush();
+        }
+      }
+      return json(body);
+    };
+
+    // a handler that ended without res.json (or crashed) leaves nothing to replay
+    const settle = () => {
+      if (records.get(id) === rec && rec.state !== "done") records.delete(id);
+    };
+    res.on("finish", settle);
+    res.on("close", settle);
+
+    purge(now);
+    return next();
+  };
+}
+
+export function idempotencyStats() {
+  return { version: VERSION, ttlSec: cfg().ttlSec, keys: records.size, ...stats };
+}
+
+export default { idempotent, flushIdempotency, idempotencyStats };
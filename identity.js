@@ -0,0 +1,348 @@
+/**
+ * identity.js (root) — ESM
+ * iBand Identity (v1): HMAC-signed tokens for fan, artist and admin principals.
+ *
+ * Mounted at /api/identity:
+ * - POST /session   anonymous -> new fan (fanId + sessionId); with a fan token -> refreshed token, same ids
+ *                   rate limited ("identity.session", rateLimit.js): minting fans is how limits get dodged
+ * - POST /tokens    super-admin only (permissions.js "identity.issue"): issue a token for any principal
+ *                   { kind, subject, sessionId?, roles?, ttlSec? }; admin roles go in "roles".
+ *                   Audited (token id, never the token itself).
+ * - GET  /me        the principal behind the presented token
+ * - GET  /health
+ *
+ * Token: "v1.<payload>.<signature>" (base64url), signature = HMAC-SHA256(secret, "v1.<payload>").
+ * Payload claims: { sub, kind, sid, roles, iat, exp, jti }.
+ * Clients send it as "Authorization: Bearer <token>" (or x-iband-token).
+ *
+ * attachPrincipal (app-wide in server.js, and router.use in the routers that need it) sets:
+ *   req.principal = { kind, id, fanId, artistId, adminId, sessionId, roles, tokenId, expiresAt } | null
+ * A token that is present but invalid/expired answers 401 before any route runs.
+ *
+ * Routers never trust fanId/sessionId from the body: resolveFan(req, claimed) returns the ids from
+ * the fan token (a differing claim is 403 identity_mismatch). Admin tokens may act for any fan.
+ * IBAND_IDENTITY_ENFORCE=false keeps legacy clients working (no token -> body ids) during rollout.
+ * resolveArtist(req, artistId) does the same for artist-owned routes: the artist's own token, or an
+ * admin allowed to edit artists (artists.write).
+ *
+ * Errors use the shared envelope (apiSchema.js): { success:false, error, code, message }.
+ *
+ * Config (config.js namespace "identity"):
+ * - IBAND_IDENTITY_SECRET   >= 32 chars; unset -> random per-process secret (tokens die on restart)
+ * - IBAND_IDENTITY_ENFORCE  default true
+ * - IBAND_IDENTITY_{FAN,ARTIST,ADMIN}_TTL_SEC
+ */
+
+import express from "express";
+import crypto from "crypto";
+
+import { getConfig } from "./config.js";
+import { requirePermission, adminAccess, can } from "./permissions.js";
+import { recordAudit } from "./adminAudit.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+import { rateLimit } from "./rateLimit.js";
+
+const router = express.Router();
+const api = describeRoutes(router, { tag: "identity" });
+
+const SERVICE = "identity";
+const VERSION = 1;
+const TOKEN_PREFIX = "v1";
+
+export const PRINCIPAL_KINDS = Object.freeze(["fan", "artist", "admin"]);
+
+const EPHEMERAL_SECRET = crypto.randomBytes(32).toString("hex");
+
+/* -------------------- Helpers -------------------- */
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function safeStr(v, max = 120) {
+  if (v === null || v === undefined) return "";
+  return String(v).trim().slice(0, max);
+}
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(9).toString("hex")}`;
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+function identityConfig() {
+  const cfg = getConfig("identity");
+  return { ...cfg, ephemeral: !cfg.secret, key: cfg.secret || EPHEMERAL_SECRET };
+}
+
+function sign(payloadPart, key) {
+  return crypto.createHmac("sha256", key).update(`${TOKEN_PREFIX}.${payloadPart}`).digest();
+}
+
+function fail(status, code, message) {
+  return { error: { status, code, message } };
+}
+
+/* -------------------- Tokens -------------------- */
+
+/**
+ * Issues a signed token. Returns { token, claims, principal }.
+ * kind: fan | artist | admin; subject is the fanId / artistId / admin name.
+ */
+export function issueToken({ kind, subject, sessionId = null, roles = [], ttlSec } = {}) {
+  if (!PRINCIPAL_KINDS.includes(kind)) {
+    const err = new Error(`Unknown principal kind "${kind}".`);
+    err.code = "IDENTITY_BAD_KIND";
+    throw err;
+  }
+  const sub = safeStr(subject, 80);
+  if (!sub) {
+    const err = new Error("issueToken: subject is required.");
+    err.code = "IDENTITY_BAD_SUBJECT";
+    throw err;
+  }
+
+  const cfg = identityConfig();
+  const ttl = Number(ttlSec) > 0 ? Math.floor(Number(ttlSec)) : cfg[`${kind}TtlSec`];
+  const iat = Math.floor(Date.now() / 1000);
+  const claims = {
+    sub,
+    kind,
+    sid: safeStr(sessionId, 80) || null,
+    roles: (Array.isArray(roles) ? roles : []).map((r) => safeStr(r, 40)).filter(Boolean),
+    iat,
+    exp: iat + ttl,
+    jti: crypto.randomBytes(8).toString("hex"),
+  };
+
+  const payloadPart = b64url(JSON.stringify(claims));
+  const token = `${TOKEN_PREFIX}.${payloadPart}.${b64url(sign(payloadPart, cfg.key))}`;
+  return { token, claims, principal: principalFromClaims(claims) };
+}
+
+/** Returns { ok: true, claims } or { ok: false, code, message }. */
+export function verifyToken(token) {
+  const parts = safeStr(token, 4096).split(".");
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+    return { ok: false, code: "token_malformed", message: "Malformed identity token." };
+  }
+
+  const [, payloadPart, sigPart] = parts;
+  const expected = sign(payloadPart, identityConfig().key);
+  const given = Buffer.from(sigPart, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, code: "token_bad_signature", message: "Identity token signature is invalid." };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payloadPart, "base64url").toString("utf8"));
+  } catch {
+    return { ok: false, code: "token_malformed", message: "Malformed identity token." };
+  }
+  if (!PRINCIPAL_KINDS.includes(claims?.kind) || !claims?.sub) {
+    return { ok: false, code: "token_malformed", message: "Malformed identity token." };
+  }
+  if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) {
+    return { ok: false, code: "token_expired", message: "Identity token has expired." };
+  }
+
+  return { ok: true, claims };
+}
+
+export function principalFromClaims(claims) {
+  return {
+    kind: claims.kind,
+    id: claims.sub,
+    fanId: claims.kind === "fan" ? claims.sub : null,
+    artistId: claims.kind === "artist" ? claims.sub : null,
+    adminId: claims.kind === "admin" ? claims.sub : null,
+    sessionId: claims.sid || null,
+    roles: Array.isArray(claims.roles) ? claims.roles : [],
+    tokenId: claims.jti || null,
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+  };
+}
+
+function readToken(req) {
+  const auth = safeStr(req.headers?.authorization, 4096);
+  if (/^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, "");
+  return safeStr(req.headers?.["x-iband-token"], 4096);
+}
+
+/* -------------------- Middleware -------------------- */
+
+/**
+ * Sets req.principal (null when no token was sent). Idempotent: safe to mount app-wide and per router.
+ */
+export function attachPrincipal(req, res, next) {
+  if (req.principal !== undefined) return next();
+
+  const token = readToken(req);
+  if (!token) {
+    req.principal = null;
+    return next();
+  }
+
+  const v = verifyToken(token);
+  if (!v.ok) return sendError(res, 401, v.code, v.message);
+
+  req.principal = principalFromClaims(v.claims);
+  return next();
+}
+
+/**
+ * The fan a request acts as.
+ * Returns { fanId, sessionId, principal } or { error: { status, code, message } }.
+ *
+ * - fan token: ids come from the token; a body/query claim that differs is rejected
+ * - admin token: acts for the claimed fan (tools, seeding)
+ * - artist token: not a fan
+ * - no token: 401, unless IBAND_IDENTITY_ENFORCE=false (legacy clients: claimed ids are used)
+ *
+ * optional: true -> anonymous requests that claim no id pass through with empty ids
+ * (telemetry, shares, anonymous purchases); claiming an id still needs the token.
+ */
+export function resolveFan(req, claimed = {}, { optional = false } = {}) {
+  const p = req.principal || null;
+  const fanId = safeStr(claimed.fanId, 80);
+  const sessionId = safeStr(claimed.sessionId, 80);
+
+  if (p?.kind === "fan") {
+    if (fanId && fanId !== p.fanId) return fail(403, "identity_mismatch", "fanId does not match the signed-in fan.");
+    if (sessionId && p.sessionId && sessionId !== p.sessionId) {
+      return fail(403, "identity_mismatch", "sessionId does not match the signed-in session.");
+    }
+    return { fanId: p.fanId, sessionId: p.sessionId || p.fanId, principal: p };
+  }
+  if (p?.kind === "admin") return { fanId, sessionId, principal: p };
+  if (optional && !fanId && !sessionId) return { fanId: "", sessionId: "", principal: p };
+  if (p) return fail(403, "fan_token_required", "This action needs a fan token.");
+
+  if (!getConfig("identity").enforce) return { fanId, sessionId, principal: null };
+  return fail(401, "identity_required", "Sign in first: send a fan token (Authorization: Bearer <token>).");
+}
+
+/**
+ * Whether a request may act as `artistId`.
+ * Returns { artistId, principal } or { error: { status, code, message } }.
+ *
+ * - artist token: only for its own artistId (403 identity_mismatch otherwise)
+ * - admin access with artists.write (token, x-admin-key, dev-open): acts for any artist
+ * - fan token: 403 artist_token_required; nothing: 401 identity_required
+ */
+export function resolveArtist(req, artistId) {
+  const p = req.principal || null;
+  const id = safeStr(artistId, 80);
+
+  if (p?.kind === "artist") {
+    if (p.artistId !== id) return fail(403, "identity_mismatch", "This artist token is for another artist.");
+    return { artistId: id, principal: p };
+  }
+  if (p?.kind !== "fan") {
+    const access = adminAccess(req);
+    if (access.ok && can(access.roles, "artists.write")) {
+      // same marks as permissions.js requirePermission, so audit entries name the admin
+      req._adminMode = access.mode;
+      req.adminRoles = access.roles;
+      return { artistId: id, principal: p };
+    }
+  }
+  if (p) return fail(403, "artist_token_required", "This action needs the artist's token.");
+  return fail(401, "identity_required", "Sign in first: send an artist token (Authorization: Bearer <token>).");
+}
+
+/* -------------------- Routes -------------------- */
+
+router.use(attachPrincipal);
+
+router.get("/health", (req, res) => {
+  const cfg = identityConfig();
+  res.json({
+    success: true,
+    service: SERVICE,
+    version: VERSION,
+    kinds: PRINCIPAL_KINDS,
+    enforce: cfg.enforce,
+    secret: cfg.ephemeral ? "ephemeral" : "configured",
+    ttlSec: { fan: cfg.fanTtlSec, artist: cfg.artistTtlSec, admin: cfg.adminTtlSec },
+    ts: nowIso(),
+  });
+});
+
+api.post("/session", {
+  summary: "Create an anonymous fan session, or refresh a fan token",
+  auth: "fan-optional",
+  responses: { 200: "Token refreshed.", 201: "Session created.", 429: "Rate limit exceeded." },
+}, rateLimit("identity.session"), (req, res) => {
+  const p = req.principal;
+  if (p && p.kind !== "fan") return sendError(res, 400, "fan_token_required", "Only fan tokens can be refreshed here.");
+
+  const issued = issueToken({
+    kind: "fan",
+    subject: p ? p.fanId : randomId("fan"),
+    sessionId: p?.sessionId || randomId("ses"),
+  });
+
+  return res.status(p ? 200 : 201).json({
+    success: true,
+    message: p ? "Session refreshed." : "Session created.",
+    token: issued.token,
+    principal: issued.principal,
+  });
+});
+
+const TOKEN_BODY = S.obj(
+  {
+    kind: S.enumOf(PRINCIPAL_KINDS),
+    subject: S.text(80),
+    sessionId: S.text(80),
+    roles: S.arr(S.id(40), { maxItems: 10 }),
+    ttlSec: S.int(1),
+  },
+  ["kind"]
+);
+
+api.post("/tokens", {
+  summary: "Issue a token for any principal",
+  auth: "admin",
+  permission: "identity.issue",
+  body: TOKEN_BODY,
+  responses: { 201: "Token issued." },
+}, requirePermission("identity.issue"), async (req, res) => {
+  const body = req.body;
+  const kind = safeStr(body.kind, 20);
+
+  // fans get a fresh id when none is given; artist and admin tokens name their subject
+  const subject = safeStr(body.subject, 80) || (kind === "fan" ? randomId("fan") : "");
+  if (!subject) return sendError(res, 400, "validation_failed", "subject is required for artist and admin tokens.");
+
+  const issued = issueToken({
+    kind,
+    subject,
+    sessionId: safeStr(body.sessionId, 80) || (kind === "fan" ? randomId("ses") : null),
+    roles: body.roles,
+    ttlSec: body.ttlSec,
+  });
+  await recordAudit(req, {
+    action: "identity.token.issue",
+    target: { type: kind, id: subject },
+    after: { tokenId: issued.claims.jti, roles: issued.claims.roles, expiresAt: issued.principal.expiresAt },
+  });
+
+  return res.status(201).json({
+    success: true,
+    token: issued.token,
+    principal: issued.principal,
+    issuedBy: req.principal?.adminId || req._adminMode,
+  });
+});
+
+api.get("/me", { summary: "The principal behind the presented token", auth: "fan" }, (req, res) => {
+  if (!req.principal) return sendError(res, 401, "identity_required", "No identity token presented.");
+  return res.json({ success: true, principal: req.principal });
+});
+
+export default router;
@@ -1,4 +1,5 @@
 import express from "express";
+import { LIVE_EVENT_TYPES, streamLiveEvents } from "./liveStream.js";
 
 const router = express.Router();
 
@@ -8,6 +9,8 @@ const router = express.Router();
 |--------------------------------------------------------------------------
 | Creates real-time discovery event objects triggered by radar signals,
 | breakout explosions, shockwaves, and trending activity.
+| GET /stream pushes every live transition (flash medals, heat, breakout
+| levels) as Server-Sent Events; see liveStream.js.
 |--------------------------------------------------------------------------
 */
 
@@ -101,7 +104,8 @@ router.get("/", (req, res) => {
       "/api/live-events",
       "/api/live-events/list",
       "/api/live-events/critical",
-      "/api/live-events/random"
+      "/api/live-events/random",
+      "/api/live-events/stream"
     ]
   });
 });
@@ -151,4 +155,22 @@ router.get("/random", (req, res) => {
   });
 });
 
+/*
+|--------------------------------------------------------------------------
+| GET /api/live-events/stream
+|--------------------------------------------------------------------------
+| ?types=flash.medal,heat.level,breakout.level (default all), ?artistId=,
+| ?country=, Last-Event-ID resume.
+*/
+
+router.get("/stream", (req, res) => {
+  const asked = String(req.query.types || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter((t) => LIVE_EVENT_TYPES[t]);
+  const types = asked.length ? asked : Object.keys(LIVE_EVENT_TYPES);
+
+  return streamLiveEvents(req, res, { stream: "live-events", types });
+});
+
 export default router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 import express from "express";
-import { getTopBreakouts, getArtistBreakout } from "./breakoutEngine.js";
+import { getTopBreakouts, getArtistBreakout, onBreakoutScore } from "./breakoutEngine.js";
+import { recordLiveEvent, streamLiveEvents } from "./liveStream.js";
 
 const router = express.Router();
 
@@ -11,6 +12,7 @@ const router = express.Router();
 | - provide live-event heat data for the Global Music Map
 | - expose heat zones, pulse intensity and hotspot metadata
 | - support future livestream map overlays and live activity prompts
+| - push heat level changes over SSE (GET /stream, liveStream.js)
 |--------------------------------------------------------------------------
 */
 
@@ -132,6 +134,32 @@ function buildHeatResult(artistId) {
   };
 }
 
+/*
+|--------------------------------------------------------------------------
+| Heat transitions
+|--------------------------------------------------------------------------
+| Every breakout score change is checked against HEAT_RULES; a new level
+| is recorded as a heat.level live event (resumable by GET /stream).
+*/
+onBreakoutScore(({ artistId, previousScore, score }) => {
+  const from = getHeatRule(previousScore);
+  const to = getHeatRule(score);
+  if (from.level === to.level) return;
+
+  recordLiveEvent("heat.level", {
+    artistId,
+    level: to.level,
+    previousLevel: from.level,
+    direction: to.minScore > from.minScore ? "up" : "down",
+    score,
+    heatColor: to.heatColor,
+    heatStrength: to.heatStrength,
+    hotspot: to.hotspot,
+    icon: to.icon,
+    label: to.label
+  });
+});
+
 /*
 |--------------------------------------------------------------------------
 | GET
@@ -153,6 +181,7 @@ router.get("/", (req, res) => {
     routes: [
       "/api/live-heat",
       "/api/live-heat/top",
+      "/api/live-heat/stream",
       "/api/live-heat/:artistId"
     ]
   });
@@ -179,6 +208,16 @@ router.get("/top", (req, res) => {
   });
 });
 
+/*
+|--------------------------------------------------------------------------
+| GET
+| Heat level changes (SSE), ?artistId= &country=, Last-Event-ID resume
+|--------------------------------------------------------------------------
+*/
+router.get("/stream", (req, res) =>
+  streamLiveEvents(req, res, { stream: "live-heat", types: ["heat.level"] })
+);
+
 /*
 |--------------------------------------------------------------------------
 | GET
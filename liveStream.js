@@ -0,0 +1,287 @@
+/**
+ * liveStream.js (root) — ESM
+ * iBand Live Streams (v1): Server-Sent Events for the live surfaces, resumable from JSONL logs.
+ *
+ * Two kinds of stream share one SSE writer (openEventStream):
+ * - live transitions, recorded here into DATA_DIR/live/live-events.jsonl (segmented) by recordLiveEvent():
+ *   flash.medal      flashMedals.js     an artist or fan unlocks a flash medal in the current window
+ *   heat.level       liveHeat.js        an artist's live heat level changes (up or down)
+ *   breakout.level   breakoutEngine.js  an artist's breakout level changes (up or down)
+ * - records another module already logs (rooms.js: room-messages.jsonl); the owner calls
+ *   publishLive(channel, record) after its own append
+ *
+ * Wire format: `id: <opaque>`, `event: <type>`, `data: <record JSON>`. The id is a pagination.js cursor
+ * over (ts, id) tied to the channel, so a reconnect with Last-Event-ID (header, or ?lastEventId= for
+ * clients that can't set headers) re-reads the log from that point and sends what was missed before
+ * going live. Anything the log cannot answer exactly — unknown id, older than IBAND_SSE_REPLAY_MAX_AGE_MS,
+ * more than IBAND_SSE_REPLAY_MAX records behind — gets `event: reset` instead: refetch the REST snapshot.
+ * Every connection starts with `retry:` and ends its replay with `event: ready`; `: ping` comments
+ * keep proxies from closing idle streams (IBAND_SSE_HEARTBEAT_MS).
+ *
+ * Filters are per connection: ?artistId= and ?country= on live transitions (country = the artist's,
+ * from the record or the artist repository), the room path plus ?artistId= on room messages.
+ *
+ * Config (config.js namespace "sse"): IBAND_LIVE_LOG_FILE, IBAND_SSE_HEARTBEAT_MS, IBAND_SSE_RETRY_MS,
+ * IBAND_SSE_MAX_CONNECTIONS, IBAND_SSE_REPLAY_MAX, IBAND_SSE_REPLAY_MAX_AGE_MS.
+ */
+
+import crypto from "crypto";
+import { EventEmitter } from "events";
+
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+import { recordTimeMs } from "./storage/segmentedLog.js";
+import { encodeCursor, decodeCursor } from "./pagination.js";
+import { sendError } from "./apiSchema.js";
+import { getArtist } from "./artistsStore.js";
+import { counter, gauge, registerCollector } from "./metrics.js";
+import { logger } from "./logger.js";
+
+export const LIVE_EVENT_TYPES = Object.freeze({
+  "flash.medal": "A flash medal was unlocked in the current window (flashMedals.js).",
+  "heat.level": "An artist's live heat level changed (liveHeat.js).",
+  "breakout.level": "An artist's breakout level changed (breakoutEngine.js).",
+});
+
+const LIVE_CHANNEL = "live";
+const MAX_BUFFERED_BYTES = 1024 * 1024; // a client this far behind is cut off (it resumes by id)
+
+const channels = new EventEmitter();
+channels.setMaxListeners(0);
+
+const open = new Map(); // stream name -> open connections
+const streams = new Set(); // { close() } of every open connection
+
+const connectionsGauge = gauge("iband_sse_connections", "Open Server-Sent Events connections by stream.", ["stream"]);
+const sentCounter = counter("iband_sse_events_total", "Events written to SSE connections by stream and event.", ["stream", "event"]);
+
+registerCollector(() => {
+  connectionsGauge.reset();
+  for (const [stream, n] of open) connectionsGauge.set({ stream }, n);
+});
+
+function cfg() {
+  return getConfig("sse");
+}
+
+function liveLog() {
+  return openSegmentedLog(getStorage(getConfig("core").dataDir), cfg().liveLog);
+}
+
+/* -------------------- Publishing -------------------- */
+
+/** In-process fan-out to open streams on a channel (call after the record is in its log). */
+export function publishLive(channel, record) {
+  channels.emit(channel, record);
+}
+
+function artistCountry(artistId) {
+  return getArtist(artistId)?.country || null;
+}
+
+/**
+ * Appends a live transition to the live log and pushes it to open streams.
+ * Never throws (callers are scoring paths); resolves to the record, or null when it could not be stored.
+ */
+export async function recordLiveEvent(type, data = {}) {
+  if (!LIVE_EVENT_TYPES[type]) {
+    logger.warn("live_event_unknown_type", { type });
+    return null;
+  }
+  const artistId = data.artistId ? String(data.artistId) : null;
+  const record = {
+    id: `live_${crypto.randomBytes(12).toString("hex")}`,
+    ts: new Date().toISOString(),
+    type,
+    ...data,
+    artistId,
+    country: data.country || (artistId ? artistCountry(artistId) : null),
+  };
+  try {
+    await liveLog().append(record);
+  } catch (e) {
+    logger.warn("live_event_append_failed", { type, error: e });
+    return null;
+  }
+  publishLive(LIVE_CHANNEL, record);
+  return record;
+}
+
+/** Live transitions since fromMs, oldest first (optionally only some types). */
+export async function readLiveEvents({ fromMs = null, toMs = null, types = null } = {}) {
+  const wanted = types ? new Set(types) : null;
+  const { events } = await liveLog().readRange({ fromMs, toMs, filter: (r) => !wanted || wanted.has(r?.type) });
+  return events;
+}
+
+/* -------------------- Filters -------------------- */
+
+const same = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+/** ?artistId= / ?country= from a query -> { artistId, country, match(record) }. */
+export function liveFilters(query = {}) {
+  const artistId = String(query.artistId || "").trim().slice(0, 80) || null;
+  const country = String(query.country || "").trim().slice(0, 80) || null;
+  return {
+    artistId,
+    country,
+    match: (r) => (!artistId || r?.artistId === artistId) && (!country || same(r?.country, country)),
+  };
+}
+
+/* -------------------- SSE writer -------------------- */
+
+function frame({ id = null, event = null, data }) {
+  let out = "";
+  if (id) out += `id: ${id}\n`;
+  if (event) out += `event: ${event}\n`;
+  return `${out}data: ${JSON.stringify(data)}\n\n`;
+}
+
+/** The Last-Event-ID a client sent (header from EventSource reconnects, or ?lastEventId=). */
+export function lastEventIdOf(req) {
+  const raw = req.get?.("last-event-id") ?? req.headers?.["last-event-id"] ?? req.query?.lastEventId ?? "";
+  return String(raw).trim() || null;
+}
+
+/** Records after `lastEventId` in log order -> { events } or { reset: reason }. */
+async function missedSince(log, channel, lastEventId, match) {
+  const c = decodeCursor(lastEventId);
+  if (!c.ok || c.scope !== channel) return { reset: "unknown_last_event_id" };
+
+  const { replayMax, replayMaxAgeMs } = cfg();
+  if (c.key.t < Date.now() - replayMaxAgeMs) return { reset: "last_event_id_too_old" };
+
+  const { events } = await log.readRange({ fromMs: c.key.t });
+  const at = events.findIndex((r) => String(r?.id) === c.key.i);
+  const after = at >= 0 ? events.slice(at + 1) : events.filter((r) => (recordTimeMs(r) ?? 0) > c.key.t);
+  const missed = after.filter(match);
+  if (missed.length > replayMax) return { reset: "too_far_behind", missed: missed.length };
+  return { events: missed };
+}
+
+/**
+ * Serves one SSE connection until the client goes away.
+ * - stream   name for metrics / the ready event ("flash-medals", "rooms", ...)
+ * - channel  publishLive channel, also the scope of the event ids
+ * - log      segmented log the channel's records live in (resume source)
+ * - match    per-connection filter
+ * - eventOf  record -> SSE event name
+ * - filters  echoed in the ready event
+ */
+export async function openEventStream(req, res, { stream, channel, log, match = () => true, eventOf, filters = {} }) {
+  const c = cfg();
+  if (streams.size >= c.maxConnections) {
+    return sendError(res, 503, "too_many_streams", "Too many open streams; retry shortly.", { retryAfterMs: c.retryMs });
+  }
+
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let replaying = true;
+  const buffered = [];
+  const replayedIds = new Set();
+
+  const write = (chunk) => {
+    if (closed) return;
+    res.write(chunk);
+    if (res.writableLength > MAX_BUFFERED_BYTES) conn.close();
+  };
+  const send = (record) => {
+    const event = eventOf(record);
+    write(frame({ id: encodeCursor({ at: record.ts, id: record.id }, { order: "asc", scope: channel }), event, data: record }));
+    sentCounter.inc({ stream, event });
+  };
+  const onRecord = (record) => {
+    if (closed || !match(record)) return;
+    if (replaying) buffered.push(record);
+    else send(record);
+  };
+
+  const heartbeat = setInterval(() => write(`: ping ${new Date().toISOString()}\n\n`), c.heartbeatMs);
+  heartbeat.unref?.();
+
+  const conn = {
+    close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      channels.off(channel, onRecord);
+      streams.delete(conn);
+      open.set(stream, (open.get(stream) || 1) - 1);
+      res.end();
+    },
+  };
+  streams.add(conn);
+  open.set(stream, (open.get(stream) || 0) + 1);
+  req.on("close", () => conn.close());
+
+  // listen first, so nothing published during the replay read is lost
+  channels.on(channel, onRecord);
+  write(`retry: ${c.retryMs}\n\n`);
+
+  const lastEventId = lastEventIdOf(req);
+  let replayed = 0;
+  if (lastEventId) {
+    try {
+      const out = await missedSince(log, channel, lastEventId, match);
+      if (out.reset) write(frame({ event: "reset", data: { reason: out.reset, ...(out.missed ? { missed: out.missed } : {}) } }));
+      for (const r of out.events || []) {
+        replayedIds.add(String(r.id));
+        send(r);
+      }
+      replayed = out.events?.length || 0;
+    } catch (e) {
+      logger.warn("sse_replay_failed", { stream, error: e });
+      write(frame({ event: "reset", data: { reason: "replay_failed" } }));
+    }
+  }
+
+  replaying = false;
+  for (const r of buffered.splice(0)) if (!replayedIds.has(String(r.id))) send(r);
+  write(frame({ event: "ready", data: { stream, filters, resumed: Boolean(lastEventId), replayed, heartbeatMs: c.heartbeatMs } }));
+}
+
+/** SSE over the live transitions log, limited to some types, with ?artistId= / ?country= (+ the route's own match). */
+export function streamLiveEvents(req, res, { stream, types, match = () => true, filters = {} }) {
+  const wanted = new Set(types);
+  const f = liveFilters(req.query);
+  return openEventStream(req, res, {
+    stream,
+    channel: LIVE_CHANNEL,
+    log: liveLog(),
+    match: (r) => wanted.has(r?.type) && f.match(r) && match(r),
+    eventOf: (r) => r.type,
+    filters: { types, artistId: f.artistId, country: f.country, ...filters },
+  });
+}
+
+/** Open connection counts by stream (health / tests). */
+export function getStreamStats() {
+  return { open: streams.size, byStream: Object.fromEntries([...open].filter(([, n]) => n > 0)) };
+}
+
+/** Ends every open stream (shutdown, tests); clients reconnect and resume by id. */
+export function closeAllStreams() {
+  for (const conn of [...streams]) conn.close();
+}
+
+export default {
+  LIVE_EVENT_TYPES,
+  publishLive,
+  recordLiveEvent,
+  readLiveEvents,
+  liveFilters,
+  lastEventIdOf,
+  openEventStream,
+  streamLiveEvents,
+  getStreamStats,
+  closeAllStreams,
+};
@@ -0,0 +1,103 @@
+/**
+ * logger.js (root) — ESM
+ * iBand Logger (v1): structured logs, one JSON object per line.
+ *
+ *   {"ts":"2026-01-01T00:00:00.000Z","level":"info","msg":"request","requestId":"req_…","method":"POST",
+ *    "path":"/api/votes","route":"/api/votes","status":200,"durationMs":12.4}
+ *
+ * - requestId comes from requestContext.js (omitted outside a request)
+ * - debug/info go to stdout, warn/error to stderr
+ * - Error values are flattened to { name, message, code, stack }
+ * - IBAND_LOG_FORMAT=text prints "<ts> <level> <msg> key=value …" for local development
+ *
+ * requestLogger (app middleware after requestContext) writes one "request" line per finished response;
+ * IBAND_LOG_REQUESTS=false turns it off. 5xx lines are "error", 4xx "warn".
+ *
+ * Usage:
+ *   import { logger } from "./logger.js";
+ *   logger.info("mount", { basePath, file, status: "mounted" });
+ *   logger.error("rotate_failed", { log: key, error: e });
+ *
+ * Config (config.js namespace "logging"): IBAND_LOG_FORMAT, IBAND_LOG_LEVEL, IBAND_LOG_REQUESTS,
+ * IBAND_TRUST_REQUEST_ID.
+ */
+
+import { getConfig } from "./config.js";
+import { currentRequestId } from "./requestContext.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function cfg() {
+  return getConfig("logging");
+}
+
+function plain(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+  }
+  return value;
+}
+
+function textValue(v) {
+  if (v === null || v === undefined) return String(v);
+  if (typeof v === "object") return JSON.stringify(v);
+  const s = String(v);
+  return /[\s"=]/.test(s) ? JSON.stringify(s) : s;
+}
+
+function write(level, msg, fields = {}) {
+  const c = cfg();
+  if (LEVELS[level] < LEVELS[c.level]) return;
+
+  const requestId = fields.requestId ?? currentRequestId();
+  const entry = { ts: new Date().toISOString(), level, msg: String(msg), ...(requestId ? { requestId } : {}) };
+  for (const [k, v] of Object.entries(fields || {})) {
+    if (v !== undefined && k !== "requestId") entry[k] = plain(v);
+  }
+
+  let line;
+  if (c.format === "text") {
+    const { ts, level: _l, msg: _m, ...rest } = entry;
+    line = [ts, level.toUpperCase(), entry.msg, ...Object.entries(rest).map(([k, v]) => `${k}=${textValue(v)}`)].join(" ");
+  } else {
+    try {
+      line = JSON.stringify(entry);
+    } catch {
+      line = JSON.stringify({ ts: entry.ts, level, msg: entry.msg, requestId: entry.requestId, note: "unserialisable fields dropped" });
+    }
+  }
+
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+export const logger = Object.freeze({
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+});
+
+/** One "request" line per finished response (after requestContext, so the id is set). */
+export function requestLogger(req, res, next) {
+  if (!cfg().requests) return next();
+  const started = process.hrtime.bigint();
+  const requestId = req.id;
+  res.on("finish", () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+    const route = req.route?.path !== undefined ? `${req.baseUrl || ""}${req.route.path === "/" && req.baseUrl ? "" : req.route.path}` : undefined;
+    write(level, "request", {
+      requestId,
+      method: req.method,
+      path: (req.originalUrl || req.url || "").split("?")[0],
+      route,
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      principal: req.principal?.kind && req.principal?.id ? `${req.principal.kind}:${req.principal.id}` : undefined,
+    });
+  });
+  return next();
+}
+
+export default { logger, requestLogger };
@@ -1,6 +1,8 @@
 import express from "express";
+import { describeRoutes, S } from "./apiSchema.js";
 
 const router = express.Router();
+const api = describeRoutes(router, { tag: "map-activity" });
 
 /*
 |--------------------------------------------------------------------------
@@ -93,7 +95,15 @@ router.get("/", (req, res) => {
 | Record activity signal
 |--------------------------------------------------------------------------
 */
-router.post("/record", (req, res) => {
+api.post("/record", {
+  summary: "Record a map activity signal",
+  body: S.obj({
+    artistId: S.id(),
+    country: S.id(80),
+    type: S.text(40),
+    value: S.num(0)
+  }, ["artistId", "country"])
+}, (req, res) => {
 
   const {
     artistId,
@@ -102,13 +112,6 @@ router.post("/record", (req, res) => {
     value
   } = req.body;
 
-  if (!artistId || !country) {
-    return res.status(400).json({
-      success: false,
-      message: "artistId and country required"
-    });
-  }
-
   const signal = {
     id: `act_${Date.now()}_${Math.random().toString(36).slice(2,8)}`,
     artistId,
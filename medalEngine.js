@@ -8,37 +8,38 @@
  * Used by:
  * - medals.js
  * - recs.js (next step)
+ * - artists.js (search: momentum sort and medal tier facet)
  */
 
 import fs from "fs/promises";
-import path from "path";
-
-// -------------------- ENV --------------------
-const DATA_DIR = process.env.DATA_DIR || "/var/data/iband/db";
-const EVENTS_AGG_FILE =
-  process.env.EVENTS_AGG_FILE || path.join(DATA_DIR, "events-agg.json");
-const ARTISTS_FILE =
-  process.env.ARTISTS_FILE || path.join(DATA_DIR, "artists.json");
-
-// Ranking weight alignment
-const WATCHMS_PER_POINT = parseInt(process.env.RISING_WATCHMS_PER_POINT || "10000", 10);
-
-const W_VIEW = parseFloat(process.env.RISING_W_VIEW || "1.0");
-const W_REPLAY = parseFloat(process.env.RISING_W_REPLAY || "2.5");
-const W_LIKE = parseFloat(process.env.RISING_W_LIKE || "1.5");
-const W_SAVE = parseFloat(process.env.RISING_W_SAVE || "3.5");
-const W_SHARE = parseFloat(process.env.RISING_W_SHARE || "4.5");
-const W_FOLLOW = parseFloat(process.env.RISING_W_FOLLOW || "5.0");
-const W_COMMENT = parseFloat(process.env.RISING_W_COMMENT || "2.0");
-const W_VOTE = parseFloat(process.env.RISING_W_VOTE || "1.0");
+
+import { getConfig } from "./config.js";
+import { listArtists } from "./artistsStore.js";
+
+// -------------------- ENV (config.js) --------------------
+const EVENTS_AGG_FILE = getConfig("files").eventsAgg;
+
+// Ranking weight alignment: the same "weights" namespace medals.js reads
+const WEIGHTS = getConfig("weights");
+const WATCHMS_PER_POINT = WEIGHTS.watchMsPerPoint;
+
+const W_VIEW = WEIGHTS.view;
+const W_REPLAY = WEIGHTS.replay;
+const W_LIKE = WEIGHTS.like;
+const W_SAVE = WEIGHTS.save;
+const W_SHARE = WEIGHTS.share;
+const W_FOLLOW = WEIGHTS.follow;
+const W_COMMENT = WEIGHTS.comment;
+const W_VOTE = WEIGHTS.vote;
 
 // Tier thresholds
-const GOLD_PCT = parseFloat(process.env.MEDALS_GOLD_PCT || "0.05");
-const SILVER_PCT = parseFloat(process.env.MEDALS_SILVER_PCT || "0.20");
-const BRONZE_PCT = parseFloat(process.env.MEDALS_BRONZE_PCT || "0.50");
+const MEDALS = getConfig("medals");
+const GOLD_PCT = MEDALS.goldTopPct;
+const SILVER_PCT = MEDALS.silverTopPct;
+const BRONZE_PCT = MEDALS.bronzeTopPct;
 
 // Stability floor
-const FRESHNESS_FLOOR = parseFloat(process.env.MEDALS_FRESHNESS_FLOOR || "0.65");
+const FRESHNESS_FLOOR = MEDALS.freshnessFloor;
 
 // Cache
 const CACHE_TTL_MS = 30000;
@@ -134,11 +135,10 @@ async function buildCacheIfNeeded() {
   }
 
   const agg = await readJsonSafe(EVENTS_AGG_FILE, { byArtist: {} });
-  const artistsRaw = await readJsonSafe(ARTISTS_FILE, { artists: [] });
 
   const artistIds = new Set([
     ...Object.keys(agg.byArtist || {}),
-    ...(artistsRaw.artists || []).map((a) => a.id),
+    ...listArtists().map((a) => a.id),
   ]);
 
   const scored = [];
@@ -180,4 +180,23 @@ export async function getMedalForArtist(artistId) {
   const tier = tierFromPercentile(idx.percentile01, row?.score ?? 0);
 
   return tierMeta(tier);
+}
+
+/**
+ * Every scored artist at once: artistId -> { score, rank, total, tier, label, emoji, hex }.
+ * Same cache and tiers as getMedalForArtist(), for callers sorting or filtering many artists.
+ */
+export async function getMedalTable() {
+  const cache = await buildCacheIfNeeded();
+  const table = new Map();
+  for (const row of cache.scored) {
+    const idx = cache.rankIndex.get(row.artistId);
+    table.set(row.artistId, {
+      score: row.score,
+      rank: idx.rank,
+      total: idx.total,
+      ...tierMeta(tierFromPercentile(idx.percentile01, row.score)),
+    });
+  }
+  return table;
 }
\ No newline at end of file
@@ -4,7 +4,7 @@
  *
  * Captain’s Protocol:
  * - Full canonical file (no snippets)
- * - Render-safe (tail-read jsonl, no full file loads)
+ * - Render-safe (segmented events log, windowed reads — no full history loads)
  * - Never breaks: graceful fallbacks everywhere
  * - Exposes both API endpoints + helper exports (for recs.js integration)
  *
@@ -14,73 +14,91 @@
  *
  * Unlock readiness uses (Combined):
  * - events-agg.json => totals (votes + metrics)
- * - events.jsonl tail => unique session count (fans)
- * - artists.json => active artist count
+ * - events.jsonl (last MEDALS_SESSION_WINDOW_DAYS, across segments) => unique session count (fans)
+ * - artist repository (artistsStore.js) => active artist count
+ *
+ * Scheduled job (scheduler.js) "medals.recompute" rebuilds the table every 15 minutes, so readers
+ * rarely pay for a cold build. It keeps each artist's last tier in DATA_DIR/medals/tiers.json and
+ * sends a medal.awarded webhook (webhooks.js) when an artist moves up a tier.
  *
  * Endpoints:
  * - GET /api/medals/health
  * - GET /api/medals/unlock-status
  * - GET /api/medals/artist/:artistId
  * - GET /api/medals/table?limit=50
+ * - POST /api/medals/_cache/reset   drops the cached table (admin, jobs.run)
  */
 
 import express from "express";
 import fs from "fs/promises";
 import fssync from "fs";
-import path from "path";
 import crypto from "crypto";
+import path from "path";
+
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog, withFileLock } from "./storage/index.js";
+import { subscribe } from "./eventBus.js";
+import { recordCacheLookup } from "./metrics.js";
+import { registerJob } from "./scheduler.js";
+import { describeRoutes } from "./apiSchema.js";
+import { attachPrincipal } from "./identity.js";
+import { requirePermission } from "./permissions.js";
+import { emitWebhook } from "./webhooks.js";
+import { listArtists } from "./artistsStore.js";
 
 const router = express.Router();
+const api = describeRoutes(router, { tag: "medals" });
 
 // -------------------- Env / Paths --------------------
-const DATA_DIR = process.env.DATA_DIR || "/var/data/iband/db";
+const DATA_DIR = getConfig("core").dataDir;
+const FILES = getConfig("files");
 
-const EVENTS_AGG_FILE =
-  process.env.EVENTS_AGG_FILE || path.join(DATA_DIR, "events-agg.json");
+const EVENTS_AGG_FILE = FILES.eventsAgg;
 
-const EVENTS_LOG_FILE =
-  process.env.EVENTS_LOG_FILE || path.join(DATA_DIR, "events.jsonl");
+const EVENTS_LOG_FILE = FILES.eventsLog;
+const eventsLog = openSegmentedLog(getStorage(DATA_DIR), EVENTS_LOG_FILE);
 
-const ARTISTS_FILE =
-  process.env.ARTISTS_FILE || path.join(DATA_DIR, "artists.json");
+const ARTISTS_FILE = FILES.artists;
+
+// -------------------- Tunables (config.js "medals" + shared "weights") --------------------
+const CFG = getConfig("medals");
+const WEIGHTS = getConfig("weights");
 
-// -------------------- Tunables (Safe Defaults) --------------------
 // Medal scoring weights (same family as ranking)
-const WATCHMS_PER_POINT = parseInt(process.env.MEDALS_WATCHMS_PER_POINT || "10000", 10);
+const WATCHMS_PER_POINT = WEIGHTS.watchMsPerPoint;
 
-const W_VIEW = parseFloat(process.env.MEDALS_W_VIEW || "1.0");
-const W_REPLAY = parseFloat(process.env.MEDALS_W_REPLAY || "2.5");
-const W_LIKE = parseFloat(process.env.MEDALS_W_LIKE || "1.5");
-const W_SAVE = parseFloat(process.env.MEDALS_W_SAVE || "3.5");
-const W_SHARE = parseFloat(process.env.MEDALS_W_SHARE || "4.5");
-const W_FOLLOW = parseFloat(process.env.MEDALS_W_FOLLOW || "5.0");
-const W_COMMENT = parseFloat(process.env.MEDALS_W_COMMENT || "2.0");
-const W_VOTE = parseFloat(process.env.MEDALS_W_VOTE || "1.0");
+const W_VIEW = WEIGHTS.view;
+const W_REPLAY = WEIGHTS.replay;
+const W_LIKE = WEIGHTS.like;
+const W_SAVE = WEIGHTS.save;
+const W_SHARE = WEIGHTS.share;
+const W_FOLLOW = WEIGHTS.follow;
+const W_COMMENT = WEIGHTS.comment;
+const W_VOTE = WEIGHTS.vote;
 
 // Mild freshness floor so very old content doesn’t “die” for medals (prestige)
-const FRESHNESS_FLOOR = parseFloat(process.env.MEDALS_FRESHNESS_FLOOR || "0.65");
-const HALF_LIFE_HOURS = parseFloat(process.env.MEDALS_HALF_LIFE_HOURS || "24");
+const FRESHNESS_FLOOR = CFG.freshnessFloor;
+const HALF_LIFE_HOURS = CFG.halfLifeHours;
 
 // Medal tiers by percentile (when unlocked)
-const GOLD_TOP_PCT = parseFloat(process.env.MEDALS_GOLD_TOP_PCT || "0.05");
-const SILVER_TOP_PCT = parseFloat(process.env.MEDALS_SILVER_TOP_PCT || "0.20");
-const BRONZE_TOP_PCT = parseFloat(process.env.MEDALS_BRONZE_TOP_PCT || "0.50");
+const GOLD_TOP_PCT = CFG.goldTopPct;
+const SILVER_TOP_PCT = CFG.silverTopPct;
+const BRONZE_TOP_PCT = CFG.bronzeTopPct;
 
 // Certified default always true (locked mode)
-const CERTIFIED_REST = String(process.env.MEDALS_CERTIFIED_REST || "true") === "true";
+const CERTIFIED_REST = CFG.certifiedRest;
 
 // Unlock thresholds (prestige protection)
-const UNLOCK_MIN_TOTAL_VOTES = parseInt(process.env.MEDALS_UNLOCK_MIN_TOTAL_VOTES || "250", 10);
-const UNLOCK_MIN_UNIQUE_SESSIONS = parseInt(process.env.MEDALS_UNLOCK_MIN_UNIQUE_SESSIONS || "50", 10);
-const UNLOCK_MIN_ACTIVE_ARTISTS = parseInt(process.env.MEDALS_UNLOCK_MIN_ACTIVE_ARTISTS || "15", 10);
+const UNLOCK_MIN_TOTAL_VOTES = CFG.unlockMinTotalVotes;
+const UNLOCK_MIN_UNIQUE_SESSIONS = CFG.unlockMinUniqueSessions;
+const UNLOCK_MIN_ACTIVE_ARTISTS = CFG.unlockMinActiveArtists;
 
-// Render-safe tail reading
-const TAIL_KB = parseInt(process.env.MEDALS_TAIL_KB || "512", 10);
-const MAX_LINES = parseInt(process.env.MEDALS_MAX_LINES || "4000", 10);
+// Unique vote sessions are counted over a true time window (all segments), not a byte tail
+const SESSION_WINDOW_DAYS = CFG.sessionWindowDays;
 
 // Caching
-const CACHE_TTL_MS = parseInt(process.env.MEDALS_CACHE_TTL_MS || "30000", 10);
-const MAX_RETURN = parseInt(process.env.MEDALS_MAX_RETURN || "50", 10);
+const CACHE_TTL_MS = CFG.cacheTtlMs;
+const MAX_RETURN = CFG.maxReturn;
 
 // Router version
 const SERVICE = "medals";
@@ -128,54 +146,13 @@ async function readJsonSafe(filePath, fallback) {
   }
 }
 
-// Wrapper-aware extraction for artists.json
-function extractArtistsArray(parsed) {
-  if (!parsed) return [];
-  if (Array.isArray(parsed)) return parsed;
-
-  if (parsed && typeof parsed === "object") {
-    const candidates = ["artists", "data", "items", "results", "list"];
-    for (const k of candidates) {
-      const v = parsed[k];
-      if (Array.isArray(v)) return v;
-      if (v && typeof v === "object" && !Array.isArray(v)) {
-        const vals = Object.values(v).filter((x) => x && typeof x === "object");
-        if (vals.length) return vals;
-      }
-    }
-
-    // keyed object at top-level
-    const vals = Object.values(parsed).filter((x) => x && typeof x === "object");
-    if (vals.length && !(("id" in parsed) && ("name" in parsed))) {
-      return vals;
-    }
-  }
-
-  return [];
-}
-
+// Artist records by id (artistsStore.js normalises them on load)
 async function loadArtists() {
-  const base = { artists: [] };
-  const parsed = await readJsonSafe(ARTISTS_FILE, base);
-
-  const rawArr = extractArtistsArray(parsed);
-  const normalized = rawArr
-    .map((x) => ({
-      id: String(x?.id || "").trim(),
-      name: x?.name ?? null,
-      genre: x?.genre ?? null,
-      location: x?.location ?? null,
-      imageUrl: x?.imageUrl ?? null,
-      status: x?.status ?? "active",
-      createdAt: x?.createdAt ?? null,
-      updatedAt: x?.updatedAt ?? null,
-    }))
-    .filter((x) => x.id);
-
+  const artists = listArtists();
   const byId = {};
-  for (const a of normalized) byId[a.id] = a;
+  for (const a of artists) byId[a.id] = a;
 
-  return { ok: true, artists: normalized, byId };
+  return { ok: true, artists, byId };
 }
 
 async function loadAgg() {
@@ -198,41 +175,15 @@ async function loadAgg() {
 }
 
 // Tail-read jsonl (Render-safe)
-async function readJsonlTail(filePath, tailKb, maxLines) {
+async function readVoteWindow(days) {
   try {
-    const s = await fs.stat(filePath);
-    const size = s.size;
-    const bytes = Math.min(size, Math.max(8 * 1024, tailKb * 1024));
-
-    const fh = await fs.open(filePath, "r");
-    try {
-      const buf = Buffer.alloc(bytes);
-      await fh.read(buf, 0, bytes, size - bytes);
-
-      const text = buf.toString("utf8");
-      const lines = text
-        .split("\n")
-        .map((l) => l.trim())
-        .filter(Boolean);
-
-      const tail = lines.slice(-maxLines);
-
-      const events = [];
-      for (const line of tail) {
-        try {
-          const obj = JSON.parse(line);
-          if (obj && typeof obj === "object") events.push(obj);
-        } catch {
-          // ignore bad line
-        }
-      }
-
-      return { ok: true, events, linesParsed: tail.length, error: null };
-    } finally {
-      await fh.close();
-    }
+    const { events, meta } = await eventsLog.readRange({
+      fromMs: Date.now() - days * 24 * 60 * 60 * 1000,
+      filter: (ev) => String(ev?.type || "").toLowerCase().trim() === "vote",
+    });
+    return { ok: true, events, linesScanned: meta.linesScanned, segmentsScanned: meta.segmentsScanned, partial: meta.partial, error: null };
   } catch (e) {
-    return { ok: false, events: [], linesParsed: 0, error: e?.code || String(e) };
+    return { ok: false, events: [], linesScanned: 0, segmentsScanned: 0, partial: false, error: e?.code || String(e) };
   }
 }
 
@@ -377,6 +328,9 @@ function resetCache() {
   CACHE = { atMs: 0, unlockStatus: null, table: null, byArtist: null, meta: null };
 }
 
+// A vote changes the table now; don't serve the old one for the rest of the TTL.
+subscribe("medals.cache", ["vote.cast", "vote.undone"], () => resetCache(), { durable: false });
+
 function medalForRankPercentile(p01) {
   // p01 in [0,1), smaller is better
   if (p01 < GOLD_TOP_PCT) return MEDAL_STYLES.gold;
@@ -386,10 +340,10 @@ function medalForRankPercentile(p01) {
 }
 
 async function buildMedalTableInternal() {
-  const [artistsLoad, aggLoad, tail] = await Promise.all([
+  const [artistsLoad, aggLoad, voteWindow] = await Promise.all([
     loadArtists(),
     loadAgg(),
-    readJsonlTail(EVENTS_LOG_FILE, TAIL_KB, MAX_LINES),
+    readVoteWindow(SESSION_WINDOW_DAYS),
   ]);
 
   const artists = artistsLoad.ok ? artistsLoad.artists : [];
@@ -399,7 +353,7 @@ async function buildMedalTableInternal() {
   const byArtist = agg?.byArtist || {};
 
   const totalVotes = calcTotalVotesFromAgg(byArtist);
-  const uniqueVoteSessions = tail.ok ? calcUniqueVoteSessionsFromEvents(tail.events) : 0;
+  const uniqueVoteSessions = voteWindow.ok ? calcUniqueVoteSessionsFromEvents(voteWindow.events) : 0;
   const activeArtists = calcActiveArtists(artists);
 
   const unlockStatus = buildUnlockStatus({ totalVotes, uniqueVoteSessions, activeArtists });
@@ -521,10 +475,13 @@ async function buildMedalTableInternal() {
       eventsLog: {
         path: EVENTS_LOG_FILE,
         stat: await statOk(EVENTS_LOG_FILE),
-        tail: {
-          ok: tail.ok,
-          linesParsed: tail.linesParsed,
-          error: tail.error || null,
+        window: {
+          ok: voteWindow.ok,
+          days: SESSION_WINDOW_DAYS,
+          linesScanned: voteWindow.linesScanned,
+          segmentsScanned: voteWindow.segmentsScanned,
+          partial: voteWindow.partial,
+          error: voteWindow.error || null,
         },
       },
       artistsFile: {
@@ -571,8 +528,10 @@ async function buildMedalTableInternal() {
 
 async function getCachedTable() {
   if (cacheFresh() && CACHE.table && CACHE.byArtist && CACHE.unlockStatus) {
+    recordCacheLookup("medals", true);
     return { ok: true, ...CACHE };
   }
+  recordCacheLookup("medals", false);
 
   const built = await buildMedalTableInternal();
   CACHE.atMs = Date.now();
@@ -584,6 +543,46 @@ async function getCachedTable() {
   return { ok: true, ...CACHE };
 }
 
+// -------------------- Tier changes (medals.recompute) --------------------
+const TIERS_FILE = path.join(DATA_DIR, "medals", "tiers.json");
+const TIER_ORDER = ["unranked", "certified", "bronze", "silver", "gold", "platinum"];
+
+// The first run only records tiers; later runs notify upgrades to bronze and above
+async function notifyTierUpgrades(table) {
+  const storage = getStorage(DATA_DIR);
+  return withFileLock(storage, TIERS_FILE, async () => {
+    const prev = await storage.readJson(TIERS_FILE, null);
+    const tiers = {};
+    const upgraded = [];
+    for (const row of table || []) {
+      const tier = row?.medal?.tier || "unranked";
+      tiers[row.artistId] = tier;
+      const was = prev?.tiers?.[row.artistId] || "unranked";
+      if (prev && TIER_ORDER.indexOf(tier) > TIER_ORDER.indexOf(was) && TIER_ORDER.indexOf(tier) >= TIER_ORDER.indexOf("bronze")) {
+        upgraded.push({ artistId: row.artistId, tier, previousTier: was, rank: row.rank, medal: row.medal });
+      }
+    }
+    await storage.writeJson(TIERS_FILE, { version: 1, updatedAt: nowIso(), tiers });
+
+    for (const u of upgraded) {
+      await emitWebhook("medal.awarded", { kind: "tier", ...u }, { key: `medal.awarded:tier:${u.artistId}:${u.tier}:${nowIso().slice(0, 10)}` });
+    }
+    return upgraded.length;
+  });
+}
+
+registerJob({
+  id: "medals.recompute",
+  schedule: "*/15 * * * *",
+  description: "Rebuild the medal table and unlock status; notify tier upgrades.",
+  run: async () => {
+    resetCache();
+    const built = await getCachedTable();
+    const upgrades = await notifyTierUpgrades(built.table);
+    return { artists: built.table?.length || 0, medalsUnlocked: Boolean(built.unlockStatus?.medalsUnlocked), upgrades };
+  },
+});
+
 // -------------------- Exported helpers (for recs.js etc) --------------------
 export async function buildMedalTable() {
   const cached = await getCachedTable();
@@ -736,8 +735,12 @@ router.get("/table", async (req, res) => {
   });
 });
 
-// Cache buster (admin/internal)
-router.post("/_cache/reset", async (_req, res) => {
+// Cache buster (admin/internal): the next read rebuilds, like running medals.recompute
+api.post("/_cache/reset", {
+  summary: "Reset the medals cache",
+  auth: "admin",
+  permission: "jobs.run",
+}, attachPrincipal, requirePermission("jobs.run"), async (_req, res) => {
   resetCache();
   return res.json({ success: true, message: "Medals cache reset.", updatedAt: nowIso() });
 });
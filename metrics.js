@@ -0,0 +1,266 @@
+/**
+ * metrics.js (root) — ESM
+ * iBand Metrics (v1): in-process registry rendered in the Prometheus text format at GET /metrics.
+ *
+ * No external service: counters / gauges / histograms live in memory and reset on restart
+ * (Prometheus handles that through rate()/increase()).
+ *
+ * Series:
+ * - iband_http_requests_total{method,route,status}           every request, route = mount path + route path
+ * - iband_http_request_duration_seconds{method,route}         latency histogram
+ * - iband_http_errors_total{route,status,code}                4xx/5xx by the body's `code` (or `error`), else http_<status>
+ * - iband_ai_provider_errors_total{task,code}                 AI_PROVIDER_* failures (ai/StructuredAIProviderClient.js)
+ * - iband_cache_requests_total{cache,result}                  hit / miss for medals, flashMedals, ranking, recs, achievements
+ * - iband_jsonl_reads_total{file} / iband_jsonl_lines_scanned_total{file}
+ * - iband_jsonl_file_bytes{file} / iband_jsonl_lines{file}     sizes (storage/index.js collector)
+ * - iband_process_*                                           uptime + memory
+ *
+ * Unmatched requests are reported as route="unmatched"; a router-level middleware answer (auth,
+ * validation before any route matched) as route="<mount path>/*". Path parameters stay as
+ * ":roomId", so label sets stay bounded.
+ *
+ * Usage:
+ *   const hits = counter("iband_x_total", "Help text.", ["kind"]);
+ *   hits.inc({ kind: "a" });
+ *   registerCollector(async () => sizes.set({ file }, bytes));   // runs before every scrape
+ *   recordCacheLookup("ranking", hit);
+ *
+ * Config (config.js namespace "metrics"): IBAND_METRICS_ENABLED=false turns off the endpoint (404)
+ * and the request instrumentation.
+ */
+
+import { getConfig } from "./config.js";
+
+const VERSION = 1;
+
+export const DEFAULT_BUCKETS = Object.freeze([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+const METRICS = new Map(); // name -> metric
+const COLLECTORS = new Set();
+
+const CODE_RE = /^[A-Za-z][A-Za-z0-9_.-]{0,63}$/;
+
+/* -------------------- Registry -------------------- */
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((n) => (labels[n] === undefined || labels[n] === null ? "" : String(labels[n]))));
+}
+
+function register(type, name, help, labelNames, build) {
+  const existing = METRICS.get(name);
+  if (existing) {
+    if (existing.type !== type) throw new Error(`metrics: ${name} is already registered as a ${existing.type}.`);
+    return existing;
+  }
+  const metric = { type, name, help, labelNames: [...labelNames], series: new Map(), ...build };
+  METRICS.set(name, metric);
+  return metric;
+}
+
+function seriesFor(metric, labels, init) {
+  const key = labelKey(metric.labelNames, labels);
+  let s = metric.series.get(key);
+  if (!s) {
+    s = { values: JSON.parse(key), ...init() };
+    metric.series.set(key, s);
+  }
+  return s;
+}
+
+export function counter(name, help, labelNames = []) {
+  const metric = register("counter", name, help, labelNames, {});
+  return {
+    name,
+    inc(labels = {}, n = 1) {
+      if (!(n >= 0)) return;
+      seriesFor(metric, labels, () => ({ value: 0 })).value += n;
+    },
+  };
+}
+
+export function gauge(name, help, labelNames = []) {
+  const metric = register("gauge", name, help, labelNames, {});
+  return {
+    name,
+    set(labels = {}, v = 0) {
+      seriesFor(metric, labels, () => ({ value: 0 })).value = Number(v) || 0;
+    },
+    /** Drops every series (collectors call this when the label set is rebuilt per scrape). */
+    reset() {
+      metric.series.clear();
+    },
+  };
+}
+
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const metric = register("histogram", name, help, labelNames, { buckets: bounds });
+  return {
+    name,
+    observe(labels = {}, v = 0) {
+      const n = Number(v);
+      if (!Number.isFinite(n)) return;
+      const s = seriesFor(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+      metric.buckets.forEach((le, i) => {
+        if (n <= le) s.counts[i] += 1;
+      });
+      s.sum += n;
+      s.count += 1;
+    },
+  };
+}
+
+/** fn() (sync or async) runs before every render to refresh gauges. A throwing collector is skipped. */
+export function registerCollector(fn) {
+  COLLECTORS.add(fn);
+  return () => COLLECTORS.delete(fn);
+}
+
+/* -------------------- Text format -------------------- */
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function escapeHelp(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+}
+
+function labelText(names, values, extra = null) {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(`${extra[0]}="${escapeLabel(extra[1])}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function num(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return Number.isNaN(v) ? "NaN" : String(v);
+}
+
+export async function renderMetrics() {
+  for (const fn of COLLECTORS) {
+    try {
+      await fn();
+    } catch {
+      // a broken collector must not take the whole scrape down
+    }
+  }
+
+  const lines = [];
+  for (const m of [...METRICS.values()].sort((a, b) => a.name.localeCompare(b.name))) {
+    lines.push(`# HELP ${m.name} ${escapeHelp(m.help)}`);
+    lines.push(`# TYPE ${m.name} ${m.type}`);
+    for (const s of m.series.values()) {
+      if (m.type !== "histogram") {
+        lines.push(`${m.name}${labelText(m.labelNames, s.values)} ${num(s.value)}`);
+        continue;
+      }
+      m.buckets.forEach((le, i) => lines.push(`${m.name}_bucket${labelText(m.labelNames, s.values, ["le", num(le)])} ${s.counts[i]}`));
+      lines.push(`${m.name}_bucket${labelText(m.labelNames, s.values, ["le", "+Inf"])} ${s.count}`);
+      lines.push(`${m.name}_sum${labelText(m.labelNames, s.values)} ${num(s.sum)}`);
+      lines.push(`${m.name}_count${labelText(m.labelNames, s.values)} ${s.count}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/* -------------------- Built-in series -------------------- */
+
+const httpRequests = counter("iband_http_requests_total", "HTTP requests by method, route and status.", ["method", "route", "status"]);
+const httpDuration = histogram("iband_http_request_duration_seconds", "HTTP request latency by method and route.", ["method", "route"]);
+const httpErrors = counter("iband_http_errors_total", "HTTP 4xx/5xx responses by error code.", ["route", "status", "code"]);
+const cacheLookups = counter("iband_cache_requests_total", "Cache lookups by cache and result (hit|miss).", ["cache", "result"]);
+const aiErrors = counter("iband_ai_provider_errors_total", "Structured AI provider failures by task and code.", ["task", "code"]);
+
+const uptime = gauge("iband_process_uptime_seconds", "Seconds since the process started.");
+const memory = gauge("iband_process_memory_bytes", "Process memory by kind (rss, heapUsed, heapTotal, external).", ["kind"]);
+
+registerCollector(() => {
+  uptime.set({}, Math.floor(process.uptime()));
+  const mem = process.memoryUsage();
+  for (const kind of ["rss", "heapUsed", "heapTotal", "external"]) memory.set({ kind }, mem[kind]);
+});
+
+export function recordCacheLookup(cache, hit) {
+  cacheLookups.inc({ cache, result: hit ? "hit" : "miss" });
+}
+
+export function recordAiProviderError(task, code) {
+  aiErrors.inc({ task: task || "unknown", code: CODE_RE.test(String(code || "")) ? code : "AI_PROVIDER_FAILED" });
+}
+
+/* -------------------- Express -------------------- */
+
+function cfg() {
+  return getConfig("metrics");
+}
+
+function routeOf(req) {
+  const base = req.baseUrl || "";
+  const p = req.route?.path;
+  if (p === undefined) return base ? `${base}/*` : "unmatched";
+  const path = Array.isArray(p) ? p.join("|") : String(p);
+  return `${base}${path === "/" && base ? "" : path}` || "/";
+}
+
+function errorCodeOf(body, status) {
+  const code = typeof body?.code === "string" ? body.code : typeof body?.error === "string" ? body.error : "";
+  return CODE_RE.test(code) ? code : `http_${status}`;
+}
+
+/**
+ * App-level middleware (first in server.js): times every request and records route + error code
+ * once the response is finished.
+ */
+export function metricsMiddleware(req, res, next) {
+  if (!cfg().enabled) return next();
+
+  const started = process.hrtime.bigint();
+  let code = null;
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && code === null) code = errorCodeOf(body, res.statusCode);
+    return json(body);
+  };
+
+  res.on("finish", () => {
+    const route = routeOf(req);
+    const status = res.statusCode;
+    httpRequests.inc({ method: req.method, route, status });
+    httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+    if (status >= 400) httpErrors.inc({ route, status, code: code || `http_${status}` });
+  });
+  return next();
+}
+
+/** GET /metrics */
+export async function metricsHandler(req, res, next) {
+  if (!cfg().enabled) return next();
+  try {
+    const body = await renderMetrics();
+    res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).send(body);
+  } catch (e) {
+    return next(e);
+  }
+}
+
+export function describeMetrics() {
+  return { version: VERSION, enabled: cfg().enabled, metrics: METRICS.size, collectors: COLLECTORS.size };
+}
+
+export default {
+  counter,
+  gauge,
+  histogram,
+  registerCollector,
+  renderMetrics,
+  recordCacheLookup,
+  recordAiProviderError,
+  metricsMiddleware,
+  metricsHandler,
+  describeMetrics,
+};
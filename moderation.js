@@ -12,6 +12,18 @@
  * - GET  /api/moderation/status/fan/:fanId?scope=global&artistId=&roomId=
  * - POST /api/moderation/strike
  * - POST /api/moderation/unban
+ *
+ * Strike and unban are admin actions (permissions.js "moderation.strike" / "moderation.unban":
+ * moderator or super-admin). Reads stay open so rooms/forums can check a fan's status.
+ * Both are written to the admin audit log (adminAudit.js). Strike and ban lines carry the
+ * requestId of the admin request that wrote them (requestContext.js).
+ *
+ * Bans expire on their own (`until`); the scheduled job "moderation.expire-bans" (scheduler.js,
+ * every 10 min) also appends an inactive "expired" line for each ban whose period ended, so
+ * bans.jsonl shows when a ban stopped applying without re-deriving it.
+ *
+ * Request schemas (apiSchema.js) validate strike/unban bodies and the status query; errors use
+ * the shared envelope (validation_failed, payload_too_large).
  */
 
 import express from "express";
@@ -19,13 +31,25 @@ import crypto from "crypto";
 import fsp from "fs/promises";
 import path from "path";
 
+import { getConfig } from "./config.js";
+import { attachPrincipal } from "./identity.js";
+import { requirePermission } from "./permissions.js";
+import { recordAudit } from "./adminAudit.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+import { currentRequestId } from "./requestContext.js";
+import { registerJob } from "./scheduler.js";
+
 const router = express.Router();
 
-const DATA_DIR = process.env.IBAND_DATA_DIR || "/var/data/iband/db";
+const DATA_DIR = getConfig("core").dataDir;
 const MOD_DIR = path.join(DATA_DIR, "moderation");
 const STRIKES_FILE = path.join(MOD_DIR, "strikes.jsonl");
 const BANS_FILE = path.join(MOD_DIR, "bans.jsonl");
 
+// Strikes are segmented: the 3-strike rule reads its rolling window across rotated segments.
+const strikesLog = openSegmentedLog(getStorage(DATA_DIR), STRIKES_FILE);
+
 const LIMITS = {
   maxBodyBytes: 25_000,
   maxReadBytes: 20 * 1024 * 1024,
@@ -177,7 +201,8 @@ function normalizeStrikeBody(body) {
     severity,
     createdBy,
     dedupeKey,
-    suspendUntil: addHours(ts, POLICY.autoSuspendHours)
+    suspendUntil: addHours(ts, POLICY.autoSuspendHours),
+    requestId: currentRequestId()
   };
 }
 
@@ -193,23 +218,39 @@ function normalizeUnbanBody(body) {
   };
 }
 
-function validateStrike(evt) {
-  if (!evt.fanId) return { ok: false, message: "Missing fanId." };
-  if (!evt.scopeKey) return { ok: false, message: "Invalid scope." };
-  if (!evt.reasonCode) return { ok: false, message: "Missing reasonCode." };
-  return { ok: true };
-}
+const SCOPE = S.enumOf(ALLOWED_SCOPES);
+
+const STRIKE_BODY = S.obj(
+  {
+    fanId: S.id(120),
+    scope: SCOPE,
+    artistId: S.text(120),
+    roomId: S.text(120),
+    reasonCode: S.text(80),
+    message: S.text(1000),
+    evidence: S.text(2000),
+    severity: S.int(1, 3),
+    createdBy: S.text(120),
+    meta: S.map(),
+  },
+  ["fanId"]
+);
+
+const UNBAN_BODY = S.obj(
+  { fanId: S.id(120), scope: SCOPE, artistId: S.text(120), roomId: S.text(120), createdBy: S.text(120), note: S.text(1000) },
+  ["fanId"]
+);
 
 async function recentDuplicateStrike(dedupeKey, fanId, key) {
   const nowMs = Date.now();
-  const lines = await readJsonlLines(STRIKES_FILE, LIMITS.maxReadBytes);
+  const { events } = await strikesLog.readRange({ fromMs: nowMs - POLICY.dedupeWindowMs });
 
   let scanned = 0;
-  for (let i = lines.length - 1; i >= 0; i--) {
+  for (let i = events.length - 1; i >= 0; i--) {
     scanned += 1;
     if (scanned > 6000) break;
 
-    const evt = safeJson(lines[i]);
+    const evt = events[i];
     if (!evt || evt.type !== "strike") continue;
     if ((evt.fanId || "").toString().trim() !== fanId) continue;
     if ((evt.scopeKey || "") !== key) continue;
@@ -227,7 +268,9 @@ async function computeStatus({ fanId, scope, artistId, roomId }) {
   const key = scopeKey({ scope, artistId, roomId });
   const nowMs = Date.now();
 
-  const strikeLines = await readJsonlLines(STRIKES_FILE, LIMITS.maxReadBytes);
+  const { events: strikeEvents } = await strikesLog.readRange({
+    fromMs: nowMs - POLICY.strikeWindowDays * 24 * 60 * 60 * 1000
+  });
   const banLines = await readJsonlLines(BANS_FILE, LIMITS.maxReadBytes);
 
   let scannedStrikes = 0;
@@ -236,11 +279,11 @@ async function computeStatus({ fanId, scope, artistId, roomId }) {
   const strikes = [];
   let activeSuspensionUntil = null;
 
-  for (let i = strikeLines.length - 1; i >= 0; i--) {
+  for (let i = strikeEvents.length - 1; i >= 0; i--) {
     scannedStrikes += 1;
     if (scannedStrikes > LIMITS.maxLineScan) break;
 
-    const evt = safeJson(strikeLines[i]);
+    const evt = strikeEvents[i];
     if (!evt || evt.type !== "strike") continue;
     if ((evt.fanId || "").toString().trim() !== fanId) continue;
     if ((evt.scopeKey || "") !== key) continue;
@@ -308,9 +351,61 @@ async function computeStatus({ fanId, scope, artistId, roomId }) {
   };
 }
 
+// Latest ban line per fan + scope; an active one whose `until` has passed gets an "expired" line
+async function expireBans({ now = new Date() } = {}) {
+  const nowMs = now.getTime();
+  const banLines = await readJsonlLines(BANS_FILE, LIMITS.maxReadBytes);
+
+  const latest = new Map();
+  for (const line of banLines) {
+    const evt = safeJson(line);
+    if (!evt || evt.type !== "ban") continue;
+    latest.set(`${(evt.fanId || "").toString().trim()}|${evt.scopeKey || ""}`, evt);
+  }
+
+  const expired = [];
+  for (const ban of latest.values()) {
+    if (ban.active === false) continue;
+    const untilMs = parseUntil(ban.until);
+    if (!untilMs || untilMs > nowMs) continue;
+
+    const record = {
+      id: crypto.randomBytes(12).toString("hex"),
+      type: "ban",
+      ts: nowIso(),
+      fanId: ban.fanId,
+      scope: ban.scope,
+      scopeKey: ban.scopeKey,
+      artistId: ban.artistId || null,
+      roomId: ban.roomId || null,
+      reasonCode: "expired",
+      until: ban.until,
+      active: false,
+      expiredBanId: ban.id || null,
+      createdBy: "scheduler",
+      note: "Ban period ended",
+      requestId: currentRequestId()
+    };
+    await appendJsonl(BANS_FILE, record);
+    expired.push(record.expiredBanId);
+  }
+
+  return { scanned: banLines.length, expired: expired.length, banIds: expired.slice(0, 50) };
+}
+
+registerJob({
+  id: "moderation.expire-bans",
+  schedule: "*/10 * * * *",
+  description: "Record the end of bans whose period has passed.",
+  run: ({ now }) => expireBans({ now })
+});
+
 // ----------------------------
 // Routes
 // ----------------------------
+router.use(attachPrincipal);
+const api = describeRoutes(router, { tag: "moderation" });
+
 router.get("/health", async (req, res) => {
   await ensureDirs();
 
@@ -320,13 +415,16 @@ router.get("/health", async (req, res) => {
   try { strikesStat = await fsp.stat(STRIKES_FILE); } catch { strikesStat = null; }
   try { bansStat = await fsp.stat(BANS_FILE); } catch { bansStat = null; }
 
+  let strikeSegments = null;
+  try { strikeSegments = await strikesLog.stat(); } catch { strikeSegments = null; }
+
   return res.json({
     success: true,
     service: "moderation",
     phase: "H5.1",
     storageDir: MOD_DIR,
     files: {
-      strikes: { path: STRIKES_FILE, ok: !!strikesStat, size: strikesStat ? strikesStat.size : 0, mtimeMs: strikesStat ? strikesStat.mtimeMs : null },
+      strikes: { path: STRIKES_FILE, ok: !!strikesStat, size: strikesStat ? strikesStat.size : 0, mtimeMs: strikesStat ? strikesStat.mtimeMs : null, segments: strikeSegments },
       bans: { path: BANS_FILE, ok: !!bansStat, size: bansStat ? bansStat.size : 0, mtimeMs: bansStat ? bansStat.mtimeMs : null }
     },
     policy: POLICY,
@@ -335,9 +433,11 @@ router.get("/health", async (req, res) => {
   });
 });
 
-router.get("/status/fan/:fanId", async (req, res) => {
+api.get("/status/fan/:fanId", {
+  summary: "Strikes, suspension and ban status of a fan in one scope",
+  query: S.obj({ scope: SCOPE, artistId: S.text(120), roomId: S.text(120) }),
+}, async (req, res) => {
   const fanId = (req.params.fanId || "").toString().trim();
-  if (!fanId) return res.status(400).json({ success: false, error: "missing_fanId" });
 
   const scope = normalizeScope(req.query.scope);
   const artistId = (req.query.artistId || "").toString().trim();
@@ -347,13 +447,17 @@ router.get("/status/fan/:fanId", async (req, res) => {
   return res.json({ success: true, ...status });
 });
 
-router.post("/strike", async (req, res) => {
+api.post("/strike", {
+  summary: "Record a strike (auto-ban at the strike threshold)",
+  auth: "admin",
+  permission: "moderation.strike",
+  body: STRIKE_BODY,
+  responses: { 200: "Strike recorded, or deduplicated.", 413: "Body too large." },
+}, requirePermission("moderation.strike"), async (req, res) => {
   const bytes = bodyBytes(req.body);
-  if (bytes > LIMITS.maxBodyBytes) return res.status(413).json({ success: false, error: "payload_too_large" });
+  if (bytes > LIMITS.maxBodyBytes) return sendError(res, 413, "payload_too_large", "Strike body is too large.", { limit: LIMITS.maxBodyBytes });
 
-  const evt = normalizeStrikeBody(req.body || {});
-  const v = validateStrike(evt);
-  if (!v.ok) return res.status(400).json({ success: false, error: "validation_error", message: v.message });
+  const evt = normalizeStrikeBody(req.body);
 
   const dup = await recentDuplicateStrike(evt.dedupeKey, evt.fanId, evt.scopeKey);
   if (dup) {
@@ -367,7 +471,7 @@ router.post("/strike", async (req, res) => {
     });
   }
 
-  await appendJsonl(STRIKES_FILE, evt);
+  await strikesLog.append(evt);
 
   const status = await computeStatus({
     fanId: evt.fanId,
@@ -395,11 +499,18 @@ router.post("/strike", async (req, res) => {
       until: addDays(nowIso(), POLICY.banDays),
       active: true,
       createdBy: evt.createdBy || "system",
-      note: "Auto-ban: strike threshold reached"
+      note: "Auto-ban: strike threshold reached",
+      requestId: currentRequestId()
     };
     await appendJsonl(BANS_FILE, banRecord);
   }
 
+  await recordAudit(req, {
+    action: "moderation.strike",
+    target: { type: "fan", id: evt.fanId },
+    after: { strikeId: evt.id, scopeKey: evt.scopeKey, reasonCode: evt.reasonCode, severity: evt.severity, banId: banRecord?.id || null },
+  });
+
   return res.json({
     success: true,
     message: "Strike recorded.",
@@ -418,12 +529,17 @@ router.post("/strike", async (req, res) => {
   });
 });
 
-router.post("/unban", async (req, res) => {
+api.post("/unban", {
+  summary: "Lift a ban in one scope",
+  auth: "admin",
+  permission: "moderation.unban",
+  body: UNBAN_BODY,
+  responses: { 200: "Unban recorded.", 413: "Body too large." },
+}, requirePermission("moderation.unban"), async (req, res) => {
   const bytes = bodyBytes(req.body);
-  if (bytes > LIMITS.maxBodyBytes) return res.status(413).json({ success: false, error: "payload_too_large" });
+  if (bytes > LIMITS.maxBodyBytes) return sendError(res, 413, "payload_too_large", "Unban body is too large.", { limit: LIMITS.maxBodyBytes });
 
-  const body = normalizeUnbanBody(req.body || {});
-  if (!body.fanId) return res.status(400).json({ success: false, error: "missing_fanId" });
+  const body = normalizeUnbanBody(req.body);
 
   const key = scopeKey({ scope: body.scope, artistId: body.artistId, roomId: body.roomId });
 
@@ -439,11 +555,17 @@ router.post("/unban", async (req, res) => {
     reasonCode: "unban",
     until: nowIso(),
     active: false,
-    createdBy: body.createdBy || "admin",
-    note: body.note || null
+    createdBy: req.principal?.adminId || body.createdBy || "admin",
+    note: body.note || null,
+    requestId: currentRequestId()
   };
 
   await appendJsonl(BANS_FILE, record);
+  await recordAudit(req, {
+    action: "moderation.unban",
+    target: { type: "fan", id: body.fanId },
+    after: { banRecordId: record.id, scopeKey: key, note: record.note },
+  });
 
   return res.json({
     success: true,
@@ -0,0 +1,234 @@
+/**
+ * moduleManifest.js (root) — ESM
+ * iBand Module Manifest (v1)
+ *
+ * Declarative list of every router the backend can mount.
+ * server.js reads this at boot (startServer) instead of hard-coding mountRoute calls.
+ *
+ * Entry shape:
+ * {
+ *   id:        "votes",            // stable module id (used by dependsOn + /api report)
+ *   basePath:  "/api/votes",       // express mount path
+ *   file:      "./votes.js",       // import path relative to server.js
+ *   enabled:   true,               // false = skipped with reason "disabled"
+ *   version:   "4",                // declared module/router version (reported by /api)
+ *   dependsOn: ["events"],         // module ids that must be mounted first
+ *   note:      "..."               // optional operator note
+ * }
+ *
+ * Env overrides (comma separated module ids):
+ * - IBAND_MODULES_DISABLED=trends,recs   -> force-disable
+ * - IBAND_MODULES_ENABLED=commerce       -> force-enable (wins over manifest enabled:false)
+ */
+
+import { getConfig } from "./config.js";
+
+export const MODULE_MANIFEST_VERSION = 1;
+
+function m(id, basePath, file, version, dependsOn = [], extra = {}) {
+  return { id, basePath, file, enabled: true, version: String(version), dependsOn, ...extra };
+}
+
+export const MODULE_MANIFEST = [
+  // -------------------- Core / ingestion --------------------
+  m("identity", "/api/identity", "./identity.js", "1"),
+  m("artists", "/api/artists", "./artists.js", "3", [], {
+    note: "Also serves /api/artists/:artistId/tracks (tracks.js) and the artist side of verification (/:id/verification).",
+  }),
+  m("admin", "/api/admin", "./admin.js", "1", [], {
+    note: "Also serves /api/admin/artists (adminArtists.js) and /api/admin/comments (adminComments.js).",
+  }),
+  m("comments", "/api/comments", "./comments.js", "1"),
+  m("events", "/api/events", "./events.js", "1"),
+  m("votes", "/api/votes", "./votes.js", "5"),
+  m("shares", "/api/shares", "./shares.js", "2"),
+  m("monetisation", "/api/monetisation", "./monetisationSignals.js", "1"),
+  m("purchases", "/api/purchases", "./purchases.js", "4"),
+  m("commerce", "/api/commerce", "./commerce.js", "2", [], {
+    enabled: false,
+    note: "Superseded by purchases.js (same purchases.json ledger). Enable only for legacy clients.",
+  }),
+  m("achievements", "/api/achievements", "./achievements.js", "2"),
+  m("moderation", "/api/moderation", "./moderation.js", "1"),
+  m("webhooks", "/api/webhooks", "./webhooks.js", "1"),
+
+  // -------------------- Community / identity --------------------
+  m("fan-profiles", "/api/fan-profiles", "./fanProfiles.js", "1"),
+  m("rooms", "/api/rooms", "./rooms.js", "1"),
+  m("genres", "/api/genres", "./genres.js", "4"),
+  m("countries", "/api/countries", "./countries.js", "3"),
+  m("ambassadors", "/api/ambassadors", "./ambassadors.js", "1", ["shares", "monetisation"]),
+
+  // -------------------- Scoring engines --------------------
+  m("medals", "/api/medals", "./medals.js", "2", ["events"]),
+  m("flash-medals", "/api/flash-medals", "./flashMedals.js", "4", ["events"]),
+  m("ranking", "/api/ranking", "./ranking.js", "1", ["monetisation"]),
+  m("recs", "/api/recs", "./recs.js", "1", ["monetisation"]),
+  m("trends", "/api/trends", "./trends.js", "1", ["shares", "monetisation"]),
+  m("breakouts", "/api/breakout", "./breakouts.js", "1"),
+  m("breakout-alerts", "/api/breakout-alerts", "./breakoutAlerts.js", "1"),
+  m("breakout-explosions", "/api/breakout-explosions", "./breakoutExplosions.js", "1"),
+  m("breakout-probability", "/api/breakout-probability", "./breakoutProbability.js", "1"),
+  m("alerts", "/api/alerts", "./alerts.js", "1", ["breakouts"]),
+  m("explosion", "/api/explosion", "./explosion.js", "1", ["breakouts"]),
+  m("live-heat", "/api/live-heat", "./liveHeat.js", "1", ["breakouts"]),
+  m("radar", "/api/radar", "./radar.js", "1", ["breakouts"]),
+  m("map-feed", "/api/map-feed", "./mapFeed.js", "1", ["breakouts"]),
+  m("map-intelligence", "/api/map-intelligence", "./mapIntelligence.js", "1", ["breakouts"]),
+
+  // -------------------- Share-driven engines --------------------
+  m("fan-impact", "/api/fan-impact", "./fan-impact.js", "1", ["shares"]),
+  m("fan-power", "/api/fan-power", "./fan-power.js", "1", ["shares"]),
+  m("trend-starter", "/api/trend-starter", "./trend-starter.js", "1", ["shares"]),
+  m("surge-detector", "/api/surge-detector", "./surge-detector.js", "1", ["shares"]),
+  m("rising-now", "/api/rising-now", "./rising-now.js", "1", ["shares"]),
+  m("discovery-boost", "/api/discovery-boost", "./discovery-boost.js", "1", ["shares"]),
+
+  // -------------------- Discovery / map --------------------
+  m("discovery", "/api/discovery", "./discovery.js", "4", ["genres", "countries"]),
+  m("adventure", "/api/adventure", "./discoveryAdventure.js", "1"),
+  m("discovery-brain", "/api/discovery-brain", "./discoveryBrain.js", "1"),
+  m("discovery-map", "/api/discovery-map", "./discoveryMap.js", "1"),
+  m("momentum-charts", "/api/momentum-charts", "./momentum-charts.js", "1", ["genres"]),
+  m("cross-border", "/api/cross-border", "./cross-border.js", "1"),
+  m("cross-border-momentum", "/api/cross-border-momentum", "./cross-border-momentum.js", "1"),
+  m("country-engine", "/api/country-engine", "./countryEngine.js", "1"),
+  m("world-map", "/api/world-map", "./world-map.js", "1"),
+  m("map-activity", "/api/map-activity", "./mapActivity.js", "1"),
+  m("heat-map", "/api/heat-map", "./heatMap.js", "1"),
+  m("global-heatmap", "/api/global-heatmap", "./globalHeatmap.js", "1"),
+  m("global-radar", "/api/global-radar", "./globalRadar.js", "1"),
+  m("global-feed", "/api/global-feed", "./globalFeed.js", "1"),
+  m("global-momentum", "/api/global-momentum", "./globalMomentumBrain.js", "1"),
+  m("hidden-gems", "/api/hidden-gems", "./hiddenGems.js", "1"),
+  m("spin", "/api/spin", "./spin.js", "1"),
+  m("warp-drive", "/api/warp-drive", "./warpDrive.js", "1"),
+
+  // -------------------- Live / momentum surfaces --------------------
+  m("live-events", "/api/live-events", "./liveEvents.js", "1"),
+  m("viral-stream", "/api/viral-stream", "./viralStream.js", "1"),
+  m("shockwaves", "/api/shockwaves", "./shockwaves.js", "1"),
+  m("momentum-pulse", "/api/momentum-pulse", "./momentumPulse.js", "1"),
+  m("artist-momentum", "/api/artist-momentum", "./artistMomentum.js", "1"),
+  m("artist-ranking", "/api/artist-ranking", "./artistRanking.js", "1"),
+  m("activity-feed", "/api/activity-feed", "./activityFeed.js", "1"),
+  m("signal-weight", "/api/signal-weight", "./signalWeight.js", "1"),
+  m("fan-energy", "/api/fan-energy", "./fanEnergy.js", "1"),
+
+  // -------------------- Fan progression --------------------
+  m("xp", "/api/xp", "./xp.js", "1"),
+  m("missions", "/api/missions", "./missions.js", "1"),
+  m("rewards", "/api/rewards", "./rewards.js", "1"),
+  m("explorer-rank", "/api/explorer-rank", "./explorerRank.js", "1"),
+
+  // -------------------- Feeds --------------------
+  m("smart-feed", "/api/smart-feed", "./smartFeed.js", "1"),
+  m("personalised-feed", "/api/personalised-feed", "./personalisedFeed.js", "1"),
+  m("feed-diversity", "/api/feed-diversity", "./feedDiversity.js", "1"),
+  m("engagement-optimiser", "/api/engagement-optimiser", "./engagementOptimiser.js", "1"),
+  m("session-learning", "/api/session-learning", "./sessionLearning.js", "1"),
+  m("predictive-feed", "/api/predictive-feed", "./predictiveFeed.js", "1"),
+
+  // -------------------- Movie Mentor gateways --------------------
+  m("movie-mentor-semantic", "/api/movie-mentor-semantic", "./movieMentorSemantic.js", "2.1.0"),
+  m("movie-mentor-specialists", "/api/movie-mentor-specialists", "./movieMentorSpecialists.js", "1.0.0"),
+  m("movie-mentor-synthesis", "/api/movie-mentor-synthesis", "./movieMentorSynthesis.js", "1.0.0"),
+];
+
+/* -------------------- Helpers -------------------- */
+
+/**
+ * Returns the manifest with env overrides applied.
+ * Never mutates MODULE_MANIFEST.
+ */
+export function getModuleManifest(env = process.env) {
+  const { disabled, enabled: forced } = getConfig("modules", env);
+  const forceOff = new Set(disabled);
+  const forceOn = new Set(forced);
+
+  return MODULE_MANIFEST.map((entry) => {
+    let enabled = entry.enabled !== false;
+    if (forceOff.has(entry.id)) enabled = false;
+    if (forceOn.has(entry.id)) enabled = true;
+    return { ...entry, dependsOn: [...(entry.dependsOn || [])], enabled };
+  });
+}
+
+/**
+ * Static checks that do not need any imports:
+ * - duplicate ids
+ * - duplicate basePaths
+ * - dependsOn pointing at unknown ids
+ * Returns { ok, issues: [{ id, code, detail }] }
+ */
+export function validateModuleManifest(manifest) {
+  const issues = [];
+  const ids = new Set();
+  const paths = new Map();
+
+  for (const entry of manifest) {
+    if (!entry.id || !entry.basePath || !entry.file) {
+      issues.push({ id: entry.id || null, code: "invalid_entry", detail: "id, basePath and file are required." });
+      continue;
+    }
+    if (ids.has(entry.id)) issues.push({ id: entry.id, code: "duplicate_id", detail: entry.id });
+    ids.add(entry.id);
+
+    if (paths.has(entry.basePath)) {
+      issues.push({ id: entry.id, code: "base_path_conflict", detail: `${entry.basePath} already used by ${paths.get(entry.basePath)}` });
+    } else {
+      paths.set(entry.basePath, entry.id);
+    }
+  }
+
+  for (const entry of manifest) {
+    for (const dep of entry.dependsOn || []) {
+      if (!ids.has(dep)) issues.push({ id: entry.id, code: "unknown_dependency", detail: dep });
+    }
+  }
+
+  return { ok: issues.length === 0, issues };
+}
+
+/**
+ * Orders modules so dependencies mount before dependents (stable: keeps manifest order otherwise).
+ * Entries caught in a dependency cycle are returned in `cyclic` instead of `ordered`.
+ */
+export function orderModules(manifest) {
+  const byId = new Map(manifest.map((e) => [e.id, e]));
+  const state = new Map(); // id -> "visiting" | "done"
+  const ordered = [];
+  const cyclic = new Set();
+
+  function visit(entry, trail) {
+    const st = state.get(entry.id);
+    if (st === "done") return;
+    if (st === "visiting") {
+      trail.slice(trail.indexOf(entry.id)).forEach((id) => cyclic.add(id));
+      return;
+    }
+
+    state.set(entry.id, "visiting");
+    for (const dep of entry.dependsOn || []) {
+      const target = byId.get(dep);
+      if (target) visit(target, [...trail, entry.id]);
+    }
+    state.set(entry.id, "done");
+    ordered.push(entry);
+  }
+
+  for (const entry of manifest) visit(entry, []);
+
+  return {
+    ordered: ordered.filter((e) => !cyclic.has(e.id)),
+    cyclic: manifest.filter((e) => cyclic.has(e.id)),
+  };
+}
+
+export default {
+  MODULE_MANIFEST_VERSION,
+  MODULE_MANIFEST,
+  getModuleManifest,
+  validateModuleManifest,
+  orderModules,
+};
@@ -2,18 +2,16 @@ import express from "express";
 import fs from "fs";
 import path from "path";
 
+import { getConfig } from "./config.js";
+import { listArtists, getStorageMeta } from "./artistsStore.js";
+
 const router = express.Router();
 
 const SERVICE = "momentum-charts";
 const PHASE = "H18";
 const VERSION = 1;
 
-const DATA_DIR = "/var/data/iband/db";
-
-const ARTISTS_FILE_CANDIDATES = [
-  path.join(DATA_DIR, "artists", "artists.json"),
-  path.join(DATA_DIR, "artists.json")
-];
+const DATA_DIR = getConfig("core").dataDir;
 
 const GENRES_FILE = path.join(DATA_DIR, "genres", "genres.json");
 
@@ -38,15 +36,6 @@ function readJSON(file) {
   }
 }
 
-function readArtists() {
-  for (const file of ARTISTS_FILE_CANDIDATES) {
-    if (fs.existsSync(file)) {
-      return readJSON(file);
-    }
-  }
-  return [];
-}
-
 function artistPopularityScore(artist) {
   const counters = artist?.counters || {};
 
@@ -112,7 +101,7 @@ router.get("/health", (req, res) => {
     phase: PHASE,
     version: VERSION,
     files: {
-      artistsCandidates: ARTISTS_FILE_CANDIDATES,
+      artistsFile: getStorageMeta().dbFile,
       genres: {
         path: GENRES_FILE,
         ok: fs.existsSync(GENRES_FILE)
@@ -127,7 +116,7 @@ Artist Momentum Charts
 */
 router.get("/artists", (req, res) => {
   try {
-    const artists = readArtists();
+    const artists = listArtists();
 
     const list = artists
       .map((artist) => {
@@ -19,6 +19,15 @@
  * - POST /api/monetisation/signal
  * - POST /api/monetisation/record
  * - POST /api/monetisation/ingest
+ *
+ * track_purchase signals must name a catalogued track of that artist (tracks.js), else 404 track_not_found.
+ *
+ * Retries: all four POST aliases honour one Idempotency-Key scope (idempotency.js), so a retried
+ * signal replays the first response instead of being appended twice.
+ *
+ * The POST body is declared once (SIGNAL_BODY, apiSchema.js) for all four aliases; errors use the
+ * shared envelope. The buyer may be sent as fanId, buyerFanId or userId, so "one of them" is checked
+ * in validateSignal.
  */
 
 import express from "express";
@@ -26,16 +35,29 @@ import crypto from "crypto";
 import fsp from "fs/promises";
 import path from "path";
 
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+import { publish, registerSource } from "./eventBus.js";
+import { idempotent } from "./idempotency.js";
+import { currentRequestId } from "./requestContext.js";
+import { getTrack } from "./artistsStore.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+
 const router = express.Router();
+const api = describeRoutes(router, { tag: "monetisation" });
 
 // ----------------------------
 // Persistent storage
 // ----------------------------
-const DATA_DIR = process.env.IBAND_DATA_DIR || "/var/data/iband/db";
+const DATA_DIR = getConfig("core").dataDir;
 const MON_DIR = path.join(DATA_DIR, "monetisation");
 const EVENTS_DIR = path.join(MON_DIR, "events");
 const MON_JSONL = path.join(EVENTS_DIR, "monetisation-signals.jsonl");
 
+// Segmented: ranking / trends / ambassadors read time windows across rotated segments.
+const signalsLog = openSegmentedLog(getStorage(DATA_DIR), MON_JSONL);
+registerSource("monetisation", signalsLog);
+
 // ----------------------------
 // Limits
 // ----------------------------
@@ -104,11 +126,6 @@ function safeJsonParse(line) {
   }
 }
 
-async function appendJsonl(filePath, obj) {
-  await ensureDirs();
-  await fsp.appendFile(filePath, JSON.stringify(obj) + "\n", "utf8");
-}
-
 function normalizeSignal(body) {
   const ts = body.ts ? new Date(body.ts) : new Date();
   const tsIso = isNaN(ts.getTime()) ? new Date().toISOString() : ts.toISOString();
@@ -196,6 +213,13 @@ router.get("/health", async (req, res) => {
     stat = null;
   }
 
+  let segments = null;
+  try {
+    segments = await signalsLog.stat();
+  } catch {
+    segments = null;
+  }
+
   return res.json({
     success: true,
     service: "monetisation",
@@ -206,6 +230,7 @@ router.get("/health", async (req, res) => {
       size: stat ? stat.size : 0,
       mtimeMs: stat ? stat.mtimeMs : null
     },
+    segments,
     weightsVersion: WEIGHTS.version,
     ts: nowIso()
   });
@@ -221,16 +246,20 @@ router.get("/weights", async (req, res) => {
 async function handleRecord(req, res) {
   const bytes = bodyBytes(req.body);
   if (bytes > LIMITS.maxBodyBytes) {
-    return res.status(413).json({ success: false, error: "payload_too_large" });
+    return sendError(res, 413, "payload_too_large", `Signals are limited to ${LIMITS.maxBodyBytes} bytes.`);
   }
 
   const evt = normalizeSignal(req.body || {});
   const v = validateSignal(evt);
-  if (!v.ok) {
-    return res.status(400).json({ success: false, error: "validation_error", message: v.message });
+  if (!v.ok) return sendError(res, 400, "validation_failed", v.message);
+  if (evt.type === "track_purchase" && !getTrack(evt.artistId, evt.trackId)) {
+    return sendError(res, 404, "track_not_found", `Unknown track '${evt.trackId}' for artist '${evt.artistId}'.`);
   }
 
-  await appendJsonl(MON_JSONL, evt);
+  evt.requestId = currentRequestId(); // not part of the id hash: a retried signal keeps its id
+
+  await signalsLog.append(evt);
+  publish("monetisation.signal", evt);
 
   return res.json({
     success: true,
@@ -248,10 +277,34 @@ async function handleRecord(req, res) {
   });
 }
 
+const SIGNAL_BODY = S.obj({
+  id: S.text(120),
+  type: S.id(60),
+  ts: S.text(40),
+  artistId: S.id(),
+  trackId: S.text(120),
+  albumId: S.text(120),
+  fanId: S.text(120),
+  buyerFanId: S.text(120),
+  userId: S.text(120),
+  amountMinor: S.num(),
+  currency: S.text(8),
+  ref: S.text(200),
+  meta: S.map()
+}, ["type", "artistId"]);
+
+const signalSpec = (summary) => ({
+  summary,
+  body: SIGNAL_BODY,
+  responses: { 200: "Signal recorded.", 404: "Track not found.", 413: "Signal too large." }
+});
+
 // Canonical + aliases (so we never get blocked by routing again)
-router.post("/", handleRecord);
-router.post("/signal", handleRecord);
-router.post("/record", handleRecord);
-router.post("/ingest", handleRecord);
+const once = idempotent("monetisation.signal");
+
+api.post("/", signalSpec("Record a monetisation signal"), once, handleRecord);
+api.post("/signal", signalSpec("Record a monetisation signal (alias of POST /)"), once, handleRecord);
+api.post("/record", signalSpec("Record a monetisation signal (alias of POST /)"), once, handleRecord);
+api.post("/ingest", signalSpec("Record a monetisation signal (alias of POST /)"), once, handleRecord);
 
 export default router;
\ No newline at end of file
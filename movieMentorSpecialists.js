@@ -1,8 +1,10 @@
 import express from "express";
 import { executeMovieMentorSpecialistPlan, MOVIE_MENTOR_SPECIALIST_EXECUTOR_VERSION, SPECIALIST_CONTRACT_VERSION } from "./ai/MovieMentorSpecialistExecutor.js";
 import { getStructuredAIProviderConfig, getStructuredAIProviderConfigurationIssues } from "./ai/StructuredAIProviderClient.js";
+import { describeRoutes, S } from "./apiSchema.js";
 
 const router=express.Router();
+const api=describeRoutes(router,{tag:"movie-mentor"});
 const SPECIALIST_GATEWAY_VERSION="1.0.0";
 function cleanString(value){return typeof value==="string"?value.trim():"";}
 function safeProviderStatus(){const c=getStructuredAIProviderConfig();const issues=getStructuredAIProviderConfigurationIssues(c);return {configured:issues.length===0,readiness:issues.length===0?"ready":"configuration-required",configurationIssues:issues,providerName:c.provider||null,model:c.model||null,modelConfigured:Boolean(c.model),apiKeyConfigured:Boolean(c.key),baseUrlConfigured:Boolean(c.url),timeoutMs:c.timeoutMs};}
@@ -10,7 +12,11 @@ function statusForCode(code){if(code==="SPECIALIST_WORK_ORDER_INVALID")return 40
 
 router.get("/health",(req,res)=>res.json({success:true,service:"movie-mentor-specialist-gateway",version:SPECIALIST_GATEWAY_VERSION,executorVersion:MOVIE_MENTOR_SPECIALIST_EXECUTOR_VERSION,contractVersion:SPECIALIST_CONTRACT_VERSION,...safeProviderStatus(),liveAgents:["story","character"],extensionAgents:["scene","cinematography","continuity","sound-music","production"],authority:{creatorTruthDominates:true,specialistsAreMentorProvisional:true,specialistsMayAdvanceJourney:false,specialistsMaySpeakDirectlyToCreator:false,mentorMustSynthesize:true}}));
 
-router.post("/execute",async(req,res)=>{
+// Shape only: a plan without workOrders keeps its own SPECIALIST_PLAN_REQUIRED answer below.
+const PLAN=S.obj({workOrders:S.arr(S.map())});
+const EXECUTE_BODY=S.obj({plan:PLAN,workOrders:S.arr(S.map())});
+
+api.post("/execute",{summary:"Run a specialist agent plan",body:EXECUTE_BODY},async(req,res)=>{
   const plan=req.body&&typeof req.body==="object"?req.body?.plan||req.body:{};
   if(!Array.isArray(plan?.workOrders))return res.status(400).json({success:false,code:"SPECIALIST_PLAN_REQUIRED",message:"A specialist agent plan with workOrders is required."});
   try{const result=await executeMovieMentorSpecialistPlan(plan);return res.json({success:true,...result,metadata:{specialistGatewayVersion:SPECIALIST_GATEWAY_VERSION,specialistExecutorVersion:MOVIE_MENTOR_SPECIALIST_EXECUTOR_VERSION,specialistContractVersion:SPECIALIST_CONTRACT_VERSION}});}catch(error){const code=cleanString(error?.code)||"SPECIALIST_EXECUTION_FAILED";return res.status(statusForCode(code)).json({success:false,code,message:error instanceof Error?error.message:"Specialist execution failed.",providerFailureCategory:cleanString(error?.providerFailureCategory)||null,retryable:error?.retryable===true,configurationIssues:Array.isArray(error?.configurationIssues)?error.configurationIssues:[],validationIssues:Array.isArray(error?.validationIssues)?error.validationIssues:[],authority:{creatorTruthDominates:true,specialistsAreMentorProvisional:true,specialistsMayAdvanceJourney:false,specialistsMaySpeakDirectlyToCreator:false}});}
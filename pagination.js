@@ -0,0 +1,170 @@
+/**
+ * pagination.js (root) — ESM
+ * iBand Cursor Pagination (v1): opaque, stable cursors for list endpoints.
+ *
+ * Every paginated list is ordered by (createdAt, id) — newest first unless the route allows
+ * order=asc — so a page boundary never depends on array position and items created between
+ * two requests never shift or repeat a page.
+ *
+ * Request:  ?limit=20&cursor=<nextCursor from the previous page>
+ * Response: { ..., nextCursor: "<opaque>" | null, hasMore }
+ *
+ * Cursor = base64url JSON { v, o: order, t: createdAt ms, i: id, s: scope hash }.
+ * The scope hash ties a cursor to the filters it was issued for (artistId, roomId, ...):
+ * a cursor replayed against other filters, another order or a garbled string is
+ * 400 invalid_cursor (apiSchema.js envelope). The order travels in the cursor, so follow-up
+ * requests don't have to repeat it.
+ *
+ * Routers:
+ *   const page = readPage(req.query, { defaultLimit: 20, maxLimit: 100, scope: { artistId } });
+ *   if (page.error) return sendPageError(res, page.error);
+ *   const out = paginate(items, page, (c) => ({ at: c.createdAt, id: c.id }));
+ *   res.json({ success: true, comments: out.items, nextCursor: out.nextCursor, hasMore: out.hasMore });
+ */
+
+import crypto from "crypto";
+
+import { sendError, S } from "./apiSchema.js";
+
+const CURSOR_VERSION = 1;
+const ORDERS = ["desc", "asc"];
+
+/** Query schema fragment for describeRoutes specs (limit is clamped, not rejected, above maxLimit). */
+export const PAGE_QUERY = Object.freeze({
+  limit: S.int(1),
+  cursor: S.text(512),
+});
+
+export const PAGE_QUERY_ORDERED = Object.freeze({ ...PAGE_QUERY, order: S.enumOf(ORDERS) });
+
+/* -------------------- Keys -------------------- */
+
+function toMs(v) {
+  if (typeof v === "number" && Number.isFinite(v)) return v;
+  const t = Date.parse(String(v || ""));
+  return Number.isFinite(t) ? t : 0;
+}
+
+/** Normalised sort key of an item: { t: ms, i: id }. */
+function keyFrom(k) {
+  return { t: toMs(k?.at), i: String(k?.id ?? "") };
+}
+
+/** -1 / 0 / 1 on (createdAt, id), ascending. */
+export function compareKeys(a, b) {
+  if (a.t !== b.t) return a.t < b.t ? -1 : 1;
+  if (a.i === b.i) return 0;
+  return a.i < b.i ? -1 : 1;
+}
+
+function scopeHash(scope) {
+  const entries = Object.entries(scope || {})
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+  if (!entries.length) return "";
+  return crypto.createHash("sha1").update(JSON.stringify(entries)).digest("hex").slice(0, 10);
+}
+
+/* -------------------- Cursors -------------------- */
+
+export function encodeCursor(key, { order = "desc", scope = null } = {}) {
+  const k = keyFrom(key);
+  const doc = { v: CURSOR_VERSION, o: order, t: k.t, i: k.i };
+  const s = typeof scope === "string" ? scope : scopeHash(scope);
+  if (s) doc.s = s;
+  return Buffer.from(JSON.stringify(doc), "utf8").toString("base64url");
+}
+
+/** Returns { ok: true, order, key: { t, i }, scope } or { ok: false }. */
+export function decodeCursor(cursor) {
+  try {
+    const doc = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (doc?.v !== CURSOR_VERSION || !ORDERS.includes(doc.o)) return { ok: false };
+    if (!Number.isFinite(doc.t) || typeof doc.i !== "string") return { ok: false };
+    return { ok: true, order: doc.o, key: { t: doc.t, i: doc.i }, scope: doc.s || "" };
+  } catch {
+    return { ok: false };
+  }
+}
+
+/* -------------------- Requests -------------------- */
+
+/**
+ * Reads limit / cursor / order from a query.
+ * Returns { limit, order, after, scope } (after = decoded cursor key or null) or { error }.
+ * allowOrder: false pins the order to defaultOrder (routes that never offered order=asc).
+ */
+export function readPage(query = {}, { defaultLimit = 20, maxLimit = 100, defaultOrder = "desc", allowOrder = false, scope = null } = {}) {
+  const n = Number.parseInt(String(query.limit ?? ""), 10);
+  const limit = Math.max(1, Math.min(maxLimit, Number.isFinite(n) ? n : defaultLimit));
+  const scopeKey = scopeHash(scope);
+
+  let order = defaultOrder;
+  if (allowOrder && ORDERS.includes(String(query.order || "").toLowerCase())) order = String(query.order).toLowerCase();
+
+  const raw = typeof query.cursor === "string" ? query.cursor.trim() : "";
+  if (!raw) return { limit, order, after: null, scope: scopeKey };
+
+  const c = decodeCursor(raw);
+  if (!c.ok) return { error: { code: "invalid_cursor", message: "cursor is not a cursor issued by this endpoint." } };
+  if (c.scope !== scopeKey) {
+    return { error: { code: "invalid_cursor", message: "cursor was issued for different filters; start again without it." } };
+  }
+  if (allowOrder && query.order && c.order !== order) {
+    return { error: { code: "invalid_cursor", message: `cursor was issued for order=${c.order}.` } };
+  }
+  return { limit, order: c.order, after: c.key, scope: scopeKey };
+}
+
+export function sendPageError(res, error) {
+  return sendError(res, 400, error.code, error.message);
+}
+
+/* -------------------- Paging -------------------- */
+
+/** True when key comes after the cursor key in the page order. */
+export function isAfter(key, page) {
+  if (!page.after) return true;
+  const cmp = compareKeys(keyFrom(key), page.after);
+  return page.order === "asc" ? cmp > 0 : cmp < 0;
+}
+
+function sortKeyed(list, keyOf, dir) {
+  return (Array.isArray(list) ? list : [])
+    .filter(Boolean)
+    .map((item) => ({ item, key: keyFrom(keyOf(item)) }))
+    .sort((a, b) => dir * compareKeys(a.key, b.key));
+}
+
+/** A copy of list in page order ("desc": newest first by (at, id)). */
+export function sortByKey(list, keyOf, order = "desc") {
+  return sortKeyed(list, keyOf, order === "asc" ? 1 : -1).map((x) => x.item);
+}
+
+/**
+ * One page of an in-memory list.
+ * keyOf(item) -> { at, id }. Items are sorted by (at, id) in page.order; the input is not mutated.
+ * Returns { items, nextCursor, hasMore, limit, order }.
+ */
+export function paginate(list, page, keyOf) {
+  const dir = page.order === "asc" ? 1 : -1;
+  const keyed = sortKeyed(list, keyOf, dir);
+
+  const start = page.after
+    ? keyed.findIndex(({ key }) => dir * compareKeys(key, page.after) > 0)
+    : 0;
+  const rest = start < 0 ? [] : keyed.slice(start);
+  const slice = rest.slice(0, page.limit);
+  const hasMore = rest.length > slice.length;
+  const last = slice[slice.length - 1];
+
+  return {
+    items: slice.map((x) => x.item),
+    nextCursor: hasMore && last ? encodeCursor({ at: last.key.t, id: last.key.i }, { order: page.order, scope: page.scope }) : null,
+    hasMore,
+    limit: page.limit,
+    order: page.order,
+  };
+}
+
+export default { PAGE_QUERY, PAGE_QUERY_ORDERED, compareKeys, encodeCursor, decodeCursor, readPage, sendPageError, isAfter, sortByKey, paginate };
@@ -0,0 +1,137 @@
+/**
+ * permissions.js (root) — ESM
+ * iBand admin roles + per-route permission checks.
+ *
+ * Roles (carried in the "roles" claim of an admin identity token, see identity.js):
+ * - viewer          read-only admin dashboards
+ * - moderator       comment moderation, strikes/unbans
+ * - artist-manager  artist review + catalog edits
+ * - super-admin     everything, including destructive seed/reset and token minting
+ *
+ * Who gets which roles:
+ * - admin token      its known roles; an admin token without any is a viewer
+ * - x-admin-key      super-admin (the shared ADMIN_KEY predates roles)
+ * - ADMIN_KEY unset  dev-open: super-admin, as before
+ *
+ * Routes declare what they need: router.post("/reset", requirePermission("comments.reset"), ...).
+ * req.principal must already be attached (identity.js attachPrincipal).
+ * Unauthenticated -> 401 admin_required, authenticated without the permission -> 403 forbidden with
+ * details: { permission, roles } (apiSchema.js envelope).
+ *
+ * GET /api/admin/permissions (admin.js) serves permissionMatrix().
+ */
+
+import { getConfig } from "./config.js";
+import { sendError } from "./apiSchema.js";
+
+export const ROLES = Object.freeze(["viewer", "moderator", "artist-manager", "super-admin"]);
+
+const ALL = ROLES;
+const MOD = ["moderator", "super-admin"];
+const ARTISTS = ["artist-manager", "super-admin"];
+const SUPER = ["super-admin"];
+
+/** permission -> { roles, description }. super-admin is listed explicitly so the matrix reads on its own. */
+export const PERMISSIONS = Object.freeze({
+  "admin.read": { roles: ALL, description: "Admin health, own roles, permission matrix." },
+  "config.read": { roles: SUPER, description: "Effective configuration (GET /api/admin/config)." },
+  "storage.read": { roles: ALL, description: "Storage metadata (GET /api/admin/core/storage)." },
+
+  "artists.read": { roles: ALL, description: "List and read artists and their revisions in the admin API." },
+  "artists.review": { roles: ARTISTS, description: "Approve, reject, suspend, unsuspend, set status; assign reviewers and confirm identity." },
+  "artists.write": { roles: ARTISTS, description: "Create, replace, patch and revert artists; edit any profile through /api/artists." },
+  "artists.delete": { roles: ARTISTS, description: "Delete an artist (admin API and DELETE /api/artists/:id)." },
+  "artists.seed": { roles: SUPER, description: "Seed demo artists." },
+  "artists.reset": { roles: SUPER, description: "Remove every artist except the demo seed." },
+  "tracks.write": { roles: ARTISTS, description: "Add and edit tracks (POST/PATCH /api/artists/:artistId/tracks)." },
+  "tracks.delete": { roles: ARTISTS, description: "Remove a track." },
+
+  "comments.read": { roles: ALL, description: "List and read comments in the admin API." },
+  "comments.moderate": { roles: MOD, description: "Approve/hide/reject and edit (PATCH), flag, clear flags, bulk status." },
+  "comments.write": { roles: MOD, description: "Create comments." },
+  "comments.delete": { roles: MOD, description: "Delete comments (single or bulk)." },
+  "comments.seed": { roles: SUPER, description: "Seed demo comments." },
+  "comments.reset": { roles: SUPER, description: "Delete all comments." },
+
+  "moderation.strike": { roles: MOD, description: "Record a strike against a fan." },
+  "moderation.unban": { roles: MOD, description: "Lift a ban." },
+
+  "audit.read": { roles: SUPER, description: "Read and verify the admin audit log." },
+
+  "ratelimits.read": { roles: ALL, description: "Rate-limit policies and buckets (GET /api/admin/rate-limits)." },
+  "ratelimits.reset": { roles: MOD, description: "Reset rate-limit buckets for a caller or a policy." },
+
+  "jobs.read": { roles: ALL, description: "Scheduled jobs, next runs and last-run records (GET /api/admin/jobs)." },
+  "jobs.run": { roles: SUPER, description: "Run a scheduled job now." },
+
+  "webhooks.read": { roles: ALL, description: "Webhook subscriptions, delivery log and dead letters." },
+  "webhooks.manage": { roles: SUPER, description: "Create, edit, delete and test webhooks; retry dead letters." },
+
+  "identity.issue": { roles: SUPER, description: "Mint identity tokens (POST /api/identity/tokens)." },
+});
+
+function safeStr(v, max = 512) {
+  if (v === null || v === undefined) return "";
+  return String(v).trim().slice(0, max);
+}
+
+function knownRoles(list) {
+  const roles = (Array.isArray(list) ? list : []).map((r) => safeStr(r, 40).toLowerCase());
+  return ROLES.filter((r) => roles.includes(r));
+}
+
+/**
+ * Who is calling the admin API and with which roles.
+ * Returns { ok, mode: "token" | "locked" | "dev-open", roles }.
+ */
+export function adminAccess(req) {
+  const p = req.principal;
+  if (p?.kind === "admin") {
+    const roles = knownRoles(p.roles);
+    return { ok: true, mode: "token", roles: roles.length ? roles : ["viewer"] };
+  }
+
+  const configuredKey = getConfig("admin").key;
+  if (!configuredKey) return { ok: true, mode: "dev-open", roles: [...SUPER] };
+  if (safeStr(req.headers?.["x-admin-key"]) === configuredKey) return { ok: true, mode: "locked", roles: [...SUPER] };
+  return { ok: false, mode: "locked", roles: [] };
+}
+
+export function can(roles, permission) {
+  const entry = PERMISSIONS[permission];
+  if (!entry) return false;
+  return (Array.isArray(roles) ? roles : []).some((r) => entry.roles.includes(r));
+}
+
+export function permissionsFor(roles) {
+  return Object.keys(PERMISSIONS).filter((perm) => can(roles, perm));
+}
+
+/** Express middleware: 401 without admin access, 403 when no role grants `permission`. */
+export function requirePermission(permission) {
+  if (!PERMISSIONS[permission]) throw new Error(`requirePermission: unknown permission "${permission}".`);
+
+  return function permissionGuard(req, res, next) {
+    const access = adminAccess(req);
+    if (!access.ok) {
+      return sendError(res, 401, "admin_required", "Unauthorized (admin token or valid x-admin-key required).", { mode: access.mode });
+    }
+
+    if (!can(access.roles, permission)) {
+      return sendError(res, 403, "forbidden", `Forbidden: "${permission}" needs one of: ${PERMISSIONS[permission].roles.join(", ")}.`, {
+        details: { permission, roles: access.roles },
+      });
+    }
+
+    req._adminMode = access.mode;
+    req.adminRoles = access.roles;
+    return next();
+  };
+}
+
+/** The full matrix: per permission and per role. */
+export function permissionMatrix() {
+  const permissions = Object.entries(PERMISSIONS).map(([id, p]) => ({ id, description: p.description, roles: [...p.roles] }));
+  const byRole = Object.fromEntries(ROLES.map((role) => [role, permissionsFor([role])]));
+  return { roles: [...ROLES], permissions, byRole };
+}
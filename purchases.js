@@ -19,13 +19,37 @@
 //
 // NOTE: Still no Stripe/real payments yet. This is a "ledger + signals + events" layer.
 // Stripe/crypto providers can be wired later without changing the API surface.
+//
+// Storage: purchases.json / events.jsonl / achievements.json go through storage/index.js
+// (IBAND_STORAGE_ADAPTER=file|memory|sqlite). The file adapter keeps the on-disk layout unchanged.
+// Writes to purchases.json / achievements.json hold withFileLock for the whole read-modify-write.
+// POST /purchase and /subscribe share the "purchases.write" token bucket (rateLimit.js) and honour
+// Idempotency-Key (idempotency.js): a retried purchase replays the first response instead of a second entry.
+// itemType "track" purchases are checked against the track catalogue (artistsStore.js / tracks.js): 404 otherwise.
+// POST bodies are declared with describeRoutes (apiSchema.js); their errors use the shared envelope (+ updatedAt).
+// Purchases, new subscriptions and their events.jsonl entries carry requestId (requestContext.js);
+// an extended subscription records the extending request as lastRequestId.
+// Scheduled job "purchases.expire-subscriptions" (scheduler.js, every 5 min) flips subscriptions past
+// endsAt to status "expired" (+ expiredAt), so the stored status matches isActiveSub().
 
-import fs from "fs";
-import path from "path";
 import crypto from "crypto";
 import express from "express";
 
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog, withFileLock, getLockStats } from "./storage/index.js";
+import { publish, registerSource } from "./eventBus.js";
+import { attachPrincipal, resolveFan } from "./identity.js";
+import { readPage, sendPageError, paginate } from "./pagination.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+import { rateLimit } from "./rateLimit.js";
+import { idempotent } from "./idempotency.js";
+import { currentRequestId } from "./requestContext.js";
+import { registerJob } from "./scheduler.js";
+import { listArtists, getArtist, getTrack } from "./artistsStore.js";
+
 const router = express.Router();
+router.use(attachPrincipal);
+const api = describeRoutes(router, { tag: "purchases" });
 
 // -------------------------
 // Config
@@ -33,14 +57,18 @@ const router = express.Router();
 const SERVICE = "purchases";
 const VERSION = 4; // Phase H3 Monetisation Signals
 
-const DATA_DIR = process.env.IBAND_DATA_DIR || "/var/data/iband/db";
+const DATA_DIR = getConfig("core").dataDir;
+const FILES = getConfig("files");
 
-const PURCHASES_FILE = process.env.IBAND_PURCHASES_FILE || path.join(DATA_DIR, "purchases.json");
-const EVENTS_LOG = process.env.IBAND_EVENTS_LOG || path.join(DATA_DIR, "events.jsonl");
-const ARTISTS_FILE = process.env.IBAND_ARTISTS_FILE || path.join(DATA_DIR, "artists.json");
+const PURCHASES_FILE = FILES.purchases;
+const EVENTS_LOG = FILES.eventsLog;
 
 // Optional integration: achievements store (best-effort)
-const ACHIEVEMENTS_FILE = process.env.IBAND_ACHIEVEMENTS_FILE || path.join(DATA_DIR, "achievements.json");
+const ACHIEVEMENTS_FILE = FILES.achievements;
+
+const storage = getStorage(DATA_DIR);
+const eventsLog = openSegmentedLog(storage, EVENTS_LOG);
+registerSource("events", eventsLog);
 
 // Safety / limits
 const DEFAULTS = {
@@ -92,39 +120,19 @@ function clamp(n, a, b) {
   return Math.max(a, Math.min(b, n));
 }
 
-function safeJsonParse(str, fallback = null) {
-  try {
-    return JSON.parse(str);
-  } catch {
-    return fallback;
-  }
-}
-
-function ensureDir(p) {
-  try {
-    fs.mkdirSync(p, { recursive: true });
-    return { ok: true, error: null };
-  } catch (e) {
-    return { ok: false, error: e?.message || "EMKDIR" };
-  }
-}
-
-function readJsonIfExists(p) {
+async function readJsonIfExists(p) {
   try {
-    if (!fs.existsSync(p)) return { ok: false, value: null, error: "ENOENT" };
-    const raw = fs.readFileSync(p, "utf8");
-    const val = safeJsonParse(raw, null);
-    if (!val) return { ok: false, value: null, error: "EJSONPARSE" };
-    return { ok: true, value: val, error: null };
+    const val = await storage.readJson(p, null);
+    if (val) return { ok: true, value: val, error: null };
+    const exists = await storage.exists(p);
+    return { ok: false, value: null, error: exists ? "EJSONPARSE" : "ENOENT" };
   } catch (e) {
     return { ok: false, value: null, error: e?.message || "EREAD" };
   }
 }
 
-function writeJsonAtomic(p, obj) {
-  const tmp = `${p}.${crypto.randomBytes(6).toString("hex")}.tmp`;
-  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2));
-  fs.renameSync(tmp, p);
+async function writeJsonAtomic(p, obj) {
+  await storage.writeJson(p, obj);
 }
 
 function makeId(prefix) {
@@ -164,20 +172,18 @@ function parseDateMs(iso) {
   return Number.isFinite(t) ? t : null;
 }
 
-function ensureStore() {
+// fresh: skip the TTL cache (writers re-read inside the purchases.json lock)
+async function ensureStore({ fresh = false } = {}) {
   const now = Date.now();
-  if (cache.store && now - cache.atMs < DEFAULTS.cacheTtlMs) {
+  if (!fresh && cache.store && now - cache.atMs < DEFAULTS.cacheTtlMs) {
     return { ok: true, store: cache.store, cached: true };
   }
 
-  const dirOk = ensureDir(DATA_DIR);
-  if (!dirOk.ok) return { ok: false, error: dirOk.error, store: null, cached: false };
-
-  const r = readJsonIfExists(PURCHASES_FILE);
+  const r = await readJsonIfExists(PURCHASES_FILE);
   if (!r.ok) {
     const initial = { version: 1, updatedAt: null, purchases: [], subs: [] };
     try {
-      writeJsonAtomic(PURCHASES_FILE, initial);
+      await writeJsonAtomic(PURCHASES_FILE, initial);
       cache.store = initial;
       cache.atMs = now;
       return { ok: true, store: initial, cached: false, created: true };
@@ -198,85 +204,112 @@ function ensureStore() {
   return { ok: true, store: v, cached: false };
 }
 
-function persistStore(store) {
+async function persistStore(store) {
   store.updatedAt = nowIso();
-  writeJsonAtomic(PURCHASES_FILE, store);
+  try {
+    await writeJsonAtomic(PURCHASES_FILE, store);
+  } catch (e) {
+    // drop the cache so the next read reloads what is actually persisted
+    cache.store = null;
+    cache.atMs = 0;
+    return { ok: false, error: e?.message || "EWRITE" };
+  }
   cache.store = store;
   cache.atMs = Date.now();
+  return { ok: true, error: null };
 }
 
-function appendJsonl(filePath, obj) {
+// events.jsonl is a segmented log shared with events.js / votes.js (same rotation + index).
+// Appended events are then published on the bus (purchase.recorded / subscription.recorded).
+async function appendEvent(obj) {
   try {
-    ensureDir(path.dirname(filePath));
-    fs.appendFileSync(filePath, `${JSON.stringify(obj)}\n`, "utf8");
+    await eventsLog.append(obj);
+    publish(obj.type === "subscribe" ? "subscription.recorded" : "purchase.recorded", obj);
     return { ok: true, error: null };
   } catch (e) {
     return { ok: false, error: e?.message || "EAPPEND" };
   }
 }
 
-function loadArtistsIndex() {
-  const r = readJsonIfExists(ARTISTS_FILE);
-  if (!r.ok) return { ok: false, artistsById: {}, artistsLoaded: 0, error: r.error };
-
-  const parsed = r.value;
-  let arr = [];
-  if (Array.isArray(parsed)) arr = parsed;
-  else if (parsed && typeof parsed === "object") {
-    if (Array.isArray(parsed.artists)) arr = parsed.artists;
-    else if (Array.isArray(parsed.items)) arr = parsed.items;
-    else if (Array.isArray(parsed.results)) arr = parsed.results;
+function storeBusy(res, e) {
+  if (e?.code === "STORAGE_LOCK_TIMEOUT") {
+    return sendError(res, 503, "store_busy", "Purchases store is busy. Try again.", { retryAfterSec: 1, updatedAt: nowIso() });
   }
+  return sendError(res, 500, "store_error", "Purchases store error.", { detail: e?.message || String(e), updatedAt: nowIso() });
+}
+
+/** Write-route error in the shared envelope, stamped like the rest of this router's responses. */
+function fail(res, status, code, message, extra = {}) {
+  return sendError(res, status, code, message, { ...extra, updatedAt: nowIso() });
+}
+
+/** A failed ensureStore / persistStore inside the lock (POST /purchase, /subscribe). */
+function storeFailed(res, storeLoad) {
+  if (storeLoad.writeError) return fail(res, 500, "store_write_failed", "Purchases store write failed.", { detail: storeLoad.writeError });
+  return fail(res, 500, "store_unavailable", "Purchases store not available.", { detail: storeLoad.error });
+}
 
+const LEDGER_FIELDS = {
+  currency: S.text(8),
+  amount: S.num(0),
+  provider: S.text(40),
+  providerRef: S.text(200),
+  sessionId: S.text(80),
+  meta: S.map(),
+};
+
+// Artists come from the repository (artistsStore.js); only the fields purchase responses show
+async function loadArtistsIndex() {
   const artistsById = {};
-  for (const a of arr) {
-    const id = normalizeStr(a?.id);
-    if (!id) continue;
-    artistsById[id] = {
-      id,
-      name: a?.name ?? null,
-      genre: a?.genre ?? null,
-      location: a?.location ?? null,
-      imageUrl: a?.imageUrl ?? null,
+  for (const a of listArtists()) {
+    artistsById[a.id] = {
+      id: a.id,
+      name: a.name || null,
+      genre: a.genre || null,
+      location: a.location || null,
+      imageUrl: a.imageUrl || null,
     };
   }
 
   return { ok: true, artistsById, artistsLoaded: Object.keys(artistsById).length, error: null };
 }
 
-function bestEffortWriteAchievement(payload) {
+// Shares achievements.js's lock on achievements.json (same storage root by default).
+async function bestEffortWriteAchievement(payload) {
   try {
-    if (!fs.existsSync(ACHIEVEMENTS_FILE)) return { ok: false, skipped: true, reason: "ACH_FILE_MISSING" };
-    const r = readJsonIfExists(ACHIEVEMENTS_FILE);
-    if (!r.ok) return { ok: false, skipped: true, reason: r.error };
-
-    const store = r.value && typeof r.value === "object" ? r.value : null;
-    if (!store) return { ok: false, skipped: true, reason: "ACH_BAD_STORE" };
-
-    if (!Array.isArray(store.items)) store.items = [];
-    if (!store.version) store.version = 1;
-
-    const ach = {
-      id: makeId("ach"),
-      at: nowIso(),
-      type: "achievement",
-      subjectType: payload.subjectType,
-      subjectId: payload.subjectId,
-      medal: payload.medal ?? null,
-      title: payload.title ?? null,
-      message: payload.message ?? null,
-      stats: payload.stats ?? null,
-      subject: payload.subject ?? null,
-      meta: payload.meta ?? null,
-      v: 1,
-      dedupeKey: sha1(`${payload.subjectType}:${payload.subjectId}:${payload.message || ""}`),
-    };
-
-    store.items.push(ach);
-    store.updatedAt = ach.at;
-
-    writeJsonAtomic(ACHIEVEMENTS_FILE, store);
-    return { ok: true, skipped: false, achievementId: ach.id };
+    return await withFileLock(storage, ACHIEVEMENTS_FILE, async () => {
+      if (!(await storage.exists(ACHIEVEMENTS_FILE))) return { ok: false, skipped: true, reason: "ACH_FILE_MISSING" };
+      const r = await readJsonIfExists(ACHIEVEMENTS_FILE);
+      if (!r.ok) return { ok: false, skipped: true, reason: r.error };
+
+      const store = r.value && typeof r.value === "object" ? r.value : null;
+      if (!store) return { ok: false, skipped: true, reason: "ACH_BAD_STORE" };
+
+      if (!Array.isArray(store.items)) store.items = [];
+      if (!store.version) store.version = 1;
+
+      const ach = {
+        id: makeId("ach"),
+        at: nowIso(),
+        type: "achievement",
+        subjectType: payload.subjectType,
+        subjectId: payload.subjectId,
+        medal: payload.medal ?? null,
+        title: payload.title ?? null,
+        message: payload.message ?? null,
+        stats: payload.stats ?? null,
+        subject: payload.subject ?? null,
+        meta: payload.meta ?? null,
+        v: 1,
+        dedupeKey: sha1(`${payload.subjectType}:${payload.subjectId}:${payload.message || ""}`),
+      };
+
+      store.items.push(ach);
+      store.updatedAt = ach.at;
+
+      await writeJsonAtomic(ACHIEVEMENTS_FILE, store);
+      return { ok: true, skipped: false, achievementId: ach.id };
+    });
   } catch (e) {
     return { ok: false, skipped: true, reason: e?.message || "EACH_WRITE" };
   }
@@ -297,6 +330,40 @@ function isActiveSub(sub) {
   return e !== null && e > Date.now();
 }
 
+// Scheduled expiry: one locked read-modify-write over every active sub
+async function expireSubscriptions({ now = new Date() } = {}) {
+  const nowMs = now.getTime();
+  return withFileLock(storage, PURCHASES_FILE, async () => {
+    const loaded = await ensureStore({ fresh: true });
+    if (!loaded.ok) throw new Error(`Purchases store not available: ${loaded.error}`);
+
+    const at = nowIso();
+    const expired = [];
+    for (const s of loaded.store.subs) {
+      if (!s || s.status !== "active") continue;
+      const e = parseDateMs(s.endsAt);
+      if (e === null || e > nowMs) continue;
+      s.status = "expired";
+      s.expiredAt = at;
+      s.updatedAt = at;
+      expired.push(s.id);
+    }
+
+    if (expired.length) {
+      const saved = await persistStore(loaded.store);
+      if (!saved.ok) throw new Error(`Purchases store write failed: ${saved.error}`);
+    }
+    return { expired: expired.length, ids: expired.slice(0, 50) };
+  });
+}
+
+registerJob({
+  id: "purchases.expire-subscriptions",
+  schedule: "*/5 * * * *",
+  description: "Mark subscriptions past endsAt as expired.",
+  run: ({ now }) => expireSubscriptions({ now }),
+});
+
 // Monetisation Signals (core)
 function calcSignals(store, opts) {
   const windowDays = clamp(asInt(opts.windowDays, DEFAULTS.defaultWindowDays), 1, DEFAULTS.maxWindowDays);
@@ -400,10 +467,11 @@ function calcSignals(store, opts) {
 // -------------------------
 // Health
 // -------------------------
-router.get("/health", (_req, res) => {
-  const st = readJsonIfExists(PURCHASES_FILE);
-  const store = ensureStore();
-  const artists = loadArtistsIndex();
+router.get("/health", async (_req, res) => {
+  const st = await readJsonIfExists(PURCHASES_FILE);
+  const stat = await storage.stat(PURCHASES_FILE);
+  const store = await ensureStore();
+  const artists = await loadArtistsIndex();
 
   res.json({
     success: true,
@@ -411,23 +479,12 @@ router.get("/health", (_req, res) => {
     version: VERSION,
     updatedAt: nowIso(),
     dataDir: DATA_DIR,
+    storage: storage.describe(),
     file: st.ok
       ? {
           ok: true,
-          size: (() => {
-            try {
-              return fs.statSync(PURCHASES_FILE).size;
-            } catch {
-              return null;
-            }
-          })(),
-          mtimeMs: (() => {
-            try {
-              return fs.statSync(PURCHASES_FILE).mtimeMs;
-            } catch {
-              return null;
-            }
-          })(),
+          size: stat.exists ? stat.size : null,
+          mtimeMs: stat.exists ? stat.mtimeMs : null,
           path: PURCHASES_FILE,
         }
       : { ok: false, error: st.error, path: PURCHASES_FILE },
@@ -442,6 +499,7 @@ router.get("/health", (_req, res) => {
       : null,
     artists: { ok: artists.ok, artistsLoaded: artists.artistsLoaded, error: artists.error },
     cache: { ttlMs: DEFAULTS.cacheTtlMs, cached: !!store.cached, cacheAgeMs: Date.now() - cache.atMs },
+    locks: getLockStats(storage, PURCHASES_FILE),
   });
 });
 
@@ -449,11 +507,29 @@ router.get("/health", (_req, res) => {
 // POST /purchase
 // Records a purchase (track/album/merch/ticket/tip)
 // -------------------------
-router.post("/purchase", express.json({ limit: "200kb" }), (req, res) => {
+api.post("/purchase", {
+  summary: "Record a purchase (track, album, ticket, merch, tip)",
+  auth: "fan-optional",
+  body: S.obj({
+    artistId: S.id(),
+    itemId: S.id(),
+    itemType: S.text(40),
+    qty: S.int(1),
+    buyerId: S.text(80),
+    buyerType: S.text(40),
+    platformFeePct: S.num(0, 50),
+    ...LEDGER_FIELDS,
+  }, ["artistId", "itemId", "amount"]),
+  responses: { 404: "Unknown artist or track.", 429: "Rate limit exceeded.", 503: "Store busy." },
+}, express.json({ limit: "200kb" }), idempotent("purchases.purchase"), rateLimit("purchases.write"), async (req, res) => {
   const body = req.body || {};
 
+  // fan buyers are the token's fan; no token and no claimed buyer -> "anon"
+  const who = resolveFan(req, { fanId: body.buyerId, sessionId: body.sessionId }, { optional: true });
+  if (who.error) return fail(res, who.error.status, who.error.code, who.error.message);
+
   const buyerType = normalizeStr(body.buyerType || "fan");
-  const buyerId = normalizeStr(body.buyerId || body.sessionId || "anon");
+  const buyerId = normalizeStr(who.fanId || who.sessionId || "anon");
 
   const artistId = normalizeStr(body.artistId || "");
   const itemType = normalizeStr(body.itemType || "track"); // track|album|ticket|merch|tip
@@ -466,18 +542,18 @@ router.post("/purchase", express.json({ limit: "200kb" }), (req, res) => {
   const platformFee = asMoney((amount * platformFeePct) / 100);
   const artistNet = asMoney(Math.max(0, amount - platformFee));
 
-  const sessionId = normalizeStr(body.sessionId || "");
+  const sessionId = normalizeStr(who.sessionId || "");
   const meta = body.meta && typeof body.meta === "object" ? body.meta : null;
 
-  if (!isNonEmpty(buyerId)) return res.status(400).json({ success: false, message: "Invalid purchase payload. buyerId/sessionId required.", updatedAt: nowIso() });
-  if (!isNonEmpty(artistId)) return res.status(400).json({ success: false, message: "Invalid purchase payload. artistId required.", updatedAt: nowIso() });
-  if (!isNonEmpty(itemId)) return res.status(400).json({ success: false, message: "Invalid purchase payload. itemId required.", updatedAt: nowIso() });
-  if (!Number.isFinite(amount) || amount <= 0) return res.status(400).json({ success: false, message: "Invalid purchase payload. amount must be > 0.", updatedAt: nowIso() });
+  if (!Number.isFinite(amount) || amount <= 0) return fail(res, 400, "invalid_amount", "amount must be > 0.");
 
-  const storeLoad = ensureStore();
-  if (!storeLoad.ok) return res.status(500).json({ success: false, message: "Purchases store not available.", error: storeLoad.error, updatedAt: nowIso() });
+  // track purchases must name a catalogued track of that artist (tracks.js)
+  if (itemType === "track" && !getTrack(artistId, itemId)) {
+    const code = getArtist(artistId) ? "track_not_found" : "artist_not_found";
+    return fail(res, 404, code, `Unknown track "${itemId}" for artist "${artistId}".`);
+  }
 
-  const artists = loadArtistsIndex();
+  const artists = await loadArtistsIndex();
   const artist = artists.artistsById?.[artistId] || { id: artistId, name: null, genre: null, location: null, imageUrl: null };
 
   const at = nowIso();
@@ -485,53 +561,70 @@ router.post("/purchase", express.json({ limit: "200kb" }), (req, res) => {
 
   const dedupeKey = sha1(`${buyerType}:${buyerId}:${artistId}:${itemType}:${itemId}:${qty}:${currency}:${amount}`);
   const dedupeWindowMs = 2 * 60 * 1000;
-  const nowMs = Date.now();
 
-  const lastDup = (storeLoad.store.purchases || [])
-    .slice(-50)
-    .find((p) => p && p.dedupeKey === dedupeKey && Number.isFinite(Date.parse(p.at)) && nowMs - Date.parse(p.at) <= dedupeWindowMs);
+  let purchase = null;
+  let storeLoad;
+  try {
+    // read fresh -> dedupe -> append -> persist, all while holding the purchases.json lock
+    storeLoad = await withFileLock(storage, PURCHASES_FILE, async () => {
+      const loaded = await ensureStore({ fresh: true });
+      if (!loaded.ok) return loaded;
+
+      const nowMs = Date.now();
+      const lastDup = (loaded.store.purchases || [])
+        .slice(-50)
+        .find((p) => p && p.dedupeKey === dedupeKey && Number.isFinite(Date.parse(p.at)) && nowMs - Date.parse(p.at) <= dedupeWindowMs);
+      if (lastDup) return { ...loaded, duplicate: lastDup };
+
+      purchase = {
+        id,
+        at,
+        type: "purchase",
+        buyerType,
+        buyerId,
+        sessionId: sessionId || null,
+
+        artistId,
+        itemType,
+        itemId,
+        qty,
+
+        currency,
+        amount,
+        platformFeePct,
+        platformFee,
+        artistNet,
+
+        status: "captured",
+        provider: body.provider ? normalizeStr(body.provider) : "ledger",
+        providerRef: body.providerRef ? normalizeStr(body.providerRef) : null,
+
+        meta,
+        v: 1,
+        dedupeKey,
+        requestId: currentRequestId(),
+      };
+
+      loaded.store.purchases.push(purchase);
+      const saved = await persistStore(loaded.store);
+      return saved.ok ? loaded : { ok: false, writeError: saved.error };
+    });
+  } catch (e) {
+    return storeBusy(res, e);
+  }
+
+  if (storeLoad.writeError || !storeLoad.ok) return storeFailed(res, storeLoad);
 
-  if (lastDup) {
+  if (storeLoad.duplicate) {
     return res.json({
       success: true,
       updatedAt: storeLoad.store.updatedAt || at,
       recorded: false,
       deduped: true,
-      purchase: lastDup,
+      purchase: storeLoad.duplicate,
     });
   }
 
-  const purchase = {
-    id,
-    at,
-    type: "purchase",
-    buyerType,
-    buyerId,
-    sessionId: sessionId || null,
-
-    artistId,
-    itemType,
-    itemId,
-    qty,
-
-    currency,
-    amount,
-    platformFeePct,
-    platformFee,
-    artistNet,
-
-    status: "captured",
-    provider: body.provider ? normalizeStr(body.provider) : "ledger",
-    providerRef: body.providerRef ? normalizeStr(body.providerRef) : null,
-
-    meta,
-    v: 1,
-    dedupeKey,
-  };
-
-  storeLoad.store.purchases.push(purchase);
-  persistStore(storeLoad.store);
-
   const event = {
     id: makeId("evt"),
     at,
@@ -542,12 +635,13 @@ router.post("/purchase", express.json({ limit: "200kb" }), (req, res) => {
     sessionId: sessionId || buyerId || "anon",
     watchMs: 0,
     v: 1,
+    requestId: currentRequestId(),
     meta: { itemType, itemId, qty, amount, currency, platformFee, artistNet, buyerType, buyerId },
   };
 
-  const evWrite = appendJsonl(EVENTS_LOG, event);
+  const evWrite = await appendEvent(event);
 
-  const achFan = bestEffortWriteAchievement({
+  const achFan = await bestEffortWriteAchievement({
     subjectType: "fan",
     subjectId: buyerId,
     message: `🛒 Supporter purchase! You supported ${artist?.name || artistId} (${itemType}).`,
@@ -555,7 +649,7 @@ router.post("/purchase", express.json({ limit: "200kb" }), (req, res) => {
     meta: { artistId, itemId, purchaseId: id },
   });
 
-  const achArtist = bestEffortWriteAchievement({
+  const achArtist = await bestEffortWriteAchievement({
     subjectType: "artist",
     subjectId: artistId,
     message: `💚 New supporter purchase received (${itemType}).`,
@@ -579,10 +673,25 @@ router.post("/purchase", express.json({ limit: "200kb" }), (req, res) => {
 // POST /subscribe
 // Records a subscription (fan -> iBand unlimited OR fan -> specific artist tier later)
 // -------------------------
-router.post("/subscribe", express.json({ limit: "200kb" }), (req, res) => {
+api.post("/subscribe", {
+  summary: "Start or extend a subscription",
+  auth: "fan-optional",
+  body: S.obj({
+    plan: S.text(80),
+    artistId: S.text(120),
+    subscriberId: S.text(80),
+    periodDays: S.int(1),
+    startsAt: S.dateTime(),
+    ...LEDGER_FIELDS,
+  }, ["amount"]),
+  responses: { 429: "Rate limit exceeded.", 503: "Store busy." },
+}, express.json({ limit: "200kb" }), idempotent("purchases.subscribe"), rateLimit("purchases.write"), async (req, res) => {
   const body = req.body || {};
 
-  const subscriberId = normalizeStr(body.subscriberId || body.sessionId || "anon");
+  const who = resolveFan(req, { fanId: body.subscriberId, sessionId: body.sessionId }, { optional: true });
+  if (who.error) return fail(res, who.error.status, who.error.code, who.error.message);
+
+  const subscriberId = normalizeStr(who.fanId || who.sessionId || "anon");
   const plan = normalizeStr(body.plan || "iband_unlimited");
   const targetArtistId = normalizeStr(body.artistId || "");
   const currency = normalizeStr(body.currency || "GBP").toUpperCase();
@@ -593,35 +702,81 @@ router.post("/subscribe", express.json({ limit: "200kb" }), (req, res) => {
   const startsAt = body.startsAt ? new Date(body.startsAt).toISOString() : at;
   const endsAt = new Date(Date.parse(startsAt) + periodDays * 24 * 60 * 60 * 1000).toISOString();
 
-  const sessionId = normalizeStr(body.sessionId || "");
+  const sessionId = normalizeStr(who.sessionId || "");
   const meta = body.meta && typeof body.meta === "object" ? body.meta : null;
 
-  if (!isNonEmpty(subscriberId)) return res.status(400).json({ success: false, message: "Invalid subscription payload. subscriberId/sessionId required.", updatedAt: nowIso() });
-  if (!Number.isFinite(amount) || amount <= 0) return res.status(400).json({ success: false, message: "Invalid subscription payload. amount must be > 0.", updatedAt: nowIso() });
+  if (!Number.isFinite(amount) || amount <= 0) return fail(res, 400, "invalid_amount", "amount must be > 0.");
 
-  const storeLoad = ensureStore();
-  if (!storeLoad.ok) return res.status(500).json({ success: false, message: "Purchases store not available.", error: storeLoad.error, updatedAt: nowIso() });
+  let storeLoad;
+  try {
+    // extend-or-create runs on a fresh read while holding the purchases.json lock
+    storeLoad = await withFileLock(storage, PURCHASES_FILE, async () => {
+      const loaded = await ensureStore({ fresh: true });
+      if (!loaded.ok) return loaded;
+
+      const nowMs = Date.now();
+      const active = (loaded.store.subs || []).find((s) => {
+        if (!s) return false;
+        if (s.subscriberId !== subscriberId) return false;
+        if (s.plan !== plan) return false;
+        if ((s.artistId || "") !== (targetArtistId || "")) return false;
+        const e = Date.parse(s.endsAt);
+        return Number.isFinite(e) && e > nowMs && s.status === "active";
+      });
+
+      let sub = active;
+      if (active) {
+        const prevEnd = Date.parse(active.endsAt);
+        active.endsAt = new Date(prevEnd + periodDays * 24 * 60 * 60 * 1000).toISOString();
+        active.updatedAt = at;
+        active.amountTotal = asMoney((Number(active.amountTotal || 0) || 0) + amount);
+        active.lastRequestId = currentRequestId();
+      } else {
+        sub = {
+          id: makeId("sub"),
+          at,
+          updatedAt: at,
+          type: "subscription",
+          status: "active",
+
+          subscriberId,
+          sessionId: sessionId || null,
+
+          plan,
+          artistId: targetArtistId || null,
+
+          currency,
+          amountInitial: amount,
+          amountTotal: amount,
+
+          startsAt,
+          endsAt,
+          periodDays,
+
+          provider: body.provider ? normalizeStr(body.provider) : "ledger",
+          providerRef: body.providerRef ? normalizeStr(body.providerRef) : null,
+
+          meta,
+          v: 1,
+          requestId: currentRequestId(),
+        };
+        loaded.store.subs.push(sub);
+      }
 
-  const nowMs = Date.now();
-  const active = (storeLoad.store.subs || []).find((s) => {
-    if (!s) return false;
-    if (s.subscriberId !== subscriberId) return false;
-    if (s.plan !== plan) return false;
-    if ((s.artistId || "") !== (targetArtistId || "")) return false;
-    const e = Date.parse(s.endsAt);
-    return Number.isFinite(e) && e > nowMs && s.status === "active";
-  });
+      const saved = await persistStore(loaded.store);
+      if (!saved.ok) return { ok: false, writeError: saved.error };
+      return { ...loaded, sub, extended: !!active };
+    });
+  } catch (e) {
+    return storeBusy(res, e);
+  }
 
-  if (active) {
-    const prevEnd = Date.parse(active.endsAt);
-    const newEnd = new Date(prevEnd + periodDays * 24 * 60 * 60 * 1000).toISOString();
-    active.endsAt = newEnd;
-    active.updatedAt = at;
-    active.amountTotal = asMoney((Number(active.amountTotal || 0) || 0) + amount);
+  if (storeLoad.writeError || !storeLoad.ok) return storeFailed(res, storeLoad);
 
-    persistStore(storeLoad.store);
+  const sub = storeLoad.sub;
 
-    appendJsonl(EVENTS_LOG, {
+  if (storeLoad.extended) {
+    await appendEvent({
       id: makeId("evt"),
       at,
       type: "subscribe",
@@ -631,52 +786,22 @@ router.post("/subscribe", express.json({ limit: "200kb" }), (req, res) => {
       sessionId: sessionId || subscriberId,
       watchMs: 0,
       v: 1,
-      meta: { plan, amount, currency, extended: true, endsAt: newEnd, subscriberId },
+      requestId: currentRequestId(),
+      meta: { plan, amount, currency, extended: true, endsAt: sub.endsAt, subscriberId },
     });
 
-    bestEffortWriteAchievement({
+    await bestEffortWriteAchievement({
       subjectType: "fan",
       subjectId: subscriberId,
       message: `⭐ Subscription extended: ${plan}`,
       stats: { amount, currency, periodDays },
-      meta: { plan, endsAt: newEnd },
+      meta: { plan, endsAt: sub.endsAt },
     });
 
-    return res.json({ success: true, updatedAt: storeLoad.store.updatedAt || at, recorded: true, mode: "extended", subscription: active });
+    return res.json({ success: true, updatedAt: storeLoad.store.updatedAt || at, recorded: true, mode: "extended", subscription: sub });
   }
 
-  const sub = {
-    id: makeId("sub"),
-    at,
-    updatedAt: at,
-    type: "subscription",
-    status: "active",
-
-    subscriberId,
-    sessionId: sessionId || null,
-
-    plan,
-    artistId: targetArtistId || null,
-
-    currency,
-    amountInitial: amount,
-    amountTotal: amount,
-
-    startsAt,
-    endsAt,
-    periodDays,
-
-    provider: body.provider ? normalizeStr(body.provider) : "ledger",
-    providerRef: body.providerRef ? normalizeStr(body.providerRef) : null,
-
-    meta,
-    v: 1,
-  };
-
-  storeLoad.store.subs.push(sub);
-  persistStore(storeLoad.store);
-
-  appendJsonl(EVENTS_LOG, {
+  await appendEvent({
     id: makeId("evt"),
     at,
     type: "subscribe",
@@ -686,10 +811,11 @@ router.post("/subscribe", express.json({ limit: "200kb" }), (req, res) => {
     sessionId: sessionId || subscriberId,
     watchMs: 0,
     v: 1,
+    requestId: currentRequestId(),
     meta: { plan, amount, currency, startsAt, endsAt, subscriberId },
   });
 
-  bestEffortWriteAchievement({
+  await bestEffortWriteAchievement({
     subjectType: "fan",
     subjectId: subscriberId,
     message: `⭐ Subscription started: ${plan}`,
@@ -704,7 +830,7 @@ router.post("/subscribe", express.json({ limit: "200kb" }), (req, res) => {
 // GET /ownership
 // Query: buyerId/sessionId, artistId, itemType, itemId
 // -------------------------
-router.get("/ownership", (req, res) => {
+router.get("/ownership", async (req, res) => {
   const buyerId = normalizeStr(req.query.buyerId || req.query.sessionId || "anon");
   const artistId = normalizeStr(req.query.artistId || "");
   const itemType = normalizeStr(req.query.itemType || "track");
@@ -714,7 +840,7 @@ router.get("/ownership", (req, res) => {
     return res.status(400).json({ success: false, message: "Requires buyerId/sessionId, artistId, itemId.", updatedAt: nowIso() });
   }
 
-  const storeLoad = ensureStore();
+  const storeLoad = await ensureStore();
   if (!storeLoad.ok) return res.status(500).json({ success: false, message: "Purchases store not available.", error: storeLoad.error, updatedAt: nowIso() });
 
   const matches = (storeLoad.store.purchases || []).filter((p) => {
@@ -746,7 +872,7 @@ router.get("/ownership", (req, res) => {
 // UI decision helper for one video
 // Query: buyerId, artistId, trackId, albumId, plan
 // -------------------------
-router.get("/intelligence", (req, res) => {
+router.get("/intelligence", async (req, res) => {
   const buyerId = normalizeStr(req.query.buyerId || req.query.sessionId || "anon");
   const artistId = normalizeStr(req.query.artistId || "");
   const trackId = normalizeStr(req.query.trackId || "");
@@ -761,10 +887,10 @@ router.get("/intelligence", (req, res) => {
     });
   }
 
-  const storeLoad = ensureStore();
+  const storeLoad = await ensureStore();
   if (!storeLoad.ok) return res.status(500).json({ success: false, message: "Purchases store not available.", error: storeLoad.error, updatedAt: nowIso() });
 
-  const artists = loadArtistsIndex();
+  const artists = await loadArtistsIndex();
   const artist = artists.artistsById?.[artistId] || { id: artistId, name: null, genre: null, location: null, imageUrl: null };
 
   // Ownership
@@ -822,14 +948,14 @@ router.get("/intelligence", (req, res) => {
 // Monetisation Signals for an artist (revenue/supporters/subs)
 // Query: windowDays (default 30)
 // -------------------------
-router.get("/signals/artist/:artistId", (req, res) => {
+router.get("/signals/artist/:artistId", async (req, res) => {
   const artistId = normalizeStr(req.params.artistId || "");
   if (!isNonEmpty(artistId)) return res.status(400).json({ success: false, message: "artistId required.", updatedAt: nowIso() });
 
-  const storeLoad = ensureStore();
+  const storeLoad = await ensureStore();
   if (!storeLoad.ok) return res.status(500).json({ success: false, message: "Purchases store not available.", error: storeLoad.error, updatedAt: nowIso() });
 
-  const artists = loadArtistsIndex();
+  const artists = await loadArtistsIndex();
   const artistMeta = artists.artistsById?.[artistId] || { id: artistId, name: null, genre: null, location: null, imageUrl: null };
 
   const s = calcSignals(storeLoad.store, { windowDays: req.query.windowDays });
@@ -881,11 +1007,11 @@ router.get("/signals/artist/:artistId", (req, res) => {
 // Monetisation Signals for a fan (spend/purchases/subscription)
 // Query: windowDays (default 30)
 // -------------------------
-router.get("/signals/fan/:buyerId", (req, res) => {
+router.get("/signals/fan/:buyerId", async (req, res) => {
   const buyerId = normalizeStr(req.params.buyerId || "");
   if (!isNonEmpty(buyerId)) return res.status(400).json({ success: false, message: "buyerId required.", updatedAt: nowIso() });
 
-  const storeLoad = ensureStore();
+  const storeLoad = await ensureStore();
   if (!storeLoad.ok) return res.status(500).json({ success: false, message: "Purchases store not available.", error: storeLoad.error, updatedAt: nowIso() });
 
   const s = calcSignals(storeLoad.store, { windowDays: req.query.windowDays });
@@ -927,13 +1053,13 @@ router.get("/signals/fan/:buyerId", (req, res) => {
 // Lists top artists by revenueGross within window
 // Query: windowDays, limit
 // -------------------------
-router.get("/signals/top-artists", (req, res) => {
-  const storeLoad = ensureStore();
+router.get("/signals/top-artists", async (req, res) => {
+  const storeLoad = await ensureStore();
   if (!storeLoad.ok) return res.status(500).json({ success: false, message: "Purchases store not available.", error: storeLoad.error, updatedAt: nowIso() });
 
   const limit = clamp(asInt(req.query.limit, 10), 1, DEFAULTS.maxReturn);
 
-  const artists = loadArtistsIndex();
+  const artists = await loadArtistsIndex();
   const s = calcSignals(storeLoad.store, { windowDays: req.query.windowDays });
 
   const rows = Object.keys(s.artist).map((artistId) => {
@@ -977,18 +1103,26 @@ router.get("/signals/top-artists", (req, res) => {
 // -------------------------
 // GET /list
 // Lists purchases or subscriptions with filters
-// Query: kind=purchases|subs, buyerId, subscriberId, artistId, limit, order=asc|desc
+// Query: kind=purchases|subs, buyerId, subscriberId, artistId, limit, cursor, order=asc|desc
+// Pages on (at, id); pass nextCursor back as cursor (pagination.js).
 // -------------------------
-router.get("/list", (req, res) => {
+router.get("/list", async (req, res) => {
   const kind = normalizeStr(req.query.kind || "purchases");
-  const limit = clamp(asInt(req.query.limit, DEFAULTS.maxReturn), 1, DEFAULTS.maxReturn);
-  const order = normalizeStr(req.query.order || "desc");
 
   const buyerId = normalizeStr(req.query.buyerId || "");
   const subscriberId = normalizeStr(req.query.subscriberId || "");
   const artistId = normalizeStr(req.query.artistId || "");
 
-  const storeLoad = ensureStore();
+  const page = readPage(req.query, {
+    defaultLimit: DEFAULTS.maxReturn,
+    maxLimit: DEFAULTS.maxReturn,
+    allowOrder: true,
+    scope: { kind, buyerId, subscriberId, artistId },
+  });
+  if (page.error) return sendPageError(res, page.error);
+  const order = page.order;
+
+  const storeLoad = await ensureStore();
   if (!storeLoad.ok) return res.status(500).json({ success: false, message: "Purchases store not available.", error: storeLoad.error, updatedAt: nowIso() });
 
   let arr = kind === "subs" ? (storeLoad.store.subs || []) : (storeLoad.store.purchases || []);
@@ -998,18 +1132,16 @@ router.get("/list", (req, res) => {
   if (kind === "subs" && subscriberId) arr = arr.filter((s) => s.subscriberId === subscriberId);
   if (artistId) arr = arr.filter((x) => (x.artistId || "") === artistId);
 
-  arr.sort((a, b) => {
-    const ta = Date.parse(a.at || a.updatedAt || 0) || 0;
-    const tb = Date.parse(b.at || b.updatedAt || 0) || 0;
-    return order === "asc" ? ta - tb : tb - ta;
-  });
+  const out = paginate(arr, page, (x) => ({ at: x.at || x.updatedAt, id: x.id }));
 
   return res.json({
     success: true,
     updatedAt: storeLoad.store.updatedAt || nowIso(),
     filters: { kind, buyerId: buyerId || null, subscriberId: subscriberId || null, artistId: artistId || null, order },
-    count: Math.min(limit, arr.length),
-    results: arr.slice(0, limit),
+    count: out.items.length,
+    results: out.items,
+    nextCursor: out.nextCursor,
+    hasMore: out.hasMore,
     cached: !!storeLoad.cached,
     cacheAgeMs: Date.now() - cache.atMs,
   });
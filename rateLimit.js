@@ -0,0 +1,382 @@
+/**
+ * rateLimit.js (root) — ESM
+ * iBand Rate Limiting (v1): one token-bucket limiter shared by every write route.
+ *
+ * Policies are declared here (like permissions.js) and attached per route:
+ *   router.post("/", rateLimit("comments.create"), handler)
+ * A policy is { limit, windowSec, burst }: a bucket holds `burst` tokens (default `limit`) and
+ * refills at limit / windowSec tokens per second; every request takes one.
+ *
+ * Buckets are per policy and per caller: the identity principal ("fan:<id>", "artist:<id>",
+ * "admin:<id>", identity.js) or, without a token, "ip:<hash>" (raw IPs are never kept).
+ * Routes with their own notion of a caller pass `key` (votes.js keys by voting session).
+ * Requests without a principal also take from a per-address bucket ("net:<hash>",
+ * IBAND_RATE_LIMIT_IP_FACTOR times the policy's limits), so anonymous callers keyed by something
+ * they choose (a route's `key`) still share one budget per address. Signed-in callers don't: behind
+ * a proxy that isn't trusted every client has the proxy's address, and one bucket would cap the
+ * whole platform. Minting fan sessions is limited instead (identity.session). takeRequest() / refundRequest()
+ * charge and refund both buckets; the middleware uses them.
+ * Addresses come from requestContext.js clientIp(), which only reads X-Forwarded-For behind
+ * IBAND_TRUST_PROXY proxies.
+ *
+ * Every limited response carries (IETF RateLimit header fields draft):
+ *   RateLimit-Policy: 5;w=60   RateLimit-Limit   RateLimit-Remaining   RateLimit-Reset (sec until full)
+ * 429 adds Retry-After and answers { error: "rate_limited", policy, retryAfterSec } (apiSchema.js envelope).
+ *
+ * Persistence: buckets live in memory. Policies marked persist (votes.cast), or all of them with
+ * IBAND_RATE_LIMIT_PERSIST=true, are snapshotted to IBAND_RATE_LIMIT_FILE through storage/index.js
+ * and restored on first use after a restart.
+ *
+ * Admin (admin.js): GET /api/admin/rate-limits lists buckets, POST /api/admin/rate-limits/reset clears them.
+ *
+ * Config (config.js namespace "rateLimit"): IBAND_RATE_LIMIT_ENABLED, IBAND_RATE_LIMIT_PERSIST,
+ * IBAND_RATE_LIMIT_FILE, IBAND_RATE_LIMIT_FLUSH_MS, IBAND_RATE_LIMIT_MAX_BUCKETS, IBAND_RATE_LIMIT_IP_FACTOR.
+ */
+
+import crypto from "crypto";
+
+import { getConfig } from "./config.js";
+import { getStorage } from "./storage/index.js";
+import { sendError } from "./apiSchema.js";
+import { clientIp } from "./requestContext.js";
+
+const VERSION = 1;
+
+/* -------------------- Policies -------------------- */
+
+const fromNamespace = (ns) => () => {
+  const cfg = getConfig(ns);
+  return { limit: cfg.maxPerWindow, windowSec: cfg.rateWindowSec };
+};
+
+/** policy -> { limits: { limit, windowSec, burst? } | () => limits, persist?, description }. */
+export const POLICIES = Object.freeze({
+  "events.record": { limits: fromNamespace("events"), description: "POST /api/events (EVENTS_MAX_PER_WINDOW per EVENTS_RATE_WINDOW_SEC)." },
+  "votes.cast": { limits: fromNamespace("votes"), persist: true, description: "Votes per voting session (VOTES_MAX_PER_WINDOW per VOTES_RATE_WINDOW_SEC)." },
+  "comments.create": { limits: { limit: 5, windowSec: 60, burst: 2 }, description: "POST /api/comments: 2 back to back, then one every 12s." },
+  "rooms.post": { limits: { limit: 20, windowSec: 60, burst: 5 }, description: "POST /api/rooms/post." },
+  "shares.record": { limits: { limit: 30, windowSec: 60, burst: 10 }, description: "POST /api/shares." },
+  "purchases.write": { limits: { limit: 20, windowSec: 60, burst: 5 }, description: "POST /api/purchases/purchase and /subscribe." },
+  "identity.session": { limits: { limit: 10, windowSec: 3600, burst: 5 }, description: "POST /api/identity/session: 5 back to back, then 10 an hour." },
+});
+
+/** Effective limits of a policy; scale > 1 for per-address buckets (limit and burst multiplied). */
+function policyOf(id, scale = 1) {
+  const def = POLICIES[id];
+  if (!def) return null;
+  const l = typeof def.limits === "function" ? def.limits() : def.limits;
+  const limit = Math.max(1, Number(l.limit) || 1) * scale;
+  const windowSec = Math.max(1, Number(l.windowSec) || 1);
+  return {
+    id,
+    limit,
+    windowSec,
+    capacity: Math.max(1, Number(l.burst) || limit / scale) * scale,
+    perSec: limit / windowSec,
+    persist: !!def.persist || rlConfig().persist,
+  };
+}
+
+function rlConfig() {
+  return getConfig("rateLimit");
+}
+
+/* -------------------- Keys -------------------- */
+
+const ipHash = (req) => crypto.createHash("sha256").update(String(clientIp(req))).digest("hex").slice(0, 24);
+
+/** Bucket key for a request: the principal when a token was presented, else a hash of the IP. */
+export function callerKey(req) {
+  const p = req?.principal;
+  if (p?.kind && p?.id) return `${p.kind}:${p.id}`;
+  return `ip:${ipHash(req)}`;
+}
+
+/** Per-address bucket key, taken on every request without a principal whatever the caller key. */
+export function addressKey(req) {
+  return `net:${ipHash(req)}`;
+}
+
+/* -------------------- Buckets -------------------- */
+
+const buckets = new Map(); // "policy|key" -> { policy, key, tokens, updatedMs, scale? }
+const stats = { allowed: 0, limited: 0, flushes: 0, flushErrors: 0, lastError: null };
+
+let loaded = null;
+let flushTimer = null;
+
+const bucketId = (policy, key) => `${policy}|${key}`;
+const policyOfBucket = (b) => policyOf(b.policy, b.scale || 1);
+
+/** Tokens after refilling up to now (does not write). */
+function level(b, p, now) {
+  const elapsedSec = Math.max(0, now - b.updatedMs) / 1000;
+  return Math.min(p.capacity, b.tokens + elapsedSec * p.perSec);
+}
+
+function snapshot(p, key, tokens, ok, cost = 1) {
+  return {
+    ok,
+    policy: p.id,
+    key,
+    limit: p.limit,
+    windowSec: p.windowSec,
+    capacity: p.capacity,
+    remaining: Math.max(0, Math.floor(tokens)),
+    resetSec: Math.ceil((p.capacity - tokens) / p.perSec),
+    retryAfterSec: ok ? 0 : Math.max(1, Math.ceil((cost - tokens) / p.perSec)),
+  };
+}
+
+function unlimited(policy, key) {
+  return { ok: true, policy, key, limit: null, remaining: null, resetSec: 0, retryAfterSec: 0, disabled: true };
+}
+
+function prune(now) {
+  const { maxBuckets } = rlConfig();
+  if (buckets.size <= maxBuckets) return;
+  // full buckets carry no state: drop those first, then the least recently used
+  for (const [id, b] of buckets) {
+    const p = policyOfBucket(b);
+    if (!p || level(b, p, now) >= p.capacity) buckets.delete(id);
+  }
+  const over = buckets.size - maxBuckets;
+  if (over > 0) {
+    [...buckets.entries()].sort((a, b) => a[1].updatedMs - b[1].updatedMs).slice(0, over).forEach(([id]) => buckets.delete(id));
+  }
+}
+
+/* -------------------- Persistence -------------------- */
+
+function storageFor() {
+  return getStorage(getConfig("core").dataDir);
+}
+
+async function ensureLoaded() {
+  if (!loaded) {
+    loaded = (async () => {
+      const doc = await storageFor().readJson(rlConfig().file, null).catch(() => null);
+      for (const b of Array.isArray(doc?.buckets) ? doc.buckets : []) {
+        if (!POLICIES[b?.policy] || typeof b.key !== "string" || !Number.isFinite(b.tokens)) continue;
+        const id = bucketId(b.policy, b.key);
+        if (buckets.has(id)) continue;
+        const scale = Number(b.scale) > 1 ? Number(b.scale) : undefined;
+        buckets.set(id, { policy: b.policy, key: b.key, tokens: b.tokens, updatedMs: Number(b.updatedMs) || Date.now(), ...(scale ? { scale } : {}) });
+      }
+    })();
+  }
+  return loaded;
+}
+
+/** Writes persisted policies' buckets now (also called on a debounce after each change). */
+export async function flushRateLimits() {
+  if (flushTimer) clearTimeout(flushTimer);
+  flushTimer = null;
+  const rows = [...buckets.values()].filter((b) => policyOfBucket(b)?.persist);
+  try {
+    await storageFor().writeJson(rlConfig().file, { version: VERSION, updatedAt: new Date().toISOString(), buckets: rows });
+    stats.flushes += 1;
+  } catch (e) {
+    stats.flushErrors += 1;
+    stats.lastError = e?.message || String(e);
+  }
+}
+
+function scheduleFlush(p) {
+  if (!p.persist || flushTimer) return;
+  flushTimer = setTimeout(() => flushRateLimits(), rlConfig().flushMs);
+  flushTimer.unref?.();
+}
+
+/* -------------------- API -------------------- */
+
+function unknownPolicy(policy) {
+  const err = new Error(`rateLimit: unknown policy "${policy}".`);
+  err.code = "RATE_LIMIT_UNKNOWN_POLICY";
+  return err;
+}
+
+/**
+ * Takes `cost` tokens from the caller's bucket (scale: limits multiplier, see addressKey).
+ * Returns { ok, policy, key, limit, remaining, resetSec, retryAfterSec }; nothing is taken when ok is false.
+ */
+export async function take(policy, key, { cost = 1, now = Date.now(), scale = 1 } = {}) {
+  const p = policyOf(policy, scale);
+  if (!p) throw unknownPolicy(policy);
+  if (!rlConfig().enabled) return unlimited(policy, key);
+  await ensureLoaded();
+
+  const id = bucketId(policy, key);
+  const b = buckets.get(id) || { policy, key, tokens: p.capacity, updatedMs: now, ...(scale > 1 ? { scale } : {}) };
+  const tokens = level(b, p, now);
+
+  if (tokens < cost) {
+    stats.limited += 1;
+    return snapshot(p, key, tokens, false, cost);
+  }
+
+  b.tokens = tokens - cost;
+  b.updatedMs = now;
+  buckets.delete(id); // re-insert: Map order doubles as least-recently-used order
+  buckets.set(id, b);
+  stats.allowed += 1;
+  prune(now);
+  scheduleFlush(p);
+  return snapshot(p, key, b.tokens, true);
+}
+
+/** Gives tokens back (a request that was let through and then rejected for another reason). */
+export async function refund(policy, key, cost = 1) {
+  if (!POLICIES[policy]) throw unknownPolicy(policy);
+  const b = buckets.get(bucketId(policy, key));
+  if (!b) return;
+  const p = policyOfBucket(b);
+  const now = Date.now();
+  b.tokens = Math.min(p.capacity, level(b, p, now) + cost);
+  b.updatedMs = now;
+  scheduleFlush(p);
+}
+
+/** The caller's bucket without taking anything. */
+export async function peek(policy, key, { now = Date.now() } = {}) {
+  const p = policyOf(policy);
+  if (!p) throw unknownPolicy(policy);
+  if (!rlConfig().enabled) return unlimited(policy, key);
+  await ensureLoaded();
+  const b = buckets.get(bucketId(policy, key));
+  return snapshot(p, key, b ? level(b, p, now) : p.capacity, true);
+}
+
+/**
+ * take() for a request: the caller's bucket (key, default callerKey) and, when the request has no
+ * principal, the address bucket. When the address bucket is empty the caller's token is given back
+ * and its result returned.
+ * Otherwise the result is the caller's, with remaining / resetSec from whichever bucket is lower,
+ * plus `keys` for refundRequest().
+ */
+export async function takeRequest(policy, req, { key = callerKey(req), cost = 1 } = {}) {
+  const own = await take(policy, key, { cost });
+  if (!own.ok || own.disabled) return own;
+  if (req?.principal?.kind && req?.principal?.id) return { ...own, keys: [key] };
+  const net = await take(policy, addressKey(req), { cost, scale: rlConfig().ipFactor });
+  if (!net.ok) {
+    await refund(policy, key, cost);
+    return net;
+  }
+  const tighter = net.remaining < own.remaining ? net : own;
+  return { ...own, remaining: tighter.remaining, resetSec: tighter.resetSec, keys: [key, net.key] };
+}
+
+/** Gives back what takeRequest() took. */
+export async function refundRequest(r, cost = 1) {
+  for (const key of r?.keys || []) await refund(r.policy, key, cost);
+}
+
+export function setRateLimitHeaders(res, r) {
+  if (!r || r.disabled || res.headersSent) return;
+  res.setHeader("RateLimit-Policy", `${r.capacity};w=${r.windowSec}`);
+  res.setHeader("RateLimit-Limit", String(r.capacity));
+  res.setHeader("RateLimit-Remaining", String(r.remaining));
+  res.setHeader("RateLimit-Reset", String(r.resetSec));
+  if (!r.ok) res.setHeader("Retry-After", String(r.retryAfterSec));
+}
+
+export function sendRateLimited(res, r) {
+  setRateLimitHeaders(res, r);
+  return sendError(res, 429, "rate_limited", `Rate limit exceeded (${r.policy}). Try again in ${r.retryAfterSec}s.`, {
+    policy: r.policy,
+    retryAfterSec: r.retryAfterSec,
+  });
+}
+
+/**
+ * Express middleware for one policy. key(req) overrides the caller key.
+ * Sets req.rateLimit to the take() result.
+ */
+export function rateLimit(policy, { key = callerKey } = {}) {
+  if (!POLICIES[policy]) throw unknownPolicy(policy);
+
+  return async function rateLimitGuard(req, res, next) {
+    try {
+      const r = await takeRequest(policy, req, { key: key(req) });
+      req.rateLimit = r;
+      if (!r.ok) return sendRateLimited(res, r);
+      setRateLimitHeaders(res, r);
+      return next();
+    } catch (e) {
+      return next(e);
+    }
+  };
+}
+
+/* -------------------- Admin -------------------- */
+
+/** Buckets matching policy / key (substring), least recently used first. */
+export async function listBuckets({ policy = "", key = "", limit = 200 } = {}) {
+  await ensureLoaded();
+  const now = Date.now();
+  const rows = [];
+  for (const b of buckets.values()) {
+    if (policy && b.policy !== policy) continue;
+    if (key && !b.key.includes(key)) continue;
+    const p = policyOfBucket(b);
+    if (!p) continue;
+    const tokens = level(b, p, now);
+    rows.push({ ...snapshot(p, b.key, tokens, tokens >= 1), tokens: Math.round(tokens * 1000) / 1000, updatedAt: new Date(b.updatedMs).toISOString() });
+  }
+  const max = Math.max(1, Math.min(1000, Number(limit) || 200));
+  return { matched: rows.length, buckets: rows.slice(-max).reverse() };
+}
+
+/** Removes matching buckets (all of them without filters). Returns the number removed. */
+export async function resetBuckets({ policy = "", key = "" } = {}) {
+  await ensureLoaded();
+  let removed = 0;
+  let persisted = false;
+  for (const [id, b] of buckets) {
+    if (policy && b.policy !== policy) continue;
+    if (key && b.key !== key) continue;
+    buckets.delete(id);
+    removed += 1;
+    persisted = persisted || !!policyOfBucket(b)?.persist;
+  }
+  if (persisted) await flushRateLimits();
+  return removed;
+}
+
+/** Policies with their effective limits, for the admin API and health payloads. */
+export function describeRateLimits() {
+  const cfg = rlConfig();
+  const policies = Object.keys(POLICIES).map((id) => {
+    const p = policyOf(id);
+    return { id, limit: p.limit, windowSec: p.windowSec, burst: p.capacity, persist: p.persist, description: POLICIES[id].description };
+  });
+  return {
+    version: VERSION,
+    enabled: cfg.enabled,
+    persistFile: cfg.file,
+    ipFactor: cfg.ipFactor,
+    trustProxy: getConfig("core").trustProxy,
+    buckets: buckets.size,
+    policies,
+    stats: { ...stats },
+  };
+}
+
+export default {
+  POLICIES,
+  callerKey,
+  addressKey,
+  take,
+  refund,
+  takeRequest,
+  refundRequest,
+  peek,
+  rateLimit,
+  setRateLimitHeaders,
+  sendRateLimited,
+  listBuckets,
+  resetBuckets,
+  describeRateLimits,
+  flushRateLimits,
+};
@@ -10,22 +10,21 @@
  */
 
 import express from "express";
-import fs from "fs";
 import fsp from "fs/promises";
 import path from "path";
-import { fileURLToPath } from "url";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+import { subscribe } from "./eventBus.js";
+import { recordCacheLookup } from "./metrics.js";
+import { listArtists, getStorageMeta } from "./artistsStore.js";
 
 const router = express.Router();
 
 // ----------------------------
-// Artists (persistent disk preferred)
+// Artists: artistsStore.js (the artist repository)
 // ----------------------------
-const DEFAULT_DATA_DIR = process.env.IBAND_DATA_DIR || "/var/data/iband/db";
-const FALLBACK_LOCAL_DIR = path.join(__dirname, "data", "db");
-const ARTISTS_FILE = process.env.IBAND_ARTISTS_FILE || "artists.json";
+const DEFAULT_DATA_DIR = getConfig("core").dataDir;
 
 // ----------------------------
 // Monetisation (PERSISTENT DISK)
@@ -34,6 +33,7 @@ const MON_DIR = path.join(DEFAULT_DATA_DIR, "monetisation");
 const EVENTS_DIR = path.join(MON_DIR, "events");
 const CONFIG_DIR = path.join(MON_DIR, "config");
 const SIGNALS_JSONL = path.join(EVENTS_DIR, "monetisation-signals.jsonl");
+const signalsLog = openSegmentedLog(getStorage(DEFAULT_DATA_DIR), SIGNALS_JSONL);
 const WEIGHTS_JSON = path.join(CONFIG_DIR, "monetisation-weights.json");
 
 // ----------------------------
@@ -60,6 +60,21 @@ const MON_CACHE = {
   affinity: new Map()  // fanId|artistId -> affinityScore
 };
 
+// Same inputs as ranking: drop cached recs on any new signal instead of waiting out the TTL.
+subscribe(
+  "recs.cache",
+  ["engagement.recorded", "vote.cast", "vote.undone", "purchase.recorded", "subscription.recorded", "monetisation.signal"],
+  (evt) => {
+    CACHE.map.clear();
+    if (evt.type === "monetisation.signal") {
+      MON_CACHE.byArtist = new Map();
+      MON_CACHE.affinity = new Map();
+      MON_CACHE.lastAt = 0;
+    }
+  },
+  { durable: false }
+);
+
 // ----------------------------
 // Defaults
 // ----------------------------
@@ -94,46 +109,6 @@ function clamp(n, min, max) {
   return Math.max(min, Math.min(max, n));
 }
 
-async function fileExists(p) {
-  try {
-    await fsp.access(p, fs.constants.F_OK);
-    return true;
-  } catch {
-    return false;
-  }
-}
-
-async function resolveArtistsPath() {
-  const p1 = path.join(DEFAULT_DATA_DIR, ARTISTS_FILE);
-  if (await fileExists(p1)) return p1;
-
-  const p2 = path.join(FALLBACK_LOCAL_DIR, ARTISTS_FILE);
-  if (await fileExists(p2)) return p2;
-
-  const p3 = path.join(__dirname, ARTISTS_FILE);
-  if (await fileExists(p3)) return p3;
-
-  return p1;
-}
-
-async function readJsonSafe(p, fallback) {
-  try {
-    const raw = await fsp.readFile(p, "utf8");
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
-  }
-}
-
-function asArrayArtists(data) {
-  if (Array.isArray(data)) return data;
-  if (data && typeof data === "object") {
-    if (Array.isArray(data.artists)) return data.artists;
-    if (Array.isArray(data.items)) return data.items;
-  }
-  return [];
-}
-
 function freshnessBoost(updatedAtIso) {
   if (!updatedAtIso) return 0;
   const t = new Date(updatedAtIso).getTime();
@@ -146,14 +121,6 @@ function freshnessBoost(updatedAtIso) {
   return clamp(1 - ageDays / 21, 0, 1);
 }
 
-function safeJsonParse(line) {
-  try {
-    return JSON.parse(line);
-  } catch {
-    return null;
-  }
-}
-
 async function ensureDirs() {
   await fsp.mkdir(EVENTS_DIR, { recursive: true });
   await fsp.mkdir(CONFIG_DIR, { recursive: true });
@@ -171,24 +138,11 @@ async function readWeights() {
   }
 }
 
-async function safeReadJsonlLines(filePath, maxBytes) {
-  await ensureDirs();
+// Parsed signals inside the lookback window, across every rotated segment (oldest first)
+async function readSignalsWindow(days) {
   try {
-    const stat = await fsp.stat(filePath);
-    if (stat.size > maxBytes) {
-      const fd = await fsp.open(filePath, "r");
-      try {
-        const start = Math.max(0, stat.size - maxBytes);
-        const len = stat.size - start;
-        const buf = Buffer.alloc(len);
-        await fd.read(buf, 0, len, start);
-        return buf.toString("utf8").split("\n").filter(Boolean);
-      } finally {
-        await fd.close();
-      }
-    }
-    const raw = await fsp.readFile(filePath, "utf8");
-    return raw.split("\n").filter(Boolean);
+    const { events } = await signalsLog.readRange({ fromMs: Date.now() - days * 24 * 60 * 60 * 1000 });
+    return events;
   } catch {
     return [];
   }
@@ -252,15 +206,11 @@ async function buildMonetisationIndex({ lookbackDays }) {
     365
   );
 
-  const maxBytes =
-    Number(weights.limits?.maxReadBytes ?? DEFAULT_WEIGHTS.limits.maxReadBytes) ||
-    DEFAULT_WEIGHTS.limits.maxReadBytes;
-
   const maxLines =
     Number(weights.limits?.maxLineScan ?? DEFAULT_WEIGHTS.limits.maxLineScan) ||
     DEFAULT_WEIGHTS.limits.maxLineScan;
 
-  const lines = await safeReadJsonlLines(SIGNALS_JSONL, maxBytes);
+  const lines = await readSignalsWindow(lb);
 
   const byArtist = new Map();
   const affinity = new Map(); // fanId|artistId -> rawAffinity
@@ -270,7 +220,7 @@ async function buildMonetisationIndex({ lookbackDays }) {
     scanned += 1;
     if (scanned > maxLines) break;
 
-    const evt = safeJsonParse(lines[i]);
+    const evt = lines[i];
     if (!evt || !evt.artistId) continue;
     if (!withinLookback(evt.ts, lb)) continue;
 
@@ -366,8 +316,6 @@ function diversify(list) {
 // Routes
 // ----------------------------
 router.get("/health", async (req, res) => {
-  const artistsPath = await resolveArtistsPath();
-
   let monStat = null;
   try {
     monStat = await fsp.stat(SIGNALS_JSONL);
@@ -386,7 +334,7 @@ router.get("/health", async (req, res) => {
       size: monStat ? monStat.size : 0,
       mtimeMs: monStat ? monStat.mtimeMs : null
     },
-    artistsFilePath: artistsPath,
+    artistsFilePath: getStorageMeta().dbFile,
     updatedAt: nowIso()
   });
 });
@@ -402,20 +350,18 @@ router.get("/feed", async (req, res) => {
   const now = Date.now();
 
   if (hit && now - hit.at < CACHE.ttlMs) {
+    recordCacheLookup("recs", true);
     return res.json({ ...hit.value, cache: { hit: true, ttlMs: CACHE.ttlMs } });
   }
+  recordCacheLookup("recs", false);
 
-  const artistsPath = await resolveArtistsPath();
-  const raw = await readJsonSafe(artistsPath, []);
-  const artists = asArrayArtists(raw);
+  const artists = listArtists();
 
   const rows = [];
   for (const a of artists) {
-    const id = (a.id || a.artistId || a.slug || "").toString();
-    if (!id) continue;
-
-    const votes = Number(a.votes ?? a.voteCount ?? 0) || 0;
-    const updatedAt = a.updatedAt || a.lastActiveAt || a.modifiedAt || null;
+    const id = a.id;
+    const votes = a.votes;
+    const updatedAt = a.updatedAt || null;
 
     const { monetisationScore, affinityScore } = includeMonetisation
       ? await getMonetisationAndAffinity(id, fanId, lookbackDays)
@@ -425,10 +371,10 @@ router.get("/feed", async (req, res) => {
 
     rows.push({
       id,
-      name: a.name || a.artistName || id,
-      genre: a.genre || a.primaryGenre || "",
-      location: a.location || "",
-      imageUrl: a.imageUrl || a.image || "",
+      name: a.name || id,
+      genre: a.genre,
+      location: a.location,
+      imageUrl: a.imageUrl,
       votes,
       monetisationScore,
       affinityScore,
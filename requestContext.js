@@ -0,0 +1,73 @@
+/**
+ * requestContext.js (root) — ESM
+ * iBand Request Context (v1): X-Request-Id correlation for every HTTP request.
+ *
+ * requestContext (app middleware in server.js, before the body parsers):
+ * - accepts the caller's / proxy's X-Request-Id when it looks like an id (1-128 of [A-Za-z0-9._:-])
+ *   and IBAND_TRUST_REQUEST_ID is on; otherwise generates "req_<24 hex>"
+ * - sets req.id and echoes the X-Request-Id response header
+ * - runs the rest of the request inside an AsyncLocalStorage scope, so currentRequestId() works in
+ *   stores, event bus subscribers and loggers without threading req through
+ *
+ * Records written while handling a request carry `requestId: currentRequestId()`:
+ * events.jsonl, votes.jsonl, shares, monetisation signals, strikes / bans, purchases + subscriptions.
+ * Outside a request (boot replay, scripts) it is null.
+ *
+ * logger.js stamps the same id on every log line, so a support ticket's X-Request-Id finds both
+ * the access log line and the persisted records.
+ *
+ * clientIp(req) is the caller's address for rate limiting and IP hashes (rateLimit.js, adminAudit.js,
+ * events.js). X-Forwarded-For is only read behind IBAND_TRUST_PROXY proxies: each one appends the
+ * address it received the request from, so the client is that many entries from the right. With 0
+ * (the default) the header is ignored, since anyone can send it.
+ */
+
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+
+import { getConfig } from "./config.js";
+
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+const ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const als = new AsyncLocalStorage();
+
+export function newRequestId() {
+  return `req_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+/** The caller's address: the socket peer, or the X-Forwarded-For entry IBAND_TRUST_PROXY hops back. */
+export function clientIp(req) {
+  const peer = req?.socket?.remoteAddress || req?.connection?.remoteAddress || "unknown";
+  const hops = getConfig("core").trustProxy;
+  if (!hops) return peer;
+  const xff = req?.headers?.["x-forwarded-for"];
+  const chain = (typeof xff === "string" ? xff.split(",") : []).map((s) => s.trim()).filter(Boolean);
+  return chain.length ? chain[Math.max(0, chain.length - hops)] : peer;
+}
+
+/** The incoming header when trusted and well-formed, else a fresh id. */
+export function resolveRequestId(raw, { trust = true } = {}) {
+  const v = typeof raw === "string" ? raw.trim() : "";
+  return trust && ID_RE.test(v) ? v : newRequestId();
+}
+
+/** Request id of the current async context, or null outside a request. */
+export function currentRequestId() {
+  return als.getStore()?.requestId ?? null;
+}
+
+/** Runs fn with requestId as the current id (background jobs that continue a request's work). */
+export function runWithRequestId(requestId, fn) {
+  return als.run({ requestId: requestId || newRequestId() }, fn);
+}
+
+export function requestContext(req, res, next) {
+  const requestId = resolveRequestId(req.headers?.["x-request-id"], { trust: getConfig("logging").trustRequestId });
+  req.id = requestId;
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+  return als.run({ requestId }, next);
+}
+
+export default { REQUEST_ID_HEADER, newRequestId, clientIp, resolveRequestId, currentRequestId, runWithRequestId, requestContext };
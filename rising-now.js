@@ -2,52 +2,36 @@ import express from "express";
 import fs from "fs";
 import path from "path";
 
+import { getConfig } from "./config.js";
+import { listArtists, getStorageMeta } from "./artistsStore.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+
 const router = express.Router();
 
 const SERVICE = "rising-now";
 const PHASE = "H21";
 const VERSION = 1;
 
-const DATA_DIR = "/var/data/iband/db";
-
-const ARTISTS_FILE_CANDIDATES = [
-  path.join(DATA_DIR, "artists", "artists.json"),
-  path.join(DATA_DIR, "artists.json")
-];
+const DATA_DIR = getConfig("core").dataDir;
 
 const SHARES_FILE = path.join(DATA_DIR, "shares", "events", "shares.jsonl");
+const sharesLog = openSegmentedLog(getStorage(DATA_DIR), SHARES_FILE);
 
 function safeNum(v) {
   const n = Number(v);
   return Number.isFinite(n) ? n : 0;
 }
 
-function readJSON(file) {
+// All shares, across rotated segments
+async function readShareEvents() {
   try {
-    if (!fs.existsSync(file)) return [];
-
-    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
-
-    if (Array.isArray(raw)) return raw;
-    if (Array.isArray(raw.artists)) return raw.artists;
-    if (Array.isArray(raw.list)) return raw.list;
-
-    return [];
+    const { events } = await sharesLog.readRange();
+    return events;
   } catch {
     return [];
   }
 }
 
-function readArtists() {
-  for (const file of ARTISTS_FILE_CANDIDATES) {
-    if (fs.existsSync(file)) {
-      return readJSON(file);
-    }
-  }
-
-  return [];
-}
-
 function readJSONL(file) {
   try {
     if (!fs.existsSync(file)) return [];
@@ -87,7 +71,7 @@ router.get("/health", (req, res) => {
     phase: PHASE,
     version: VERSION,
     files: {
-      artistsCandidates: ARTISTS_FILE_CANDIDATES,
+      artistsFile: getStorageMeta().dbFile,
       shares: {
         path: SHARES_FILE,
         ok: fs.existsSync(SHARES_FILE)
@@ -100,10 +84,10 @@ router.get("/health", (req, res) => {
 /*
 Rising Now feed
 */
-router.get("/artists", (req, res) => {
+router.get("/artists", async (req, res) => {
   try {
-    const artists = readArtists();
-    const shareEvents = readJSONL(SHARES_FILE);
+    const artists = listArtists();
+    const shareEvents = await readShareEvents();
 
     const now = Date.now();
     const sixHourWindow = 6 * 60 * 60 * 1000;
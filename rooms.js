@@ -4,15 +4,33 @@
 // - events/rooms-events.jsonl (create/join/leave/post events)
 // - messages/room-messages.jsonl (messages)
 // Future-ready for ambassador-only forums, artist-invite rooms, translation hooks, and moderation integration.
+// All three go through storage/index.js (IBAND_STORAGE_ADAPTER=file|memory|sqlite).
+// join/post act as the fan in the identity token (identity.js resolveFan).
+// create/join/post bodies are declared with describeRoutes (apiSchema.js); errors use the shared envelope.
+// GET /:roomId/messages pages backwards with ?limit=&cursor= (pagination.js); each page stays oldest first.
+// POST /post is rate limited per fan and per address by the shared "rooms.post" token buckets (rateLimit.js).
+// GET /:roomId/stream pushes new messages as SSE (liveStream.js); Last-Event-ID resumes from room-messages.jsonl.
+// /api/rooms/ws is the two-way version (webSocket.js): subscribe under the /join rules, post through the
+// same checks as /post (postMessage), presence and typing per room. GET /:roomId/presence is the snapshot.
 
 import express from "express";
 import fs from "fs";
-import fsp from "fs/promises";
 import path from "path";
 import crypto from "crypto";
 import { fileURLToPath } from "url";
 
+import { getConfig } from "./config.js";
+import { attachPrincipal, resolveFan } from "./identity.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+import { describeRoutes, sendError, errorBody, S } from "./apiSchema.js";
+import { PAGE_QUERY, readPage, sendPageError, isAfter, paginate } from "./pagination.js";
+import { rateLimit, takeRequest } from "./rateLimit.js";
+import { openEventStream, publishLive } from "./liveStream.js";
+import { registerSocketRoute, CLOSE_CODES } from "./webSocket.js";
+
 const router = express.Router();
+const api = describeRoutes(router, { tag: "rooms" });
+router.use(attachPrincipal);
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,13 +39,15 @@ const SERVICE = "rooms";
 const PHASE = "H5.2";
 const VERSION = 1;
 
-const DB_ROOT = process.env.IBAND_DATA_DIR || "/var/data/iband/db";
+const DB_ROOT = getConfig("core").dataDir;
+const storage = getStorage(DB_ROOT);
 const STORAGE_DIR = path.join(DB_ROOT, "rooms");
 const ROOMS_FILE = path.join(STORAGE_DIR, "rooms.json");
 const EVENTS_DIR = path.join(STORAGE_DIR, "events");
 const MESSAGES_DIR = path.join(STORAGE_DIR, "messages");
 const EVENTS_FILE = path.join(EVENTS_DIR, "rooms-events.jsonl");
 const MESSAGES_FILE = path.join(MESSAGES_DIR, "room-messages.jsonl");
+const messagesLog = openSegmentedLog(storage, MESSAGES_FILE);
 
 const LIMITS = {
   maxBodyBytes: 25000,
@@ -94,18 +114,14 @@ function clampInt(v, min, max, fallback) {
 }
 
 async function ensureDirs() {
-  await fsp.mkdir(STORAGE_DIR, { recursive: true });
-  await fsp.mkdir(EVENTS_DIR, { recursive: true });
-  await fsp.mkdir(MESSAGES_DIR, { recursive: true });
-  if (!fs.existsSync(ROOMS_FILE)) {
-    await fsp.writeFile(ROOMS_FILE, JSON.stringify({ version: 1, updatedAt: nowIso(), rooms: [] }, null, 2));
+  if (!(await storage.exists(ROOMS_FILE))) {
+    await storage.writeJson(ROOMS_FILE, { version: 1, updatedAt: nowIso(), rooms: [] });
   }
 }
 
 async function readRoomsStore() {
   await ensureDirs();
-  const raw = await fsp.readFile(ROOMS_FILE, "utf8");
-  const store = JSON.parse(raw || "{}");
+  const store = (await storage.readJson(ROOMS_FILE, {})) || {};
   if (!store.rooms || !Array.isArray(store.rooms)) {
     return { version: 1, updatedAt: nowIso(), rooms: [] };
   }
@@ -114,13 +130,11 @@ async function readRoomsStore() {
 
 async function writeRoomsStore(store) {
   store.updatedAt = nowIso();
-  await fsp.writeFile(ROOMS_FILE, JSON.stringify(store, null, 2));
+  await storage.writeJson(ROOMS_FILE, store);
 }
 
 async function appendJsonl(filePath, obj) {
-  const line = JSON.stringify(obj) + "\n";
-  await ensureDirs();
-  await fsp.appendFile(filePath, line, "utf8");
+  await storage.appendJsonl(filePath, obj);
 }
 
 function containsAny(text, list) {
@@ -170,12 +184,87 @@ async function maybeRecordStrike({ fanId, scopeKey = "global", reasonCode, sever
   }
 }
 
+/** Membership rules for entering a room (POST /join and socket subscribe) -> refusal or null. */
+function joinRefusal(room, roomId, { ambassador = false } = {}) {
+  if (!room) return { status: 404, code: "room_not_found", extra: { roomId } };
+  // Ambassador-only enforcement (future-ready)
+  if (room.ambassadorOnly && !ambassador) return { status: 403, code: "ambassador_required", extra: { roomId } };
+  return null;
+}
+
+/**
+ * The one write path for messages (POST /post and socket posts): length, room, content check (+ strike),
+ * append, live fan-out, counters, room_post event. -> { msg } or { error: { status, code, extra } }.
+ */
+async function postMessage({ roomId, fanId, text, lang, artistId, scopeKey, meta }) {
+  if (!fanId) return { error: { status: 400, code: "missing_fanId" } };
+  if (text.length > LIMITS.maxTextLen) {
+    return { error: { status: 413, code: "text_too_long", extra: { maxTextLen: LIMITS.maxTextLen } } };
+  }
+
+  const store = await readRoomsStore();
+  const room = store.rooms.find((r) => r.id === roomId);
+  if (!room) return { error: { status: 404, code: "room_not_found", extra: { roomId } } };
+
+  // Local content check (fallback)
+  const check = localContentCheck(text);
+  if (!check.ok) {
+    // Optional: record strike via moderation module if available
+    await maybeRecordStrike({
+      fanId,
+      scopeKey: scopeKey || "global",
+      reasonCode: check.reasonCode,
+      severity: check.severity || 1,
+    });
+
+    return {
+      error: {
+        status: 403,
+        code: "blocked_by_policy",
+        extra: { reasonCode: check.reasonCode, message: "Message blocked by community policy." },
+      },
+    };
+  }
+
+  const msg = {
+    id: `msg_${makeId()}`,
+    roomId,
+    fanId,
+    artistId: safeStr(artistId, 80) || null,
+    text: text.trim(),
+    lang,
+    ts: nowIso(),
+    meta: meta || null,
+  };
+
+  await messagesLog.append(msg);
+  publishLive("rooms", msg);
+  broadcast(roomId, { type: "message", roomId, message: msg });
+
+  room.counters = room.counters || { joins: 0, messages: 0 };
+  room.counters.messages = (room.counters.messages || 0) + 1;
+  room.updatedAt = nowIso();
+  await writeRoomsStore(store);
+
+  await appendJsonl(EVENTS_FILE, {
+    id: makeId(),
+    type: "room_post",
+    roomId,
+    fanId,
+    messageId: msg.id,
+    ts: msg.ts,
+    meta: meta || null,
+  });
+
+  return { msg };
+}
+
 function ok(res, payload) {
   res.status(200).json(payload);
 }
 
 function bad(res, status, error, extra = {}) {
-  res.status(status).json({ success: false, error, ...extra });
+  sendError(res, status, error, extra.message, extra);
 }
 
 // ---------- routes ----------
@@ -185,8 +274,9 @@ router.get("/health", async (req, res) => {
   await ensureDirs();
 
   const roomsStore = await readRoomsStore();
-  const eventsOk = fs.existsSync(EVENTS_FILE);
-  const msgsOk = fs.existsSync(MESSAGES_FILE);
+  const roomsStat = await storage.stat(ROOMS_FILE);
+  const eventsStat = await storage.stat(EVENTS_FILE);
+  const msgsStat = await storage.stat(MESSAGES_FILE);
 
   ok(res, {
     success: true,
@@ -194,24 +284,26 @@ router.get("/health", async (req, res) => {
     phase: PHASE,
     version: VERSION,
     storageDir: STORAGE_DIR,
+    storage: storage.describe(),
     files: {
       rooms: {
         path: ROOMS_FILE,
-        ok: true,
-        size: fs.statSync(ROOMS_FILE).size,
-        mtimeMs: fs.statSync(ROOMS_FILE).mtimeMs,
+        ok: roomsStat.exists,
+        size: roomsStat.size,
+        mtimeMs: roomsStat.mtimeMs,
       },
       events: {
         path: EVENTS_FILE,
-        ok: eventsOk,
-        size: eventsOk ? fs.statSync(EVENTS_FILE).size : 0,
-        mtimeMs: eventsOk ? fs.statSync(EVENTS_FILE).mtimeMs : null,
+        ok: eventsStat.exists,
+        size: eventsStat.size,
+        mtimeMs: eventsStat.mtimeMs,
       },
       messages: {
         path: MESSAGES_FILE,
-        ok: msgsOk,
-        size: msgsOk ? fs.statSync(MESSAGES_FILE).size : 0,
-        mtimeMs: msgsOk ? fs.statSync(MESSAGES_FILE).mtimeMs : null,
+        ok: msgsStat.exists,
+        size: msgsStat.size,
+        mtimeMs: msgsStat.mtimeMs,
+        segments: await messagesLog.stat().catch(() => null),
       },
     },
     store: {
@@ -225,11 +317,29 @@ router.get("/health", async (req, res) => {
 });
 
 // Create room
-router.post("/create", async (req, res) => {
-  const body = req.body || {};
+api.post("/create", {
+  summary: "Create a room",
+  body: S.obj(
+    {
+      id: S.text(64),
+      name: S.text(),
+      description: S.text(),
+      type: S.text(30),
+      visibility: S.text(30),
+      status: S.text(30),
+      createdByFanId: S.text(80),
+      artistId: S.text(80),
+      ambassadorOnly: S.bool(),
+      tags: S.arr(S.text()),
+      meta: S.map(),
+    },
+    ["name"]
+  ),
+  responses: { 200: "Room created.", 409: "Room id exists." },
+}, async (req, res) => {
+  const body = req.body;
 
   const name = safeStr(body.name, 80);
-  if (!name) return bad(res, 400, "invalid_room_name");
 
   const type = safeStr(body.type || DEFAULTS.roomType, 30);
   const visibility = safeStr(body.visibility || DEFAULTS.visibility, 30);
@@ -327,21 +437,23 @@ router.get("/:roomId", async (req, res) => {
 });
 
 // Join room (records event)
-router.post("/join", async (req, res) => {
-  const body = req.body || {};
+api.post("/join", {
+  summary: "Join a room",
+  auth: "fan",
+  body: S.obj({ roomId: S.id(80), fanId: S.text(80), ambassador: S.bool(), meta: S.map() }, ["roomId"]),
+  responses: { 200: "Joined.", 403: "Ambassador-only room.", 404: "Room not found." },
+}, async (req, res) => {
+  const body = req.body;
   const roomId = safeStr(body.roomId, 80);
-  const fanId = safeStr(body.fanId, 80);
-  if (!roomId) return bad(res, 400, "missing_roomId");
+  const who = resolveFan(req, { fanId: body.fanId });
+  if (who.error) return bad(res, who.error.status, who.error.code);
+  const fanId = safeStr(who.fanId, 80);
   if (!fanId) return bad(res, 400, "missing_fanId");
 
   const store = await readRoomsStore();
   const room = store.rooms.find((r) => r.id === roomId);
-  if (!room) return bad(res, 404, "room_not_found", { roomId });
-
-  // Ambassador-only enforcement (future-ready)
-  if (room.ambassadorOnly && !body.ambassador) {
-    return bad(res, 403, "ambassador_required", { roomId });
-  }
+  const refusal = joinRefusal(room, roomId, body);
+  if (refusal) return bad(res, refusal.status, refusal.code, refusal.extra);
 
   room.counters = room.counters || { joins: 0, messages: 0 };
   room.counters.joins = (room.counters.joins || 0) + 1;
@@ -361,95 +473,268 @@ router.post("/join", async (req, res) => {
 });
 
 // Post message (moderation-aware)
-router.post("/post", async (req, res) => {
-  const body = req.body || {};
-  const roomId = safeStr(body.roomId, 80);
-  const fanId = safeStr(body.fanId, 80);
-  const text = (body.text ?? "").toString();
-  const lang = safeStr(body.lang || body.locale || "en", 12);
-
-  if (!roomId) return bad(res, 400, "missing_roomId");
-  if (!fanId) return bad(res, 400, "missing_fanId");
-  if (!text.trim()) return bad(res, 400, "missing_text");
-  if (text.length > LIMITS.maxTextLen) return bad(res, 413, "text_too_long", { maxTextLen: LIMITS.maxTextLen });
+api.post("/post", {
+  summary: "Post a message (local content check, strikes via moderation)",
+  auth: "fan",
+  body: S.obj(
+    {
+      roomId: S.id(80),
+      fanId: S.text(80),
+      text: { type: "string" }, // length is checked in the handler: too long answers 413 text_too_long
+      lang: S.text(12),
+      locale: S.text(12),
+      artistId: S.text(80),
+      scopeKey: S.text(120),
+      meta: S.map(),
+    },
+    ["roomId", "text"]
+  ),
+  responses: { 200: "Message posted.", 403: "Blocked by community policy.", 404: "Room not found.", 413: "Text too long.", 429: "Rate limit exceeded." },
+}, rateLimit("rooms.post"), async (req, res) => {
+  const body = req.body;
+  const who = resolveFan(req, { fanId: body.fanId });
+  if (who.error) return bad(res, who.error.status, who.error.code);
+
+  const out = await postMessage({
+    roomId: safeStr(body.roomId, 80),
+    fanId: safeStr(who.fanId, 80),
+    text: (body.text ?? "").toString(),
+    lang: safeStr(body.lang || body.locale || "en", 12),
+    artistId: body.artistId,
+    scopeKey: body.scopeKey,
+    meta: body.meta,
+  });
+  if (out.error) return bad(res, out.error.status, out.error.code, out.error.extra);
+  const { msg } = out;
 
-  const store = await readRoomsStore();
-  const room = store.rooms.find((r) => r.id === roomId);
-  if (!room) return bad(res, 404, "room_not_found", { roomId });
+  ok(res, { success: true, message: "Message posted.", msg });
+});
 
-  // Local content check (fallback)
-  const check = localContentCheck(text);
-  if (!check.ok) {
-    // Optional: record strike via moderation module if available
-    await maybeRecordStrike({
-      fanId,
-      scopeKey: body.scopeKey || "global",
-      reasonCode: check.reasonCode,
-      severity: check.severity || 1,
+const messageKey = (m) => ({ at: m?.ts, id: m?.id });
+
+/**
+ * One page of a room's messages older than the cursor (newest page first).
+ * readRecent stops after `want` matches in log order, which is ts order but not id order, so a
+ * same-millisecond group can be cut in half at the edge. Only hand out a page whose messages all
+ * sit above the oldest ts read (complete groups); otherwise read further back and retry.
+ */
+async function readMessagesPage(roomId, page) {
+  for (let want = page.limit + 1; ; want *= 2) {
+    const { events } = await messagesLog.readRecent({
+      limit: want,
+      filter: (r) => r?.roomId === roomId && isAfter(messageKey(r), page),
     });
+    if (events.length < want) return paginate(events, page, messageKey);
 
-    return bad(res, 403, "blocked_by_policy", {
-      reasonCode: check.reasonCode,
-      message: "Message blocked by community policy.",
-    });
+    const edge = Math.min(...events.map((m) => Date.parse(m.ts) || 0));
+    const complete = events.filter((m) => (Date.parse(m.ts) || 0) > edge).length;
+    if (complete >= page.limit) return paginate(events, page, messageKey);
   }
+}
 
-  const msg = {
-    id: `msg_${makeId()}`,
-    roomId,
-    fanId,
-    artistId: safeStr(body.artistId, 80) || null,
-    text: text.trim(),
-    lang,
-    ts: nowIso(),
-    meta: body.meta || null,
-  };
-
-  await appendJsonl(MESSAGES_FILE, msg);
+// List messages: newest page first, ?cursor= walks back in time
+api.get("/:roomId/messages", {
+  summary: "Room messages, paged backwards (each page oldest first)",
+  query: S.obj(PAGE_QUERY),
+}, async (req, res) => {
+  const roomId = safeStr(req.params.roomId, 80);
+  const page = readPage(req.query, { defaultLimit: 20, maxLimit: LIMITS.maxMessagesReturned, scope: { roomId } });
+  if (page.error) return sendPageError(res, page.error);
 
-  room.counters = room.counters || { joins: 0, messages: 0 };
-  room.counters.messages = (room.counters.messages || 0) + 1;
-  room.updatedAt = nowIso();
-  await writeRoomsStore(store);
+  const out = await readMessagesPage(roomId, page);
+  const msgs = out.items.reverse();
 
-  await appendJsonl(EVENTS_FILE, {
-    id: makeId(),
-    type: "room_post",
+  ok(res, {
+    success: true,
     roomId,
-    fanId,
-    messageId: msg.id,
-    ts: msg.ts,
-    meta: body.meta || null,
+    messages: msgs,
+    nextCursor: out.nextCursor,
+    hasMore: out.hasMore,
+    meta: { limit: page.limit, ts: nowIso() },
   });
-
-  ok(res, { success: true, message: "Message posted.", msg });
 });
 
-// List messages (basic tail read via JSONL scan)
-router.get("/:roomId/messages", async (req, res) => {
+// Live messages (SSE): one room, optionally one artist's thread; replays from Last-Event-ID first
+api.get("/:roomId/stream", {
+  summary: "New messages as Server-Sent Events (Last-Event-ID resume)",
+  query: S.obj({ artistId: S.text(80), lastEventId: S.text(512) }),
+  responses: { 200: "text/event-stream of room.message events.", 404: "Room not found." },
+}, async (req, res) => {
   const roomId = safeStr(req.params.roomId, 80);
-  const limit = clampInt(req.query.limit, 1, LIMITS.maxMessagesReturned, 20);
+  const artistId = safeStr(req.query.artistId, 80) || null;
+
+  const store = await readRoomsStore();
+  if (!store.rooms.some((r) => r.id === roomId)) return bad(res, 404, "room_not_found", { roomId });
+
+  return openEventStream(req, res, {
+    stream: SERVICE,
+    channel: "rooms",
+    log: messagesLog,
+    match: (m) => m?.roomId === roomId && (!artistId || m?.artistId === artistId),
+    eventOf: () => "room.message",
+    filters: { roomId, artistId },
+  });
+});
 
-  if (!fs.existsSync(MESSAGES_FILE)) {
-    return ok(res, { success: true, roomId, messages: [], meta: { limit, ts: nowIso() } });
+// ---------- WebSocket chat (/api/rooms/ws) ----------
+// client -> server (JSON text frames; "ref" is echoed on the reply):
+//   { type: "subscribe", roomId, ambassador }     -> { type: "subscribed", roomId, online }
+//   { type: "unsubscribe", roomId }               -> { type: "unsubscribed", roomId }
+//   { type: "post", roomId, text, lang, artistId, scopeKey, meta } -> { type: "posted", msg }
+//   { type: "typing", roomId, typing }            (expires after IBAND_WS_TYPING_TTL_MS)
+//   { type: "ping" }                              -> { type: "pong" }
+// server -> subscribers: message, presence (join/leave + online), typing; failures are
+// { type: "error", ...shared envelope, status, ref }.
+
+const presence = new Map(); // roomId -> Map(fanId -> Set(conn))
+const typing = new Map(); // "roomId|fanId" -> expiry timer
+
+function onlineIn(roomId) {
+  return [...(presence.get(roomId)?.keys() || [])];
+}
+
+function broadcast(roomId, payload, { exceptFan = null } = {}) {
+  for (const [fanId, conns] of presence.get(roomId) || []) {
+    if (fanId !== exceptFan) for (const conn of conns) conn.send(payload);
   }
+}
+
+function setTyping(roomId, fanId, on) {
+  const key = `${roomId}|${fanId}`;
+  const was = typing.has(key);
+  clearTimeout(typing.get(key));
+  typing.delete(key);
+  if (on) {
+    const timer = setTimeout(() => setTyping(roomId, fanId, false), getConfig("ws").typingTtlMs);
+    timer.unref?.();
+    typing.set(key, timer);
+  }
+  if (on || was) broadcast(roomId, { type: "typing", roomId, fanId, typing: Boolean(on), ts: nowIso() }, { exceptFan: fanId });
+}
+
+function enterRoom(roomId, fanId, conn) {
+  if (!presence.has(roomId)) presence.set(roomId, new Map());
+  const fans = presence.get(roomId);
+  const first = !fans.has(fanId);
+  if (first) fans.set(fanId, new Set());
+  fans.get(fanId).add(conn);
+  if (first) broadcast(roomId, { type: "presence", roomId, fanId, event: "join", online: onlineIn(roomId), ts: nowIso() }, { exceptFan: fanId });
+}
+
+function leaveRoom(roomId, fanId, conn) {
+  const fans = presence.get(roomId);
+  const conns = fans?.get(fanId);
+  if (!conns?.delete(conn) || conns.size) return;
+  fans.delete(fanId);
+  if (!fans.size) presence.delete(roomId);
+  setTyping(roomId, fanId, false);
+  broadcast(roomId, { type: "presence", roomId, fanId, event: "leave", online: onlineIn(roomId), ts: nowIso() });
+}
+
+function socketError(conn, ref, status, code, extra = {}) {
+  const { message, ...rest } = extra;
+  conn.send({ type: "error", ...errorBody(code, message, rest), status, ref });
+}
 
-  // Simple scan (safe for current scale); later we’ll index by roomId for speed
-  const raw = await fsp.readFile(MESSAGES_FILE, "utf8");
-  const lines = raw.split("\n").filter(Boolean);
-
-  const msgs = [];
-  for (let i = lines.length - 1; i >= 0 && msgs.length < limit; i -= 1) {
-    try {
-      const obj = JSON.parse(lines[i]);
-      if (obj.roomId === roomId) msgs.push(obj);
-    } catch (_) {
-      // ignore bad line
+async function handleSocketMessage(conn, req, fanId, joined, raw) {
+  let m;
+  try {
+    m = JSON.parse(raw);
+  } catch {
+    return socketError(conn, null, 400, "bad_message", { message: "Frames must be JSON objects with a type." });
+  }
+  if (!m || typeof m !== "object") return socketError(conn, null, 400, "bad_message", { message: "Frames must be JSON objects with a type." });
+
+  const ref = m.ref ?? null;
+  const roomId = safeStr(m.roomId, 80);
+
+  switch (m.type) {
+    case "ping":
+      return conn.send({ type: "pong", ref, ts: nowIso() });
+
+    case "subscribe": {
+      if (joined.has(roomId)) return conn.send({ type: "subscribed", ref, roomId, online: onlineIn(roomId) });
+      const store = await readRoomsStore();
+      const refusal = joinRefusal(store.rooms.find((r) => r.id === roomId), roomId, { ambassador: Boolean(m.ambassador) });
+      if (refusal) return socketError(conn, ref, refusal.status, refusal.code, refusal.extra);
+      if (!conn.open) return;
+
+      joined.add(roomId);
+      enterRoom(roomId, fanId, conn);
+      await appendJsonl(EVENTS_FILE, { id: makeId(), type: "room_subscribe", roomId, fanId, connectionId: conn.id, ts: nowIso(), meta: null });
+      return conn.send({ type: "subscribed", ref, roomId, online: onlineIn(roomId) });
+    }
+
+    case "unsubscribe":
+      if (joined.delete(roomId)) leaveRoom(roomId, fanId, conn);
+      return conn.send({ type: "unsubscribed", ref, roomId });
+
+    case "typing":
+      if (!joined.has(roomId)) return socketError(conn, ref, 403, "not_subscribed", { roomId });
+      return setTyping(roomId, fanId, m.typing !== false);
+
+    case "post": {
+      if (!joined.has(roomId)) return socketError(conn, ref, 403, "not_subscribed", { roomId });
+      const limited = await takeRequest("rooms.post", req);
+      if (!limited.ok) {
+        return socketError(conn, ref, 429, "rate_limited", {
+          message: `Rate limit exceeded (${limited.policy}). Try again in ${limited.retryAfterSec}s.`,
+          policy: limited.policy,
+          retryAfterSec: limited.retryAfterSec,
+        });
+      }
+      const out = await postMessage({
+        roomId,
+        fanId,
+        text: (m.text ?? "").toString(),
+        lang: safeStr(m.lang || m.locale || "en", 12),
+        artistId: m.artistId,
+        scopeKey: m.scopeKey,
+        meta: m.meta && typeof m.meta === "object" ? m.meta : null,
+      });
+      if (out.error) return socketError(conn, ref, out.error.status, out.error.code, out.error.extra);
+      setTyping(roomId, fanId, false);
+      return conn.send({ type: "posted", ref, msg: out.msg });
     }
+
+    default:
+      return socketError(conn, ref, 400, "unknown_type", { message: `Unknown message type "${safeStr(m.type, 40)}".` });
+  }
+}
+
+registerSocketRoute("/api/rooms/ws", (conn, req) => {
+  const who = resolveFan(req, { fanId: req.query.fanId });
+  const fanId = safeStr(who.fanId, 80);
+  if (who.error || !fanId) {
+    const code = who.error?.code || "missing_fanId";
+    socketError(conn, null, who.error?.status || 400, code, { message: who.error?.message });
+    return conn.close(CLOSE_CODES.policyViolation, code);
   }
 
-  msgs.reverse();
-  ok(res, { success: true, roomId, messages: msgs, meta: { limit, ts: nowIso() } });
+  const joined = new Set();
+  let queue = Promise.resolve(); // one frame at a time, in arrival order
+  conn.on("message", (raw) => {
+    queue = queue
+      .then(() => handleSocketMessage(conn, req, fanId, joined, raw))
+      .catch(() => socketError(conn, null, 500, "server_error"));
+  });
+  conn.on("close", () => {
+    for (const roomId of joined) leaveRoom(roomId, fanId, conn);
+    joined.clear();
+  });
+
+  conn.send({ type: "hello", connectionId: conn.id, fanId, typingTtlMs: getConfig("ws").typingTtlMs, ts: nowIso() });
+});
+
+// Who is connected to a room over the socket right now
+router.get("/:roomId/presence", async (req, res) => {
+  const roomId = safeStr(req.params.roomId, 80);
+  const store = await readRoomsStore();
+  if (!store.rooms.some((r) => r.id === roomId)) return bad(res, 404, "room_not_found", { roomId });
+
+  const online = onlineIn(roomId);
+  const typingNow = online.filter((fanId) => typing.has(`${roomId}|${fanId}`));
+  ok(res, { success: true, roomId, online, typing: typingNow, count: online.length, ts: nowIso() });
 });
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,386 @@
+/**
+ * scheduler.js (root) — ESM
+ * iBand Scheduler (v1): in-process periodic jobs with cron-like schedules.
+ *
+ * Modules register their own jobs at import time; server.js calls startScheduler() once every
+ * module is mounted:
+ *
+ *   import { registerJob } from "./scheduler.js";
+ *   registerJob({
+ *     id: "purchases.expire-subscriptions",
+ *     schedule: "*\/5 * * * *",
+ *     description: "Mark subscriptions past endsAt as expired.",
+ *     run: async ({ now, trigger }) => ({ expired: 3 }),   // result is persisted as lastResult
+ *   });
+ *
+ * Schedules are 5-field cron specs in UTC: minute hour day-of-month month day-of-week.
+ * Fields take "*", numbers, ranges "a-b", steps "*\/n" / "a-b/n" and comma lists; @hourly, @daily,
+ * @weekly and @monthly are shorthands. When both day fields are restricted either may match (cron).
+ *
+ * Runs:
+ * - the scheduler ticks once a minute and starts every job whose spec matches that minute
+ * - one run per job at a time: an in-process flag plus the storage advisory lock
+ *   "scheduler/<id>" (acquireLock), so a second process skips instead of running twice
+ * - every run executes under its own request id ("job_<hex>", requestContext.js), so its log lines
+ *   and the records it writes correlate like a request's
+ * - the last run of each job (status, duration, error, result, counters) is kept in
+ *   DATA_DIR/scheduler/jobs.json and survives restarts
+ *
+ * Admin API (admin.js): GET /api/admin/jobs, POST /api/admin/jobs/:id/run.
+ *
+ * Config (config.js namespace "scheduler"): IBAND_SCHEDULER_ENABLED, IBAND_SCHEDULER_FILE,
+ * IBAND_SCHEDULER_LOCK_STALE_MS, IBAND_SCHEDULER_DISABLED (job ids that never run on schedule).
+ */
+
+import crypto from "crypto";
+
+import { getConfig } from "./config.js";
+import { getStorage, withFileLock } from "./storage/index.js";
+import { runWithRequestId } from "./requestContext.js";
+import { logger } from "./logger.js";
+import { counter, histogram } from "./metrics.js";
+
+const JOBS = new Map(); // id -> { id, schedule, spec, description, run, registeredAt }
+const RUNNING = new Map(); // id -> { startedAt, trigger, requestId }
+
+const ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 }, // 7 = Sunday, folded to 0
+];
+
+const MINUTE_MS = 60 * 1000;
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * MINUTE_MS; // "0 0 29 2 *" waits for a leap year
+
+const jobRuns = counter("iband_scheduler_runs_total", "Scheduler job runs by job, status (ok|error|skipped) and trigger.", ["job", "status", "trigger"]);
+const jobDuration = histogram("iband_scheduler_run_duration_seconds", "Scheduler job run time.", ["job"], [0.01, 0.1, 0.5, 1, 5, 30, 120]);
+
+let timer = null;
+let startedAt = null;
+
+function cfg() {
+  return getConfig("scheduler");
+}
+
+function storage() {
+  return getStorage(getConfig("core").dataDir);
+}
+
+function scheduleError(schedule, detail) {
+  const e = new Error(`Invalid schedule "${schedule}": ${detail}`);
+  e.code = "SCHEDULE_INVALID";
+  return e;
+}
+
+/* -------------------- Cron specs -------------------- */
+
+function parseField(text, field, schedule) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw scheduleError(schedule, `bad ${field.name} "${part}"`);
+
+    const step = m[4] === undefined ? 1 : Number(m[4]);
+    let lo = field.min;
+    let hi = field.max;
+    if (m[1] !== "*") {
+      lo = Number(m[2]);
+      hi = m[3] === undefined ? (m[4] === undefined ? lo : field.max) : Number(m[3]);
+    }
+    if (step < 1 || lo < field.min || hi > field.max || lo > hi) {
+      throw scheduleError(schedule, `${field.name} "${part}" is out of range ${field.min}-${field.max}`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(field.name === "dayOfWeek" && v === 7 ? 0 : v);
+  }
+  return values;
+}
+
+/** "*\/15 * * * *" -> { minute: Set, hour: Set, ..., domAny, dowAny }. Throws SCHEDULE_INVALID. */
+export function parseSchedule(schedule) {
+  const raw = String(schedule || "").trim();
+  const text = ALIASES[raw.toLowerCase()] || raw;
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw scheduleError(raw, "expected 5 fields (minute hour day month weekday)");
+
+  const spec = { source: raw };
+  FIELDS.forEach((field, i) => {
+    spec[field.name] = parseField(parts[i], field, raw);
+  });
+  spec.domAny = parts[2] === "*";
+  spec.dowAny = parts[4] === "*";
+  return spec;
+}
+
+function dayMatches(spec, d) {
+  const dom = spec.dayOfMonth.has(d.getUTCDate());
+  const dow = spec.dayOfWeek.has(d.getUTCDay());
+  if (spec.domAny || spec.dowAny) return dom && dow;
+  return dom || dow;
+}
+
+/** True when the spec fires in the UTC minute containing date. */
+export function scheduleMatches(spec, date) {
+  const d = date instanceof Date ? date : new Date(date);
+  return (
+    spec.minute.has(d.getUTCMinutes()) &&
+    spec.hour.has(d.getUTCHours()) &&
+    spec.month.has(d.getUTCMonth() + 1) &&
+    dayMatches(spec, d)
+  );
+}
+
+/** First matching minute strictly after fromMs (ms epoch), or null when none within 5 years. */
+export function nextRunMs(spec, fromMs = Date.now()) {
+  let t = Math.floor(fromMs / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = fromMs + MAX_LOOKAHEAD_MS;
+
+  while (t <= limit) {
+    const d = new Date(t);
+    if (!spec.month.has(d.getUTCMonth() + 1)) {
+      t = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+    } else if (!dayMatches(spec, d)) {
+      t = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+    } else if (!spec.hour.has(d.getUTCHours())) {
+      t = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours() + 1);
+    } else if (!spec.minute.has(d.getUTCMinutes())) {
+      t += MINUTE_MS;
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+/* -------------------- Registry -------------------- */
+
+/**
+ * Registers a job. ids are "<module>.<job>"; registering the same id twice throws (one owner per job).
+ * run({ now, trigger, requestId }) may return a small JSON-able result for the last-run record.
+ */
+export function registerJob({ id, schedule, description = "", run } = {}) {
+  const jobId = String(id || "").trim();
+  if (!/^[a-z0-9][a-z0-9._-]{0,79}$/i.test(jobId)) throw new Error(`registerJob: invalid job id "${id}"`);
+  if (typeof run !== "function") throw new Error(`registerJob: ${jobId} needs a run function`);
+  if (JOBS.has(jobId)) throw new Error(`registerJob: job "${jobId}" is already registered`);
+
+  const job = {
+    id: jobId,
+    module: jobId.split(".")[0],
+    schedule: String(schedule || "").trim(),
+    spec: parseSchedule(schedule),
+    description: String(description || ""),
+    run,
+    registeredAt: new Date().toISOString(),
+  };
+  JOBS.set(jobId, job);
+  return { id: jobId, schedule: job.schedule };
+}
+
+export function getJob(id) {
+  return JOBS.get(String(id || "")) || null;
+}
+
+/* -------------------- Persisted last-run records -------------------- */
+
+async function readState() {
+  const state = await storage().readJson(cfg().file, { version: 1, jobs: {} });
+  if (!state.jobs || typeof state.jobs !== "object") state.jobs = {};
+  return state;
+}
+
+async function recordRun(id, run) {
+  const file = cfg().file;
+  return withFileLock(storage(), file, async () => {
+    const state = await readState();
+    const prev = state.jobs[id] || { runs: 0, failures: 0 };
+    state.jobs[id] = {
+      lastRunAt: run.startedAt,
+      lastFinishedAt: run.finishedAt,
+      lastStatus: run.status,
+      lastTrigger: run.trigger,
+      lastDurationMs: run.durationMs,
+      lastError: run.error,
+      lastResult: run.result,
+      lastRequestId: run.requestId,
+      lastSuccessAt: run.status === "ok" ? run.finishedAt : prev.lastSuccessAt || null,
+      runs: (prev.runs || 0) + 1,
+      failures: (prev.failures || 0) + (run.status === "error" ? 1 : 0),
+    };
+    state.updatedAt = run.finishedAt;
+    await storage().writeJson(file, state);
+    return state.jobs[id];
+  });
+}
+
+/* -------------------- Running -------------------- */
+
+function jsonSafe(value) {
+  if (value === undefined) return null;
+  try {
+    const s = JSON.stringify(value);
+    return s.length > 4000 ? { truncated: true, preview: s.slice(0, 4000) } : JSON.parse(s);
+  } catch {
+    return { note: "result not serialisable" };
+  }
+}
+
+/**
+ * Runs one job now (schedule tick or admin trigger).
+ * Returns { ran: true, status: "ok" | "error", ... } or { ran: false, reason: "running" | "locked" }.
+ * Throws JOB_NOT_FOUND for unknown ids.
+ */
+export async function runJob(id, { trigger = "manual", now = new Date() } = {}) {
+  const job = getJob(id);
+  if (!job) {
+    const e = new Error(`Unknown job "${id}"`);
+    e.code = "JOB_NOT_FOUND";
+    throw e;
+  }
+
+  const skip = (reason) => {
+    jobRuns.inc({ job: job.id, status: "skipped", trigger });
+    logger.info("job_skipped", { job: job.id, reason, trigger });
+    return { ran: false, job: job.id, reason, running: RUNNING.get(job.id) || null };
+  };
+
+  if (RUNNING.has(job.id)) return skip("running");
+
+  const requestId = `job_${crypto.randomBytes(12).toString("hex")}`;
+  const current = { startedAt: new Date().toISOString(), trigger, requestId };
+  RUNNING.set(job.id, current);
+
+  const lockKey = `scheduler/${job.id}`;
+  const lockToken = crypto.randomBytes(12).toString("hex");
+  let locked = false;
+  try {
+    const r = await storage().acquireLock(lockKey, { token: lockToken, staleMs: cfg().lockStaleMs });
+    locked = !!r?.acquired;
+  } catch (e) {
+    RUNNING.delete(job.id);
+    logger.error("job_lock_failed", { job: job.id, error: e });
+    throw e;
+  }
+  if (!locked) {
+    RUNNING.delete(job.id);
+    return skip("locked");
+  }
+
+  try {
+    return await runWithRequestId(requestId, async () => {
+      const started = process.hrtime.bigint();
+      let status = "ok";
+      let result = null;
+      let error = null;
+      try {
+        result = jsonSafe(await job.run({ now, trigger, requestId }));
+      } catch (e) {
+        status = "error";
+        error = { message: e?.message || String(e), code: e?.code || null };
+        logger.error("job_failed", { job: job.id, trigger, error: e });
+      }
+      const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100;
+
+      jobRuns.inc({ job: job.id, status, trigger });
+      jobDuration.observe({ job: job.id }, durationMs / 1000);
+      if (status === "ok") logger.info("job_run", { job: job.id, trigger, durationMs });
+
+      const run = { startedAt: current.startedAt, finishedAt: new Date().toISOString(), status, trigger, durationMs, error, result, requestId };
+      let last = null;
+      try {
+        last = await recordRun(job.id, run);
+      } catch (e) {
+        logger.error("job_record_failed", { job: job.id, error: e });
+      }
+      return { ran: true, job: job.id, ...run, runs: last?.runs ?? null, failures: last?.failures ?? null };
+    });
+  } finally {
+    RUNNING.delete(job.id);
+    await storage().releaseLock(lockKey, lockToken).catch(() => {});
+  }
+}
+
+/** Every registered job with its schedule, next run and persisted last-run record. */
+export async function listJobs({ nowMs = Date.now() } = {}) {
+  const c = cfg();
+  let state = { jobs: {} };
+  try {
+    state = await readState();
+  } catch (e) {
+    logger.warn("job_state_unreadable", { file: c.file, error: e });
+  }
+
+  const disabled = new Set(c.disabled);
+  const jobs = [...JOBS.values()]
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map((job) => {
+      const next = nextRunMs(job.spec, nowMs);
+      return {
+        id: job.id,
+        module: job.module,
+        schedule: job.schedule,
+        description: job.description,
+        enabled: c.enabled && !disabled.has(job.id),
+        running: RUNNING.get(job.id) || null,
+        nextRunAt: next === null ? null : new Date(next).toISOString(),
+        last: state.jobs[job.id] || null,
+      };
+    });
+
+  return { scheduler: { enabled: c.enabled, started: !!timer, startedAt, file: c.file }, count: jobs.length, jobs };
+}
+
+/* -------------------- Ticking -------------------- */
+
+/** Starts every job whose spec matches the minute of `now` (skipping IBAND_SCHEDULER_DISABLED). */
+export async function tick(now = new Date()) {
+  const disabled = new Set(cfg().disabled);
+  const due = [...JOBS.values()].filter((job) => !disabled.has(job.id) && scheduleMatches(job.spec, now));
+  const results = await Promise.all(
+    due.map((job) =>
+      runJob(job.id, { trigger: "schedule", now }).catch((e) => {
+        logger.error("job_failed", { job: job.id, trigger: "schedule", error: e });
+        return { ran: false, job: job.id, reason: "error" };
+      })
+    )
+  );
+  return results;
+}
+
+function armTimer() {
+  const wait = MINUTE_MS - (Date.now() % MINUTE_MS) + 50;
+  timer = setTimeout(() => {
+    const now = new Date(Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS);
+    armTimer();
+    tick(now);
+  }, wait);
+  timer.unref?.();
+}
+
+/** Called once from server.js after every module (and its jobs) is loaded. */
+export function startScheduler() {
+  const c = cfg();
+  if (!c.enabled) return { started: false, jobs: JOBS.size };
+  if (!timer) {
+    startedAt = new Date().toISOString();
+    armTimer();
+  }
+  return { started: true, jobs: JOBS.size };
+}
+
+export function stopScheduler() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  startedAt = null;
+}
+
+export default { registerJob, runJob, listJobs, tick, startScheduler, stopScheduler, parseSchedule, scheduleMatches, nextRunMs };
@@ -0,0 +1,33 @@
+// scripts/compact-logs.mjs — fold old sealed segments of the append-only logs into daily rollups
+// Run: npm run logs:compact -- [--older-than-days=400] [--dry-run] [--log=events,shares]
+// Only sealed segments are touched; run it off-peak (index.json writes are not locked across processes).
+import path from "node:path";
+import { getConfig } from "../config.js";
+import { getStorage, openSegmentedLog, getSegmentConfig } from "../storage/index.js";
+
+// Same config the owning modules read (events/votes/medals, shares, monetisation, rooms, moderation).
+const dataDir=getConfig("core").dataDir;
+const LOGS={
+  events:{root:dataDir,file:getConfig("files").eventsLog},
+  shares:{root:dataDir,file:path.join(dataDir,"shares","events","shares.jsonl")},
+  monetisation:{root:dataDir,file:path.join(dataDir,"monetisation","events","monetisation-signals.jsonl")},
+  "room-messages":{root:dataDir,file:path.join(dataDir,"rooms","messages","room-messages.jsonl")},
+  strikes:{root:dataDir,file:path.join(dataDir,"moderation","strikes.jsonl")},
+};
+
+const args=Object.fromEntries(process.argv.slice(2).map(a=>{const [k,...v]=a.replace(/^--/,"").split("=");return [k,v.length?v.join("="):true];}));
+const olderThanDays=args["older-than-days"]===undefined?getSegmentConfig().compactAfterDays:Number(args["older-than-days"]);
+if(!Number.isFinite(olderThanDays)||olderThanDays<0){console.error("--older-than-days must be a number >= 0");process.exit(2);}
+const ids=args.log?String(args.log).split(",").map(s=>s.trim()).filter(Boolean):Object.keys(LOGS);
+const unknown=ids.filter(id=>!LOGS[id]);
+if(unknown.length){console.error(`Unknown log(s): ${unknown.join(", ")}. Known: ${Object.keys(LOGS).join(", ")}`);process.exit(2);}
+
+let failed=0;
+for(const id of ids){
+  const log=openSegmentedLog(getStorage(LOGS[id].root),LOGS[id].file);
+  try{
+    const r=await log.compact({olderThanDays,dryRun:Boolean(args["dry-run"])});
+    console.log(`${args["dry-run"]?"~":"✓"} ${id}: ${r.segments} segment(s), ${r.lines} line(s) older than ${r.cutoff}${r.dryRun?" (dry run)":" folded into rollups"}; ${r.remainingSegments} remaining`);
+  }catch(e){failed+=1;console.error(`✗ ${id}: ${e?.message||e}`);}
+}
+process.exit(failed?1:0);
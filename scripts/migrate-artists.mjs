@@ -0,0 +1,15 @@
+// scripts/migrate-artists.mjs — one-time merge of the legacy artists.json copies into the canonical artists file
+// Run: npm run artists:migrate -- [--dry-run] [--force] [--source=/old/a.json,/old/b.json]
+// Stop the server first: it keeps artists in memory and would overwrite the merged file on its next write.
+import { migrateArtists, legacyArtistSources } from "../artistsStore.js";
+
+const args=Object.fromEntries(process.argv.slice(2).map(a=>{const [k,...v]=a.replace(/^--/,"").split("=");return [k,v.length?v.join("="):true];}));
+const sources=args.source?String(args.source).split(",").map(s=>s.trim()).filter(Boolean):legacyArtistSources();
+
+const r=await migrateArtists({sources,dryRun:Boolean(args["dry-run"]),force:Boolean(args.force)});
+if(r.skipped==="already_migrated"){console.log(`= already migrated at ${r.previous.at} (${r.previous.total} artists); pass --force to merge again`);process.exit(0);}
+for(const s of r.sources) console.log(`  ${s.found?(s.error?"✗":"·"):"-"} ${s.path}${s.found?` (${s.shape||"?"}, ${s.count} artist(s))`:" (not found)"}${s.error?`: ${s.error}`:""}`);
+for(const c of r.conflicts) console.log(`  ! ${c.id}: kept ${c.kept}; differed on ${c.fields.map(f=>f.field).join(", ")}`);
+if(!r.ok){console.error(`✗ ${r.error}`);process.exit(1);}
+console.log(`${r.dryRun?"~":"✓"} ${r.total} artist(s): ${r.added} added, ${r.merged} merged, ${r.conflicts.length} conflict(s), ${r.skipped} without id${r.dryRun?" (dry run)":` -> ${r.file}`}${r.reportFile?`; report ${r.reportFile}`:""}`);
+process.exit(0);
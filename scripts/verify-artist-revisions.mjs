@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-revisions-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.IBAND_RATE_LIMIT_ENABLED="false";
+process.env.IBAND_IDENTITY_SECRET="verify-revisions-secret-0123456789abcdef";process.env.ADMIN_KEY="verify-revisions-key";
+delete process.env.IBAND_ARTISTS_FILE;delete process.env.ARTISTS_FILE;delete process.env.IBAND_ARTIST_REVISIONS_DIR;
+
+// an artist that predates revisions
+writeFileSync(join(root,"artists.json"),JSON.stringify({artists:[
+  {id:"nova",name:"Nova",genre:"Pop",location:"Lagos, Nigeria",bio:"Original bio.",imageUrl:"https://img/nova.png",votes:12,tracks:[{id:"t1",title:"Midnight",isrc:"GBAYE0601498"}]},
+]}));
+
+const out={log:console.log,error:console.error};console.log=()=>{};console.error=()=>{};
+const say=(m)=>out.log(m);
+
+try{
+  const express=(await import("express")).default;
+  const { issueToken }=await import("../identity.js");
+  const { readAudit }=await import("../adminAudit.js");
+  const store=await import("../artistsStore.js");
+  const admin=(await import("../admin.js")).default;
+  const artists=(await import("../artists.js")).default;
+
+  const app=express();app.use(express.json());app.use("/api/admin",admin);app.use("/api/artists",artists);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const manager=issueToken({kind:"admin",subject:"carol",roles:["artist-manager"]}).token;
+    const viewer=issueToken({kind:"admin",subject:"vic",roles:["viewer"]}).token;
+    const call=async(method,p,{body,token=manager}={})=>{const r=await fetch(base+p,{method,headers:{"content-type":"application/json",...(token?{authorization:`Bearer ${token}`}:{})},body:body?JSON.stringify(body):undefined});return {status:r.status,body:await r.json()};};
+    const revs=async(id="nova",q="")=>(await call("GET",`/api/admin/artists/${id}/revisions${q}`,{token:viewer})).body;
+
+    let r=await call("PATCH","/api/admin/artists/nova",{body:{bio:"lol vandalised"}});
+    assert.equal(r.status,200);assert.deepEqual(r.body.revision.n,2,"the untracked original becomes a baseline first");
+    r=await call("PATCH","/api/admin/artists/nova",{body:{imageUrl:"https://img/wrong.png"}});assert.equal(r.body.revision.n,3);
+    r=await call("PATCH","/api/admin/artists/nova",{body:{votes:40}});assert.equal(r.body.revision,null,"votes are not revisioned");
+    r=await call("PATCH","/api/admin/artists/nova",{body:{bio:"lol vandalised"}});assert.equal(r.body.revision,null,"no change, no revision");
+
+    let page=await revs();
+    assert.equal(page.total,3);assert.deepEqual(page.revisions.map(x=>[x.n,x.action]),[[3,"update"],[2,"update"],[1,"baseline"]]);
+    assert.equal(page.revisions[0].snapshot,undefined,"list leaves snapshots out");
+    assert.deepEqual(page.revisions[1].author,{id:"carol",mode:"token",roles:["artist-manager"]});assert.equal(page.revisions[2].author,null);
+    assert.deepEqual(page.revisions[1].diff,{bio:{before:"Original bio.",after:"lol vandalised"}});
+    assert.ok(Date.parse(page.revisions[0].at));
+    const first=await revs("nova","?limit=2");
+    assert.deepEqual(first.revisions.map(x=>x.n),[3,2]);assert.equal(first.hasMore,true);
+    const second=await revs("nova",`?limit=2&cursor=${first.nextCursor}`);
+    assert.deepEqual(second.revisions.map(x=>x.n),[1]);assert.equal(second.nextCursor,null);
+    assert.equal((await call("GET",`/api/admin/artists/echo/revisions?cursor=${first.nextCursor}`,{token:viewer})).body.code,"invalid_cursor","cursors are tied to the artist");
+    r=await call("GET","/api/admin/artists/nova/revisions/1",{token:viewer});
+    assert.equal(r.body.revision.snapshot.bio,"Original bio.");assert.equal(r.body.revision.snapshot.tracks[0].createdAt,undefined);
+    say("✓ every admin edit is a numbered revision with author, timestamp and field diff");
+
+    assert.equal((await call("POST","/api/admin/artists/nova/revisions/1/revert",{token:viewer})).status,403);
+    r=await call("POST","/api/admin/artists/nova/revisions/1/revert");
+    assert.equal(r.status,200);assert.equal(r.body.artist.bio,"Original bio.");assert.equal(r.body.artist.imageUrl,"https://img/nova.png");
+    assert.equal(r.body.artist.votes,40,"live counters are not rolled back");assert.equal(r.body.revision.n,4);
+    page=await revs();
+    assert.deepEqual([page.revisions[0].action,page.revisions[0].revertOf],["revert",1]);assert.deepEqual(Object.keys(page.revisions[0].diff).sort(),["bio","imageUrl"],"unchanged tracks stay out of the diff");
+    assert.equal(page.total,4,"history is appended to, never rewritten");
+    r=await call("POST","/api/admin/artists/nova/revisions/1/revert");assert.equal(r.status,409);assert.equal(r.body.code,"no_changes");
+    const [entry]=(await readAudit({action:"artist.revert"})).entries;
+    assert.deepEqual(entry.meta,{revision:4,revertOf:1});assert.equal(entry.diff.bio.after,"Original bio.");
+    say("✓ revert restores an earlier profile as a new, audited revision");
+
+    r=await call("PUT","/api/admin/artists/nova",{body:{name:"Nova"}});
+    assert.deepEqual(r.body.artist.tracks,[]);assert.equal(r.body.revision.n,5);
+    r=await call("POST","/api/admin/artists/nova/revisions/4/revert");
+    assert.equal(r.body.artist.tracks[0].id,"t1");assert.equal(r.body.artist.tracks[0].isrc,"GBAYE0601498");assert.equal(r.body.artist.genre,"Pop");
+    say("✓ a wiped track list comes back with its catalogue fields");
+
+    store.patchArtist("nova",{bio:"Edited elsewhere."});
+    r=await call("PATCH","/api/admin/artists/nova",{body:{genre:"Afrobeats"}});
+    page=await revs();
+    assert.deepEqual(page.revisions.slice(0,2).map(x=>[x.n,x.action]),[[8,"update"],[7,"baseline"]],"edits made outside admin are captured before the next one");
+    assert.deepEqual(page.revisions[1].diff,{bio:{before:"Original bio.",after:"Edited elsewhere."}});
+
+    r=await call("POST","/api/admin/artists",{body:{id:"echo",name:"Echo"}});assert.deepEqual(r.body.revision.n,1);
+    assert.equal((await revs("echo")).revisions[0].action,"create");
+    await Promise.all(Array.from({length:6},(_,i)=>call("PATCH","/api/admin/artists/echo",{body:{bio:`take ${i}`}})));
+    const logOf=(id)=>readFileSync(join(root,"admin","artist-revisions",`${id}.jsonl`),"utf8").trim().split("\n").map(l=>JSON.parse(l));
+    const lines=logOf("echo");
+    assert.deepEqual(lines.map(x=>x.n),[1,2,3,4,5,6,7],"concurrent edits keep numbering gapless");
+    lines.slice(2).forEach((x,i)=>assert.equal(x.diff.bio.before,lines[i+1].snapshot.bio,"each before is the previous revision's after"));
+    const head=JSON.parse(readFileSync(join(root,"admin","artist-revisions","echo.head.json"),"utf8"));
+    assert.equal(head.n,7);assert.equal(head.snapshot.bio,lines[6].snapshot.bio);
+    rmSync(join(root,"admin","artist-revisions","echo.head.json"));
+    r=await call("PATCH","/api/admin/artists/echo",{body:{genre:"Ambient"}});assert.equal(r.body.revision.n,8,"a lost head is rebuilt from the log");
+    say("✓ outside edits become baselines; creates start at 1; concurrent edits stay gapless");
+
+    const novaTok=issueToken({kind:"artist",subject:"nova"}).token;
+    r=await call("PATCH","/api/artists/nova",{token:novaTok,body:{bio:"In my own words."}});
+    assert.equal(r.status,200);assert.equal(r.body.revision.n,9);
+    r=await call("PUT","/api/artists/nova",{token:novaTok,body:{name:"Nova",genre:"Afrobeats"}});assert.equal(r.body.revision.n,10);
+    r=await call("POST","/api/artists/nova/tracks",{body:{title:"Encore",audioUrl:"https://cdn/encore.mp3"}});assert.equal(r.status,201);
+    page=await revs();
+    assert.deepEqual(page.revisions.slice(0,3).map(x=>[x.n,x.action,x.author?.id]),[[11,"track.create","carol"],[10,"replace","artist:nova"],[9,"update","artist:nova"]]);
+    assert.deepEqual(Object.keys(page.revisions[0].diff),["tracks"]);assert.equal(page.revisions.filter(x=>x.action==="baseline").length,2,"no baseline: public and track edits are recorded too");
+    assert.equal((await readAudit({action:"artist.update"})).entries[0].meta.revision,9);
+    say("✓ public profile edits and track changes are revisions too");
+
+    assert.equal((await call("GET","/api/admin/artists/nova/revisions/99",{token:viewer})).body.code,"revision_not_found");
+    assert.equal((await call("GET","/api/admin/artists/nova/revisions/0",{token:viewer})).status,400);
+    assert.equal((await call("GET","/api/admin/artists/ghost/revisions",{token:viewer})).body.code,"not_found");
+    assert.equal((await call("POST","/api/admin/artists/ghost/revisions/1/revert")).status,404);
+    await call("DELETE","/api/admin/artists/echo");
+    assert.equal((await revs("echo")).total,8,"history outlives a deleted artist");
+    say("✓ unknown artists and revisions answer 404");
+  }finally{server.close();}
+  say("Artist revision checks passed.");
+}finally{console.log=out.log;console.error=out.error;rmSync(root,{recursive:true,force:true});delete process.env.ADMIN_KEY;}
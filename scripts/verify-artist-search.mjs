@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-search-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.IBAND_RATE_LIMIT_ENABLED="false";
+delete process.env.IBAND_ARTISTS_FILE;delete process.env.ARTISTS_FILE;delete process.env.EVENTS_AGG_FILE;
+
+const day=(d)=>`2026-0${d}-01T00:00:00.000Z`;
+writeFileSync(join(root,"artists.json"),JSON.stringify({artists:[
+  {id:"beyonce",name:"Beyoncé",genre:"Pop",location:"Houston, USA",bio:"Queen of stage shows.",votes:900,updatedAt:day(1)},
+  {id:"bey-tribute",name:"Bey Tribute Band",genre:"pop",location:"London, UK",bio:"Covers of Beyoncé classics.",votes:40,updatedAt:day(5)},
+  {id:"burna",name:"Burna Boy",genre:"Afrobeats",location:"Lagos, Nigeria",bio:"African giant.",votes:1500,updatedAt:day(2)},
+  {id:"rema",name:"Rema",genre:"Afrobeats",location:"Benin City, Nigeria",bio:"Calm down hitmaker from Benin.",votes:120,status:"pending",updatedAt:day(3)},
+  {id:"stormzy",name:"Stormzy",genre:"Grime",location:"London, UK",bio:"South London rapper.",votes:5,status:"suspended",updatedAt:day(4)},
+  {id:"nova",name:"Nova Lights",genre:"Électro",location:"Paris, France",bio:"Dreamy synths.",votes:60,updatedAt:day(6)},
+]}));
+// momentum: stormzy > burna > nova > the rest (medalEngine scores from the events aggregate)
+writeFileSync(join(root,"events-agg.json"),JSON.stringify({byArtist:{stormzy:{views:900},burna:{views:500},nova:{views:100}}}));
+
+const out={log:console.log,error:console.error};console.log=()=>{};console.error=()=>{};
+const say=(m)=>out.log(m);
+
+try{
+  const express=(await import("express")).default;
+  const { tokenize,foldText,matchArtist }=await import("../artistSearch.js");
+  const artists=(await import("../artists.js")).default;
+
+  assert.deepEqual(tokenize("Beyoncé & Jay-Z"),["beyonce","jay","z"]);
+  assert.equal(foldText("ÉLECTRO"),"electro");
+  const art={name:"Burna Boy",bio:"African giant."};
+  assert.ok(matchArtist(art,["brna"]),"one deletion");assert.ok(matchArtist(art,["buran"]),"adjacent swap");
+  assert.equal(matchArtist(art,["bxyz"]),null);assert.equal(matchArtist(art,["boy","london"]),null,"every token must match");
+  assert.equal(matchArtist({name:"Rex",bio:""},["rax"]),null,"short tokens need an exact or prefix match");
+  assert.deepEqual(matchArtist(art,["giant"]).matched,["bio"]);
+  say("✓ tokens are folded, typo-tolerant and all required");
+
+  const app=express();app.use("/api/artists",artists);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const get=async(q)=>{const r=await fetch(`${base}/api/artists/search${q}`);return {status:r.status,body:await r.json()};};
+    const ids=(r)=>r.body.artists.map(a=>a.id);
+
+    let r=await get("?q=beyonce");
+    assert.equal(r.status,200);assert.equal(r.body.sort,"relevance");
+    assert.deepEqual(ids(r),["beyonce","bey-tribute"],"exact name first, bio mention second");
+    assert.deepEqual(r.body.artists[1].matched,["bio"]);
+    r=await get("?q=BEYONCÉ");assert.deepEqual(ids(r),["beyonce","bey-tribute"]);
+    r=await get("?q=burma");assert.deepEqual(ids(r),["burna"],"typo");
+    r=await get("?q=synths");assert.deepEqual(ids(r),["nova"]);assert.deepEqual(r.body.artists[0].matched,["bio"]);
+    r=await get("?q=benin");assert.equal(r.body.total,0,"pending artists are not public");
+    r=await get("?q=stormzy");assert.equal(r.body.total,0,"nor are suspended ones");
+    r=await get("?q=nobody+here");assert.equal(r.body.total,0);assert.deepEqual(r.body.artists,[]);
+    say("✓ /search matches names and bios accent-insensitively with typo tolerance");
+
+    r=await get("");
+    assert.equal(r.body.sort,"votes");assert.deepEqual(ids(r),["burna","beyonce","nova","bey-tribute"],"active artists only");
+    r=await get("?sort=momentum");
+    assert.deepEqual(ids(r).slice(0,2),["burna","nova"]);assert.ok(r.body.artists[0].momentum>r.body.artists[1].momentum);
+    assert.equal(r.body.artists[0].medal.tier,"silver","medals still rank against everyone");
+    r=await get("?sort=recent");assert.deepEqual(ids(r).slice(0,2),["nova","bey-tribute"]);
+    r=await get("?sort=votes&limit=3");
+    assert.deepEqual(ids(r),["burna","beyonce","nova"]);assert.equal(r.body.total,4);assert.equal(r.body.hasMore,true);
+    const next=r.body.nextCursor;
+    r=await get(`?sort=votes&limit=3&cursor=${next}`);assert.deepEqual(ids(r),["bey-tribute"]);assert.equal(r.body.hasMore,false);assert.equal(r.body.nextCursor,null);
+    r=await get(`?sort=momentum&limit=3&cursor=${next}`);assert.equal(r.status,400);assert.equal(r.body.code,"invalid_cursor","cursors are tied to the query");
+    const seen=[];let cursor="";
+    do{r=await get(`?sort=momentum&limit=1${cursor?`&cursor=${cursor}`:""}`);seen.push(...ids(r));cursor=r.body.nextCursor;}while(cursor);
+    assert.deepEqual(seen,ids(await get("?sort=momentum")),"momentum pages in order without gaps");
+    r=await get("?q=beyonce&limit=1");r=await get(`?q=beyonce&limit=1&cursor=${r.body.nextCursor}`);assert.deepEqual(ids(r),["bey-tribute"]);
+    say("✓ sorts by relevance, votes, momentum (medal score) and recency with cursor paging");
+
+    r=await get("?genre=pop");
+    assert.deepEqual(ids(r).sort(),["bey-tribute","beyonce"],"genre filter ignores case");
+    const g=Object.fromEntries(r.body.facets.genre.map(f=>[f.key,f]));
+    assert.equal(g.pop.count,2);assert.equal(g.pop.selected,true);assert.equal(g.afrobeats.count,1,"own facet ignores its own filter");
+    assert.equal(g.electro.value,"Électro");
+    assert.deepEqual(r.body.facets.country.map(f=>[f.key,f.count]),[["uk",1],["usa",1]],"other facets apply the genre filter");
+    r=await get("?genre=afrobeats,grime&country=nigeria");assert.deepEqual(ids(r),["burna"]);
+    r=await get("?status=pending");assert.deepEqual(ids(r),["burna","beyonce","nova","bey-tribute"],"status is not a public filter");
+    assert.equal(r.body.facets.status,undefined);
+    r=await get("?tier=gold,silver");assert.deepEqual(ids(r),["burna"]);
+    assert.deepEqual(r.body.facets.tier.map(t=>[t.value,t.count]),[["gold",0],["silver",1],["bronze",1],["certified",2]]);
+    r=await get("?minVotes=50&maxVotes=1000");assert.deepEqual(ids(r),["beyonce","nova"]);
+    assert.deepEqual(r.body.facets.votes.map(b=>b.count),[0,2,1,1],"vote buckets ignore the vote filter");
+    r=await get("?q=covers&country=uk&minVotes=50");assert.deepEqual(ids(r),[]);
+    r=await get("?q=covers&country=uk");assert.deepEqual(ids(r),["bey-tribute"]);
+    say("✓ genre, country, tier and vote-range facets filter and count");
+
+    r=await get("?minVotes=10&maxVotes=5");assert.equal(r.status,400);assert.equal(r.body.code,"invalid_vote_range");
+    r=await get("?tier=platinum");assert.equal(r.status,400);assert.equal(r.body.code,"invalid_tier");
+    r=await get("?sort=loudest");assert.equal(r.status,400);assert.equal(r.body.code,"validation_failed");
+    r=await get("?limit=0");assert.equal(r.status,400);
+    r=await get("?limit=500");assert.equal(r.body.limit,100);
+    r=await fetch(`${base}/api/artists/beyonce`);assert.equal(r.status,200,"/:id still resolves");
+    say("✓ bad parameters answer the shared error envelope");
+  }finally{server.close();}
+  say("Artist search checks passed.");
+}finally{console.log=out.log;console.error=out.error;rmSync(root,{recursive:true,force:true});}
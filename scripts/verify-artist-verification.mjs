@@ -0,0 +1,115 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-verification-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.IBAND_RATE_LIMIT_ENABLED="false";
+process.env.IBAND_IDENTITY_SECRET="verify-verification-secret-0123456789abcdef";process.env.ADMIN_KEY="verify-verification-key";
+delete process.env.IBAND_ARTISTS_FILE;delete process.env.ARTISTS_FILE;delete process.env.IBAND_ARTIST_VERIFICATION_FILE;
+delete process.env.ARTISTS_VERIFY_MIN_QUALITY;delete process.env.ARTISTS_VERIFY_MIN_SOCIALS;
+
+writeFileSync(join(root,"artists.json"),JSON.stringify({artists:[
+  {id:"rema",name:"Rema",status:"pending",createdAt:"2026-01-02T00:00:00.000Z"},
+  {id:"copycat",name:"Rema Official",status:"pending",createdAt:"2026-01-01T00:00:00.000Z"},
+  {id:"live",name:"Live One",status:"active"},
+]}));
+
+const out={log:console.log,error:console.error};console.log=()=>{};console.error=()=>{};
+const say=(m)=>out.log(m);
+
+try{
+  const express=(await import("express")).default;
+  const { issueToken,attachPrincipal }=await import("../identity.js");
+  const { readAudit }=await import("../adminAudit.js");
+  const { WEBHOOK_EVENT_TYPES }=await import("../webhooks.js");
+  const { profileQuality }=await import("../artistVerification.js");
+  const admin=(await import("../admin.js")).default;
+  const artists=(await import("../artists.js")).default;
+
+  assert.equal(profileQuality({name:"x",genre:"Unknown"}).score,10);
+  assert.equal(profileQuality({name:"x",genre:"Pop",location:"Lagos",bio:"b".repeat(80),imageUrl:"https://i",socials:{a:"https://1",b:"https://2"},tracks:[{}]}).score,100);
+  assert.ok(WEBHOOK_EVENT_TYPES["artist.rejected"]);
+
+  const app=express();app.use(express.json());app.use(attachPrincipal);
+  app.use("/api/admin",admin);app.use("/api/artists",artists);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const tok=(kind,subject,roles)=>issueToken({kind,subject,roles,sessionId:kind==="fan"?"ses_1":null}).token;
+    const carol=tok("admin","carol",["artist-manager"]),dave=tok("admin","dave",["artist-manager"]),sup=tok("admin","root",["super-admin"]),viewer=tok("admin","vic",["viewer"]);
+    const remaTok=tok("artist","rema"),otherTok=tok("artist","copycat"),fan=tok("fan","fan_1");
+    const call=async(method,p,{body,token=carol}={})=>{const r=await fetch(base+p,{method,headers:{"content-type":"application/json",...(token?{authorization:`Bearer ${token}`}:{})},body:body?JSON.stringify(body):undefined});return {status:r.status,body:await r.json()};};
+    const A="/api/admin/artists";
+
+    let r=await call("GET",`${A}/rema/verification`,{token:viewer});
+    assert.equal(r.body.verification.ready,false);assert.deepEqual(r.body.verification.failing,["socials","sample_track","identity","profile_quality"]);
+    assert.equal(r.body.verification.checklist.find(i=>i.key==="profile_quality").detail.needed,60);
+    r=await call("PATCH",`${A}/rema/approve`);
+    assert.equal(r.status,409);assert.equal(r.body.code,"verification_incomplete");assert.equal(r.body.failing.length,4);
+    assert.equal((await call("PATCH",`${A}/rema/status`,{body:{status:"active"}})).body.code,"verification_incomplete");
+    assert.equal((await call("PATCH",`${A}/rema`,{body:{status:"active"}})).body.code,"verification_incomplete");
+    assert.equal((await call("PUT",`${A}/rema`,{body:{name:"Rema",status:"active"}})).body.code,"verification_incomplete");
+    assert.equal((await call("PATCH","/api/artists/rema",{body:{status:"active"},token:remaTok})).status,409,"public edits cannot approve");assert.equal((await call("PATCH","/api/artists/rema",{body:{status:"active"},token:remaTok})).body.code,"status_not_editable");
+    assert.equal((await call("PATCH",`${A}/copycat/status`,{body:{status:"rejected"}})).body.code,"reasons_required");
+    say("✓ pending -> active is blocked until the checklist passes, on every route");
+
+    r=await call("GET",`${A}/verification/queue`,{token:viewer});
+    assert.deepEqual(r.body.items.map(i=>i.artist.id),["copycat","rema"],"oldest first");assert.equal(r.body.items[0].reviewer,null);
+    assert.equal((await call("PUT",`${A}/rema/verification/reviewer`,{token:viewer})).status,403);
+    r=await call("PUT",`${A}/rema/verification/reviewer`);assert.equal(r.body.verification.reviewer.id,"carol","defaults to the caller");
+    assert.deepEqual((await call("GET",`${A}/verification/queue?reviewer=me`)).body.items.map(i=>i.artist.id),["rema"]);
+    assert.deepEqual((await call("GET",`${A}/verification/queue?reviewer=none`)).body.items.map(i=>i.artist.id),["copycat"]);
+    assert.equal((await call("PUT",`${A}/live/verification/reviewer`)).body.code,"not_in_review");
+    r=await call("PATCH",`${A}/rema/reject`,{token:dave,body:{reasons:[{code:"other",message:"x"}]}});
+    assert.equal(r.status,403);assert.equal(r.body.code,"not_assigned_reviewer");assert.equal(r.body.reviewer,"carol");
+    say("✓ reviewer assignment, queue filters, and only the assigned reviewer decides");
+
+    assert.equal((await call("PATCH",`${A}/rema/reject`)).body.code,"validation_failed","reasons are required");
+    assert.equal((await call("PATCH",`${A}/rema/reject`,{body:{reasons:[]}})).body.code,"validation_failed");
+    assert.equal((await call("PATCH",`${A}/rema/reject`,{body:{reasons:[{code:"too_loud"}]}})).body.code,"validation_failed");
+    assert.equal((await call("PATCH",`${A}/rema/reject`,{body:{reasons:[{code:"other"}]}})).body.code,"reason_message_required");
+    r=await call("PATCH",`${A}/rema/reject`,{body:{reasons:[{code:"missing_sample_track"},{code:"identity_unconfirmed",message:"Send a link from your label."}],note:"looked at IG, unclear"}});
+    assert.equal(r.status,200);assert.equal(r.body.artist.status,"rejected");
+    const rej=r.body.verification.lastRejection;
+    assert.deepEqual(rej.reasons.map(x=>[x.code,x.item]),[["missing_sample_track","sample_track"],["identity_unconfirmed",null]]);
+    assert.equal(rej.reasons[0].message,"Upload a sample track (audio, preview or streaming link).");assert.equal(rej.reasons[1].message,"Send a link from your label.");
+    assert.deepEqual((await readAudit({action:"artist.reject"})).entries[0].meta,{round:1,reasons:["missing_sample_track","identity_unconfirmed"]});
+    r=await call("PATCH",`${A}/copycat/reject`,{token:sup,body:{reasons:[{code:"duplicate_profile"}]}});assert.equal(r.status,200,"super-admins decide without an assignment");
+    for(const [m,p,b] of [["PUT",`${A}/copycat`,{name:"Rema Official",status:"active"}],["PATCH",`${A}/copycat`,{status:"active"}],["PATCH",`${A}/copycat/status`,{status:"active"}]]){
+      r=await call(m,p,{token:sup,body:b});assert.equal(r.body.code,"invalid_transition",`${m} ${p}: rejected artists come back only by resubmitting`);
+    }
+    say("✓ rejection takes structured reasons from the catalogue and is audited");
+
+    const V="/api/artists/rema/verification";
+    assert.equal((await call("GET",V,{token:null})).status,401);
+    assert.equal((await call("GET",V,{token:otherTok})).body.code,"identity_mismatch");
+    assert.equal((await call("GET",V,{token:fan})).body.code,"artist_token_required");
+    r=await call("GET",V,{token:remaTok});
+    assert.equal(r.status,200);assert.equal(r.body.verification.lastRejection.reasons.length,2);
+    assert.equal(r.body.verification.lastRejection.note,undefined,"staff notes stay internal");assert.equal(r.body.verification.reviewer,undefined);
+    r=await call("POST",`${V}/resubmit`,{token:remaTok,body:{}});
+    assert.equal(r.status,409);assert.deepEqual(r.body.unresolved.map(u=>[u.code,u.need]),[["missing_sample_track","fix"],["identity_unconfirmed","response"]]);
+    assert.equal((await call("POST","/api/artists/rema/tracks",{body:{title:"Calm Down",audioUrl:"https://open.example/calm.mp3"}})).status,201);
+    r=await call("POST",`${V}/resubmit`,{token:remaTok,body:{note:"added a track",responses:{identity_unconfirmed:"Label contact: ops@mavin.example"}}});
+    assert.equal(r.status,200);assert.equal(r.body.artist.status,"pending");assert.equal(r.body.round,2);
+    assert.equal(r.body.verification.submissions[0].responses.identity_unconfirmed,"Label contact: ops@mavin.example");
+    const [resub]=(await readAudit({action:"artist.resubmit"})).entries;
+    assert.deepEqual([resub.actor.id,resub.meta.round,resub.diff.status.after],["artist:rema",2,"pending"]);
+    assert.equal((await call("POST",`${V}/resubmit`,{token:remaTok,body:{}})).body.code,"invalid_transition");
+    say("✓ the artist sees the reasons and resubmits once each one is addressed");
+
+    r=await call("PATCH",`${A}/rema/approve`);assert.deepEqual(r.body.failing,["socials","identity","profile_quality"]);
+    assert.equal((await call("PATCH",`${A}/rema/verification/identity`,{token:viewer,body:{confirmed:true}})).status,403);
+    r=await call("PATCH",`${A}/rema/verification/identity`,{body:{confirmed:true,method:"label_contact",note:"called the label"}});
+    assert.equal(r.body.verification.identity.method,"label_contact");
+    await call("PATCH",`${A}/rema`,{body:{genre:"Afrobeats",imageUrl:"https://img/rema.png",socials:{instagram:"https://ig/rema"}}});
+    r=await call("GET",`${A}/verification/queue?ready=true`,{token:viewer});assert.deepEqual(r.body.items.map(i=>i.artist.id),["rema"]);
+    r=await call("PATCH",`${A}/rema/approve`);assert.equal(r.status,200);assert.equal(r.body.artist.status,"active");
+    r=await call("GET",`${A}/rema/verification`,{token:viewer});
+    assert.equal(r.body.verification.approvedBy,"carol");assert.equal(r.body.verification.round,2);assert.equal(r.body.verification.rejections.length,1);
+    assert.deepEqual((await readAudit({targetId:"rema"})).entries.map(e=>e.action).filter(a=>a.startsWith("artist.verification")),["artist.verification.identity","artist.verification.assign"]);
+    say("✓ approval goes through once socials, sample track, identity and profile quality pass");
+  }finally{server.close();}
+  say("Artist verification checks passed.");
+}finally{console.log=out.log;console.error=out.error;rmSync(root,{recursive:true,force:true});delete process.env.ADMIN_KEY;}
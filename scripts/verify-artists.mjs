@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, readdirSync, mkdirSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-artists-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.IBAND_RATE_LIMIT_ENABLED="false";
+process.env.ADMIN_KEY="verify-artists-key";process.env.IBAND_IDENTITY_SECRET="verify-artists-secret-0123456789abcdef0123";
+delete process.env.IBAND_ARTISTS_FILE;delete process.env.ARTISTS_FILE;
+const dbFile=join(root,"artists.json");
+
+// canonical file starts in the old { data } shape with legacy field names
+writeFileSync(dbFile,JSON.stringify({data:[
+  {_id:"nova",artistName:"Nova",primaryGenre:"Pop",location:"Lagos, Nigeria",voteCount:7,status:"suspended",image:"https://img/nova.png",views:3,updatedAt:"2026-01-01T00:00:00.000Z"},
+  {name:"no id"},
+]}));
+
+const out={log:console.log,error:console.error};console.log=()=>{};console.error=()=>{};
+const say=(m)=>out.log(m);
+
+try{
+  const express=(await import("express")).default;
+  const store=await import("../artistsStore.js");
+  const artistsRouter=(await import("../artists.js")).default;
+  const ranking=(await import("../ranking.js")).default;
+  const { issueToken }=await import("../identity.js");
+  const { readAudit }=await import("../adminAudit.js");
+
+  // normalised shape from a legacy file
+  const nova=store.getArtist("nova");
+  assert.deepEqual(Object.keys(nova),["id","name","genre","location","country","bio","imageUrl","socials","tracks","votes","counters","status","createdAt","updatedAt"]);
+  assert.equal(nova.name,"Nova");assert.equal(nova.genre,"Pop");assert.equal(nova.country,"Nigeria");assert.equal(nova.votes,7);
+  assert.equal(nova.status,"suspended","suspended is kept, not coerced to active");
+  assert.equal(nova.imageUrl,"https://img/nova.png");assert.deepEqual(nova.counters,{views:3});
+  assert.equal(store.listArtists().length,1,"records without an id are dropped");
+  assert.equal(store.normalizeArtist({id:"x",status:"banned"}).status,"active");
+  assert.deepEqual(store.extractArtists({artists:{a:{id:"a"},b:{id:"b"}}}).map(a=>a.id),["a","b"]);
+  say("✓ legacy file shapes and field names load into one normalised artist shape");
+
+  const app=express();app.use("/api/artists",artistsRouter);app.use("/api/ranking",ranking);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const call=async(method,p,body,auth={"x-admin-key":"verify-artists-key"})=>{const r=await fetch(base+p,{method,headers:{"content-type":"application/json",...auth},body:body?JSON.stringify(body):undefined});return {status:r.status,body:await r.json()};};
+    const bearer=(kind,subject,roles)=>({authorization:`Bearer ${issueToken({kind,subject,roles}).token}`});
+
+    let r=await call("POST","/api/artists",{id:"echo",name:"Echo",genre:"House",location:"Berlin, Germany",bio:"b",socials:{instagram:"https://ig/echo",website:"nope"}});
+    assert.equal(r.status,201);assert.equal(r.body.artist.country,"Germany");assert.equal(r.body.artist.status,"pending","public creates wait for the admin review");
+    assert.equal(r.body.artist.socials.instagram,"https://ig/echo");assert.equal(r.body.artist.socials.website,"");
+    r=await call("POST","/api/artists",{id:"echo",name:"Again"});assert.deepEqual([r.status,r.body.error,r.body.id],[409,"artist_exists","echo"]);
+    r=await call("POST","/api/artists",{id:"self",name:"Self",status:"active"},bearer("artist","self"));assert.equal(r.status,409);assert.equal(r.body.code,"status_not_editable");
+    r=await call("PATCH","/api/artists/nova",{status:"active"},bearer("artist","nova"));assert.equal(r.body.code,"status_not_editable","a suspended artist cannot reinstate itself");
+    assert.equal(store.getArtist("nova").status,"suspended");
+    r=await call("POST","/api/artists",{name:"no id"});assert.deepEqual([r.status,r.body.code,r.body.details[0].path],[400,"validation_failed","id"]);
+    assert.deepEqual((await call("POST","/api/artists",{id:"bad id!",name:"x"})).body.details.map(d=>[d.path,d.code]),[["id","pattern"]]);
+    assert.deepEqual((await call("PATCH","/api/artists/nova",{name:"n".repeat(121),imageUrl:7},bearer("artist","nova"))).body.details.map(d=>[d.path,d.code]),[["name","max_length"],["imageUrl","type"]]);
+    let disk=JSON.parse(readFileSync(dbFile,"utf8"));
+    assert.equal(disk.version,2);assert.deepEqual(disk.artists.map(a=>a.id).sort(),["echo","nova"],"router writes land in the repository file");
+
+    r=await call("PATCH","/api/artists/echo",{location:"Paris, France",socials:{tiktok:"https://tt/echo"}});
+    assert.equal(r.status,200);assert.equal(r.body.artist.country,"France","location change re-derives country");
+    assert.equal(r.body.artist.socials.instagram,"","a socials object replaces the previous one");assert.equal(r.body.artist.socials.tiktok,"https://tt/echo");assert.equal(r.body.artist.bio,"b");
+    r=await call("PUT","/api/artists/echo",{name:"Echo II"});
+    assert.equal(r.body.artist.name,"Echo II");assert.equal(r.body.artist.bio,"","PUT clears omitted text fields");assert.equal(r.body.artist.socials.tiktok,"https://tt/echo");
+    r=await call("PATCH","/api/artists/ghost",{name:"x"});assert.deepEqual([r.status,r.body.error,r.body.id],[404,"not_found","ghost"]);
+    r=await call("PATCH","/api/artists/echo",{bio:"by the artist"},bearer("artist","echo"));assert.equal(r.status,200);assert.equal(r.body.artist.bio,"by the artist");
+    assert.equal((await call("PATCH","/api/artists/echo",{bio:"x"},bearer("artist","nova"))).body.code,"identity_mismatch");
+    assert.equal((await call("PATCH","/api/artists/echo",{bio:"x"},bearer("fan","fan_1"))).body.code,"artist_token_required");
+    assert.equal((await call("PATCH","/api/artists/echo",{bio:"x"},bearer("admin","vic",["viewer"]))).status,403);
+    for(const [m,p,b] of [["POST","/api/artists",{id:"anon",name:"Anon"}],["PUT","/api/artists/echo",{name:"x"}],["PATCH","/api/artists/echo",{bio:"x"}],["DELETE","/api/artists/echo"]]){
+      r=await call(m,p,b,{});assert.equal(r.status,401,`${m} ${p} needs a token`);assert.equal(r.body.code,m==="DELETE"?"admin_required":"identity_required");
+    }
+    assert.equal((await call("PATCH","/api/artists/echo",{bio:7},{})).status,401,"identity is checked before the body");
+    assert.equal(store.getArtist("anon"),null);assert.equal(store.getArtist("echo").bio,"by the artist");
+    assert.equal(store.getArtist("echo").name,"Echo II","engines read the same record the router wrote");
+
+    r=await call("GET","/api/ranking/top?includeMonetisation=false");
+    assert.deepEqual(r.body.list.map(x=>x.id).sort(),["echo","nova"]);
+    r=await call("GET","/api/artists/health");
+    assert.equal(r.body.file,"artists.json");assert.equal(r.body.count,2);assert.equal(r.body.version,3);
+    r=await call("DELETE","/api/artists/echo",null,bearer("artist","echo"));assert.equal(r.status,401,"artists cannot delete their own profile");assert.equal(r.body.code,"admin_required");
+    r=await call("DELETE","/api/artists/echo",null,bearer("admin","vic",["viewer"]));assert.equal(r.status,403);assert.deepEqual([r.body.error,r.body.details.permission],["forbidden","artists.delete"]);
+    assert.equal((await call("DELETE","/api/artists/echo",null,bearer("admin","carol",["artist-manager"]))).status,200);
+    assert.equal((await call("GET","/api/artists/echo")).body.code,"not_found");
+    assert.equal((await call("DELETE","/api/artists/echo")).status,404);
+    const trail=(await readAudit({targetId:"echo"})).entries.reverse();
+    assert.deepEqual(trail.map(e=>[e.action,e.actor.id,e.meta.via]),[["artist.create","admin-key","public"],["artist.update","admin-key","public"],["artist.replace","admin-key","public"],["artist.update","artist:echo","public"],["artist.delete","carol","public"]]);
+    assert.deepEqual(trail[3].diff,{bio:{before:"",after:"by the artist"}});assert.equal(trail[4].diff.name.before,"Echo II");
+    say("✓ /api/artists CRUD goes through the repository, needs the artist's token or artists.write, is audited, and rankings see the same artists");
+  }finally{server.close();}
+
+  // one-time merge of legacy copies
+  const legacyDir=join(root,"legacy");mkdirSync(legacyDir);
+  const a=join(legacyDir,"a.json"),b=join(legacyDir,"b.json"),broken=join(legacyDir,"broken.json"),missing=join(legacyDir,"missing.json");
+  writeFileSync(a,JSON.stringify([{id:"nova",name:"Nova (old)",votes:20,location:"Lagos, Nigeria",status:"suspended",createdAt:"2025-01-01T00:00:00.000Z",updatedAt:"2025-06-01T00:00:00.000Z"},{id:"orbit",name:"Orbit"}]));
+  writeFileSync(b,JSON.stringify({artists:[{id:"nova",name:"Nova (new)",votes:2,location:"Lagos, Nigeria",status:"active",updatedAt:"2027-01-01T00:00:00.000Z"}]}));
+  writeFileSync(broken,"{nope");
+
+  const dry=await store.migrateArtists({sources:[a,b,broken,missing],dryRun:true});
+  assert.equal(dry.dryRun,true);assert.equal(dry.total,2);assert.equal(store.getArtist("orbit"),null,"dry run leaves the repository alone");
+  assert.deepEqual(dry.sources.map(s=>[s.found,s.count,s.shape||null,Boolean(s.error)]),[[true,1,"artists",false],[true,2,"array",false],[true,1,"artists",false],[true,0,null,true],[false,0,null,false]]);
+
+  const m=await store.migrateArtists({sources:[a,b,broken,missing]});
+  assert.equal(m.ok,true);assert.equal(m.added,1);assert.equal(m.merged,2);assert.equal(m.total,2);
+  const merged=store.getArtist("nova");
+  assert.equal(merged.name,"Nova (new)","newest updatedAt wins");assert.equal(merged.votes,20,"votes keep the highest count");
+  assert.equal(merged.createdAt,"2025-01-01T00:00:00.000Z","createdAt keeps the earliest");
+  assert.equal(m.conflicts.length,2);
+  const last=m.conflicts[1];assert.equal(last.id,"nova");assert.equal(last.kept,b);
+  const status=last.fields.find(f=>f.field==="status");
+  assert.deepEqual(status.values.map(v=>v.value),["suspended","active"]);assert.equal(status.resolved,"active");
+  assert.ok(existsSync(m.reportFile));assert.ok(readdirSync(join(root,"migrations")).length===1);
+  const disk=JSON.parse(readFileSync(dbFile,"utf8"));
+  assert.equal(disk.migrations.artists.total,2);assert.deepEqual(disk.migrations.artists.sources,[a,b],"unreadable and missing files are not recorded as merged");
+  assert.ok(store.getStorageMeta().migrations.artists.at);
+
+  const again=await store.migrateArtists({sources:[a,b]});
+  assert.equal(again.skipped,"already_migrated");
+  const forced=await store.migrateArtists({sources:[a],force:true});
+  assert.equal(forced.ok,true);assert.equal(forced.total,2);
+  assert.equal(store.getArtist("nova").votes,20);
+  say("✓ migration merges legacy copies once, reports per-field conflicts and dry-runs without writing");
+  say("Artist repository checks passed.");
+}finally{console.log=out.log;console.error=out.error;rmSync(root,{recursive:true,force:true});delete process.env.ADMIN_KEY;}
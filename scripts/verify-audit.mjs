@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-audit-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.ADMIN_KEY="verify-audit-key";
+process.env.IBAND_AUDIT_SECRET="verify-audit-secret-0123456789abcdef";
+
+const audit=await import("../adminAudit.js");
+const { issueToken }=await import("../identity.js");
+const logFile=join(root,"admin","audit.jsonl");
+const lines=()=>readFileSync(logFile,"utf8").trim().split("\n");
+
+try{
+  // diff + chain basics
+  assert.deepEqual(audit.diffRecords({a:1,b:{x:1},updatedAt:"t1"},{a:1,b:{x:2},c:3,updatedAt:"t2"}),{b:{before:{x:1},after:{x:2}},c:{before:null,after:3}});
+  const fakeReq={principal:{kind:"admin",adminId:"ops"},_adminMode:"token",adminRoles:["super-admin"],headers:{"x-forwarded-for":"203.0.113.9, 10.0.0.1"}};
+  const [first]=await audit.recordAudit(fakeReq,{action:"artist.approve",target:{type:"artist",id:"a1"},before:{status:"pending"},after:{status:"active"}});
+  assert.equal(first.seq,1);assert.equal(first.prevHash,"0".repeat(64));assert.equal(first.alg,"hmac-sha256");
+  assert.deepEqual(first.actor,{id:"ops",mode:"token",roles:["super-admin"]});
+  assert.deepEqual(first.diff,{status:{before:"pending",after:"active"}});
+  assert.match(first.ipHash,/^[0-9a-f]{24}$/);assert.equal(JSON.stringify(first).includes("203.0.113.9"),false,"raw IP never stored");
+  await Promise.all(Array.from({length:20},(_,i)=>audit.recordAudit({...fakeReq,principal:{kind:"admin",adminId:`ops${i%3}`}},{action:"comment.update",target:{type:"comment",id:`c${i}`},before:{status:"pending"},after:{status:"approved"}})));
+  const seqs=lines().map(l=>JSON.parse(l).seq);
+  assert.deepEqual(seqs,Array.from({length:21},(_,i)=>i+1),"concurrent appends keep one gapless chain");
+  assert.equal((await audit.verifyAudit()).ok,true);
+  console.log("✓ diff, actor, ip hash, serialised chain");
+
+  // tamper detection
+  const pristine=readFileSync(logFile,"utf8");
+  const rewrite=(fn)=>{const ls=lines();fn(ls);writeFileSync(logFile,ls.join("\n")+"\n");};
+  const codes=async()=>(await audit.verifyAudit()).problems.map(p=>p.code);
+
+  rewrite((ls)=>{const e=JSON.parse(ls[4]);e.actor.id="someone-else";ls[4]=JSON.stringify(e);});
+  assert.deepEqual(await codes(),["hash_mismatch"],"edited entry");
+  writeFileSync(logFile,pristine);
+
+  rewrite((ls)=>{const e=JSON.parse(ls[4]);e.diff.status.after="hidden";const {hash,...rest}=e;
+    e.hash=createHash("sha256").update(rest.prevHash+JSON.stringify(rest)).digest("hex");ls[4]=JSON.stringify(e);});
+  assert.equal((await codes()).includes("hash_mismatch"),true,"re-hashing without the secret doesn't help");
+  writeFileSync(logFile,pristine);
+
+  rewrite((ls)=>ls.splice(7,1));
+  assert.deepEqual((await codes()).slice(0,2),["seq_gap","chain_broken"],"removed entry");
+  writeFileSync(logFile,pristine);
+
+  rewrite((ls)=>ls.pop());
+  assert.deepEqual(await codes(),["anchor_mismatch"],"truncated tail");
+  writeFileSync(logFile,pristine);
+  assert.equal((await audit.verifyAudit()).ok,true);
+  console.log("✓ edits, removals and truncation are detected");
+
+  // admin routes record and query
+  const express=(await import("express")).default;
+  const [{default:admin},{default:identity}]=await Promise.all([import("../admin.js"),import("../identity.js")]);
+  const app=express();app.use(express.json());app.use("/api/admin",admin);app.use("/api/identity",identity);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const call=async(method,p,{token,body}={})=>{
+      const r=await fetch(base+p,{method,headers:{"content-type":"application/json",...(token?{authorization:`Bearer ${token}`}:{})},body:body?JSON.stringify(body):undefined});
+      return {status:r.status,body:await r.json()};
+    };
+    const sup=issueToken({kind:"admin",subject:"alice",roles:["super-admin"]}).token;
+    const mod=issueToken({kind:"admin",subject:"bob",roles:["moderator"]}).token;
+    const am=issueToken({kind:"admin",subject:"carol",roles:["artist-manager"]}).token;
+    const since=new Date().toISOString();
+
+    const a=await call("POST","/api/admin/artists",{token:am,body:{name:"Audit Check",genre:"test",status:"pending",imageUrl:"https://img/a.png",socials:{instagram:"https://ig/a"},tracks:[{title:"Demo",audioUrl:"https://cdn/a.mp3"}]}});
+    const aid=a.body.artist.id;
+    await call("PATCH",`/api/admin/artists/${aid}/verification/identity`,{token:am,body:{confirmed:true,method:"document"}});
+    assert.equal((await call("PATCH",`/api/admin/artists/${aid}/approve`,{token:am})).status,200);
+    await call("PATCH",`/api/admin/artists/${aid}/suspend`,{token:am});
+    await call("DELETE",`/api/admin/artists/${aid}`,{token:am});
+    const c1=(await call("POST","/api/admin/comments",{token:mod,body:{artistId:aid,author:"audit",text:"one"}})).body.comment.id;
+    const c2=(await call("POST","/api/admin/comments",{token:mod,body:{artistId:aid,author:"audit",text:"two"}})).body.comment.id;
+    assert.equal((await call("POST","/api/admin/comments/bulk/status",{token:mod,body:{ids:[c1,c2,"missing"],status:"approved"}})).status,200);
+    assert.equal((await call("POST","/api/admin/comments/bulk/delete",{token:mod,body:{ids:[c1,c2]}})).status,200);
+
+    assert.equal((await call("GET","/api/admin/audit",{token:mod})).status,403,"audit is super-admin only");
+    const art=await call("GET",`/api/admin/audit?targetId=${aid}`,{token:sup});
+    assert.deepEqual(art.body.entries.map(e=>e.action),["artist.delete","artist.suspend","artist.approve","artist.verification.identity","artist.create"],"newest first");
+    const approve=art.body.entries.find(e=>e.action==="artist.approve");
+    assert.deepEqual(approve.diff.status,{before:"pending",after:"active"});assert.equal(approve.actor.id,"carol");
+    assert.equal(art.body.entries[0].diff.name.after,null,"delete diff keeps what was removed");
+    const bulk=await call("GET",`/api/admin/audit?actor=bob&action=comment.bulk.*`,{token:sup});
+    assert.deepEqual(bulk.body.entries.map(e=>`${e.action}:${e.target.id}`).sort(),[`comment.bulk.delete:${c1}`,`comment.bulk.delete:${c2}`,`comment.bulk.status:${c1}`,`comment.bulk.status:${c2}`].sort());
+    assert.equal(bulk.body.entries.find(e=>e.action==="comment.bulk.status").diff.status.after,"approved");
+    assert.equal((await call("GET",`/api/admin/audit?targetType=comment&from=${encodeURIComponent(since)}`,{token:sup})).body.matched,6);
+    assert.equal((await call("GET",`/api/admin/audit?to=${encodeURIComponent(since)}`,{token:sup})).body.matched,21,"date filter");
+    await call("POST","/api/identity/tokens",{token:sup,body:{kind:"artist",subject:"artist_1"}});
+    const minted=(await call("GET","/api/admin/audit?action=identity.token.issue",{token:sup})).body.entries[0];
+    assert.equal(minted.target.id,"artist_1");assert.equal(JSON.stringify(minted).includes("v1."),false,"token itself not logged");
+
+    const ok=await call("GET","/api/admin/audit/verify",{token:sup});
+    assert.equal(ok.status,200);assert.equal(ok.body.ok,true);assert.equal(ok.body.entries,ok.body.head.seq);
+    rewrite((ls)=>{const e=JSON.parse(ls[ls.length-3]);e.actor.id="mallory";ls[ls.length-3]=JSON.stringify(e);});
+    const bad=await call("GET","/api/admin/audit/verify",{token:sup});
+    assert.equal(bad.status,409);assert.equal(bad.body.problems[0].code,"hash_mismatch");
+    console.log("✓ admin mutations audited; GET /api/admin/audit filters; /verify flags edits");
+  }finally{server.close();}
+  console.log("Audit checks passed.");
+}finally{rmSync(root,{recursive:true,force:true});delete process.env.ADMIN_KEY;}
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { getConfig, loadConfig, describeConfig, CONFIG_SCHEMA } from "../config.js";
+import { getLockConfig, getSegmentConfig, getStorageConfig } from "../storage/index.js";
+
+const root=mkdtempSync(join(tmpdir(),"iband-config-"));
+const server=new URL("../server.js",import.meta.url).pathname;
+const msgs=(r)=>r.errors.map(e=>e.message).join("\n");
+
+try{
+  // defaults + coercion
+  const votes=getConfig("votes",{});
+  assert.equal(votes.maxPerWindow,30);assert.equal(votes.allowDownvote,true);assert.equal(Object.isFrozen(votes),true);
+  assert.equal(getConfig("core",{}).dataDir,"/var/data/iband/db");
+  const c=getConfig("votes",{VOTES_MAX_PER_WINDOW:" 12 ",VOTES_ALLOW_DOWNVOTE:"no",VOTES_ARTIST_LOCK_HOURS:"1.5"});
+  assert.deepEqual([c.maxPerWindow,c.allowDownvote,c.artistLockHours],[12,false,1.5]);
+  assert.equal(getConfig("logs",{IBAND_LOG_ROTATE:"SIZE"}).rotate,"size");
+  const bad=loadConfig({VOTES_MAX_PER_WINDOW:"lots",MEDALS_GOLD_TOP_PCT:"2",IBAND_STORAGE_ADAPTER:"mongo",IBAND_LOCK_FILES:"maybe"});
+  assert.equal(bad.values.votes.maxPerWindow,30,"invalid value falls back to the default");
+  assert.deepEqual(bad.errors.map(e=>e.key).sort(),["locks.lockFiles","medals.goldTopPct","storage.adapter","votes.maxPerWindow"]);
+  assert.match(msgs(bad),/VOTES_MAX_PER_WINDOW="lots": expected an integer/);
+  assert.match(msgs(bad),/MEDALS_GOLD_TOP_PCT="2": must be <= 1/);
+  console.log("✓ defaults, coercion, range checks");
+
+  // one data dir: DATA_DIR is a legacy alias, disagreeing values are an error
+  assert.equal(getConfig("core",{DATA_DIR:root}).dataDir,root);
+  assert.equal(getConfig("files",{DATA_DIR:root}).eventsLog,join(root,"events.jsonl"),"derived paths follow the data dir");
+  assert.equal(getConfig("files",{IBAND_DATA_DIR:root,IBAND_ARTISTS_FILE:"catalog/artists.json"}).artists,join(root,"catalog","artists.json"),"relative paths resolve against the data dir");
+  assert.equal(getConfig("files",{EVENTS_LOG_FILE:"/x/e.jsonl"}).eventsLog,"/x/e.jsonl");
+  const split=loadConfig({IBAND_DATA_DIR:root,DATA_DIR:"/elsewhere"});
+  assert.equal(split.values.core.dataDir,root);
+  assert.match(msgs(split),/IBAND_DATA_DIR and DATA_DIR are both set and disagree/);
+  assert.equal(loadConfig({IBAND_DATA_DIR:root,DATA_DIR:root}).errors.length,0,"agreeing aliases are fine");
+  assert.match(msgs(loadConfig({IBAND_DATA_DIR:"relative/db"})),/expected an absolute path/);
+  console.log("✓ data dir + file paths");
+
+  // weights: medals.js and medalEngine.js read one namespace, legacy names still honoured
+  assert.equal(getConfig("weights",{MEDALS_W_LIKE:"2"}).like,2);
+  assert.equal(getConfig("weights",{RISING_W_LIKE:"3"}).like,3);
+  assert.equal(getConfig("weights",{IBAND_WEIGHT_LIKE:"4",MEDALS_W_LIKE:"4"}).like,4);
+  assert.match(msgs(loadConfig({MEDALS_W_SHARE:"4.5",RISING_W_SHARE:"6"})),/MEDALS_W_SHARE and RISING_W_SHARE are both set and disagree/);
+  assert.equal(getConfig("medals",{MEDALS_GOLD_PCT:"0.1"}).goldTopPct,0.1,"medalEngine's tier name is an alias");
+  console.log("✓ shared weights");
+
+  // misspelled variables: close to a real name -> error, otherwise a warning
+  const typo=loadConfig({IBAND_LOCK_TIMEOUT_MSS:"100",VOTES_MAX_PER_WINDW:"5",IBAND_SOMETHING_UNRELATED:"1",HOME:"/root",IBAND_LIVE_BACKEND_URL:"x",ADMIN_API_KEY:"x",ADMIN_SECRET:"x"});
+  assert.match(msgs(typo),/Unknown setting IBAND_LOCK_TIMEOUT_MSS; did you mean IBAND_LOCK_TIMEOUT_MS\?/);
+  assert.match(msgs(typo),/did you mean VOTES_MAX_PER_WINDOW\?/);
+  assert.deepEqual(typo.warnings.map(w=>w.env),["ADMIN_SECRET","IBAND_SOMETHING_UNRELATED"],"unrelated names only warn; foreign vars are ignored");
+  console.log("✓ misspelled env detection");
+
+  // storage-layer helpers keep their shapes, now backed by the schema
+  assert.deepEqual(getLockConfig({IBAND_LOCK_TIMEOUT_MS:"80"}),{timeoutMs:80,staleMs:30000,lockFiles:true});
+  assert.deepEqual(getSegmentConfig({}),{rotate:"day",maxBytes:8*1024*1024,compactAfterDays:400});
+  assert.deepEqual(getStorageConfig({IBAND_STORAGE_ADAPTER:"Memory"}),{adapter:"memory",sqliteFile:"iband.sqlite"});
+  assert.throws(()=>getStorageConfig({IBAND_STORAGE_ADAPTER:"mongo"}),(e)=>e.code==="STORAGE_ADAPTER_UNKNOWN");
+  const names=Object.values(CONFIG_SCHEMA).flatMap(ns=>Object.values(ns).map(s=>s.env));
+  assert.equal(new Set(names).size,names.length,"every env name belongs to one setting");
+  console.log("✓ storage helpers delegate to the schema");
+
+  // redaction + admin endpoint
+  const d=describeConfig({ADMIN_KEY:"s3cret-key",IBAND_AI_API_KEY:"sk-live"});
+  assert.equal(d.values.admin.key,"[redacted]");assert.equal(d.values.ai.apiKey,"[redacted]");assert.equal(d.values.ai.openaiApiKey,"");
+  assert.equal(JSON.stringify(d).includes("s3cret"),false);
+  assert.equal(d.sources["admin.key"],"env:ADMIN_KEY");
+  process.env.ADMIN_KEY="s3cret-key";process.env.IBAND_DATA_DIR=root;delete process.env.DATA_DIR;
+  const express=(await import("express")).default;
+  const { default: admin }=await import("../admin.js");
+  const app=express();app.use("/api/admin",admin);
+  const srv=app.listen(0);
+  try{
+    const url=`http://127.0.0.1:${srv.address().port}/api/admin/config`;
+    assert.equal((await fetch(url)).status,401,"admin-only");
+    const res=await fetch(url,{headers:{"x-admin-key":"s3cret-key"}});
+    const text=await res.text();const body=JSON.parse(text);
+    assert.equal(res.status,200);assert.equal(body.success,true);
+    assert.equal(body.values.core.dataDir,root);
+    assert.equal(body.values.admin.key,"[redacted]");
+    assert.equal(text.includes("s3cret-key"),false,"secret never leaves the process");
+    console.log("✓ GET /api/admin/config (locked, redacted)");
+  }finally{srv.close();delete process.env.ADMIN_KEY;}
+
+  // startup validation: a typo stops the boot unless strict mode is off
+  const boot=(env)=>spawnSync(process.execPath,[server],{env:{PATH:process.env.PATH,IBAND_DATA_DIR:root,PORT:"0",...env},encoding:"utf8",timeout:15000});
+  const strict=boot({VOTES_MAX_PER_WINDW:"5"});
+  assert.equal(strict.status,1,"misspelled env var fails the boot");
+  assert.match(strict.stderr,/did you mean VOTES_MAX_PER_WINDOW\?/);
+  assert.match(strict.stderr,/refusing to boot/);
+  console.log("✓ boot refuses invalid config");
+  console.log("Config checks passed.");
+}finally{rmSync(root,{recursive:true,force:true});}
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-bus-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;
+process.env.IBAND_BUS_MAX_ATTEMPTS="3";process.env.IBAND_BUS_RETRY_BASE_MS="1";
+delete process.env.EVENTS_LOG_FILE;
+
+const bus=await import("../eventBus.js");
+const { getStorage, openSegmentedLog }=await import("../storage/index.js");
+const storage=getStorage(root);
+const eventsLog=openSegmentedLog(storage,join(root,"events.jsonl"));
+const at=(i=0)=>new Date(Date.now()+i).toISOString();
+let n=0;
+const vote=(artistId="a1")=>({id:`evt_${++n}`,at:at(n),type:"vote",artistId,sessionId:`s${n}`,delta:1});
+
+try{
+  // typed: unknown types and incomplete payloads are rejected at publish time
+  assert.throws(()=>bus.publish("vote.exploded",vote()),(e)=>e.code==="BUS_UNKNOWN_TYPE");
+  assert.throws(()=>bus.publish("vote.cast",{id:"x",at:at(),type:"vote",delta:1}),(e)=>e.code==="BUS_INVALID_EVENT"&&e.missing.includes("artistId"));
+  assert.throws(()=>bus.subscribe("bad",["nope"],()=>{}),(e)=>e.code==="BUS_UNKNOWN_TYPE");
+  assert.equal(bus.classifyRecord("events",{type:"vote",delta:-1,undoOf:"e1"}),"vote.undone");
+  assert.equal(bus.classifyRecord("events",{type:"view"}),"engagement.recorded");
+  assert.equal(bus.classifyRecord("events",{type:"purchase"}),"purchase.recorded");
+  assert.equal(bus.classifyRecord("shares",{type:"share"}),"share.recorded");
+  console.log("✓ typed publish / classification");
+
+  // fan-out in publish order, retries, dead letters
+  const seen=[];let flaky=0;
+  bus.subscribe("t.order",["vote.cast"],(e)=>{seen.push(e.payload.id);},{durable:false});
+  bus.subscribe("t.flaky",["vote.cast"],()=>{if(++flaky%3)throw new Error("transient");},{durable:false});
+  bus.subscribe("t.poison",["share.recorded"],()=>{throw new Error("always");},{durable:false});
+  const v1=vote(),v2=vote();
+  const r=bus.publish("vote.cast",v1);
+  assert.equal(r.subscribers,2);
+  bus.publish("vote.cast",v2);bus.publish("share.recorded",{id:"sh1",ts:at(),type:"share",artistId:"a1"});
+  await bus.drainEventBus();
+  assert.deepEqual(seen,[v1.id,v2.id]);
+  const stats=Object.fromEntries(bus.getBusStats().subscribers.map(s=>[s.id,s]));
+  assert.equal(stats["t.flaky"].delivered,2,"transient failures are retried until the handler succeeds");
+  assert.equal(stats["t.flaky"].retries,4);
+  assert.equal(stats["t.poison"].deadLettered,1);
+  assert.equal((await storage.readJsonl("bus/dead-letters.jsonl")).length>=1,true,"poison event dead-lettered");
+  assert.equal(stats["t.poison"].inFlight,0,"dead-lettered event is acked");
+  console.log("✓ fan-out, retries, dead letters");
+
+  // at-least-once: a durable checkpoint + the log redeliver what a crash swallowed
+  bus.resetEventBus();
+  bus.registerSource("events",eventsLog);
+  const got=[];
+  const durable=()=>bus.subscribe("t.durable",["vote.cast","vote.undone"],(e)=>{got.push(e.payload.id);});
+  durable();
+  await bus.startEventBus();
+  for(let i=0;i<3;i++){const v=vote();await eventsLog.append(v);bus.publish("vote.cast",v);}
+  await bus.drainEventBus();
+  assert.equal(got.length,3);
+  const cp=(await storage.readJson("bus/checkpoints.json")).subscribers["t.durable"].events;
+  assert.equal(Number.isFinite(cp.throughMs),true,"checkpoint written");
+  // appended but never published (process died between append and delivery)
+  const lost=[vote("a2"),vote("a3")];
+  for(const v of lost)await eventsLog.append(v);
+  bus.resetEventBus();got.length=0;durable();
+  const replay=await bus.startEventBus();
+  await bus.drainEventBus();
+  for(const v of lost)assert.equal(got.includes(v.id),true,`replayed ${v.id}`);
+  assert.equal(replay.delivered>=2,true);
+  console.log(`✓ replay after restart (${replay.delivered} redelivered)`);
+
+  // live wiring: ingestion routers -> bus -> breakout score, country counters, cache subscribers
+  bus.resetEventBus();
+  const express=(await import("express")).default;
+  const [events,votes,countries,breakout]=await Promise.all([import("../events.js"),import("../votes.js"),import("../countryEngine.js"),import("../breakoutEngine.js"),import("../ranking.js"),import("../medals.js")]);
+  await bus.startEventBus();
+  const app=express();app.use(express.json());
+  app.use("/api/events",events.default);app.use("/api/votes",votes.default);app.use("/api/country-engine",countries.default);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const { issueToken }=await import("../identity.js");
+    const fan=issueToken({kind:"fan",subject:"bus-fan",sessionId:"bus-s1"}).token;
+    const post=(p,b)=>fetch(base+p,{method:"POST",headers:{"content-type":"application/json",authorization:`Bearer ${fan}`},body:JSON.stringify(b)}).then(r=>r.json());
+    assert.equal((await post("/api/votes",{artistId:"bus-artist"})).success,true);
+    assert.equal((await post("/api/events",{type:"like",artistId:"bus-artist",meta:{country:"Nigeria",genre:"afrobeats"}})).success,true);
+    await bus.drainEventBus();
+    assert.equal(breakout.getArtistBreakout("bus-artist").score,7,"vote (5) + like (2) reach the breakout engine");
+    const c=await (await fetch(`${base}/api/country-engine/countries`)).json();
+    assert.equal(c.countries.find(x=>x.country==="Nigeria")?.totalSignals,1,"country counters updated from meta.country");
+    const subs=Object.fromEntries(bus.getBusStats().subscribers.map(s=>[s.id,s]));
+    assert.equal(subs["ranking.cache"].delivered,2);
+    assert.equal(subs["medals.cache"].delivered,1);
+    assert.equal(bus.getBusStats().published["vote.cast"]>=1,true);
+    console.log("✓ routers publish, engines subscribe");
+  }finally{server.close();}
+  console.log("Event bus checks passed.");
+}finally{rmSync(root,{recursive:true,force:true});}
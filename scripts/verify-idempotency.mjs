@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-idem-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;
+process.env.IBAND_IDENTITY_SECRET="verify-idem-secret-0123456789abcdef";
+// track purchases need catalogued tracks (tracks.js)
+writeFileSync(join(root,"artists.json"),JSON.stringify({artists:[{id:"art1",name:"Art One",tracks:[{id:"t1",title:"One"},{id:"t2",title:"Two"}]}]}));
+
+const { issueToken,attachPrincipal }=await import("../identity.js");
+const { getStorage }=await import("../storage/index.js");
+const { flushIdempotency }=await import("../idempotency.js");
+const store=getStorage(root);
+
+try{
+  const express=(await import("express")).default;
+  const mods=Object.fromEntries(await Promise.all(["purchases","monetisationSignals","shares","events"].map(async(m)=>[m,(await import(`../${m}.js`)).default])));
+  const app=express();app.use(express.json());app.use(attachPrincipal);
+  app.use("/api/purchases",mods.purchases);app.use("/api/monetisation",mods.monetisationSignals);app.use("/api/shares",mods.shares);app.use("/api/events",mods.events);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const call=async(p,{key,token,body}={})=>{
+      const r=await fetch(base+p,{method:"POST",headers:{"content-type":"application/json",...(key?{"idempotency-key":key}:{}),...(token?{authorization:`Bearer ${token}`}:{})},body:JSON.stringify(body||{})});
+      return {status:r.status,replayed:r.headers.get("idempotent-replayed"),body:await r.json()};
+    };
+    const fan=(id)=>issueToken({kind:"fan",subject:id,sessionId:`ses_${id}`}).token;
+    const purchases=async()=>((await store.readJson("purchases.json",{purchases:[]})).purchases||[]).length;
+    const buy={artistId:"art1",itemId:"t1",amount:4.99};
+
+    // purchase: retry replays, no second ledger entry
+    const a=await call("/api/purchases/purchase",{key:"buy-1",token:fan("f1"),body:buy});
+    assert.equal(a.status,200);assert.equal(a.replayed,null);
+    const b=await call("/api/purchases/purchase",{key:"buy-1",token:fan("f1"),body:{amount:4.99,itemId:"t1",artistId:"art1"}});
+    assert.deepEqual([b.status,b.replayed],[200,"true"],"same body in another key order is the same request");
+    assert.deepEqual(b.body,a.body,"first response replayed as is");
+    assert.equal(await purchases(),1);
+    const reused=await call("/api/purchases/purchase",{key:"buy-1",token:fan("f1"),body:{...buy,amount:99}});
+    assert.deepEqual([reused.status,reused.body.code],[409,"idempotency_key_reused"]);
+    assert.equal((await call("/api/purchases/purchase",{key:"buy-1",token:fan("f2"),body:buy})).replayed,null,"keys are per caller");
+    assert.equal((await call("/api/purchases/purchase",{token:fan("f1"),body:{...buy,itemId:"t2"}})).body.recorded,true,"no header, no idempotency");
+    assert.equal(await purchases(),3);
+    assert.equal((await call("/api/purchases/purchase",{key:"x".repeat(256),token:fan("f1"),body:buy})).body.code,"invalid_idempotency_key");
+    console.log("✓ POST /purchase replays, rejects a reused key with another body");
+
+    // parallel retries: one ledger entry, the rest replay or are told to wait
+    const racing=await Promise.all(Array.from({length:4},()=>call("/api/purchases/subscribe",{key:"sub-1",token:fan("f3"),body:{amount:5}})));
+    const firsts=racing.filter(r=>r.status===200&&!r.replayed);
+    assert.equal(firsts.length,1);
+    for(const r of racing.filter(r=>r!==firsts[0]))assert.ok(r.replayed==="true"||r.body.code==="idempotency_in_progress",JSON.stringify(r.body));
+    assert.deepEqual((await store.readJson("purchases.json",{subs:[]})).subs.map(x=>x.amountTotal),[5],"not extended by a retry");
+    console.log("✓ parallel retries of /subscribe record once");
+
+    // monetisation aliases share one scope
+    const sig={type:"purchase",artistId:"art1",fanId:"f1",amountMinor:499,currency:"GBP"};
+    const s1=await call("/api/monetisation/signal",{key:"sig-1",body:sig});
+    const s2=await call("/api/monetisation/record",{key:"sig-1",body:sig});
+    assert.equal(s1.status,200,JSON.stringify(s1.body));assert.deepEqual([s2.replayed,s2.body.id],["true",s1.body.id]);
+    const logged=(await store.readJsonl("monetisation/events/monetisation-signals.jsonl")).length;
+    assert.equal(logged,1);
+    console.log("✓ POST /api/monetisation/signal and aliases");
+
+    // shares + events; client errors are stored too, so a retry can't sneak a different outcome
+    const sh=await call("/api/shares",{key:"share-1",body:{artistId:"art1",platform:"x"}});
+    assert.equal((await call("/api/shares",{key:"share-1",body:{artistId:"art1",platform:"x"}})).body.event.id,sh.body.event.id);
+    assert.equal((await store.readJsonl("shares/events/shares.jsonl")).length,1);
+    const ev=await call("/api/events",{key:"ev-1",body:{type:"view",artistId:"art1"}});
+    assert.equal((await call("/api/events",{key:"ev-1",body:{type:"view",artistId:"art1"}})).replayed,"true");
+    assert.equal(ev.status,200);
+    const bad=await call("/api/events",{key:"ev-2",body:{type:"nope"}});
+    const badAgain=await call("/api/events",{key:"ev-2",body:{type:"nope"}});
+    assert.deepEqual([bad.status,badAgain.status,badAgain.replayed],[400,400,"true"]);
+    console.log("✓ POST /api/shares and /api/events");
+
+    // TTL
+    process.env.IBAND_IDEMPOTENCY_TTL_SEC="1";
+    await call("/api/shares",{key:"share-ttl",body:{artistId:"art1"}});
+    await new Promise(r=>setTimeout(r,1100));
+    assert.equal((await call("/api/shares",{key:"share-ttl",body:{artistId:"art1"}})).replayed,null,"expired keys run again");
+    delete process.env.IBAND_IDEMPOTENCY_TTL_SEC;
+    console.log("✓ keys expire after IBAND_IDEMPOTENCY_TTL_SEC");
+
+    // stored keys survive a restart
+    await flushIdempotency();
+    assert.ok(JSON.parse(readFileSync(join(root,"idempotency","keys.json"),"utf8")).keys.some(k=>k.id.includes("buy-1")));
+    const mod=new URL("../idempotency.js",import.meta.url).href;
+    const out=execFileSync(process.execPath,["--input-type=module","-e",`
+      const { idempotent }=await import(${JSON.stringify(mod)});
+      const req={method:"POST",headers:{"idempotency-key":"sig-1"},body:${JSON.stringify(sig)},principal:null};
+      const res={statusCode:200,headers:{},setHeader(k,v){this.headers[k]=v;},status(s){this.statusCode=s;return this;},json(b){console.log(JSON.stringify({status:this.statusCode,replayed:this.headers["Idempotent-Replayed"],id:b.id}));},on(){}};
+      await idempotent("monetisation.signal")(req,res,()=>console.log("ran again"));`],{env:{...process.env},encoding:"utf8"}).trim();
+    assert.deepEqual(JSON.parse(out),{status:200,replayed:"true",id:s1.body.id});
+    console.log("✓ stored responses replay after a restart");
+  }finally{server.close();}
+  console.log("Idempotency checks passed.");
+}finally{rmSync(root,{recursive:true,force:true});}
@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-identity-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;
+process.env.IBAND_IDENTITY_SECRET="verify-identity-secret-0123456789abcdef";
+delete process.env.IBAND_IDENTITY_ENFORCE;delete process.env.ADMIN_KEY;
+
+const id=await import("../identity.js");
+const b64=(o)=>Buffer.from(JSON.stringify(o)).toString("base64url");
+
+try{
+  // tokens: signed, tamper-evident, expiring
+  const fan=id.issueToken({kind:"fan",subject:"fan_1",sessionId:"ses_1"});
+  const v=id.verifyToken(fan.token);
+  assert.equal(v.ok,true);assert.deepEqual([v.claims.sub,v.claims.kind,v.claims.sid],["fan_1","fan","ses_1"]);
+  assert.deepEqual([fan.principal.fanId,fan.principal.sessionId,fan.principal.artistId],["fan_1","ses_1",null]);
+  const [p,,s]=fan.token.split(".");
+  const forged=`v1.${b64({...v.claims,sub:"fan_2"})}.${s}`;
+  assert.equal(id.verifyToken(forged).code,"token_bad_signature","payload swap breaks the signature");
+  assert.equal(id.verifyToken(`v1.${p}.${s.slice(0,-2)}AA`).code,"token_bad_signature");
+  assert.equal(id.verifyToken("garbage").code,"token_malformed");
+  assert.equal(id.verifyToken(`v2.${p}.${s}`).code,"token_malformed");
+  process.env.IBAND_IDENTITY_SECRET="another-identity-secret-0123456789abcdef";
+  assert.equal(id.verifyToken(fan.token).code,"token_bad_signature","rotating the secret revokes old tokens");
+  process.env.IBAND_IDENTITY_SECRET="verify-identity-secret-0123456789abcdef";
+  const realNow=Date.now;Date.now=()=>realNow()+31*86400*1000;
+  try{assert.equal(id.verifyToken(fan.token).code,"token_expired","fan ttl defaults to 30 days");}finally{Date.now=realNow;}
+  assert.equal(id.verifyToken(id.issueToken({kind:"artist",subject:"a1"}).token).ok,true);
+  assert.throws(()=>id.issueToken({kind:"robot",subject:"x"}),(e)=>e.code==="IDENTITY_BAD_KIND");
+  assert.throws(()=>id.issueToken({kind:"fan"}),(e)=>e.code==="IDENTITY_BAD_SUBJECT");
+  console.log("✓ issue / verify / tamper / expiry");
+
+  // resolveFan: the token decides who the fan is
+  const req=(principal)=>({principal});
+  const fp=fan.principal,admin=id.issueToken({kind:"admin",subject:"ops"}).principal,artist=id.issueToken({kind:"artist",subject:"a1"}).principal;
+  assert.deepEqual(id.resolveFan(req(fp),{}),{fanId:"fan_1",sessionId:"ses_1",principal:fp});
+  assert.equal(id.resolveFan(req(fp),{fanId:"fan_2"}).error.code,"identity_mismatch");
+  assert.equal(id.resolveFan(req(fp),{sessionId:"ses_9"}).error.status,403);
+  assert.equal(id.resolveFan(req(admin),{fanId:"fan_7"}).fanId,"fan_7","admins act for any fan");
+  assert.equal(id.resolveFan(req(artist),{fanId:"fan_1"}).error.code,"fan_token_required");
+  assert.equal(id.resolveFan(req(null),{fanId:"fan_1"}).error.status,401);
+  assert.equal(id.resolveFan(req(null),{},{optional:true}).fanId,"","anonymous telemetry passes");
+  assert.equal(id.resolveFan(req(null),{fanId:"fan_1"},{optional:true}).error.code,"identity_required","claiming an id still needs the token");
+  process.env.IBAND_IDENTITY_ENFORCE="false";
+  try{assert.equal(id.resolveFan(req(null),{fanId:"fan_1"}).fanId,"fan_1","legacy mode trusts the body");}finally{delete process.env.IBAND_IDENTITY_ENFORCE;}
+  console.log("✓ resolveFan (token wins, mismatch rejected, legacy switch)");
+
+  // routers: ids come from the token, never the body
+  const express=(await import("express")).default;
+  const [{default:identity},{default:votes},{default:fans},{default:admin_}]=await Promise.all([import("../identity.js"),import("../votes.js"),import("../fanProfiles.js"),import("../admin.js")]);
+  const app=express();app.use(express.json());app.use(id.attachPrincipal);
+  app.use("/api/identity",identity);app.use("/api/votes",votes);app.use("/api/fans",fans);app.use("/api/admin",admin_);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const call=async(method,p,{token,body,headers={}}={})=>{
+      const r=await fetch(base+p,{method,headers:{"content-type":"application/json",...(token?{authorization:`Bearer ${token}`}:{}),...headers},body:body?JSON.stringify(body):undefined});
+      return {status:r.status,body:await r.json()};
+    };
+    const s=await call("POST","/api/identity/session");
+    assert.equal(s.status,201);assert.match(s.body.principal.fanId,/^fan_/);assert.match(s.body.principal.sessionId,/^ses_/);
+    const tok=s.body.token;const me=s.body.principal;
+    assert.equal((await call("GET","/api/identity/me",{token:tok})).body.principal.fanId,me.fanId);
+    assert.equal((await call("GET","/api/identity/me")).status,401);
+    const bad=await call("GET","/api/identity/me",{token:tok.slice(0,-3)+"xyz"});
+    assert.deepEqual([bad.status,bad.body.code],[401,"token_bad_signature"]);
+    const refreshed=await call("POST","/api/identity/session",{token:tok});
+    assert.deepEqual([refreshed.status,refreshed.body.principal.fanId,refreshed.body.principal.sessionId],[200,me.fanId,me.sessionId]);
+
+    assert.equal((await call("POST","/api/votes",{body:{artistId:"a1",sessionId:"someone-else"}})).status,401,"no token, no vote");
+    const voted=await call("POST","/api/votes",{token:tok,body:{artistId:"a1"}});
+    assert.equal(voted.body.success,true);
+    const st=await call("GET","/api/votes/status?artistId=a1",{token:tok});
+    assert.equal(st.body.sessionId,me.sessionId,"vote recorded against the token's session");
+    assert.equal((await call("POST","/api/votes",{token:tok,body:{artistId:"a2",sessionId:"ses_victim"}})).body.code,"identity_mismatch");
+    const up=await call("POST","/api/fans/upsert",{token:tok,body:{displayName:"Ada"}});
+    assert.equal(up.body.success,true);assert.equal(up.body.profile.fanId,me.fanId);
+    assert.equal((await call("POST","/api/fans/upsert",{token:tok,body:{fanId:"fan_someone",displayName:"x"}})).status,403);
+    console.log("✓ routers derive fanId/sessionId from the token");
+
+    // admin: token-issued principals, ADMIN_KEY still honoured
+    process.env.ADMIN_KEY="verify-admin-key";
+    try{
+      assert.equal((await call("POST","/api/identity/tokens",{body:{kind:"admin",subject:"x"}})).status,401);
+      assert.equal((await call("POST","/api/identity/tokens",{token:tok,body:{kind:"admin",subject:"x"}})).status,401,"fans cannot mint tokens");
+      const minted=await call("POST","/api/identity/tokens",{headers:{"x-admin-key":"verify-admin-key"},body:{kind:"admin",subject:"ops",roles:["super-admin"]}});
+      assert.equal(minted.status,201);assert.equal(minted.body.principal.adminId,"ops");
+      assert.equal((await call("GET","/api/admin/config")).status,401);
+      assert.equal((await call("GET","/api/admin/config",{token:tok})).status,401);
+      assert.equal((await call("GET","/api/admin/config",{token:minted.body.token})).status,200,"admin token opens the admin API");
+      const artistTok=await call("POST","/api/identity/tokens",{token:minted.body.token,body:{kind:"artist",subject:"artist_9"}});
+      assert.equal(artistTok.body.principal.artistId,"artist_9");
+      assert.equal((await call("POST","/api/votes",{token:artistTok.body.token,body:{artistId:"a1"}})).body.code,"fan_token_required");
+      assert.equal((await call("POST","/api/votes",{token:minted.body.token,body:{artistId:"a3",sessionId:"ses_seeded"}})).body.success,true,"admins act for a named session");
+    }finally{delete process.env.ADMIN_KEY;}
+    console.log("✓ admin tokens, ADMIN_KEY fallback");
+  }finally{server.close();}
+  console.log("Identity checks passed.");
+}finally{rmSync(root,{recursive:true,force:true});}
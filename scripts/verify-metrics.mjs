@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-metrics-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;
+process.env.IBAND_IDENTITY_SECRET="verify-metrics-secret-0123456789abcdef";process.env.IBAND_RATE_LIMIT_ENABLED="false";
+
+const m=await import("../metrics.js");
+
+// "name{a="x"} 1" -> value, or undefined when the series is missing
+const parse=(text)=>{const out=new Map();for(const line of text.split("\n")){if(!line||line.startsWith("#"))continue;const i=line.lastIndexOf(" ");out.set(line.slice(0,i),Number(line.slice(i+1)));}return out;};
+
+try{
+  // registry + text format
+  const c=m.counter("verify_things_total","Things.\nSecond line.",["kind"]);
+  c.inc({kind:'a"b\\c'});c.inc({kind:'a"b\\c'},2);c.inc({kind:"x"},-1);
+  const h=m.histogram("verify_wait_seconds","Waits.",["op"],[0.1,1]);
+  h.observe({op:"read"},0.05);h.observe({op:"read"},0.5);h.observe({op:"read"},3);
+  assert.equal(m.counter("verify_things_total","again",["kind"]).name,"verify_things_total","same name returns the registered metric");
+  assert.throws(()=>m.gauge("verify_things_total","x"),/already registered/);
+  const text=await m.renderMetrics();
+  assert.ok(text.includes("# HELP verify_things_total Things.\\nSecond line.\n# TYPE verify_things_total counter\n"));
+  const v=parse(text);
+  assert.equal(v.get('verify_things_total{kind="a\\"b\\\\c"}'),3,"label values escaped");
+  assert.equal(v.get('verify_things_total{kind="x"}'),undefined,"negative increments ignored");
+  assert.deepEqual(['0.1','1','+Inf'].map(le=>v.get(`verify_wait_seconds_bucket{op="read",le="${le}"}`)),[1,2,3],"cumulative buckets");
+  assert.deepEqual([v.get('verify_wait_seconds_sum{op="read"}'),v.get('verify_wait_seconds_count{op="read"}')],[3.55,3]);
+  assert.ok(v.get("iband_process_uptime_seconds")>=0);
+  console.log("✓ registry renders Prometheus text (escaping, cumulative buckets)");
+
+  // a provider that always answers 429
+  const provider=createServer((req,res)=>{req.resume();res.writeHead(429,{"content-type":"application/json"});res.end(JSON.stringify({error:{message:"slow down"}}));}).listen(0);
+  process.env.IBAND_AI_PROVIDER="generic-http";process.env.IBAND_AI_BASE_URL=`http://127.0.0.1:${provider.address().port}/`;
+
+  const express=(await import("express")).default;
+  const { notFoundHandler,apiErrorHandler }=await import("../apiSchema.js");
+  const { executeStructuredAI }=await import("../ai/StructuredAIProviderClient.js");
+  const mods=Object.fromEntries(await Promise.all(["events","ranking","achievements","rooms"].map(async(x)=>[x,(await import(`../${x}.js`)).default])));
+  const app=express();app.use(m.metricsMiddleware);app.use(express.json());
+  app.get("/metrics",m.metricsHandler);
+  for(const x of ["events","ranking","achievements","rooms"])app.use(`/api/${x}`,mods[x]);
+  app.use(notFoundHandler);app.use(apiErrorHandler);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const call=async(method,p,body)=>{const r=await fetch(base+p,{method,headers:{"content-type":"application/json"},body:body?JSON.stringify(body):undefined});return {status:r.status,type:r.headers.get("content-type"),text:await r.text()};};
+    const scrape=async()=>{const r=await call("GET","/metrics");assert.equal(r.status,200);assert.match(r.type,/^text\/plain;.*version=0\.0\.4/);return parse(r.text);};
+
+    assert.equal((await call("POST","/api/events",{type:"view",artistId:"a1"})).status,200);
+    assert.equal((await call("POST","/api/events",{type:"nope"})).status,400);
+    for(let i=0;i<3;i++)assert.equal((await call("GET","/api/ranking/top?limit=5")).status,200);
+    for(let i=0;i<2;i++)assert.equal((await call("GET","/api/achievements/list")).status,200);
+    const room=JSON.parse((await call("POST","/api/rooms/create",{name:"Metrics"})).text).room.id;
+    assert.equal((await call("GET",`/api/rooms/${room}/messages`)).status,200);
+    assert.equal((await call("GET","/api/nowhere")).status,404);
+    await assert.rejects(executeStructuredAI({task:"verify-task",input:{}}),{code:"AI_PROVIDER_RATE_LIMITED"});
+
+    const s=await scrape();
+    assert.equal(s.get('iband_http_requests_total{method="POST",route="/api/events",status="200"}'),1);
+    assert.equal(s.get('iband_http_requests_total{method="GET",route="/api/ranking/top",status="200"}'),3);
+    assert.equal(s.get('iband_http_requests_total{method="GET",route="/api/rooms/:roomId/messages",status="200"}'),1,"path parameters stay templated");
+    assert.equal(s.get('iband_http_request_duration_seconds_count{method="GET",route="/api/ranking/top"}'),3);
+    assert.equal(s.get('iband_http_request_duration_seconds_bucket{method="GET",route="/api/ranking/top",le="+Inf"}'),3);
+    assert.equal(s.get('iband_http_errors_total{route="/api/events",status="400",code="validation_failed"}'),1);
+    assert.equal(s.get('iband_http_errors_total{route="unmatched",status="404",code="route_not_found"}'),1);
+    assert.equal(s.get('iband_ai_provider_errors_total{task="verify-task",code="AI_PROVIDER_RATE_LIMITED"}'),1);
+    console.log("✓ per-route counts + latency histograms, error codes incl. AI_PROVIDER_*");
+
+    assert.deepEqual([s.get('iband_cache_requests_total{cache="ranking",result="miss"}'),s.get('iband_cache_requests_total{cache="ranking",result="hit"}')],[1,2]);
+    assert.ok(s.get('iband_cache_requests_total{cache="achievements",result="hit"}')>=1);
+    console.log("✓ cache hit/miss");
+
+    assert.ok(s.get('iband_jsonl_file_bytes{file="events.jsonl"}')>0);
+    assert.equal(s.get('iband_jsonl_lines{file="events.jsonl"}'),1);
+    assert.ok(s.get('iband_jsonl_reads_total{file="rooms/messages/room-messages.jsonl"}')>=1);
+    assert.ok(s.get('iband_jsonl_file_bytes{file="rooms/events/rooms-events.jsonl"}')>0,"plain (unsegmented) JSONL sizes too");
+    console.log("✓ JSONL sizes and line-scan counts");
+
+    process.env.IBAND_METRICS_ENABLED="false";
+    assert.equal((await call("GET","/metrics")).status,404);
+    delete process.env.IBAND_METRICS_ENABLED;
+    console.log("✓ IBAND_METRICS_ENABLED=false hides /metrics");
+  }finally{server.close();provider.close();}
+  console.log("Metrics checks passed.");
+}finally{rmSync(root,{recursive:true,force:true});}
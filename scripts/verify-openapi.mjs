@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-openapi-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.ADMIN_KEY="verify-openapi-key";
+process.env.IBAND_IDENTITY_SECRET="verify-openapi-secret-0123456789abcdef";
+
+const schema=await import("../apiSchema.js");
+const { issueToken }=await import("../identity.js");
+const { S,validate }=schema;
+
+try{
+  // validator
+  const body=S.obj({artistId:S.id(),delta:S.int(-1,1),tags:S.arr(S.text(3)),mode:S.enumOf(["a","b"])},["artistId"]);
+  assert.deepEqual(validate(body,{artistId:"a1",delta:1,tags:["x"],mode:"a"}),[]);
+  assert.deepEqual(validate(body,{artistId:"  "}).map(i=>[i.path,i.code]),[["artistId","required"]],"blank strings are missing");
+  assert.deepEqual(validate(body,{artistId:"a",delta:2,tags:["long"],mode:"c"}).map(i=>[i.path,i.code]),[["delta","maximum"],["tags[0]","max_length"],["mode","enum"]]);
+  assert.deepEqual(validate(body,{artistId:"a",delta:"1"}).map(i=>i.code),["type"],"bodies are not coerced");
+  assert.deepEqual(validate(body,{artistId:"a",delta:"1"},{coerce:true}),[],"query/params are");
+  assert.deepEqual(validate(S.obj({a:S.int()},[],{additionalProperties:false}),{a:1,b:2}).map(i=>i.code),["unknown_property"]);
+  assert.deepEqual(validate(S.obj({at:S.dateTime()}),{at:"yesterday"}).map(i=>i.code),["format"]);
+  console.log("✓ validator");
+
+  const express=(await import("express")).default;
+  // every router server.js mounts (moduleManifest.js, enabled, in dependency order), so the document checks cover them all
+  const { getModuleManifest,orderModules }=await import("../moduleManifest.js");
+  const { ordered }=orderModules(getModuleManifest().filter(e=>e.enabled));
+  const mounted=[];
+  for(const entry of ordered){const mod=await import(new URL(`../${entry.file.replace(/^\.\//,"")}`,import.meta.url).href);const router=mod.default||mod;if(typeof router==="function")mounted.push({...entry,router});}
+  assert.deepEqual(ordered.filter(e=>!mounted.some(m=>m.id===e.id)).map(e=>e.id),[],"every enabled module exports a router");
+  const app=express();app.use(express.json());
+  app.get("/api/openapi.json",schema.openApiHandler(()=>mounted,{title:"iBand API",version:"test"}));
+  for(const m of mounted)app.use(m.basePath,m.router);
+  app.use(schema.notFoundHandler);app.use(schema.apiErrorHandler);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const call=async(method,p,{token,body,raw}={})=>{
+      const r=await fetch(base+p,{method,headers:{"content-type":"application/json",...(token?{authorization:`Bearer ${token}`}:{})},body:raw??(body?JSON.stringify(body):undefined)});
+      return {status:r.status,body:await r.json()};
+    };
+    const fan=issueToken({kind:"fan",subject:"fan_oa",sessionId:"ses_oa"}).token;
+    const sup=issueToken({kind:"admin",subject:"ops",roles:["super-admin"]}).token;
+    const viewer=issueToken({kind:"admin",subject:"look",roles:["viewer"]}).token;
+
+    // one envelope, stable codes
+    const missing=await call("POST","/api/votes",{token:fan,body:{delta:5}});
+    assert.equal(missing.status,400);
+    assert.deepEqual([missing.body.success,missing.body.error,missing.body.code],[false,"validation_failed","validation_failed"]);
+    assert.deepEqual(missing.body.details.map(d=>[d.in,d.path,d.code]),[["body","artistId","required"],["body","delta","maximum"]]);
+    assert.equal((await call("GET","/api/votes/status?artistId=a1&category=",{token:fan})).status,200,"empty optional query values pass");
+    assert.equal((await call("GET","/api/votes/status",{token:fan})).body.details[0].in,"query");
+    const json=await call("POST","/api/votes",{token:fan,raw:"{\"artistId\":"});
+    assert.deepEqual([json.status,json.body.code],[400,"invalid_json"]);
+    const nf=await call("GET","/api/nope");
+    assert.deepEqual([nf.status,nf.body.code,nf.body.message],[404,"route_not_found","Route not found"]);
+    const ach=await call("POST","/api/achievements/record",{body:{type:"medal",subjectType:"fan"}});
+    assert.deepEqual([ach.status,ach.body.details[0].path],[400,"subjectId"]);
+    assert.equal((await call("POST","/api/moderation/strike",{token:sup,body:{scope:"everywhere"}})).body.details.map(d=>d.path).join(),"fanId,scope");
+    assert.equal((await call("POST","/api/identity/tokens",{token:sup,body:{kind:"robot"}})).body.details[0].code,"enum");
+    const comment=await call("POST","/api/comments",{body:{artistId:"a1",author:"x".repeat(61)}});
+    assert.deepEqual([comment.status,comment.body.code,comment.body.details.map(d=>d.path)],[400,"validation_failed",["text","author"]],"comments answer the shared envelope");
+    assert.deepEqual((await call("POST","/api/shares",{body:{platform:"x"}})).body.details.map(d=>d.path),["artistId"]);
+    assert.equal((await call("POST","/api/monetisation/ingest",{body:{type:"tip",artistId:"a1",amountMinor:"lots"}})).body.details[0].path,"amountMinor");
+    assert.equal((await call("POST","/api/monetisation",{body:{type:"tip",artistId:"a1"}})).body.code,"validation_failed","the buyer is still required");
+    const buy=await call("POST","/api/purchases/purchase",{token:fan,body:{artistId:"a1",itemType:"tip",itemId:"t",amount:0}});
+    assert.deepEqual([buy.status,buy.body.code,typeof buy.body.updatedAt],[400,"invalid_amount","string"]);
+    assert.equal((await call("POST","/api/purchases/subscribe",{token:fan,body:{amount:5,startsAt:"soon"}})).body.details[0].code,"format");
+    assert.equal((await call("POST","/api/fan-profiles/upsert",{token:fan,body:{preferredGenres:"pop"}})).body.details[0].path,"preferredGenres");
+    assert.deepEqual((await call("POST","/api/countries/signal",{body:{type:"vote"}})).body.details.map(d=>d.path),["countryId"]);
+    console.log("✓ 400 validation_failed with details, invalid_json, route_not_found");
+
+    // auth still answers before the body is looked at
+    assert.equal((await call("POST","/api/admin/artists",{body:{}})).status,401);
+    const forbidden=await call("POST","/api/admin/artists",{token:viewer,body:{}});
+    assert.deepEqual([forbidden.status,forbidden.body.success,forbidden.body.error,forbidden.body.details],[403,false,"forbidden",{permission:"artists.write",roles:["viewer"]}],"403 uses the shared envelope");
+    assert.deepEqual([(await call("POST","/api/admin/artists",{body:{}})).body.error],["admin_required"]);
+    const noName=await call("POST","/api/admin/artists",{token:sup,body:{genre:"x",status:"famous"}});
+    assert.deepEqual(noName.body.details.map(d=>[d.path,d.code]),[["name","required"],["status","enum"]]);
+    const a=await call("POST","/api/admin/artists",{token:sup,body:{name:"OpenAPI Check",genre:"test",status:"pending"}});
+    assert.equal(a.status,201);const aid=a.body.artist.id;
+    try{
+      const bad=await call("PATCH",`/api/admin/artists/${aid}/suspend`,{token:sup});
+      assert.deepEqual([bad.status,bad.body.code],[400,"invalid_transition"]);
+      assert.equal((await call("GET","/api/admin/artists/does-not-exist",{token:sup})).body.error,"not_found");
+    }finally{assert.equal((await call("DELETE",`/api/admin/artists/${aid}`,{token:sup})).status,200);}
+    console.log("✓ permission checks run before validation; domain errors share the envelope");
+
+    // the document
+    const doc=(await call("GET","/api/openapi.json")).body;
+    assert.equal(doc.openapi,"3.1.0");
+    const vote=doc.paths["/api/votes"].post;
+    assert.deepEqual(vote.requestBody.content["application/json"].schema.required,["artistId"]);
+    assert.deepEqual(vote.security,[{bearerAuth:[]}]);assert.ok(vote.responses[400]&&vote.responses[401]&&vote.responses[429]);
+    assert.deepEqual(doc.paths["/api/votes/status"].get.parameters.map(p=>[p.name,p.in,p.required]),[["artistId","query",true],["sessionId","query",false],["category","query",false]]);
+    const patch=doc.paths["/api/admin/artists/{id}"].patch;
+    assert.equal(patch["x-iband-permission"],"artists.write");assert.deepEqual(patch.parameters[0],{name:"id",in:"path",required:true,schema:{type:"string"}});
+    assert.ok(patch.responses[403],"admin routes document 403");
+    assert.ok(doc.paths["/api/admin/comments/bulk/status"].post.requestBody,"sub-routers are walked");
+    assert.equal(doc.paths["/api/votes/health"].get["x-iband-documented"],false,"routes without a spec are listed, marked");
+    assert.equal(doc["x-iband"].documentedOperations>30,true);
+    const undocumented=Object.entries(doc.paths).flatMap(([p,ops])=>Object.entries(ops).filter(([m,o])=>m!=="get"&&o["x-iband-documented"]===false).map(([m])=>`${m.toUpperCase()} ${p}`));
+    assert.deepEqual(undocumented,[],"every write route declares its schema");
+    assert.deepEqual(Object.keys(doc.paths["/api/purchases/purchase"].post.requestBody.content["application/json"].schema.properties).slice(0,3),["artistId","itemId","itemType"]);
+    const ids=Object.values(doc.paths).flatMap(p=>Object.values(p).map(o=>o.operationId));
+    assert.equal(new Set(ids).size,ids.length,"operationIds are unique");
+    console.log("✓ GET /api/openapi.json");
+  }finally{server.close();}
+  console.log("OpenAPI checks passed.");
+}finally{rmSync(root,{recursive:true,force:true});delete process.env.ADMIN_KEY;}
@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-pages-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;
+process.env.IBAND_IDENTITY_SECRET="verify-pages-secret-0123456789abcdef";process.env.IBAND_RATE_LIMIT_ENABLED="false";
+
+const pg=await import("../pagination.js");
+const { issueToken }=await import("../identity.js");
+const { getStorage,openSegmentedLog }=await import("../storage/index.js");
+const commentsStore=(await import("../commentsStore.js")).default;
+
+const walk=(list,opts,keyOf=(x)=>({at:x.at,id:x.id}))=>{
+  const seen=[];let cursor="";
+  for(let i=0;i<100;i++){
+    const page=pg.readPage({limit:opts.limit,cursor,order:opts.order},opts);
+    assert.equal(page.error,undefined);
+    const out=pg.paginate(typeof list==="function"?list(i):list,page,keyOf);
+    seen.push(...out.items.map(x=>x.id));
+    if(!out.hasMore){assert.equal(out.nextCursor,null);return seen;}
+    cursor=out.nextCursor;
+  }
+  throw new Error("no last page");
+};
+
+try{
+  // cursors
+  const c=pg.encodeCursor({at:"2026-01-01T00:00:00.000Z",id:"x1"},{scope:{artistId:"a1"}});
+  assert.match(c,/^[A-Za-z0-9_-]+$/,"base64url, opaque");
+  const d=pg.decodeCursor(c);assert.deepEqual([d.ok,d.order,d.key],[true,"desc",{t:Date.parse("2026-01-01T00:00:00.000Z"),i:"x1"}]);
+  assert.deepEqual(pg.readPage({cursor:"garbage!!"}).error.code,"invalid_cursor");
+  assert.equal(pg.readPage({cursor:c},{scope:{artistId:"a2"}}).error.code,"invalid_cursor","other filters");
+  assert.equal(pg.readPage({cursor:c}).error.code,"invalid_cursor","cursor from a filtered list on the unfiltered one");
+  assert.equal(pg.readPage({cursor:c,order:"asc"},{allowOrder:true,scope:{artistId:"a1"}}).error.code,"invalid_cursor","other order");
+  assert.equal(pg.readPage({limit:"999"},{maxLimit:50}).limit,50,"limit is clamped");
+  console.log("✓ opaque cursors; invalid_cursor for garbage, other filters, other order");
+
+  // ordering, ties, inserts between pages
+  const items=Array.from({length:23},(_,i)=>({id:`i${String(i).padStart(2,"0")}`,at:new Date(Date.UTC(2026,0,1,0,0,Math.floor(i/4))).toISOString()}));
+  const all=walk(items,{limit:5});
+  assert.equal(all.length,23);assert.equal(new Set(all).size,23,"no repeats across same-second ties");
+  assert.deepEqual(all,[...items].sort((a,b)=>b.at.localeCompare(a.at)||b.id.localeCompare(a.id)).map(x=>x.id),"newest first on (createdAt, id)");
+  assert.deepEqual(walk(items,{limit:7,order:"asc",allowOrder:true}),[...all].reverse());
+  const grown=[...items];
+  const withInserts=walk((i)=>{grown.push({id:`new${i}`,at:new Date(Date.UTC(2026,0,2,0,0,i)).toISOString()});return grown;},{limit:4});
+  assert.deepEqual(withInserts.filter(id=>id.startsWith("i")),all,"newer items arriving mid-scroll don't shift or repeat older pages");
+  const offset=pg.paginate(pg.sortByKey(items,(x)=>({at:x.at,id:x.id})).slice(5),pg.readPage({limit:5}),(x)=>({at:x.at,id:x.id}));
+  assert.deepEqual(offset.items.map(x=>x.id),all.slice(5,10),"legacy offset lines up with the cursor order");
+  console.log("✓ stable (createdAt, id) order, ties, inserts between pages");
+
+  const express=(await import("express")).default;
+  const mods=Object.fromEntries(await Promise.all(["rooms","comments","achievements"].map(async(m)=>[m,(await import(`../${m}.js`)).default])));
+  const app=express();app.use(express.json());
+  app.use("/api/rooms",mods.rooms);app.use("/api/comments",mods.comments);app.use("/api/achievements",mods.achievements);
+  const server=app.listen(0);
+  const made=[];
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const call=async(method,p,{token,body}={})=>{
+      const r=await fetch(base+p,{method,headers:{"content-type":"application/json",...(token?{authorization:`Bearer ${token}`}:{})},body:body?JSON.stringify(body):undefined});
+      return {status:r.status,body:await r.json()};
+    };
+    const fan=issueToken({kind:"fan",subject:"fan_pages",sessionId:"ses_pages"}).token;
+    const drain=async(p,pick)=>{
+      const ids=[];let cursor="";
+      for(let i=0;i<50;i++){
+        const r=await call("GET",`${p}${p.includes("?")?"&":"?"}limit=4${cursor?`&cursor=${cursor}`:""}`,{token:fan});
+        assert.equal(r.status,200,JSON.stringify(r.body));
+        ids.push(...pick(r.body));
+        if(!r.body.hasMore)return ids;
+        cursor=r.body.nextCursor;
+      }
+      throw new Error("no last page");
+    };
+
+    // room messages: posted + same-millisecond messages appended out of id order
+    const room=(await call("POST","/api/rooms/create",{body:{name:"Pages Check"}})).body.room.id;
+    for(let i=0;i<6;i++)assert.equal((await call("POST","/api/rooms/post",{token:fan,body:{roomId:room,text:`hello ${i}`}})).status,200);
+    const log=openSegmentedLog(getStorage(root),join(root,"rooms","messages","room-messages.jsonl"));
+    const ts=new Date(Date.now()+1000).toISOString();
+    for(const id of ["msg_t5","msg_t1","msg_t9","msg_t3","msg_t7","msg_t2","msg_t8"])await log.append({id,roomId:room,fanId:"fan_pages",text:id,ts});
+    const first=await call("GET",`/api/rooms/${room}/messages?limit=4`);
+    assert.deepEqual(first.body.messages.map(m=>m.id),["msg_t5","msg_t7","msg_t8","msg_t9"],"newest page, oldest first within it");
+    const msgs=await drain(`/api/rooms/${room}/messages`,(b)=>[...b.messages].reverse().map(m=>m.id));
+    assert.equal(msgs.length,13);assert.equal(new Set(msgs).size,13,"every message exactly once");
+    assert.deepEqual(msgs.slice(0,7),["msg_t9","msg_t8","msg_t7","msg_t5","msg_t3","msg_t2","msg_t1"],"same-ms group split by id, none skipped");
+    const bad=await call("GET",`/api/rooms/${room}/messages?cursor=AAAA${first.body.nextCursor}`);
+    assert.deepEqual([bad.status,bad.body.code],[400,"invalid_cursor"]);
+    const other=await call("GET",`/api/rooms/elsewhere/messages?cursor=${first.body.nextCursor}`);
+    assert.deepEqual([other.status,other.body.error],[400,"invalid_cursor"],"cursor bound to its room");
+    console.log("✓ GET /api/rooms/:roomId/messages pages backwards with ties intact");
+
+    // public comments (commentsStore writes its own file: create + clean up)
+    const artistId=`pages_${Date.now()}`;
+    for(let i=0;i<9;i++){const r=commentsStore.create({artistId,author:"pages",text:`c${i}`});made.push(r.comment.id);commentsStore.patch(r.comment.id,{status:i===4?"pending":"approved"});}
+    const cids=await drain(`/api/comments?artistId=${artistId}`,(b)=>b.comments.map(x=>x.id));
+    assert.equal(cids.length,8);assert.equal(new Set(cids).size,8,"approved only, no repeats");
+    const legacy=await call("GET",`/api/comments?artistId=${artistId}&limit=3&offset=3`);
+    assert.deepEqual(legacy.body.comments.map(x=>x.id),cids.slice(3,6),"offset still works");
+    assert.equal(legacy.body.total,8);
+    const wrong=await call("GET",`/api/comments?artistId=someone-else&cursor=${legacy.body.nextCursor}`);
+    assert.deepEqual([wrong.status,wrong.body.code],[400,"invalid_cursor"]);
+    console.log("✓ GET /api/comments cursor + legacy offset");
+
+    // achievements: filters are part of the cursor
+    for(let i=0;i<7;i++)await call("POST","/api/achievements/record",{body:{type:`pages_${i%2}`,subjectType:"fan",subjectId:"fan_pages",title:`t${i}`}});
+    const ach=await drain("/api/achievements/list?subjectId=fan_pages",(b)=>b.results.map(x=>x.id));
+    assert.equal(new Set(ach).size,7);
+    const sub=await drain("/api/achievements/subject/fan/fan_pages",(b)=>b.results.map(x=>x.id));
+    assert.deepEqual(sub,ach);
+    const one=await call("GET","/api/achievements/list?subjectId=fan_pages&limit=2");
+    assert.equal((await call("GET",`/api/achievements/list?type=pages_0&cursor=${one.body.nextCursor}`)).body.code,"invalid_cursor");
+    assert.equal((await call("GET","/api/achievements/list?limit=0")).body.code,"validation_failed");
+    console.log("✓ GET /api/achievements/list and /subject");
+  }finally{server.close();commentsStore.bulkRemove(made);}
+  console.log("Pagination checks passed.");
+}finally{rmSync(root,{recursive:true,force:true});}
@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-perms-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.ADMIN_KEY="verify-perms-key";
+
+const { issueToken }=await import("../identity.js");
+const perms=await import("../permissions.js");
+const tokenFor=(roles)=>issueToken({kind:"admin",subject:`ops-${roles.join("+")||"none"}`,roles}).token;
+
+try{
+  // the matrix itself
+  const { can,ROLES,PERMISSIONS }=perms;
+  assert.deepEqual(ROLES,["viewer","moderator","artist-manager","super-admin"]);
+  for(const p of Object.keys(PERMISSIONS))assert.equal(can(["super-admin"],p),true,`super-admin has ${p}`);
+  assert.equal(can(["moderator"],"comments.moderate"),true);
+  assert.equal(can(["moderator"],"artists.delete"),false,"moderators cannot delete artists");
+  assert.equal(can(["artist-manager"],"artists.delete"),true);
+  assert.equal(can(["artist-manager"],"comments.moderate"),false);
+  for(const p of ["artists.seed","artists.reset","comments.seed","comments.reset","identity.issue"]){
+    assert.deepEqual(PERMISSIONS[p].roles,["super-admin"],`${p} is super-admin only`);
+  }
+  assert.equal(can(["viewer"],"artists.read"),true);assert.equal(can(["viewer"],"comments.delete"),false);
+  assert.throws(()=>perms.requirePermission("artists.explode"),/unknown permission/);
+  console.log("✓ permission matrix");
+
+  const express=(await import("express")).default;
+  const [{default:identity},{default:admin},{default:moderation}]=await Promise.all([import("../identity.js"),import("../admin.js"),import("../moderation.js")]);
+  const app=express();app.use(express.json());
+  app.use("/api/identity",identity);app.use("/api/admin",admin);app.use("/api/moderation",moderation);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const call=async(method,p,{token,key,body}={})=>{
+      const headers={"content-type":"application/json",...(token?{authorization:`Bearer ${token}`}:{}),...(key?{"x-admin-key":key}:{})};
+      const r=await fetch(base+p,{method,headers,body:body?JSON.stringify(body):undefined});
+      return {status:r.status,body:await r.json()};
+    };
+    const viewer=tokenFor(["viewer"]),mod=tokenFor(["moderator"]),am=tokenFor(["artist-manager"]),sup=tokenFor(["super-admin"]),bare=tokenFor([]);
+
+    // matrix endpoint
+    const m=await call("GET","/api/admin/permissions",{token:mod});
+    assert.equal(m.status,200);assert.deepEqual(m.body.roles,ROLES);
+    assert.equal(m.body.byRole.moderator.includes("comments.moderate"),true);
+    assert.deepEqual(m.body.you.roles,["moderator"]);assert.equal(m.body.you.permissions.includes("artists.delete"),false);
+    assert.deepEqual((await call("GET","/api/admin/permissions",{token:bare})).body.you.roles,["viewer"],"an admin token without roles is a viewer");
+    assert.deepEqual((await call("GET","/api/admin/permissions",{key:"verify-perms-key"})).body.you.roles,["super-admin"],"the shared key stays super-admin");
+    assert.equal((await call("GET","/api/admin/permissions")).status,401);
+    console.log("✓ GET /api/admin/permissions");
+
+    // 401 vs 403
+    assert.equal((await call("POST","/api/admin/comments/reset")).status,401);
+    const denied=await call("POST","/api/admin/comments/reset",{token:mod});
+    assert.deepEqual([denied.status,denied.body.error,denied.body.code,denied.body.details.permission,denied.body.details.roles],[403,"forbidden","forbidden","comments.reset",["moderator"]]);
+    for(const t of [viewer,mod,am]){
+      assert.equal((await call("POST","/api/admin/artists/seed/reset-demo-only",{token:t})).status,403);
+      assert.equal((await call("POST","/api/admin/artists/seed/demo",{token:t})).status,403);
+      assert.equal((await call("POST","/api/admin/comments/seed",{token:t})).status,403);
+      assert.equal((await call("GET","/api/admin/config",{token:t})).status,403);
+      assert.equal((await call("POST","/api/identity/tokens",{token:t,body:{kind:"admin",subject:"x",roles:["super-admin"]}})).status,403,"no self-promotion");
+    }
+    assert.equal((await call("GET","/api/admin/config",{token:sup})).status,200);
+    console.log("✓ destructive + sensitive routes need super-admin");
+
+    // moderators approve comments but cannot delete artists
+    const c=await call("POST","/api/admin/comments",{token:mod,body:{artistId:"perm-check",author:"verify",text:"hello"}});
+    assert.equal(c.status,201);const cid=c.body.comment.id;
+    assert.equal((await call("PATCH",`/api/admin/comments/${cid}`,{token:viewer,body:{status:"approved"}})).status,403);
+    assert.equal((await call("PATCH",`/api/admin/comments/${cid}`,{token:am,body:{status:"approved"}})).status,403);
+    const ap=await call("PATCH",`/api/admin/comments/${cid}`,{token:mod,body:{status:"approved"}});
+    assert.equal(ap.status,200);assert.equal(ap.body.comment.status,"approved");
+    assert.equal((await call("GET",`/api/admin/comments/${cid}`,{token:viewer})).status,200,"viewers read");
+    assert.equal((await call("DELETE",`/api/admin/comments/${cid}`,{token:mod})).status,200);
+
+    const a=await call("POST","/api/admin/artists",{token:am,body:{name:"Permission Check",genre:"test"}});
+    assert.equal(a.status,201,JSON.stringify(a.body));const aid=a.body.artist.id;
+    try{
+      assert.equal((await call("DELETE",`/api/admin/artists/${aid}`,{token:mod})).status,403,"moderators cannot delete artists");
+      assert.equal((await call("PATCH",`/api/admin/artists/${aid}/approve`,{token:mod})).status,403);
+      assert.equal((await call("PATCH",`/api/admin/artists/${aid}/approve`,{token:am})).status,200);
+    }finally{
+      assert.equal((await call("DELETE",`/api/admin/artists/${aid}`,{token:am})).status,200);
+    }
+    console.log("✓ moderator approves comments; artist changes need artist-manager");
+
+    // moderation.js strike/unban
+    assert.equal((await call("POST","/api/moderation/unban",{body:{fanId:"f1"}})).status,401,"unban is no longer open");
+    assert.equal((await call("POST","/api/moderation/unban",{token:viewer,body:{fanId:"f1"}})).status,403);
+    const ub=await call("POST","/api/moderation/unban",{token:mod,body:{fanId:"f1"}});
+    assert.equal(ub.status,200);assert.equal(ub.body.success,true);
+    assert.equal((await call("POST","/api/moderation/strike",{token:am,body:{fanId:"f1",reasonCode:"spam"}})).status,403);
+    assert.equal((await call("GET","/api/moderation/status/fan/f1")).status,200,"status reads stay open");
+    console.log("✓ moderation strike/unban need moderator");
+  }finally{server.close();}
+  console.log("Permission checks passed.");
+}finally{rmSync(root,{recursive:true,force:true});delete process.env.ADMIN_KEY;}
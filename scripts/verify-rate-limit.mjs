@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-ratelimit-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.ADMIN_KEY="verify-ratelimit-key";
+process.env.IBAND_IDENTITY_SECRET="verify-ratelimit-secret-0123456789abcdef";
+process.env.VOTES_MAX_PER_WINDOW="3";process.env.VOTES_ARTIST_COOLDOWN_SEC="300";
+
+const rl=await import("../rateLimit.js");
+const { issueToken }=await import("../identity.js");
+
+try{
+  // bucket maths: comments.create = 5 per 60s, burst 2 -> one token every 12s
+  const t0=Date.now();
+  const a=await rl.take("comments.create","fan:unit",{now:t0});
+  assert.deepEqual([a.ok,a.capacity,a.remaining,a.resetSec],[true,2,1,12]);
+  assert.equal((await rl.take("comments.create","fan:unit",{now:t0})).ok,true);
+  const c=await rl.take("comments.create","fan:unit",{now:t0+6000});
+  assert.deepEqual([c.ok,c.remaining,c.retryAfterSec],[false,0,6],"half a token after 6s");
+  assert.equal((await rl.take("comments.create","fan:unit",{now:t0+12000})).ok,true,"refilled");
+  assert.equal((await rl.take("comments.create","fan:other",{now:t0})).ok,true,"buckets are per caller");
+  await assert.rejects(rl.take("nope","x"),/unknown policy/);
+  assert.throws(()=>rl.rateLimit("nope"),/unknown policy/);
+  assert.equal(rl.callerKey({principal:{kind:"fan",id:"f1"}}),"fan:f1");
+  const behind=(xff)=>({headers:{"x-forwarded-for":xff},socket:{remoteAddress:"10.0.0.2"}});
+  const ipKey=rl.callerKey(behind("198.51.100.7, 10.0.0.1"));
+  assert.match(ipKey,/^ip:[0-9a-f]{24}$/);assert.equal(ipKey.includes("198.51"),false,"raw IP never kept");
+  assert.equal(ipKey,rl.callerKey(behind("203.0.113.9")),"X-Forwarded-For is ignored without a trusted proxy");
+  assert.equal(ipKey,rl.callerKey({socket:{remoteAddress:"10.0.0.2"}}));
+  process.env.IBAND_TRUST_PROXY="1";
+  assert.equal(rl.callerKey(behind("203.0.113.9, 198.51.100.7")),rl.callerKey(behind("198.51.100.7")),"one proxy: its own entry, the rightmost");
+  assert.notEqual(rl.callerKey(behind("198.51.100.7")),ipKey);
+  process.env.IBAND_TRUST_PROXY="2";
+  assert.equal(rl.callerKey(behind("203.0.113.9, 198.51.100.7")),rl.callerKey(behind("203.0.113.9")),"two proxies: one further left");
+  assert.equal(rl.addressKey({principal:{kind:"fan",id:"f1"},...behind("203.0.113.9")}),rl.callerKey(behind("203.0.113.9")).replace("ip:","net:"));
+  const anon=(key)=>rl.takeRequest("rooms.post",behind("203.0.113.9"),{key});
+  for(let i=0;i<20;i++)assert.equal((await anon(`claim:${i}`)).ok,true);
+  assert.deepEqual([(await anon("claim:20")).ok,(await rl.peek("rooms.post","claim:20")).remaining],[false,5],"anonymous keys share the address bucket (x4), the key's token given back");
+  const fanReq={principal:{kind:"fan",id:"f9"},...behind("203.0.113.9")};
+  assert.deepEqual((await rl.takeRequest("rooms.post",fanReq)).keys,["fan:f9"],"signed-in callers skip the address bucket");
+  process.env.IBAND_TRUST_PROXY="1";
+  const votes=rl.describeRateLimits().policies.find(p=>p.id==="votes.cast");
+  assert.deepEqual([votes.limit,votes.windowSec,votes.persist],[3,3600,true],"votes.cast follows VOTES_* config");
+  console.log("✓ token bucket refill, per-caller keys, proxy-aware addresses, config-driven policies");
+
+  const express=(await import("express")).default;
+  const mods=Object.fromEntries(await Promise.all(["rooms","events","votes","admin","identity","comments"].map(async(m)=>[m,(await import(`../${m}.js`)).default])));
+  const { attachPrincipal }=await import("../identity.js");
+  const app=express();app.use(express.json());app.use(attachPrincipal);
+  for(const m of ["rooms","events","votes","admin","identity","comments"])app.use(`/api/${m}`,mods[m]);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const call=async(method,p,{token,body,ip}={})=>{
+      const r=await fetch(base+p,{method,headers:{"content-type":"application/json",...(ip?{"x-forwarded-for":ip}:{}),...(token?{authorization:`Bearer ${token}`}:{})},body:body?JSON.stringify(body):undefined});
+      return {status:r.status,headers:r.headers,body:await r.json()};
+    };
+    const fan=(id)=>issueToken({kind:"fan",subject:id,sessionId:`ses_${id}`}).token;
+    const sup=issueToken({kind:"admin",subject:"ops",roles:["super-admin"]}).token;
+    const mod=issueToken({kind:"admin",subject:"mod",roles:["moderator"]}).token;
+    const viewer=issueToken({kind:"admin",subject:"look",roles:["viewer"]}).token;
+
+    // rooms.post: burst 5 per fan, headers on every response
+    const room=(await call("POST","/api/rooms/create",{body:{name:"Limits"}})).body.room.id;
+    const post=(who)=>call("POST","/api/rooms/post",{token:fan(who),body:{roomId:room,text:"hi"}});
+    const first=await post("fan_a");
+    assert.equal(first.status,200);
+    assert.deepEqual(["ratelimit-limit","ratelimit-remaining","ratelimit-policy"].map(h=>first.headers.get(h)),["5","4","5;w=60"]);
+    for(let i=0;i<4;i++)assert.equal((await post("fan_a")).status,200);
+    const limited=await post("fan_a");
+    assert.deepEqual([limited.status,limited.body.code,limited.body.policy],[429,"rate_limited","rooms.post"]);
+    assert.equal(limited.headers.get("retry-after"),String(limited.body.retryAfterSec));
+    assert.equal(limited.headers.get("ratelimit-remaining"),"0");
+    assert.equal((await post("fan_b")).status,200,"another fan has their own bucket");
+    console.log("✓ rooms.post: 429 rate_limited with Retry-After and RateLimit-* headers");
+
+    // signed-in fans behind one untrusted proxy keep their own buckets
+    process.env.IBAND_TRUST_PROXY="0";
+    const said=[];for(let i=0;i<12;i++)said.push((await call("POST","/api/comments",{token:fan(`crowd_${i}`),body:{artistId:"a1",author:"Fan",text:"hi"}})).status);
+    assert.deepEqual(said,Array(12).fill(201),"12 fans sharing one address all get a comment in");
+    process.env.IBAND_TRUST_PROXY="1";
+    const sessions=[];for(let i=0;i<6;i++)sessions.push(await call("POST","/api/identity/session",{ip:"198.51.100.11"}));
+    assert.deepEqual(sessions.map(r=>r.status),[201,201,201,201,201,429],"anonymous sessions are rate limited");
+    assert.equal(sessions[5].body.policy,"identity.session");
+    console.log("✓ fans behind one address are not pooled; POST /api/identity/session is limited");
+
+    // anonymous callers are keyed by IP hash
+    const ev=(ip)=>call("POST","/api/events",{ip,body:{type:"view",artistId:"a1"}});
+    assert.equal((await ev("203.0.113.1")).headers.get("ratelimit-limit"),"120");
+    assert.equal((await ev("203.0.113.1")).headers.get("ratelimit-remaining"),"118");
+    assert.equal((await ev("203.0.113.2")).headers.get("ratelimit-remaining"),"119");
+    console.log("✓ events.record keyed by IP hash without a token");
+
+    // votes.cast: session bucket, refunds when the vote is rejected for another reason
+    const vt=fan("voter");
+    const vote=(artistId)=>call("POST","/api/votes",{token:vt,body:{artistId}});
+    assert.equal((await vote("va1")).headers.get("ratelimit-remaining"),"2");
+    assert.equal((await vote("va1")).body.code,"artist_cooldown");
+    assert.equal((await call("GET","/api/votes/status?artistId=va2",{token:vt})).body.rate.remaining,2,"cooldown rejection gave the token back");
+    assert.equal((await vote("va2")).status,200);assert.equal((await vote("va3")).status,200);
+    const over=await vote("va4");
+    assert.deepEqual([over.status,over.body.code,over.headers.get("ratelimit-remaining")],[429,"rate_limited","0"]);
+    assert.ok(over.body.retryAfterSec>0);
+    const status=(await call("GET","/api/votes/status?artistId=va4",{token:vt})).body;
+    assert.deepEqual([status.canVote,status.reason,status.rate.used],[false,"rate_limit",3]);
+    console.log("✓ votes.cast: shared bucket, refunds, /status");
+
+    // persistence: votes.cast survives a restart, rooms.post doesn't persist by default
+    await rl.flushRateLimits();
+    const saved=JSON.parse(readFileSync(join(root,"ratelimit","buckets.json"),"utf8"));
+    assert.deepEqual(saved.buckets.map(b=>[b.policy,b.key.split(":")[0],b.scale]),[["votes.cast","session",undefined]]);
+    const restarted=execFileSync(process.execPath,["--input-type=module","-e",
+      `const rl=await import(${JSON.stringify(new URL("../rateLimit.js",import.meta.url).href)});const p=await rl.peek("votes.cast","session:ses_voter");console.log(p.remaining);`],
+      {env:{...process.env},encoding:"utf8"}).trim();
+    assert.equal(restarted,"0","a fresh process still sees the spent bucket");
+    console.log("✓ persisted buckets restored after a restart");
+
+    // admin: inspect + reset
+    assert.equal((await call("GET","/api/admin/rate-limits")).status,401);
+    const list=await call("GET","/api/admin/rate-limits?policy=rooms.post&key=fan:fan_",{token:viewer});
+    assert.equal(list.status,200);assert.equal(list.body.enabled,true);assert.equal(list.body.trustProxy,1);
+    assert.deepEqual(list.body.buckets.map(b=>b.key).sort(),["fan:fan_a","fan:fan_b"]);
+    const net=(await call("GET","/api/admin/rate-limits?policy=events.record&key=net:",{token:viewer})).body.buckets;
+    assert.ok(net.length>=2&&net.every(b=>b.capacity===480),"address buckets are IBAND_RATE_LIMIT_IP_FACTOR times larger");
+    assert.equal(list.body.buckets.find(b=>b.key==="fan:fan_a").remaining,0);
+    assert.ok(list.body.policies.some(p=>p.id==="comments.create"&&p.burst===2));
+    assert.equal((await call("POST","/api/admin/rate-limits/reset",{token:viewer,body:{key:"fan:fan_a"}})).status,403);
+    assert.equal((await call("POST","/api/admin/rate-limits/reset",{token:mod,body:{}})).body.code,"validation_failed","no accidental reset-all");
+    const reset=await call("POST","/api/admin/rate-limits/reset",{token:mod,body:{policy:"rooms.post",key:"fan:fan_a"}});
+    assert.deepEqual([reset.status,reset.body.removed],[200,1]);
+    assert.equal((await post("fan_a")).status,200,"fan can post again");
+    const entry=(await call("GET","/api/admin/audit?action=ratelimit.reset",{token:sup})).body.entries[0];
+    assert.deepEqual([entry.actor.id,entry.target.id,entry.meta.removed],["mod","rooms.post:fan:fan_a",1]);
+    assert.equal((await call("POST","/api/admin/rate-limits/reset",{token:sup,body:{all:true}})).body.removed>0,true);
+    assert.equal((await call("GET","/api/admin/rate-limits",{token:sup})).body.matched,0);
+    console.log("✓ GET /api/admin/rate-limits, POST /reset (audited)");
+
+    // kill switch
+    process.env.IBAND_RATE_LIMIT_ENABLED="false";
+    for(let i=0;i<8;i++)assert.equal((await post("fan_c")).status,200);
+    assert.equal((await post("fan_c")).headers.get("ratelimit-limit"),null);
+    delete process.env.IBAND_RATE_LIMIT_ENABLED;
+    console.log("✓ IBAND_RATE_LIMIT_ENABLED=false turns limiting off");
+  }finally{server.close();}
+  console.log("Rate limit checks passed.");
+}finally{rmSync(root,{recursive:true,force:true});delete process.env.ADMIN_KEY;delete process.env.IBAND_TRUST_PROXY;}
@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-reqid-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.IBAND_RATE_LIMIT_ENABLED="false";
+process.env.IBAND_IDENTITY_SECRET="verify-reqid-secret-0123456789abcdef";
+writeFileSync(join(root,"artists.json"),JSON.stringify({artists:[{id:"a1",name:"A1",tracks:[{id:"t1",title:"One"}]}]}));
+
+const ctx=await import("../requestContext.js");
+const { logger,requestLogger }=await import("../logger.js");
+const { issueToken,attachPrincipal }=await import("../identity.js");
+
+// capture log lines instead of printing them
+const lines=[];const out={log:console.log,error:console.error};
+console.log=(l)=>lines.push(String(l));console.error=(l)=>lines.push(String(l));
+const say=(m)=>out.log(m);
+const logged=()=>lines.filter(l=>l.startsWith("{")).map(l=>JSON.parse(l));
+const jsonl=(file)=>readFileSync(join(root,file),"utf8").trim().split("\n").map(l=>JSON.parse(l));
+
+try{
+  // ids
+  assert.equal(ctx.resolveRequestId("ticket-123.a:b_c"),"ticket-123.a:b_c");
+  assert.match(ctx.resolveRequestId("has spaces"),/^req_[0-9a-f]{24}$/);
+  assert.match(ctx.resolveRequestId("x".repeat(129)),/^req_/);
+  assert.match(ctx.resolveRequestId("ticket-123",{trust:false}),/^req_/);
+  assert.equal(ctx.currentRequestId(),null,"no id outside a request");
+  assert.equal(await ctx.runWithRequestId("job-1",async()=>{await new Promise(r=>setTimeout(r,1));return ctx.currentRequestId();}),"job-1");
+  logger.info("hello",{n:1,error:new Error("boom")});
+  const hello=logged().pop();
+  assert.deepEqual([hello.level,hello.msg,hello.n,hello.error.message,"requestId" in hello],["info","hello",1,"boom",false]);
+  process.env.IBAND_LOG_FORMAT="text";logger.warn("plain",{path:"/a b"});delete process.env.IBAND_LOG_FORMAT;
+  assert.match(lines.pop(),/^\S+Z WARN plain path="\/a b"$/);
+  say("✓ X-Request-Id accepted or generated; JSON + text log lines");
+
+  const express=(await import("express")).default;
+  const mods=Object.fromEntries(await Promise.all(["events","votes","shares","monetisationSignals","purchases","moderation"].map(async(m)=>[m,(await import(`../${m}.js`)).default])));
+  const app=express();app.use(ctx.requestContext);app.use(requestLogger);app.use(express.json());app.use(attachPrincipal);
+  app.use("/api/events",mods.events);app.use("/api/votes",mods.votes);app.use("/api/shares",mods.shares);
+  app.use("/api/monetisation",mods.monetisationSignals);app.use("/api/purchases",mods.purchases);app.use("/api/moderation",mods.moderation);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const call=async(p,{id,token,body}={})=>{
+      const r=await fetch(base+p,{method:"POST",headers:{"content-type":"application/json",...(id?{"x-request-id":id}:{}),...(token?{authorization:`Bearer ${token}`}:{})},body:JSON.stringify(body||{})});
+      return {status:r.status,id:r.headers.get("x-request-id"),body:await r.json()};
+    };
+    const fan=issueToken({kind:"fan",subject:"fan_trace",sessionId:"ses_trace"}).token;
+    const mod=issueToken({kind:"admin",subject:"mod_trace",roles:["moderator"]}).token;
+
+    // events.jsonl: echoed header, stamped record, access log line
+    const ev=await call("/api/events",{id:"ticket-123",body:{type:"view",artistId:"a1"}});
+    assert.deepEqual([ev.status,ev.id],[200,"ticket-123"]);
+    assert.equal(jsonl("events.jsonl").pop().requestId,"ticket-123");
+    const access=logged().find(l=>l.msg==="request"&&l.requestId==="ticket-123");
+    assert.deepEqual([access.method,access.path,access.route,access.status],["POST","/api/events","/api/events",200]);
+    assert.ok(access.durationMs>=0);
+    const gen=await call("/api/events",{id:"not valid!",body:{type:"view",artistId:"a1"}});
+    assert.match(gen.id,/^req_[0-9a-f]{24}$/);assert.equal(jsonl("events.jsonl").pop().requestId,gen.id);
+    const bad=await call("/api/events",{id:"ticket-bad",body:{type:"nope"}});
+    assert.equal(logged().find(l=>l.requestId==="ticket-bad").level,"warn","4xx logged as warn");
+    assert.equal(bad.status,400);
+    say("✓ events.jsonl + access log carry the id");
+
+    // votes, shares, monetisation, purchases, strikes
+    assert.equal((await call("/api/votes",{id:"ticket-vote",token:fan,body:{artistId:"a1"}})).status,200);
+    assert.equal(jsonl("votes.jsonl").pop().requestId,"ticket-vote");
+    assert.equal(jsonl("events.jsonl").pop().requestId,"ticket-vote");
+    assert.equal((await call("/api/shares",{id:"ticket-share",body:{artistId:"a1"}})).body.event.requestId,"ticket-share");
+    assert.equal(jsonl("shares/events/shares.jsonl").pop().requestId,"ticket-share");
+    const sig={type:"purchase",artistId:"a1",fanId:"f1",amountMinor:100,currency:"GBP"};
+    const s1=await call("/api/monetisation/signal",{id:"ticket-sig",body:sig});
+    assert.equal(jsonl("monetisation/events/monetisation-signals.jsonl").pop().requestId,"ticket-sig");
+    assert.equal(s1.status,200);
+    const buy=await call("/api/purchases/purchase",{id:"ticket-buy",token:fan,body:{artistId:"a1",itemId:"t1",amount:1.5}});
+    assert.equal(buy.body.purchase.requestId,"ticket-buy");
+    assert.equal(JSON.parse(readFileSync(join(root,"purchases.json"),"utf8")).purchases[0].requestId,"ticket-buy");
+    assert.equal(jsonl("events.jsonl").pop().requestId,"ticket-buy");
+    await call("/api/purchases/subscribe",{id:"ticket-sub",token:fan,body:{amount:5}});
+    await call("/api/purchases/subscribe",{id:"ticket-sub2",token:fan,body:{amount:5}});
+    const sub=JSON.parse(readFileSync(join(root,"purchases.json"),"utf8")).subs[0];
+    assert.deepEqual([sub.requestId,sub.lastRequestId],["ticket-sub","ticket-sub2"]);
+    const strike=await call("/api/moderation/strike",{id:"ticket-strike",token:mod,body:{fanId:"bad_fan",reasonCode:"spam"}});
+    assert.equal(strike.status,200,JSON.stringify(strike.body));
+    assert.equal(jsonl("moderation/strikes.jsonl").pop().requestId,"ticket-strike");
+    assert.equal(jsonl("admin/audit.jsonl").pop().requestId,"ticket-strike","audit entry too");
+    say("✓ votes, shares, monetisation signals, purchases, subscriptions, strikes");
+
+    // parallel requests keep their own ids
+    const ids=Array.from({length:6},(_,i)=>`par-${i}`);
+    await Promise.all(ids.map(id=>call("/api/shares",{id,body:{artistId:"a2",platform:id}})));
+    for(const rec of jsonl("shares/events/shares.jsonl").filter(r=>r.artistId==="a2"))assert.equal(rec.requestId,rec.platform);
+    say("✓ concurrent requests don't mix ids");
+
+    process.env.IBAND_TRUST_REQUEST_ID="false";
+    assert.match((await call("/api/events",{id:"spoofed",body:{type:"view",artistId:"a1"}})).id,/^req_/);
+    delete process.env.IBAND_TRUST_REQUEST_ID;
+    say("✓ IBAND_TRUST_REQUEST_ID=false ignores the incoming header");
+  }finally{server.close();}
+  say("Request id checks passed.");
+}finally{console.log=out.log;console.error=out.error;rmSync(root,{recursive:true,force:true});}
@@ -0,0 +1,155 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-scheduler-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.IBAND_RATE_LIMIT_ENABLED="false";
+process.env.IBAND_IDENTITY_SECRET="verify-scheduler-secret-0123456789abcdef";
+
+const sch=await import("../scheduler.js");
+const { getStorage }=await import("../storage/index.js");
+const { currentRequestId }=await import("../requestContext.js");
+
+// keep job log lines out of the output
+const out={log:console.log,error:console.error};console.log=()=>{};console.error=()=>{};
+const say=(m)=>out.log(m);
+const json=(file)=>JSON.parse(readFileSync(join(root,file),"utf8"));
+const jsonl=(file)=>readFileSync(join(root,file),"utf8").trim().split("\n").map(l=>JSON.parse(l));
+const at=(iso)=>new Date(iso);
+
+try{
+  // cron specs (UTC)
+  const q=sch.parseSchedule("*/15 * * * *");
+  assert.deepEqual([...q.minute],[0,15,30,45]);
+  assert.equal(sch.scheduleMatches(q,at("2026-03-01T10:30:00Z")),true);assert.equal(sch.scheduleMatches(q,at("2026-03-01T10:31:00Z")),false);
+  assert.equal(new Date(sch.nextRunMs(q,Date.parse("2026-03-01T10:30:00Z"))).toISOString(),"2026-03-01T10:45:00.000Z","strictly after");
+  assert.equal(new Date(sch.nextRunMs(sch.parseSchedule("@daily"),Date.parse("2026-03-01T10:30:00Z"))).toISOString(),"2026-03-02T00:00:00.000Z");
+  assert.equal(new Date(sch.nextRunMs(sch.parseSchedule("0 9 * * 1-5"),Date.parse("2026-03-06T12:00:00Z"))).toISOString(),"2026-03-09T09:00:00.000Z","Friday noon -> Monday 09:00");
+  const both=sch.parseSchedule("0 0 1 * 0");// the 1st OR any Sunday
+  assert.equal(sch.scheduleMatches(both,at("2026-03-01T00:00:00Z")),true);assert.equal(sch.scheduleMatches(both,at("2026-03-08T00:00:00Z")),true);assert.equal(sch.scheduleMatches(both,at("2026-03-09T00:00:00Z")),false);
+  assert.equal(sch.scheduleMatches(sch.parseSchedule("0 0 * * 7"),at("2026-03-08T00:00:00Z")),true,"7 is Sunday");
+  assert.equal(new Date(sch.nextRunMs(sch.parseSchedule("0 0 29 2 *"),Date.parse("2026-03-01T00:00:00Z"))).toISOString(),"2028-02-29T00:00:00.000Z","leap days");
+  for(const bad of ["* * * *","60 * * * *","*/0 * * * *","5-1 * * * *","x * * * *"])assert.throws(()=>sch.parseSchedule(bad),{code:"SCHEDULE_INVALID"},bad);
+  say("✓ cron specs: steps, ranges, lists, aliases, day-of-month OR day-of-week, next run");
+
+  // registration
+  let gate;const slowCalls=[];
+  sch.registerJob({id:"verify.slow",schedule:"* * * * *",run:async({trigger})=>{slowCalls.push([trigger,currentRequestId()]);await gate;return {done:true};}});
+  sch.registerJob({id:"verify.boom",schedule:"0 3 * * *",run:async()=>{throw Object.assign(new Error("exploded"),{code:"E_BOOM"});}});
+  assert.throws(()=>sch.registerJob({id:"verify.slow",schedule:"* * * * *",run:()=>{}}),/already registered/);
+  assert.throws(()=>sch.registerJob({id:"verify.bad",schedule:"nope",run:()=>{}}),{code:"SCHEDULE_INVALID"});
+  assert.throws(()=>sch.registerJob({id:"bad id!",schedule:"* * * * *",run:()=>{}}),/invalid job id/);
+
+  // single run: in-process, then another process holding the storage lock
+  let open;gate=new Promise(r=>{open=r;});
+  const first=sch.runJob("verify.slow",{trigger:"manual"});
+  await new Promise(r=>setTimeout(r,20));
+  const second=await sch.runJob("verify.slow");
+  assert.deepEqual([second.ran,second.reason],[false,"running"]);
+  open();const done=await first;
+  assert.deepEqual([done.ran,done.status,done.result],[true,"ok",{done:true}]);
+  assert.match(done.requestId,/^job_[0-9a-f]{24}$/);assert.equal(slowCalls[0][1],done.requestId,"runs under their own request id");
+  const storage=getStorage(root);
+  assert.equal((await storage.acquireLock("scheduler/verify.slow",{token:"other-process",staleMs:60000})).acquired,true);
+  assert.equal((await sch.runJob("verify.slow")).reason,"locked");
+  await storage.releaseLock("scheduler/verify.slow","other-process");
+  assert.equal((await sch.runJob("verify.slow")).status,"ok");
+  say("✓ one run at a time (in-process flag + storage lock)");
+
+  // failures + persisted last-run record
+  const failed=await sch.runJob("verify.boom");
+  assert.deepEqual([failed.status,failed.error],["error",{message:"exploded",code:"E_BOOM"}]);
+  const state=json("scheduler/jobs.json").jobs;
+  assert.deepEqual([state["verify.slow"].runs,state["verify.slow"].failures,state["verify.slow"].lastStatus],[2,0,"ok"]);
+  assert.deepEqual([state["verify.boom"].runs,state["verify.boom"].failures,state["verify.boom"].lastSuccessAt,state["verify.boom"].lastError.code],[1,1,null,"E_BOOM"]);
+
+  // ticks run matching jobs only, minus IBAND_SCHEDULER_DISABLED
+  const ticked=await sch.tick(at("2026-03-01T03:00:00Z"));
+  assert.deepEqual(ticked.map(r=>r.job).sort(),["verify.boom","verify.slow"]);
+  assert.equal(slowCalls.at(-1)[0],"schedule");
+  process.env.IBAND_SCHEDULER_DISABLED="verify.boom";
+  assert.deepEqual((await sch.tick(at("2026-03-01T03:00:00Z"))).map(r=>r.job),["verify.slow"]);
+  delete process.env.IBAND_SCHEDULER_DISABLED;
+  assert.deepEqual((await sch.tick(at("2026-03-01T03:01:00Z"))).map(r=>r.job),["verify.slow"]);
+  assert.equal(json("scheduler/jobs.json").jobs["verify.boom"].failures,2);
+  process.env.IBAND_SCHEDULER_ENABLED="false";assert.equal(sch.startScheduler().started,false);delete process.env.IBAND_SCHEDULER_ENABLED;
+  assert.equal(sch.startScheduler().started,true);sch.stopScheduler();
+  say("✓ last-run records persisted; ticks honour schedules and IBAND_SCHEDULER_DISABLED");
+
+  // module jobs
+  const express=(await import("express")).default;
+  const { issueToken,attachPrincipal }=await import("../identity.js");
+  const mods=Object.fromEntries(await Promise.all(["events","flashMedals","purchases","moderation","medals","admin"].map(async(m)=>[m,(await import(`../${m}.js`)).default])));
+  const ids=(await sch.listJobs()).jobs.map(j=>j.id);
+  for(const id of ["flash-medals.finalise","purchases.expire-subscriptions","moderation.expire-bans","medals.recompute"])assert.ok(ids.includes(id),id);
+
+  const past=new Date(Date.now()-3600e3).toISOString(),future=new Date(Date.now()+86400e3).toISOString();
+  writeFileSync(join(root,"purchases.json"),JSON.stringify({version:1,purchases:[],subs:[{id:"sub_old",status:"active",subscriberId:"f1",plan:"fan",endsAt:past},{id:"sub_live",status:"active",subscriberId:"f2",plan:"fan",endsAt:future}]}));
+  const subs=await sch.runJob("purchases.expire-subscriptions");
+  assert.deepEqual(subs.result,{expired:1,ids:["sub_old"]});
+  const stored=json("purchases.json").subs;
+  assert.deepEqual(stored.map(s=>s.status),["expired","active"]);assert.ok(stored[0].expiredAt);
+  assert.equal((await sch.runJob("purchases.expire-subscriptions")).result.expired,0);
+
+  mkdirSync(join(root,"moderation"),{recursive:true});
+  writeFileSync(join(root,"moderation/bans.jsonl"),[
+    {id:"ban_old",type:"ban",fanId:"f1",scope:"global",scopeKey:"global",until:past,active:true},
+    {id:"ban_live",type:"ban",fanId:"f2",scope:"global",scopeKey:"global",until:future,active:true},
+    {id:"ban_lifted",type:"ban",fanId:"f3",scope:"global",scopeKey:"global",until:future,active:true},
+    {id:"unban_f3",type:"ban",fanId:"f3",scope:"global",scopeKey:"global",until:past,active:false,reasonCode:"unban"},
+  ].map(l=>JSON.stringify(l)).join("\n")+"\n");
+  const bans=await sch.runJob("moderation.expire-bans");
+  assert.deepEqual([bans.result.expired,bans.result.banIds],[1,["ban_old"]]);
+  const line=jsonl("moderation/bans.jsonl").pop();
+  assert.deepEqual([line.fanId,line.active,line.reasonCode,line.expiredBanId,line.requestId],["f1",false,"expired","ban_old",bans.requestId]);
+  assert.equal((await sch.runJob("moderation.expire-bans")).result.expired,0,"already recorded");
+
+  const medals=await sch.runJob("medals.recompute");
+  assert.deepEqual([medals.status,typeof medals.result.artists],["ok","number"]);
+  say("✓ subscriptions and bans expired once; medal table rebuilt");
+
+  const app=express();app.use(express.json());app.use(attachPrincipal);
+  app.use("/api/events",mods.events);app.use("/api/flash-medals",mods.flashMedals);app.use("/api/admin",mods.admin);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const call=async(method,p,{token,body}={})=>{const r=await fetch(base+p,{method,headers:{"content-type":"application/json",...(token?{authorization:`Bearer ${token}`}:{})},body:body?JSON.stringify(body):undefined});return {status:r.status,body:await r.json()};};
+    const fan=issueToken({kind:"fan",subject:"fan_flash",sessionId:"ses_flash"}).token;
+    for(let i=0;i<2;i++)assert.equal((await call("POST","/api/events",{token:fan,body:{type:"vote",artistId:"a1"}})).status,200);
+
+    // today's window closes at the next UTC midnight; finalise as if it were just after
+    const tomorrow=new Date(Math.floor(Date.now()/86400e3)*86400e3+86400e3+5*60e3);
+    const fin=await sch.runJob("flash-medals.finalise",{now:tomorrow});
+    assert.deepEqual([fin.result.finalised,fin.result.windows[0].artists,fin.result.windows[0].fans],[1,1,1]);
+    assert.equal((await sch.runJob("flash-medals.finalise",{now:tomorrow})).result.finalised,0,"a window is finalised once");
+    const hist=(await call("GET","/api/flash-medals/finalised?limit=5")).body;
+    assert.equal(hist.windows[0].windowEnd,new Date(Math.floor(tomorrow.getTime()/86400e3)*86400e3).toISOString());
+    assert.deepEqual(hist.windows[0].winners.map(w=>[w.type,w.subjectId,w.medal.code]).sort(),[["artist","a1","artist_breakout"],["fan","ses_flash","fan_power_voter"]]);
+    const later=await sch.runJob("flash-medals.finalise",{now:new Date(tomorrow.getTime()+3*86400e3)});
+    assert.equal(later.result.finalised,3,"catches up on missed windows");
+    say("✓ closed flash windows finalised once, with catch-up");
+
+    // admin API
+    const viewer=issueToken({kind:"admin",subject:"ops-viewer",roles:["viewer"]}).token;
+    const sup=issueToken({kind:"admin",subject:"ops-super",roles:["super-admin"]}).token;
+    const list=await call("GET","/api/admin/jobs",{token:viewer});
+    assert.equal(list.status,200);
+    const job=list.body.jobs.find(j=>j.id==="purchases.expire-subscriptions");
+    assert.deepEqual([job.module,job.schedule,job.enabled,job.last.runs],["purchases","*/5 * * * *",true,2]);
+    assert.equal(Date.parse(job.nextRunAt)%300e3,0);
+    assert.equal((await call("POST","/api/admin/jobs/medals.recompute/run",{token:viewer})).body.code,"forbidden");
+    const ran=await call("POST","/api/admin/jobs/medals.recompute/run",{token:sup});
+    assert.deepEqual([ran.status,ran.body.run.trigger,ran.body.run.status],[200,"manual","ok"]);
+    const audit=jsonl("admin/audit.jsonl").pop();
+    assert.deepEqual([audit.action,audit.target.id,audit.meta.jobRequestId],["job.run","medals.recompute",ran.body.run.requestId]);
+    assert.deepEqual([(await call("POST","/api/admin/jobs/verify.boom/run",{token:sup})).body.code,(await call("POST","/api/admin/jobs/nope/run",{token:sup})).body.code],["job_failed","job_not_found"]);
+    gate=new Promise(r=>{open=r;});
+    const pending=sch.runJob("verify.slow");await new Promise(r=>setTimeout(r,20));
+    const busy=await call("POST","/api/admin/jobs/verify.slow/run",{token:sup});
+    open();await pending;
+    assert.deepEqual([busy.status,busy.body.code],[409,"job_running"]);
+    say("✓ GET /api/admin/jobs + POST /api/admin/jobs/:id/run (permissions, audit, 404/409/500)");
+  }finally{server.close();}
+  say("Scheduler checks passed.");
+}finally{console.log=out.log;console.error=out.error;rmSync(root,{recursive:true,force:true});}
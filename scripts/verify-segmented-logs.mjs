@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createStorage, openSegmentedLog } from "../storage/index.js";
+import { createSegmentedLog, getSegmentConfig } from "../storage/segmentedLog.js";
+
+const root=mkdtempSync(join(tmpdir(),"iband-segments-"));
+const DAY=86400000;
+const now=Date.now();
+const at=(daysAgo,i=0)=>new Date(now-daysAgo*DAY+i*1000).toISOString();
+
+async function suite(name,storage){
+  // size rotation: ~100 bytes per record, 300 byte cap -> several sealed segments
+  const log=createSegmentedLog(storage,"events/events.jsonl",{rotate:"size",maxBytes:300});
+  for(let d=9;d>=0;d-=1)await log.append({type:"vote",artistId:d%2?"a1":"a2",sessionId:`s${d}`,at:at(d),pad:"x".repeat(20)});
+  const st=await log.stat();
+  assert.equal(st.sealed.segments>=3,true,`${name}: size cap seals segments`);
+  assert.equal(st.sealed.lines+st.active.lines,10,`${name}: no line lost across rotation`);
+  assert.equal(await storage.exists(join("events","events.segments","events.000001.jsonl")),true,`${name}: sealed segment layout`);
+
+  const all=await log.readRange();
+  assert.deepEqual(all.events.map(e=>e.sessionId),["s9","s8","s7","s6","s5","s4","s3","s2","s1","s0"],`${name}: readRange spans segments oldest first`);
+  const recent=await log.readRange({fromMs:now-2.5*DAY});
+  assert.deepEqual(recent.events.map(e=>e.sessionId),["s2","s1","s0"],`${name}: time window is exact`);
+  assert.equal(recent.meta.segmentsSkipped>0,true,`${name}: index skips segments outside the window`);
+  const a1=await log.readRange({artistId:"a1"});
+  assert.equal(a1.events.every(e=>e.artistId==="a1")&&a1.events.length===5,true,`${name}: artistId filter`);
+  const last=await log.readRecent({limit:2,filter:e=>e.artistId==="a2"});
+  assert.deepEqual(last.events.map(e=>e.sessionId),["s2","s0"],`${name}: readRecent walks newest segments first`);
+
+  // concurrent appends stay ordered and counted
+  await Promise.all(Array.from({length:25},(_,i)=>log.append({type:"view",artistId:"a3",at:at(0,i)})));
+  assert.equal((await log.readRange({artistId:"a3"})).events.length,25,`${name}: concurrent appends`);
+
+  // compaction folds old sealed segments into daily rollups, once
+  const before=await log.stat();
+  const c=await log.compact({olderThanDays:5});
+  assert.equal(c.segments>0&&c.lines>0,true,`${name}: compaction picks old segments`);
+  assert.equal((await log.compact({olderThanDays:5})).segments,0,`${name}: compaction is idempotent`);
+  const after=await log.stat();
+  assert.equal(after.sealed.segments,before.sealed.segments-c.segments);
+  assert.equal(after.compacted.lines,c.lines);
+  const rollups=await log.readRollups();
+  const folded=Object.values(rollups).reduce((n,b)=>n+b.total,0);
+  assert.equal(folded,c.lines,`${name}: rollups count every compacted line`);
+  assert.equal(Object.values(rollups).every(b=>b.byType.vote===b.total),true,`${name}: rollups keep counts by type`);
+  const partial=await log.readRange({fromMs:now-9.5*DAY});
+  assert.equal(partial.meta.partial,true,`${name}: window into compacted history is flagged partial`);
+  assert.equal(partial.events.length+c.lines,35,`${name}: live + rolled-up lines cover the history`);
+
+  // day rotation: an active segment opened on an earlier UTC day is sealed on the next append
+  await storage.appendJsonl("rooms/room-messages.jsonl",{roomId:"r1",createdAt:at(2)});
+  const daily=createSegmentedLog(storage,"rooms/room-messages.jsonl",{rotate:"day"});
+  await daily.append({roomId:"r1",createdAt:at(0)});
+  const ds=await daily.stat();
+  assert.equal(ds.sealed.segments,1,`${name}: day change seals the active segment`);
+  assert.equal(ds.active.lines,1);
+
+  // shared instance per (adapter, key)
+  assert.equal(openSegmentedLog(storage,"shares/shares.jsonl"),openSegmentedLog(storage,join(root,"shares","shares.jsonl")),`${name}: one log per key`);
+  console.log(`✓ ${name} segmented log`);
+}
+
+try{
+  assert.deepEqual(getSegmentConfig({}),{rotate:"day",maxBytes:8*1024*1024,compactAfterDays:400});
+  assert.equal(getSegmentConfig({IBAND_LOG_ROTATE:"SIZE",IBAND_LOG_SEGMENT_MAX_BYTES:"1024"}).maxBytes,1024);
+  await suite("memory",createStorage({root,adapter:"memory"}));
+  await suite("file",createStorage({root,adapter:"file"}));
+  console.log("Segmented log checks passed.");
+}finally{rmSync(root,{recursive:true,force:true});}
@@ -0,0 +1,145 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-sse-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.IBAND_RATE_LIMIT_ENABLED="false";
+process.env.IBAND_IDENTITY_SECRET="verify-sse-secret-0123456789abcdef";
+process.env.IBAND_SSE_HEARTBEAT_MS="40";process.env.IBAND_SSE_RETRY_MS="1500";process.env.FLASH_ANNOUNCE_DEBOUNCE_MS="20";
+writeFileSync(join(root,"artists.json"),JSON.stringify({artists:[{id:"a1",name:"Ada Beats",location:"Lagos, Nigeria"},{id:"a2",name:"Thames Tones",location:"London, UK"}]}));
+
+const out={log:console.log,error:console.error};console.log=()=>{};console.error=()=>{};
+const say=(m)=>out.log(m);
+const sleep=(ms)=>new Promise(r=>setTimeout(r,ms));
+
+try{
+  const express=(await import("express")).default;
+  const { issueToken,attachPrincipal }=await import("../identity.js");
+  const live=await import("../liveStream.js");
+  const { recordBreakoutSignal }=await import("../breakoutEngine.js");
+  const { drainEventBus }=await import("../eventBus.js");
+  const mods=Object.fromEntries(await Promise.all(["events","flashMedals","liveHeat","liveEvents","viralStream","rooms"].map(async(m)=>[m,(await import(`../${m}.js`)).default])));
+  const app=express();app.use(express.json());app.use(attachPrincipal);
+  app.use("/api/events",mods.events);app.use("/api/flash-medals",mods.flashMedals);app.use("/api/live-heat",mods.liveHeat);
+  app.use("/api/live-events",mods.liveEvents);app.use("/api/viral-stream",mods.viralStream);app.use("/api/rooms",mods.rooms);
+  const server=app.listen(0);
+  const clients=[];
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const fan=issueToken({kind:"fan",subject:"fan_sse",sessionId:"ses_sse"}).token;
+    const post=async(p,body)=>{const r=await fetch(base+p,{method:"POST",headers:{"content-type":"application/json",authorization:`Bearer ${fan}`},body:JSON.stringify(body)});return {status:r.status,body:await r.json()};};
+
+    // minimal EventSource: frames = [{ id, event, data } | { comment } | { retry }]
+    const open=async(p,{lastEventId}={})=>{
+      const ac=new AbortController();
+      const r=await fetch(base+p,{headers:lastEventId?{"last-event-id":lastEventId}:{},signal:ac.signal});
+      const c={status:r.status,type:r.headers.get("content-type"),frames:[],close:()=>ac.abort()};
+      if(!c.type?.startsWith("text/event-stream")){c.body=await r.json();return c;}
+      clients.push(c);
+      (async()=>{const reader=r.body.getReader();const dec=new TextDecoder();let buf="";
+        try{for(;;){const {value,done}=await reader.read();if(done)break;buf+=dec.decode(value,{stream:true});let i;
+          while((i=buf.indexOf("\n\n"))>=0){const f={};for(const line of buf.slice(0,i).split("\n")){const k=line.indexOf(":");const [name,val]=k<0?[line,""]:[line.slice(0,k),line.slice(k+1).replace(/^ /,"")];
+            if(name==="")f.comment=val;else if(name==="data")f.data=JSON.parse(val);else f[name]=val;}buf=buf.slice(i+2);c.frames.push(f);}}}catch{}})();
+      c.events=(name)=>c.frames.filter(f=>f.event===name);
+      c.until=async(pred,what,ms=3000)=>{const end=Date.now()+ms;while(Date.now()<end){const f=c.frames.find(pred);if(f)return f;await sleep(5);}assert.fail(`timed out waiting for ${what} on ${p}`);};
+      await c.until(f=>f.event==="ready","ready");
+      return c;
+    };
+    const ids=(c,name)=>c.frames.filter(f=>f.id&&(!name||f.event===name)).map(f=>f.id);
+
+    // headers, retry hint, ready, heartbeats
+    const all=await open("/api/live-events/stream");
+    assert.deepEqual([all.status,all.type],[200,"text/event-stream; charset=utf-8"]);
+    assert.equal(all.frames[0].retry,"1500");
+    assert.deepEqual(all.events("ready")[0].data.filters.types,["flash.medal","heat.level","breakout.level"]);
+    await all.until(f=>f.comment?.startsWith("ping"),"heartbeat",1000);
+    say("✓ text/event-stream with retry hint, ready event and heartbeats");
+
+    // breakout + heat transitions, filtered by artist
+    const viral=await open("/api/viral-stream/stream?artistId=a1");
+    const heat=await open("/api/live-heat/stream?artistId=a1");
+    recordBreakoutSignal("a2","vote",200);recordBreakoutSignal("a1","vote",60);recordBreakoutSignal("a1","vote",1);
+    const up=await viral.until(f=>f.event==="breakout.level","breakout.level");
+    assert.deepEqual([up.data.artistId,up.data.level,up.data.previousLevel,up.data.direction],["a1","rising","quiet","up"]);
+    const warm=await heat.until(f=>f.event==="heat.level","heat.level");
+    assert.deepEqual([warm.data.artistId,warm.data.level,warm.data.previousLevel],["a1","heating_up","quiet"]);
+    recordBreakoutSignal("a1","vote_undo",-20);
+    const down=await viral.until(f=>f.data?.direction==="down","breakout down");
+    assert.deepEqual([down.data.level,down.data.previousLevel],["quiet","rising"]);
+    await sleep(50);
+    assert.ok([...viral.frames,...heat.frames].every(f=>!f.data?.artistId||f.data.artistId==="a1"),"artist filter");
+    assert.equal(viral.events("breakout.level").length,2,"no event for a score change inside a level");
+    say("✓ breakout.level and heat.level transitions (up and down), ?artistId= filter");
+
+    // flash medal unlocks, announced once per window, filtered by country and scope
+    const ng=await open("/api/flash-medals/stream?scope=artists&country=nigeria");
+    const uk=await open("/api/flash-medals/stream?country=UK");
+    const fans=await open("/api/flash-medals/stream?scope=fans");
+    assert.equal((await post("/api/events",{type:"vote",artistId:"a1",sessionId:"ses_sse"})).status,200);
+    await drainEventBus();
+    const medal=await ng.until(f=>f.event==="flash.medal","flash.medal");
+    assert.deepEqual([medal.data.artistId,medal.data.country,medal.data.medal.code,medal.data.scope],["a1","Nigeria","artist_breakout","artists"]);
+    assert.equal((await fans.until(f=>f.event==="flash.medal","fan medal")).data.subjectId,"ses_sse");
+    await post("/api/events",{type:"vote",artistId:"a1",sessionId:"ses_sse"});await drainEventBus();await sleep(80);
+    assert.equal(ng.events("flash.medal").length,1,"an unlock is announced once");
+    assert.equal(uk.events("flash.medal").length,0,"country filter");
+    await post("/api/events",{type:"vote",artistId:"a2"});await drainEventBus();
+    assert.equal((await uk.until(f=>f.event==="flash.medal","uk medal")).data.artistId,"a2");
+    say("✓ flash.medal unlocks once per window, ?scope= / ?country= filters");
+
+    // Last-Event-ID resume from the live log
+    await sleep(50);
+    const seen=ids(all);
+    assert.ok(seen.length>=5,`combined stream saw ${seen.length} events`);
+    all.close();
+    recordBreakoutSignal("a1","vote",200);
+    const back=await open("/api/live-events/stream",{lastEventId:seen[1]});
+    const replay=back.frames.slice(0,back.frames.findIndex(f=>f.event==="ready")).filter(f=>f.id);
+    assert.deepEqual(replay.slice(0,seen.length-2).map(f=>f.id),seen.slice(2),"missed events replayed in log order");
+    assert.ok(replay.slice(seen.length-2).some(f=>f.event==="breakout.level"&&f.data.level==="trending"),"events from while it was away too");
+    assert.ok(back.events("ready")[0].data.replayed>=seen.length-2);
+    const q=await open(`/api/viral-stream/stream?artistId=a1&lastEventId=${encodeURIComponent(ids(viral)[0])}`);
+    assert.deepEqual(q.events("breakout.level").map(f=>f.data.direction),["down","up","up"],"?lastEventId= + filter (votes lifted a1 to rising, then +200 to trending)");
+    assert.deepEqual((await open("/api/live-events/stream",{lastEventId:"garbage"})).events("reset")[0].data,{reason:"unknown_last_event_id"});
+    process.env.IBAND_SSE_REPLAY_MAX="1";
+    assert.equal((await open("/api/live-events/stream",{lastEventId:seen[0]})).events("reset")[0].data.reason,"too_far_behind");
+    delete process.env.IBAND_SSE_REPLAY_MAX;
+    say("✓ Last-Event-ID (header or ?lastEventId=) replays from the JSONL log; reset when it can't");
+
+    // room messages
+    const room=(await post("/api/rooms/create",{name:"Stream Room"})).body.room;
+    const other=(await post("/api/rooms/create",{name:"Other Room"})).body.room;
+    const rs=await open(`/api/rooms/${room.id}/stream`);
+    const ra=await open(`/api/rooms/${room.id}/stream?artistId=a1`);
+    assert.equal((await post("/api/rooms/post",{roomId:room.id,text:"hello stream"})).status,200);
+    await post("/api/rooms/post",{roomId:other.id,text:"elsewhere"});
+    await post("/api/rooms/post",{roomId:room.id,text:"about a1",artistId:"a1"});
+    const m1=await rs.until(f=>f.event==="room.message","room.message");
+    assert.deepEqual([m1.data.roomId,m1.data.text],[room.id,"hello stream"]);
+    await rs.until(f=>f.data?.text==="about a1","second message");
+    assert.deepEqual(ra.events("room.message").map(f=>f.data.text),["about a1"]);
+    assert.ok(rs.events("room.message").every(f=>f.data.roomId===room.id),"room filter");
+    rs.close();
+    await post("/api/rooms/post",{roomId:room.id,text:"missed"});
+    const rr=await open(`/api/rooms/${room.id}/stream`,{lastEventId:ids(rs).at(-1)});
+    assert.deepEqual(rr.events("room.message").map(f=>f.data.text),["missed"]);
+    assert.equal((await open(`/api/live-events/stream`,{lastEventId:ids(rs)[0]})).events("reset")[0].data.reason,"unknown_last_event_id","ids are tied to their log");
+    const none=await open("/api/rooms/nope/stream");
+    assert.deepEqual([none.status,none.body.code],[404,"room_not_found"]);
+    say("✓ room.message per room (+ ?artistId=), resumed from room-messages.jsonl");
+
+    // connection cap + cleanup
+    await sleep(50);
+    const openNow=live.getStreamStats().open;
+    assert.equal(openNow,clients.filter(c=>c.status===200).length-2,"closed clients are released");
+    process.env.IBAND_SSE_MAX_CONNECTIONS=String(openNow);
+    const full=await open("/api/live-heat/stream");
+    assert.deepEqual([full.status,full.body.code],[503,"too_many_streams"]);
+    delete process.env.IBAND_SSE_MAX_CONNECTIONS;
+    live.closeAllStreams();
+    assert.equal(live.getStreamStats().open,0);
+    say("✓ IBAND_SSE_MAX_CONNECTIONS cap, closeAllStreams()");
+  }finally{live.closeAllStreams?.();for(const c of clients)c.close();server.close();}
+  say("SSE checks passed.");
+}finally{console.log=out.log;console.error=out.error;rmSync(root,{recursive:true,force:true});}
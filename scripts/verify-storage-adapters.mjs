@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createStorage, getStorageConfig } from "../storage/index.js";
+
+const root=mkdtempSync(join(tmpdir(),"iband-storage-"));
+async function sqliteAvailable(){try{await import("node:sqlite");return true;}catch{return false;}}
+
+async function contract(name,storage){
+  assert.deepEqual(await storage.readJson("missing.json",{fallback:true}),{fallback:true},`${name}: missing doc returns fallback`);
+  await storage.writeJson("genres/genres.json",{version:1,genres:[{id:"g1"}]});
+  assert.deepEqual(await storage.readJson(join(root,"genres","genres.json"),null),{version:1,genres:[{id:"g1"}]},`${name}: absolute path inside root maps to the same key`);
+  const st=await storage.stat("genres/genres.json");assert.equal(st.exists,true);assert.equal(st.size>0,true);
+  for(let i=0;i<5;i+=1)await storage.appendJsonl("events/log.jsonl",{i,pad:"x".repeat(20)});
+  assert.deepEqual((await storage.readJsonl("events/log.jsonl")).map(e=>e.i),[0,1,2,3,4],`${name}: jsonl keeps file order`);
+  assert.deepEqual((await storage.readJsonl("events/log.jsonl",{maxLines:2})).map(e=>e.i),[3,4],`${name}: maxLines keeps newest`);
+  const tail=(await storage.readJsonl("events/log.jsonl",{tailBytes:70})).map(e=>e.i);assert.equal(tail.at(-1),4);assert.equal(tail.length<5,true,`${name}: tailBytes bounds the read`);
+  assert.deepEqual(await storage.readJsonl("events/none.jsonl"),[]);
+  await storage.rename("events/log.jsonl","events/log.segments/log.000001.jsonl");assert.equal(await storage.exists("events/log.jsonl"),false);assert.deepEqual((await storage.readJsonl("events/log.segments/log.000001.jsonl")).map(e=>e.i),[0,1,2,3,4],`${name}: rename moves the log`);
+  await assert.rejects(storage.rename("events/log.jsonl","events/other.jsonl"),e=>e.code==="ENOENT",`${name}: rename of a missing key is ENOENT`);
+  assert.equal(await storage.remove("genres/genres.json"),true);assert.equal(await storage.exists("genres/genres.json"),false);
+  console.log(`✓ ${name} adapter contract`);
+}
+
+try{
+  assert.equal(getStorageConfig({}).adapter,"file");
+  assert.throws(()=>getStorageConfig({IBAND_STORAGE_ADAPTER:"mongo"}),/Unknown IBAND_STORAGE_ADAPTER/);
+  await contract("memory",createStorage({root,adapter:"memory"}));
+  await contract("file",createStorage({root,adapter:"file"}));
+  const file=createStorage({root,adapter:"file"});
+  await file.writeJson("layout/store.json",{a:1});assert.deepEqual(JSON.parse(readFileSync(join(root,"layout","store.json"),"utf8")),{a:1},"file adapter keeps on-disk layout");
+  writeFileSync(join(root,"layout","bad.jsonl"),'{"ok":1}\nnot-json\n{"ok":2}\n');assert.deepEqual((await file.readJsonl("layout/bad.jsonl")).map(e=>e.ok),[1,2],"corrupt lines skipped");
+  if(await sqliteAvailable())await contract("sqlite",createStorage({root,adapter:"sqlite"}));
+  else if(process.env.VERIFY_SQLITE==="required")assert.fail(`VERIFY_SQLITE=required but node:sqlite is missing on ${process.version}`);
+  else{await assert.rejects(createStorage({root,adapter:"sqlite"}).readJson("x.json"),e=>e.code==="STORAGE_ADAPTER_UNAVAILABLE");console.log(`✓ sqlite adapter reports STORAGE_ADAPTER_UNAVAILABLE on ${process.version}`);}
+  console.log("Storage adapter contract passed.");
+}finally{rmSync(root,{recursive:true,force:true});}
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-tracks-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.IBAND_RATE_LIMIT_ENABLED="false";
+process.env.IBAND_IDENTITY_SECRET="verify-tracks-secret-0123456789abcdef";process.env.ADMIN_KEY="verify-tracks-key";
+delete process.env.IBAND_ARTISTS_FILE;delete process.env.ARTISTS_FILE;
+
+// one artist with a track written before tracks had ids, one artist without tracks
+writeFileSync(join(root,"artists.json"),JSON.stringify({artists:[
+  {id:"nova",name:"Nova",tracks:[{title:"Old Single",url:"https://x/old",durationSec:200}]},
+  {id:"echo",name:"Echo"},
+]}));
+
+const out={log:console.log,error:console.error};console.log=()=>{};console.error=()=>{};
+const say=(m)=>out.log(m);
+
+try{
+  const express=(await import("express")).default;
+  const { issueToken,attachPrincipal }=await import("../identity.js");
+  const { readAudit }=await import("../adminAudit.js");
+  const store=await import("../artistsStore.js");
+  const mods=Object.fromEntries(await Promise.all(["artists","purchases","monetisationSignals","shares","events","trends"].map(async(m)=>[m,(await import(`../${m}.js`)).default])));
+
+  const legacy=store.getArtist("nova").tracks[0];
+  assert.match(legacy.id,/^trk_[0-9a-f]{12}$/);assert.equal(legacy.title,"Old Single");assert.equal(legacy.explicit,false);
+  assert.equal(store.normalizeArtist({id:"nova",tracks:[{title:"Old Single"}]}).tracks[0].id,legacy.id,"legacy ids are stable across loads");
+  say("✓ tracks written without ids get a stable id");
+
+  const app=express();app.use(express.json());app.use(attachPrincipal);
+  app.use("/api/artists",mods.artists);
+  app.use("/api/purchases",mods.purchases);app.use("/api/monetisation",mods.monetisationSignals);
+  app.use("/api/shares",mods.shares);app.use("/api/events",mods.events);app.use("/api/trends",mods.trends);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const manager=issueToken({kind:"admin",subject:"ops-cat",roles:["artist-manager"]}).token;
+    const viewer=issueToken({kind:"admin",subject:"ops-view",roles:["viewer"]}).token;
+    const fan=issueToken({kind:"fan",subject:"fan_1",sessionId:"ses_1"}).token;
+    const call=async(method,p,{body,token=manager}={})=>{const r=await fetch(base+p,{method,headers:{"content-type":"application/json",...(token?{authorization:`Bearer ${token}`}:{})},body:body?JSON.stringify(body):undefined});return {status:r.status,body:await r.json()};};
+
+    const single={id:"t1",title:"Midnight",durationSec:187,isrc:"gb-aye-06-01498",releaseDate:"2026-05-01",explicit:true,audioUrl:"https://cdn/t1.mp3",previewUrl:"https://cdn/t1-30s.mp3"};
+    assert.equal((await call("POST","/api/artists/nova/tracks",{body:single,token:null})).status,401);
+    let r=await call("POST","/api/artists/nova/tracks",{body:single,token:viewer});assert.equal(r.status,403);assert.equal(r.body.details.permission,"tracks.write");
+    r=await call("POST","/api/artists/nova/tracks",{body:single});
+    assert.equal(r.status,201);assert.equal(r.body.track.isrc,"GBAYE0601498");assert.equal(r.body.track.explicit,true);assert.equal(r.body.track.releaseDate,"2026-05-01");
+    r=await call("POST","/api/artists/nova/tracks",{body:{title:"B-side"}});
+    assert.equal(r.status,201);assert.match(r.body.track.id,/^trk_/);const bside=r.body.track.id;
+    assert.equal((await call("POST","/api/artists/nova/tracks",{body:{...single,isrc:""}})).body.code,"track_exists");
+    r=await call("POST","/api/artists/echo/tracks",{body:{title:"Copy",isrc:"GBAYE0601498"}});
+    assert.equal(r.status,409);assert.equal(r.body.code,"isrc_taken");assert.deepEqual([r.body.artistId,r.body.trackId],["nova","t1"]);
+    assert.equal((await call("POST","/api/artists/echo/tracks",{body:{title:"X",isrc:"NOTANISRC"}})).body.code,"invalid_isrc");
+    assert.equal((await call("POST","/api/artists/echo/tracks",{body:{title:"X",releaseDate:"2026-02-30"}})).body.code,"invalid_release_date");
+    assert.equal((await call("POST","/api/artists/echo/tracks",{body:{title:"X",audioUrl:"ftp://x"}})).body.code,"validation_failed");
+    assert.equal((await call("POST","/api/artists/echo/tracks",{body:{title:"X",bpm:120}})).body.code,"validation_failed");
+    assert.equal((await call("POST","/api/artists/ghost/tracks",{body:{title:"X"}})).body.code,"artist_not_found");
+
+    r=await call("GET","/api/artists/nova/tracks",{token:null});
+    assert.equal(r.status,200);assert.deepEqual(r.body.tracks.map(t=>t.id),[legacy.id,"t1",bside]);
+    assert.equal((await call("GET","/api/artists/nova/tracks/t1",{token:null})).body.track.title,"Midnight");
+    assert.equal((await call("GET","/api/artists/nova/tracks/nope",{token:null})).body.code,"track_not_found");
+
+    r=await call("PATCH","/api/artists/nova/tracks/t1",{body:{title:"Midnight (Radio Edit)",isrc:"GB-AYE-06-01498"}});
+    assert.equal(r.status,200,"keeping its own ISRC is not a conflict");assert.equal(r.body.track.title,"Midnight (Radio Edit)");assert.equal(r.body.track.durationSec,187);
+    assert.equal((await call("PATCH","/api/artists/nova/tracks/t1",{body:{}})).status,400);
+    const disk=JSON.parse(readFileSync(join(root,"artists.json"),"utf8")).artists.find(a=>a.id==="nova");
+    assert.equal(disk.tracks.find(t=>t.id==="t1").title,"Midnight (Radio Edit)");assert.equal(disk.tracks[0].id,legacy.id,"legacy id persisted");
+
+    // the profile routes of artists.js leave tracks to this router
+    for(const [m,p,b] of [["PATCH","/api/artists/nova",{tracks:[]}],["PUT","/api/artists/nova",{name:"Nova",tracks:[]}],["POST","/api/artists",{id:"kilo",name:"Kilo",tracks:[{title:"x"}]}]]){
+      r=await call(m,p,{body:b});assert.equal(r.status,400);assert.equal(r.body.code,"tracks_not_editable");
+    }
+    const kept=store.getArtist("nova").tracks.find(t=>t.id==="t1");assert.equal(kept.isrc,"GBAYE0601498");assert.equal(store.getArtist("nova").tracks.length,3);
+    r=await call("PATCH","/api/artists/nova",{body:{bio:"new bio"}});assert.equal(r.body.artist.tracks.find(t=>t.id==="t1").updatedAt,kept.updatedAt,"other edits leave tracks alone");
+
+    assert.equal((await call("DELETE","/api/artists/nova/tracks/"+bside,{token:viewer})).status,403);
+    r=await call("DELETE","/api/artists/nova/tracks/"+bside);assert.equal(r.body.deleted,bside);
+    assert.equal((await call("GET","/api/artists/nova/tracks/"+bside)).status,404);
+    const audit=(await readAudit({targetType:"track"})).entries.map(e=>e.action);
+    assert.deepEqual(audit,["track.delete","track.update","track.create","track.create"]);
+    say("✓ track CRUD validates ISRC, release dates and URLs, needs tracks.write/delete and is audited");
+
+    // references: purchases, signals, shares and trends need real tracks
+    const buy=(body)=>call("POST","/api/purchases/purchase",{body:{artistId:"nova",amount:0.99,...body},token:fan});
+    r=await buy({itemId:"ghost"});assert.equal(r.status,404);assert.equal(r.body.code,"track_not_found");
+    r=await buy({artistId:"ghost",itemId:"t1"});assert.equal(r.body.code,"artist_not_found");
+    assert.equal((await buy({itemType:"tip",itemId:"tip-1"})).status,200,"non-track items are not catalogue-checked");
+    assert.equal((await buy({itemId:"t1"})).body.recorded,true);
+    assert.equal((await buy({itemId:"t1",amount:1.49,qty:2})).body.recorded,true);
+    const sig=(trackId)=>call("POST","/api/monetisation/signal",{body:{type:"track_purchase",artistId:"nova",trackId,fanId:"fan_1",amountMinor:99,currency:"GBP"}});
+    assert.equal((await sig("ghost")).body.error,"track_not_found");assert.equal((await sig("t1")).status,200);
+    assert.equal((await call("POST","/api/shares",{body:{artistId:"nova",trackId:"ghost"},token:fan})).status,404);
+    r=await call("POST","/api/shares",{body:{artistId:"nova",trackId:"t1"},token:fan});assert.equal(r.body.event.assetType,"track");
+    await call("POST","/api/events",{body:{type:"view",artistId:"nova",trackId:"t1",watchMs:30000}});
+    assert.equal((await call("GET","/api/trends/track/nova/ghost")).body.error,"track_not_found");
+    assert.equal((await call("GET","/api/trends/conversion/track/ghost/t1")).body.error,"artist_not_found");
+    r=await call("GET","/api/trends/track/nova/t1");assert.equal(r.status,200);assert.equal(r.body.shares,1);
+    say("✓ purchases, track_purchase signals, shares and trend queries must reference real tracks");
+
+    r=await call("GET","/api/artists/nova/tracks/t1/stats?days=7",{token:null});
+    const s=r.body.stats;
+    assert.deepEqual([s.purchases.count,s.purchases.qty,s.purchases.revenue.GBP,s.purchases.buyers],[2,3,2.48,1]);
+    assert.deepEqual([s.signals.count,s.signals.byType.track_purchase,s.signals.amountMinor],[1,1,99]);
+    assert.equal(s.shares.count,1);
+    assert.equal(s.events.byType.view,1);assert.equal(s.events.watchMs,30000);assert.equal(s.events.byType.purchase,2,"purchase events carry the trackId");
+    assert.ok(s.lastActivityAt);
+    r=await call("GET","/api/artists/nova/tracks?stats=true",{token:null});
+    assert.equal(r.body.days,30);assert.equal(r.body.tracks.find(t=>t.id==="t1").stats.purchases.count,2);
+    assert.deepEqual(r.body.tracks.map(t=>t.id),[legacy.id,"t1"],"the B-side removed above is gone, the rest untouched");
+    assert.equal((await call("GET","/api/artists/nova/tracks/t1/stats?days=0")).status,400);
+    say("✓ per-track aggregates: purchases, signals, shares and events");
+  }finally{server.close();}
+  say("Track catalogue checks passed.");
+}finally{console.log=out.log;console.error=out.error;rmSync(root,{recursive:true,force:true});delete process.env.ADMIN_KEY;}
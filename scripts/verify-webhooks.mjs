@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { createServer } from "node:http";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-webhooks-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.IBAND_RATE_LIMIT_ENABLED="false";
+process.env.IBAND_IDENTITY_SECRET="verify-webhooks-secret-0123456789abcdef";
+writeFileSync(join(root,"artists.json"),JSON.stringify({artists:[{id:"a1",name:"A1",tracks:[{id:"t1",title:"One"}]}]}));
+process.env.IBAND_WEBHOOK_RETRY_BASE_MS="20";process.env.IBAND_WEBHOOK_MAX_ATTEMPTS="3";process.env.IBAND_WEBHOOK_TIMEOUT_MS="500";
+
+// local receiver: /ok answers 200, /flaky fails twice first, /down answers 500 until it is switched on
+const got=[];const flaky={left:2};const down={ok:false};
+const receiver=createServer((req,res)=>{let raw="";req.on("data",c=>raw+=c);req.on("end",()=>{
+  const path=req.url;got.push({path,headers:req.headers,raw,body:JSON.parse(raw)});
+  let status=200;if(path==="/flaky"&&flaky.left-->0)status=503;if(path==="/down"&&!down.ok)status=500;
+  res.writeHead(status);res.end();});}).listen(0);
+const hook=`http://127.0.0.1:${receiver.address().port}`;
+
+const out={log:console.log,error:console.error};console.log=()=>{};console.error=()=>{};
+const say=(m)=>out.log(m);
+const json=(file)=>JSON.parse(readFileSync(join(root,file),"utf8"));
+
+try{
+  const express=(await import("express")).default;
+  const { issueToken,attachPrincipal }=await import("../identity.js");
+  const wh=await import("../webhooks.js");
+  const { drainEventBus }=await import("../eventBus.js");
+  const { runJob }=await import("../scheduler.js");
+  const { recordBreakoutSignal }=await import("../breakoutEngine.js");
+  const mods=Object.fromEntries(await Promise.all(["events","purchases","admin","flashMedals"].map(async(m)=>[m,(await import(`../${m}.js`)).default])));
+  const app=express();app.use(express.json());app.use(attachPrincipal);
+  app.use("/api/webhooks",wh.default);app.use("/api/events",mods.events);app.use("/api/purchases",mods.purchases);app.use("/api/admin",mods.admin);
+  const server=app.listen(0);
+  try{
+    const base=`http://127.0.0.1:${server.address().port}`;
+    const call=async(method,p,{token,body}={})=>{const r=await fetch(base+p,{method,headers:{"content-type":"application/json",...(token?{authorization:`Bearer ${token}`}:{})},body:body?JSON.stringify(body):undefined});return {status:r.status,body:await r.json()};};
+    const sup=issueToken({kind:"admin",subject:"ops-super",roles:["super-admin"]}).token;
+    const viewer=issueToken({kind:"admin",subject:"ops-viewer",roles:["viewer"]}).token;
+    const fan=issueToken({kind:"fan",subject:"fan_hook",sessionId:"ses_hook"}).token;
+    // retries are scheduled a few ms out, so keep draining until the queue is empty
+    const settle=async()=>{await drainEventBus();for(let i=0;i<200;i++){assert.equal(await wh.drainWebhooks({timeoutMs:5000}),true);if(!json("webhooks/queue.json").deliveries.length)return;await new Promise(r=>setTimeout(r,10));}assert.fail("queue never drained");};
+    const received=(path,type)=>got.filter(g=>g.path===path&&(!type||g.body.type===type));
+    const verify=(g,secret)=>{const [t,v1]=g.headers["x-iband-signature"].split(",").map(x=>x.split("=")[1]);return createHmac("sha256",secret).update(`${t}.${g.raw}`).digest("hex")===v1;};
+
+    // subscriptions
+    const all=["artist.breakout","medal.awarded","purchase.recorded","artist.approved"];
+    assert.equal((await call("POST","/api/webhooks",{token:viewer,body:{url:`${hook}/ok`,events:all}})).body.code,"forbidden");
+    assert.equal((await call("POST","/api/webhooks",{token:sup,body:{url:"ftp://x",events:all}})).body.code,"invalid_url");
+    assert.equal((await call("POST","/api/webhooks",{token:sup,body:{url:`${hook}/ok`,events:["nope"]}})).body.code,"validation_failed");
+    const A=(await call("POST","/api/webhooks",{token:sup,body:{url:`${hook}/ok`,events:all,description:"label"}})).body.webhook;
+    const B=(await call("POST","/api/webhooks",{token:sup,body:{url:`${hook}/flaky`,events:["purchase.recorded"],secret:"partner-chosen-secret-123"}})).body.webhook;
+    const C=(await call("POST","/api/webhooks",{token:sup,body:{url:`${hook}/down`,events:["artist.approved"]}})).body.webhook;
+    assert.match(A.secret,/^whsec_/);assert.equal(B.secret,"partner-chosen-secret-123");
+    const list=(await call("GET","/api/webhooks",{token:viewer})).body.webhooks;
+    assert.equal(list.length,3);assert.ok(list.every(w=>w.secret.includes("…")),"secrets masked");
+    assert.equal(json("webhooks/subscriptions.json").subscriptions.find(s=>s.id===A.id).secret,A.secret,"stored in full for signing");
+    assert.ok(!readFileSync(join(root,"admin/audit.jsonl"),"utf8").includes(A.secret),"audit never holds secrets");
+    say("✓ subscriptions: create (validated, admin only), secrets masked after creation");
+
+    // purchase -> bus -> A (first try) and B (two 503s, then 200)
+    assert.equal((await call("POST","/api/purchases/purchase",{token:fan,body:{artistId:"a1",itemId:"t1",amount:2}})).status,200);
+    await settle();
+    const [pa]=received("/ok","purchase.recorded");
+    assert.ok(pa,"A got the purchase");assert.equal(verify(pa,A.secret),true,"HMAC over t.body verifies");
+    assert.deepEqual([pa.body.data.artistId,pa.body.data.itemId,pa.body.data.amount,pa.headers["x-iband-event"]],["a1","t1",2,"purchase.recorded"]);
+    const pb=received("/flaky");
+    assert.equal(pb.length,3,"two retries then delivered");assert.equal(new Set(pb.map(g=>g.body.id)).size,1,"same event id on every attempt");
+    assert.equal(verify(pb[2],"partner-chosen-secret-123"),true);
+    const logB=(await call("GET",`/api/webhooks/deliveries?subscriptionId=${B.id}`,{token:viewer})).body.deliveries;
+    assert.deepEqual(logB.map(a=>[a.status,a.attempt,a.httpStatus]),[["delivered",3,200],["failed",2,503],["failed",1,503]]);
+    const p1=(await call("GET",`/api/webhooks/deliveries?subscriptionId=${B.id}&limit=2`,{token:viewer})).body;
+    const p2=(await call("GET",`/api/webhooks/deliveries?subscriptionId=${B.id}&limit=2&cursor=${p1.nextCursor}`,{token:viewer})).body;
+    assert.deepEqual([...p1.deliveries,...p2.deliveries].map(a=>a.id),logB.map(a=>a.id));assert.equal(p2.hasMore,false);
+    say("✓ signed delivery, exponential-backoff retries, delivery log with filters + cursor");
+
+    // approval -> C is down: three attempts, dead letter, manual retry once it is back
+    const art=(await call("POST","/api/admin/artists",{token:sup,body:{name:"Hook Band",genre:"Rock",status:"pending",imageUrl:"https://img/h.png",socials:{instagram:"https://ig/h"},tracks:[{title:"Demo",audioUrl:"https://cdn/h.mp3"}]}})).body.artist;
+    await call("PATCH",`/api/admin/artists/${art.id}/verification/identity`,{token:sup,body:{confirmed:true}});
+    assert.equal((await call("PATCH",`/api/admin/artists/${art.id}/approve`,{token:sup})).status,200);
+    await settle();
+    assert.equal(received("/ok","artist.approved")[0].body.data.artistId,art.id);
+    assert.equal(received("/down").length,3);
+    const dead=(await call("GET","/api/webhooks/dead-letters",{token:viewer})).body.deadLetters;
+    assert.deepEqual([dead.length,dead[0].subscriptionId,dead[0].attempts,dead[0].lastStatus],[1,C.id,3,500]);
+    assert.equal((await call("GET",`/api/webhooks/deliveries?subscriptionId=${C.id}&status=dead`,{token:viewer})).body.deliveries.length,1);
+    down.ok=true;
+    assert.equal((await call("POST",`/api/webhooks/dead-letters/${dead[0].id}/retry`,{token:sup})).status,200);
+    await settle();
+    assert.equal(received("/down").at(-1).body.type,"artist.approved");
+    assert.equal((await call("GET","/api/webhooks/dead-letters",{token:viewer})).body.count,0);
+    assert.equal((await call("POST","/api/webhooks/dead-letters/nope/retry",{token:sup})).body.code,"not_found");
+    say("✓ dead letters after max attempts, retried from the API");
+
+    // breakout level-ups, deduped by key
+    recordBreakoutSignal("a9","vote",60);recordBreakoutSignal("a9","vote",1);
+    await settle();
+    const br=received("/ok","artist.breakout");
+    assert.deepEqual(br.map(g=>[g.body.data.artistId,g.body.data.level,g.body.data.previousLevel]),[["a9","rising","quiet"]]);
+    const again=await wh.emitWebhook("artist.breakout",{artistId:"a9",level:"rising"},{key:"artist.breakout:a9:rising"});
+    assert.deepEqual([again.duplicate,again.queued,again.eventId],[true,0,br[0].body.id]);
+
+    // flash window winners -> medal.awarded
+    assert.equal((await call("POST","/api/events",{token:fan,body:{type:"vote",artistId:"a1"}})).status,200);
+    const tomorrow=new Date(Math.floor(Date.now()/86400e3)*86400e3+86400e3+5*60e3);
+    assert.equal((await runJob("flash-medals.finalise",{now:tomorrow})).status,"ok");
+    await settle();
+    const medal=received("/ok","medal.awarded")[0].body.data;
+    assert.deepEqual([medal.kind,medal.artistId,medal.medal.code],["flash","a1","artist_breakout"]);
+    say("✓ artist.breakout (once per level), medal.awarded from closed flash windows, artist.approved");
+
+    // test ping, pause, delete
+    const before=got.length;
+    assert.equal((await call("POST",`/api/webhooks/${A.id}/test`,{token:sup})).status,202);
+    await settle();
+    assert.deepEqual(got.slice(before).map(g=>[g.path,g.body.type]),[["/ok","webhook.test"]]);
+    const paused=await call("PATCH",`/api/webhooks/${A.id}`,{token:sup,body:{active:false,rotateSecret:true}});
+    assert.equal(paused.body.webhook.active,false);assert.notEqual(paused.body.webhook.secret,A.secret);
+    assert.equal((await wh.emitWebhook("medal.awarded",{artistId:"x"})).queued,0,"paused webhooks get nothing");
+    assert.equal((await call("POST",`/api/webhooks/${A.id}/test`,{token:sup})).body.code,"webhook_inactive");
+    assert.equal((await call("DELETE",`/api/webhooks/${C.id}`,{token:sup})).status,200);
+    assert.equal((await call("GET",`/api/webhooks/${C.id}`,{token:viewer})).body.code,"not_found");
+    assert.deepEqual(Object.keys((await runJob("webhooks.deliver")).result).sort(),["dead","delivered","dropped","failed","sent"]);
+    say("✓ test ping, pause + secret rotation, delete, scheduler safety-net job");
+  }finally{server.close();}
+  say("Webhook checks passed.");
+}finally{receiver.close();console.log=out.log;console.error=out.error;rmSync(root,{recursive:true,force:true});}
@@ -0,0 +1,148 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import crypto from "node:crypto";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const root=mkdtempSync(join(tmpdir(),"iband-ws-"));
+process.env.DATA_DIR=root;process.env.IBAND_DATA_DIR=root;process.env.IBAND_RATE_LIMIT_ENABLED="false";
+process.env.IBAND_IDENTITY_SECRET="verify-ws-secret-0123456789abcdef";
+process.env.IBAND_WS_TYPING_TTL_MS="80";process.env.IBAND_WS_MAX_PAYLOAD_BYTES="4096";
+
+const out={log:console.log,error:console.error};console.log=()=>{};console.error=()=>{};
+const say=(m)=>out.log(m);
+const sleep=(ms)=>new Promise(r=>setTimeout(r,ms));
+
+try{
+  const express=(await import("express")).default;
+  const { issueToken,attachPrincipal }=await import("../identity.js");
+  const ws=await import("../webSocket.js");
+  const rooms=(await import("../rooms.js")).default;
+  const app=express();app.use(express.json());app.use(attachPrincipal);app.use("/api/rooms",rooms);
+  const server=app.listen(0);ws.attachWebSockets(server);
+  const sockets=[];
+  try{
+    const port=server.address().port;const base=`http://127.0.0.1:${port}`;
+    const tok=(id)=>issueToken({kind:"fan",subject:id,sessionId:`ses_${id}`}).token;
+    const [ta,tb,tc]=["fan_a","fan_b","fan_c"].map(tok);
+    const post=async(p,body,t=tc)=>{const r=await fetch(base+p,{method:"POST",headers:{"content-type":"application/json",authorization:`Bearer ${t}`},body:JSON.stringify(body)});return {status:r.status,body:await r.json()};};
+
+    // minimal client: masked frames out, frames = [{ op, text, json } | { op: 8, code }] in
+    const frame=(op,payload=Buffer.alloc(0),{mask=true}={})=>{const len=payload.length;const head=len<126?Buffer.from([0x80|op,(mask?0x80:0)|len]):Buffer.from([0x80|op,(mask?0x80:0)|126,len>>8,len&255]);
+      if(!mask)return Buffer.concat([head,payload]);const key=crypto.randomBytes(4);return Buffer.concat([head,key,Buffer.from(payload.map((b,i)=>b^key[i&3]))]);};
+    const connect=(q="",headers={},path="/api/rooms/ws")=>new Promise((resolve)=>{
+      const req=http.request({host:"127.0.0.1",port,path:path+q,headers:{connection:"Upgrade",upgrade:"websocket","sec-websocket-version":"13","sec-websocket-key":crypto.randomBytes(16).toString("base64"),...headers}});
+      req.on("response",async(res)=>{let b="";for await(const c of res)b+=c;resolve({status:res.statusCode,body:JSON.parse(b)});});
+      req.on("upgrade",(res,socket,head)=>{
+        const c={status:res.statusCode,accept:res.headers["sec-websocket-accept"],key:req.getHeader("sec-websocket-key"),frames:[],closed:false,socket};sockets.push(c);
+        let buf=head;const onData=(d)=>{buf=Buffer.concat([buf,d]);while(buf.length>=2){let len=buf[1]&127,off=2;if(len===126){len=buf.readUInt16BE(2);off=4;}if(buf.length<off+len)break;
+          const op=buf[0]&15,p=buf.subarray(off,off+len);buf=buf.subarray(off+len);
+          if(op===1)c.frames.push({op,text:p.toString(),json:JSON.parse(p.toString())});else if(op===8)c.frames.push({op,code:p.length>=2?p.readUInt16BE(0):null,reason:p.subarray(2).toString()});else c.frames.push({op,data:p.toString()});}};
+        socket.on("data",onData);socket.on("close",()=>{c.closed=true;});socket.on("error",()=>{});onData(Buffer.alloc(0));
+        c.send=(obj)=>socket.write(frame(1,Buffer.from(typeof obj==="string"?obj:JSON.stringify(obj))));
+        c.raw=(buf)=>socket.write(buf);
+        c.msgs=(type)=>c.frames.filter(f=>f.json&&(!type||f.json.type===type)).map(f=>f.json);
+        c.until=async(pred,what,ms=2000)=>{const end=Date.now()+ms;while(Date.now()<end){const f=c.frames.find(pred);if(f)return f.json||f;await sleep(5);}assert.fail(`timed out waiting for ${what}`);};
+        c.reply=(ref,what)=>c.until(f=>f.json?.ref===ref,what);
+        c.close=()=>{socket.write(frame(8,Buffer.from([3,232])));};
+        resolve(c);
+      });
+      req.end();
+    });
+    let ref=0;const ask=async(c,m)=>{const r=`r${++ref}`;c.send({...m,ref:r});return c.reply(r,m.type);};
+
+    // handshake + refusals (shared error envelope on a plain HTTP answer)
+    const a=await connect(`?token=${encodeURIComponent(ta)}`);
+    assert.equal(a.status,101);
+    assert.equal(a.accept,crypto.createHash("sha1").update(a.key+"258EAFA5-E914-47DA-95CA-C5AB0DC85B11").digest("base64"));
+    assert.deepEqual([(await a.until(f=>f.json?.type==="hello","hello")).fanId],["fan_a"]);
+    assert.deepEqual(Object.values(await connect("",{},"/api/nope/ws")).map(v=>v?.code??v),[404,"not_found"]);
+    assert.deepEqual([(await connect("",{"sec-websocket-version":"8"})).status],[426]);
+    assert.deepEqual(Object.values(await connect("?token=garbage")).map(v=>v?.code??v),[401,"token_malformed"]);
+    const anon=await connect("?fanId=fan_x");
+    assert.equal((await anon.until(f=>f.json?.type==="error","identity error")).code,"identity_required");
+    assert.equal((await anon.until(f=>f.op===8,"close")).code,1008);
+    anon.close();
+    say("✓ upgrade handshake (Sec-WebSocket-Accept), 404 / 426 / 401 refusals, identity required before chat");
+
+    // membership: the /join rules
+    const room=(await post("/api/rooms/create",{name:"Socket Room"})).body.room;
+    const amb=(await post("/api/rooms/create",{name:"Ambassadors",ambassadorOnly:true})).body.room;
+    assert.equal((await ask(a,{type:"subscribe",roomId:"nope"})).code,"room_not_found");
+    const refused=await ask(a,{type:"subscribe",roomId:amb.id});
+    assert.deepEqual([refused.type,refused.status,refused.code,refused.success],["error",403,"ambassador_required",false]);
+    assert.equal((await ask(a,{type:"subscribe",roomId:amb.id,ambassador:true})).type,"subscribed");
+    assert.equal((await post("/api/rooms/join",{roomId:amb.id},ta)).body.code,"ambassador_required","HTTP /join unchanged");
+    say("✓ subscribe follows /join: room_not_found, ambassador_required");
+
+    // presence
+    assert.deepEqual((await ask(a,{type:"subscribe",roomId:room.id})).online,["fan_a"]);
+    const b=await connect("",{authorization:`Bearer ${tb}`});
+    assert.deepEqual((await ask(b,{type:"subscribe",roomId:room.id})).online,["fan_a","fan_b"]);
+    const joined=await a.until(f=>f.json?.type==="presence","presence join");
+    assert.deepEqual([joined.event,joined.fanId,joined.online],["join","fan_b",["fan_a","fan_b"]]);
+    const b2=await connect("",{authorization:`Bearer ${tb}`});await ask(b2,{type:"subscribe",roomId:room.id});
+    assert.equal(a.msgs("presence").length,1,"a second tab is not a second join");
+    assert.deepEqual((await (await fetch(`${base}/api/rooms/${room.id}/presence`)).json()).online,["fan_a","fan_b"]);
+    say("✓ presence join broadcast with the online list (per fan, not per tab), GET /:roomId/presence");
+
+    // typing, with expiry
+    b.send({type:"typing",roomId:room.id});
+    const t1=await a.until(f=>f.json?.type==="typing","typing");
+    assert.deepEqual([t1.fanId,t1.typing],["fan_b",true]);
+    assert.deepEqual((await a.until(f=>f.json?.type==="typing"&&f.json.typing===false,"typing expiry",1000)).fanId,"fan_b");
+    assert.equal(b.msgs("typing").length,0,"no echo to the typer");
+    assert.equal((await ask(a,{type:"typing",roomId:"elsewhere"})).code,"not_subscribed");
+    say("✓ typing indicators to the other subscribers, expiring after IBAND_WS_TYPING_TTL_MS");
+
+    // posts: same checks as HTTP /post, broadcast to the room
+    const posted=await ask(a,{type:"post",roomId:room.id,text:"  hi sockets  ",artistId:"a1"});
+    assert.deepEqual([posted.type,posted.msg.text,posted.msg.fanId,posted.msg.artistId],["posted","hi sockets","fan_a","a1"]);
+    for(const c of [a,b,b2])assert.equal((await c.until(f=>f.json?.type==="message","message")).message.id,posted.msg.id);
+    const blocked=await ask(b,{type:"post",roomId:room.id,text:"send nudes"});
+    assert.deepEqual([blocked.status,blocked.code,blocked.reasonCode,blocked.message],[403,"blocked_by_policy","sexual_text","Message blocked by community policy."]);
+    assert.equal((await ask(b,{type:"post",roomId:room.id,text:"x".repeat(1501)})).code,"text_too_long");
+    assert.equal((await ask(b,{type:"post",roomId:"other",text:"hi"})).code,"not_subscribed");
+    assert.equal((await post("/api/rooms/post",{roomId:room.id,text:"from http"})).status,200);
+    assert.equal((await b.until(f=>f.json?.message?.text==="from http","http post")).message.fanId,"fan_c");
+    await sleep(30);
+    assert.deepEqual(a.msgs("message").map(m=>m.message.text),["hi sockets","from http"],"blocked posts are not broadcast");
+    const hist=(await (await fetch(`${base}/api/rooms/${room.id}/messages`)).json()).messages.map(m=>m.text);
+    assert.deepEqual(hist,["hi sockets","from http"]);
+    assert.equal((await post("/api/rooms/post",{roomId:room.id,text:"fuck"})).body.code,"blocked_by_policy","HTTP /post unchanged");
+    say("✓ socket posts: content check, limits and subscription required; HTTP and socket posts reach every subscriber");
+
+    // leave
+    b.close();await b.until(f=>f.op===8,"close echo");
+    await sleep(30);
+    assert.equal(a.msgs("presence").length,1,"other tab still online");
+    await ask(b2,{type:"unsubscribe",roomId:room.id});
+    const left=await a.until(f=>f.json?.type==="presence"&&f.json.event==="leave","presence leave");
+    assert.deepEqual([left.fanId,left.online],["fan_b",["fan_a"]]);
+    say("✓ presence leave when a fan's last socket unsubscribes or closes");
+
+    // protocol
+    assert.equal((await ask(a,{type:"ping"})).type,"pong");
+    assert.equal((await ask(a,{type:"shout"})).code,"unknown_type");
+    a.raw(frame(9,Buffer.from("hb")));assert.equal((await a.until(f=>f.op===10,"pong frame")).data,"hb");
+    a.send("not json");assert.equal((await a.until(f=>f.json?.code==="bad_message","bad_message")).status,400);
+    const bin=await connect(`?token=${encodeURIComponent(tc)}`);bin.raw(frame(2,Buffer.from([1,2])));
+    assert.equal((await bin.until(f=>f.op===8,"1003")).code,1003);
+    const plain=await connect(`?token=${encodeURIComponent(tc)}`);plain.raw(frame(1,Buffer.from("{}"),{mask:false}));
+    assert.equal((await plain.until(f=>f.op===8,"1002")).code,1002);
+    const big=await connect(`?token=${encodeURIComponent(tc)}`);big.send({type:"ping",pad:"x".repeat(5000)});
+    assert.equal((await big.until(f=>f.op===8,"1009")).code,1009);
+    say("✓ ping/pong, JSON errors, binary (1003), unmasked (1002), oversized (1009)");
+
+    // cleanup
+    await sleep(30);
+    assert.equal(ws.getSocketStats().byRoute["/api/rooms/ws"],2,"a and b2 (closed and refused sockets are released)");
+    ws.closeAllSockets();
+    assert.equal((await a.until(f=>f.op===8,"1001")).code,1001);
+    assert.equal(ws.getSocketStats().open,0);
+    assert.deepEqual((await (await fetch(`${base}/api/rooms/${room.id}/presence`)).json()).online,[]);
+    say("✓ closeAllSockets() sends 1001 and clears presence");
+  }finally{ws.closeAllSockets();for(const c of sockets)c.socket.destroy();server.close();}
+  say("WebSocket checks passed.");
+}finally{console.log=out.log;console.error=out.error;rmSync(root,{recursive:true,force:true});}
@@ -1,19 +1,66 @@
 import express from "express";
 import cors from "cors";
+import { createDeepHealthHandler } from "./deepHealth.js";
+import { MODULE_MANIFEST_VERSION, getModuleManifest, validateModuleManifest, orderModules } from "./moduleManifest.js";
+import { startEventBus } from "./eventBus.js";
+import { startScheduler } from "./scheduler.js";
+import { attachWebSockets } from "./webSocket.js";
+import { loadConfig } from "./config.js";
+import { attachPrincipal } from "./identity.js";
+import { openApiHandler, notFoundHandler, apiErrorHandler } from "./apiSchema.js";
+import { metricsMiddleware, metricsHandler } from "./metrics.js";
+import { requestContext } from "./requestContext.js";
+import { logger, requestLogger } from "./logger.js";
+
+// validate every setting before anything mounts: a misspelled or malformed env var stops the boot
+const config=loadConfig();
+for(const w of config.warnings) logger.warn("config_warning",{message:w.message});
+for(const e of config.errors) logger.error("config_error",{message:e.message});
+if(config.errors.length&&config.values.core.strict){logger.error("config_invalid",{errors:config.errors.length,message:"refusing to boot (set IBAND_CONFIG_STRICT=false to run on defaults)"});process.exit(1);}
+if(!config.values.identity.secret) logger.warn("config_warning",{message:"IBAND_IDENTITY_SECRET is not set; identity tokens are signed with a per-process secret and stop working on restart."});
 
 const app = express();
-const PORT = process.env.PORT || 10000;
-const NODE_ENV = process.env.NODE_ENV || "development";
+const PORT = config.values.core.port;
+const NODE_ENV = config.values.core.nodeEnv;
+app.use(requestContext); // X-Request-Id in / out, current id for records + logs (requestContext.js)
+app.use(requestLogger); // one JSON "request" log line per response (logger.js)
+app.use(metricsMiddleware); // request count / latency / error codes per mounted route (metrics.js)
 app.use(cors({ origin: true, credentials: true }));
 app.use(express.json({ limit: "2mb" }));
 app.use(express.urlencoded({ extended: true }));
-async function mountRoute(basePath, importPath) { try { const mod=await import(importPath); const router=mod.default||mod; if(!router){console.log(`[mount:skip] ${basePath} -> ${importPath} (no_router_export)`);return;} app.use(basePath,router);console.log(`[mount:ok] ${basePath} -> ${importPath}`); } catch(error){ if(error?.code==="ERR_MODULE_NOT_FOUND"||error?.code==="MODULE_NOT_FOUND"){console.log(`[mount:skip] ${basePath} -> ${importPath} (missing_file)`);return;} console.log(`[mount:skip] ${basePath} -> ${importPath} (${error?.code||"load_error"})`); } }
+app.use(attachPrincipal); // req.principal from the identity token (identity.js); invalid tokens answer 401
+const mountRegistry={manifestVersion:MODULE_MANIFEST_VERSION,startedAt:null,completedAt:null,mounted:[],skipped:[],failed:[]};
+const moduleStatus=new Map();
+function recordModule(entry,status,extra={}){const record={id:entry.id,basePath:entry.basePath,file:entry.file,version:entry.version,dependsOn:entry.dependsOn||[],...(entry.note?{note:entry.note}:{}),...extra};moduleStatus.set(entry.id,status);mountRegistry[status].push(record);logger[status==="failed"?"error":"info"]("mount",{status,module:entry.id,basePath:entry.basePath,file:entry.file,reason:extra.reason,message:extra.message});return record;}
+async function mountModule(entry){
+ if(!entry.enabled) return recordModule(entry,"skipped",{reason:"disabled"});
+ const unavailable=(entry.dependsOn||[]).filter(dep=>moduleStatus.get(dep)!=="mounted");
+ if(unavailable.length) return recordModule(entry,"skipped",{reason:"dependency_unavailable",dependencies:unavailable});
+ try { const mod=await import(entry.file); const router=mod.default||mod; if(typeof router!=="function") return recordModule(entry,"skipped",{reason:"no_router_export"}); app.use(entry.basePath,router); return recordModule(entry,"mounted",{router}); }
+ catch(error){ if((error?.code==="ERR_MODULE_NOT_FOUND"||error?.code==="MODULE_NOT_FOUND")&&String(error?.message||"").includes(entry.file.replace(/^\.\//,""))) return recordModule(entry,"skipped",{reason:"missing_file"}); return recordModule(entry,"failed",{reason:error?.code||"load_error",message:error instanceof Error?error.message:String(error)}); }
+}
+function publicModuleRecord({router,...record}){return record;}
 app.get("/",(req,res)=>res.json({success:true,service:"iband-backend-first",app:"iBand",platform:"iBandbyte",company:"iBandbyte Ltd",environment:NODE_ENV,version:"movie-mentor-synthesis",message:"iBand backend is live.",now:new Date().toISOString()}));
 app.get("/health",(req,res)=>res.json({success:true,status:"ok",uptimeSec:Math.floor(process.uptime()),now:new Date().toISOString()}));
-app.get("/api",(req,res)=>res.json({success:true,message:"iBand API root",modules:["smart-feed","personalised-feed","feed-diversity","engagement-optimiser","session-learning","predictive-feed","movie-mentor-semantic","movie-mentor-specialists","movie-mentor-synthesis"]}));
+app.get("/metrics",metricsHandler); // Prometheus text format
+app.get("/health/deep",createDeepHealthHandler(()=>mountRegistry));
+app.get("/api/openapi.json",openApiHandler(()=>mountRegistry.mounted,{title:"iBand API",version:`manifest-${MODULE_MANIFEST_VERSION}`})); // route schemas (apiSchema.js) of every mounted module
+app.get("/api",(req,res)=>res.json({success:true,message:"iBand API root",manifestVersion:mountRegistry.manifestVersion,bootedAt:mountRegistry.completedAt,counts:{mounted:mountRegistry.mounted.length,skipped:mountRegistry.skipped.length,failed:mountRegistry.failed.length},modules:{mounted:mountRegistry.mounted.map(publicModuleRecord),skipped:mountRegistry.skipped.map(publicModuleRecord),failed:mountRegistry.failed.map(publicModuleRecord)}}));
 async function startServer(){
- await mountRoute("/api/smart-feed","./smartFeed.js"); await mountRoute("/api/personalised-feed","./personalisedFeed.js"); await mountRoute("/api/feed-diversity","./feedDiversity.js"); await mountRoute("/api/engagement-optimiser","./engagementOptimiser.js"); await mountRoute("/api/session-learning","./sessionLearning.js"); await mountRoute("/api/predictive-feed","./predictiveFeed.js");
- await mountRoute("/api/movie-mentor-semantic","./movieMentorSemantic.js"); await mountRoute("/api/movie-mentor-specialists","./movieMentorSpecialists.js"); await mountRoute("/api/movie-mentor-synthesis","./movieMentorSynthesis.js");
- app.use((req,res)=>res.status(404).json({success:false,message:"Route not found"})); app.listen(PORT,()=>console.log(`[boot] iband-backend-first listening on port ${PORT}`));
+ mountRegistry.startedAt=new Date().toISOString();
+ const manifest=getModuleManifest(); const check=validateModuleManifest(manifest); const invalid=new Map(check.issues.map(issue=>[issue.id,issue]));
+ const {ordered,cyclic}=orderModules(manifest.filter(entry=>!invalid.has(entry.id)));
+ for(const entry of manifest.filter(e=>invalid.has(e.id))) recordModule(entry,"failed",{reason:invalid.get(entry.id).code,message:invalid.get(entry.id).detail});
+ for(const entry of cyclic) recordModule(entry,"failed",{reason:"dependency_cycle"});
+ for(const entry of ordered) await mountModule(entry);
+ mountRegistry.completedAt=new Date().toISOString();
+ logger.info("boot_modules",{mounted:mountRegistry.mounted.length,skipped:mountRegistry.skipped.length,failed:mountRegistry.failed.length});
+ // every publisher/subscriber is imported by now: load bus checkpoints and replay what was not delivered
+ const replay=await startEventBus(); logger.info("boot_event_bus",{replayed:replay.delivered,events:replay.events,errors:replay.errors.length});
+ // jobs register when their modules load; start ticking once they are all in
+ const scheduler=startScheduler(); logger.info("boot_scheduler",scheduler);
+ app.use(notFoundHandler); app.use(apiErrorHandler); const server=app.listen(PORT,()=>logger.info("listening",{service:"iband-backend-first",port:PORT}));
+ // socket routes (rooms.js) registered while their modules mounted; upgrades share the HTTP port
+ logger.info("boot_websockets",attachWebSockets(server));
 }
 startServer();
@@ -1,6 +1,13 @@
 import express from "express";
 
+import { attachPrincipal, resolveFan } from "./identity.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+
 const router = express.Router();
+router.use(attachPrincipal);
+const api = describeRoutes(router, { tag: "session-learning" });
+
+const EVENT_TYPES = ["watch", "skip", "replay", "like", "share", "save"];
 
 /*
 |--------------------------------------------------------------------------
@@ -189,24 +196,25 @@ router.get("/:sessionId", (req, res) => {
 |--------------------------------------------------------------------------
 */
 
-router.post("/", (req, res) => {
-  const { sessionId, eventType, genre, country, durationSec, meta } = req.body || {};
-
-  if (!sessionId || !eventType) {
-    return res.status(400).json({
-      success: false,
-      message: "sessionId and eventType are required."
-    });
-  }
-
-  const allowedEventTypes = ["watch", "skip", "replay", "like", "share", "save"];
-
-  if (!allowedEventTypes.includes(eventType)) {
-    return res.status(400).json({
-      success: false,
-      message: "Unsupported eventType."
-    });
-  }
+api.post("/", {
+  summary: "Record a behavioural event for the fan's session",
+  auth: "fan",
+  body: S.obj({
+    eventType: S.enumOf(EVENT_TYPES),
+    sessionId: S.text(120),
+    genre: S.text(80),
+    country: S.text(80),
+    durationSec: S.num(0),
+    meta: S.map()
+  }, ["eventType"])
+}, (req, res) => {
+  const { eventType, genre, country, durationSec, meta } = req.body;
+
+  const who = resolveFan(req, { sessionId: req.body.sessionId });
+  if (who.error) return sendError(res, who.error.status, who.error.code, who.error.message);
+  const sessionId = who.sessionId;
+
+  if (!sessionId) return sendError(res, 400, "validation_failed", "sessionId is required.");
 
   const session = ensureSession(sessionId);
 
@@ -1,31 +1,49 @@
 import express from "express";
-import fs from "fs";
 import path from "path";
 import crypto from "crypto";
 
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+import { publish, registerSource } from "./eventBus.js";
+import { attachPrincipal, resolveFan } from "./identity.js";
+import { rateLimit } from "./rateLimit.js";
+import { idempotent } from "./idempotency.js";
+import { currentRequestId } from "./requestContext.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+import { getTrack } from "./artistsStore.js";
+
 const router = express.Router();
+router.use(attachPrincipal);
+const api = describeRoutes(router, { tag: "shares" });
 
 const SERVICE = "shares";
 const PHASE = "H4";
 const VERSION = 2;
 
-const DATA_DIR = "/var/data/iband/db";
+const DATA_DIR = getConfig("core").dataDir;
 const SHARES_DIR = path.join(DATA_DIR, "shares/events");
 const SHARES_FILE = path.join(SHARES_DIR, "shares.jsonl");
 
-function ensureDir(dir) {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-}
+// Segmented: trends / ambassadors read time windows across rotated segments.
+const sharesLog = openSegmentedLog(getStorage(DATA_DIR), SHARES_FILE);
+registerSource("shares", sharesLog);
 
-function writeEvent(event) {
-  ensureDir(SHARES_DIR);
-  fs.appendFileSync(SHARES_FILE, JSON.stringify(event) + "\n");
+async function writeEvent(event) {
+  await sharesLog.append(event);
+  publish("share.recorded", event);
 }
 
 /*
 Health check
 */
-router.get("/health", (req, res) => {
+router.get("/health", async (req, res) => {
+
+  let segments = null;
+  try {
+    segments = await sharesLog.stat();
+  } catch {
+    segments = null;
+  }
 
   res.json({
     success: true,
@@ -34,9 +52,10 @@ router.get("/health", (req, res) => {
     storageDir: SHARES_DIR,
     eventsFile: {
       path: SHARES_FILE,
-      ok: fs.existsSync(SHARES_FILE),
-      size: fs.existsSync(SHARES_FILE) ? fs.statSync(SHARES_FILE).size : 0
+      ok: !!segments && segments.active.lines > 0,
+      size: segments ? segments.active.bytes : 0
     },
+    segments,
     ts: new Date().toISOString()
   });
 
@@ -44,30 +63,46 @@ router.get("/health", (req, res) => {
 
 /*
 Record share event
+Optional trackId: must be a catalogued track of the artist (tracks.js); recorded with
+assetType "track" so the trends.js track routes and track stats count it.
 */
-router.post("/", (req, res) => {
+api.post("/", {
+  summary: "Record a share",
+  auth: "fan-optional",
+  body: S.obj({
+    artistId: S.id(),
+    trackId: S.id(),
+    platform: S.text(40),
+    fanId: S.text(80)
+  }, ["artistId"]),
+  responses: { 200: "Share recorded.", 404: "Track not found.", 429: "Rate limit exceeded." }
+}, idempotent("shares.record"), rateLimit("shares.record"), async (req, res) => {
 
   try {
 
-    const { artistId, fanId, platform } = req.body;
+    const { artistId, platform, trackId } = req.body;
+
+    // the sharer is the signed-in fan; anonymous shares are recorded without a fanId
+    const who = resolveFan(req, { fanId: req.body.fanId }, { optional: true });
+    if (who.error) return sendError(res, who.error.status, who.error.code, who.error.message);
+    const fanId = who.fanId;
 
-    if (!artistId) {
-      return res.status(400).json({
-        success: false,
-        error: "artistId_required"
-      });
+    if (trackId && !getTrack(artistId, trackId)) {
+      return sendError(res, 404, "track_not_found", "No such track for this artist.");
     }
 
     const event = {
       id: crypto.randomBytes(12).toString("hex"),
       type: "share",
       artistId,
+      ...(trackId ? { assetType: "track", trackId } : {}),
       fanId: fanId || null,
       platform: platform || "iband",
-      ts: new Date().toISOString()
+      ts: new Date().toISOString(),
+      requestId: currentRequestId()
     };
 
-    writeEvent(event);
+    await writeEvent(event);
 
     res.json({
       success: true,
@@ -77,11 +112,7 @@ router.post("/", (req, res) => {
 
   } catch (err) {
 
-    res.status(500).json({
-      success: false,
-      error: "share_record_failed",
-      message: err.message
-    });
+    sendError(res, 500, "share_record_failed", err.message);
 
   }
 
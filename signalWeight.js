@@ -1,6 +1,8 @@
 import express from "express";
+import { describeRoutes, S } from "./apiSchema.js";
 
 const router = express.Router();
+const api = describeRoutes(router, { tag: "signal-weight" });
 
 /*
 |--------------------------------------------------------------------------
@@ -65,17 +67,13 @@ router.get("/", (req, res) => {
 | Convert action -> score
 */
 
-router.post("/signal", (req, res) => {
+api.post("/signal", {
+  summary: "Weigh an action into a signal score",
+  body: S.obj({ artistId: S.id(), action: S.id(40) }, ["artistId", "action"])
+}, (req, res) => {
 
   const { artistId, action } = req.body;
 
-  if (!artistId || !action) {
-    return res.status(400).json({
-      success: false,
-      message: "artistId and action are required"
-    });
-  }
-
   const value = calculateWeight(action);
 
   const signal = {
@@ -0,0 +1,53 @@
+/**
+ * storage/common.js (ESM)
+ * Shared helpers for the storage adapters (key normalisation + JSONL parsing).
+ */
+
+import path from "path";
+
+/**
+ * Keys are paths relative to the adapter root ("genres/genres.json").
+ * Absolute paths inside the root are folded to the same relative key, so callers can keep
+ * passing their existing *_FILE constants. Paths outside the root stay absolute.
+ */
+export function toKey(root, key) {
+  const raw = String(key || "").trim();
+  if (!raw) throw new Error("Storage key is required.");
+
+  const abs = path.resolve(root, raw);
+  const rel = path.relative(root, abs);
+  if (rel && !rel.startsWith("..") && !path.isAbsolute(rel)) return rel.split(path.sep).join("/");
+  return abs;
+}
+
+export function parseJsonText(raw, fallback) {
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed === null || parsed === undefined ? fallback : parsed;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Parses JSONL lines (oldest first), skipping blank/corrupt lines.
+ * maxLines keeps only the newest N parsed rows.
+ */
+export function parseJsonlLines(lines, { maxLines } = {}) {
+  const out = [];
+  for (const line of lines) {
+    if (!line) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // skip corrupt line
+    }
+  }
+  const cap = Number(maxLines);
+  if (Number.isFinite(cap) && cap > 0 && out.length > cap) return out.slice(out.length - cap);
+  return out;
+}
+
+export function byteLength(s) {
+  return Buffer.byteLength(String(s), "utf8");
+}
@@ -0,0 +1,178 @@
+/**
+ * storage/fileAdapter.js (ESM)
+ * File adapter — keeps today's on-disk layout exactly:
+ * - JSON documents are written atomically (temp file + rename)
+ * - JSONL logs are appended one line per record
+ * - key "genres/genres.json" -> <root>/genres/genres.json
+ * - advisory locks are sibling "<file>.lock" files created exclusively (O_EXCL), so they
+ *   also hold across processes sharing the data dir
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import os from "os";
+
+import { toKey, parseJsonText, parseJsonlLines } from "./common.js";
+
+export function createFileAdapter({ root }) {
+  const resolvePath = (key) => path.resolve(root, toKey(root, key));
+
+  async function ensureParent(p) {
+    await fs.mkdir(path.dirname(p), { recursive: true });
+  }
+
+  function pidAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (e) {
+      return e?.code === "EPERM";
+    }
+  }
+
+  async function stat(key) {
+    try {
+      const s = await fs.stat(resolvePath(key));
+      return { exists: true, size: s.size, mtimeMs: s.mtimeMs };
+    } catch {
+      return { exists: false, size: 0, mtimeMs: null };
+    }
+  }
+
+  return {
+    kind: "file",
+    root,
+
+    resolvePath,
+
+    async readJson(key, fallback = null) {
+      try {
+        const raw = await fs.readFile(resolvePath(key), "utf8");
+        return parseJsonText(raw, fallback);
+      } catch {
+        return fallback;
+      }
+    },
+
+    async writeJson(key, value) {
+      const p = resolvePath(key);
+      await ensureParent(p);
+      const tmp = `${p}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(value, null, 2), "utf8");
+      await fs.rename(tmp, p);
+    },
+
+    async appendJsonl(key, obj) {
+      const p = resolvePath(key);
+      await ensureParent(p);
+      await fs.appendFile(p, `${JSON.stringify(obj)}\n`, "utf8");
+    },
+
+    /**
+     * tailBytes: only read the last N bytes (a cut first line is skipped as corrupt).
+     * maxLines: keep only the newest N rows.
+     */
+    async readJsonl(key, { tailBytes, maxLines } = {}) {
+      const p = resolvePath(key);
+      let fd = null;
+      try {
+        const s = await fs.stat(p);
+        const limit = Number(tailBytes);
+        const readBytes = Number.isFinite(limit) && limit > 0 ? Math.min(s.size, limit) : s.size;
+        if (!readBytes) return [];
+
+        fd = await fs.open(p, "r");
+        const buf = Buffer.alloc(readBytes);
+        await fd.read(buf, 0, readBytes, Math.max(0, s.size - readBytes));
+        return parseJsonlLines(buf.toString("utf8").split("\n"), { maxLines });
+      } catch {
+        return [];
+      } finally {
+        if (fd) await fd.close().catch(() => {});
+      }
+    },
+
+    stat,
+
+    async exists(key) {
+      return (await stat(key)).exists;
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolvePath(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    /** Moves a document/log to a new key (used to seal log segments). */
+    async rename(fromKey, toKey) {
+      const to = resolvePath(toKey);
+      await ensureParent(to);
+      await fs.rename(resolvePath(fromKey), to);
+    },
+
+    /**
+     * One attempt at the advisory lock for `key`. A lock older than staleMs, or held by a dead
+     * process on this host, is broken (brokeStale: true) and the caller retries.
+     */
+    async acquireLock(key, { token, staleMs }) {
+      const p = `${resolvePath(key)}.lock`;
+      await ensureParent(p);
+      const owner = { token, pid: process.pid, host: os.hostname(), at: new Date().toISOString() };
+      try {
+        await fs.writeFile(p, JSON.stringify(owner), { encoding: "utf8", flag: "wx" });
+        return { acquired: true, brokeStale: false };
+      } catch (e) {
+        if (e?.code !== "EEXIST") throw e;
+      }
+
+      let holder = null;
+      let ageMs = 0;
+      try {
+        const s = await fs.stat(p);
+        ageMs = Date.now() - s.mtimeMs;
+        holder = parseJsonText(await fs.readFile(p, "utf8"), null);
+      } catch (e) {
+        if (e?.code === "ENOENT") return { acquired: false, brokeStale: false }; // released meanwhile
+        throw e;
+      }
+
+      const deadOwner = holder?.host === os.hostname() && holder?.pid !== process.pid && !pidAlive(holder?.pid);
+      if (ageMs <= staleMs && !deadOwner) return { acquired: false, brokeStale: false };
+
+      // Move the stale lock aside first: if another process replaced it meanwhile, put theirs back.
+      const aside = `${p}.${crypto.randomBytes(6).toString("hex")}.stale`;
+      try {
+        await fs.rename(p, aside);
+        const moved = parseJsonText(await fs.readFile(aside, "utf8"), null);
+        if (holder && moved?.token !== holder.token) await fs.link(aside, p).catch(() => {});
+        await fs.unlink(aside).catch(() => {});
+      } catch {
+        // someone else broke it first
+      }
+      return { acquired: false, brokeStale: true };
+    },
+
+    async releaseLock(key, token) {
+      const p = `${resolvePath(key)}.lock`;
+      try {
+        const holder = parseJsonText(await fs.readFile(p, "utf8"), null);
+        if (holder?.token !== token) return false;
+        await fs.unlink(p);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    describe() {
+      return { adapter: "file", root };
+    },
+  };
+}
+
+export default createFileAdapter;
@@ -0,0 +1,166 @@
+/**
+ * storage/index.js (ESM)
+ * iBand Storage Layer (v1)
+ *
+ * One async interface for every store, with the backend picked from config.js (namespace "storage"):
+ * - IBAND_STORAGE_ADAPTER=file    (default) today's on-disk layout (JSON + JSONL files under the data dir)
+ * - IBAND_STORAGE_ADAPTER=memory  in-process only (tests / throwaway demo boots)
+ * - IBAND_STORAGE_ADAPTER=sqlite  embedded SQL via node:sqlite (Node 22.5+; CI checks it on Node 22)
+ * - IBAND_STORAGE_SQLITE_FILE     sqlite file, relative to the store root (default "iband.sqlite")
+ *
+ * Adapter interface (all async):
+ * - readJson(key, fallback)                  -> parsed document or fallback (missing / corrupt)
+ * - writeJson(key, value)                    -> atomic replace
+ * - appendJsonl(key, obj)                    -> one record appended to a log
+ * - readJsonl(key, { tailBytes, maxLines })  -> parsed records, oldest first, corrupt lines skipped
+ * - stat(key)                                -> { exists, size, mtimeMs }
+ * - exists(key) / remove(key)
+ * - rename(fromKey, toKey)                   -> move a document/log (replaces the target)
+ * - acquireLock(key, { token, staleMs })     -> one attempt at an advisory lock ({ acquired, brokeStale })
+ * - releaseLock(key, token)
+ * - describe()                               -> { adapter, root, ... } for health payloads
+ *
+ * Keys are paths relative to the store root ("genres/genres.json"). Absolute paths inside the
+ * root are accepted and folded to the same key, so modules keep their existing *_FILE constants.
+ *
+ * Usage:
+ *   import { getStorage } from "./storage/index.js";
+ *   const storage = getStorage(DATA_DIR);
+ *   const store = await storage.readJson(STORE_FILE, { version: 1, items: [] });
+ *
+ * Append-only logs that grow forever (events, shares, monetisation, room messages, strikes) use
+ * openSegmentedLog(storage, FILE) from segmentedLog.js for rotation + time-range reads.
+ *
+ * Read-modify-write stores (votes state, purchases, achievements, genres) wrap each cycle in
+ * withFileLock(storage, FILE, fn) from lock.js.
+ *
+ * Every adapter reports JSONL reads / scanned lines and log sizes to metrics.js (GET /metrics);
+ * sealed segments count under their log's key.
+ */
+
+import path from "path";
+
+import { resolveNamespace } from "../config.js";
+import { counter, gauge, registerCollector } from "../metrics.js";
+import { createFileAdapter } from "./fileAdapter.js";
+import { createMemoryAdapter } from "./memoryAdapter.js";
+import { createSqliteAdapter } from "./sqliteAdapter.js";
+import { listSegmentedLogs } from "./segmentedLog.js";
+import { toKey } from "./common.js";
+
+export { openSegmentedLog, getSegmentConfig, listSegmentedLogs } from "./segmentedLog.js";
+export { withFileLock, getLockStats, getLockConfig } from "./lock.js";
+
+export const STORAGE_ADAPTERS = Object.freeze({
+  file: createFileAdapter,
+  memory: createMemoryAdapter,
+  sqlite: createSqliteAdapter,
+});
+
+const INSTANCES = new Map(); // `${adapter}|${root}|${sqliteFile}` -> adapter
+
+export function getStorageConfig(env = process.env) {
+  const { values, errors } = resolveNamespace("storage", env);
+  if (errors.some((e) => e.key === "storage.adapter")) {
+    const adapter = String(env.IBAND_STORAGE_ADAPTER).trim().toLowerCase();
+    const err = new Error(
+      `Unknown IBAND_STORAGE_ADAPTER "${adapter}". Expected one of: ${Object.keys(STORAGE_ADAPTERS).join(", ")}.`
+    );
+    err.code = "STORAGE_ADAPTER_UNKNOWN";
+    throw err;
+  }
+
+  return { adapter: values.adapter, sqliteFile: values.sqliteFile };
+}
+
+/* -------------------- Metrics -------------------- */
+
+const jsonlReads = counter("iband_jsonl_reads_total", "JSONL reads through the storage layer by file.", ["file"]);
+const jsonlScanned = counter("iband_jsonl_lines_scanned_total", "JSONL lines parsed by storage reads, by file.", ["file"]);
+const jsonlBytes = gauge("iband_jsonl_file_bytes", "Size of each JSONL log (segmented logs: active + sealed segments).", ["file"]);
+const jsonlLines = gauge("iband_jsonl_lines", "Lines in each segmented JSONL log (active + sealed segments).", ["file"]);
+
+const JSONL_FILES = new Map(); // file label -> { storage, keys: Set }
+
+// "db/events.segments/events.000003.jsonl" -> "db/events.jsonl"
+function jsonlLabel(key) {
+  return key.replace(/(^|\/)([^/]+)\.segments\/\2\.\d+\.jsonl$/, "$1$2.jsonl");
+}
+
+function trackJsonl(storage, rawKey) {
+  const key = toKey(storage.root, rawKey);
+  const file = jsonlLabel(key);
+  let entry = JSONL_FILES.get(file);
+  if (!entry) JSONL_FILES.set(file, (entry = { storage, keys: new Set() }));
+  entry.keys.add(key);
+  return file;
+}
+
+function instrument(storage) {
+  const { readJsonl, appendJsonl } = storage;
+  storage.readJsonl = async (key, opts) => {
+    const rows = await readJsonl(key, opts);
+    const file = trackJsonl(storage, key);
+    jsonlReads.inc({ file });
+    jsonlScanned.inc({ file }, rows.length);
+    return rows;
+  };
+  storage.appendJsonl = async (key, obj) => {
+    await appendJsonl(key, obj);
+    trackJsonl(storage, key);
+  };
+  return storage;
+}
+
+registerCollector(async () => {
+  jsonlBytes.reset();
+  jsonlLines.reset();
+  const done = new Set();
+  for (const log of listSegmentedLogs()) {
+    const st = await log.stat();
+    jsonlBytes.set({ file: log.key }, st.active.bytes + st.sealed.bytes);
+    jsonlLines.set({ file: log.key }, st.active.lines + st.sealed.lines);
+    done.add(log.key);
+  }
+  for (const [file, { storage, keys }] of JSONL_FILES) {
+    if (done.has(file)) continue;
+    let bytes = 0;
+    for (const key of keys) bytes += (await storage.stat(key)).size || 0;
+    jsonlBytes.set({ file }, bytes);
+  }
+});
+
+/**
+ * Builds a fresh adapter (no caching). Tests use this with { adapter: "memory" }.
+ */
+export function createStorage({ root, adapter, sqliteFile } = {}) {
+  if (!root) throw new Error("createStorage: root is required.");
+  const cfg = getStorageConfig(adapter ? { IBAND_STORAGE_ADAPTER: adapter, IBAND_STORAGE_SQLITE_FILE: sqliteFile } : process.env);
+  return instrument(STORAGE_ADAPTERS[cfg.adapter]({ root: path.resolve(root), sqliteFile: cfg.sqliteFile }));
+}
+
+/**
+ * Shared adapter for a store root, configured from env.
+ * Modules that share a data dir share one adapter (important for memory + sqlite).
+ */
+export function getStorage(root, opts = {}) {
+  const cfg = getStorageConfig(opts.adapter ? { IBAND_STORAGE_ADAPTER: opts.adapter, IBAND_STORAGE_SQLITE_FILE: opts.sqliteFile } : process.env);
+  const absRoot = path.resolve(root);
+  const id = `${cfg.adapter}|${absRoot}|${cfg.sqliteFile}`;
+
+  if (!INSTANCES.has(id)) INSTANCES.set(id, createStorage({ root: absRoot, adapter: cfg.adapter, sqliteFile: cfg.sqliteFile }));
+  return INSTANCES.get(id);
+}
+
+/** Test helper: forget cached adapters (memory adapters lose their data). */
+export function resetStorageCache() {
+  INSTANCES.clear();
+}
+
+export default {
+  STORAGE_ADAPTERS,
+  getStorageConfig,
+  createStorage,
+  getStorage,
+  resetStorageCache,
+};
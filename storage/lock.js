@@ -0,0 +1,176 @@
+/**
+ * storage/lock.js (ESM)
+ * Serialised read-modify-write for whole-file JSON stores (v1).
+ *
+ * withFileLock(storage, FILE, fn) runs fn with two layers of exclusion:
+ * 1) a per-key async mutex (FIFO promise chain) inside this process
+ * 2) the adapter's advisory lock (file: "<file>.lock", sqlite: locks table) across processes
+ *
+ * fn must do the whole cycle inside the lock: read fresh -> mutate -> write.
+ *
+ * Conflict detection:
+ * - after every locked cycle the file's fingerprint (size + mtime) is remembered
+ * - if the next cycle finds a different fingerprint, someone wrote the file outside this
+ *   process's lock chain (another process, or an unlocked writer) -> conflicts += 1
+ * - fn receives { externalChange } so callers holding an in-memory cache can drop it
+ *
+ * Env (config.js namespace "locks"):
+ * - IBAND_LOCK_TIMEOUT_MS  max wait for the advisory lock (default 5000) -> STORAGE_LOCK_TIMEOUT
+ * - IBAND_LOCK_STALE_MS    a lock held longer than this is considered abandoned (default 30000)
+ * - IBAND_LOCK_FILES=false skip the advisory lock (single-process deployments)
+ */
+
+import crypto from "crypto";
+
+import { getConfig } from "../config.js";
+import { toKey } from "./common.js";
+
+const CHAINS = new WeakMap(); // storage adapter -> Map(key -> tail promise)
+const FINGERPRINTS = new WeakMap(); // storage adapter -> Map(key -> "size:mtimeMs")
+const STATS = new Map(); // `${adapter}:${key}` -> counters
+
+export function getLockConfig(env = process.env) {
+  const { timeoutMs, staleMs, lockFiles } = getConfig("locks", env);
+  return { timeoutMs, staleMs, lockFiles };
+}
+
+function perStorage(registry, storage) {
+  let m = registry.get(storage);
+  if (!m) {
+    m = new Map();
+    registry.set(storage, m);
+  }
+  return m;
+}
+
+function statsFor(storage, key) {
+  const id = `${storage.describe?.().adapter || storage.kind || "storage"}:${key}`;
+  if (!STATS.has(id)) {
+    STATS.set(id, {
+      key,
+      adapter: storage.describe?.().adapter || storage.kind || null,
+      acquired: 0,
+      contended: 0,
+      waitMsTotal: 0,
+      maxWaitMs: 0,
+      lockRetries: 0,
+      staleBroken: 0,
+      timeouts: 0,
+      conflicts: 0,
+      lastConflictAt: null,
+    });
+  }
+  return STATS.get(id);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function fingerprint(st) {
+  return st?.exists ? `${st.size}:${st.mtimeMs}` : "missing";
+}
+
+async function acquireAdvisory(storage, key, token, cfg, stats) {
+  if (!cfg.lockFiles || typeof storage.acquireLock !== "function") return false;
+
+  const deadline = Date.now() + cfg.timeoutMs;
+  let delay = 5;
+  for (;;) {
+    const r = await storage.acquireLock(key, { token, staleMs: cfg.staleMs });
+    if (r.brokeStale) stats.staleBroken += 1;
+    if (r.acquired) return true;
+    if (r.brokeStale) continue;
+
+    if (Date.now() + delay > deadline) {
+      stats.timeouts += 1;
+      const err = new Error(`Timed out after ${cfg.timeoutMs}ms waiting for the lock on ${key}.`);
+      err.code = "STORAGE_LOCK_TIMEOUT";
+      err.key = key;
+      throw err;
+    }
+    stats.lockRetries += 1;
+    await sleep(delay + Math.floor(Math.random() * delay));
+    delay = Math.min(delay * 2, 100);
+  }
+}
+
+/**
+ * Runs fn({ externalChange }) while holding the lock for `file`; resolves with fn's result.
+ * Throws STORAGE_LOCK_TIMEOUT when another holder keeps the advisory lock past the timeout.
+ */
+export async function withFileLock(storage, file, fn, options = {}) {
+  const cfg = { ...getLockConfig(), ...options };
+  const key = toKey(storage.root, file);
+  const stats = statsFor(storage, key);
+
+  const chains = perStorage(CHAINS, storage);
+  const prev = chains.get(key);
+  let release;
+  const mine = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = (prev || Promise.resolve()).then(() => mine);
+  chains.set(key, tail);
+
+  const started = Date.now();
+  if (prev) {
+    stats.contended += 1;
+    await prev;
+  }
+
+  const token = crypto.randomBytes(12).toString("hex");
+  let advisory = false;
+  try {
+    advisory = await acquireAdvisory(storage, key, token, cfg, stats);
+
+    const waited = Date.now() - started;
+    stats.acquired += 1;
+    stats.waitMsTotal += waited;
+    if (waited > stats.maxWaitMs) stats.maxWaitMs = waited;
+
+    const prints = perStorage(FINGERPRINTS, storage);
+    const before = fingerprint(await storage.stat(key));
+    const externalChange = prints.has(key) && prints.get(key) !== before;
+    if (externalChange) {
+      stats.conflicts += 1;
+      stats.lastConflictAt = new Date().toISOString();
+    }
+
+    try {
+      return await fn({ externalChange });
+    } finally {
+      prints.set(key, fingerprint(await storage.stat(key).catch(() => null)));
+    }
+  } finally {
+    if (advisory) await storage.releaseLock(key, token).catch(() => {});
+    release();
+    if (chains.get(key) === tail) chains.delete(key);
+  }
+}
+
+/** Lock counters, optionally narrowed to one file (health payloads). */
+export function getLockStats(storage = null, file = null) {
+  const rows = [...STATS.values()];
+  if (storage && file) {
+    const key = toKey(storage.root, file);
+    const adapter = storage.describe?.().adapter || storage.kind || null;
+    return rows.find((r) => r.key === key && r.adapter === adapter) || null;
+  }
+
+  const totals = { acquired: 0, contended: 0, lockRetries: 0, staleBroken: 0, timeouts: 0, conflicts: 0 };
+  for (const r of rows) for (const f of Object.keys(totals)) totals[f] += r[f];
+  return { config: getLockConfig(), totals, files: rows };
+}
+
+/** Test helper. */
+export function resetLockStats() {
+  STATS.clear();
+}
+
+export default {
+  getLockConfig,
+  withFileLock,
+  getLockStats,
+  resetLockStats,
+};
@@ -0,0 +1,125 @@
+/**
+ * storage/memoryAdapter.js (ESM)
+ * In-memory adapter — for tests and throwaway demo boots.
+ * Values are kept serialised so callers never share object references with the store.
+ * Nothing survives a restart.
+ */
+
+import { toKey, parseJsonText, parseJsonlLines, byteLength } from "./common.js";
+
+export function createMemoryAdapter({ root }) {
+  const docs = new Map(); // key -> { raw, mtimeMs }
+  const logs = new Map(); // key -> { lines: string[], mtimeMs }
+  const locks = new Map(); // key -> { token, atMs }
+
+  const k = (key) => toKey(root, key);
+
+  async function stat(key) {
+    const id = k(key);
+    if (docs.has(id)) {
+      const d = docs.get(id);
+      return { exists: true, size: byteLength(d.raw), mtimeMs: d.mtimeMs };
+    }
+    if (logs.has(id)) {
+      const l = logs.get(id);
+      return { exists: true, size: l.lines.reduce((n, line) => n + byteLength(line) + 1, 0), mtimeMs: l.mtimeMs };
+    }
+    return { exists: false, size: 0, mtimeMs: null };
+  }
+
+  return {
+    kind: "memory",
+    root,
+
+    async readJson(key, fallback = null) {
+      const d = docs.get(k(key));
+      return d ? parseJsonText(d.raw, fallback) : fallback;
+    },
+
+    async writeJson(key, value) {
+      docs.set(k(key), { raw: JSON.stringify(value), mtimeMs: Date.now() });
+    },
+
+    async appendJsonl(key, obj) {
+      const id = k(key);
+      const l = logs.get(id) || { lines: [], mtimeMs: null };
+      l.lines.push(JSON.stringify(obj));
+      l.mtimeMs = Date.now();
+      logs.set(id, l);
+    },
+
+    async readJsonl(key, { tailBytes, maxLines } = {}) {
+      const l = logs.get(k(key));
+      if (!l) return [];
+
+      let lines = l.lines;
+      const limit = Number(tailBytes);
+      if (Number.isFinite(limit) && limit > 0) {
+        let used = 0;
+        let start = lines.length;
+        while (start > 0 && used + byteLength(lines[start - 1]) + 1 <= limit) {
+          start -= 1;
+          used += byteLength(lines[start]) + 1;
+        }
+        lines = lines.slice(start);
+      }
+      return parseJsonlLines(lines, { maxLines });
+    },
+
+    stat,
+
+    async exists(key) {
+      return (await stat(key)).exists;
+    },
+
+    async remove(key) {
+      const id = k(key);
+      return docs.delete(id) || logs.delete(id);
+    },
+
+    async rename(fromKey, toKey) {
+      const from = k(fromKey);
+      const to = k(toKey);
+      const map = docs.has(from) ? docs : logs.has(from) ? logs : null;
+      if (!map) {
+        const err = new Error(`No such key: ${from}`);
+        err.code = "ENOENT";
+        throw err;
+      }
+      const entry = map.get(from);
+      docs.delete(to);
+      logs.delete(to);
+      map.delete(from);
+      map.set(to, entry);
+    },
+
+    /** Advisory lock (process-local: a memory store is never shared between processes). */
+    async acquireLock(key, { token, staleMs }) {
+      const id = k(key);
+      const held = locks.get(id);
+      if (held && Date.now() - held.atMs <= staleMs) return { acquired: false, brokeStale: false };
+      locks.set(id, { token, atMs: Date.now() });
+      return { acquired: true, brokeStale: !!held };
+    },
+
+    async releaseLock(key, token) {
+      const id = k(key);
+      if (locks.get(id)?.token !== token) return false;
+      locks.delete(id);
+      return true;
+    },
+
+    /** Test helper: drop everything held by this adapter. */
+    clear() {
+      docs.clear();
+      logs.clear();
+      locks.clear();
+    },
+
+    describe() {
+      return { adapter: "memory", root, documents: docs.size, logs: logs.size };
+    },
+  };
+}
+
+export default createMemoryAdapter;
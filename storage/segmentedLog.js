@@ -0,0 +1,469 @@
+/**
+ * storage/segmentedLog.js (ESM)
+ * Segmented JSONL logs (v1) — rotation, per-segment index, time-range reads, compaction.
+ *
+ * Layout for a log at "events.jsonl" (any storage adapter):
+ * - events.jsonl                          active segment (same key as before, so tail readers keep working)
+ * - events.segments/events.000001.jsonl   sealed segments (immutable until compacted)
+ * - events.segments/index.json            per-segment index: time range, line/byte counts, artistId counts
+ * - events.segments/rollups.json          daily rollups of compacted segments (counts by type + artistId)
+ *
+ * Rotation (checked on append; config.js namespace "logs"):
+ * - IBAND_LOG_ROTATE=day (default)  -> seal when the UTC day changes, or when the size cap is hit
+ * - IBAND_LOG_ROTATE=size           -> seal on the size cap only
+ * - IBAND_LOG_SEGMENT_MAX_BYTES     -> size cap per segment (default 8MB)
+ *
+ * Compaction (npm run logs:compact):
+ * - IBAND_LOG_COMPACT_AFTER_DAYS    -> sealed segments older than this fold into rollups (default 400,
+ *                                      longer than any scoring window, so window scores stay exact)
+ *
+ * Index fields come from the records: time = at | ts | createdAt | timestamp, artist = artistId | meta.artistId.
+ *
+ * Usage:
+ *   const log = openSegmentedLog(getStorage(DATA_DIR), EVENTS_LOG_FILE);
+ *   await log.append(evt);
+ *   const { events, meta } = await log.readRange({ fromMs: Date.now() - 7 * 86400000, artistId });
+ */
+
+import path from "path";
+
+import { getConfig } from "../config.js";
+import { logger } from "../logger.js";
+import { toKey, byteLength } from "./common.js";
+
+const INDEX_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Past this many distinct artists a segment stops tracking them (artist filters then scan it).
+const MAX_INDEXED_ARTISTS = 2000;
+
+const REGISTRY = new WeakMap(); // storage adapter -> Map(key -> log)
+const OPEN_LOGS = new Set(); // every shared log, for the size gauges in storage/index.js
+
+/* -------------------- Helpers -------------------- */
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+export function getSegmentConfig(env = process.env) {
+  const { rotate, maxBytes, compactAfterDays } = getConfig("logs", env);
+  return { rotate, maxBytes, compactAfterDays };
+}
+
+export function recordTimeMs(rec) {
+  const raw = rec?.at ?? rec?.ts ?? rec?.createdAt ?? rec?.timestamp;
+  if (typeof raw === "number") return Number.isFinite(raw) ? raw : null;
+  const t = Date.parse(raw || "");
+  return Number.isFinite(t) ? t : null;
+}
+
+export function recordArtistId(rec) {
+  const v = rec?.artistId ?? rec?.meta?.artistId ?? null;
+  const s = v === null || v === undefined ? "" : String(v).trim();
+  return s || null;
+}
+
+function segmentPaths(key) {
+  const dir = path.dirname(key);
+  const base = path.basename(key).replace(/\.jsonl$/i, "");
+  const segDir = dir === "." ? `${base}.segments` : path.join(dir, `${base}.segments`);
+  return {
+    dir: segDir,
+    index: path.join(segDir, "index.json"),
+    rollups: path.join(segDir, "rollups.json"),
+    segment: (seq) => path.join(segDir, `${base}.${String(seq).padStart(6, "0")}.jsonl`),
+  };
+}
+
+function emptyStats() {
+  return { lines: 0, bytes: 0, fromMs: null, toMs: null, artists: {}, artistCount: 0, artistsOverflow: false };
+}
+
+function addToStats(st, rec, bytes) {
+  st.lines += 1;
+  st.bytes += bytes;
+
+  const t = recordTimeMs(rec);
+  if (t !== null) {
+    if (st.fromMs === null || t < st.fromMs) st.fromMs = t;
+    if (st.toMs === null || t > st.toMs) st.toMs = t;
+  }
+
+  const artistId = recordArtistId(rec);
+  if (!artistId || st.artistsOverflow) return;
+  if (st.artists[artistId] === undefined) {
+    if (st.artistCount >= MAX_INDEXED_ARTISTS) {
+      st.artistsOverflow = true;
+      st.artists = {};
+      return;
+    }
+    st.artistCount += 1;
+    st.artists[artistId] = 0;
+  }
+  st.artists[artistId] += 1;
+}
+
+function toIndexEntry(seq, segKey, st) {
+  return {
+    seq,
+    key: segKey,
+    fromMs: st.fromMs,
+    toMs: st.toMs,
+    from: st.fromMs === null ? null : new Date(st.fromMs).toISOString(),
+    to: st.toMs === null ? null : new Date(st.toMs).toISOString(),
+    lines: st.lines,
+    bytes: st.bytes,
+    artists: st.artistsOverflow ? null : st.artists,
+    sealedAt: nowIso(),
+  };
+}
+
+function foldIntoRollups(days, rec) {
+  const t = recordTimeMs(rec);
+  const day = t === null ? "unknown" : dayKey(t);
+  const type = String(rec?.type || "unknown");
+  const artistId = recordArtistId(rec);
+
+  const bucket = days[day] || (days[day] = { total: 0, byType: {}, byArtist: {} });
+  bucket.total += 1;
+  bucket.byType[type] = (bucket.byType[type] || 0) + 1;
+
+  if (artistId) {
+    const a = bucket.byArtist[artistId] || (bucket.byArtist[artistId] = { total: 0, byType: {} });
+    a.total += 1;
+    a.byType[type] = (a.byType[type] || 0) + 1;
+  }
+}
+
+/* -------------------- Log -------------------- */
+
+export function createSegmentedLog(storage, file, options = {}) {
+  const key = toKey(storage.root, file);
+  const cfg = { ...getSegmentConfig(), ...options };
+  const paths = segmentPaths(key);
+
+  let queue = Promise.resolve();
+  let active = null; // { stats, openedMs }
+  let generation = 0; // bumps whenever segments move (optimistic reads retry under the queue)
+
+  function serial(fn) {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function readIndex() {
+    const base = {
+      version: INDEX_VERSION,
+      log: key,
+      nextSeq: 1,
+      segments: [],
+      compacted: { segments: 0, lines: 0, fromMs: null, throughMs: null },
+    };
+    const idx = await storage.readJson(paths.index, null);
+    if (!idx || typeof idx !== "object") return base;
+    return {
+      ...base,
+      ...idx,
+      segments: Array.isArray(idx.segments) ? idx.segments : [],
+      compacted: { ...base.compacted, ...(idx.compacted || {}) },
+    };
+  }
+
+  async function loadActive() {
+    if (active) return active;
+
+    const stats = emptyStats();
+    for (const rec of await storage.readJsonl(key)) addToStats(stats, rec, byteLength(JSON.stringify(rec)) + 1);
+
+    const st = await storage.stat(key);
+    stats.bytes = st.exists ? st.size : 0; // real size, corrupt lines included
+    active = { stats, openedMs: stats.fromMs ?? (st.exists ? st.mtimeMs : null) };
+    return active;
+  }
+
+  function shouldRotate(a, lineBytes, nowMs) {
+    if (!a.stats.lines) return false;
+    if (a.stats.bytes + lineBytes > cfg.maxBytes) return true;
+    return cfg.rotate === "day" && a.openedMs !== null && dayKey(a.openedMs) !== dayKey(nowMs);
+  }
+
+  async function sealActive() {
+    const a = await loadActive();
+    if (!a.stats.lines) return null;
+
+    // Re-read: compaction may have rewritten the index from another process.
+    const idx = await readIndex();
+    const seq = idx.nextSeq;
+    const entry = toIndexEntry(seq, paths.segment(seq), a.stats);
+
+    // Index first: a crash before the rename leaves an empty entry, never an unindexed segment.
+    idx.segments.push(entry);
+    idx.nextSeq = seq + 1;
+    idx.updatedAt = nowIso();
+    await storage.writeJson(paths.index, idx);
+    try {
+      await storage.rename(key, entry.key);
+    } catch (e) {
+      idx.segments.pop();
+      idx.nextSeq = seq;
+      await storage.writeJson(paths.index, idx).catch(() => {});
+      throw e;
+    }
+
+    active = { stats: emptyStats(), openedMs: null };
+    generation += 1;
+    return entry;
+  }
+
+  function append(obj) {
+    return serial(async () => {
+      const a = await loadActive();
+      const lineBytes = byteLength(JSON.stringify(obj)) + 1;
+      const nowMs = Date.now();
+
+      if (shouldRotate(a, lineBytes, nowMs)) {
+        try {
+          await sealActive();
+        } catch (e) {
+          // keep accepting writes; the next append retries the rotation
+          logger.error("segmented_log_rotate_failed", { log: key, error: e });
+        }
+      }
+
+      await storage.appendJsonl(key, obj);
+      if (active.openedMs === null) active.openedMs = nowMs;
+      addToStats(active.stats, obj, lineBytes);
+    });
+  }
+
+  async function collectRange({ fromMs = null, toMs = null, artistId = null, filter = null } = {}) {
+    const lo = Number.isFinite(fromMs) ? fromMs : -Infinity;
+    const hi = Number.isFinite(toMs) ? toMs : Infinity;
+    const bounded = lo !== -Infinity || hi !== Infinity;
+
+    const idx = await readIndex();
+    const picked = [];
+    let skipped = 0;
+    for (const seg of idx.segments) {
+      const overlaps = (seg.toMs === null || seg.toMs >= lo) && (seg.fromMs === null || seg.fromMs <= hi);
+      const hasArtist = !artistId || !seg.artists || seg.artists[artistId];
+      if (overlaps && hasArtist) picked.push(seg);
+      else skipped += 1;
+    }
+
+    const events = [];
+    let linesScanned = 0;
+    const take = (rows) => {
+      for (const rec of rows) {
+        linesScanned += 1;
+        if (!rec || typeof rec !== "object") continue;
+        if (bounded) {
+          const t = recordTimeMs(rec);
+          if (t === null || t < lo || t > hi) continue;
+        }
+        if (artistId && recordArtistId(rec) !== artistId) continue;
+        if (filter && !filter(rec)) continue;
+        events.push(rec);
+      }
+    };
+
+    for (const seg of picked) take(await storage.readJsonl(seg.key));
+    take(await storage.readJsonl(key));
+
+    const compactedThroughMs = idx.compacted.throughMs ?? null;
+    return {
+      events,
+      meta: {
+        log: key,
+        segmentsScanned: picked.length + 1,
+        segmentsSkipped: skipped,
+        linesScanned,
+        compactedThroughMs,
+        partial: compactedThroughMs !== null && lo <= compactedThroughMs,
+      },
+    };
+  }
+
+  /**
+   * Records inside [fromMs, toMs] across every segment, oldest first.
+   * Segments outside the window (or without the artistId) are skipped via the index.
+   * meta.partial = true when the window reaches into compacted (rolled-up) history.
+   */
+  async function readRange(range = {}) {
+    const gen = generation;
+    const out = await collectRange(range);
+    return gen === generation ? out : serial(() => collectRange(range));
+  }
+
+  async function collectRecent({ limit = 50, filter = null } = {}) {
+    const cap = Math.max(1, Number(limit) || 50);
+    const idx = await readIndex();
+    const keys = [key, ...idx.segments.map((s) => s.key).reverse()];
+
+    const newestFirst = [];
+    let segmentsScanned = 0;
+    for (const k of keys) {
+      segmentsScanned += 1;
+      const rows = await storage.readJsonl(k);
+      for (let i = rows.length - 1; i >= 0 && newestFirst.length < cap; i -= 1) {
+        if (!filter || filter(rows[i])) newestFirst.push(rows[i]);
+      }
+      if (newestFirst.length >= cap) break;
+    }
+    return { events: newestFirst.reverse(), meta: { log: key, segmentsScanned } };
+  }
+
+  /** Newest `limit` matching records (returned oldest first), walking segments newest to oldest. */
+  async function readRecent(opts = {}) {
+    const gen = generation;
+    const out = await collectRecent(opts);
+    return gen === generation ? out : serial(() => collectRecent(opts));
+  }
+
+  /** Daily rollups of compacted history, optionally limited to [fromMs, toMs]. */
+  async function readRollups({ fromMs = null, toMs = null } = {}) {
+    const doc = await storage.readJson(paths.rollups, null);
+    const days = doc?.days && typeof doc.days === "object" ? doc.days : {};
+    const lo = Number.isFinite(fromMs) ? dayKey(fromMs) : null;
+    const hi = Number.isFinite(toMs) ? dayKey(toMs) : null;
+
+    const out = {};
+    for (const [day, bucket] of Object.entries(days)) {
+      if (day === "unknown" && (lo || hi)) continue;
+      if (lo && day < lo) continue;
+      if (hi && day > hi) continue;
+      out[day] = bucket;
+    }
+    return out;
+  }
+
+  /**
+   * Folds sealed segments older than `olderThanDays` into rollups.json and deletes them.
+   * Safe to re-run after a crash: folded segment seqs are recorded in the rollups doc.
+   */
+  function compact({ olderThanDays = cfg.compactAfterDays, nowMs = Date.now(), dryRun = false } = {}) {
+    return serial(async () => {
+      const cutoffMs = nowMs - Math.max(0, Number(olderThanDays) || 0) * DAY_MS;
+      const idx = await readIndex();
+      const due = idx.segments.filter((s) => s.toMs !== null && s.toMs < cutoffMs);
+
+      const summary = {
+        log: key,
+        olderThanDays,
+        cutoff: new Date(cutoffMs).toISOString(),
+        dryRun,
+        segments: due.length,
+        lines: due.reduce((n, s) => n + (Number(s.lines) || 0), 0),
+        bytes: due.reduce((n, s) => n + (Number(s.bytes) || 0), 0),
+        remainingSegments: idx.segments.length - due.length,
+      };
+      if (dryRun || !due.length) return summary;
+
+      const rollups = (await storage.readJson(paths.rollups, null)) || {};
+      rollups.version = INDEX_VERSION;
+      rollups.log = key;
+      rollups.days = rollups.days && typeof rollups.days === "object" ? rollups.days : {};
+      rollups.foldedSeqs = Array.isArray(rollups.foldedSeqs) ? rollups.foldedSeqs : [];
+
+      const folded = new Set(rollups.foldedSeqs);
+      for (const seg of due) {
+        if (folded.has(seg.seq)) continue;
+        for (const rec of await storage.readJsonl(seg.key)) foldIntoRollups(rollups.days, rec);
+        rollups.foldedSeqs.push(seg.seq);
+      }
+      rollups.updatedAt = nowIso();
+      await storage.writeJson(paths.rollups, rollups);
+
+      const dueSeqs = new Set(due.map((s) => s.seq));
+      const fresh = await readIndex();
+      fresh.segments = fresh.segments.filter((s) => !dueSeqs.has(s.seq));
+
+      const c = fresh.compacted;
+      c.segments += due.length;
+      c.lines += summary.lines;
+      for (const seg of due) {
+        if (seg.fromMs !== null && (c.fromMs === null || seg.fromMs < c.fromMs)) c.fromMs = seg.fromMs;
+        if (c.throughMs === null || seg.toMs > c.throughMs) c.throughMs = seg.toMs;
+      }
+      fresh.updatedAt = nowIso();
+      await storage.writeJson(paths.index, fresh);
+
+      for (const seg of due) await storage.remove(seg.key);
+      generation += 1;
+      return summary;
+    });
+  }
+
+  async function stat() {
+    const a = await serial(loadActive);
+    const idx = await readIndex();
+    return {
+      log: key,
+      config: { rotate: cfg.rotate, maxBytes: cfg.maxBytes, compactAfterDays: cfg.compactAfterDays },
+      active: {
+        lines: a.stats.lines,
+        bytes: a.stats.bytes,
+        from: a.stats.fromMs === null ? null : new Date(a.stats.fromMs).toISOString(),
+        to: a.stats.toMs === null ? null : new Date(a.stats.toMs).toISOString(),
+      },
+      sealed: {
+        segments: idx.segments.length,
+        lines: idx.segments.reduce((n, s) => n + (Number(s.lines) || 0), 0),
+        bytes: idx.segments.reduce((n, s) => n + (Number(s.bytes) || 0), 0),
+        from: idx.segments[0]?.from ?? null,
+      },
+      compacted: idx.compacted,
+    };
+  }
+
+  return {
+    key,
+    paths,
+    append,
+    readRange,
+    readRecent,
+    readRollups,
+    rotate: () => serial(sealActive),
+    compact,
+    stat,
+  };
+}
+
+/**
+ * Shared log per (storage adapter, key): every writer of a file must go through the same
+ * instance so rotation and the active-segment stats stay consistent.
+ */
+export function openSegmentedLog(storage, file, options = {}) {
+  let logs = REGISTRY.get(storage);
+  if (!logs) {
+    logs = new Map();
+    REGISTRY.set(storage, logs);
+  }
+  const key = toKey(storage.root, file);
+  if (!logs.has(key)) {
+    const log = createSegmentedLog(storage, key, options);
+    logs.set(key, log);
+    OPEN_LOGS.add(log);
+  }
+  return logs.get(key);
+}
+
+/** Logs opened through openSegmentedLog in this process. */
+export function listSegmentedLogs() {
+  return [...OPEN_LOGS];
+}
+
+export default {
+  getSegmentConfig,
+  recordTimeMs,
+  recordArtistId,
+  createSegmentedLog,
+  openSegmentedLog,
+  listSegmentedLogs,
+};
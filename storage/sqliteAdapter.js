@@ -0,0 +1,190 @@
+/**
+ * storage/sqliteAdapter.js (ESM)
+ * Embedded SQL adapter — a single SQLite file via Node's built-in `node:sqlite`.
+ *
+ * Layout:
+ * - documents(key PRIMARY KEY, value, updated_at)      -> JSON documents (readJson/writeJson)
+ * - log_lines(seq AUTOINCREMENT, key, line, created_at) -> JSONL logs (appendJsonl/readJsonl)
+ * - locks(key PRIMARY KEY, token, acquired_at)          -> advisory locks (acquireLock/releaseLock)
+ *
+ * `node:sqlite` ships with Node 22.5+. On older runtimes the adapter fails on first use
+ * with code STORAGE_ADAPTER_UNAVAILABLE instead of crashing the import graph.
+ * package.json engines allows Node 22, and CI runs the adapter contract on Node 22
+ * (job storage-sqlite, VERIFY_SQLITE=required) so this adapter is tested, not skipped.
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { toKey, parseJsonText, parseJsonlLines, byteLength } from "./common.js";
+
+const CONNECTIONS = new Map(); // dbFile -> Promise<DatabaseSync>
+
+async function openDatabase(dbFile) {
+  let sqlite = null;
+  try {
+    sqlite = await import("node:sqlite");
+  } catch {
+    const err = new Error(
+      `IBAND_STORAGE_ADAPTER=sqlite needs node:sqlite (Node 22.5+); running ${process.version}.`
+    );
+    err.code = "STORAGE_ADAPTER_UNAVAILABLE";
+    throw err;
+  }
+
+  fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+  const db = new sqlite.DatabaseSync(dbFile);
+  db.exec(`
+    PRAGMA journal_mode = WAL;
+    CREATE TABLE IF NOT EXISTS documents (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS log_lines (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      key TEXT NOT NULL,
+      line TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS log_lines_key_seq ON log_lines (key, seq);
+    CREATE TABLE IF NOT EXISTS locks (
+      key TEXT PRIMARY KEY,
+      token TEXT NOT NULL,
+      acquired_at INTEGER NOT NULL
+    );
+  `);
+  return db;
+}
+
+function getDatabase(dbFile) {
+  if (!CONNECTIONS.has(dbFile)) {
+    const p = openDatabase(dbFile);
+    // Do not cache a failed open: a later call should report the same clear error again.
+    p.catch(() => CONNECTIONS.delete(dbFile));
+    CONNECTIONS.set(dbFile, p);
+  }
+  return CONNECTIONS.get(dbFile);
+}
+
+export function createSqliteAdapter({ root, sqliteFile }) {
+  const dbFile = path.resolve(root, sqliteFile || "iband.sqlite");
+  const k = (key) => toKey(root, key);
+
+  async function stat(key) {
+    const db = await getDatabase(dbFile);
+    const id = k(key);
+
+    const doc = db.prepare("SELECT length(CAST(value AS BLOB)) AS size, updated_at FROM documents WHERE key = ?").get(id);
+    if (doc) return { exists: true, size: Number(doc.size), mtimeMs: Number(doc.updated_at) };
+
+    const log = db
+      .prepare("SELECT COUNT(*) AS n, SUM(length(CAST(line AS BLOB)) + 1) AS size, MAX(created_at) AS mtime FROM log_lines WHERE key = ?")
+      .get(id);
+    if (log && Number(log.n) > 0) return { exists: true, size: Number(log.size), mtimeMs: Number(log.mtime) };
+
+    return { exists: false, size: 0, mtimeMs: null };
+  }
+
+  return {
+    kind: "sqlite",
+    root,
+
+    async readJson(key, fallback = null) {
+      const db = await getDatabase(dbFile);
+      const row = db.prepare("SELECT value FROM documents WHERE key = ?").get(k(key));
+      return row ? parseJsonText(row.value, fallback) : fallback;
+    },
+
+    async writeJson(key, value) {
+      const db = await getDatabase(dbFile);
+      db.prepare(
+        "INSERT INTO documents (key, value, updated_at) VALUES (?, ?, ?) " +
+          "ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at"
+      ).run(k(key), JSON.stringify(value), Date.now());
+    },
+
+    async appendJsonl(key, obj) {
+      const db = await getDatabase(dbFile);
+      db.prepare("INSERT INTO log_lines (key, line, created_at) VALUES (?, ?, ?)").run(k(key), JSON.stringify(obj), Date.now());
+    },
+
+    async readJsonl(key, { tailBytes, maxLines } = {}) {
+      const db = await getDatabase(dbFile);
+      const id = k(key);
+      const limit = Number(tailBytes);
+
+      if (!(Number.isFinite(limit) && limit > 0)) {
+        const rows = db.prepare("SELECT line FROM log_lines WHERE key = ? ORDER BY seq ASC").all(id);
+        return parseJsonlLines(rows.map((r) => r.line), { maxLines });
+      }
+
+      // Newest first until the byte budget is spent (mirrors the file adapter's tail read).
+      const lines = [];
+      let used = 0;
+      for (const r of db.prepare("SELECT line FROM log_lines WHERE key = ? ORDER BY seq DESC").iterate(id)) {
+        used += byteLength(r.line) + 1;
+        if (used > limit) break;
+        lines.push(r.line);
+      }
+      return parseJsonlLines(lines.reverse(), { maxLines });
+    },
+
+    stat,
+
+    async exists(key) {
+      return (await stat(key)).exists;
+    },
+
+    async remove(key) {
+      const db = await getDatabase(dbFile);
+      const id = k(key);
+      const a = db.prepare("DELETE FROM documents WHERE key = ?").run(id);
+      const b = db.prepare("DELETE FROM log_lines WHERE key = ?").run(id);
+      return Number(a.changes) + Number(b.changes) > 0;
+    },
+
+    async rename(fromKey, toKey) {
+      const db = await getDatabase(dbFile);
+      const from = k(fromKey);
+      const to = k(toKey);
+      db.exec("BEGIN");
+      try {
+        db.prepare("DELETE FROM documents WHERE key = ?").run(to);
+        db.prepare("DELETE FROM log_lines WHERE key = ?").run(to);
+        const a = db.prepare("UPDATE documents SET key = ? WHERE key = ?").run(to, from);
+        const b = db.prepare("UPDATE log_lines SET key = ? WHERE key = ?").run(to, from);
+        if (Number(a.changes) + Number(b.changes) === 0) {
+          const err = new Error(`No such key: ${from}`);
+          err.code = "ENOENT";
+          throw err;
+        }
+        db.exec("COMMIT");
+      } catch (e) {
+        db.exec("ROLLBACK");
+        throw e;
+      }
+    },
+
+    async acquireLock(key, { token, staleMs }) {
+      const db = await getDatabase(dbFile);
+      const id = k(key);
+      const now = Date.now();
+      const stale = db.prepare("DELETE FROM locks WHERE key = ? AND acquired_at < ?").run(id, now - staleMs);
+      const ins = db.prepare("INSERT OR IGNORE INTO locks (key, token, acquired_at) VALUES (?, ?, ?)").run(id, token, now);
+      return { acquired: Number(ins.changes) === 1, brokeStale: Number(stale.changes) > 0 };
+    },
+
+    async releaseLock(key, token) {
+      const db = await getDatabase(dbFile);
+      const r = db.prepare("DELETE FROM locks WHERE key = ? AND token = ?").run(k(key), token);
+      return Number(r.changes) > 0;
+    },
+
+    describe() {
+      return { adapter: "sqlite", root, file: dbFile };
+    },
+  };
+}
+
+export default createSqliteAdapter;
@@ -2,17 +2,31 @@ import express from "express";
 import fs from "fs";
 import path from "path";
 
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+
 const router = express.Router();
 
 const SERVICE = "surge-detector";
 const PHASE = "H19";
 const VERSION = 1;
 
-const DATA_DIR = "/var/data/iband/db";
+const DATA_DIR = getConfig("core").dataDir;
 
 const SHARES_FILE = path.join(DATA_DIR, "shares", "events", "shares.jsonl");
+const sharesLog = openSegmentedLog(getStorage(DATA_DIR), SHARES_FILE);
 const PURCHASES_FILE = path.join(DATA_DIR, "purchases", "events", "purchases.jsonl");
 
+// All shares, across rotated segments
+async function readShareEvents() {
+  try {
+    const { events } = await sharesLog.readRange();
+    return events;
+  } catch {
+    return [];
+  }
+}
+
 function readJSONL(file) {
   try {
     if (!fs.existsSync(file)) return [];
@@ -67,9 +81,9 @@ router.get("/health", (req, res) => {
 /*
 Detect artist surge activity in the last hour
 */
-router.get("/artists", (req, res) => {
+router.get("/artists", async (req, res) => {
   try {
-    const shareEvents = readJSONL(SHARES_FILE);
+    const shareEvents = await readShareEvents();
     const purchaseEvents = readJSONL(PURCHASES_FILE);
 
     const now = Date.now();
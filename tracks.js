@@ -0,0 +1,327 @@
+/**
+ * tracks.js (root) — ESM default export
+ * iBand Track Catalogue (v1): tracks under each artist, plus per-track aggregates.
+ *
+ * Served under /api/artists: artists.js mounts this router (the module manifest allows one module per base path).
+ * - GET    /api/artists/:artistId/tracks                      list (?stats=true&days=30 adds aggregates)
+ * - POST   /api/artists/:artistId/tracks                      create          (tracks.write)
+ * - GET    /api/artists/:artistId/tracks/:trackId             one track
+ * - PATCH  /api/artists/:artistId/tracks/:trackId             edit            (tracks.write)
+ * - DELETE /api/artists/:artistId/tracks/:trackId             remove          (tracks.delete)
+ * - GET    /api/artists/:artistId/tracks/:trackId/stats?days= aggregates
+ *
+ * Tracks live inside their artist record (artistsStore.js normalizeTrack):
+ *   { id, title, durationSec, isrc, releaseDate, explicit, audioUrl, previewUrl, url, platform, createdAt, updatedAt }
+ * ISRCs are stored without hyphens, upper case, and are unique across the catalogue (409 isrc_taken).
+ * Every change is audited and becomes a revision of the artist's profile (artistRevisions.js).
+ *
+ * Aggregates, over the last `days` (default 30, max 365):
+ * - purchases: captured track purchases in purchases.json (count, qty, revenue by currency, buyers)
+ * - signals:   monetisation signals carrying the trackId, by type, with amountMinor summed
+ * - shares:    track shares (count, distinct referring fans)
+ * - events:    events.jsonl entries carrying the trackId, by type, with watchMs summed
+ *
+ * purchases.js (POST /purchase, itemType "track"), monetisationSignals.js (track_purchase), shares.js
+ * (optional trackId) and the trends.js track routes answer 404 track_not_found for uncatalogued tracks.
+ */
+
+import express from "express";
+import path from "path";
+
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+import artistsStore from "./artistsStore.js";
+import { attachPrincipal } from "./identity.js";
+import { requirePermission } from "./permissions.js";
+import { recordAudit } from "./adminAudit.js";
+import { reviseArtist } from "./artistRevisions.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+
+const router = express.Router();
+const api = describeRoutes(router, { tag: "tracks" });
+router.use(attachPrincipal);
+router.use(express.json({ limit: "64kb" }));
+
+const DATA_DIR = getConfig("core").dataDir;
+const FILES = getConfig("files");
+
+// Same logs the owning modules write (purchases.js, monetisationSignals.js, shares.js, events.js)
+const storage = getStorage(DATA_DIR);
+const signalsLog = openSegmentedLog(storage, path.join(DATA_DIR, "monetisation", "events", "monetisation-signals.jsonl"));
+const sharesLog = openSegmentedLog(storage, path.join(DATA_DIR, "shares", "events", "shares.jsonl"));
+const eventsLog = openSegmentedLog(storage, FILES.eventsLog);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const MAX_TRACKS_PER_ARTIST = 500;
+
+const ISRC_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/;
+
+/* -------------------- Schemas -------------------- */
+
+const ID = { type: "string", minLength: 1, maxLength: 80, pattern: "^[a-zA-Z0-9._:-]+$" };
+const HTTP_URL = { type: "string", maxLength: 500, pattern: "^(https?://\\S+)?$" };
+
+const TRACK_FIELDS = {
+  title: { type: "string", minLength: 1, maxLength: 120, pattern: "\\S" },
+  durationSec: S.int(0, 24 * 60 * 60),
+  isrc: S.text(20),
+  releaseDate: { type: "string", maxLength: 10, pattern: "^(\\d{4}-\\d{2}-\\d{2})?$" },
+  explicit: S.bool(),
+  audioUrl: HTTP_URL,
+  previewUrl: HTTP_URL,
+  url: HTTP_URL,
+  platform: S.text(40),
+};
+
+const TRACK_PARAMS = { artistId: ID, trackId: ID };
+const DAYS_QUERY = S.obj({ days: S.int(1, MAX_DAYS) });
+
+function writeSpec(permission, summary, spec = {}) {
+  return { auth: "admin", permission, summary, params: TRACK_PARAMS, ...spec };
+}
+
+/* -------------------- Helpers -------------------- */
+
+const asString = (v) => String(v ?? "").trim();
+
+function revisionMeta(revision) {
+  return revision ? { revision: revision.n } : {};
+}
+
+function artistOr404(req, res) {
+  const artist = artistsStore.getArtist(asString(req.params.artistId));
+  if (!artist) sendError(res, 404, "artist_not_found", "Artist not found.", { artistId: asString(req.params.artistId) });
+  return artist;
+}
+
+function trackOr404(artist, req, res) {
+  const track = artist.tracks.find((t) => t.id === asString(req.params.trackId));
+  if (!track) sendError(res, 404, "track_not_found", "Track not found.", { artistId: artist.id, trackId: asString(req.params.trackId) });
+  return track;
+}
+
+/** "YYYY-MM-DD" that is a real calendar date. */
+function isCalendarDate(s) {
+  const t = Date.parse(`${s}T00:00:00Z`);
+  return Number.isFinite(t) && new Date(t).toISOString().slice(0, 10) === s;
+}
+
+/**
+ * Checks what the schema cannot: ISRC format and catalogue-wide uniqueness, real release dates.
+ * Returns the fields to write ({ isrc } normalised) or { error: { status, code, message, extra } }.
+ */
+function checkTrackFields(body, { selfId = null } = {}) {
+  const out = { ...body };
+  if (body.title !== undefined) out.title = asString(body.title);
+
+  if (body.isrc !== undefined) {
+    out.isrc = artistsStore.normalizeIsrc(body.isrc);
+    if (out.isrc && !ISRC_PATTERN.test(out.isrc)) {
+      return { error: { status: 400, code: "invalid_isrc", message: "isrc must look like CC-XXX-YY-NNNNN (e.g. GBAYE0601498)." } };
+    }
+    const holder = out.isrc ? artistsStore.findTrackByIsrc(out.isrc) : null;
+    if (holder && holder.track.id !== selfId) {
+      return { error: { status: 409, code: "isrc_taken", message: "Another track already has this ISRC.", extra: { artistId: holder.artistId, trackId: holder.track.id } } };
+    }
+  }
+
+  if (body.releaseDate && !isCalendarDate(body.releaseDate)) {
+    return { error: { status: 400, code: "invalid_release_date", message: "releaseDate must be a calendar date (YYYY-MM-DD)." } };
+  }
+  return { fields: out };
+}
+
+/* -------------------- Aggregates -------------------- */
+
+function emptyAggregate() {
+  return {
+    purchases: { count: 0, qty: 0, revenue: {}, buyers: 0 },
+    signals: { count: 0, byType: {}, amountMinor: 0 },
+    shares: { count: 0, fans: 0 },
+    events: { count: 0, byType: {}, watchMs: 0 },
+    lastActivityAt: null,
+  };
+}
+
+async function readWindow(log, fromMs, artistId) {
+  try {
+    return (await log.readRange({ fromMs, artistId })).events;
+  } catch {
+    return [];
+  }
+}
+
+const timeOf = (r) => Date.parse(r?.at || r?.ts || r?.createdAt || "") || 0;
+
+/**
+ * trackId -> aggregate for the given tracks of one artist over the last `days`.
+ * One pass over each source, however many tracks are asked for.
+ */
+export async function trackAggregates(artistId, trackIds, { days = DEFAULT_DAYS } = {}) {
+  const fromMs = Date.now() - days * DAY_MS;
+  const out = new Map(trackIds.map((id) => [id, emptyAggregate()]));
+  const buyers = new Map(trackIds.map((id) => [id, new Set()]));
+  const fans = new Map(trackIds.map((id) => [id, new Set()]));
+
+  const touch = (agg, ms) => {
+    if (ms && (!agg.lastActivityAt || ms > Date.parse(agg.lastActivityAt))) agg.lastActivityAt = new Date(ms).toISOString();
+  };
+
+  const ledger = await storage.readJson(FILES.purchases, null).catch(() => null);
+  for (const p of Array.isArray(ledger?.purchases) ? ledger.purchases : []) {
+    if (p?.artistId !== artistId || p.itemType !== "track" || p.status !== "captured") continue;
+    const agg = out.get(p.itemId);
+    const ms = timeOf(p);
+    if (!agg || ms < fromMs) continue;
+    agg.purchases.count += 1;
+    agg.purchases.qty += Number(p.qty) || 1;
+    const cur = p.currency || "GBP";
+    agg.purchases.revenue[cur] = Math.round(((agg.purchases.revenue[cur] || 0) + (Number(p.amount) || 0)) * 100) / 100;
+    buyers.get(p.itemId).add(p.buyerId);
+    touch(agg, ms);
+  }
+
+  for (const s of await readWindow(signalsLog, fromMs, artistId)) {
+    const agg = s?.artistId === artistId ? out.get(s.trackId) : null;
+    if (!agg) continue;
+    agg.signals.count += 1;
+    agg.signals.byType[s.type] = (agg.signals.byType[s.type] || 0) + 1;
+    agg.signals.amountMinor += Number(s.amountMinor) || 0;
+    touch(agg, timeOf(s));
+  }
+
+  for (const s of await readWindow(sharesLog, fromMs, artistId)) {
+    if (s?.type !== "share" || s.artistId !== artistId || s.assetType !== "track") continue;
+    const agg = out.get(s.trackId);
+    if (!agg) continue;
+    agg.shares.count += 1;
+    if (s.referrerFanId) fans.get(s.trackId).add(s.referrerFanId);
+    touch(agg, timeOf(s));
+  }
+
+  for (const e of await readWindow(eventsLog, fromMs, artistId)) {
+    const agg = e?.artistId === artistId ? out.get(e.trackId) : null;
+    if (!agg) continue;
+    agg.events.count += 1;
+    agg.events.byType[e.type] = (agg.events.byType[e.type] || 0) + 1;
+    agg.events.watchMs += Number(e.watchMs) || 0;
+    touch(agg, timeOf(e));
+  }
+
+  for (const [id, agg] of out) {
+    agg.purchases.buyers = buyers.get(id).size;
+    agg.shares.fans = fans.get(id).size;
+  }
+  return out;
+}
+
+/* -------------------- Routes -------------------- */
+
+api.get("/:artistId/tracks", {
+  summary: "List an artist's tracks",
+  params: { artistId: ID },
+  query: S.obj({ stats: S.bool(), days: S.int(1, MAX_DAYS) }),
+}, async (req, res) => {
+  const artist = artistOr404(req, res);
+  if (!artist) return;
+
+  let tracks = artist.tracks;
+  const days = Number(req.query.days) || DEFAULT_DAYS;
+  if (String(req.query.stats) === "true") {
+    const stats = await trackAggregates(artist.id, tracks.map((t) => t.id), { days });
+    tracks = tracks.map((t) => ({ ...t, stats: stats.get(t.id) }));
+  }
+
+  res.json({ success: true, artistId: artist.id, count: tracks.length, tracks, ...(String(req.query.stats) === "true" ? { days } : {}) });
+});
+
+api.post("/:artistId/tracks", writeSpec("tracks.write", "Add a track", {
+  params: { artistId: ID },
+  body: S.obj({ id: ID, ...TRACK_FIELDS }, ["title"], { additionalProperties: false }),
+}), requirePermission("tracks.write"), async (req, res) => {
+  const artist = artistOr404(req, res);
+  if (!artist) return;
+
+  if (artist.tracks.length >= MAX_TRACKS_PER_ARTIST) {
+    return sendError(res, 409, "track_limit", `An artist can have at most ${MAX_TRACKS_PER_ARTIST} tracks.`);
+  }
+  const id = asString(req.body.id);
+  if (id && artist.tracks.some((t) => t.id === id)) {
+    return sendError(res, 409, "track_exists", "Track id already exists for this artist.", { artistId: artist.id, trackId: id });
+  }
+
+  const checked = checkTrackFields(req.body);
+  if (checked.error) return sendError(res, checked.error.status, checked.error.code, checked.error.message, checked.error.extra);
+
+  let track = null;
+  const { revision } = await reviseArtist(req, artist.id, { action: "track.create" }, () => {
+    track = artistsStore.createTrack(artist.id, checked.fields);
+    return artistsStore.getArtist(artist.id);
+  });
+  await artistsStore.flushArtists();
+  await recordAudit(req, { action: "track.create", target: { type: "track", id: `${artist.id}/${track.id}` }, after: track, meta: revisionMeta(revision) });
+
+  res.status(201).json({ success: true, artistId: artist.id, track });
+});
+
+api.get("/:artistId/tracks/:trackId", { summary: "Get one track", params: TRACK_PARAMS }, (req, res) => {
+  const artist = artistOr404(req, res);
+  const track = artist && trackOr404(artist, req, res);
+  if (!track) return;
+  res.json({ success: true, artistId: artist.id, track });
+});
+
+api.patch("/:artistId/tracks/:trackId", writeSpec("tracks.write", "Edit a track", {
+  body: S.obj(TRACK_FIELDS, [], { additionalProperties: false }),
+}), requirePermission("tracks.write"), async (req, res) => {
+  const artist = artistOr404(req, res);
+  const before = artist && trackOr404(artist, req, res);
+  if (!before) return;
+
+  if (!Object.keys(req.body || {}).length) return sendError(res, 400, "bad_request", "Nothing to update.");
+  const checked = checkTrackFields(req.body, { selfId: before.id });
+  if (checked.error) return sendError(res, checked.error.status, checked.error.code, checked.error.message, checked.error.extra);
+
+  let track = null;
+  const { revision } = await reviseArtist(req, artist.id, { action: "track.update" }, () => {
+    track = artistsStore.updateTrack(artist.id, before.id, checked.fields);
+    return artistsStore.getArtist(artist.id);
+  });
+  await artistsStore.flushArtists();
+  await recordAudit(req, { action: "track.update", target: { type: "track", id: `${artist.id}/${track.id}` }, before, after: track, meta: revisionMeta(revision) });
+
+  res.json({ success: true, artistId: artist.id, track });
+});
+
+api.delete("/:artistId/tracks/:trackId", writeSpec("tracks.delete", "Remove a track"), requirePermission("tracks.delete"), async (req, res) => {
+  const artist = artistOr404(req, res);
+  const before = artist && trackOr404(artist, req, res);
+  if (!before) return;
+
+  const { revision } = await reviseArtist(req, artist.id, { action: "track.delete" }, () => {
+    artistsStore.deleteTrack(artist.id, before.id);
+    return artistsStore.getArtist(artist.id);
+  });
+  await artistsStore.flushArtists();
+  await recordAudit(req, { action: "track.delete", target: { type: "track", id: `${artist.id}/${before.id}` }, before, meta: revisionMeta(revision) });
+
+  res.json({ success: true, artistId: artist.id, deleted: before.id });
+});
+
+api.get("/:artistId/tracks/:trackId/stats", {
+  summary: "Purchases, signals, shares and events for one track",
+  params: TRACK_PARAMS,
+  query: DAYS_QUERY,
+}, async (req, res) => {
+  const artist = artistOr404(req, res);
+  const track = artist && trackOr404(artist, req, res);
+  if (!track) return;
+
+  const days = Number(req.query.days) || DEFAULT_DAYS;
+  const stats = (await trackAggregates(artist.id, [track.id], { days })).get(track.id);
+  res.json({ success: true, artistId: artist.id, trackId: track.id, title: track.title, days, stats });
+});
+
+export default router;
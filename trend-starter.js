@@ -2,14 +2,28 @@ import express from "express";
 import fs from "fs";
 import path from "path";
 
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+
 const router = express.Router();
 
 const SERVICE = "trend-starter";
 const PHASE = "H17";
 const VERSION = 1;
 
-const DATA_DIR = "/var/data/iband/db";
+const DATA_DIR = getConfig("core").dataDir;
 const SHARES_FILE = path.join(DATA_DIR, "shares", "events", "shares.jsonl");
+const sharesLog = openSegmentedLog(getStorage(DATA_DIR), SHARES_FILE);
+
+// All shares, across rotated segments
+async function readShareEvents() {
+  try {
+    const { events } = await sharesLog.readRange();
+    return events;
+  } catch {
+    return [];
+  }
+}
 
 function readJSONL(file) {
   try {
@@ -61,9 +75,9 @@ router.get("/health", (req, res) => {
 /*
 Global trend starters by earliest valid share per artist
 */
-router.get("/global", (req, res) => {
+router.get("/global", async (req, res) => {
   try {
-    const shareEvents = readJSONL(SHARES_FILE);
+    const shareEvents = await readShareEvents();
 
     const earliestByArtist = {};
 
@@ -116,10 +130,10 @@ router.get("/global", (req, res) => {
 /*
 Trend starter for a specific artist
 */
-router.get("/artist/:artistId", (req, res) => {
+router.get("/artist/:artistId", async (req, res) => {
   try {
     const { artistId } = req.params;
-    const shareEvents = readJSONL(SHARES_FILE);
+    const shareEvents = await readShareEvents();
 
     let earliest = null;
 
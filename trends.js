@@ -21,6 +21,7 @@
  * - GET /api/trends/conversion/artist/:artistId?days=120&podium=10
  *
  * Notes:
+ * - Track routes answer 404 artist_not_found / track_not_found unless the track is in the catalogue (tracks.js).
  * - Conversion join key: "ref" string must be present in both share event and purchase signal.
  * - This stays legal and safe: no payouts; just recognition + podium logic.
  */
@@ -29,12 +30,16 @@ import express from "express";
 import fsp from "fs/promises";
 import path from "path";
 
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog } from "./storage/index.js";
+import { getArtist, getTrack } from "./artistsStore.js";
+
 const router = express.Router();
 
 // ----------------------------
 // Persistent storage
 // ----------------------------
-const DATA_DIR = process.env.IBAND_DATA_DIR || "/var/data/iband/db";
+const DATA_DIR = getConfig("core").dataDir;
 
 // shares
 const SHARES_DIR = path.join(DATA_DIR, "shares");
@@ -46,11 +51,14 @@ const MON_DIR = path.join(DATA_DIR, "monetisation");
 const MON_EVENTS_DIR = path.join(MON_DIR, "events");
 const MON_JSONL = path.join(MON_EVENTS_DIR, "monetisation-signals.jsonl");
 
+const storage = getStorage(DATA_DIR);
+const sharesLog = openSegmentedLog(storage, SHARES_JSONL);
+const signalsLog = openSegmentedLog(storage, MON_JSONL);
+
 // ----------------------------
 // Limits / tuning
 // ----------------------------
 const LIMITS = {
-  maxReadBytes: 20 * 1024 * 1024,
   maxLineScan: 180_000
 };
 
@@ -75,32 +83,12 @@ async function ensureDirs() {
   await fsp.mkdir(MON_EVENTS_DIR, { recursive: true });
 }
 
-function safeJsonParse(line) {
-  try {
-    return JSON.parse(line);
-  } catch {
-    return null;
-  }
-}
-
-async function safeReadJsonlLines(filePath, maxBytes) {
-  await ensureDirs();
+// Parsed records inside the lookback window, across every rotated segment (oldest first)
+async function readLogWindow(log, { days, artistId = null }) {
   try {
-    const stat = await fsp.stat(filePath);
-    if (stat.size > maxBytes) {
-      const fd = await fsp.open(filePath, "r");
-      try {
-        const start = Math.max(0, stat.size - maxBytes);
-        const len = stat.size - start;
-        const buf = Buffer.alloc(len);
-        await fd.read(buf, 0, len, start);
-        return buf.toString("utf8").split("\n").filter(Boolean);
-      } finally {
-        await fd.close();
-      }
-    }
-    const raw = await fsp.readFile(filePath, "utf8");
-    return raw.split("\n").filter(Boolean);
+    const lb = clamp(Number(days) || 120, 1, 365);
+    const { events } = await log.readRange({ fromMs: Date.now() - lb * 24 * 60 * 60 * 1000, artistId });
+    return events;
   } catch {
     return [];
   }
@@ -155,6 +143,12 @@ function pickFanId(evt) {
   return (evt?.fanId || evt?.buyerFanId || evt?.userId || "").toString().trim();
 }
 
+// 404 body for a track route whose track is not catalogued, else null
+function unknownTrack(artistId, trackId) {
+  if (getTrack(artistId, trackId)) return null;
+  return { success: false, error: getArtist(artistId) ? "track_not_found" : "artist_not_found", artistId, trackId };
+}
+
 function isPurchaseType(type) {
   const t = (type || "").toString().trim().toLowerCase();
   return t === "track_purchase" || t === "album_purchase" || t === "subscription_start" || t === "subscription_renew";
@@ -167,7 +161,7 @@ async function buildTrackShareTrend({ artistId, trackId, days, podiumSize }) {
   const lb = clamp(Number(days) || 120, 1, 365);
   const podium = clamp(Number(podiumSize) || 10, 1, 50);
 
-  const lines = await safeReadJsonlLines(SHARES_JSONL, LIMITS.maxReadBytes);
+  const lines = await readLogWindow(sharesLog, { days: lb, artistId });
 
   let scanned = 0;
   let shares = 0;
@@ -181,7 +175,7 @@ async function buildTrackShareTrend({ artistId, trackId, days, podiumSize }) {
     scanned += 1;
     if (scanned > LIMITS.maxLineScan) break;
 
-    const evt = safeJsonParse(lines[i]);
+    const evt = lines[i];
     if (!evt || evt.type !== "share") continue;
     if (evt.artistId !== artistId) continue;
     if (evt.assetType !== "track") continue;
@@ -243,7 +237,7 @@ async function buildArtistShareTrend({ artistId, days, podiumSize }) {
   const lb = clamp(Number(days) || 120, 1, 365);
   const podium = clamp(Number(podiumSize) || 10, 1, 50);
 
-  const lines = await safeReadJsonlLines(SHARES_JSONL, LIMITS.maxReadBytes);
+  const lines = await readLogWindow(sharesLog, { days: lb, artistId });
 
   let scanned = 0;
   let shares = 0;
@@ -257,7 +251,7 @@ async function buildArtistShareTrend({ artistId, days, podiumSize }) {
     scanned += 1;
     if (scanned > LIMITS.maxLineScan) break;
 
-    const evt = safeJsonParse(lines[i]);
+    const evt = lines[i];
     if (!evt || evt.type !== "share") continue;
     if (evt.artistId !== artistId) continue;
     if (!withinLookback(evt.ts, lb)) continue;
@@ -318,7 +312,7 @@ async function buildArtistShareTrend({ artistId, days, podiumSize }) {
 async function buildRefToReferrerIndex({ artistId, trackId, days }) {
   // Build map: ref -> { referrerFanId, firstShareTs }
   const lb = clamp(Number(days) || 120, 1, 365);
-  const lines = await safeReadJsonlLines(SHARES_JSONL, LIMITS.maxReadBytes);
+  const lines = await readLogWindow(sharesLog, { days: lb, artistId });
 
   let scanned = 0;
   const refTo = new Map();
@@ -327,7 +321,7 @@ async function buildRefToReferrerIndex({ artistId, trackId, days }) {
     scanned += 1;
     if (scanned > LIMITS.maxLineScan) break;
 
-    const evt = safeJsonParse(lines[i]);
+    const evt = lines[i];
     if (!evt || evt.type !== "share") continue;
     if (evt.artistId !== artistId) continue;
     if (!withinLookback(evt.ts, lb)) continue;
@@ -365,7 +359,7 @@ async function buildTrackConversionTrend({ artistId, trackId, days, podiumSize }
   const podium = clamp(Number(podiumSize) || 10, 1, 50);
 
   const { refTo, scannedShares } = await buildRefToReferrerIndex({ artistId, trackId, days: lb });
-  const lines = await safeReadJsonlLines(MON_JSONL, LIMITS.maxReadBytes);
+  const lines = await readLogWindow(signalsLog, { days: lb, artistId });
 
   let scannedMon = 0;
 
@@ -383,7 +377,7 @@ async function buildTrackConversionTrend({ artistId, trackId, days, podiumSize }
     scannedMon += 1;
     if (scannedMon > LIMITS.maxLineScan) break;
 
-    const evt = safeJsonParse(lines[i]);
+    const evt = lines[i];
     if (!evt) continue;
     if (!isPurchaseType(evt.type)) continue;
     if ((evt.artistId || "").toString().trim() !== artistId) continue;
@@ -469,7 +463,7 @@ async function buildArtistConversionTrend({ artistId, days, podiumSize }) {
   const podium = clamp(Number(podiumSize) || 10, 1, 50);
 
   const { refTo, scannedShares } = await buildRefToReferrerIndex({ artistId, trackId: null, days: lb });
-  const lines = await safeReadJsonlLines(MON_JSONL, LIMITS.maxReadBytes);
+  const lines = await readLogWindow(signalsLog, { days: lb, artistId });
 
   let scannedMon = 0;
 
@@ -486,7 +480,7 @@ async function buildArtistConversionTrend({ artistId, days, podiumSize }) {
     scannedMon += 1;
     if (scannedMon > LIMITS.maxLineScan) break;
 
-    const evt = safeJsonParse(lines[i]);
+    const evt = lines[i];
     if (!evt) continue;
     if (!isPurchaseType(evt.type)) continue;
     if ((evt.artistId || "").toString().trim() !== artistId) continue;
@@ -609,6 +603,8 @@ router.get("/track/:artistId/:trackId", async (req, res) => {
 
   if (!artistId) return res.status(400).json({ success: false, error: "missing_artistId" });
   if (!trackId) return res.status(400).json({ success: false, error: "missing_trackId" });
+  const missing = unknownTrack(artistId, trackId);
+  if (missing) return res.status(404).json(missing);
 
   const days = clamp(Number(req.query.days) || 120, 1, 365);
   const podium = clamp(Number(req.query.podium) || 10, 1, 50);
@@ -672,6 +668,8 @@ router.get("/conversion/track/:artistId/:trackId", async (req, res) => {
 
   if (!artistId) return res.status(400).json({ success: false, error: "missing_artistId" });
   if (!trackId) return res.status(400).json({ success: false, error: "missing_trackId" });
+  const missing = unknownTrack(artistId, trackId);
+  if (missing) return res.status(404).json(missing);
 
   const days = clamp(Number(req.query.days) || 120, 1, 365);
   const podium = clamp(Number(req.query.podium) || 10, 1, 50);
@@ -1,4 +1,5 @@
 import express from "express";
+import { streamLiveEvents } from "./liveStream.js";
 
 const router = express.Router();
 
@@ -8,6 +9,7 @@ const router = express.Router();
 |--------------------------------------------------------------------------
 | Creates the live flowing discovery stream for the homepage using
 | breakout alerts, explosions, shockwaves, radar signals, and live events.
+| GET /stream pushes breakout level changes as Server-Sent Events.
 |--------------------------------------------------------------------------
 */
 
@@ -114,7 +116,8 @@ router.get("/", (req, res) => {
       "/api/viral-stream",
       "/api/viral-stream/list",
       "/api/viral-stream/critical",
-      "/api/viral-stream/random"
+      "/api/viral-stream/random",
+      "/api/viral-stream/stream"
     ]
   });
 });
@@ -164,4 +167,15 @@ router.get("/random", (req, res) => {
   });
 });
 
+/*
+|--------------------------------------------------------------------------
+| GET /api/viral-stream/stream
+|--------------------------------------------------------------------------
+| breakout.level events, ?artistId= / ?country=, Last-Event-ID resume.
+*/
+
+router.get("/stream", (req, res) =>
+  streamLiveEvents(req, res, { stream: "viral-stream", types: ["breakout.level"] })
+);
+
 export default router;
\ No newline at end of file
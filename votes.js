@@ -2,6 +2,10 @@
  * votes.js (root) — ESM default export
  * iBand Votes Service (v3.0 + Phase D)
  *
+ * Identity:
+ * - the voting session is the fan token's sessionId (identity.js resolveFan); a body/query
+ *   sessionId is only a claim and must match the token
+ *
  * Phase D:
  * - Adds GET /api/votes/status?sessionId=...&artistId=...(&category=...)
  *   Returns server-truth countdowns for:
@@ -18,51 +22,79 @@
  * - DATA_DIR/votes.jsonl      (append-only vote log)
  * - DATA_DIR/votes-state.json (fast lookup state)
  * - DATA_DIR/events.jsonl     (shared event bus for ranking/recs; logs type:"vote")
+ *   then publishes vote.cast / vote.undone on eventBus.js
+ * - vote and undo events carry requestId (X-Request-Id, requestContext.js)
+ *
+ * Validation:
+ * - query/body schemas are declared with describeRoutes (apiSchema.js) and listed in /api/openapi.json;
+ *   errors use the shared envelope { success:false, error, code, message } (rate_limited, artist_locked, ...)
+ *
+ * Rate limit:
+ * - votes per voting session go through the shared "votes.cast" token bucket (rateLimit.js,
+ *   VOTES_MAX_PER_WINDOW per VOTES_RATE_WINDOW_SEC, persisted) and the caller's address bucket; a vote
+ *   rejected for another reason gets its tokens back. Responses carry RateLimit-* headers.
+ *
+ * Concurrency:
+ * - vote/undo hold withFileLock(votes-state.json) from read to write, so parallel votes never
+ *   overwrite each other; a lock timeout answers 503 (retryAfterSec)
  */
 
 import express from "express";
 import fs from "fs/promises";
-import path from "path";
 import crypto from "crypto";
 
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog, withFileLock, getLockStats } from "./storage/index.js";
+import { publish, registerSource } from "./eventBus.js";
+import { attachPrincipal, resolveFan } from "./identity.js";
+import { describeRoutes, errorBody, sendError, S } from "./apiSchema.js";
+import { takeRequest, refundRequest, peek, setRateLimitHeaders } from "./rateLimit.js";
+import { currentRequestId } from "./requestContext.js";
+
 const router = express.Router();
+router.use(attachPrincipal);
+const api = describeRoutes(router, { tag: "votes" });
 
 // -------------------- Env / Paths --------------------
-const DATA_DIR = process.env.DATA_DIR || "/var/data/iband/db";
+const FILES = getConfig("files");
+const CFG = getConfig("votes");
+const DATA_DIR = getConfig("core").dataDir;
 
-const VOTES_LOG_FILE =
-  process.env.VOTES_LOG_FILE || path.join(DATA_DIR, "votes.jsonl");
-const VOTES_STATE_FILE =
-  process.env.VOTES_STATE_FILE || path.join(DATA_DIR, "votes-state.json");
+const VOTES_LOG_FILE = FILES.votesLog;
+const VOTES_STATE_FILE = FILES.votesState;
 
 // shared algorithm event bus (ranking reads this)
-const EVENTS_LOG_FILE =
-  process.env.EVENTS_LOG_FILE || path.join(DATA_DIR, "events.jsonl");
+const EVENTS_LOG_FILE = FILES.eventsLog;
+const storage = getStorage(DATA_DIR);
+const eventsLog = openSegmentedLog(storage, EVENTS_LOG_FILE);
+registerSource("events", eventsLog);
 
-// rate limiting (per session)
-const RATE_WINDOW_SEC = parseInt(process.env.VOTES_RATE_WINDOW_SEC || "3600", 10);
-const MAX_VOTES_PER_WINDOW = parseInt(process.env.VOTES_MAX_PER_WINDOW || "30", 10);
+// rate limiting (per session, rateLimit.js policy "votes.cast")
+const RATE_WINDOW_SEC = CFG.rateWindowSec;
+const MAX_VOTES_PER_WINDOW = CFG.maxPerWindow;
+const RATE_POLICY = "votes.cast";
+const rateKey = (sessionId) => `session:${sessionId}`;
 
 // per-artist cooldown (short cooldown, e.g. 5 min)
-const ARTIST_COOLDOWN_SEC = parseInt(process.env.VOTES_ARTIST_COOLDOWN_SEC || "300", 10);
+const ARTIST_COOLDOWN_SEC = CFG.artistCooldownSec;
 
 // per-artist lock (strategic competition, e.g. 24h)
-const ARTIST_LOCK_HOURS = parseFloat(process.env.VOTES_ARTIST_LOCK_HOURS || "24");
+const ARTIST_LOCK_HOURS = CFG.artistLockHours;
 
 // undo window (accidental vote grace)
-const UNDO_WINDOW_SEC = parseInt(process.env.VOTES_UNDO_WINDOW_SEC || "300", 10);
+const UNDO_WINDOW_SEC = CFG.undoWindowSec;
 
 // allow downvotes
-const ALLOW_DOWNVOTE = String(process.env.VOTES_ALLOW_DOWNVOTE || "true").toLowerCase() === "true";
+const ALLOW_DOWNVOTE = CFG.allowDownvote;
 
 // category caps (Phase B-ready)
-const CATEGORY_WINDOW_HOURS = parseFloat(process.env.VOTES_CATEGORY_WINDOW_HOURS || "24");
-const CATEGORY_CAP = parseInt(process.env.VOTES_CATEGORY_CAP || "3", 10);
+const CATEGORY_WINDOW_HOURS = CFG.categoryWindowHours;
+const CATEGORY_CAP = CFG.categoryCap;
 
 // request body limit
-const MAX_BODY_KB = parseInt(process.env.VOTES_MAX_BODY_KB || "32", 10);
+const MAX_BODY_KB = CFG.maxBodyKb;
 
-const routerVersion = 4; // service version (bump whenever behavior changes)
+const routerVersion = 6; // service version (bump whenever behavior changes)
 
 // -------------------- Utilities --------------------
 function nowIso() {
@@ -113,33 +145,46 @@ async function ensureDir(dir) {
 
 async function readJsonSafe(filePath, fallback) {
   try {
-    const raw = await fs.readFile(filePath, "utf8");
-    return JSON.parse(raw);
+    return await storage.readJson(filePath, fallback);
   } catch {
     return fallback;
   }
 }
 
 async function writeJsonAtomic(filePath, obj) {
-  const tmp = `${filePath}.tmp-${process.pid}-${Math.random().toString(16).slice(2)}`;
-  await fs.writeFile(tmp, JSON.stringify(obj, null, 2), "utf8");
-  await fs.rename(tmp, filePath);
+  await storage.writeJson(filePath, obj);
 }
 
 async function appendJsonl(filePath, obj) {
-  const line = JSON.stringify(obj);
-  await fs.appendFile(filePath, `${line}\n`, "utf8");
+  await storage.appendJsonl(filePath, obj);
 }
 
 async function statOk(p) {
   try {
-    const s = await fs.stat(p);
+    const s = await storage.stat(p);
+    if (!s.exists) return { ok: false, error: "ENOENT" };
     return { ok: true, size: s.size, mtimeMs: s.mtimeMs };
   } catch (e) {
     return { ok: false, error: e?.code || String(e) };
   }
 }
 
+// Every read-modify-write of votes-state.json runs inside withFileLock; handlers return { status, body }.
+function reply(status, body, rate = null) {
+  return { status, body, rate };
+}
+
+function lockFailed(res, e) {
+  if (e?.code === "STORAGE_LOCK_TIMEOUT") {
+    return sendError(res, 503, "store_busy", "Votes store is busy. Try again.", { retryAfterSec: 1 });
+  }
+  return sendError(res, 500, "vote_failed", "Vote failed.", { detail: e?.message || String(e) });
+}
+
+function identityFailed(res, e) {
+  return sendError(res, e.status, e.code, e.message);
+}
+
 // -------------------- State Model --------------------
 /**
  * votes-state.json schema (v1)
@@ -148,7 +193,6 @@ async function statOk(p) {
  *   "updatedAt": "...",
  *   "sessions": {
  *     "<sessionId>": {
- *       "rate": { "windowStartMs": 0, "count": 0 },
  *       "artists": {
  *          "<artistId>": {
  *             "lastVoteMs": 0,
@@ -182,7 +226,6 @@ async function loadState() {
 function getSessionState(state, sessionId) {
   if (!state.sessions[sessionId]) {
     state.sessions[sessionId] = {
-      rate: { windowStartMs: 0, count: 0 },
       artists: {},
       categories: {},
     };
@@ -274,21 +317,26 @@ router.get("/health", async (_req, res) => {
       votesState: { path: VOTES_STATE_FILE, stat: await statOk(VOTES_STATE_FILE) },
       eventsLog: { path: EVENTS_LOG_FILE, stat: await statOk(EVENTS_LOG_FILE) },
     },
+    locks: getLockStats(storage, VOTES_STATE_FILE),
   });
 });
 
 // -------------------- Phase D: Status (countdowns) --------------------
-router.get("/status", async (req, res) => {
-  const sessionId = normalizeId(req.query.sessionId);
+const VOTE_STATUS_QUERY = S.obj({ artistId: S.id(), sessionId: S.id(), category: S.id(40) }, ["artistId"]);
+
+api.get("/status", {
+  summary: "Undo, cooldown, lock and category-cap countdowns for one artist",
+  auth: "fan-optional",
+  query: VOTE_STATUS_QUERY,
+}, async (req, res) => {
+  const who = resolveFan(req, { sessionId: req.query.sessionId });
+  if (who.error) return identityFailed(res, who.error);
+
+  const sessionId = normalizeId(who.sessionId);
   const artistId = normalizeId(req.query.artistId);
   const category = normalizeCategory(req.query.category);
 
-  if (!sessionId) {
-    return res.status(400).json({ success: false, message: "sessionId is required." });
-  }
-  if (!artistId) {
-    return res.status(400).json({ success: false, message: "artistId is required." });
-  }
+  if (!sessionId) return sendError(res, 400, "validation_failed", "sessionId is required.");
 
   const state = await loadState();
   const sess = getSessionState(state, sessionId);
@@ -306,10 +354,9 @@ router.get("/status", async (req, res) => {
   const undoUntilMs = safeNumber(a.undoUntilMs, 0);
   const undoRemainingSec = secondsRemaining(undoUntilMs);
 
-  // Rate window
-  const rateWindowMs = msFromSec(RATE_WINDOW_SEC);
-  const ratePeek = peekWindowCounter(sess.rate, rateWindowMs);
-  const rateRemaining = Math.max(0, MAX_VOTES_PER_WINDOW - ratePeek.count);
+  // Rate bucket (shared limiter)
+  const ratePeek = await peek(RATE_POLICY, rateKey(sessionId));
+  const rateRemaining = ratePeek.remaining ?? MAX_VOTES_PER_WINDOW;
 
   // Category cap (optional)
   let categoryCap = null;
@@ -362,9 +409,9 @@ router.get("/status", async (req, res) => {
     rate: {
       windowSec: RATE_WINDOW_SEC,
       max: MAX_VOTES_PER_WINDOW,
-      used: ratePeek.count,
+      used: Math.max(0, MAX_VOTES_PER_WINDOW - rateRemaining),
       remaining: rateRemaining,
-      resetInSec: secondsRemaining(ratePeek.windowStartMs + rateWindowMs),
+      resetInSec: ratePeek.resetSec,
     },
 
     categoryCap,
@@ -372,203 +419,225 @@ router.get("/status", async (req, res) => {
 });
 
 // -------------------- Cast Vote --------------------
-router.post("/", async (req, res) => {
+const VOTE_BODY = S.obj({ artistId: S.id(), sessionId: S.id(), category: S.id(40), delta: S.int(-1, 1) }, ["artistId"]);
+
+api.post("/", {
+  summary: "Cast a vote",
+  auth: "fan",
+  body: VOTE_BODY,
+  responses: {
+    200: "Vote recorded.",
+    409: "Vote locked for this artist.",
+    429: "Rate limit, category cap or artist cooldown.",
+    503: "Votes store is busy.",
+  },
+}, async (req, res) => {
   await ensureDir(DATA_DIR);
 
+  const who = resolveFan(req, { sessionId: req.body?.sessionId });
+  if (who.error) return identityFailed(res, who.error);
+
   const artistId = normalizeId(req.body?.artistId);
-  const sessionId = normalizeId(req.body?.sessionId);
+  const sessionId = normalizeId(who.sessionId);
   const category = normalizeCategory(req.body?.category);
 
   // delta defaults to +1
   const delta = Number(req.body?.delta ?? 1);
 
-  if (!artistId) return res.status(400).json({ success: false, message: "artistId is required." });
-  if (!sessionId) return res.status(400).json({ success: false, message: "sessionId is required." });
-  if (!allowDelta(delta)) {
-    return res.status(400).json({ success: false, message: "Invalid delta." });
-  }
+  if (!sessionId) return sendError(res, 400, "validation_failed", "sessionId is required.");
+  if (!allowDelta(delta)) return sendError(res, 400, "invalid_delta", "Invalid delta.");
 
-  const state = await loadState();
-  const sess = getSessionState(state, sessionId);
-  const a = getArtistState(sess, artistId);
-
-  // rate limit per session (global)
-  const rateWindowMs = msFromSec(RATE_WINDOW_SEC);
-  const rate = bumpWindowCounter(sess.rate, rateWindowMs);
-  if (rate.count > MAX_VOTES_PER_WINDOW) {
-    // revert bump
-    rate.count -= 1;
-    state.updatedAt = nowIso();
-    await writeJsonAtomic(VOTES_STATE_FILE, state);
-    return res.status(429).json({
-      success: false,
-      message: "Too many requests (vote rate limit).",
-      limits: { rateWindowSec: RATE_WINDOW_SEC, maxVotesPerWindow: MAX_VOTES_PER_WINDOW },
-    });
-  }
+  try {
+    const out = await withFileLock(storage, VOTES_STATE_FILE, async () => {
+      const state = await loadState();
+      const sess = getSessionState(state, sessionId);
+      const a = getArtistState(sess, artistId);
+
+      // rate limit per session (global)
+      const rate = await takeRequest(RATE_POLICY, req, { key: rateKey(sessionId) });
+      if (!rate.ok) {
+        return reply(429, errorBody("rate_limited", "Too many requests (vote rate limit).", {
+          limits: { rateWindowSec: RATE_WINDOW_SEC, maxVotesPerWindow: MAX_VOTES_PER_WINDOW },
+          retryAfterSec: rate.retryAfterSec,
+        }), rate);
+      }
+
+      // category cap (optional)
+      if (category) {
+        const catWindowMs = msFromHours(CATEGORY_WINDOW_HOURS);
+        const cat = bumpWindowCounter(getCategoryState(sess, category), catWindowMs);
+        if (cat.count > CATEGORY_CAP) {
+          // revert bumps
+          cat.count -= 1;
+          await refundRequest(rate);
+          state.updatedAt = nowIso();
+          await writeJsonAtomic(VOTES_STATE_FILE, state);
+          return reply(429, errorBody("category_cap", "Category vote cap reached.", {
+            category,
+            cap: CATEGORY_CAP,
+            windowHours: CATEGORY_WINDOW_HOURS,
+          }));
+        }
+      }
+
+      // artist short cooldown
+      const lastVoteMs = safeNumber(a.lastVoteMs, 0);
+      const cooldownUntilMs = lastVoteMs + msFromSec(ARTIST_COOLDOWN_SEC);
+      if (lastVoteMs && nowMs() < cooldownUntilMs) {
+        // revert bumps
+        await refundRequest(rate);
+        if (category) {
+          const cat = getCategoryState(sess, category);
+          cat.count = Math.max(0, safeNumber(cat.count, 1) - 1);
+        }
+        state.updatedAt = nowIso();
+        await writeJsonAtomic(VOTES_STATE_FILE, state);
+        return reply(429, errorBody("artist_cooldown", "Artist cooldown active.", {
+          artistId,
+          retryInSec: secondsRemaining(cooldownUntilMs),
+        }));
+      }
+
+      // artist lock (24h competition)
+      const lockUntilMs = safeNumber(a.lockUntilMs, 0);
+      if (lockUntilMs && nowMs() < lockUntilMs) {
+        // revert bumps
+        await refundRequest(rate);
+        if (category) {
+          const cat = getCategoryState(sess, category);
+          cat.count = Math.max(0, safeNumber(cat.count, 1) - 1);
+        }
+        state.updatedAt = nowIso();
+        await writeJsonAtomic(VOTES_STATE_FILE, state);
+        return reply(409, errorBody("artist_locked", "Vote locked for this artist (cooldown window).", {
+          artistId,
+          voteAgainInSec: secondsRemaining(lockUntilMs),
+        }));
+      }
+
+      // record vote event
+      const voteEvent = {
+        id: makeId("evt"),
+        at: nowIso(),
+        type: "vote",
+        artistId,
+        sessionId,
+        watchMs: 0,
+        v: 1,
+        delta,
+        category: category || null,
+        requestId: currentRequestId(),
+      };
+
+      // state updates (for status/undo)
+      a.lastVoteMs = nowMs();
+      a.lockUntilMs = computeArtistLockUntilMs();
+      a.lastVoteEventId = voteEvent.id;
+      a.lastDelta = delta;
+      a.undoUntilMs = computeUndoUntilMs();
+      a.lastCategory = category || a.lastCategory || null;
 
-  // category cap (optional)
-  if (category) {
-    const catWindowMs = msFromHours(CATEGORY_WINDOW_HOURS);
-    const cat = bumpWindowCounter(getCategoryState(sess, category), catWindowMs);
-    if (cat.count > CATEGORY_CAP) {
-      // revert bumps
-      cat.count -= 1;
-      rate.count -= 1;
       state.updatedAt = nowIso();
-      await writeJsonAtomic(VOTES_STATE_FILE, state);
-      return res.status(429).json({
-        success: false,
-        message: "Category vote cap reached.",
-        category,
-        cap: CATEGORY_CAP,
-        windowHours: CATEGORY_WINDOW_HOURS,
-      });
-    }
-  }
-
-  // artist short cooldown
-  const lastVoteMs = safeNumber(a.lastVoteMs, 0);
-  const cooldownUntilMs = lastVoteMs + msFromSec(ARTIST_COOLDOWN_SEC);
-  if (lastVoteMs && nowMs() < cooldownUntilMs) {
-    // revert bumps
-    rate.count -= 1;
-    if (category) {
-      const cat = getCategoryState(sess, category);
-      cat.count = Math.max(0, safeNumber(cat.count, 1) - 1);
-    }
-    state.updatedAt = nowIso();
-    await writeJsonAtomic(VOTES_STATE_FILE, state);
-    return res.status(429).json({
-      success: false,
-      message: "Artist cooldown active.",
-      artistId,
-      retryInSec: secondsRemaining(cooldownUntilMs),
-    });
-  }
 
-  // artist lock (24h competition)
-  const lockUntilMs = safeNumber(a.lockUntilMs, 0);
-  if (lockUntilMs && nowMs() < lockUntilMs) {
-    // revert bumps
-    rate.count -= 1;
-    if (category) {
-      const cat = getCategoryState(sess, category);
-      cat.count = Math.max(0, safeNumber(cat.count, 1) - 1);
-    }
-    state.updatedAt = nowIso();
-    await writeJsonAtomic(VOTES_STATE_FILE, state);
-    return res.status(409).json({
-      success: false,
-      message: "Vote locked for this artist (cooldown window).",
-      artistId,
-      voteAgainInSec: secondsRemaining(lockUntilMs),
+      // persist
+      await appendJsonl(VOTES_LOG_FILE, voteEvent);
+      await eventsLog.append(voteEvent); // ranking/recs read this
+      await writeJsonAtomic(VOTES_STATE_FILE, state);
+      publish("vote.cast", voteEvent);
+
+      return reply(200, {
+        success: true,
+        message: "Vote recorded.",
+        voteEvent,
+        updatedAt: state.updatedAt,
+        limits: {
+          artistLockHours: ARTIST_LOCK_HOURS,
+          undoWindowSec: UNDO_WINDOW_SEC,
+        },
+      }, rate);
     });
+    setRateLimitHeaders(res, out.rate);
+    return res.status(out.status).json(out.body);
+  } catch (e) {
+    return lockFailed(res, e);
   }
-
-  // record vote event
-  const voteEvent = {
-    id: makeId("evt"),
-    at: nowIso(),
-    type: "vote",
-    artistId,
-    sessionId,
-    watchMs: 0,
-    v: 1,
-    delta,
-    category: category || null,
-  };
-
-  // state updates (for status/undo)
-  a.lastVoteMs = nowMs();
-  a.lockUntilMs = computeArtistLockUntilMs();
-  a.lastVoteEventId = voteEvent.id;
-  a.lastDelta = delta;
-  a.undoUntilMs = computeUndoUntilMs();
-  a.lastCategory = category || a.lastCategory || null;
-
-  state.updatedAt = nowIso();
-
-  // persist
-  await appendJsonl(VOTES_LOG_FILE, voteEvent);
-  await appendJsonl(EVENTS_LOG_FILE, voteEvent); // ranking/recs read this
-  await writeJsonAtomic(VOTES_STATE_FILE, state);
-
-  return res.json({
-    success: true,
-    message: "Vote recorded.",
-    voteEvent,
-    updatedAt: state.updatedAt,
-    limits: {
-      artistLockHours: ARTIST_LOCK_HOURS,
-      undoWindowSec: UNDO_WINDOW_SEC,
-    },
-  });
 });
 
 // -------------------- Undo Vote --------------------
-router.post("/undo", async (req, res) => {
+api.post("/undo", {
+  summary: "Undo the last vote for an artist (within the undo window)",
+  auth: "fan",
+  body: S.obj({ artistId: S.id(), sessionId: S.id() }, ["artistId"]),
+  responses: { 200: "Vote undone.", 409: "Nothing to undo, or the undo window expired." },
+}, async (req, res) => {
   await ensureDir(DATA_DIR);
 
-  const sessionId = normalizeId(req.body?.sessionId);
+  const who = resolveFan(req, { sessionId: req.body?.sessionId });
+  if (who.error) return identityFailed(res, who.error);
+
+  const sessionId = normalizeId(who.sessionId);
   const artistId = normalizeId(req.body?.artistId);
 
-  if (!sessionId) return res.status(400).json({ success: false, message: "sessionId is required." });
-  if (!artistId) return res.status(400).json({ success: false, message: "artistId is required." });
+  if (!sessionId) return sendError(res, 400, "validation_failed", "sessionId is required.");
 
-  const state = await loadState();
-  const sess = getSessionState(state, sessionId);
-  const a = getArtistState(sess, artistId);
+  try {
+    const out = await withFileLock(storage, VOTES_STATE_FILE, async () => {
+      const state = await loadState();
+      const sess = getSessionState(state, sessionId);
+      const a = getArtistState(sess, artistId);
+
+      const undoUntilMs = safeNumber(a.undoUntilMs, 0);
+      const lastVoteEventId = a.lastVoteEventId;
+
+      if (!lastVoteEventId) {
+        return reply(409, errorBody("nothing_to_undo", "No vote to undo for this artist."));
+      }
+
+      if (!undoUntilMs || nowMs() > undoUntilMs) {
+        return reply(409, errorBody("undo_expired", "Undo window expired.", { undoRemainingSec: 0 }));
+      }
+
+      // create an "undo vote" event (delta inverse)
+      const undoDelta = a.lastDelta === 0 ? -1 : -a.lastDelta;
+
+      // If downvotes are disabled and undo would be +1/-1 mismatch, still allow undo as a system correction.
+      const undoEvent = {
+        id: makeId("evt"),
+        at: nowIso(),
+        type: "vote",
+        artistId,
+        sessionId,
+        watchMs: 0,
+        v: 1,
+        delta: undoDelta,
+        undoOf: lastVoteEventId,
+        requestId: currentRequestId(),
+      };
+
+      // lock stays (strategic choice), but undo is a *vote correction* within grace period.
+      // We only clear undo window + lastVoteEventId to prevent double-undo.
+      a.lastVoteEventId = null;
+      a.lastDelta = 0;
+      a.undoUntilMs = 0;
 
-  const undoUntilMs = safeNumber(a.undoUntilMs, 0);
-  const lastVoteEventId = a.lastVoteEventId;
+      state.updatedAt = nowIso();
 
-  if (!lastVoteEventId) {
-    return res.status(409).json({ success: false, message: "No vote to undo for this artist." });
-  }
+      await appendJsonl(VOTES_LOG_FILE, undoEvent);
+      await eventsLog.append(undoEvent);
+      await writeJsonAtomic(VOTES_STATE_FILE, state);
+      publish("vote.undone", undoEvent);
 
-  if (!undoUntilMs || nowMs() > undoUntilMs) {
-    return res.status(409).json({
-      success: false,
-      message: "Undo window expired.",
-      undoRemainingSec: 0,
+      return reply(200, {
+        success: true,
+        message: "Vote undone.",
+        undoEvent,
+        updatedAt: state.updatedAt,
+      });
     });
+    return res.status(out.status).json(out.body);
+  } catch (e) {
+    return lockFailed(res, e);
   }
-
-  // create an "undo vote" event (delta inverse)
-  const undoDelta = a.lastDelta === 0 ? -1 : -a.lastDelta;
-
-  // If downvotes are disabled and undo would be +1/-1 mismatch, still allow undo as a system correction.
-  const undoEvent = {
-    id: makeId("evt"),
-    at: nowIso(),
-    type: "vote",
-    artistId,
-    sessionId,
-    watchMs: 0,
-    v: 1,
-    delta: undoDelta,
-    undoOf: lastVoteEventId,
-  };
-
-  // lock stays (strategic choice), but undo is a *vote correction* within grace period.
-  // We only clear undo window + lastVoteEventId to prevent double-undo.
-  a.lastVoteEventId = null;
-  a.lastDelta = 0;
-  a.undoUntilMs = 0;
-
-  state.updatedAt = nowIso();
-
-  await appendJsonl(VOTES_LOG_FILE, undoEvent);
-  await appendJsonl(EVENTS_LOG_FILE, undoEvent);
-  await writeJsonAtomic(VOTES_STATE_FILE, state);
-
-  return res.json({
-    success: true,
-    message: "Vote undone.",
-    undoEvent,
-    updatedAt: state.updatedAt,
-  });
 });
 
 export default router;
\ No newline at end of file
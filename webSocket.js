@@ -0,0 +1,392 @@
+/**
+ * webSocket.js (root) — ESM
+ * iBand WebSocket transport (v1): a minimal RFC 6455 server on the app's own HTTP server.
+ *
+ * No dependency: only what the browser EventSource / WebSocket clients need.
+ * - text frames (JSON by convention), fragmented messages, ping / pong, close handshake
+ * - binary frames, unmasked client frames, bad UTF-8 or oversized messages close the socket
+ *   (1003 / 1002 / 1007 / 1009); no extensions (permessage-deflate) and no subprotocols
+ * - the server pings every IBAND_WS_PING_INTERVAL_MS; a peer that missed the previous pong is dropped
+ *
+ * Modules register a path at import, server.js attaches once after listen (like scheduler.js jobs):
+ *   registerSocketRoute("/api/rooms/ws", (conn, req) => { conn.on("message", (text) => ...); });
+ *   attachWebSockets(server);
+ *
+ * The upgrade request is authenticated like HTTP (identity.js): Authorization / X-IBand-Token, or
+ * ?token= for browsers, which can't set headers on a WebSocket. A bad token, an unknown path or
+ * IBAND_WS_MAX_CONNECTIONS reached answers a plain HTTP error with the shared envelope.
+ * req.principal and req.query are set before the route handler runs.
+ *
+ * conn: EventEmitter — "message"(text), "close"(code, reason); id, route, principal, open,
+ * send(text | object), close(code, reason), terminate().
+ *
+ * Config (config.js namespace "ws"): IBAND_WS_ENABLED, IBAND_WS_MAX_PAYLOAD_BYTES,
+ * IBAND_WS_PING_INTERVAL_MS, IBAND_WS_MAX_CONNECTIONS (+ IBAND_WS_TYPING_TTL_MS, read by rooms.js).
+ */
+
+import crypto from "crypto";
+import http from "http";
+import { EventEmitter } from "events";
+
+import { getConfig } from "./config.js";
+import { verifyToken, principalFromClaims } from "./identity.js";
+import { errorBody } from "./apiSchema.js";
+import { counter, gauge, registerCollector } from "./metrics.js";
+import { logger } from "./logger.js";
+
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const CLOSE_TIMEOUT_MS = 2000;
+
+const OP = Object.freeze({ continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa });
+
+export const CLOSE_CODES = Object.freeze({
+  normal: 1000,
+  goingAway: 1001,
+  protocolError: 1002,
+  unsupportedData: 1003,
+  invalidPayload: 1007,
+  policyViolation: 1008,
+  tooBig: 1009,
+});
+
+const ROUTES = new Map(); // path -> handler(conn, req)
+const CONNECTIONS = new Set();
+
+const connectionsGauge = gauge("iband_ws_connections", "Open WebSocket connections by route.", ["route"]);
+const messagesCounter = counter("iband_ws_messages_total", "WebSocket text messages by route and direction.", ["route", "direction"]);
+const rejectedCounter = counter("iband_ws_upgrades_rejected_total", "Refused WebSocket upgrades by reason.", ["reason"]);
+
+registerCollector(() => {
+  connectionsGauge.reset();
+  const byRoute = {};
+  for (const c of CONNECTIONS) byRoute[c.route] = (byRoute[c.route] || 0) + 1;
+  for (const [route, n] of Object.entries(byRoute)) connectionsGauge.set({ route }, n);
+});
+
+function cfg() {
+  return getConfig("ws");
+}
+
+/* -------------------- Frames -------------------- */
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(len / 2 ** 32), 2);
+    header.writeUInt32BE(len >>> 0, 6);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function closePayload(code, reason = "") {
+  const text = Buffer.from(String(reason || "").slice(0, 120), "utf8");
+  const out = Buffer.alloc(2 + text.length);
+  out.writeUInt16BE(code, 0);
+  text.copy(out, 2);
+  return out;
+}
+
+/**
+ * Incremental parser for client frames. onFrame({ fin, opcode, payload }) per complete frame;
+ * returns { code, reason } when the stream breaks the protocol, otherwise null.
+ */
+function createFrameReader(maxPayload, onFrame) {
+  let buf = Buffer.alloc(0);
+
+  return function push(chunk) {
+    buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+
+    while (buf.length >= 2) {
+      const fin = (buf[0] & 0x80) !== 0;
+      const rsv = buf[0] & 0x70;
+      const opcode = buf[0] & 0x0f;
+      const masked = (buf[1] & 0x80) !== 0;
+      let len = buf[1] & 0x7f;
+      let off = 2;
+
+      if (rsv) return { code: CLOSE_CODES.protocolError, reason: "reserved bits set" };
+      if (!masked) return { code: CLOSE_CODES.protocolError, reason: "client frames must be masked" };
+
+      if (len === 126) {
+        if (buf.length < 4) return null;
+        len = buf.readUInt16BE(2);
+        off = 4;
+      } else if (len === 127) {
+        if (buf.length < 10) return null;
+        if (buf.readUInt32BE(2) !== 0) return { code: CLOSE_CODES.tooBig, reason: "message too big" };
+        len = buf.readUInt32BE(6);
+        off = 10;
+      }
+      if (opcode >= 0x8 && (!fin || len > 125)) return { code: CLOSE_CODES.protocolError, reason: "bad control frame" };
+      if (len > maxPayload) return { code: CLOSE_CODES.tooBig, reason: "message too big" };
+      if (buf.length < off + 4 + len) return null;
+
+      const mask = buf.subarray(off, off + 4);
+      const payload = Buffer.alloc(len);
+      for (let i = 0; i < len; i++) payload[i] = buf[off + 4 + i] ^ mask[i & 3];
+      buf = buf.subarray(off + 4 + len);
+
+      const err = onFrame({ fin, opcode, payload });
+      if (err) return err;
+    }
+    return null;
+  };
+}
+
+/* -------------------- Connections -------------------- */
+
+function createConnection(socket, { route, principal, req }) {
+  const conn = new EventEmitter();
+  const { maxPayloadBytes, pingIntervalMs } = cfg();
+  const utf8 = new TextDecoder("utf-8", { fatal: true });
+
+  let state = "open"; // open -> closing -> closed
+  let fragments = null; // { size, parts } while a fragmented text message is in flight
+  let awaitingPong = false;
+  let closeTimer = null;
+
+  conn.id = `ws_${crypto.randomBytes(12).toString("hex")}`;
+  conn.route = route;
+  conn.principal = principal;
+  conn.remoteAddress = req.socket?.remoteAddress || null;
+  conn.openedAt = new Date().toISOString();
+  Object.defineProperty(conn, "open", { get: () => state === "open" });
+
+  const write = (frame) => {
+    if (!socket.destroyed) socket.write(frame);
+  };
+
+  conn.send = (data) => {
+    if (state !== "open") return false;
+    const text = typeof data === "string" ? data : JSON.stringify(data);
+    write(encodeFrame(OP.text, Buffer.from(text, "utf8")));
+    messagesCounter.inc({ route, direction: "out" });
+    return true;
+  };
+
+  // the close that started the handshake wins (ours, or the peer's)
+  let closeInfo = null;
+
+  function finish(code, reason) {
+    if (state === "closed") return;
+    state = "closed";
+    clearInterval(pinger);
+    clearTimeout(closeTimer);
+    CONNECTIONS.delete(conn);
+    if (!socket.destroyed) {
+      socket.end(); // flush the close frame, then give up on the peer
+      setTimeout(() => socket.destroy(), CLOSE_TIMEOUT_MS).unref?.();
+    }
+    const info = closeInfo || { code, reason };
+    conn.emit("close", info.code, info.reason);
+  }
+
+  conn.close = (code = CLOSE_CODES.normal, reason = "") => {
+    if (state !== "open") return;
+    state = "closing";
+    closeInfo = { code, reason };
+    write(encodeFrame(OP.close, closePayload(code, reason)));
+    closeTimer = setTimeout(() => finish(code, reason), CLOSE_TIMEOUT_MS);
+    closeTimer.unref?.();
+  };
+
+  conn.terminate = () => finish(CLOSE_CODES.goingAway, "terminated");
+
+  const deliver = (text) => {
+    messagesCounter.inc({ route, direction: "in" });
+    try {
+      conn.emit("message", text);
+    } catch (e) {
+      logger.warn("ws_handler_failed", { route, connectionId: conn.id, error: e });
+    }
+  };
+
+  const onFrame = ({ fin, opcode, payload }) => {
+    switch (opcode) {
+      case OP.ping:
+        write(encodeFrame(OP.pong, payload));
+        return null;
+      case OP.pong:
+        awaitingPong = false;
+        return null;
+      case OP.close: {
+        const code = payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.normal;
+        const reason = payload.length > 2 ? payload.subarray(2).toString("utf8") : "";
+        if (state === "open") {
+          closeInfo = { code, reason };
+          write(encodeFrame(OP.close, closePayload(code)));
+        }
+        finish(code, reason);
+        return null;
+      }
+      case OP.binary:
+        return { code: CLOSE_CODES.unsupportedData, reason: "text frames only" };
+      case OP.text:
+      case OP.continuation: {
+        if (opcode === OP.text && fragments) return { code: CLOSE_CODES.protocolError, reason: "expected continuation" };
+        if (opcode === OP.continuation && !fragments) return { code: CLOSE_CODES.protocolError, reason: "unexpected continuation" };
+        if (!fragments) fragments = { size: 0, parts: [] };
+        fragments.size += payload.length;
+        fragments.parts.push(payload);
+        if (fragments.size > maxPayloadBytes) return { code: CLOSE_CODES.tooBig, reason: "message too big" };
+        if (!fin) return null;
+
+        const whole = Buffer.concat(fragments.parts);
+        fragments = null;
+        let text;
+        try {
+          text = utf8.decode(whole);
+        } catch {
+          return { code: CLOSE_CODES.invalidPayload, reason: "invalid utf-8" };
+        }
+        if (state === "open") deliver(text);
+        return null;
+      }
+      default:
+        return { code: CLOSE_CODES.protocolError, reason: "unknown opcode" };
+    }
+  };
+
+  const read = createFrameReader(maxPayloadBytes, onFrame);
+  const onData = (chunk) => {
+    if (state === "closed") return;
+    const err = read(chunk);
+    if (err) {
+      conn.close(err.code, err.reason);
+      finish(err.code, err.reason);
+    }
+  };
+
+  const pinger = setInterval(() => {
+    if (awaitingPong) return conn.terminate();
+    awaitingPong = true;
+    write(encodeFrame(OP.ping));
+  }, pingIntervalMs);
+  pinger.unref?.();
+
+  socket.setNoDelay(true);
+  socket.setTimeout(0);
+  socket.on("data", onData);
+  socket.on("error", () => finish(CLOSE_CODES.goingAway, "socket error"));
+  socket.on("close", () => finish(CLOSE_CODES.goingAway, "connection lost"));
+
+  conn.read = onData; // bytes that arrived with the upgrade request
+  return conn;
+}
+
+/* -------------------- Upgrade -------------------- */
+
+function refuse(socket, status, code, message, extraHeaders = {}) {
+  rejectedCounter.inc({ reason: code });
+  const body = JSON.stringify(errorBody(code, message));
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(body),
+    Connection: "close",
+    ...extraHeaders,
+  };
+  const head = Object.entries(headers).map(([k, v]) => `${k}: ${v}`).join("\r\n");
+  socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ""}\r\n${head}\r\n\r\n${body}`);
+}
+
+function tokenOf(req, query) {
+  const auth = String(req.headers.authorization || "");
+  if (/^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, "").trim();
+  return String(req.headers["x-iband-token"] || query.token || "").trim();
+}
+
+function handleUpgrade(req, socket, head) {
+  const url = new URL(req.url || "/", "http://localhost");
+  const handler = ROUTES.get(url.pathname);
+  const c = cfg();
+
+  if (!handler || !c.enabled) return refuse(socket, 404, "not_found", "No WebSocket endpoint at this path.");
+  if (req.method !== "GET" || !/websocket/i.test(String(req.headers.upgrade || ""))) {
+    return refuse(socket, 400, "bad_upgrade", "Expected a WebSocket upgrade (GET, Upgrade: websocket).");
+  }
+  if (String(req.headers["sec-websocket-version"] || "") !== "13") {
+    return refuse(socket, 426, "unsupported_version", "Only WebSocket version 13 is supported.", { "Sec-WebSocket-Version": "13" });
+  }
+  const key = String(req.headers["sec-websocket-key"] || "");
+  if (Buffer.from(key, "base64").length !== 16) return refuse(socket, 400, "bad_upgrade", "Sec-WebSocket-Key is missing or malformed.");
+
+  const query = Object.fromEntries(url.searchParams);
+  const token = tokenOf(req, query);
+  let principal = null;
+  if (token) {
+    const v = verifyToken(token);
+    if (!v.ok) return refuse(socket, 401, v.code, v.message);
+    principal = principalFromClaims(v.claims);
+  }
+  if (CONNECTIONS.size >= c.maxConnections) return refuse(socket, 503, "too_many_connections", "Too many open sockets; retry shortly.");
+
+  const accept = crypto.createHash("sha1").update(key + GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  req.principal = principal;
+  req.query = query;
+  const conn = createConnection(socket, { route: url.pathname, principal, req });
+  CONNECTIONS.add(conn);
+
+  try {
+    handler(conn, req);
+  } catch (e) {
+    logger.error("ws_route_failed", { route: url.pathname, error: e });
+    conn.close(1011, "server error");
+    return;
+  }
+  if (head?.length) conn.read(head);
+}
+
+/* -------------------- Registry -------------------- */
+
+/** handler(conn, req) runs once per accepted socket on that exact path. */
+export function registerSocketRoute(path, handler) {
+  if (ROUTES.has(path)) throw new Error(`WebSocket route "${path}" is already registered.`);
+  ROUTES.set(path, handler);
+}
+
+/** Listens for upgrades on an http.Server (idempotent). */
+export function attachWebSockets(server) {
+  if (server.__ibandWebSockets) return { attached: false, routes: [...ROUTES.keys()] };
+  server.__ibandWebSockets = true;
+  server.on("upgrade", handleUpgrade);
+  return { attached: true, enabled: cfg().enabled, routes: [...ROUTES.keys()] };
+}
+
+/** Open sockets by route (health / tests). */
+export function getSocketStats() {
+  const byRoute = {};
+  for (const c of CONNECTIONS) byRoute[c.route] = (byRoute[c.route] || 0) + 1;
+  return { open: CONNECTIONS.size, byRoute };
+}
+
+/** Closes every socket with 1001 (shutdown, tests). */
+export function closeAllSockets(reason = "server shutting down") {
+  for (const c of [...CONNECTIONS]) {
+    c.close(CLOSE_CODES.goingAway, reason);
+    c.terminate();
+  }
+}
+
+export default {
+  CLOSE_CODES,
+  registerSocketRoute,
+  attachWebSockets,
+  getSocketStats,
+  closeAllSockets,
+};
@@ -0,0 +1,627 @@
+/**
+ * webhooks.js (root) — ESM default export router
+ * iBand Outbound Webhooks (v1): labels and partner apps get platform events pushed over HTTP.
+ *
+ * Event types (emitWebhook(type, data, { key })):
+ * - artist.breakout    breakoutEngine.js   an artist climbs to a higher breakout level (rising … explosion)
+ * - medal.awarded      flashMedals.js      artist winners of a closed flash window
+ *                      medals.js           an artist moves up a medal tier (bronze / silver / gold / platinum)
+ * - purchase.recorded  purchases.js        every purchase (via the event bus, durable subscriber)
+ * - artist.approved    adminArtists.js     pending -> active (approve or status)
+ * - artist.rejected    adminArtists.js     pending -> rejected, with the structured reasons to address
+ * - webhook.test       POST /api/webhooks/:id/test, sent to that subscription only
+ *
+ * `key` names the real-world occurrence ("artist.breakout:a1:viral"); the event id is derived from it,
+ * so a re-emitted occurrence (bus replay, restart) is queued once and receivers can dedupe on id.
+ *
+ * Request to the subscriber: POST <url>, JSON body { id, type, createdAt, data }, headers
+ *   X-IBand-Event, X-IBand-Delivery, X-IBand-Signature: t=<unix s>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ * Receivers recompute the HMAC over the raw body and reject stale timestamps.
+ *
+ * Delivery:
+ * - queued deliveries live in DATA_DIR/webhooks/queue.json (survive restarts); a worker sends the due ones
+ *   right after an emit, on its own backoff timer and from the "webhooks.deliver" scheduler job
+ * - any 2xx is delivered; anything else (status, timeout, network) retries with exponential backoff
+ *   IBAND_WEBHOOK_RETRY_BASE_MS * 2^(attempt-1), capped at IBAND_WEBHOOK_RETRY_MAX_MS
+ * - after IBAND_WEBHOOK_MAX_ATTEMPTS the delivery moves to dead-letters.json (retry from the API)
+ * - picked deliveries carry a lease, so two processes don't send the same attempt
+ * - every attempt is one line in the delivery log (deliveries.jsonl, segmented)
+ *
+ * Endpoints (mounted at /api/webhooks; admin, permissions.js "webhooks.read" / "webhooks.manage"):
+ * - GET    /event-types
+ * - GET    /                      subscriptions (secrets masked)
+ * - POST   /                      { url, events[], secret?, description? } -> secret shown once
+ * - GET    /deliveries            ?subscriptionId=&eventType=&status=&limit=&cursor=
+ * - GET    /dead-letters          ?subscriptionId=
+ * - POST   /dead-letters/:id/retry
+ * - GET    /:id
+ * - PATCH  /:id                   { url?, events?, active?, description?, rotateSecret? }
+ * - DELETE /:id
+ * - POST   /:id/test
+ *
+ * Config (config.js namespace "webhooks"): IBAND_WEBHOOKS_ENABLED, IBAND_WEBHOOK_DIR,
+ * IBAND_WEBHOOK_MAX_ATTEMPTS, IBAND_WEBHOOK_RETRY_BASE_MS, IBAND_WEBHOOK_RETRY_MAX_MS, IBAND_WEBHOOK_TIMEOUT_MS.
+ */
+
+import express from "express";
+import crypto from "crypto";
+import path from "path";
+
+import { getConfig } from "./config.js";
+import { getStorage, openSegmentedLog, withFileLock } from "./storage/index.js";
+import { subscribe } from "./eventBus.js";
+import { attachPrincipal } from "./identity.js";
+import { requirePermission } from "./permissions.js";
+import { recordAudit } from "./adminAudit.js";
+import { describeRoutes, sendError, S } from "./apiSchema.js";
+import { PAGE_QUERY, readPage, sendPageError, isAfter, paginate } from "./pagination.js";
+import { currentRequestId } from "./requestContext.js";
+import { registerJob } from "./scheduler.js";
+import { logger } from "./logger.js";
+
+const router = express.Router();
+
+export const WEBHOOK_EVENT_TYPES = Object.freeze({
+  "artist.breakout": "An artist reached a higher breakout level (breakoutEngine.js).",
+  "medal.awarded": "An artist won a flash medal or moved up a medal tier.",
+  "purchase.recorded": "A purchase was recorded (purchases.js).",
+  "artist.approved": "An artist was approved (pending -> active).",
+  "artist.rejected": "An artist was rejected (pending -> rejected); data.reasons lists what to fix before resubmitting.",
+  "webhook.test": "Test ping from POST /api/webhooks/:id/test.",
+});
+
+const SEEN_MAX = 5000;
+const DEAD_LETTERS_MAX = 1000;
+const LEASE_GRACE_MS = 5000;
+const ERROR_MAX = 300;
+
+function cfg() {
+  return getConfig("webhooks");
+}
+
+function files() {
+  const dir = cfg().dir;
+  return {
+    subscriptions: path.join(dir, "subscriptions.json"),
+    queue: path.join(dir, "queue.json"),
+    deadLetters: path.join(dir, "dead-letters.json"),
+    deliveries: path.join(dir, "deliveries.jsonl"),
+  };
+}
+
+function storage() {
+  return getStorage(getConfig("core").dataDir);
+}
+
+function deliveryLog() {
+  return openSegmentedLog(storage(), files().deliveries);
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function makeId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function maskSecret(secret) {
+  const s = String(secret || "");
+  return s ? `${s.slice(0, 6)}…${s.slice(-4)}` : null;
+}
+
+function publicSubscription(sub, { pending = undefined } = {}) {
+  const { secret, ...rest } = sub;
+  return { ...rest, secret: maskSecret(secret), ...(pending !== undefined ? { pending } : {}) };
+}
+
+/** "t=<unix s>,v1=<hex>" over "<t>.<body>" — what receivers verify. */
+export function signPayload(secret, body, timestampSec = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac("sha256", String(secret)).update(`${timestampSec}.${body}`).digest("hex");
+  return `t=${timestampSec},v1=${v1}`;
+}
+
+function validUrl(raw) {
+  try {
+    const u = new URL(String(raw || ""));
+    return ["http:", "https:"].includes(u.protocol) && !u.username && !u.password ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/* -------------------- Stores -------------------- */
+
+async function readSubscriptions() {
+  const store = await storage().readJson(files().subscriptions, { version: 1, updatedAt: null, subscriptions: [] });
+  if (!Array.isArray(store.subscriptions)) store.subscriptions = [];
+  return store;
+}
+
+async function updateSubscriptions(fn) {
+  const file = files().subscriptions;
+  return withFileLock(storage(), file, async () => {
+    const store = await readSubscriptions();
+    const out = await fn(store);
+    store.updatedAt = nowIso();
+    await storage().writeJson(file, store);
+    return out;
+  });
+}
+
+async function readQueue() {
+  const q = await storage().readJson(files().queue, { version: 1, updatedAt: null, deliveries: [], seen: [] });
+  if (!Array.isArray(q.deliveries)) q.deliveries = [];
+  if (!Array.isArray(q.seen)) q.seen = [];
+  return q;
+}
+
+async function updateQueue(fn) {
+  const file = files().queue;
+  return withFileLock(storage(), file, async () => {
+    const q = await readQueue();
+    const out = await fn(q);
+    q.updatedAt = nowIso();
+    await storage().writeJson(file, q);
+    return out;
+  });
+}
+
+async function readDeadLetters() {
+  const d = await storage().readJson(files().deadLetters, { version: 1, updatedAt: null, items: [] });
+  if (!Array.isArray(d.items)) d.items = [];
+  return d;
+}
+
+async function updateDeadLetters(fn) {
+  const file = files().deadLetters;
+  return withFileLock(storage(), file, async () => {
+    const d = await readDeadLetters();
+    const out = await fn(d);
+    d.items = d.items.slice(-DEAD_LETTERS_MAX);
+    d.updatedAt = nowIso();
+    await storage().writeJson(file, d);
+    return out;
+  });
+}
+
+/* -------------------- Emit -------------------- */
+
+function newDelivery(event, sub) {
+  return {
+    id: makeId("dlv"),
+    eventId: event.id,
+    eventType: event.type,
+    subscriptionId: sub.id,
+    event,
+    attempts: 0,
+    createdAt: nowIso(),
+    nextAttemptAt: nowIso(),
+    leaseUntil: null,
+    lastError: null,
+    lastStatus: null,
+  };
+}
+
+/**
+ * Queues `type` for every active subscription that wants it. Never throws (callers are request
+ * handlers and scoring engines); resolves { eventId, queued, duplicate }.
+ */
+export async function emitWebhook(type, data, { key = null, onlySubscriptionId = null } = {}) {
+  try {
+    if (!cfg().enabled || !WEBHOOK_EVENT_TYPES[type]) return { eventId: null, queued: 0, duplicate: false };
+
+    const eventId = key ? `evt_${crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, 24)}` : makeId("evt");
+    const event = { id: eventId, type, createdAt: nowIso(), data: data ?? null, requestId: currentRequestId() };
+
+    const { subscriptions } = await readSubscriptions();
+    const targets = subscriptions.filter(
+      (s) => s.active !== false && (onlySubscriptionId ? s.id === onlySubscriptionId : (s.events || []).includes(type))
+    );
+    if (!targets.length) return { eventId, queued: 0, duplicate: false };
+
+    const out = await updateQueue((q) => {
+      if (key && q.seen.includes(eventId)) return { eventId, queued: 0, duplicate: true };
+      if (key) q.seen = [...q.seen, eventId].slice(-SEEN_MAX);
+      for (const sub of targets) q.deliveries.push(newDelivery(event, sub));
+      return { eventId, queued: targets.length, duplicate: false };
+    });
+
+    if (out.queued) kickDelivery();
+    return out;
+  } catch (e) {
+    logger.error("webhook_emit_failed", { type, error: e });
+    return { eventId: null, queued: 0, duplicate: false, error: e?.message || String(e) };
+  }
+}
+
+/* -------------------- Delivery worker -------------------- */
+
+const worker = { running: false, again: false, timer: null };
+
+function retryDelayMs(attempts) {
+  const c = cfg();
+  return Math.min(c.retryMaxMs, c.retryBaseMs * 2 ** Math.max(0, attempts - 1));
+}
+
+async function logAttempt(d, fields) {
+  try {
+    await deliveryLog().append({
+      id: makeId("att"),
+      ts: nowIso(),
+      deliveryId: d.id,
+      eventId: d.eventId,
+      eventType: d.eventType,
+      subscriptionId: d.subscriptionId,
+      attempt: d.attempts,
+      ...fields,
+    });
+  } catch (e) {
+    logger.error("webhook_log_failed", { deliveryId: d.id, error: e });
+  }
+}
+
+async function send(d, sub) {
+  const body = JSON.stringify({ id: d.event.id, type: d.event.type, createdAt: d.event.createdAt, data: d.event.data });
+  const started = Date.now();
+  try {
+    const r = await fetch(sub.url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "user-agent": "iBand-Webhooks/1",
+        "x-iband-event": d.eventType,
+        "x-iband-delivery": d.id,
+        "x-iband-signature": signPayload(sub.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(cfg().timeoutMs),
+    });
+    await r.arrayBuffer().catch(() => null);
+    return { ok: r.status >= 200 && r.status < 300, httpStatus: r.status, error: r.ok ? null : `HTTP ${r.status}`, durationMs: Date.now() - started };
+  } catch (e) {
+    const error = e?.name === "TimeoutError" ? `timeout after ${cfg().timeoutMs}ms` : e?.cause?.code || e?.message || String(e);
+    return { ok: false, httpStatus: null, error: String(error).slice(0, ERROR_MAX), durationMs: Date.now() - started };
+  }
+}
+
+// Lease the due deliveries, send them outside the lock, then settle each one
+async function deliverDue({ nowMs = Date.now() } = {}) {
+  const c = cfg();
+  const picked = await updateQueue((q) => {
+    const due = q.deliveries.filter(
+      (d) => (Date.parse(d.nextAttemptAt) || 0) <= nowMs && (!d.leaseUntil || Date.parse(d.leaseUntil) <= nowMs)
+    );
+    const leaseUntil = new Date(nowMs + c.timeoutMs + LEASE_GRACE_MS).toISOString();
+    for (const d of due) d.leaseUntil = leaseUntil;
+    return due.map((d) => ({ ...d }));
+  });
+  if (!picked.length) return { sent: 0, delivered: 0, failed: 0, dead: 0, dropped: 0 };
+
+  const { subscriptions } = await readSubscriptions();
+  const subs = new Map(subscriptions.map((s) => [s.id, s]));
+  const outcomes = [];
+
+  for (const d of picked) {
+    const sub = subs.get(d.subscriptionId);
+    d.attempts += 1;
+    if (!sub || sub.active === false) {
+      outcomes.push({ d, status: "dropped", error: sub ? "subscription_inactive" : "subscription_deleted" });
+      continue;
+    }
+    const r = await send(d, sub);
+    if (r.ok) outcomes.push({ d, status: "delivered", ...r });
+    else if (d.attempts >= c.maxAttempts) outcomes.push({ d, status: "dead", ...r });
+    else outcomes.push({ d, status: "failed", ...r, nextAttemptAt: new Date(Date.now() + retryDelayMs(d.attempts)).toISOString() });
+  }
+
+  await updateQueue((q) => {
+    const byId = new Map(outcomes.map((o) => [o.d.id, o]));
+    q.deliveries = q.deliveries.flatMap((d) => {
+      const o = byId.get(d.id);
+      if (!o) return [d];
+      if (o.status !== "failed") return [];
+      return [{ ...d, attempts: o.d.attempts, nextAttemptAt: o.nextAttemptAt, leaseUntil: null, lastError: o.error, lastStatus: o.httpStatus }];
+    });
+  });
+
+  const dead = outcomes.filter((o) => o.status === "dead");
+  if (dead.length) {
+    await updateDeadLetters((store) => {
+      for (const o of dead) {
+        store.items.push({ ...o.d, leaseUntil: null, lastError: o.error, lastStatus: o.httpStatus, deadAt: nowIso() });
+      }
+    });
+  }
+
+  for (const o of outcomes) {
+    await logAttempt(o.d, {
+      status: o.status,
+      url: subs.get(o.d.subscriptionId)?.url || null,
+      httpStatus: o.httpStatus ?? null,
+      error: o.error || null,
+      durationMs: o.durationMs ?? 0,
+      nextAttemptAt: o.nextAttemptAt || null,
+    });
+    if (o.status === "dead") logger.warn("webhook_dead_letter", { deliveryId: o.d.id, subscriptionId: o.d.subscriptionId, attempts: o.d.attempts, error: o.error });
+  }
+
+  const count = (s) => outcomes.filter((o) => o.status === s).length;
+  return { sent: outcomes.length - count("dropped"), delivered: count("delivered"), failed: count("failed"), dead: count("dead"), dropped: count("dropped") };
+}
+
+async function armRetryTimer() {
+  if (worker.timer) clearTimeout(worker.timer);
+  worker.timer = null;
+  const q = await readQueue();
+  const next = Math.min(...q.deliveries.map((d) => Math.max(Date.parse(d.nextAttemptAt) || 0, Date.parse(d.leaseUntil || "") || 0)));
+  if (!Number.isFinite(next)) return;
+  worker.timer = setTimeout(() => kickDelivery(), Math.max(0, next - Date.now()) + 10);
+  worker.timer.unref?.();
+}
+
+/** One delivery pass at a time; a kick during a pass runs another right after it. */
+export async function runDeliveryPass() {
+  if (worker.running) {
+    worker.again = true;
+    return null;
+  }
+  worker.running = true;
+  const totals = { sent: 0, delivered: 0, failed: 0, dead: 0, dropped: 0 };
+  try {
+    do {
+      worker.again = false;
+      const r = await deliverDue();
+      for (const k of Object.keys(totals)) totals[k] += r[k];
+    } while (worker.again);
+    await armRetryTimer();
+  } catch (e) {
+    logger.error("webhook_delivery_failed", { error: e });
+  } finally {
+    worker.running = false;
+  }
+  return totals;
+}
+
+function kickDelivery() {
+  setImmediate(() => runDeliveryPass());
+}
+
+/** Resolves once no pass is running and nothing is due right now (tests, shutdown). */
+export async function drainWebhooks({ timeoutMs = 5000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const q = await readQueue();
+    const due = q.deliveries.some((d) => (Date.parse(d.nextAttemptAt) || 0) <= Date.now());
+    if (!worker.running && !due) return true;
+    if (!worker.running) await runDeliveryPass();
+    else await new Promise((r) => setTimeout(r, 10));
+  }
+  return false;
+}
+
+// Safety net: picks up deliveries queued before a restart
+registerJob({
+  id: "webhooks.deliver",
+  schedule: "* * * * *",
+  description: "Send webhook deliveries that are due (retries, queue left over from a restart).",
+  run: async () => (await runDeliveryPass()) || { skipped: "pass already running" },
+});
+
+// Purchases reach webhooks through the bus (durable: replayed purchases are deduped by key)
+subscribe("webhooks.purchases", ["purchase.recorded"], async (evt) => {
+  const p = evt.payload || {};
+  const m = p.meta || {};
+  await emitWebhook(
+    "purchase.recorded",
+    {
+      eventId: p.id,
+      artistId: p.artistId || null,
+      itemType: m.itemType || null,
+      itemId: m.itemId || null,
+      qty: m.qty ?? null,
+      amount: m.amount ?? null,
+      currency: m.currency || null,
+      buyerType: m.buyerType || null,
+      at: p.at || evt.at,
+    },
+    { key: `purchase.recorded:${p.id}` }
+  );
+});
+
+/* -------------------- Routes -------------------- */
+
+router.use(attachPrincipal);
+const api = describeRoutes(router, { tag: "webhooks" });
+
+function spec(permission, summary, extra = {}) {
+  return { auth: "admin", permission, summary, ...extra };
+}
+
+const EVENT_LIST = S.arr(S.enumOf(Object.keys(WEBHOOK_EVENT_TYPES).filter((t) => t !== "webhook.test")), { minItems: 1 });
+
+const CREATE_BODY = S.obj(
+  {
+    url: S.text(2000),
+    events: EVENT_LIST,
+    secret: { type: "string", minLength: 16, maxLength: 200 },
+    description: S.text(300),
+  },
+  ["url", "events"]
+);
+
+const PATCH_BODY = S.obj({
+  url: S.text(2000),
+  events: EVENT_LIST,
+  active: S.bool(),
+  description: S.text(300),
+  rotateSecret: S.bool(),
+});
+
+const DELIVERY_QUERY = S.obj({
+  ...PAGE_QUERY,
+  subscriptionId: S.text(80),
+  eventType: S.enumOf(Object.keys(WEBHOOK_EVENT_TYPES)),
+  status: S.enumOf(["delivered", "failed", "dead", "dropped"]),
+});
+
+function auditView(sub) {
+  return sub ? publicSubscription(sub) : null;
+}
+
+api.get("/event-types", spec("webhooks.read", "Event types a webhook can subscribe to"), requirePermission("webhooks.read"), (_req, res) => {
+  return res.json({ success: true, eventTypes: Object.entries(WEBHOOK_EVENT_TYPES).map(([type, description]) => ({ type, description })) });
+});
+
+api.get("/", spec("webhooks.read", "List webhook subscriptions"), requirePermission("webhooks.read"), async (_req, res) => {
+  const [{ subscriptions }, q] = await Promise.all([readSubscriptions(), readQueue()]);
+  const pending = (id) => q.deliveries.filter((d) => d.subscriptionId === id).length;
+  return res.json({ success: true, count: subscriptions.length, webhooks: subscriptions.map((s) => publicSubscription(s, { pending: pending(s.id) })) });
+});
+
+api.post("/", spec("webhooks.manage", "Create a webhook subscription", { body: CREATE_BODY, responses: { 201: "Created; the secret is only returned here." } }), requirePermission("webhooks.manage"), async (req, res) => {
+  const url = validUrl(req.body?.url);
+  if (!url) return sendError(res, 400, "invalid_url", "url must be an absolute http(s) URL without credentials.");
+
+  const at = nowIso();
+  const sub = {
+    id: makeId("whk"),
+    url,
+    events: [...new Set(req.body.events)],
+    secret: req.body.secret || newSecret(),
+    description: req.body.description || null,
+    active: true,
+    createdAt: at,
+    updatedAt: at,
+    createdBy: req.principal?.id || null,
+  };
+  await updateSubscriptions((store) => {
+    store.subscriptions.push(sub);
+  });
+  await recordAudit(req, { action: "webhook.create", target: { type: "webhook", id: sub.id }, after: auditView(sub) });
+
+  return res.status(201).json({ success: true, webhook: { ...publicSubscription(sub), secret: sub.secret } });
+});
+
+const attemptKey = (a) => ({ at: a?.ts, id: a?.id });
+
+// Same complete-timestamp-group rule as rooms.js readMessagesPage: never cut a same-ms group at a page edge
+async function readDeliveriesPage(page, match) {
+  for (let want = page.limit + 1; ; want *= 2) {
+    const { events } = await deliveryLog().readRecent({ limit: want, filter: (a) => match(a) && isAfter(attemptKey(a), page) });
+    if (events.length < want) return paginate(events, page, attemptKey);
+
+    const edge = Math.min(...events.map((a) => Date.parse(a.ts) || 0));
+    const complete = events.filter((a) => (Date.parse(a.ts) || 0) > edge).length;
+    if (complete >= page.limit) return paginate(events, page, attemptKey);
+  }
+}
+
+/**
+ * Delivery log, newest first: one entry per attempt (delivered, failed, dead, dropped).
+ */
+api.get("/deliveries", spec("webhooks.read", "Webhook delivery attempts", { query: DELIVERY_QUERY }), requirePermission("webhooks.read"), async (req, res) => {
+  const { subscriptionId, eventType, status } = req.query || {};
+  const page = readPage(req.query, { defaultLimit: 50, maxLimit: 200, scope: { subscriptionId, eventType, status } });
+  if (page.error) return sendPageError(res, page.error);
+
+  const out = await readDeliveriesPage(page, (a) =>
+    (!subscriptionId || a.subscriptionId === subscriptionId) && (!eventType || a.eventType === eventType) && (!status || a.status === status)
+  );
+  return res.json({ success: true, count: out.items.length, deliveries: out.items, nextCursor: out.nextCursor, hasMore: out.hasMore });
+});
+
+api.get("/dead-letters", spec("webhooks.read", "Deliveries that ran out of attempts", { query: S.obj({ subscriptionId: S.text(80) }) }), requirePermission("webhooks.read"), async (req, res) => {
+  const { items } = await readDeadLetters();
+  const subscriptionId = req.query?.subscriptionId;
+  const list = items.filter((d) => !subscriptionId || d.subscriptionId === subscriptionId).reverse();
+  return res.json({ success: true, count: list.length, deadLetters: list });
+});
+
+api.post("/dead-letters/:id/retry", spec("webhooks.manage", "Queue a dead letter again (attempts start over)"), requirePermission("webhooks.manage"), async (req, res) => {
+  const id = String(req.params.id || "");
+  const item = await updateDeadLetters((store) => {
+    const i = store.items.findIndex((d) => d.id === id);
+    return i < 0 ? null : store.items.splice(i, 1)[0];
+  });
+  if (!item) return sendError(res, 404, "not_found", "Dead letter not found.", { id });
+
+  const { deadAt: _deadAt, ...rest } = item;
+  const delivery = { ...rest, attempts: 0, nextAttemptAt: nowIso(), leaseUntil: null, retriedAt: nowIso() };
+  await updateQueue((q) => {
+    q.deliveries.push(delivery);
+  });
+  kickDelivery();
+  await recordAudit(req, { action: "webhook.retry", target: { type: "webhook", id: item.subscriptionId }, meta: { deliveryId: id, eventId: item.eventId } });
+
+  return res.json({ success: true, delivery: { id: delivery.id, eventId: delivery.eventId, subscriptionId: delivery.subscriptionId, nextAttemptAt: delivery.nextAttemptAt } });
+});
+
+api.get("/:id", spec("webhooks.read", "One webhook subscription"), requirePermission("webhooks.read"), async (req, res) => {
+  const [{ subscriptions }, q] = await Promise.all([readSubscriptions(), readQueue()]);
+  const sub = subscriptions.find((s) => s.id === req.params.id);
+  if (!sub) return sendError(res, 404, "not_found", "Webhook not found.", { id: req.params.id });
+  return res.json({ success: true, webhook: publicSubscription(sub, { pending: q.deliveries.filter((d) => d.subscriptionId === sub.id).length }) });
+});
+
+api.patch("/:id", spec("webhooks.manage", "Edit, pause or re-key a webhook", { body: PATCH_BODY }), requirePermission("webhooks.manage"), async (req, res) => {
+  const body = req.body || {};
+  let url;
+  if (body.url !== undefined) {
+    url = validUrl(body.url);
+    if (!url) return sendError(res, 400, "invalid_url", "url must be an absolute http(s) URL without credentials.");
+  }
+
+  const result = await updateSubscriptions((store) => {
+    const sub = store.subscriptions.find((s) => s.id === req.params.id);
+    if (!sub) return null;
+    const before = { ...sub };
+    if (url) sub.url = url;
+    if (body.events) sub.events = [...new Set(body.events)];
+    if (typeof body.active === "boolean") sub.active = body.active;
+    if (body.description !== undefined) sub.description = body.description || null;
+    if (body.rotateSecret === true) sub.secret = newSecret();
+    sub.updatedAt = nowIso();
+    return { before, after: { ...sub } };
+  });
+  if (!result) return sendError(res, 404, "not_found", "Webhook not found.", { id: req.params.id });
+
+  await recordAudit(req, {
+    action: "webhook.update",
+    target: { type: "webhook", id: req.params.id },
+    before: auditView(result.before),
+    after: auditView(result.after),
+    meta: body.rotateSecret === true ? { secretRotated: true } : undefined,
+  });
+
+  const webhook = publicSubscription(result.after);
+  return res.json({ success: true, webhook: body.rotateSecret === true ? { ...webhook, secret: result.after.secret } : webhook });
+});
+
+api.delete("/:id", spec("webhooks.manage", "Delete a webhook (queued deliveries are dropped)"), requirePermission("webhooks.manage"), async (req, res) => {
+  const removed = await updateSubscriptions((store) => {
+    const i = store.subscriptions.findIndex((s) => s.id === req.params.id);
+    return i < 0 ? null : store.subscriptions.splice(i, 1)[0];
+  });
+  if (!removed) return sendError(res, 404, "not_found", "Webhook not found.", { id: req.params.id });
+
+  await recordAudit(req, { action: "webhook.delete", target: { type: "webhook", id: removed.id }, before: auditView(removed) });
+  return res.json({ success: true, deleted: removed.id });
+});
+
+api.post("/:id/test", spec("webhooks.manage", "Send a webhook.test event to this webhook"), requirePermission("webhooks.manage"), async (req, res) => {
+  const { subscriptions } = await readSubscriptions();
+  const sub = subscriptions.find((s) => s.id === req.params.id);
+  if (!sub) return sendError(res, 404, "not_found", "Webhook not found.", { id: req.params.id });
+  if (sub.active === false) return sendError(res, 409, "webhook_inactive", "Activate the webhook before testing it.", { id: sub.id });
+
+  const out = await emitWebhook("webhook.test", { webhookId: sub.id, message: "Test delivery from iBand." }, { onlySubscriptionId: sub.id });
+  await recordAudit(req, { action: "webhook.test", target: { type: "webhook", id: sub.id }, meta: { eventId: out.eventId } });
+  return res.status(202).json({ success: true, eventId: out.eventId, queued: out.queued });
+});
+
+export default router;
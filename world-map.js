@@ -1,6 +1,8 @@
 import express from "express";
+import { describeRoutes, S } from "./apiSchema.js";
 
 const router = express.Router();
+const api = describeRoutes(router, { tag: "world-map" });
 
 /*
 |--------------------------------------------------------------------------
@@ -86,16 +88,12 @@ router.get("/country/:country", (req, res) => {
 |--------------------------------------------------------------------------
 */
 
-router.post("/signal", (req, res) => {
+api.post("/signal", {
+  summary: "Record a world activity signal",
+  body: S.obj({ country: S.id(80) }, ["country"]),
+}, (req, res) => {
   const { country } = req.body;
 
-  if (!country) {
-    return res.status(400).json({
-      success: false,
-      message: "country is required",
-    });
-  }
-
   ensureCountry(country);
 
   worldActivity[country].signals += 1;